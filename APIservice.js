@@ -1,6 +1,10 @@
 // ==================== API服务 ====================
 import axios from 'axios';
 import { subjectsData } from './mockData.js';
+import { PaperCatalog } from './PaperCatalog.js';
+import { PaperQuery } from './PaperQuery.js';
+import { OfflineLibrary } from './OfflineLibrary.js';
+import { McqMarking } from './McqMarking.js';
 
 // 创建axios实例
 const apiClient = axios.create({
@@ -233,32 +237,136 @@ export const ApiService = {
     };
   },
   
+  /**
+   * 获取课程试卷列表接口
+   * @param {string} topicId - 课程代码，例如 '9702'
+   * @returns {Promise<Object>} 试卷列表响应
+   * 
+   * 后端API接口：GET /api/topics/{topicId}/papers
+   * 响应格式：{
+   *   success: boolean,
+   *   data: Array<{
+   *     id: string,            // 标准文件名，例如 9702_s23_qp_12
+   *     board: 'CIE' | 'Edexcel',
+   *     topicId: string,
+   *     year: string,
+   *     session: 'm' | 's' | 'w',
+   *     component: string,     // 例如 '12'、'1H'
+   *     paperNumber: number,
+   *     variant: number | null,
+   *     type: 'qp' | 'ms' | 'er' | 'gt' | 'in' | 'ci',
+   *     title: string,
+   *     filePath: string
+   *   }>
+   * }
+   */
+  getPapers: async (topicId) => {
+    await new Promise(resolve => setTimeout(resolve, 400));
+    return {
+      success: true,
+      data: PaperCatalog.getPapersByTopic(topicId)  // 后端就绪前由本地试卷目录提供
+    };
+  },
+
+  /**
+   * 获取选择题答案接口（来自评分标准）
+   * @param {string} paperId - 试卷ID，例如 '9702_s23_qp_12'
+   * @returns {Promise<Object>} 答案响应
+   * 
+   * 后端API接口：GET /api/papers/{paperId}/answer-key
+   * 响应格式：{
+   *   success: boolean,
+   *   data: Array<'A' | 'B' | 'C' | 'D'>,  // data[0] 为第 1 题答案
+   *   message: string                     // 没有答案时的说明
+   * }
+   */
+  getAnswerKey: async (paperId) => {
+    await new Promise(resolve => setTimeout(resolve, 300));
+    
+    const paper = PaperCatalog.getPaperById(paperId);
+    if (!paper || !paper.isMultipleChoice) {
+      return { success: false, message: '该试卷不是选择题试卷' };
+    }
+    
+    // 后端就绪前由本地答案数据提供，未录入答案的试卷不能批改
+    const key = McqMarking.getKey(paperId);
+    if (!key) {
+      return { success: false, message: 'No answer key is available for this paper yet, so it can\'t be marked.' };
+    }
+    
+    return { success: true, data: key };
+  },
+
   /**
    * 搜索试卷接口
+   * 支持试卷简写，例如 '9702 s23 p12'、'physics w22 ms'、'9709/12/M/J/23' 或完整文件名 '9702_s23_qp_12'
    * @param {string} query - 搜索关键词
    * @returns {Promise<Object>} 搜索结果
    * 
    * 后端API接口：GET /api/papers/search?q={query}
    * 响应格式：{
    *   success: boolean,
-   *   data: Array<{
-   *     id: string,
-   *     title: string,
-   *     subject: string,
-   *     year: string,
-   *     session: string,
-   *     paperNumber: number
-   *   }>
+   *   data: Array<试卷目录条目>,         // 完全匹配的试卷，字段同 getPapers
+   *   suggestions: Array<试卷目录条目>,  // data 为空时按相关度排序的候选试卷
+   *   interpretation: string            // 查询的理解方式，例如 '9702 · May/June 2023 · Paper 12'
    * }
    */
   searchPapers: async (query) => {
     await new Promise(resolve => setTimeout(resolve, 600));
+    // 后端就绪前由本地试卷目录提供
+    const { results, suggestions, interpretation } = PaperQuery.search(query, PaperCatalog.getAllPapers());
     return {
       success: true,
-      data: []  // 后端需要实现真实的搜索逻辑
+      data: results,
+      suggestions,
+      interpretation
     };
   },
 
+  /**
+   * 获取文件内容接口（试卷、教学大纲、教材的PDF）
+   * @param {string} fileId - 文件ID，试卷为标准文件名（9702_s23_qp_12），教材/大纲为 mock 数据中的 fileId
+   * @returns {Promise<Object>} 文件内容响应，data 为 ArrayBuffer；offline 为 true 表示来自离线库
+   * 
+   * 后端API接口：GET /api/files/{fileId}/content
+   * 响应：application/pdf 二进制内容
+   */
+  getFileContent: async (fileId) => {
+    // 已下载的文件直接从离线库读取，没有网络时也能打开
+    try {
+      const cached = await OfflineLibrary.get(fileId);
+      if (cached) {
+        return {
+          success: true,
+          data: cached.data,
+          offline: true
+        };
+      }
+    } catch (error) {
+      console.error('离线库读取失败:', error);
+    }
+    
+    try {
+      const response = await apiClient.get(`/api/files/${encodeURIComponent(fileId)}/content`, {
+        responseType: 'arraybuffer',
+        timeout: 60000  // PDF 文件较大，单独放宽超时时间
+      });
+      
+      return {
+        success: true,
+        data: response.data
+      };
+    } catch (error) {
+      console.error('File Content API Error:', error);
+      return {
+        success: false,
+        message: error.response?.status === 404
+          ? '文件不存在'
+          : navigator.onLine ? '文件加载失败，请检查网络连接' : '当前处于离线状态，且该文件尚未下载'
+      };
+    }
+  },
+
   // ==================== 第三方登录接口预留 ====================
   /**
    * 微信登录接口（预留）
@@ -0,0 +1,153 @@
+// ==================== 批注导出 ====================
+import { PDFDocument, LineCapStyle, rgb } from 'pdf-lib';
+import fontkit from '@pdf-lib/fontkit';
+import { PdfFonts } from './PdfFonts.js';
+
+/**
+ * 高亮的不透明度
+ */
+const HIGHLIGHT_OPACITY = 0.35;
+
+/**
+ * 评论便签的宽度（PDF 点）与字号
+ */
+const NOTE_WIDTH = 160;
+const NOTE_FONT_SIZE = 8;
+
+/**
+ * 把 #rrggbb 转换为 pdf-lib 颜色
+ * @param {string} hex - 颜色
+ * @returns {Object}
+ */
+const toColor = (hex) => {
+  const value = parseInt(hex.slice(1), 16);
+  return rgb(((value >> 16) & 255) / 255, ((value >> 8) & 255) / 255, (value & 255) / 255);
+};
+
+/**
+ * 把过宽的单词按字符拆开（中文没有空格，一整句会被当作一个单词）
+ * @param {string} word - 单词
+ * @param {Object} font - pdf-lib 字体
+ * @param {number} maxWidth - 最大宽度
+ * @returns {Array<string>}
+ */
+const splitWord = (word, font, maxWidth) => Array.from(word).reduce((parts, char) => {
+  const last = parts[parts.length - 1];
+  if (last && font.widthOfTextAtSize(last + char, NOTE_FONT_SIZE) > maxWidth) return [...parts, char];
+  return [...parts.slice(0, -1), (last || '') + char];
+}, []);
+
+/**
+ * 按宽度折行
+ * @param {string} text - 文本
+ * @param {Object} font - pdf-lib 字体
+ * @param {number} maxWidth - 最大宽度
+ * @returns {Array<string>}
+ */
+const wrapText = (text, font, maxWidth) => text.split('\n').flatMap(paragraph => {
+  const lines = [];
+  let line = '';
+  paragraph.split(' ').flatMap(word => splitWord(word, font, maxWidth)).forEach(word => {
+    const candidate = line ? `${line} ${word}` : word;
+    if (line && font.widthOfTextAtSize(candidate, NOTE_FONT_SIZE) > maxWidth) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = candidate;
+    }
+  });
+  return [...lines, line];
+});
+
+/**
+ * 批注导出工具类
+ * 把批注画到原文件上得到可打印的 PDF：高亮为半透明矩形，笔迹为线段，
+ * 评论画出区域边框并在旁边附上便签（超出页面时移到页面内），便签文字嵌入 Noto Sans SC 的子集，中文也能显示
+ * 坐标按页面的 MediaBox 换算，旋转过的页面不做处理
+ */
+export const AnnotationExport = {
+  /**
+   * 生成带批注的 PDF
+   * @param {ArrayBuffer|Uint8Array} data - 原文件内容
+   * @param {Array<Object>} annotations - 文件的全部批注
+   * @returns {Promise<Uint8Array>}
+   */
+  buildPdf: async (data, annotations) => {
+    const doc = await PDFDocument.load(data);
+    const pages = doc.getPages();
+    // 只有评论需要文字，没有评论时不下载字体
+    let font = null;
+    if (annotations.some(item => item.type === 'comment' && item.page <= pages.length)) {
+      doc.registerFontkit(fontkit);
+      font = await doc.embedFont(await PdfFonts.loadCjkFont(), { subset: true });
+    }
+
+    annotations.filter(item => item.page <= pages.length).forEach(item => {
+      const page = pages[item.page - 1];
+      const { width, height } = page.getSize();
+      const color = toColor(item.color);
+      const toPdf = ([x, y]) => ({ x: x * width, y: height - y * height });
+
+      if (item.type === 'highlight') {
+        item.rects.forEach(rect => {
+          page.drawRectangle({
+            x: rect.x * width,
+            y: height - (rect.y + rect.h) * height,
+            width: rect.w * width,
+            height: rect.h * height,
+            color,
+            opacity: HIGHLIGHT_OPACITY
+          });
+        });
+      } else if (item.type === 'ink') {
+        const thickness = item.width * width;
+        if (item.points.length === 1) {
+          page.drawCircle({ ...toPdf(item.points[0]), size: thickness / 2, color });
+        }
+        item.points.slice(1).forEach((point, index) => {
+          page.drawLine({ start: toPdf(item.points[index]), end: toPdf(point), thickness, color, lineCap: LineCapStyle.Round });
+        });
+      } else if (item.type === 'comment') {
+        if (item.w > 0 && item.h > 0) {
+          page.drawRectangle({
+            x: item.x * width,
+            y: height - (item.y + item.h) * height,
+            width: item.w * width,
+            height: item.h * height,
+            borderColor: color,
+            borderWidth: 1,
+            borderDashArray: [4, 2]
+          });
+        }
+
+        const lines = wrapText(item.text, font, NOTE_WIDTH - 8);
+        const noteHeight = lines.length * (NOTE_FONT_SIZE + 2) + 8;
+        const anchor = toPdf([item.x + item.w, item.y]);
+        const x = Math.min(anchor.x + 4, width - NOTE_WIDTH - 4);
+        const top = Math.min(Math.max(anchor.y, noteHeight + 4), height - 4);
+        page.drawRectangle({
+          x,
+          y: top - noteHeight,
+          width: NOTE_WIDTH,
+          height: noteHeight,
+          color: rgb(1, 0.97, 0.8),
+          borderColor: color,
+          borderWidth: 1,
+          opacity: 0.95
+        });
+        lines.forEach((line, index) => {
+          page.drawText(line, { x: x + 4, y: top - 4 - (index + 1) * (NOTE_FONT_SIZE + 2) + 2, size: NOTE_FONT_SIZE, font, color: rgb(0.1, 0.1, 0.1) });
+        });
+      }
+    });
+
+    return doc.save();
+  },
+
+  /**
+   * 导出文件名
+   * @param {string} fileId - 文件ID
+   * @returns {string}
+   */
+  getFilename: (fileId) => `${fileId}_annotated.pdf`
+};
@@ -0,0 +1,51 @@
+import { PDFDocument, PDFName } from 'pdf-lib';
+import { AnnotationExport } from './AnnotationExport';
+import { PdfFonts } from './PdfFonts';
+
+jest.mock('./PdfFonts.js', () => ({
+  PdfFonts: {
+    // Buffer 不是测试环境中的 Uint8Array，复制一份
+    loadCjkFont: jest.fn(async () => new Uint8Array(require('fs').readFileSync(
+      require.resolve('@expo-google-fonts/noto-sans-sc/400Regular/NotoSansSC_400Regular.ttf')
+    )))
+  }
+}));
+
+const createSource = async () => {
+  const doc = await PDFDocument.create();
+  doc.addPage([595.28, 841.89]);
+  return doc.save();
+};
+
+/**
+ * 导出文件第一页使用的字体名称
+ */
+const getFontNames = (doc) => {
+  const fonts = doc.getPage(0).node.Resources().lookup(PDFName.of('Font'));
+  return fonts ? fonts.keys().map(key => fonts.lookup(key).lookup(PDFName.of('BaseFont')).decodeText()) : [];
+};
+
+beforeEach(() => PdfFonts.loadCjkFont.mockClear());
+
+test('embeds a font that can show Chinese comments', async () => {
+  const output = await AnnotationExport.buildPdf(await createSource(), [
+    { id: 'a', type: 'comment', page: 1, x: 0.1, y: 0.1, w: 0, h: 0, color: '#fab005', text: '注意单位 Check units' },
+    { id: 'b', type: 'comment', page: 1, x: 0.5, y: 0.5, w: 0.1, h: 0.05, color: '#228be6', text: '这一段很长的评论没有空格所以需要按照字符折行才能放进便签里面' }
+  ]);
+
+  const doc = await PDFDocument.load(output);
+  expect(doc.getPageCount()).toBe(1);
+  const fontNames = getFontNames(doc);
+  expect(fontNames.length).toBeGreaterThan(0);
+  expect(fontNames.every(name => name.includes('NotoSansSC'))).toBe(true);
+});
+
+test('skips loading the font when there are no comments', async () => {
+  const output = await AnnotationExport.buildPdf(await createSource(), [
+    { id: 'a', type: 'ink', page: 1, points: [[0.1, 0.1], [0.2, 0.2]], width: 0.003, color: '#212529' },
+    { id: 'b', type: 'comment', page: 4, x: 0.1, y: 0.1, w: 0, h: 0, color: '#fab005', text: 'On a page the file does not have' }
+  ]);
+
+  expect(PdfFonts.loadCjkFont).not.toHaveBeenCalled();
+  expect(getFontNames(await PDFDocument.load(output))).toEqual([]);
+});
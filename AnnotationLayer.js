@@ -0,0 +1,323 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { pdfjsLib } from './PdfJs.js';
+import { Annotations, INK_WIDTH } from './Annotations.js';
+
+/**
+ * 读取页面上每段文字的位置（相对页面宽高的比例），用于高亮吸附
+ * @param {Object} pdf - pdf.js 文档对象
+ * @param {number} pageNumber - 页码
+ * @returns {Promise<Array<Object>>} [{ x, y, w, h }]
+ */
+const loadTextBoxes = async (pdf, pageNumber) => {
+  const page = await pdf.getPage(pageNumber);
+  const viewport = page.getViewport({ scale: 1 });
+  const content = await page.getTextContent();
+  return content.items
+    .filter(item => item.str && item.str.trim())
+    .map(item => {
+      const [, , c, d, e, f] = pdfjsLib.Util.transform(viewport.transform, item.transform);
+      const fontHeight = Math.hypot(c, d);
+      return {
+        x: e / viewport.width,
+        y: (f - fontHeight) / viewport.height,
+        w: item.width / viewport.width,
+        h: fontHeight / viewport.height
+      };
+    });
+};
+
+/**
+ * CommentPin 组件 - 页面上的评论，点击图钉展开查看或编辑
+ * @param {Object} props
+ * @param {Object} props.comment - 评论批注（新建时没有 id）
+ * @param {number} props.width - 页面显示宽度（像素）
+ * @param {number} props.height - 页面显示高度（像素）
+ * @param {boolean} props.open - 是否展开
+ * @param {Function} props.onToggle - 展开/收起
+ * @param {Function} props.onSave - 保存内容，参数为文本
+ * @param {Function} props.onDelete - 删除评论（新建时为取消）
+ */
+const CommentPin = ({ comment, width, height, open, onToggle, onSave, onDelete }) => {
+  const [text, setText] = useState(comment.text);
+  const [editing, setEditing] = useState(!comment.id);
+
+  return (
+    <div
+      className="annotation-comment"
+      style={{ left: (comment.x + comment.w) * width, top: comment.y * height }}
+      onPointerDown={(e) => e.stopPropagation()}
+    >
+      <button
+        className="annotation-comment-pin"
+        style={{ background: comment.color }}
+        onClick={onToggle}
+        aria-label="Comment"
+        title={comment.text}
+      >
+        💬
+      </button>
+      {open && (
+        <div className="annotation-comment-popup">
+          {editing ? (
+            <>
+              <textarea value={text} onChange={(e) => setText(e.target.value)} placeholder="Add a comment..." autoFocus />
+              <div className="annotation-comment-actions">
+                <button onClick={() => { onSave(text); setEditing(false); }} disabled={!text.trim()}>Save</button>
+                <button onClick={comment.id ? () => { setText(comment.text); setEditing(false); } : onDelete}>Cancel</button>
+              </div>
+            </>
+          ) : (
+            <>
+              <p>{comment.text}</p>
+              <div className="annotation-comment-actions">
+                <button onClick={() => setEditing(true)}>Edit</button>
+                <button onClick={onDelete}>Delete</button>
+              </div>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * AnnotationLayer 组件 - 覆盖在 PDF 页面上的批注层
+ * 显示并编辑当前页的高亮、笔迹和评论：高亮拖选后吸附到文字，笔迹支持触控笔和鼠标，
+ * 评论固定在拖选的区域或点击的位置，橡皮擦删除经过的批注
+ * @param {Object} props
+ * @param {Object} props.pdf - pdf.js 文档对象
+ * @param {number} props.pageNumber - 页码
+ * @param {number} props.width - 页面显示宽度（像素）
+ * @param {number} props.height - 页面显示高度（像素）
+ * @param {string} props.owner - 用户名
+ * @param {string} props.fileId - 文件ID
+ * @param {string|null} props.tool - 当前工具（ANNOTATION_TOOLS 中的键），null 时只显示批注
+ * @param {string} props.color - 当前颜色
+ */
+const AnnotationLayer = ({ pdf, pageNumber, width, height, owner, fileId, tool, color }) => {
+  const [annotations, setAnnotations] = useState(() => Annotations.get(owner, fileId));
+  const [draft, setDraft] = useState(null);
+  const [openCommentId, setOpenCommentId] = useState(null);
+  const [newComment, setNewComment] = useState(null);
+  const [saveFailed, setSaveFailed] = useState(false);
+  const layerRef = useRef(null);
+  const textBoxesRef = useRef({});
+
+  useEffect(() => {
+    setAnnotations(Annotations.get(owner, fileId));
+    setSaveFailed(false);
+    textBoxesRef.current = {};
+    return Annotations.subscribe(() => setAnnotations(Annotations.get(owner, fileId)));
+  }, [owner, fileId]);
+
+  useEffect(() => {
+    setDraft(null);
+    setNewComment(null);
+    setOpenCommentId(null);
+  }, [pageNumber, tool]);
+
+  const pageAnnotations = annotations.filter(item => item.page === pageNumber);
+
+  /**
+   * 指针位置（相对页面宽高的比例）
+   * @param {PointerEvent} event - 指针事件
+   * @returns {Array<number>} [x, y]
+   */
+  const toPoint = (event) => {
+    const rect = layerRef.current.getBoundingClientRect();
+    return [
+      Math.min(Math.max((event.clientX - rect.left) / rect.width, 0), 1),
+      Math.min(Math.max((event.clientY - rect.top) / rect.height, 0), 1)
+    ];
+  };
+
+  /**
+   * 记录批注是否保存成功（存储空间不足时保存失败），失败时在页面上提示
+   * @param {boolean} saved - 是否保存成功
+   */
+  const reportSave = (saved) => setSaveFailed(!saved);
+
+  /**
+   * 橡皮擦：删除指针下的批注
+   * @param {Array<number>} point - [x, y]
+   */
+  const eraseAt = (point) => {
+    const hit = Annotations.hitTest(pageAnnotations, point, 8 / width);
+    if (hit) reportSave(Annotations.remove(owner, fileId, hit.id));
+  };
+
+  const handlePointerDown = (event) => {
+    if (!tool || event.button > 0) return;
+    event.preventDefault();
+    layerRef.current.setPointerCapture(event.pointerId);
+    const point = toPoint(event);
+
+    if (tool === 'eraser') {
+      eraseAt(point);
+      setDraft({ tool });
+    } else if (tool === 'pen') {
+      setDraft({ tool, points: [point] });
+    } else {
+      setNewComment(null);
+      setDraft({ tool, start: point, end: point });
+    }
+  };
+
+  const handlePointerMove = (event) => {
+    if (!draft) return;
+    const point = toPoint(event);
+    if (draft.tool === 'eraser') {
+      eraseAt(point);
+    } else if (draft.tool === 'pen') {
+      setDraft(prev => ({ ...prev, points: [...prev.points, point] }));
+    } else {
+      setDraft(prev => ({ ...prev, end: point }));
+    }
+  };
+
+  const handlePointerUp = async () => {
+    if (!draft) return;
+    const finished = draft;
+    setDraft(null);
+
+    if (finished.tool === 'pen') {
+      reportSave(Annotations.add(owner, fileId, {
+        type: 'ink',
+        page: pageNumber,
+        color,
+        width: INK_WIDTH,
+        points: Annotations.simplifyStroke(finished.points)
+      }) !== null);
+    } else if (finished.tool === 'comment') {
+      setNewComment({ type: 'comment', page: pageNumber, color, text: '', ...Annotations.toRect(finished.start, finished.end) });
+    } else if (finished.tool === 'highlight') {
+      const rect = Annotations.toRect(finished.start, finished.end);
+      if (rect.w < 0.005 && rect.h < 0.005) return;
+      if (!textBoxesRef.current[pageNumber]) {
+        try {
+          textBoxesRef.current[pageNumber] = await loadTextBoxes(pdf, pageNumber);
+        } catch (error) {
+          console.error('读取页面文字位置失败:', error);
+          textBoxesRef.current[pageNumber] = [];
+        }
+      }
+      reportSave(Annotations.add(owner, fileId, {
+        type: 'highlight',
+        page: pageNumber,
+        color,
+        rects: Annotations.snapToText(rect, textBoxesRef.current[pageNumber])
+      }) !== null);
+    }
+  };
+
+  const draftRect = draft && draft.start ? Annotations.toRect(draft.start, draft.end) : null;
+  const comments = pageAnnotations.filter(item => item.type === 'comment');
+
+  return (
+    <div
+      ref={layerRef}
+      className={`annotation-layer ${tool ? `active tool-${tool}` : ''}`}
+      style={{ width, height }}
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerUp}
+      onPointerCancel={() => setDraft(null)}
+    >
+      <svg width={width} height={height}>
+        {pageAnnotations.map(item => {
+          if (item.type === 'highlight') {
+            return (
+              <g key={item.id} className="annotation-highlight">
+                {item.rects.map((rect, index) => (
+                  <rect key={index} x={rect.x * width} y={rect.y * height} width={rect.w * width} height={rect.h * height} fill={item.color} />
+                ))}
+              </g>
+            );
+          }
+          if (item.type === 'ink') {
+            return (
+              <polyline
+                key={item.id}
+                className="annotation-ink"
+                points={item.points.map(([x, y]) => `${x * width},${y * height}`).join(' ')}
+                stroke={item.color}
+                strokeWidth={Math.max(1, item.width * width)}
+              />
+            );
+          }
+          return item.w > 0 && item.h > 0 ? (
+            <rect
+              key={item.id}
+              className="annotation-comment-region"
+              x={item.x * width}
+              y={item.y * height}
+              width={item.w * width}
+              height={item.h * height}
+              stroke={item.color}
+            />
+          ) : null;
+        })}
+
+        {draft?.tool === 'pen' && (
+          <polyline
+            className="annotation-ink"
+            points={draft.points.map(([x, y]) => `${x * width},${y * height}`).join(' ')}
+            stroke={color}
+            strokeWidth={Math.max(1, INK_WIDTH * width)}
+          />
+        )}
+        {draftRect && (
+          <rect
+            className={draft.tool === 'highlight' ? 'annotation-draft-highlight' : 'annotation-comment-region'}
+            x={draftRect.x * width}
+            y={draftRect.y * height}
+            width={draftRect.w * width}
+            height={draftRect.h * height}
+            fill={draft.tool === 'highlight' ? color : 'none'}
+            stroke={color}
+          />
+        )}
+      </svg>
+
+      {comments.map(comment => (
+        <CommentPin
+          key={comment.id}
+          comment={comment}
+          width={width}
+          height={height}
+          open={openCommentId === comment.id}
+          onToggle={() => setOpenCommentId(prev => (prev === comment.id ? null : comment.id))}
+          onSave={(text) => reportSave(Annotations.update(owner, fileId, comment.id, { text }))}
+          onDelete={() => reportSave(Annotations.remove(owner, fileId, comment.id))}
+        />
+      ))}
+      {newComment && (
+        <CommentPin
+          comment={newComment}
+          width={width}
+          height={height}
+          open
+          onToggle={() => setNewComment(null)}
+          onSave={(text) => {
+            const saved = Annotations.add(owner, fileId, { ...newComment, text: text.trim() });
+            reportSave(saved !== null);
+            // 保存失败时保留新评论，用户腾出空间后可以再次保存
+            if (!saved) return;
+            setNewComment(null);
+            setOpenCommentId(saved.id);
+          }}
+          onDelete={() => setNewComment(null)}
+        />
+      )}
+      {saveFailed && (
+        <div className="annotation-save-error" onPointerDown={(e) => e.stopPropagation()}>
+          <span>⚠️ Browser storage is full, so your last annotation change was not saved. Free up space (for example in the offline library) and try again.</span>
+          <button onClick={() => setSaveFailed(false)} aria-label="Dismiss">✕</button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AnnotationLayer;
@@ -0,0 +1,250 @@
+// ==================== 试卷批注 ====================
+
+/**
+ * 批注的存储键前缀，每个用户的每个文件单独保存为 `${前缀}_${用户名}_${fileId}`，
+ * 保存一个文件时不需要读写其他文件的批注
+ */
+const STORAGE_KEY = 'paperAnnotations';
+
+/**
+ * 批注工具
+ */
+export const ANNOTATION_TOOLS = {
+  highlight: { label: 'Highlight', icon: '🖍' },
+  pen: { label: 'Pen', icon: '✒️' },
+  comment: { label: 'Comment', icon: '💬' },
+  eraser: { label: 'Eraser', icon: '⌫' }
+};
+
+/**
+ * 批注颜色
+ */
+export const ANNOTATION_COLORS = ['#fab005', '#40c057', '#228be6', '#fa5252', '#212529'];
+
+/**
+ * 笔迹宽度（占页面宽度的比例）
+ */
+export const INK_WIDTH = 0.003;
+
+/**
+ * 笔迹采样的最小间距（占页面宽度的比例），更近的点不保存
+ */
+const INK_MIN_DISTANCE = 0.002;
+
+/**
+ * 坐标保存的小数位数
+ */
+const PRECISION = 10000;
+
+/**
+ * 批注变化时的监听函数
+ */
+const listeners = new Set();
+
+/**
+ * 某个用户某个文件的存储键
+ * @param {string} owner - 用户名
+ * @param {string} fileId - 文件ID
+ * @returns {string}
+ */
+const fileKey = (owner, fileId) => `${STORAGE_KEY}_${owner}_${fileId}`;
+
+/**
+ * 写入某个用户某个文件的批注并通知监听者
+ * 超出存储配额时不修改已保存的批注，由调用方提示用户
+ * @param {string} owner - 用户名
+ * @param {string} fileId - 文件ID
+ * @param {Array<Object>} annotations - 该文件的全部批注
+ * @returns {boolean} 是否保存成功
+ */
+const writeFile = (owner, fileId, annotations) => {
+  try {
+    if (annotations.length > 0) {
+      localStorage.setItem(fileKey(owner, fileId), JSON.stringify(annotations));
+    } else {
+      localStorage.removeItem(fileKey(owner, fileId));
+    }
+  } catch (error) {
+    console.error('批注保存失败:', error);
+    return false;
+  }
+  listeners.forEach(listener => listener());
+  return true;
+};
+
+/**
+ * 保留固定小数位
+ * @param {number} value - 数值
+ * @returns {number}
+ */
+const round = (value) => Math.round(value * PRECISION) / PRECISION;
+
+/**
+ * 两个矩形是否相交
+ * @param {Object} a - { x, y, w, h }
+ * @param {Object} b - { x, y, w, h }
+ * @returns {boolean}
+ */
+const intersects = (a, b) => a.x < b.x + b.w && b.x < a.x + a.w && a.y < b.y + b.h && b.y < a.y + a.h;
+
+/**
+ * 点到线段的距离
+ * @param {Array<number>} point - [x, y]
+ * @param {Array<number>} start - 线段起点
+ * @param {Array<number>} end - 线段终点
+ * @returns {number}
+ */
+const distanceToSegment = ([px, py], [x1, y1], [x2, y2]) => {
+  const length = (x2 - x1) ** 2 + (y2 - y1) ** 2;
+  const t = length === 0 ? 0 : Math.max(0, Math.min(1, ((px - x1) * (x2 - x1) + (py - y1) * (y2 - y1)) / length));
+  return Math.hypot(px - (x1 + t * (x2 - x1)), py - (y1 + t * (y2 - y1)));
+};
+
+/**
+ * 试卷批注工具类
+ * 批注按用户和文件保存，坐标为相对页面宽高的比例（0–1，原点在左上角），缩放后位置不变
+ * 批注结构：{ id, page, type, color, createdAt, ... }
+ * - highlight: { rects: [{ x, y, w, h }] }，拖选区域时吸附到区域内的文字
+ * - ink: { points: [[x, y]], width }
+ * - comment: { x, y, w, h, text }，固定在页面的某个区域（w、h 为 0 时固定在一个点）
+ * 后端对接：可以通过 /api/user/annotations/{fileId} 同步到服务器
+ */
+export const Annotations = {
+  /**
+   * 获取文件的全部批注
+   * @param {string} owner - 用户名
+   * @param {string} fileId - 文件ID
+   * @returns {Array<Object>}
+   */
+  get: (owner, fileId) => {
+    const saved = localStorage.getItem(fileKey(owner, fileId));
+    return saved ? JSON.parse(saved) : [];
+  },
+
+  /**
+   * 添加批注
+   * @param {string} owner - 用户名
+   * @param {string} fileId - 文件ID
+   * @param {Object} annotation - 不含 id 的批注
+   * @returns {Object|null} 保存后的批注，存储空间不足时返回 null
+   */
+  add: (owner, fileId, annotation) => {
+    const saved = {
+      ...annotation,
+      id: `annotation_${Date.now()}_${Math.random().toString(36).slice(2, 6)}`,
+      createdAt: new Date().toISOString()
+    };
+    return writeFile(owner, fileId, [...Annotations.get(owner, fileId), saved]) ? saved : null;
+  },
+
+  /**
+   * 修改批注（例如编辑评论内容）
+   * @param {string} owner - 用户名
+   * @param {string} fileId - 文件ID
+   * @param {string} id - 批注ID
+   * @param {Object} changes - 需要修改的字段
+   * @returns {boolean} 是否保存成功
+   */
+  update: (owner, fileId, id, changes) => {
+    return writeFile(owner, fileId, Annotations.get(owner, fileId).map(item => (item.id === id ? { ...item, ...changes } : item)));
+  },
+
+  /**
+   * 删除批注
+   * @param {string} owner - 用户名
+   * @param {string} fileId - 文件ID
+   * @param {string} id - 批注ID
+   * @returns {boolean} 是否保存成功
+   */
+  remove: (owner, fileId, id) => {
+    return writeFile(owner, fileId, Annotations.get(owner, fileId).filter(item => item.id !== id));
+  },
+
+  /**
+   * 清除一页的全部批注
+   * @param {string} owner - 用户名
+   * @param {string} fileId - 文件ID
+   * @param {number} page - 页码
+   * @returns {boolean} 是否保存成功
+   */
+  clearPage: (owner, fileId, page) => {
+    return writeFile(owner, fileId, Annotations.get(owner, fileId).filter(item => item.page !== page));
+  },
+
+  /**
+   * 订阅批注变化
+   * @param {Function} listener - 回调
+   * @returns {Function} 取消订阅函数
+   */
+  subscribe: (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  },
+
+  /**
+   * 由拖动的起点和终点得到矩形
+   * @param {Array<number>} start - [x, y]
+   * @param {Array<number>} end - [x, y]
+   * @returns {Object} { x, y, w, h }
+   */
+  toRect: ([x1, y1], [x2, y2]) => ({
+    x: round(Math.min(x1, x2)),
+    y: round(Math.min(y1, y2)),
+    w: round(Math.abs(x2 - x1)),
+    h: round(Math.abs(y2 - y1))
+  }),
+
+  /**
+   * 把高亮区域吸附到文字：取区域内的每段文字，横向裁剪到拖选范围
+   * @param {Object} rect - 拖选区域 { x, y, w, h }
+   * @param {Array<Object>} textBoxes - 页面上每段文字的位置 { x, y, w, h }
+   * @returns {Array<Object>} 高亮矩形，区域内没有文字时返回拖选区域本身
+   */
+  snapToText: (rect, textBoxes) => {
+    const rects = textBoxes
+      .filter(box => box.w > 0 && box.h > 0 && intersects(rect, box))
+      .map(box => {
+        const left = Math.max(box.x, rect.x);
+        const right = Math.min(box.x + box.w, rect.x + rect.w);
+        return { x: round(left), y: round(box.y), w: round(right - left), h: round(box.h) };
+      });
+    return rects.length > 0 ? rects : [rect];
+  },
+
+  /**
+   * 精简笔迹：去掉与上一个保留点距离过近的点（保留最后一个点）
+   * @param {Array<Array<number>>} points - [[x, y]]
+   * @returns {Array<Array<number>>}
+   */
+  simplifyStroke: (points) => {
+    if (points.length <= 2) return points.map(([x, y]) => [round(x), round(y)]);
+    const kept = [points[0]];
+    points.slice(1, -1).forEach(point => {
+      const last = kept[kept.length - 1];
+      if (Math.hypot(point[0] - last[0], point[1] - last[1]) >= INK_MIN_DISTANCE) kept.push(point);
+    });
+    kept.push(points[points.length - 1]);
+    return kept.map(([x, y]) => [round(x), round(y)]);
+  },
+
+  /**
+   * 找到某个位置上的批注（橡皮擦使用），后添加的优先
+   * @param {Array<Object>} annotations - 同一页的批注
+   * @param {Array<number>} point - [x, y]
+   * @param {number} tolerance - 允许的距离
+   * @returns {Object|null}
+   */
+  hitTest: (annotations, [px, py], tolerance = 0.01) => {
+    const around = { x: px - tolerance, y: py - tolerance, w: tolerance * 2, h: tolerance * 2 };
+    return [...annotations].reverse().find(item => {
+      if (item.type === 'highlight') return item.rects.some(rect => intersects(around, rect));
+      if (item.type === 'comment') return intersects(around, { x: item.x, y: item.y, w: Math.max(item.w, 0.02), h: Math.max(item.h, 0.02) });
+      if (item.type === 'ink') {
+        return item.points.length === 1
+          ? Math.hypot(px - item.points[0][0], py - item.points[0][1]) <= tolerance
+          : item.points.slice(1).some((point, index) => distanceToSegment([px, py], item.points[index], point) <= tolerance);
+      }
+      return false;
+    }) || null;
+  }
+};
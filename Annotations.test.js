@@ -0,0 +1,77 @@
+import { Annotations } from './Annotations';
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+test('stores annotations per user and per file', () => {
+  Annotations.add('alice', '9702_s23_qp_22', { type: 'comment', page: 2, x: 0.1, y: 0.2, w: 0, h: 0, text: 'Check units', color: '#fab005' });
+  Annotations.add('alice', '9702_s23_qp_22', { type: 'ink', page: 3, points: [[0, 0], [0.5, 0.5]], width: 0.003, color: '#212529' });
+  Annotations.add('bob', '9702_s23_qp_22', { type: 'comment', page: 2, x: 0.5, y: 0.5, w: 0, h: 0, text: 'Mine', color: '#fab005' });
+
+  expect(Annotations.get('alice', '9702_s23_qp_22')).toHaveLength(2);
+  expect(Annotations.get('bob', '9702_s23_qp_22')).toHaveLength(1);
+  expect(Annotations.get('alice', '9702_s23_ms_22')).toEqual([]);
+
+  const [comment] = Annotations.get('alice', '9702_s23_qp_22');
+  Annotations.update('alice', '9702_s23_qp_22', comment.id, { text: 'Check significant figures' });
+  expect(Annotations.get('alice', '9702_s23_qp_22')[0].text).toBe('Check significant figures');
+
+  Annotations.clearPage('alice', '9702_s23_qp_22', 2);
+  expect(Annotations.get('alice', '9702_s23_qp_22').map(item => item.page)).toEqual([3]);
+  Annotations.remove('alice', '9702_s23_qp_22', Annotations.get('alice', '9702_s23_qp_22')[0].id);
+  expect(localStorage.getItem('paperAnnotations_alice_9702_s23_qp_22')).toBeNull();
+  expect(JSON.parse(localStorage.getItem('paperAnnotations_bob_9702_s23_qp_22'))).toHaveLength(1);
+});
+
+test('reports annotations that could not be saved because storage is full', () => {
+  const first = Annotations.add('alice', '9702_s23_qp_22', { type: 'ink', page: 1, points: [[0, 0], [0.5, 0.5]], width: 0.003, color: '#212529' });
+  const listener = jest.fn();
+  const unsubscribe = Annotations.subscribe(listener);
+  const setItem = jest.spyOn(Storage.prototype, 'setItem').mockImplementation(() => {
+    throw new DOMException('Quota exceeded', 'QuotaExceededError');
+  });
+  const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  try {
+    expect(Annotations.add('alice', '9702_s23_qp_22', { type: 'ink', page: 1, points: [[0, 0]], width: 0.003, color: '#212529' })).toBeNull();
+    expect(Annotations.update('alice', '9702_s23_qp_22', first.id, { color: '#fa5252' })).toBe(false);
+    expect(Annotations.get('alice', '9702_s23_qp_22')).toEqual([first]);
+    expect(listener).not.toHaveBeenCalled();
+  } finally {
+    setItem.mockRestore();
+    consoleError.mockRestore();
+    unsubscribe();
+  }
+
+  expect(Annotations.remove('alice', '9702_s23_qp_22', first.id)).toBe(true);
+  expect(Annotations.get('alice', '9702_s23_qp_22')).toEqual([]);
+});
+
+test('snaps highlights to the text inside the selection', () => {
+  const lines = [
+    { x: 0.1, y: 0.1, w: 0.6, h: 0.02 },
+    { x: 0.1, y: 0.13, w: 0.4, h: 0.02 },
+    { x: 0.1, y: 0.5, w: 0.6, h: 0.02 }
+  ];
+  const rect = Annotations.toRect([0.3, 0.14], [0.2, 0.09]);
+  expect(rect).toEqual({ x: 0.2, y: 0.09, w: 0.1, h: 0.05 });
+  expect(Annotations.snapToText(rect, lines)).toEqual([
+    { x: 0.2, y: 0.1, w: 0.1, h: 0.02 },
+    { x: 0.2, y: 0.13, w: 0.1, h: 0.02 }
+  ]);
+
+  const empty = { x: 0.8, y: 0.8, w: 0.1, h: 0.1 };
+  expect(Annotations.snapToText(empty, lines)).toEqual([empty]);
+});
+
+test('simplifies strokes and finds annotations under the eraser', () => {
+  const points = [[0, 0], [0.0005, 0], [0.001, 0], [0.1, 0], [0.1005, 0]];
+  expect(Annotations.simplifyStroke(points)).toEqual([[0, 0], [0.1, 0], [0.1005, 0]]);
+
+  const ink = { id: 'ink', type: 'ink', points: [[0.1, 0.1], [0.5, 0.1]] };
+  const highlight = { id: 'highlight', type: 'highlight', rects: [{ x: 0.6, y: 0.6, w: 0.2, h: 0.02 }] };
+  expect(Annotations.hitTest([ink, highlight], [0.3, 0.105])).toBe(ink);
+  expect(Annotations.hitTest([ink, highlight], [0.7, 0.61])).toBe(highlight);
+  expect(Annotations.hitTest([ink, highlight], [0.3, 0.3])).toBeNull();
+});
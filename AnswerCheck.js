@@ -0,0 +1,40 @@
+import React from 'react';
+import { AnswerChecker } from './AnswerChecker.js';
+
+/**
+ * AnswerCheck 组件 - 检查一个小题的最终数值答案
+ * 自评时显示在题目下方，输入答案后立即按评分标准检查数值、单位和有效数字，并说明不一致的原因
+ * @param {Object} props
+ * @param {Object} props.spec - 评分标准中的最终答案 { part, answer, sigFigs?, tolerance? }
+ * @param {string} props.value - 输入的答案
+ * @param {Function} props.onChange - 修改答案的回调
+ */
+const AnswerCheck = ({ spec, value, onChange }) => {
+  const result = value.trim() ? AnswerChecker.check(spec, value) : null;
+
+  return (
+    <div className={`answer-check ${result ? result.status : ''}`}>
+      <div className="answer-check-input">
+        <span className="answer-check-part">{spec.part}</span>
+        <input
+          placeholder={spec.sigFigs ? `Final answer (${spec.sigFigs} s.f.)` : 'Final answer'}
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          aria-label={`Final answer for ${spec.part}`}
+        />
+        {result && (
+          <span className="answer-check-result" title={result.correct ? 'Matches the mark scheme' : 'Does not match the mark scheme'}>
+            {result.correct ? '✓' : '✗'}
+          </span>
+        )}
+      </div>
+      {result && result.messages.length > 0 && (
+        <ul className="answer-check-messages">
+          {result.messages.map(message => <li key={message}>{message}</li>)}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default AnswerCheck;
@@ -0,0 +1,341 @@
+// ==================== 数值答案检查 ====================
+import { MathExpression } from './MathExpression.js';
+
+/**
+ * 量纲顺序：kg, m, s, A, K, mol
+ */
+const DIMENSION_COUNT = 6;
+
+/**
+ * 定义一个单位
+ * @param {number} factor - 换算到 SI 基本单位的系数
+ * @param {Array<number>} dims - 各基本单位的指数
+ * @param {number} offset - 换算时的偏移量（只用于 °C）
+ * @returns {Object} { factor, dims, offset }
+ */
+const unit = (factor, dims, offset = 0) => ({ factor, dims, offset });
+
+/**
+ * 可以识别的单位（不带前缀）
+ */
+const UNITS = {
+  m: unit(1, [0, 1, 0, 0, 0, 0]),
+  g: unit(1e-3, [1, 0, 0, 0, 0, 0]),
+  s: unit(1, [0, 0, 1, 0, 0, 0]),
+  A: unit(1, [0, 0, 0, 1, 0, 0]),
+  K: unit(1, [0, 0, 0, 0, 1, 0]),
+  mol: unit(1, [0, 0, 0, 0, 0, 1]),
+  N: unit(1, [1, 1, -2, 0, 0, 0]),
+  J: unit(1, [1, 2, -2, 0, 0, 0]),
+  W: unit(1, [1, 2, -3, 0, 0, 0]),
+  Pa: unit(1, [1, -1, -2, 0, 0, 0]),
+  Hz: unit(1, [0, 0, -1, 0, 0, 0]),
+  C: unit(1, [0, 0, 1, 1, 0, 0]),
+  V: unit(1, [1, 2, -3, -1, 0, 0]),
+  'Ω': unit(1, [1, 2, -3, -2, 0, 0]),
+  ohm: unit(1, [1, 2, -3, -2, 0, 0]),
+  F: unit(1, [-1, -2, 4, 2, 0, 0]),
+  T: unit(1, [1, 0, -2, -1, 0, 0]),
+  Wb: unit(1, [1, 2, -2, -1, 0, 0]),
+  eV: unit(1.602176634e-19, [1, 2, -2, 0, 0, 0]),
+  L: unit(1e-3, [0, 3, 0, 0, 0, 0]),
+  l: unit(1e-3, [0, 3, 0, 0, 0, 0]),
+  min: unit(60, [0, 0, 1, 0, 0, 0]),
+  h: unit(3600, [0, 0, 1, 0, 0, 0]),
+  '°C': unit(1, [0, 0, 0, 0, 1, 0], 273.15),
+  rad: unit(1, [0, 0, 0, 0, 0, 0]),
+  '°': unit(Math.PI / 180, [0, 0, 0, 0, 0, 0]),
+  '%': unit(0.01, [0, 0, 0, 0, 0, 0])
+};
+
+/**
+ * 单位前缀（T 不作为前缀，单独出现时表示特斯拉）
+ */
+const PREFIXES = {
+  p: 1e-12, n: 1e-9, 'µ': 1e-6, u: 1e-6, m: 1e-3, c: 1e-2, d: 1e-1, k: 1e3, M: 1e6, G: 1e9
+};
+
+/**
+ * 上标字符对应的普通字符
+ */
+const SUPERSCRIPTS = {
+  '⁰': '0', '¹': '1', '²': '2', '³': '3', '⁴': '4', '⁵': '5', '⁶': '6', '⁷': '7', '⁸': '8', '⁹': '9', '⁻': '-', '⁺': '+'
+};
+
+/**
+ * 数值部分：小数，可以带 e 记法或 ×10^n
+ */
+const NUMBER_PATTERN = /^([+-]?)(\d+(?:\.\d*)?|\.\d+)(?:[eE]([+-]?\d+)|\s*[x×*]\s*10\s*\^\s*\(?\s*([+-]?\d+)\s*\)?)?/;
+
+/**
+ * 数值比较时允许的相对误差（浮点运算）
+ */
+const EPSILON = 1e-9;
+
+/**
+ * 统一写法：上标换成 ^n，减号、μ 和 ohm 符号换成键盘字符
+ * @param {string} text - 输入
+ * @returns {string}
+ */
+const normalize = (text) => text
+  .trim()
+  .replace(/[⁰¹²³⁴⁵⁶⁷⁸⁹⁻⁺]+/g, match => `^${[...match].map(char => SUPERSCRIPTS[char]).join('')}`)
+  .replace(/[−–]/g, '-')
+  .replace(/μ/g, 'µ')
+  .replace(/\u2126/g, 'Ω');
+
+/**
+ * 有效数字位数；整数末尾的 0 无法判断是否有效，因此给出范围
+ * @param {string} digits - 不带符号的尾数，例如 '0.0250'、'2500'
+ * @returns {Object} { min, max }
+ */
+const countSigFigs = (digits) => {
+  const hasPoint = digits.includes('.');
+  const significant = digits.replace('.', '').replace(/^0+/, '');
+  if (significant === '') {
+    const decimals = hasPoint ? digits.split('.')[1].length : 0;
+    return { min: Math.max(decimals, 1), max: Math.max(decimals, 1) };
+  }
+  if (hasPoint) return { min: significant.length, max: significant.length };
+  const trailingZeros = significant.match(/0*$/)[0].length;
+  return { min: significant.length - trailingZeros, max: significant.length };
+};
+
+/**
+ * 最后一位有效数字的位值（按最少的有效数字计算）
+ * @param {number} value - 数值
+ * @param {Object} sigFigs - { min, max }
+ * @param {number} decimals - 尾数的小数位数
+ * @param {number} exponent - 10 的指数
+ * @returns {number}
+ */
+const lastPlace = (value, sigFigs, decimals, exponent) => {
+  if (value === 0) return 10 ** (exponent - decimals);
+  return 10 ** (Math.floor(Math.log10(Math.abs(value))) - sigFigs.min + 1);
+};
+
+/**
+ * 解析单位
+ * @param {string} text - 单位，例如 'm s^-1'、'kg/m3'、'kΩ'
+ * @returns {Object|null} { text, factor, dims, offset }，没有单位时为 null
+ * @throws {Error} 无法识别的单位
+ */
+const parseUnit = (text) => {
+  const trimmed = text.trim();
+  if (!trimmed) return null;
+
+  const [numerator, denominator = '', extra] = trimmed.replace(/[()]/g, ' ').split('/');
+  if (extra !== undefined) throw new Error('Use at most one / in a unit');
+
+  const result = { text: trimmed, factor: 1, dims: new Array(DIMENSION_COUNT).fill(0), offset: 0 };
+  const tokens = [
+    ...numerator.split(/[\s·.*]+/).filter(Boolean).map(token => [token, 1]),
+    ...denominator.split(/[\s·.*]+/).filter(Boolean).map(token => [token, -1])
+  ];
+
+  tokens.forEach(([token, sign]) => {
+    const match = token.match(/^([A-Za-zΩµ°%]+)(?:\^?([+-]?\d+))?$/);
+    if (!match) throw new Error(`Unknown unit "${token}"`);
+    const [, name, power = '1'] = match;
+    const exponent = Number(power) * sign;
+
+    // 先按完整单位名匹配（min、mol、Pa），再按前缀加单位匹配（ms、kg、mA）
+    let factor;
+    let base = UNITS[name];
+    if (base) {
+      factor = base.factor;
+    } else if (PREFIXES[name[0]] && UNITS[name.slice(1)]) {
+      base = UNITS[name.slice(1)];
+      factor = PREFIXES[name[0]] * base.factor;
+    } else {
+      throw new Error(`Unknown unit "${name}"`);
+    }
+
+    result.factor *= factor ** exponent;
+    base.dims.forEach((dim, i) => { result.dims[i] += dim * exponent; });
+    // 摄氏温度只有单独出现时才按温度换算，出现在组合单位中时表示温差
+    if (base.offset && tokens.length === 1 && exponent === 1) result.offset = base.offset;
+  });
+
+  return result;
+};
+
+/**
+ * 两个单位是否表示同一种物理量
+ * @param {Object|null} a - 单位
+ * @param {Object|null} b - 单位
+ * @returns {boolean}
+ */
+const sameDimensions = (a, b) => {
+  const dimsA = a ? a.dims : new Array(DIMENSION_COUNT).fill(0);
+  const dimsB = b ? b.dims : new Array(DIMENSION_COUNT).fill(0);
+  return dimsA.every((dim, i) => dim === dimsB[i]);
+};
+
+/**
+ * 显示用的数值，去掉浮点误差
+ * @param {number} value - 数值
+ * @returns {string}
+ */
+const show = (value) => MathExpression.format(Number(value.toPrecision(6)));
+
+/**
+ * 解析评分标准中的容差
+ * @param {string} tolerance - '±0.1'（绝对误差）、'2%'（相对误差）或 '2.3 to 2.5'（范围），单位与答案相同
+ * @param {number} value - 标准答案的数值
+ * @returns {Array<number>} [下限, 上限]
+ * @throws {Error} 无法识别的容差
+ */
+const parseTolerance = (tolerance, value) => {
+  const text = normalize(tolerance);
+  // 范围中的短横线在统一写法前拆分，避免与负号混淆
+  const range = tolerance.trim().split(/\s+to\s+|\s*–\s*|\s+-\s+/);
+  if (range.length === 2) {
+    const [low, high] = range.map(part => AnswerChecker.parse(part).value).sort((a, b) => a - b);
+    return [low, high];
+  }
+  const match = text.match(/^(±|\+\/-)?\s*(\d+(?:\.\d*)?|\.\d+)(?:[eE]([+-]?\d+))?\s*(%)?$/);
+  if (!match) throw new Error('Tolerance must look like ±0.1, 2% or 2.3 to 2.5');
+  const amount = Number(match[2]) * 10 ** Number(match[3] || 0);
+  const spread = match[4] ? Math.abs(value) * amount / 100 : amount;
+  return [value - spread, value + spread];
+};
+
+/**
+ * 数值答案检查工具类
+ * 解析数值（含 e 记法、×10^n 和上标）、单位和有效数字，按评分标准的容差检查结构题的最终答案，
+ * 并说明不一致的原因（缺少单位、单位不对、数量级错误、有效数字过多或过少）
+ * 标准答案结构：{ part, answer: '2.4 m s^-1', sigFigs?, tolerance? }
+ * - sigFigs: 评分标准要求的有效数字位数（可选，没有时不检查有效数字）
+ * - tolerance: 容差（可选，没有时允许标准答案最后一位的 ±0.5）
+ */
+export const AnswerChecker = {
+  /**
+   * 解析带单位的数值
+   * @param {string} text - 例如 '3.0 × 10^8 m s^-1'、'2.5e-3 A'、'25 °C'
+   * @returns {Object} { value, sigFigs: { min, max }, lastPlace, unit }
+   * @throws {Error} 无法解析时
+   */
+  parse: (text) => {
+    const normalized = normalize(String(text));
+    const match = normalized.match(NUMBER_PATTERN);
+    if (!match) throw new Error('Start the answer with a number, e.g. 2.4 or 3.0 × 10^8');
+
+    const [whole, sign, digits, eExponent, timesExponent] = match;
+    const exponent = Number(eExponent ?? timesExponent ?? 0);
+    const value = Number(`${sign}${digits}e${exponent}`);
+    const sigFigs = countSigFigs(digits);
+    const decimals = digits.includes('.') ? digits.split('.')[1].length : 0;
+
+    return {
+      value,
+      sigFigs,
+      lastPlace: lastPlace(value, sigFigs, decimals, exponent),
+      unit: parseUnit(normalized.slice(whole.length))
+    };
+  },
+
+  /**
+   * 检查标准答案的写法
+   * @param {Object} spec - { part, answer, sigFigs?, tolerance? }
+   * @returns {string|null} 错误信息，没有问题时为 null
+   */
+  validateSpec: (spec) => {
+    try {
+      const expected = AnswerChecker.parse(spec.answer);
+      if (spec.sigFigs !== undefined && (!Number.isInteger(spec.sigFigs) || spec.sigFigs < 1 || spec.sigFigs > 10)) {
+        return 'significant figures must be a whole number from 1 to 10';
+      }
+      if (spec.tolerance) parseTolerance(spec.tolerance, expected.value);
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  },
+
+  /**
+   * 按标准答案检查学生的答案
+   * @param {Object} spec - { part, answer, sigFigs?, tolerance? }
+   * @param {string} text - 学生的答案
+   * @returns {Object} { correct, status, messages }
+   *   status: 'correct' | 'unreadable' | 'missing-unit' | 'wrong-unit' | 'wrong-value' | 'sig-figs'，
+   *   有多个问题时为第一个问题
+   */
+  check: (spec, text) => {
+    const expected = AnswerChecker.parse(spec.answer);
+    let answer;
+    try {
+      answer = AnswerChecker.parse(text);
+    } catch (error) {
+      return { correct: false, status: 'unreadable', messages: [error.message] };
+    }
+
+    const issues = [];
+    const notes = [];
+    const unitText = expected.unit ? expected.unit.text : '';
+
+    // 单位：缺少单位时按标准答案的单位比较数值
+    let value = answer.value;
+    if (expected.unit && !answer.unit) {
+      issues.push(['missing-unit', `Add a unit — the mark scheme answer is in ${unitText}`]);
+    } else if (answer.unit && !sameDimensions(answer.unit, expected.unit)) {
+      const messages = [expected.unit
+        ? `${answer.unit.text} does not measure the same quantity as ${unitText}`
+        : `This answer has no unit, but you gave ${answer.unit.text}`];
+      // 常见写法错误：ms^-1 表示每毫秒，米每秒要写成 m s^-1
+      const spaced = answer.unit.text.replace(/^m(?=[A-Za-z])/, 'm ');
+      if (spaced !== answer.unit.text) {
+        try {
+          if (sameDimensions(parseUnit(spaced), expected.unit)) messages.push(`Leave a space after m — ${answer.unit.text} starts with the prefix milli; write ${spaced}`);
+        } catch (error) {
+          // 加空格后仍无法识别时不提示
+        }
+      }
+      return { correct: false, status: 'wrong-unit', messages };
+    } else if (answer.unit) {
+      const expectedFactor = expected.unit ? expected.unit.factor : 1;
+      const expectedOffset = expected.unit ? expected.unit.offset : 0;
+      value = (answer.value * answer.unit.factor + answer.unit.offset - expectedOffset) / expectedFactor;
+      if (answer.unit.text !== unitText && value !== answer.value) notes.push(`${show(answer.value)} ${answer.unit.text} = ${show(value)} ${unitText}`.trim());
+    }
+
+    // 数值：有容差时按容差；没有时允许标准答案最后一位的 ±0.5，学生保留的位数更少时与标准答案的舍入值比较
+    const tolerance = spec.tolerance
+      ? parseTolerance(spec.tolerance, expected.value)
+      : [expected.value - expected.lastPlace / 2, expected.value + expected.lastPlace / 2];
+    const margin = Math.max(Math.abs(tolerance[0]), Math.abs(tolerance[1])) * EPSILON;
+    const within = (candidate) => candidate >= tolerance[0] - margin && candidate <= tolerance[1] + margin;
+    const scale = answer.unit ? answer.unit.factor / (expected.unit ? expected.unit.factor : 1) : 1;
+    const answerPlace = answer.lastPlace * scale;
+    // 位数更少但与标准答案的舍入值一致：评分标准要求有效数字时只报有效数字问题，否则接受并提示
+    const roundedMatch = answer.sigFigs.max < expected.sigFigs.min &&
+      Math.abs(value - expected.value) <= answerPlace / 2 * (1 + EPSILON);
+
+    if (within(value) || (roundedMatch && (spec.sigFigs || !spec.tolerance))) {
+      if (roundedMatch && !spec.sigFigs && !within(value)) notes.push(`The mark scheme gives ${spec.answer}; check the question allows ${answer.sigFigs.max} significant figure${answer.sigFigs.max === 1 ? '' : 's'}`);
+    } else if (value !== 0 && within(-value)) {
+      issues.push(['wrong-value', 'Check the sign — the size is right but the sign is wrong']);
+    } else {
+      const power = value === 0 || expected.value === 0 ? 0 : Math.round(Math.log10(value / expected.value));
+      if (power !== 0 && within(value / 10 ** power)) {
+        issues.push(['wrong-value', `Check your powers of ten — the answer is 10^${Math.abs(power)} times too ${power > 0 ? 'large' : 'small'}`]);
+      } else {
+        issues.push(['wrong-value', `${show(value)} is outside the accepted range ${show(tolerance[0])} to ${show(tolerance[1])}${unitText ? ` ${unitText}` : ''}`]);
+      }
+    }
+
+    // 有效数字：只在评分标准有要求时检查
+    if (spec.sigFigs) {
+      const { min, max } = answer.sigFigs;
+      const given = min === max ? String(min) : `${min}–${max}`;
+      if (max < spec.sigFigs) {
+        issues.push(['sig-figs', `Too few significant figures — give ${spec.sigFigs} (you gave ${given})`]);
+      } else if (min > spec.sigFigs) {
+        issues.push(['sig-figs', `Too many significant figures — give ${spec.sigFigs} (you gave ${given})`]);
+      }
+    }
+
+    if (issues.length === 0) return { correct: true, status: 'correct', messages: notes };
+    return { correct: false, status: issues[0][0], messages: [...issues.map(([, message]) => message), ...notes] };
+  }
+};
@@ -0,0 +1,66 @@
+import { AnswerChecker } from './AnswerChecker';
+
+const check = (spec, text) => AnswerChecker.check(spec, text);
+
+test('parses numbers, powers of ten, units and significant figures', () => {
+  const speed = AnswerChecker.parse('3.00 × 10^8 m s⁻¹');
+  expect(speed.value).toBe(3e8);
+  expect(speed.sigFigs).toEqual({ min: 3, max: 3 });
+  expect(speed.unit.dims).toEqual([0, 1, -1, 0, 0, 0]);
+
+  expect(AnswerChecker.parse('2.5e-3 A').value).toBe(0.0025);
+  expect(AnswerChecker.parse('0.0250').sigFigs).toEqual({ min: 3, max: 3 });
+  expect(AnswerChecker.parse('2500').sigFigs).toEqual({ min: 2, max: 4 });
+  expect(AnswerChecker.parse('4.7 kΩ').unit.factor).toBe(1000);
+  expect(AnswerChecker.parse('13.6 g/cm3').unit.factor).toBeCloseTo(1000);
+  expect(() => AnswerChecker.parse('about 3')).toThrow('Start the answer with a number');
+  expect(() => AnswerChecker.parse('3 furlongs')).toThrow('Unknown unit "furlongs"');
+});
+
+test('accepts equivalent answers in other units and within tolerance', () => {
+  const spec = { part: '(b)', answer: '2.4 m s^-1' };
+  expect(check(spec, '2.4 m s^-1').correct).toBe(true);
+  expect(check(spec, '2.44 m/s').correct).toBe(true);
+  expect(check(spec, '240 cm s-1')).toEqual({ correct: true, status: 'correct', messages: ['240 cm s-1 = 2.4 m s^-1'] });
+  expect(check(spec, '2.5 m s^-1').status).toBe('wrong-value');
+
+  expect(check({ part: '(a)', answer: '25 °C' }, '298 K').correct).toBe(true);
+  expect(check({ part: '(a)', answer: '0.35', tolerance: '0.30 to 0.40' }, '0.31').correct).toBe(true);
+  expect(check({ part: '(a)', answer: '1.60 × 10^-19 C', tolerance: '1%' }, '1.615e-19 C').correct).toBe(true);
+  expect(check({ part: '(a)', answer: '9.81 N', tolerance: '±0.05' }, '9.9 N').correct).toBe(false);
+
+  // 保留位数更少但与标准答案的舍入值一致时接受并提示
+  const rounded = check({ part: '(c)', answer: '2.43 J' }, '2.4 J');
+  expect(rounded.correct).toBe(true);
+  expect(rounded.messages[0]).toMatch(/allows 2 significant figures/);
+});
+
+test('explains unit, power of ten, sign and significant figure mistakes', () => {
+  const spec = { part: '(b)(ii)', answer: '3.2 × 10^-3 A', sigFigs: 2 };
+  expect(check(spec, '3.2 × 10^-3')).toEqual({
+    correct: false,
+    status: 'missing-unit',
+    messages: ['Add a unit — the mark scheme answer is in A']
+  });
+  expect(check(spec, '3.2 × 10^-3 V').status).toBe('wrong-unit');
+  expect(check(spec, '3.2 A').messages).toEqual(['Check your powers of ten — the answer is 10^3 times too large']);
+  expect(check(spec, '-3.2 mA').messages[0]).toBe('Check the sign — the size is right but the sign is wrong');
+  expect(check(spec, '3.20 mA')).toEqual({
+    correct: false,
+    status: 'sig-figs',
+    messages: ['Too many significant figures — give 2 (you gave 3)', '3.2 mA = 0.0032 A']
+  });
+  expect(check(spec, '3 mA').messages[0]).toBe('Too few significant figures — give 2 (you gave 1)');
+  expect(check({ part: '(a)', answer: '2.4 m s^-1' }, '2.4 ms^-1').messages).toEqual([
+    'ms^-1 does not measure the same quantity as m s^-1',
+    'Leave a space after m — ms^-1 starts with the prefix milli; write m s^-1'
+  ]);
+  expect(check(spec, 'three').status).toBe('unreadable');
+});
+
+test('validates mark scheme answers', () => {
+  expect(AnswerChecker.validateSpec({ part: '(a)', answer: '6.0 N', sigFigs: 2, tolerance: '±0.2' })).toBeNull();
+  expect(AnswerChecker.validateSpec({ part: '(a)', answer: '6.0 N', sigFigs: 0 })).toBe('significant figures must be a whole number from 1 to 10');
+  expect(AnswerChecker.validateSpec({ part: '(a)', answer: '6.0 N', tolerance: 'roughly' })).toBe('Tolerance must look like ±0.1, 2% or 2.3 to 2.5');
+  expect(AnswerChecker.validateSpec({ part: '(a)', answer: 'N' })).toMatch(/Start the answer with a number/);
+});
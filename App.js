@@ -1,17 +1,94 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo } from 'react';
 //===================== 样式 =======================
 import './App.css';
 // ==================== 工具函数 ====================
 import { CookieUtils, HistoryUtils } from './CookieUtils.js';
 import { ApiService } from './APIservice.js';
+import { PaperCatalog } from './PaperCatalog.js';
+import { UrlUtils } from './UrlUtils.js';
 // ==================== 组件 ====================
 import Login from './Login.js';
 import UserProfile from './UserProfile.js';
+import PaperFilters, { EMPTY_PAPER_FILTERS } from './PaperFilters.js';
+import GlobalSearch from './GlobalSearch.js';
+import PaperSplitView from './PaperSplitView.js';
+import PdfViewer from './PdfViewer.js';
+import { OfflineLibrary } from './OfflineLibrary.js';
+import McqAnswerSheet from './McqAnswerSheet.js';
+import ExamMode from './ExamMode.js';
+import SelfMarkForm from './SelfMarkForm.js';
+import { PaperProgressBadge, TopicProgress } from './AttemptProgress.js';
+import GradePrediction from './GradePrediction.js';
+import QuestionIndexEditor from './QuestionIndexEditor.js';
+import QuestionBrowser from './QuestionBrowser.js';
+import WorksheetBuilder from './WorksheetBuilder.js';
+import MockExamBuilder from './MockExamBuilder.js';
+import MistakeBookView from './MistakeBookView.js';
+import FlashcardsView from './FlashcardsView.js';
+import ToolsPanel from './ToolsPanel.js';
+import ReferenceDrawer from './ReferenceDrawer.js';
+import SyllabusTree from './SyllabusTree.js';
+import SyllabusCompare from './SyllabusCompare.js';
+import TextbookReader from './TextbookReader.js';
+import DocumentImport from './DocumentImport.js';
+import PersonalDocumentViewer from './PersonalDocumentViewer.js';
+import { Worksheets } from './Worksheets.js';
+import { AttemptLog } from './AttemptLog.js';
+import { PaperWorkspace } from './PaperWorkspace.js';
+import { ReferenceBooklets } from './ReferenceBooklets.js';
+import { SyllabusProgress } from './SyllabusProgress.js';
+import { QuestionIndex } from './QuestionIndex.js';
+import { SyllabusDiff } from './SyllabusDiff.js';
+import { Textbooks } from './Textbooks.js';
+import { PersonalLibrary } from './PersonalLibrary.js';
 
 
 // ==================== 模拟数据 ====================
 import { subjectsData, userTestData } from './mockData.js';
 
+/**
+ * 教科书和教学大纲标签页按学科分组显示的学科，导入个人文件时也从中选择
+ */
+const LIBRARY_SUBJECTS = ['Physics', 'Mathematics', 'Chemistry', 'Biology'];
+
+/**
+ * 全局搜索的本地索引数据源（导入的个人文件在 App 中合并进来）
+ */
+const searchSources = {
+  subjects: subjectsData,
+  textBooks: userTestData.textBooks,
+  syllabuses: userTestData.syllabuses,
+  notebooks: userTestData.notebooks
+};
+
+/**
+ * DocumentViewer 组件 - 在教学大纲标签页内阅读文档（教科书使用 TextbookReader）
+ * 定义在 App 外部，避免 App 每次重新渲染时重新加载PDF
+ * @param {Object} props
+ * @param {string} props.title - 文档标题
+ * @param {string} props.subtitle - 副标题
+ * @param {string} props.fileId - 文件ID
+ * @param {string} props.backLabel - 返回按钮文字
+ * @param {Function} props.onBack - 返回回调
+ */
+const DocumentViewer = ({ title, subtitle, fileId, backLabel, onBack }) => (
+  <div className="file-preview-container">
+    <div className="file-preview-header">
+      <div className="file-info">
+        <h2>{title}</h2>
+        <div className="file-meta">
+          <span className="document-subtitle">{subtitle}</span>
+        </div>
+      </div>
+      <button className="back-to-papers-btn" onClick={onBack}>
+        {backLabel}
+      </button>
+    </div>
+    <div className="file-preview-content">
+      <PdfViewer fileId={fileId} title={title} />
+    </div>
+  </div>
+);
 
 
 // ==================== 主组件 ====================
@@ -37,13 +114,43 @@ function App() {
 
   /**
    * 选中的学科
+   * 初始值从URL恢复（?subject=physics），支持分享链接
    */
-  const [selectedSubject, setSelectedSubject] = useState(null);
+  const [selectedSubject, setSelectedSubject] = useState(() => {
+    const subjectKey = UrlUtils.getQueryParam('subject');
+    return subjectsData[subjectKey] ? subjectKey : null;
+  });
   
   /**
    * 选中的主题/课程
+   * 初始值从URL恢复（?topic=9702）
+   */
+  const [selectedTopic, setSelectedTopic] = useState(() => {
+    const subject = subjectsData[UrlUtils.getQueryParam('subject')];
+    return subject?.topics.find(topic => topic.id === UrlUtils.getQueryParam('topic')) || null;
+  });
+  
+  /**
+   * 试卷筛选条件（均为多选）
+   * 结构：{ years: string[], sessions: string[], papers: string[], variants: string[] }
+   * 初始值从URL恢复（?year=2023,2022&session=s&paper=1&variant=2）
    */
-  const [selectedTopic, setSelectedTopic] = useState(null);
+  const [paperFilters, setPaperFilters] = useState(() => ({
+    years: UrlUtils.getQueryList('year'),
+    sessions: UrlUtils.getQueryList('session'),
+    papers: UrlUtils.getQueryList('paper'),
+    variants: UrlUtils.getQueryList('variant')
+  }));
+  
+  /**
+   * 当前课程的试卷列表（来自试卷目录）
+   */
+  const [papers, setPapers] = useState([]);
+  
+  /**
+   * 试卷列表加载状态
+   */
+  const [papersLoading, setPapersLoading] = useState(false);
   
   /**
    * 浏览历史记录
@@ -52,7 +159,7 @@ function App() {
 
   /**
    * 当前激活的标签页
-   * 可能的值：'search', 'textbook', 'syllabus', 'notebook', 'history'
+   * 可能的值：'search', 'textbook', 'syllabus', 'notebook', 'mistakes', 'flashcards', 'history'
    */
   const [activeTab, setActiveTab] = useState('search');
   
@@ -61,6 +168,110 @@ function App() {
    */
   const [viewingFile, setViewingFile] = useState(null);
   
+  /**
+   * 笔记本中当前打开的笔记ID
+   */
+  const [selectedNoteId, setSelectedNoteId] = useState(null);
+  
+  /**
+   * 全局搜索选中后需要高亮定位的条目
+   * 结构：{ kind: 'textbook' | 'syllabus', id: number }
+   */
+  const [highlightedItem, setHighlightedItem] = useState(null);
+  
+  /**
+   * 是否以分屏方式同时显示试卷与评分标准
+   */
+  const [showSplitView, setShowSplitView] = useState(false);
+  
+  /**
+   * 教材/教学大纲标签页中正在阅读的文档
+   * 结构：{ kind: 'textbook' | 'syllabus' | 'objectives' | 'compare', item: Object, page?: number }，
+   * objectives 为大纲的知识点树，compare 为大纲版本对比，page 为教科书打开时跳转的页码
+   */
+  const [viewingDocument, setViewingDocument] = useState(null);
+  
+  /**
+   * 导入的个人文件（不含文件内容），显示在教科书和教学大纲标签页
+   */
+  const [personalDocuments, setPersonalDocuments] = useState([]);
+  
+  /**
+   * 正在导入文件的库，'textbook' | 'syllabus'，为 null 时不显示导入弹窗
+   */
+  const [importingLibrary, setImportingLibrary] = useState(null);
+  
+  /**
+   * 已保存到离线库的文件ID
+   */
+  const [downloadedIds, setDownloadedIds] = useState(() => new Set());
+  
+  /**
+   * 正在下载的文件ID
+   */
+  const [downloadingIds, setDownloadingIds] = useState(() => new Set());
+  
+  /**
+   * 进行中的限时考试
+   * 结构：{ paperId, startedAt, endsAt, lockNavigation }
+   */
+  const [examSession, setExamSession] = useState(null);
+  
+  /**
+   * 选择题考试交卷信号，递增时答题卡立即提交
+   */
+  const [examSubmitSignal, setExamSubmitSignal] = useState(0);
+  
+  /**
+   * 全部作答记录，用于在试卷卡片和课程卡片上显示完成情况与最好成绩
+   */
+  const [attempts, setAttempts] = useState(() => AttemptLog.getAllAttempts());
+  
+  /**
+   * 是否在非选择题试卷旁显示自评记录表
+   */
+  const [showSelfMark, setShowSelfMark] = useState(false);
+  
+  /**
+   * 是否在试卷旁显示题目索引编辑器
+   */
+  const [showQuestionIndex, setShowQuestionIndex] = useState(false);
+  
+  /**
+   * 是否在试卷旁显示工具面板（计算器、函数绘图、草稿纸），切换试卷时保持
+   */
+  const [showTools, setShowTools] = useState(false);
+  
+  /**
+   * 打开的数据手册抽屉 { topicId, year }，为 null 时关闭
+   */
+  const [referenceDrawer, setReferenceDrawer] = useState(null);
+  
+  /**
+   * 预览中PDF的跳转请求 { page }，从按知识点浏览打开题目时定位到该题
+   */
+  const [previewPageRequest, setPreviewPageRequest] = useState(null);
+  
+  /**
+   * 预览中PDF的当前页，供题目索引编辑器填写页码
+   */
+  const [previewPage, setPreviewPage] = useState(null);
+  
+  /**
+   * 从分享链接（?worksheet=...）打开的练习卷
+   */
+  const [sharedWorksheet] = useState(() => {
+    const encoded = UrlUtils.getQueryParam('worksheet');
+    return encoded ? Worksheets.decodeShare(encoded) : null;
+  });
+  
+  /**
+   * 课程页面的浏览方式
+   * 可能的值：'papers'（按试卷）, 'objectives'（按知识点）, 'worksheet'（练习卷生成器）
+   * 从练习卷分享链接进入时直接打开练习卷生成器
+   */
+  const [paperBrowseMode, setPaperBrowseMode] = useState(() => (sharedWorksheet ? 'worksheet' : 'papers'));
+  
   /**
    * 是否显示文件预览
    */
@@ -143,6 +354,152 @@ function App() {
 
 
 
+  /**
+   * 作答记录变化（交卷、自评、考试结束）时刷新
+   */
+  // 作答记录按用户保存，登录、退出或切换用户后重新读取
+  useEffect(() => {
+    setAttempts(AttemptLog.getAllAttempts());
+    return AttemptLog.subscribe(() => setAttempts(AttemptLog.getAllAttempts()));
+  }, [user]);
+
+  /**
+   * 加载离线库中的文件列表，离线库变化（下载、删除、清理）时同步刷新
+   */
+  useEffect(() => {
+    const refresh = () => {
+      OfflineLibrary.list()
+        .then(entries => setDownloadedIds(new Set(entries.map(entry => entry.fileId))))
+        .catch(error => console.error('读取离线库失败:', error));
+    };
+    
+    refresh();
+    return OfflineLibrary.subscribe(refresh);
+  }, []);
+
+  /**
+   * 加载导入的个人文件，导入或删除后同步刷新
+   */
+  useEffect(() => {
+    const refresh = () => {
+      PersonalLibrary.list()
+        .then(setPersonalDocuments)
+        .catch(error => console.error('读取个人文件库失败:', error));
+    };
+    
+    refresh();
+    return PersonalLibrary.subscribe(refresh);
+  }, []);
+
+  /**
+   * 内置教科书和导入的个人教科书
+   */
+  const libraryTextbooks = useMemo(() => [
+    ...userTestData.textBooks,
+    ...personalDocuments.filter(entry => entry.library === 'textbook').map(PersonalLibrary.toLibraryItem)
+  ], [personalDocuments]);
+
+  /**
+   * 内置教学大纲和导入的个人大纲
+   */
+  const librarySyllabuses = useMemo(() => [
+    ...userTestData.syllabuses,
+    ...personalDocuments.filter(entry => entry.library === 'syllabus').map(PersonalLibrary.toLibraryItem)
+  ], [personalDocuments]);
+
+  /**
+   * 全局搜索数据源，包含个人文件
+   */
+  const librarySearchSources = useMemo(() => ({
+    ...searchSources,
+    textBooks: libraryTextbooks,
+    syllabuses: librarySyllabuses
+  }), [libraryTextbooks, librarySyllabuses]);
+
+  /**
+   * 从个人文件库删除导入的文件
+   * @param {Object} item - 个人文件卡片数据
+   */
+  const handleRemovePersonalDocument = async (item) => {
+    if (!window.confirm(`Remove "${item.title}" from this device?`)) return;
+    try {
+      await PersonalLibrary.remove(item.id);
+    } catch (error) {
+      console.error('删除个人文件失败:', error);
+      alert('Could not remove the file.');
+    }
+  };
+
+  /**
+   * 选中课程后加载试卷列表
+   */
+  useEffect(() => {
+    if (!selectedTopic) {
+      setPapers([]);
+      return;
+    }
+    
+    let cancelled = false;
+    setPapersLoading(true);
+    ApiService.getPapers(selectedTopic.id)
+      .then(response => {
+        if (!cancelled) {
+          setPapers(response.success ? response.data : []);
+        }
+      })
+      .catch(error => {
+        console.error('加载试卷列表失败:', error);
+        if (!cancelled) setPapers([]);
+      })
+      .finally(() => {
+        if (!cancelled) setPapersLoading(false);
+      });
+    
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedTopic]);
+
+  /**
+   * 把当前学科、课程和筛选条件同步到URL
+   */
+  useEffect(() => {
+    UrlUtils.setQueryParams({
+      subject: selectedSubject,
+      topic: selectedTopic?.id,
+      year: paperFilters.years,
+      session: paperFilters.sessions,
+      paper: paperFilters.papers,
+      variant: paperFilters.variants,
+      // 练习卷分享参数只在打开时读取一次
+      worksheet: null
+    });
+  }, [selectedSubject, selectedTopic, paperFilters]);
+
+  /**
+   * 全局搜索定位到教材/大纲后，滚动到对应卡片
+   */
+  useEffect(() => {
+    if (!highlightedItem) return;
+    const element = document.getElementById(`${highlightedItem.kind}-${highlightedItem.id}`);
+    if (element) {
+      element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+  }, [highlightedItem, activeTab]);
+
+  /**
+   * 考试进行中离开或刷新页面时提示
+   */
+  useEffect(() => {
+    if (!examSession) return;
+    const handleBeforeUnload = (event) => {
+      event.preventDefault();
+      event.returnValue = '';
+    };
+    window.addEventListener('beforeunload', handleBeforeUnload);
+    return () => window.removeEventListener('beforeunload', handleBeforeUnload);
+  }, [examSession]);
+
   /**
    * 实时更新文件查看时长
    */
@@ -245,6 +602,7 @@ function App() {
    * 显示用户资料页面
    */
   const showUserProfilePage = () => {
+    if (!leaveExamIfAllowed()) return;
     setShowUserProfile(true);
   };
 
@@ -359,9 +717,12 @@ function App() {
     setCurrentPage('login'); // 跳转到登录页面，显示用户切换界面
     setSelectedSubject(null);
     setSelectedTopic(null);
+    setPaperFilters(EMPTY_PAPER_FILTERS);
     setActiveTab('search');
     setViewingFile(null);
     setShowFilePreview(false);
+    setViewingDocument(null);
+    setExamSession(null);
     setShowUserProfile(false);
     
     console.log('用户切换完成，显示用户选择界面');
@@ -445,8 +806,10 @@ function App() {
    * @param {string} subjectKey - 学科键名
    */
   const handleSubjectClick = (subjectKey) => {
+    if (!leaveExamIfAllowed()) return;
     setSelectedSubject(subjectKey);
     setSelectedTopic(null);
+    setPaperFilters(EMPTY_PAPER_FILTERS);
     setShowFilePreview(false);
     setViewingFile(null);
   };
@@ -456,7 +819,9 @@ function App() {
    * @param {Object} topic - 主题对象
    */
   const handleTopicClick = (topic) => {
+    if (!leaveExamIfAllowed()) return;
     setSelectedTopic(topic);
+    setPaperFilters(EMPTY_PAPER_FILTERS);
     setShowFilePreview(false);
     setViewingFile(null);
   };
@@ -465,34 +830,210 @@ function App() {
    * 处理文件查看
    * @param {Object} file - 文件对象
    */
-  const handleFileView = (file) => {
+  const handleFileView = (file, { page } = {}) => {
     setViewingFile(file);
     setShowFilePreview(true);
+    setShowSplitView(false);
+    setShowSelfMark(false);
+    setShowQuestionIndex(false);
+    setPreviewPageRequest(page ? { page } : null);
+    setPreviewPage(null);
     
     // 记录开始时间
     setFileStartTime(Date.now());
     
-    // 添加到浏览历史
+    // 添加到浏览历史（从全局搜索打开时，学科和课程取自文件本身）
+    const subjectKey = file.subjectKey || selectedSubject;
     HistoryUtils.addToHistory({
       type: 'file',
       id: file.title,
       name: file.title,
-      subjectName: subjectsData[selectedSubject]?.name,
-      topicName: selectedTopic?.name
+      subjectName: subjectsData[subjectKey]?.name,
+      topicName: subjectsData[subjectKey]?.topics.find(topic => topic.id === file.topicId)?.name || selectedTopic?.name
     });
     
     loadBrowsingHistory();
   };
 
+  /**
+   * 下载文件：保存到本地磁盘，同时存入离线库
+   * 已在离线库中的文件直接从离线库读取，没有网络也能保存到磁盘
+   * @param {string} fileId - 文件ID
+   * @param {Object} meta - { title, kind: 'paper' | 'syllabus' }
+   */
+  const handleDownload = async (fileId, { title, kind }) => {
+    if (downloadingIds.has(fileId)) return;
+    setDownloadingIds(prev => new Set(prev).add(fileId));
+    
+    try {
+      const response = await ApiService.getFileContent(fileId);
+      if (!response.success) {
+        alert(response.message);
+        return;
+      }
+      
+      // 离线库保存失败（例如超出浏览器存储配额）时仍然保存到磁盘
+      if (!response.offline) {
+        try {
+          const evicted = await OfflineLibrary.save(fileId, response.data, { title, kind });
+          if (evicted.length > 0) {
+            console.log('离线库已满，已清理最久未打开的文件:', evicted.map(entry => entry.fileId));
+          }
+        } catch (error) {
+          console.error('离线库保存失败:', error);
+        }
+      }
+      OfflineLibrary.saveToDisk(response.data, `${fileId}.pdf`);
+    } catch (error) {
+      console.error('下载失败:', error);
+      alert('Download failed. Please try again.');
+    } finally {
+      setDownloadingIds(prev => {
+        const next = new Set(prev);
+        next.delete(fileId);
+        return next;
+      });
+    }
+  };
+
+  /**
+   * 开始限时考试，时长取自试卷目录中的官方时长
+   * @param {Object} options - { lockNavigation: 考试结束前禁止离开试卷, paper: 考试的试卷，默认为正在预览的文件 }
+   */
+  const startExam = ({ lockNavigation, paper = viewingFile }) => {
+    const startedAt = Date.now();
+    setShowSplitView(false);
+    setShowQuestionIndex(false);
+    setExamSession({
+      paperId: paper.id,
+      startedAt,
+      endsAt: startedAt + paper.duration * 60000,
+      lockNavigation
+    });
+  };
+
+  /**
+   * 打开生成的模拟卷并立即开始限时考试（与考试模式的默认设置一致，锁定导航）
+   * @param {Object} mockFile - 模拟卷文件对象
+   */
+  const startMockExam = (mockFile) => {
+    handleFileView(mockFile);
+    startExam({ lockNavigation: true, paper: mockFile });
+  };
+
+  /**
+   * 把未批改的考试写入作答记录（非选择题，或中途离开）
+   * @param {string} reason - 'manual' | 'timeup' | 'left'
+   */
+  const recordUnmarkedExam = (reason) => {
+    // 模拟卷不在试卷目录中，取预览中的文件对象
+    const paper = PaperCatalog.getPaperById(examSession.paperId) || viewingFile;
+    AttemptLog.addAttempt({
+      paperId: examSession.paperId,
+      topicId: paper?.topicId,
+      paperNumber: paper?.paperNumber,
+      mode: 'exam',
+      markedBy: null,
+      timeSpent: Math.min(Date.now(), examSession.endsAt) - examSession.startedAt,
+      rawMark: null,
+      total: null,
+      grade: null,
+      endedBy: reason,
+      workings: PaperWorkspace.snapshot(examSession.paperId)
+    });
+    setExamSession(null);
+    // 考试结束后打开自评记录表，方便对照评分标准补录分数；模拟卷同时翻到末尾的评分标准
+    if (reason !== 'left') {
+      setShowSelfMark(true);
+      if (viewingFile?.type === 'mock') toggleMockMarkScheme(true);
+    }
+  };
+
+  /**
+   * 结束限时考试
+   * 选择题试卷由答题卡交卷批改，其他试卷记录用时，分数之后自评
+   * @param {string} reason - 'manual' | 'timeup'
+   */
+  const finishExam = (reason) => {
+    if (!examSession) return;
+    
+    if (viewingFile?.isMultipleChoice) {
+      setExamSubmitSignal(prev => prev + 1);
+    } else {
+      recordUnmarkedExam(reason);
+    }
+    
+    if (reason === 'timeup') {
+      alert('Time is up! Your exam has been submitted.');
+    }
+  };
+
+  /**
+   * 切换模拟卷的评分标准：显示附带评分标准的完整版本并翻到评分标准第一页，或回到只有题目的试卷
+   * @param {boolean} show - 是否显示评分标准
+   */
+  const toggleMockMarkScheme = (show) => {
+    setShowSplitView(show);
+    setPreviewPageRequest(show ? { page: viewingFile.markSchemePage } : null);
+  };
+
+  /**
+   * 答题卡提交后结束考试
+   * 没有答案或批改失败时答题卡不保存作答，改为记录一次未批改的考试
+   * @param {Object|null} saved - 答题卡保存的作答记录
+   */
+  const handleAnswerSheetSubmitted = (saved) => {
+    if (!examSession) return;
+    if (saved) {
+      setExamSession(null);
+      return;
+    }
+    recordUnmarkedExam(Date.now() >= examSession.endsAt ? 'timeup' : 'manual');
+    alert('Your answers could not be marked, so the exam was saved to your attempt log without a mark.');
+  };
+
+  /**
+   * 离开当前试卷前检查限时考试
+   * 锁定导航时禁止离开；否则确认后把考试记为中途离开
+   * @returns {boolean} 是否可以离开
+   */
+  const leaveExamIfAllowed = () => {
+    if (!examSession) return true;
+    
+    if (examSession.lockNavigation) {
+      alert('Navigation is locked until the exam ends. Use Finish to end the exam early.');
+      return false;
+    }
+    
+    if (!window.confirm('Leave the exam? It will be saved to your attempt log without a mark.')) {
+      return false;
+    }
+    recordUnmarkedExam('left');
+    return true;
+  };
+
+  /**
+   * 切换工具栏标签页
+   * @param {string} tab - 标签页ID
+   */
+  const handleTabChange = (tab) => {
+    if (tab !== activeTab && !leaveExamIfAllowed()) return;
+    setActiveTab(tab);
+  };
+
   /**
    * 关闭文件预览
    */
   const closeFilePreview = () => {
+    if (!leaveExamIfAllowed()) return;
     // 计算使用时长已通过实时更新实现
     
     setShowFilePreview(false);
     setViewingFile(null);
     setFileStartTime(null);
+    setShowSplitView(false);
+    setShowSelfMark(false);
+    setShowQuestionIndex(false);
   };
 
   /**
@@ -523,8 +1064,10 @@ function App() {
    * 返回到学科列表
    */
   const goBackToSubjects = () => {
+    if (!leaveExamIfAllowed()) return;
     setSelectedSubject(null);
     setSelectedTopic(null);
+    setPaperFilters(EMPTY_PAPER_FILTERS);
     setShowFilePreview(false);
     setViewingFile(null);
   };
@@ -533,11 +1076,62 @@ function App() {
    * 返回到主题列表
    */
   const goBackToTopics = () => {
+    if (!leaveExamIfAllowed()) return;
     setSelectedTopic(null);
+    setPaperFilters(EMPTY_PAPER_FILTERS);
     setShowFilePreview(false);
     setViewingFile(null);
   };
 
+  /**
+   * 处理全局搜索结果的选择
+   * 切换到对应的标签页并打开条目
+   * @param {Object} result - 搜索结果条目 { kind, id, item }
+   */
+  const handleSearchSelect = (result) => {
+    if (!leaveExamIfAllowed()) return;
+    const { kind, item } = result;
+    
+    if (kind === 'subject' || kind === 'topic' || kind === 'paper') {
+      const subjectKey = item.subjectKey;
+      const topic = kind === 'topic'
+        ? item.topic
+        : subjectsData[subjectKey]?.topics.find(t => t.id === item.topicId);
+      
+      setActiveTab('search');
+      setSelectedSubject(subjectKey);
+      setSelectedTopic(kind === 'subject' ? null : topic || null);
+      setPaperFilters(EMPTY_PAPER_FILTERS);
+      
+      if (kind === 'paper') {
+        handleFileView(item);
+      } else {
+        setShowFilePreview(false);
+        setViewingFile(null);
+      }
+    } else if (kind === 'textbook' || kind === 'syllabus') {
+      setActiveTab(kind);
+      setHighlightedItem({ kind, id: item.id });
+      setViewingDocument({ kind, item });
+    } else if (kind === 'note') {
+      setActiveTab('notebook');
+      setSelectedNoteId(item.id);
+    }
+  };
+
+  /**
+   * 切换到试卷标签页并打开试卷的某一页（例如从错题本重做某道题）
+   * @param {Object} paper - 试卷目录条目
+   * @param {number} page - 页码，未知时打开上次阅读的位置
+   */
+  const openPaperAt = (paper, page) => {
+    setActiveTab('search');
+    setSelectedSubject(paper.subjectKey);
+    setSelectedTopic(subjectsData[paper.subjectKey]?.topics.find(topic => topic.id === paper.topicId) || null);
+    setPaperFilters(EMPTY_PAPER_FILTERS);
+    handleFileView(paper, { page });
+  };
+
   /**
    * 清空浏览历史
    */
@@ -548,6 +1142,87 @@ function App() {
 
 
 
+  /**
+   * 试卷网格只展示试卷本身，评分标准等配套文件在预览中查看
+   */
+  const questionPapers = papers.filter(paper => paper.type === 'qp');
+  
+  /**
+   * 筛选器选项由当前课程的试卷目录推导
+   */
+  const paperFilterOptions = PaperCatalog.getFilterOptions(questionPapers);
+  
+  /**
+   * 应用筛选条件后的试卷
+   */
+  const filteredPapers = PaperCatalog.filterPapers(questionPapers, paperFilters);
+  
+  /**
+   * 笔记本中当前打开的笔记
+   */
+  const selectedNote = userTestData.notebooks.find(note => note.id === selectedNoteId) || null;
+  
+  /**
+   * 大纲文档是否有知识点数据（课程代码和大纲年份都一致）
+   * @param {Object} syllabus - 大纲文档
+   * @returns {boolean}
+   */
+  const hasObjectives = (syllabus) => QuestionIndex.getSyllabus(syllabus.code)?.syllabusYears === syllabus.year;
+
+  /**
+   * 大纲文档是否有可以对比的其他版本
+   * @param {Object} syllabus - 大纲文档
+   * @returns {boolean}
+   */
+  const hasOtherVersions = (syllabus) => {
+    const years = SyllabusDiff.getVersions(syllabus.code).map(version => version.syllabusYears);
+    return years.length > 1 && years.includes(syllabus.year);
+  };
+
+  /**
+   * 教科书上次阅读位置的说明文字
+   * @param {Object} textbook - 教科书
+   * @returns {string}
+   */
+  const describeReadingPosition = (textbook) => {
+    const { page, chapter } = Textbooks.getReadingPosition(textbook);
+    // 导入的 EPUB 记录的是章节序号
+    if (chapter) return `Section ${chapter}`;
+    const location = Textbooks.locate(textbook.id, page);
+    return location
+      ? `Chapter ${location.chapter.number} ${location.chapter.title} · p. ${page}`
+      : `Page ${page}`;
+  };
+
+  /**
+   * 往年试卷超纲提示的说明文字
+   * @param {Object} warning - SyllabusDiff.getPaperWarning 的结果
+   * @returns {string}
+   */
+  const describeSyllabusWarning = (warning) => (
+    `Set under the ${warning.syllabusYears} syllabus. Since then ${warning.removed.length} objective${warning.removed.length === 1 ? ' was' : 's were'} removed `
+    + `and ${warning.reworded.length} reworded for ${warning.currentYears}, so some questions may be off-syllabus.`
+  );
+  
+  /**
+   * 当前预览试卷对应的评分标准（非目录文件为 null）
+   */
+  const viewingMarkScheme = viewingFile?.type === 'qp'
+    ? PaperCatalog.getRelatedDocuments(viewingFile).ms
+    : null;
+
+  /**
+   * 当前预览的是否为生成的模拟卷（评分标准附在完整版本末尾）
+   */
+  const viewingMock = viewingFile?.type === 'mock';
+
+  /**
+   * 当前预览的试卷是否需要对照评分标准自评（非选择题试卷和模拟卷）
+   */
+  const viewingSelfMarked = viewingMock || (viewingFile?.type === 'qp' && !viewingFile.isMultipleChoice);
+
+
+
   // ==================== 子组件定义 ====================
   
   /**
@@ -586,8 +1261,10 @@ function App() {
    * @param {string} props.userType - 用户类型
    * @param {string} props.activeTab - 当前激活标签
    * @param {Function} props.onTabChange - 标签切换回调
+   * @param {boolean} props.referenceOpen - 数据手册抽屉是否打开
+   * @param {Function} props.onOpenReference - 打开数据手册抽屉的回调
    */
-  const ObsidianToolbar = ({ userType, activeTab, onTabChange }) => {
+  const ObsidianToolbar = ({ userType, activeTab, onTabChange, referenceOpen, onOpenReference }) => {
     const tools = [
       { id: 'search', name: 'Search', icon: '🔍' },
       // 只有'user'类型用户才能看到这些工具
@@ -595,6 +1272,8 @@ function App() {
         { id: 'textbook', name: 'Text Book', icon: '📖' },
         { id: 'syllabus', name: 'Syllabus', icon: '📋' },
         { id: 'notebook', name: 'Notebook', icon: '📝' },
+        { id: 'mistakes', name: 'Mistake Book', icon: '📕' },
+        { id: 'flashcards', name: 'Flashcards', icon: '🗂' },
         { id: 'history', name: 'History', icon: '📊' }
       ] : [])
     ];
@@ -611,6 +1290,14 @@ function App() {
               <span className="tool-icon">{tool.icon}</span>
             </div>
           ))}
+          {/* 数据手册以抽屉打开，不切换标签页 */}
+          <div
+            className={`tool-item ${referenceOpen ? 'active' : ''}`}
+            onClick={onOpenReference}
+            title="Data booklets"
+          >
+            <span className="tool-icon">📘</span>
+          </div>
         </div>
       </div>
     );
@@ -674,9 +1361,12 @@ function App() {
               setCurrentPage('welcome');
               setSelectedSubject(null);
               setSelectedTopic(null);
+              setPaperFilters(EMPTY_PAPER_FILTERS);
               setActiveTab('search');
               setViewingFile(null);
               setShowFilePreview(false);
+              setViewingDocument(null);
+              setExamSession(null);
               setShowUserProfile(false);
               setUserAvatar(null);
               localStorage.removeItem('userAvatar');
@@ -853,6 +1543,30 @@ function App() {
                   </>
                 )}
                 
+                {/* 
+                * 错题本标签页的面包屑导航
+                * 层级结构：Mistake Book → Review Queue
+                */}
+                {activeTab === 'mistakes' && (
+                  <>
+                    <span className="breadcrumb-link">📕 Mistake Book</span>
+                    <span className="breadcrumb-separator">›</span>
+                    <span>Review Queue</span>
+                  </>
+                )}
+                
+                {/* 
+                * 记忆卡标签页的面包屑导航
+                * 层级结构：Flashcards → Decks
+                */}
+                {activeTab === 'flashcards' && (
+                  <>
+                    <span className="breadcrumb-link">🗂 Flashcards</span>
+                    <span className="breadcrumb-separator">›</span>
+                    <span>Decks</span>
+                  </>
+                )}
+                
                 {/* 
                 * 浏览历史标签页的面包屑导航
                 * 层级结构：History → Browsing Activity → All Records
@@ -885,10 +1599,8 @@ function App() {
               </div>
             </div>
             <div className="header-right">
-              {/* 全局搜索框 - 后端需要实现搜索API */}
-              <div className="search-box">
-                <input type="text" placeholder="🔍 Search papers..." className="global-search" />
-              </div>
+              {/* 全局搜索框 - 本地索引 + 试卷搜索API */}
+              <GlobalSearch sources={librarySearchSources} onSelect={handleSearchSelect} />
               {/* 用户菜单 */}
               <div className="user-menu">
                 <span className="user-info">👋 {user?.username}</span>
@@ -910,7 +1622,11 @@ function App() {
             <ObsidianToolbar 
               userType={user?.userType}
               activeTab={activeTab}
-              onTabChange={setActiveTab}
+              onTabChange={handleTabChange}
+              referenceOpen={Boolean(referenceDrawer)}
+              onOpenReference={() => setReferenceDrawer(showFilePreview && viewingFile
+                ? { topicId: viewingFile.topicId, year: viewingFile.year || null }
+                : { topicId: selectedTopic?.id || null, year: null })}
             />
             
             {/* 侧边栏 - 仅在搜索标签页显示 */}
@@ -938,27 +1654,121 @@ function App() {
                         <div className="file-info">
                           <h2>{viewingFile.title}</h2>
                           <div className="file-meta">
-                            <span className="duration">{formatDuration(currentDuration)}</span>
-                            {/* 后端需要提供标准答案API */}
-                            <button className="mark-scheme-link">Mark scheme link</button>
+                            {!examSession && <span className="duration">{formatDuration(currentDuration)}</span>}
+                            {/* 早于当前大纲版本且期间有知识点删除或改写的试卷 */}
+                            {viewingFile.type === 'qp' && SyllabusDiff.getPaperWarning(viewingFile) && (
+                              <span className="off-syllabus-badge" title={describeSyllabusWarning(SyllabusDiff.getPaperWarning(viewingFile))}>
+                                ⚠ May contain off-syllabus questions
+                              </span>
+                            )}
+                            {/* 限时考试，时长取自试卷目录 */}
+                            {(viewingFile.type === 'qp' || viewingMock) && (
+                              <ExamMode
+                                paper={viewingFile}
+                                session={examSession}
+                                onStart={startExam}
+                                onFinish={finishExam}
+                              />
+                            )}
+                            {/* 非选择题试卷对照评分标准自评后记录分数 */}
+                            {viewingSelfMarked && !examSession && (
+                              <button 
+                                className={`self-mark-toggle ${showSelfMark ? 'active' : ''}`}
+                                onClick={() => setShowSelfMark(prev => !prev)}
+                              >
+                                📝 Log attempt
+                              </button>
+                            )}
+                            {/* 按题标注页码、分值和大纲知识点，考试期间隐藏 */}
+                            {viewingFile.type === 'qp' && !examSession && (
+                              <button 
+                                className={`self-mark-toggle ${showQuestionIndex ? 'active' : ''}`}
+                                onClick={() => setShowQuestionIndex(prev => !prev)}
+                              >
+                                🏷 Question index
+                              </button>
+                            )}
+                            {/* 计算器、函数绘图和草稿纸，考试期间也可以使用 */}
+                            {(viewingFile.type === 'qp' || viewingMock) && (
+                              <button 
+                                className={`self-mark-toggle ${showTools ? 'active' : ''}`}
+                                onClick={() => setShowTools(prev => !prev)}
+                              >
+                                🧮 Tools
+                              </button>
+                            )}
+                            {/* 考试时提供的数据手册和公式表，考试期间也可以使用 */}
+                            {ReferenceBooklets.getEditions(viewingFile.topicId).length > 0 && (
+                              <button 
+                                className={`self-mark-toggle ${referenceDrawer ? 'active' : ''}`}
+                                onClick={() => setReferenceDrawer({ topicId: viewingFile.topicId, year: viewingFile.year || null })}
+                              >
+                                📘 Data booklet
+                              </button>
+                            )}
+                            {/* 配套的评分标准来自试卷目录，考试期间隐藏 */}
+                            {viewingFile.type === 'qp' && !examSession && (
+                              <button 
+                                className={`mark-scheme-link ${viewingMarkScheme ? '' : 'unavailable'}`}
+                                onClick={() => setShowSplitView(prev => !prev)}
+                                title={viewingMarkScheme ? viewingMarkScheme.id : 'Mark scheme not available for this paper'}
+                              >
+                                {showSplitView ? 'Hide mark scheme' : viewingMarkScheme ? '📑 Mark scheme' : '📑 Mark scheme (not available)'}
+                              </button>
+                            )}
+                            {/* 模拟卷的评分标准合成在完整版本末尾，考试期间隐藏 */}
+                            {viewingMock && !examSession && (
+                              <button className="mark-scheme-link" onClick={() => toggleMockMarkScheme(!showSplitView)}>
+                                {showSplitView ? 'Hide mark scheme' : '📑 Mark scheme'}
+                              </button>
+                            )}
                           </div>
                         </div>
                         <button className="back-to-papers-btn" onClick={closeFilePreview}>
                           ← Back to Papers
                         </button>
                       </div>
-                      <div className="file-preview-content">
-                        <div className="candidate-section">
-                          <h4>CANDIDATE NAME</h4>
-                          <div className="candidate-lines">
-                            <div className="line"></div>
-                            <div className="line"></div>
-                            <div className="line"></div>
-                          </div>
+                      {showSplitView && !viewingMock ? (
+                        <PaperSplitView paper={viewingFile} annotationOwner={user?.username} />
+                      ) : (
+                      <div className="file-preview-body">
+                        <div className="file-preview-content">
+                          {/* 文件内容来自 GET /api/files/{fileId}/content，试卷以目录ID作为文件ID；模拟卷直接显示生成的 PDF */}
+                          <PdfViewer
+                            fileId={viewingMock && showSplitView ? `${viewingFile.id}_ms` : viewingFile.id}
+                            data={viewingMock ? (showSplitView ? viewingFile.packPdf : viewingFile.paperPdf) : null}
+                            annotationOwner={user?.username}
+                            title={viewingFile.title}
+                            pageRequest={previewPageRequest}
+                            onPageChange={setPreviewPage}
+                          />
                         </div>
-                        {/* 这里需要集成PDF查看器或图片查看器 */}
-                        {/* 后端需要提供文件内容API：GET /api/files/{fileId}/content */}
+                        {/* 题目索引编辑器打开时替换右侧面板 */}
+                        {showQuestionIndex && (
+                          <QuestionIndexEditor
+                            paper={viewingFile}
+                            currentPage={previewPage}
+                            onJumpToPage={(page) => setPreviewPageRequest({ page })}
+                          />
+                        )}
+                        {/* 选择题试卷在预览旁显示答题卡 */}
+                        {viewingFile.type === 'qp' && viewingFile.isMultipleChoice && !showQuestionIndex && (
+                          <McqAnswerSheet
+                            paper={viewingFile}
+                            startTime={examSession ? examSession.startedAt : fileStartTime}
+                            examMode={Boolean(examSession)}
+                            submitSignal={examSubmitSignal}
+                            onSubmitted={handleAnswerSheetSubmitted}
+                          />
+                        )}
+                        {viewingSelfMarked && showSelfMark && !showQuestionIndex && !examSession && (
+                          <SelfMarkForm paper={viewingFile} currentDuration={currentDuration} currentPage={previewPage} />
+                        )}
+                        {showTools && (viewingFile.type === 'qp' || viewingMock) && (
+                          <ToolsPanel paper={viewingFile} onClose={() => setShowTools(false)} />
+                        )}
                       </div>
+                      )}
                     </div>
                   ) : (
                     // 原有的学科/试卷列表视图
@@ -1026,6 +1836,7 @@ function App() {
                                 <div className="topic-content">
                                   <h4>{topic.name}</h4>
                                   <p>Last updated: {topic.lastUpdated}</p>
+                                  <TopicProgress attempts={attempts} topicId={topic.id} />
                                 </div>
                                 <div className="topic-footer">
                                   <button className="explore-btn">Explore Papers →</button>
@@ -1041,70 +1852,126 @@ function App() {
                         <div className="papers-view">
                           <div className="section-header">
                             <h2>{selectedTopic.id} - {selectedTopic.name}</h2>
-                            <p>{selectedTopic.papers} past papers available</p>
+                            <p>
+                              {filteredPapers.length === questionPapers.length
+                                ? `${questionPapers.length} question papers available`
+                                : `${filteredPapers.length} of ${questionPapers.length} question papers match the filters`}
+                            </p>
+                          </div>
+
+                          {/* 成绩预测 - 按最近作答与分数线估算总成绩 */}
+                          <GradePrediction topicId={selectedTopic.id} attempts={attempts} />
+                          
+                          {/* 浏览方式：按试卷 / 按知识点 / 练习卷 / 模拟卷 */}
+                          <div className="browse-mode-toggle">
+                            <button
+                              className={paperBrowseMode === 'papers' ? 'active' : ''}
+                              onClick={() => setPaperBrowseMode('papers')}
+                            >
+                              📄 Papers
+                            </button>
+                            <button
+                              className={paperBrowseMode === 'objectives' ? 'active' : ''}
+                              onClick={() => setPaperBrowseMode('objectives')}
+                            >
+                              🏷 By topic
+                            </button>
+                            <button
+                              className={paperBrowseMode === 'worksheet' ? 'active' : ''}
+                              onClick={() => setPaperBrowseMode('worksheet')}
+                            >
+                              🧩 Worksheet
+                            </button>
+                            <button
+                              className={paperBrowseMode === 'mock' ? 'active' : ''}
+                              onClick={() => setPaperBrowseMode('mock')}
+                            >
+                              ⏱ Mock exam
+                            </button>
                           </div>
                           
-                          {/* 试卷筛选器 - 后端需要实现筛选API */}
-                          <div className="papers-filters">
-                            <div className="filter-group">
-                              <label>Year:</label>
-                              <select>
-                                <option value="">All Years</option>
-                                <option value="2023">2023</option>
-                                <option value="2022">2022</option>
-                                <option value="2021">2021</option>
-                              </select>
+                          {/* 试卷筛选器 - 选项来自试卷目录，筛选条件同步到URL */}
+                          {paperBrowseMode === 'papers' && (
+                            <PaperFilters
+                              options={paperFilterOptions}
+                              filters={paperFilters}
+                              onChange={setPaperFilters}
+                            />
+                          )}
+                          
+                          {/* 按知识点浏览题目、练习卷和模拟卷生成器的数据来自题目索引；试卷网格数据来自 ApiService.getPapers */}
+                          {paperBrowseMode === 'objectives' ? (
+                            <QuestionBrowser
+                              topicId={selectedTopic.id}
+                              onOpenQuestion={(paper, question) => handleFileView(paper, { page: question.pages[0] })}
+                            />
+                          ) : paperBrowseMode === 'worksheet' ? (
+                            <WorksheetBuilder
+                              key={selectedTopic.id}
+                              topicId={selectedTopic.id}
+                              subjectKey={selectedSubject}
+                              sharedWorksheet={sharedWorksheet}
+                              onOpenQuestion={(paper, question) => handleFileView(paper, { page: question.pages[0] })}
+                            />
+                          ) : paperBrowseMode === 'mock' ? (
+                            <MockExamBuilder
+                              key={selectedTopic.id}
+                              topicId={selectedTopic.id}
+                              onStart={startMockExam}
+                            />
+                          ) : papersLoading ? (
+                            <div className="empty-state">
+                              <p>Loading papers...</p>
                             </div>
-                            <div className="filter-group">
-                              <label>Session:</label>
-                              <select>
-                                <option value="">All Sessions</option>
-                                <option value="may">May/June</option>
-                                <option value="oct">Oct/Nov</option>
-                                <option value="feb">Feb/March</option>
-                              </select>
+                          ) : filteredPapers.length === 0 ? (
+                            <div className="empty-state">
+                              <p>{questionPapers.length === 0 ? '暂无试卷' : 'No papers match the selected filters'}</p>
                             </div>
-                            <div className="filter-group">
-                              <label>Paper:</label>
-                              <select>
-                                <option value="">All Papers</option>
-                                <option value="1">Paper 1</option>
-                                <option value="2">Paper 2</option>
-                                <option value="3">Paper 3</option>
-                              </select>
+                          ) : (
+                            <div className="papers-grid">
+                              {filteredPapers.map(paper => {
+                                const syllabusWarning = SyllabusDiff.getPaperWarning(paper);
+                                return (
+                                  <div key={paper.id} className="paper-card">
+                                    <div className="paper-header">
+                                      <h4>{paper.topicId} Paper {paper.component}</h4>
+                                      <span className="paper-year">{paper.year}</span>
+                                    </div>
+                                    {syllabusWarning && (
+                                      <span className="off-syllabus-badge" title={describeSyllabusWarning(syllabusWarning)}>
+                                        ⚠ {syllabusWarning.syllabusYears} syllabus
+                                      </span>
+                                    )}
+                                    {downloadedIds.has(paper.id) && (
+                                      <span className="downloaded-badge" title="Available offline">✓ Downloaded</span>
+                                    )}
+                                    <PaperProgressBadge attempts={attempts} paperId={paper.id} />
+                                    <div className="paper-content">
+                                      <p>Session: {paper.sessionName}</p>
+                                      <p>Type: {paper.typeName}</p>
+                                      {paper.componentName && <p>Component: {paper.componentName}</p>}
+                                      {paper.duration && <p>Duration: {PaperCatalog.formatDuration(paper.duration)}</p>}
+                                    </div>
+                                    <div className="paper-actions">
+                                      <button 
+                                        className="action-btn view-btn"
+                                        onClick={() => handleFileView(paper)}
+                                      >
+                                        👁️ View
+                                      </button>
+                                      <button 
+                                        className="action-btn download-btn"
+                                        onClick={() => handleDownload(paper.id, { title: paper.title, kind: 'paper' })}
+                                        disabled={downloadingIds.has(paper.id)}
+                                      >
+                                        {downloadingIds.has(paper.id) ? '⏳ Downloading...' : '📥 Download'}
+                                      </button>
+                                    </div>
+                                  </div>
+                                );
+                              })}
                             </div>
-                          </div>
-                          
-                          {/* 试卷网格 - 后端需要提供试卷列表API */}
-                          <div className="papers-grid">
-                            {[1,2,3,4,5,6].map(i => (
-                              <div key={i} className="paper-card">
-                                <div className="paper-header">
-                                  <h4>{selectedTopic.id} Paper {i % 3 + 1}</h4>
-                                  <span className="paper-year">2023</span>
-                                </div>
-                                <div className="paper-content">
-                                  <p>Session: {i % 2 === 0 ? 'May/June' : 'Oct/Nov'}</p>
-                                  <p>Type: Question Paper</p>
-                                  <p>Duration: {selectedTopic.id.includes('Paper') ? '2h 15m' : selectedTopic.id.includes('Worksheet') ? '45m' : '1h 30m'}</p>
-                                </div>
-                                <div className="paper-actions">
-                                  <button 
-                                    className="action-btn view-btn"
-                                    onClick={() => handleFileView({
-                                      title: `${selectedTopic.id} Paper ${i % 3 + 1}`,
-                                      year: '2023',
-                                      session: i % 2 === 0 ? 'May/June' : 'Oct/Nov'
-                                    })}
-                                  >
-                                    👁️ View
-                                  </button>
-                                  {/* 后端需要提供文件下载API */}
-                                  <button className="action-btn download-btn">📥 Download</button>
-                                </div>
-                              </div>
-                            ))}
-                          </div>
+                          )}
                         </div>
                       )}
                     </>
@@ -1113,17 +1980,38 @@ function App() {
               )}
 
               {/* 教科书标签页内容 - 仅user类型用户可见 */}
-              {activeTab === 'textbook' && (
+              {activeTab === 'textbook' && viewingDocument?.kind === 'textbook' && viewingDocument.item.personal && (
+                <PersonalDocumentViewer
+                  item={viewingDocument.item}
+                  backLabel="← Back to Textbooks"
+                  onBack={() => setViewingDocument(null)}
+                  initialChapter={Textbooks.getReadingPosition(viewingDocument.item)?.chapter || null}
+                  onChapterChange={(chapter) => Textbooks.saveChapter(viewingDocument.item.id, chapter)}
+                />
+              )}
+
+              {activeTab === 'textbook' && viewingDocument?.kind === 'textbook' && !viewingDocument.item.personal && (
+                <TextbookReader
+                  textbook={viewingDocument.item}
+                  initialPage={viewingDocument.page || null}
+                  onBack={() => setViewingDocument(null)}
+                />
+              )}
+
+              {activeTab === 'textbook' && viewingDocument?.kind !== 'textbook' && (
                 <div className="tool-content">
                   <div className="section-header">
                     <h2>📖 Textbooks</h2>
                     <p>Access Cambridge textbooks and coursebooks by subject</p>
+                    <button className="library-import-btn" onClick={() => setImportingLibrary('textbook')}>
+                      📥 Import PDF, EPUB or HTML
+                    </button>
                   </div>
                   
                   {/* 后端需要提供用户教科书API：GET /api/user/textbooks */}
                   <div className="subjects-overview">
-                    {['Physics', 'Mathematics', 'Chemistry', 'Biology'].map(subject => {
-                      const subjectTextbooks = userTestData.textBooks.filter(book => book.subject === subject);
+                    {LIBRARY_SUBJECTS.map(subject => {
+                      const subjectTextbooks = libraryTextbooks.filter(book => book.subject === subject);
                       const subjectIcon = subjectsData[subject.toLowerCase()]?.icon || '📚';
                       
                       return (
@@ -1135,12 +2023,17 @@ function App() {
                           
                           <div className="textbook-grid">
                             {subjectTextbooks.map(textbook => (
-                              <div key={textbook.id} className="textbook-card">
+                              <div 
+                                key={textbook.id} 
+                                id={`textbook-${textbook.id}`}
+                                className={`textbook-card ${highlightedItem?.kind === 'textbook' && highlightedItem.id === textbook.id ? 'highlighted' : ''}`}
+                              >
                                 <div className="textbook-header">
                                   <div className="textbook-title">
                                     <span className="textbook-level">{textbook.level}</span>
                                     <span className="textbook-year">{textbook.year}</span>
                                   </div>
+                                  {textbook.personal && <span className="personal-badge">📁 My file</span>}
                                 </div>
                                 
                                 <div className="textbook-content">
@@ -1152,12 +2045,30 @@ function App() {
                                   <p className="textbook-description">
                                     {textbook.description}
                                   </p>
+                                  {Textbooks.getReadingPosition(textbook) && (
+                                    <p className="textbook-progress">
+                                      📍 {describeReadingPosition(textbook)}
+                                    </p>
+                                  )}
                                 </div>
                                 
                                 <div className="textbook-actions">
-                                  <button className="action-btn view-btn" title="View textbook">
-                                    👁️ View
+                                  <button 
+                                    className="action-btn view-btn" 
+                                    title="View textbook"
+                                    onClick={() => setViewingDocument({ kind: 'textbook', item: textbook })}
+                                  >
+                                    {Textbooks.getReadingPosition(textbook) ? '📖 Continue reading' : '👁️ View'}
                                   </button>
+                                  {textbook.personal && (
+                                    <button 
+                                      className="action-btn remove-btn" 
+                                      title="Remove from this device"
+                                      onClick={() => handleRemovePersonalDocument(textbook)}
+                                    >
+                                      🗑 Remove
+                                    </button>
+                                  )}
                                 </div>
                               </div>
                             ))}
@@ -1170,17 +2081,63 @@ function App() {
               )}
 
               {/* 教学大纲标签页内容 - 仅user类型用户可见 */}
-              {activeTab === 'syllabus' && (
+              {activeTab === 'syllabus' && viewingDocument?.kind === 'syllabus' && viewingDocument.item.personal && (
+                <PersonalDocumentViewer
+                  item={viewingDocument.item}
+                  backLabel="← Back to Syllabuses"
+                  onBack={() => setViewingDocument(null)}
+                />
+              )}
+
+              {activeTab === 'syllabus' && viewingDocument?.kind === 'syllabus' && !viewingDocument.item.personal && (
+                <DocumentViewer
+                  title={`${viewingDocument.item.code} ${viewingDocument.item.title}`}
+                  subtitle={`${viewingDocument.item.level} · ${viewingDocument.item.year}`}
+                  fileId={viewingDocument.item.fileId}
+                  backLabel="← Back to Syllabuses"
+                  onBack={() => setViewingDocument(null)}
+                />
+              )}
+
+              {/* 大纲知识点树与掌握进度，知识点数据来自 QuestionIndex.getSyllabus */}
+              {activeTab === 'syllabus' && viewingDocument?.kind === 'objectives' && (
+                <SyllabusTree
+                  syllabus={viewingDocument.item}
+                  onBack={() => setViewingDocument(null)}
+                  onOpenQuestion={(paper, question) => openPaperAt(paper, question.pages[0])}
+                  onOpenChapter={(textbook, chapter) => {
+                    setActiveTab('textbook');
+                    setViewingDocument({ kind: 'textbook', item: textbook, page: chapter.page });
+                  }}
+                  onOpenNote={(note) => {
+                    setActiveTab('notebook');
+                    setSelectedNoteId(note.id);
+                  }}
+                />
+              )}
+
+              {/* 大纲版本对比，新增、删除和改写的知识点 */}
+              {activeTab === 'syllabus' && viewingDocument?.kind === 'compare' && (
+                <SyllabusCompare
+                  syllabus={viewingDocument.item}
+                  onBack={() => setViewingDocument(null)}
+                />
+              )}
+
+              {activeTab === 'syllabus' && !['syllabus', 'objectives', 'compare'].includes(viewingDocument?.kind) && (
                 <div className="tool-content">
                   <div className="section-header">
                     <h2>📋 Syllabus Documents</h2>
                     <p>Access official Cambridge syllabus documents by subject</p>
+                    <button className="library-import-btn" onClick={() => setImportingLibrary('syllabus')}>
+                      📥 Import PDF, EPUB or HTML
+                    </button>
                   </div>
                   
                   {/* 后端需要提供用户教学大纲API：GET /api/user/syllabuses */}
                   <div className="subjects-overview">
-                    {['Physics', 'Mathematics', 'Chemistry', 'Biology'].map(subject => {
-                      const subjectSyllabuses = userTestData.syllabuses.filter(s => s.subject === subject);
+                    {LIBRARY_SUBJECTS.map(subject => {
+                      const subjectSyllabuses = librarySyllabuses.filter(s => s.subject === subject);
                       const subjectIcon = subjectsData[subject.toLowerCase()]?.icon || '📚';
                       
                       return (
@@ -1192,29 +2149,78 @@ function App() {
                           
                           <div className="syllabus-grid">
                             {subjectSyllabuses.map(syllabus => (
-                              <div key={syllabus.id} className="syllabus-card">
+                              <div 
+                                key={syllabus.id} 
+                                id={`syllabus-${syllabus.id}`}
+                                className={`syllabus-card ${highlightedItem?.kind === 'syllabus' && highlightedItem.id === syllabus.id ? 'highlighted' : ''}`}
+                              >
                                 <div className="syllabus-header">
                                   <div className="syllabus-title">
                                     <span className="syllabus-level">{syllabus.level}</span>
                                     <span className="syllabus-code">{syllabus.code}</span>
                                   </div>
+                                  {syllabus.personal && <span className="personal-badge">📁 My file</span>}
                                   <div className="syllabus-year">{syllabus.year}</div>
                                 </div>
                                 
                                 <div className="syllabus-content">
                                   <h4>{syllabus.title}</h4>
                                   <p className="syllabus-description">
-                                    Official Cambridge {syllabus.level} {subject} syllabus for examination years {syllabus.year}
+                                    {syllabus.personal
+                                      ? `Imported ${syllabus.level} ${subject} syllabus${syllabus.year ? ` for examination years ${syllabus.year}` : ''} · stored on this device`
+                                      : `Official Cambridge ${syllabus.level} ${subject} syllabus for examination years ${syllabus.year}`}
                                   </p>
+                                  {hasObjectives(syllabus) && (
+                                    <p className="syllabus-coverage">
+                                      🎯 {SyllabusProgress.getCoverage(syllabus.code).overall.percent}% of objectives covered
+                                    </p>
+                                  )}
                                 </div>
                                 
                                 <div className="syllabus-actions">
-                                  <button className="action-btn view-btn" title="View syllabus online">
+                                  <button 
+                                    className="action-btn view-btn" 
+                                    title="View syllabus"
+                                    onClick={() => setViewingDocument({ kind: 'syllabus', item: syllabus })}
+                                  >
                                     👁️ View
                                   </button>
-                                  <button className="action-btn download-btn" title="Download PDF">
-                                    📥 Download
-                                  </button>
+                                  {hasObjectives(syllabus) && (
+                                    <button 
+                                      className="action-btn view-btn" 
+                                      title="Learning objectives and your coverage"
+                                      onClick={() => setViewingDocument({ kind: 'objectives', item: syllabus })}
+                                    >
+                                      🎯 Objectives
+                                    </button>
+                                  )}
+                                  {hasOtherVersions(syllabus) && (
+                                    <button 
+                                      className="action-btn view-btn" 
+                                      title="Compare learning objectives with other syllabus versions"
+                                      onClick={() => setViewingDocument({ kind: 'compare', item: syllabus })}
+                                    >
+                                      ⇄ Compare versions
+                                    </button>
+                                  )}
+                                  {syllabus.personal ? (
+                                    <button 
+                                      className="action-btn remove-btn" 
+                                      title="Remove from this device"
+                                      onClick={() => handleRemovePersonalDocument(syllabus)}
+                                    >
+                                      🗑 Remove
+                                    </button>
+                                  ) : (
+                                    <button 
+                                      className="action-btn download-btn" 
+                                      title={downloadedIds.has(syllabus.fileId) ? 'Downloaded · available offline' : 'Download PDF'}
+                                      onClick={() => handleDownload(syllabus.fileId, { title: `${syllabus.code} ${syllabus.title} ${syllabus.year}`, kind: 'syllabus' })}
+                                      disabled={downloadingIds.has(syllabus.fileId)}
+                                    >
+                                      {downloadingIds.has(syllabus.fileId) ? '⏳ Downloading...' : downloadedIds.has(syllabus.fileId) ? '✓ Downloaded' : '📥 Download'}
+                                    </button>
+                                  )}
                                 </div>
                               </div>
                             ))}
@@ -1264,7 +2270,11 @@ function App() {
                           </div>
                           <div className="folder-notes">
                             {notes.map(note => (
-                              <div key={note.id} className="note-item">
+                              <div 
+                                key={note.id} 
+                                className={`note-item ${selectedNoteId === note.id ? 'active' : ''}`}
+                                onClick={() => setSelectedNoteId(note.id)}
+                              >
                                 <div className="note-item-content">
                                   <div className="note-title">{note.title}</div>
                                   <div className="note-subject">{note.subject}</div>
@@ -1282,6 +2292,24 @@ function App() {
                   
                   {/* 主内容区域 */}
                   <div className="notebook-main">
+                    {selectedNote ? (
+                      <div className="note-viewer">
+                        <div className="note-viewer-header">
+                          <h3>{selectedNote.title}</h3>
+                          <div className="note-viewer-meta">
+                            <span>📁 {selectedNote.folder}</span>
+                            <span>Updated {selectedNote.updatedAt}</span>
+                            <button className="note-viewer-close" onClick={() => setSelectedNoteId(null)} title="Close note">×</button>
+                          </div>
+                          <div className="note-tags">
+                            {selectedNote.tags.map(tag => (
+                              <span key={tag} className="note-tag">#{tag}</span>
+                            ))}
+                          </div>
+                        </div>
+                        <pre className="note-viewer-content">{selectedNote.content}</pre>
+                      </div>
+                    ) : (
                     <div className="notebook-welcome">
                       <div className="welcome-content">
                         <h3>Welcome to Your Notebook</h3>
@@ -1309,7 +2337,7 @@ function App() {
                               .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt))
                               .slice(0, 3)
                               .map(note => (
-                                <div key={note.id} className="recent-item">
+                                <div key={note.id} className="recent-item" onClick={() => setSelectedNoteId(note.id)}>
                                   <span className="recent-title">{note.title}</span>
                                   <span className="recent-date">{note.updatedAt}</span>
                                 </div>
@@ -1319,10 +2347,21 @@ function App() {
                         </div>
                       </div>
                     </div>
+                    )}
                   </div>
                 </div>
               )}
 
+              {/* 错题本标签页内容 - 仅user类型用户可见，错题保存在本地 */}
+              {activeTab === 'mistakes' && (
+                <MistakeBookView onOpenQuestion={openPaperAt} />
+              )}
+
+              {/* 记忆卡标签页内容 - 仅user类型用户可见，卡组和复习进度保存在本地 */}
+              {activeTab === 'flashcards' && (
+                <FlashcardsView />
+              )}
+
               {/* 浏览历史标签页内容 - 仅user类型用户可见 */}
               {activeTab === 'history' && (
                 <div className="tool-content">
@@ -1378,6 +2417,26 @@ function App() {
         </div>
       )}
 
+      {importingLibrary && (
+        <DocumentImport
+          library={importingLibrary}
+          subjects={LIBRARY_SUBJECTS}
+          onClose={() => setImportingLibrary(null)}
+          onImported={(entry) => {
+            setImportingLibrary(null);
+            setHighlightedItem({ kind: entry.library, id: entry.id });
+          }}
+        />
+      )}
+
+      {referenceDrawer && (
+        <ReferenceDrawer
+          topicId={referenceDrawer.topicId}
+          year={referenceDrawer.year}
+          onClose={() => setReferenceDrawer(null)}
+        />
+      )}
+
       {/* 學科選擇模態框 */}
       {showSubjectModal && (
         <div className="modal-overlay" onClick={closeSubjectModal}>
@@ -0,0 +1,182 @@
+// ==================== 作答记录 ====================
+import { CookieUtils } from './CookieUtils.js';
+
+/**
+ * 作答记录的存储键前缀（按用户分开保存），结构为 { [paperId]: Array<attempt> }
+ */
+const STORAGE_KEY = 'paperAttempts';
+
+/**
+ * 作答记录变化时的监听函数
+ */
+const listeners = new Set();
+
+/**
+ * 读取全部记录
+ * @returns {Object}
+ */
+const readAll = () => {
+  const saved = localStorage.getItem(CookieUtils.getUserStorageKey(STORAGE_KEY));
+  return saved ? JSON.parse(saved) : {};
+};
+
+/**
+ * 写入全部记录并通知监听者
+ * @param {Object} all - 全部记录
+ */
+const writeAll = (all) => {
+  localStorage.setItem(CookieUtils.getUserStorageKey(STORAGE_KEY), JSON.stringify(all));
+  listeners.forEach(listener => listener());
+};
+
+/**
+ * 作答记录工具类
+ * 每份试卷的每次作答保存一条记录，便于之后回看和统计进度
+ * 记录结构：{ id, paperId, topicId, mode: 'practice' | 'exam', markedBy: 'auto' | 'self' | null, submittedAt,
+ *           timeSpent(毫秒), rawMark, total, grade, gradeEstimated, results, breakdown }
+ * - paperNumber: Paper 编号，模拟卷（paperId 为 mock_ 开头）按它归入试卷组件
+ * - gradeEstimated: 该考试季没有分数线，等级按其他考试季的平均分数线估算
+ * - results: 选择题每题的作答与对错（自动批改）
+ * - breakdown: 自评时每题的得分 [{ question, mark, max }]
+ * - workings: 保存时工具面板中的计算记录和草稿纸（PaperWorkspace.snapshot），没有时为 null
+ * - checks: 自评时检查过的最终答案 [{ question, part, answer, correct, status }]（见 AnswerChecker），没有时为 null
+ * - 未批改的考试 rawMark 为 null，之后可以补录分数
+ * 后端对接：可以通过 POST /api/user/attempts 同步到服务器
+ */
+export const AttemptLog = {
+  /**
+   * 获取某份试卷的作答记录
+   * @param {string} paperId - 试卷ID
+   * @returns {Array<Object>} 按提交时间倒序
+   */
+  getAttempts: (paperId) => {
+    return readAll()[paperId] || [];
+  },
+
+  /**
+   * 获取全部作答记录
+   * @returns {Array<Object>} 按提交时间倒序
+   */
+  getAllAttempts: () => {
+    return Object.values(readAll())
+      .flat()
+      .sort((a, b) => b.submittedAt.localeCompare(a.submittedAt));
+  },
+
+  /**
+   * 保存一次作答
+   * @param {Object} attempt - 作答记录（不含 id 与 submittedAt）
+   * @returns {Object} 保存后的记录
+   */
+  addAttempt: (attempt) => {
+    const all = readAll();
+    const saved = {
+      ...attempt,
+      id: `${attempt.paperId}_${Date.now()}`,
+      submittedAt: new Date().toISOString()
+    };
+    all[attempt.paperId] = [saved, ...(all[attempt.paperId] || [])];
+    writeAll(all);
+    return saved;
+  },
+
+  /**
+   * 更新一次作答（例如为未批改的考试补录分数）
+   * @param {string} paperId - 试卷ID
+   * @param {string} attemptId - 记录ID
+   * @param {Object} changes - 需要更新的字段
+   * @returns {Object|null} 更新后的记录
+   */
+  updateAttempt: (paperId, attemptId, changes) => {
+    const all = readAll();
+    let updated = null;
+    all[paperId] = (all[paperId] || []).map(attempt => {
+      if (attempt.id !== attemptId) return attempt;
+      updated = { ...attempt, ...changes };
+      return updated;
+    });
+    if (updated) writeAll(all);
+    return updated;
+  },
+
+  /**
+   * 订阅作答记录变化
+   * @param {Function} listener - 回调
+   * @returns {Function} 取消订阅函数
+   */
+  subscribe: (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  },
+
+  /**
+   * 计算得分率
+   * @param {Object} attempt - 作答记录
+   * @returns {number|null} 0–100，未批改时为 null
+   */
+  getPercent: (attempt) => {
+    if (attempt.rawMark === null || attempt.rawMark === undefined || !attempt.total) return null;
+    return Math.round((attempt.rawMark / attempt.total) * 100);
+  },
+
+  /**
+   * 汇总某份试卷的作答情况
+   * @param {Array<Object>} attempts - 作答记录（getAllAttempts 的返回值）
+   * @param {string} paperId - 试卷ID
+   * @returns {Object} { count, best, lastAttemptAt }，best 为得分率最高的已批改记录
+   */
+  summarizePaper: (attempts, paperId) => {
+    const forPaper = attempts.filter(attempt => attempt.paperId === paperId);
+    const marked = forPaper.filter(attempt => AttemptLog.getPercent(attempt) !== null);
+
+    return {
+      count: forPaper.length,
+      best: marked.reduce((best, attempt) =>
+        !best || AttemptLog.getPercent(attempt) > AttemptLog.getPercent(best) ? attempt : best, null),
+      lastAttemptAt: forPaper.length > 0
+        ? forPaper.map(attempt => attempt.submittedAt).sort().pop()
+        : null
+    };
+  },
+
+  /**
+   * 汇总某个课程的作答情况
+   * @param {Array<Object>} attempts - 作答记录
+   * @param {string} topicId - 课程代码
+   * @returns {Object} { attemptedPapers, bestAverage }，bestAverage 为各试卷最好得分率的平均值，没有已批改记录时为 null
+   */
+  summarizeTopic: (attempts, topicId) => {
+    const paperIds = Array.from(new Set(
+      attempts.filter(attempt => attempt.topicId === topicId).map(attempt => attempt.paperId)
+    ));
+    const bests = paperIds
+      .map(paperId => AttemptLog.summarizePaper(attempts, paperId).best)
+      .filter(Boolean)
+      .map(AttemptLog.getPercent);
+
+    return {
+      attemptedPapers: paperIds.length,
+      bestAverage: bests.length > 0
+        ? Math.round(bests.reduce((sum, percent) => sum + percent, 0) / bests.length)
+        : null
+    };
+  },
+
+  /**
+   * 按课程整理得分趋势
+   * @param {Array<Object>} attempts - 作答记录
+   * @returns {Object} { [topicId]: Array<{ date, percent, paperId }> }，按时间正序，只包含已批改的记录
+   */
+  getTrends: (attempts) => {
+    return attempts
+      .filter(attempt => attempt.topicId && AttemptLog.getPercent(attempt) !== null)
+      .sort((a, b) => a.submittedAt.localeCompare(b.submittedAt))
+      .reduce((trends, attempt) => {
+        trends[attempt.topicId] = [
+          ...(trends[attempt.topicId] || []),
+          { date: attempt.submittedAt, percent: AttemptLog.getPercent(attempt), paperId: attempt.paperId }
+        ];
+        return trends;
+      }, {});
+  }
+};
@@ -0,0 +1,57 @@
+import { AttemptLog } from './AttemptLog';
+import { CookieUtils } from './CookieUtils';
+
+const attempts = [
+  { paperId: '9702_s23_qp_12', topicId: '9702', rawMark: 30, total: 40, submittedAt: '2024-03-02T10:00:00.000Z' },
+  { paperId: '9702_s23_qp_12', topicId: '9702', rawMark: 34, total: 40, submittedAt: '2024-03-09T10:00:00.000Z' },
+  { paperId: '9702_s23_qp_42', topicId: '9702', rawMark: null, total: null, submittedAt: '2024-03-05T10:00:00.000Z' },
+  { paperId: '9702_w22_qp_22', topicId: '9702', rawMark: 30, total: 60, submittedAt: '2024-02-20T10:00:00.000Z' },
+  { paperId: '9709_s23_qp_12', topicId: '9709', rawMark: 60, total: 75, submittedAt: '2024-03-01T10:00:00.000Z' }
+];
+
+beforeEach(() => localStorage.clear());
+
+test('summarizes attempts and the best score for a paper', () => {
+  const summary = AttemptLog.summarizePaper(attempts, '9702_s23_qp_12');
+  expect(summary.count).toBe(2);
+  expect(summary.best.rawMark).toBe(34);
+  expect(summary.lastAttemptAt).toBe('2024-03-09T10:00:00.000Z');
+});
+
+test('an unmarked attempt counts as attempted without a best score', () => {
+  const summary = AttemptLog.summarizePaper(attempts, '9702_s23_qp_42');
+  expect(summary.count).toBe(1);
+  expect(summary.best).toBeNull();
+});
+
+test('summarizes completion and average best score for a topic', () => {
+  expect(AttemptLog.summarizeTopic(attempts, '9702')).toEqual({ attemptedPapers: 3, bestAverage: 68 });
+  expect(AttemptLog.summarizeTopic(attempts, '0625')).toEqual({ attemptedPapers: 0, bestAverage: null });
+});
+
+test('builds chronological trends per syllabus from marked attempts', () => {
+  const trends = AttemptLog.getTrends(attempts);
+  expect(trends['9702'].map(point => point.percent)).toEqual([50, 75, 85]);
+  expect(trends['9709']).toHaveLength(1);
+});
+
+test('stores, updates and notifies', () => {
+  const listener = jest.fn();
+  const unsubscribe = AttemptLog.subscribe(listener);
+  const saved = AttemptLog.addAttempt({ paperId: '9702_s23_qp_42', topicId: '9702', rawMark: null, total: null });
+  AttemptLog.updateAttempt('9702_s23_qp_42', saved.id, { rawMark: 50, total: 100 });
+  unsubscribe();
+
+  expect(AttemptLog.getAttempts('9702_s23_qp_42')[0].rawMark).toBe(50);
+  expect(listener).toHaveBeenCalledTimes(2);
+});
+
+test('keeps each user\'s attempts separate', () => {
+  CookieUtils.setActiveUser('alice');
+  AttemptLog.addAttempt({ paperId: '9702_s23_qp_12', topicId: '9702', rawMark: 30, total: 40 });
+  CookieUtils.setActiveUser('bob');
+  expect(AttemptLog.getAttempts('9702_s23_qp_12')).toEqual([]);
+  CookieUtils.setActiveUser('alice');
+  expect(AttemptLog.getAttempts('9702_s23_qp_12')).toHaveLength(1);
+  CookieUtils.deleteCookie('activeUser');
+});
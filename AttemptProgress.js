@@ -0,0 +1,48 @@
+import React from 'react';
+import { AttemptLog } from './AttemptLog.js';
+import { PaperCatalog } from './PaperCatalog.js';
+
+/**
+ * PaperProgressBadge 组件 - 试卷卡片上的完成情况与最好成绩
+ * @param {Object} props
+ * @param {Array<Object>} props.attempts - 全部作答记录
+ * @param {string} props.paperId - 试卷ID
+ */
+export const PaperProgressBadge = ({ attempts, paperId }) => {
+  const summary = AttemptLog.summarizePaper(attempts, paperId);
+  if (summary.count === 0) return null;
+
+  return (
+    <span className="attempt-badge" title={`Last attempted ${new Date(summary.lastAttemptAt).toLocaleDateString()}`}>
+      {summary.best
+        ? `🏆 Best ${summary.best.rawMark}/${summary.best.total} (${AttemptLog.getPercent(summary.best)}%)`
+        : '✎ Attempted · unmarked'}
+      {summary.count > 1 && ` · ${summary.count} attempts`}
+    </span>
+  );
+};
+
+/**
+ * TopicProgress 组件 - 课程卡片上的完成进度与平均最好成绩
+ * @param {Object} props
+ * @param {Array<Object>} props.attempts - 全部作答记录
+ * @param {string} props.topicId - 课程代码
+ */
+export const TopicProgress = ({ attempts, topicId }) => {
+  const summary = AttemptLog.summarizeTopic(attempts, topicId);
+  if (summary.attemptedPapers === 0) return null;
+
+  const available = PaperCatalog.getPapersByTopic(topicId).filter(paper => paper.type === 'qp').length;
+
+  return (
+    <div className="topic-progress">
+      <div className="topic-progress-bar">
+        <div style={{ width: `${Math.min(100, (summary.attemptedPapers / available) * 100)}%` }}></div>
+      </div>
+      <span>
+        {summary.attemptedPapers}/{available} papers done
+        {summary.bestAverage !== null && ` · best avg ${summary.bestAverage}%`}
+      </span>
+    </div>
+  );
+};
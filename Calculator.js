@@ -0,0 +1,159 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { MathExpression } from './MathExpression.js';
+import { PaperWorkspace } from './PaperWorkspace.js';
+
+/**
+ * 按键布局：label 为按键文字，insert 为插入的文本，action 为特殊操作
+ */
+const KEYS = [
+  [{ label: 'sin', insert: 'sin(' }, { label: 'cos', insert: 'cos(' }, { label: 'tan', insert: 'tan(' }, { label: 'ln', insert: 'ln(' }, { label: 'log', insert: 'log(' }],
+  [{ label: 'sin⁻¹', insert: 'asin(' }, { label: 'cos⁻¹', insert: 'acos(' }, { label: 'tan⁻¹', insert: 'atan(' }, { label: '√', insert: '√(' }, { label: 'xʸ', insert: '^' }],
+  [{ label: '(', insert: '(' }, { label: ')', insert: ')' }, { label: 'x!', insert: '!' }, { label: 'π', insert: 'π' }, { label: 'e', insert: 'e' }],
+  [{ label: '7', insert: '7' }, { label: '8', insert: '8' }, { label: '9', insert: '9' }, { label: '÷', insert: '÷' }, { label: '⌫', action: 'backspace' }],
+  [{ label: '4', insert: '4' }, { label: '5', insert: '5' }, { label: '6', insert: '6' }, { label: '×', insert: '×' }, { label: 'AC', action: 'clear' }],
+  [{ label: '1', insert: '1' }, { label: '2', insert: '2' }, { label: '3', insert: '3' }, { label: '−', insert: '−' }, { label: 'Ans', insert: 'ans' }],
+  [{ label: '0', insert: '0' }, { label: '.', insert: '.' }, { label: '×10ˣ', insert: '×10^(' }, { label: '+', insert: '+' }, { label: '=', action: 'evaluate' }]
+];
+
+/**
+ * Calculator 组件 - 科学计算器
+ * 只有考试允许的科学计算器功能；角度制/弧度制和计算记录按试卷保存，点击记录可以把结果填回输入框
+ * @param {Object} props
+ * @param {string} props.paperId - 试卷ID
+ */
+const Calculator = ({ paperId }) => {
+  const [workspace, setWorkspace] = useState(() => PaperWorkspace.get(paperId));
+  const [expression, setExpression] = useState('');
+  const [errorMessage, setErrorMessage] = useState('');
+  const inputRef = useRef(null);
+
+  useEffect(() => {
+    setWorkspace(PaperWorkspace.get(paperId));
+    setExpression('');
+    setErrorMessage('');
+    return PaperWorkspace.subscribe(() => setWorkspace(PaperWorkspace.get(paperId)));
+  }, [paperId]);
+
+  const { angleMode, calculations } = workspace;
+  const ans = calculations.length > 0 ? calculations[0].value : 0;
+
+  /**
+   * 在光标位置插入文本
+   * @param {string} text - 插入的文本
+   */
+  const insert = (text) => {
+    const input = inputRef.current;
+    const start = input ? input.selectionStart : expression.length;
+    const end = input ? input.selectionEnd : expression.length;
+    setExpression(prev => prev.slice(0, start) + text + prev.slice(end));
+    setErrorMessage('');
+    // 输入框更新后把光标放到插入的文本之后
+    requestAnimationFrame(() => {
+      if (!inputRef.current) return;
+      inputRef.current.focus();
+      inputRef.current.setSelectionRange(start + text.length, start + text.length);
+    });
+  };
+
+  /**
+   * 计算并记入计算记录
+   */
+  const evaluate = () => {
+    if (!expression.trim()) return;
+    const result = MathExpression.calculate(expression, { angleMode, variables: { ans } });
+    if (!result.success) {
+      setErrorMessage(result.message);
+      return;
+    }
+    PaperWorkspace.addCalculation(paperId, { expression: expression.trim(), value: result.value, result: MathExpression.format(result.value) });
+    setExpression('');
+    setErrorMessage('');
+  };
+
+  /**
+   * 处理按键
+   * @param {Object} key - KEYS 中的按键
+   */
+  const handleKey = (key) => {
+    if (key.action === 'evaluate') evaluate();
+    else if (key.action === 'clear') {
+      setExpression('');
+      setErrorMessage('');
+    } else if (key.action === 'backspace') {
+      setExpression(prev => prev.slice(0, -1));
+      setErrorMessage('');
+    } else insert(key.insert);
+  };
+
+  return (
+    <div className="calculator">
+      <div className="calculator-display">
+        <div className="calculator-mode">
+          <button
+            className={angleMode === 'deg' ? 'active' : ''}
+            onClick={() => PaperWorkspace.update(paperId, { angleMode: 'deg' })}
+          >
+            DEG
+          </button>
+          <button
+            className={angleMode === 'rad' ? 'active' : ''}
+            onClick={() => PaperWorkspace.update(paperId, { angleMode: 'rad' })}
+          >
+            RAD
+          </button>
+        </div>
+        <input
+          ref={inputRef}
+          type="text"
+          value={expression}
+          onChange={(e) => {
+            setExpression(e.target.value);
+            setErrorMessage('');
+          }}
+          onKeyDown={(e) => e.key === 'Enter' && evaluate()}
+          placeholder={calculations.length > 0 ? `Ans = ${calculations[0].result}` : '0'}
+          aria-label="Expression"
+          spellCheck={false}
+        />
+        {errorMessage && <div className="calculator-error">{errorMessage}</div>}
+      </div>
+
+      <div className="calculator-keys">
+        {KEYS.flat().map(key => (
+          <button
+            key={key.label}
+            className={`calculator-key ${key.action || (/^[\d.]$/.test(key.label) ? 'digit' : 'function')}`}
+            onClick={() => handleKey(key)}
+          >
+            {key.label}
+          </button>
+        ))}
+      </div>
+
+      <div className="calculator-history">
+        <div className="tools-section-header">
+          <span>History</span>
+          {calculations.length > 0 && (
+            <button onClick={() => PaperWorkspace.update(paperId, { calculations: [] })}>Clear</button>
+          )}
+        </div>
+        {calculations.length === 0 ? (
+          <p className="tools-empty">Calculations for this paper will appear here.</p>
+        ) : (
+          <ul>
+            {calculations.map((item, index) => (
+              <li key={calculations.length - index}>
+                <button onClick={() => insert(item.result)} title="Insert result">
+                  <span className="calculator-history-expression">{item.expression}</span>
+                  <span className="calculator-history-result">= {item.result}</span>
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Calculator;
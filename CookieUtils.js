@@ -129,6 +129,23 @@ export const CookieUtils = {
     CookieUtils.setCookie('activeUser', username, 7);
   },
 
+  /**
+   * 获取本地学习数据所属的用户名，作答记录等数据按用户分开保存
+   * @returns {string} 活跃用户名，未登录时为 'guest'
+   */
+  getDataOwner: () => {
+    return CookieUtils.getActiveUser() || 'guest';
+  },
+
+  /**
+   * 获取当前用户的本地存储键，按用户分开保存的数据都通过这里取键
+   * @param {string} prefix - 存储键前缀，例如 'paperAttempts'
+   * @returns {string} 例如 'paperAttempts_alice'
+   */
+  getUserStorageKey: (prefix) => {
+    return `${prefix}_${CookieUtils.getDataOwner()}`;
+  },
+
   /**
    * 获取所有用户Token
    * @returns {Array} 用户Token列表 [{username, token, userData}]
@@ -0,0 +1,163 @@
+import React, { useState, useEffect } from 'react';
+import { PersonalLibrary, IMPORT_ACCEPT, DOCUMENT_FORMATS } from './PersonalLibrary.js';
+
+/**
+ * 可以选择的学段
+ */
+const LEVELS = ['IGCSE', 'O Level', 'AS Level', 'A Level', 'Other'];
+
+/**
+ * DocumentImport 组件 - 导入个人文件
+ * 选择 PDF、EPUB 或 HTML 文件后自动读取标题和作者，学生确认并选择学科和学段后保存到本地文件库；
+ * 导入到大纲库时还需要填写课程代码和适用年份
+ * @param {Object} props
+ * @param {string} props.library - 导入到哪个库，'textbook' | 'syllabus'
+ * @param {Array<string>} props.subjects - 可以选择的学科
+ * @param {Function} props.onClose - 关闭弹窗
+ * @param {Function} props.onImported - 导入成功的回调，参数为保存的条目
+ */
+const DocumentImport = ({ library, subjects, onClose, onImported }) => {
+  const [file, setFile] = useState(null);
+  const [data, setData] = useState(null);
+  const [details, setDetails] = useState(null);
+  const [reading, setReading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const isSyllabus = library === 'syllabus';
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  /**
+   * 读取选中的文件并预填标题、作者和课程信息
+   * @param {File} selected - 选中的文件
+   */
+  const handleFile = async (selected) => {
+    setFile(selected);
+    setDetails(null);
+    setError('');
+    if (!selected) return;
+
+    setReading(true);
+    try {
+      const buffer = await selected.arrayBuffer();
+      const metadata = await PersonalLibrary.extractMetadata(selected.name, buffer);
+      const guessed = PersonalLibrary.guessSyllabusDetails(`${metadata.title} ${selected.name}`);
+      setData(buffer);
+      setDetails({
+        format: metadata.format,
+        title: metadata.title,
+        author: metadata.author || '',
+        subject: subjects.find(subject => `${metadata.title} ${selected.name}`.toLowerCase().includes(subject.toLowerCase())) || subjects[0],
+        level: 'A Level',
+        code: guessed.code || '',
+        year: guessed.year || ''
+      });
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setReading(false);
+    }
+  };
+
+  /**
+   * 修改一项信息
+   * @param {string} field - 字段名
+   * @param {string} value - 新值
+   */
+  const updateDetail = (field, value) => setDetails(prev => ({ ...prev, [field]: value }));
+
+  /**
+   * 保存到个人文件库
+   */
+  const handleSave = async () => {
+    setSaving(true);
+    setError('');
+    try {
+      const entry = await PersonalLibrary.add(data, { ...details, library, fileName: file.name });
+      onImported(entry);
+    } catch (err) {
+      setError(err.message);
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="document-import-modal" onClick={(e) => e.stopPropagation()} role="dialog" aria-label="Import a document">
+        <div className="modal-header">
+          <h3>📥 Import {isSyllabus ? 'a syllabus' : 'a textbook or handout'}</h3>
+          <button className="close-btn" onClick={onClose}>×</button>
+        </div>
+
+        <div className="modal-content">
+          <p className="modal-description">
+            PDF, EPUB or HTML. The file stays on this device and appears with the other {isSyllabus ? 'syllabuses' : 'textbooks'}.
+          </p>
+          <input type="file" accept={IMPORT_ACCEPT} onChange={(e) => handleFile(e.target.files[0] || null)} />
+          {reading && <p className="document-import-status">Reading {file.name}…</p>}
+
+          {details && (
+            <div className="document-import-form">
+              <p className="document-import-status">
+                {DOCUMENT_FORMATS[details.format].label} · {file.name}
+              </p>
+              <label>
+                Title
+                <input value={details.title} onChange={(e) => updateDetail('title', e.target.value)} />
+              </label>
+              {!isSyllabus && (
+                <label>
+                  Author
+                  <input value={details.author} placeholder="Unknown" onChange={(e) => updateDetail('author', e.target.value)} />
+                </label>
+              )}
+              <div className="document-import-row">
+                <label>
+                  Subject
+                  <select value={details.subject} onChange={(e) => updateDetail('subject', e.target.value)}>
+                    {subjects.map(subject => <option key={subject} value={subject}>{subject}</option>)}
+                  </select>
+                </label>
+                <label>
+                  Level
+                  <select value={details.level} onChange={(e) => updateDetail('level', e.target.value)}>
+                    {LEVELS.map(level => <option key={level} value={level}>{level}</option>)}
+                  </select>
+                </label>
+              </div>
+              <div className="document-import-row">
+                {isSyllabus && (
+                  <label>
+                    Syllabus code
+                    <input value={details.code} placeholder="e.g. 9702" onChange={(e) => updateDetail('code', e.target.value)} />
+                  </label>
+                )}
+                <label>
+                  {isSyllabus ? 'Exam years' : 'Year'}
+                  <input value={details.year} placeholder={isSyllabus ? 'e.g. 2025-2027' : 'e.g. 2023'} onChange={(e) => updateDetail('year', e.target.value)} />
+                </label>
+              </div>
+            </div>
+          )}
+
+          {error && <p className="document-import-error">{error}</p>}
+        </div>
+
+        <div className="modal-footer">
+          <button className="cancel-btn" onClick={onClose}>Cancel</button>
+          <button className="confirm-btn" onClick={handleSave} disabled={!details || saving}>
+            {saving ? 'Importing…' : 'Import'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DocumentImport;
@@ -0,0 +1,127 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { PaperCatalog } from './PaperCatalog.js';
+
+/**
+ * 剩余时间提醒（分钟）
+ */
+export const EXAM_WARNINGS = [15, 5];
+
+/**
+ * 格式化倒计时，例如 "1:04:09"、"14:59"
+ * @param {number} ms - 剩余毫秒数
+ * @returns {string}
+ */
+const formatCountdown = (ms) => {
+  const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = String(Math.floor((totalSeconds % 3600) / 60)).padStart(hours > 0 ? 2 : 1, '0');
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${minutes}:${seconds}` : `${minutes}:${seconds}`;
+};
+
+/**
+ * ExamMode 组件 - 限时考试模式
+ * 未开始时显示开始按钮和锁定导航选项；开始后按试卷官方时长倒计时，
+ * 剩余 15 分钟和 5 分钟时提醒，时间到后调用 onFinish('timeup')
+ * @param {Object} props
+ * @param {Object} props.paper - 试卷目录条目（需要 duration）
+ * @param {Object|null} props.session - 进行中的考试 { paperId, startedAt, endsAt, lockNavigation }
+ * @param {Function} props.onStart - 开始考试回调，参数为 { lockNavigation }
+ * @param {Function} props.onFinish - 结束考试回调，参数为 'manual' | 'timeup'
+ */
+const ExamMode = ({ paper, session, onStart, onFinish }) => {
+  const [lockNavigation, setLockNavigation] = useState(true);
+  const [now, setNow] = useState(Date.now());
+  const [warning, setWarning] = useState(null);
+  const shownWarningsRef = useRef([]);
+  const finishedRef = useRef(false);
+
+  const remaining = session ? session.endsAt - now : null;
+
+  useEffect(() => {
+    if (!session) return;
+    shownWarningsRef.current = [];
+    finishedRef.current = false;
+    setWarning(null);
+    setNow(Date.now());
+
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [session]);
+
+  /**
+   * 检查提醒与到时
+   */
+  useEffect(() => {
+    if (remaining === null) return;
+
+    if (remaining <= 0) {
+      if (!finishedRef.current) {
+        finishedRef.current = true;
+        onFinish('timeup');
+      }
+      return;
+    }
+
+    // 开考时已经少于提醒时间的档位不再提醒（例如 45 分钟的试卷不会立即提示 15 分钟）
+    const due = EXAM_WARNINGS.find(minutes =>
+      remaining <= minutes * 60000 &&
+      session.endsAt - session.startedAt > minutes * 60000 &&
+      !shownWarningsRef.current.includes(minutes)
+    );
+    if (due) {
+      shownWarningsRef.current.push(due);
+      setWarning(due);
+    }
+  }, [remaining, session, onFinish]);
+
+  if (!paper.duration) return null;
+
+  if (!session) {
+    return (
+      <div className="exam-mode-start">
+        <button className="exam-start-btn" onClick={() => onStart({ lockNavigation })}>
+          ⏱ Start exam ({PaperCatalog.formatDuration(paper.duration)})
+        </button>
+        <label className="exam-lock-option">
+          <input
+            type="checkbox"
+            checked={lockNavigation}
+            onChange={(e) => setLockNavigation(e.target.checked)}
+          />
+          Lock navigation
+        </label>
+      </div>
+    );
+  }
+
+  const urgent = remaining <= EXAM_WARNINGS[EXAM_WARNINGS.length - 1] * 60000;
+
+  return (
+    <div className="exam-mode-running">
+      <span className={`exam-countdown ${urgent ? 'urgent' : ''}`} role="timer" aria-live="off">
+        ⏱ {formatCountdown(remaining)}
+      </span>
+      {session.lockNavigation && <span className="exam-locked" title="Navigation is locked until the exam ends">🔒</span>}
+      <button
+        className="exam-finish-btn"
+        onClick={() => {
+          if (window.confirm('Finish the exam now?')) {
+            finishedRef.current = true;
+            onFinish('manual');
+          }
+        }}
+      >
+        Finish
+      </button>
+      {warning && (
+        <div className="exam-warning" role="alert">
+          ⚠️ {warning} minutes remaining
+          <button onClick={() => setWarning(null)} aria-label="Dismiss">×</button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExamMode;
@@ -0,0 +1,674 @@
+// ==================== 记忆卡 ====================
+import { SpacedRepetition } from './SpacedRepetition.js';
+import { CookieUtils } from './CookieUtils.js';
+import { flashcardDeckData } from './mockData.js';
+
+/**
+ * 记忆卡的存储键前缀（按用户分开保存），结构为 { decks, cards, progress, newPerDay }
+ * - decks: 学生自建的卡组（入门卡组来自 flashcardDeckData，不保存）
+ * - cards: 学生添加或导入的卡片
+ * - progress: 按卡片ID保存的复习进度 { review, history, introducedAt, suspended }，入门卡组的进度也保存在这里
+ */
+const STORAGE_KEY = 'flashcards';
+
+/**
+ * 每天默认引入的新卡片数量
+ */
+export const DEFAULT_NEW_PER_DAY = 20;
+
+/**
+ * 卡片类型
+ */
+export const CARD_TYPES = {
+  basic: 'Term / definition',
+  cloze: 'Cloze',
+  image: 'Image'
+};
+
+/**
+ * 填空标记 {{c1::答案}} 或 {{c1::答案::提示}}
+ */
+const CLOZE_PATTERN = /\{\{c\d+::(.*?)(?:::(.*?))?\}\}/;
+
+/**
+ * Anki 文本文件 #separator 头部可以使用的名称
+ */
+const SEPARATORS = {
+  tab: '\t',
+  comma: ',',
+  semicolon: ';',
+  pipe: '|',
+  colon: ':',
+  space: ' '
+};
+
+/**
+ * CSV 标题行中可以识别的列名
+ */
+const COLUMN_NAMES = {
+  front: ['front', 'term', 'word', 'question', 'text'],
+  back: ['back', 'definition', 'meaning', 'answer', 'back extra'],
+  tags: ['tags', 'tag'],
+  type: ['type', 'card type'],
+  image: ['image', 'picture'],
+  frequency: ['frequency']
+};
+
+/**
+ * 导出 CSV 的列
+ */
+const CSV_COLUMNS = ['front', 'back', 'type', 'tags', 'image', 'frequency'];
+
+/**
+ * 记忆卡变化时的监听函数
+ */
+const listeners = new Set();
+
+/**
+ * 读取记忆卡数据
+ * @returns {Object}
+ */
+const readStore = () => {
+  const saved = localStorage.getItem(CookieUtils.getUserStorageKey(STORAGE_KEY));
+  return { decks: [], cards: [], progress: {}, newPerDay: DEFAULT_NEW_PER_DAY, ...(saved ? JSON.parse(saved) : {}) };
+};
+
+/**
+ * 写入记忆卡数据并通知监听者
+ * @param {Object} store - 记忆卡数据
+ */
+const writeStore = (store) => {
+  localStorage.setItem(CookieUtils.getUserStorageKey(STORAGE_KEY), JSON.stringify(store));
+  listeners.forEach(listener => listener());
+};
+
+/**
+ * 生成ID
+ * @param {string} prefix - 前缀
+ * @param {Date} now - 当前时间
+ * @param {number} index - 同一时间批量生成时的序号
+ * @returns {string}
+ */
+const createId = (prefix, now, index = 0) => `${prefix}_${now.getTime()}_${index}_${Math.random().toString(36).slice(2, 6)}`;
+
+/**
+ * 是否为同一天（本地时间）
+ * @param {string} iso - ISO 时间
+ * @param {Date} now - 当前时间
+ * @returns {boolean}
+ */
+const isSameDay = (iso, now) => Boolean(iso) && new Date(iso).toDateString() === now.toDateString();
+
+/**
+ * 卡组的全部卡片（合并复习进度）
+ * @param {Object} store - 记忆卡数据
+ * @param {string} deckId - 卡组ID
+ * @returns {Array<Object>}
+ */
+const collectCards = (store, deckId) => {
+  const starter = flashcardDeckData.find(deck => deck.id === deckId);
+  const cards = starter
+    ? starter.cards.map(card => ({ ...card, deckId, starter: true }))
+    : store.cards.filter(card => card.deckId === deckId).map(card => ({ ...card, starter: false }));
+
+  return cards.map(card => {
+    const saved = store.progress[card.id];
+    return {
+      back: '',
+      image: null,
+      tags: [],
+      frequency: null,
+      ...card,
+      review: saved?.review || null,
+      history: saved?.history || [],
+      introducedAt: saved?.introducedAt || null,
+      suspended: Boolean(saved?.suspended)
+    };
+  });
+};
+
+/**
+ * 今天已经引入的新卡片数量（所有卡组合计）
+ * @param {Object} store - 记忆卡数据
+ * @param {Date} now - 当前时间
+ * @returns {number}
+ */
+const countIntroducedToday = (store, now) => (
+  Object.values(store.progress).filter(saved => isSameDay(saved.introducedAt, now)).length
+);
+
+/**
+ * 按分隔符拆分文本（支持 RFC 4180 引号：字段中的分隔符、换行和 "" 转义）
+ * @param {string} text - 文本
+ * @param {string} separator - 分隔符
+ * @returns {Array<Array<string>>} 去掉空行后的各行
+ */
+const parseDelimited = (text, separator) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === separator) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+};
+
+/**
+ * 把字段转换为 CSV/Anki 文本中的一格，含分隔符、引号或换行时加引号
+ * @param {string} value - 字段
+ * @param {string} separator - 分隔符
+ * @returns {string}
+ */
+const quoteField = (value, separator) => {
+  const text = value == null ? '' : String(value);
+  return text.includes(separator) || /["\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * 把 Anki 导出的 HTML 字段转换为纯文本，并取出其中的图片
+ * @param {string} html - 字段内容
+ * @returns {Object} { text, images }
+ */
+const fromHtml = (html) => {
+  const images = [];
+  const text = html
+    .replace(/<img[^>]*?\bsrc\s*=\s*["']?([^"'\s>]+)["']?[^>]*>/gi, (match, src) => {
+      images.push(src);
+      return '';
+    })
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|li)>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+  return { text, images };
+};
+
+/**
+ * 把纯文本转换为 Anki 的 HTML 字段
+ * @param {string} text - 文本
+ * @returns {string}
+ */
+const toHtml = (text) => (text || '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/\t/g, ' ')
+  .replace(/\r?\n/g, '<br>');
+
+/**
+ * 读取 Anki 文本文件开头的 #key:value 头部
+ * @param {Array<string>} lines - 文件各行
+ * @returns {Object} { headers, bodyStart }
+ */
+const readHeaders = (lines) => {
+  const headers = {};
+  let bodyStart = 0;
+  while (bodyStart < lines.length && lines[bodyStart].startsWith('#')) {
+    const match = lines[bodyStart].match(/^#([^:]+):(.*)$/);
+    if (match) headers[match[1].trim().toLowerCase()] = match[2].trim();
+    bodyStart++;
+  }
+  return { headers, bodyStart };
+};
+
+/**
+ * 确定各字段所在的列
+ * 有标题行时按列名识别；否则除去 Anki 头部声明的特殊列后，第一列为正面、第二列为背面
+ * @param {Array<string>} firstRow - 第一行
+ * @param {Object} headers - Anki 头部
+ * @returns {Object} { columns, hasHeaderRow }
+ */
+const mapColumns = (firstRow, headers) => {
+  const names = firstRow.map(cell => cell.trim().toLowerCase());
+  if (names.some(name => COLUMN_NAMES.front.includes(name))) {
+    const columns = {};
+    Object.entries(COLUMN_NAMES).forEach(([field, aliases]) => {
+      const index = names.findIndex(name => aliases.includes(name));
+      if (index >= 0) columns[field] = index;
+    });
+    return { columns, hasHeaderRow: true };
+  }
+
+  const columnOf = (key) => (headers[key] ? Number(headers[key]) - 1 : -1);
+  const special = {
+    tags: columnOf('tags column'),
+    type: columnOf('notetype column'),
+    deck: columnOf('deck column'),
+    guid: columnOf('guid column')
+  };
+  const reserved = Object.values(special).filter(index => index >= 0);
+  const fields = firstRow.map((cell, index) => index).filter(index => !reserved.includes(index));
+  const columns = { front: fields[0], back: fields[1] };
+  if (special.tags >= 0) columns.tags = special.tags;
+  else if (!headers.separator && fields.length > 2) columns.tags = fields[2];
+  if (special.type >= 0) columns.type = special.type;
+  return { columns, hasHeaderRow: false };
+};
+
+/**
+ * 记忆卡工具类（背单词）
+ * 卡组按学科整理，内置命令词和各学科关键术语的入门卡组，学生也可以自建卡组、添加卡片或导入 CSV / Anki 文本文件；
+ * 卡片有三种：术语/定义、填空（{{c1::答案}}）和看图作答
+ * 用 SpacedRepetition 安排复习：每天的复习队列先是到期的卡片（过期最久的在前），
+ * 再按出现频率从高到低引入新卡片，每天引入的数量有上限
+ * 卡组结构：{ id, title, subjectKey, syllabusCode, description, starter, createdAt }
+ * 卡片结构：{ id, deckId, type, front, back, image, tags, frequency, review, history, introducedAt, suspended }
+ * - review: SpacedRepetition 的复习状态，新卡片为 null
+ * - history: 每次复习的自评 [{ date, rating }]
+ * - suspended: 已暂停（学生已经掌握、不想再复习的卡片），不进入复习队列
+ * 后端对接：可以通过 /api/user/flashcards 同步卡组和复习进度，入门卡组可以通过 /api/flashcards/decks 获取
+ */
+export const Flashcards = {
+  /**
+   * 获取全部卡组，入门卡组在前
+   * @returns {Array<Object>}
+   */
+  getDecks: () => [
+    ...flashcardDeckData.map(({ cards, ...deck }) => ({ ...deck, starter: true, createdAt: null })),
+    ...readStore().decks.map(deck => ({ ...deck, starter: false }))
+  ],
+
+  /**
+   * 获取卡组
+   * @param {string} deckId - 卡组ID
+   * @returns {Object|null}
+   */
+  getDeck: (deckId) => Flashcards.getDecks().find(deck => deck.id === deckId) || null,
+
+  /**
+   * 新建卡组
+   * @param {Object} details - { title, subjectKey, description }，subjectKey 为空表示不限学科
+   * @param {Date} now - 创建时间
+   * @returns {Object} 卡组
+   */
+  createDeck: ({ title, subjectKey = null, description = '' }, now = new Date()) => {
+    if (!title || !title.trim()) throw new Error('Give the deck a name.');
+    const store = readStore();
+    const deck = {
+      id: createId('deck', now),
+      title: title.trim(),
+      subjectKey: subjectKey || null,
+      syllabusCode: null,
+      description: description.trim(),
+      createdAt: now.toISOString()
+    };
+    writeStore({ ...store, decks: [...store.decks, deck] });
+    return { ...deck, starter: false };
+  },
+
+  /**
+   * 删除自建卡组及其卡片和复习进度
+   * @param {string} deckId - 卡组ID
+   */
+  deleteDeck: (deckId) => {
+    if (flashcardDeckData.some(deck => deck.id === deckId)) throw new Error('Starter decks can’t be deleted.');
+    const store = readStore();
+    const progress = { ...store.progress };
+    store.cards.filter(card => card.deckId === deckId).forEach(card => delete progress[card.id]);
+    writeStore({
+      ...store,
+      decks: store.decks.filter(deck => deck.id !== deckId),
+      cards: store.cards.filter(card => card.deckId !== deckId),
+      progress
+    });
+  },
+
+  /**
+   * 获取卡组中的卡片
+   * @param {string} deckId - 卡组ID
+   * @returns {Array<Object>} 合并了复习进度的卡片
+   */
+  getCards: (deckId) => collectCards(readStore(), deckId),
+
+  /**
+   * 检查卡片内容
+   * @param {Object} card - { type, front, back, image }
+   * @returns {string|null} 错误信息，没有问题时为 null
+   */
+  validateCard: ({ type, front = '', back = '', image = null }) => {
+    if (!CARD_TYPES[type]) return 'Unknown card type.';
+    if (type === 'image' && !image) return 'Image cards need an image.';
+    if (type !== 'image' && !front.trim()) return 'The front of the card is empty.';
+    if (type === 'cloze' && !CLOZE_PATTERN.test(front)) return 'Mark at least one blank with {{c1::answer}}.';
+    if (type !== 'cloze' && !back.trim()) return 'The back of the card is empty.';
+    return null;
+  },
+
+  /**
+   * 添加卡片到自建卡组
+   * @param {string} deckId - 卡组ID
+   * @param {Object} card - { type, front, back, image, tags, frequency }
+   * @param {Date} now - 添加时间
+   * @returns {Object} 卡片
+   */
+  addCard: (deckId, card, now = new Date()) => {
+    const [added] = Flashcards.importCards(deckId, [card], now).cards;
+    return added;
+  },
+
+  /**
+   * 批量添加卡片到自建卡组，跳过卡组中已有的相同卡片
+   * @param {string} deckId - 卡组ID
+   * @param {Array<Object>} cards - 卡片
+   * @param {Date} now - 添加时间
+   * @returns {Object} { cards: 新增的卡片, duplicates: 跳过的数量 }
+   */
+  importCards: (deckId, cards, now = new Date()) => {
+    const store = readStore();
+    if (!store.decks.some(deck => deck.id === deckId)) {
+      throw new Error('Cards can only be added to your own decks. Create a deck first.');
+    }
+    cards.forEach(card => {
+      const error = Flashcards.validateCard(card);
+      if (error) throw new Error(error);
+    });
+
+    const keyOf = (card) => [card.type, card.front.trim().toLowerCase(), (card.back || '').trim().toLowerCase(), card.image || ''].join('|');
+    const existing = new Set(store.cards.filter(card => card.deckId === deckId).map(keyOf));
+    const added = [];
+    cards.forEach((card, index) => {
+      const key = keyOf({ ...card, front: card.front || '' });
+      if (existing.has(key)) return;
+      existing.add(key);
+      added.push({
+        id: createId('card', now, index),
+        deckId,
+        type: card.type,
+        front: (card.front || '').trim(),
+        back: (card.back || '').trim(),
+        image: card.image || null,
+        tags: card.tags || [],
+        frequency: card.frequency ?? null,
+        addedAt: now.toISOString()
+      });
+    });
+
+    if (added.length > 0) writeStore({ ...store, cards: [...store.cards, ...added] });
+    return { cards: added, duplicates: cards.length - added.length };
+  },
+
+  /**
+   * 删除自建卡组中的卡片
+   * @param {string} cardId - 卡片ID
+   */
+  removeCard: (cardId) => {
+    const store = readStore();
+    const { [cardId]: removed, ...progress } = store.progress;
+    writeStore({ ...store, cards: store.cards.filter(card => card.id !== cardId), progress });
+  },
+
+  /**
+   * 暂停或恢复卡片（入门卡组中已经掌握的卡片也可以暂停）
+   * @param {string} cardId - 卡片ID
+   * @param {boolean} suspended - 是否暂停
+   */
+  setSuspended: (cardId, suspended) => {
+    const store = readStore();
+    writeStore({ ...store, progress: { ...store.progress, [cardId]: { ...store.progress[cardId], suspended } } });
+  },
+
+  /**
+   * 拆分填空卡片的正面
+   * 所有挖空同时隐藏：正面显示提示（没有提示时为 …），背面显示答案
+   * @param {string} text - 卡片正面
+   * @returns {Array<Object>} 片段 [{ text, blank, hint }]
+   */
+  parseCloze: (text) => {
+    const segments = [];
+    const pattern = new RegExp(CLOZE_PATTERN.source, 'g');
+    let last = 0;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      if (match.index > last) segments.push({ text: text.slice(last, match.index), blank: false, hint: null });
+      segments.push({ text: match[1], blank: true, hint: match[2] || null });
+      last = pattern.lastIndex;
+    }
+    if (last < text.length) segments.push({ text: text.slice(last), blank: false, hint: null });
+    return segments;
+  },
+
+  /**
+   * 每天引入的新卡片数量
+   * @returns {number}
+   */
+  getNewPerDay: () => readStore().newPerDay,
+
+  /**
+   * 设置每天引入的新卡片数量
+   * @param {number} count - 数量
+   */
+  setNewPerDay: (count) => {
+    writeStore({ ...readStore(), newPerDay: Math.max(0, Math.round(count) || 0) });
+  },
+
+  /**
+   * 今天还可以引入的新卡片数量
+   * @param {Date} now - 当前时间
+   * @returns {number}
+   */
+  getNewRemaining: (now = new Date()) => {
+    const store = readStore();
+    return Math.max(0, store.newPerDay - countIntroducedToday(store, now));
+  },
+
+  /**
+   * 今天的复习队列
+   * @param {Array<string>} deckIds - 卡组ID
+   * @param {Date} now - 当前时间
+   * @returns {Array<Object>} 到期卡片按到期时间正序，之后是按频率从高到低的新卡片
+   */
+  buildSession: (deckIds, now = new Date()) => {
+    const store = readStore();
+    const cards = deckIds.flatMap(deckId => collectCards(store, deckId)).filter(card => !card.suspended);
+    const due = cards
+      .filter(card => card.review && SpacedRepetition.isDue(card.review, now))
+      .sort((a, b) => a.review.dueAt.localeCompare(b.review.dueAt));
+    const fresh = cards
+      .filter(card => !card.review)
+      .sort((a, b) => (b.frequency || 0) - (a.frequency || 0))
+      .slice(0, Math.max(0, store.newPerDay - countIntroducedToday(store, now)));
+    return [...due, ...fresh];
+  },
+
+  /**
+   * 记录一次复习并安排下次复习；新卡片第一次复习时记为今天引入
+   * @param {string} cardId - 卡片ID
+   * @param {string} rating - REVIEW_RATINGS 中的键
+   * @param {Date} now - 复习时间
+   */
+  recordReview: (cardId, rating, now = new Date()) => {
+    const store = readStore();
+    const saved = store.progress[cardId] || {};
+    const state = saved.review || SpacedRepetition.createState(now, 0);
+    writeStore({
+      ...store,
+      progress: {
+        ...store.progress,
+        [cardId]: {
+          ...saved,
+          introducedAt: saved.introducedAt || now.toISOString(),
+          review: SpacedRepetition.review(state, rating, now),
+          history: [...(saved.history || []), { date: now.toISOString(), rating }]
+        }
+      }
+    });
+  },
+
+  /**
+   * 统计卡组
+   * 间隔达到 21 天的卡片视为已牢固掌握
+   * @param {string} deckId - 卡组ID
+   * @param {Date} now - 当前时间
+   * @returns {Object} { total, new, due, learning, mature, suspended }
+   */
+  getDeckStats: (deckId, now = new Date()) => {
+    const cards = Flashcards.getCards(deckId);
+    const active = cards.filter(card => !card.suspended);
+    const reviewed = active.filter(card => card.review);
+    return {
+      total: cards.length,
+      new: active.length - reviewed.length,
+      due: reviewed.filter(card => SpacedRepetition.isDue(card.review, now)).length,
+      learning: reviewed.filter(card => card.review.interval < 21).length,
+      mature: reviewed.filter(card => card.review.interval >= 21).length,
+      suspended: cards.length - active.length
+    };
+  },
+
+  /**
+   * 今天复习过的次数（所有卡组合计）
+   * @param {Date} now - 当前时间
+   * @returns {number}
+   */
+  getReviewedToday: (now = new Date()) => Object.values(readStore().progress)
+    .reduce((sum, saved) => sum + (saved.history || []).filter(item => isSameDay(item.date, now)).length, 0),
+
+  /**
+   * 解析导入的 CSV 或 Anki 文本文件
+   * - CSV：第一行可以是标题行（front/term、back/definition、tags、type、image、frequency），没有标题行时依次为正面、背面、标签
+   * - Anki「Notes in Plain Text」：识别 #separator、#html、#tags column、#notetype column 等头部，
+   *   HTML 字段转换为纯文本，<img> 只接受网址或 data URL（Anki 媒体文件不在文本文件中）
+   * 没有声明类型时，带图片的为看图卡片，含 {{c1::…}} 的为填空卡片
+   * @param {string} text - 文件内容
+   * @returns {Object} { cards, errors }，errors 为无法导入的行的说明
+   */
+  parseImport: (text) => {
+    const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+    const { headers, bodyStart } = readHeaders(lines);
+    const body = lines.slice(bodyStart).join('\n');
+    const firstLine = lines.slice(bodyStart).find(line => line.trim() !== '') || '';
+    const separator = SEPARATORS[headers.separator?.toLowerCase()] || headers.separator ||
+      (firstLine.includes('\t') ? '\t' : firstLine.includes(';') && !firstLine.includes(',') ? ';' : ',');
+
+    const rows = parseDelimited(body, separator);
+    if (rows.length === 0) return { cards: [], errors: ['The file has no cards.'] };
+
+    const { columns, hasHeaderRow } = mapColumns(rows[0], headers);
+    const cards = [];
+    const errors = [];
+    const cellOf = (row, field) => (columns[field] === undefined ? '' : (row[columns[field]] || '').trim());
+
+    rows.slice(hasHeaderRow ? 1 : 0).forEach((row, index) => {
+      const rowNumber = index + 1;
+      const isHtml = headers.html === 'true' ||
+        (headers.html !== 'false' && [cellOf(row, 'front'), cellOf(row, 'back')].some(cell => /<[a-z][^>]*>/i.test(cell)));
+      const front = isHtml ? fromHtml(cellOf(row, 'front')) : { text: cellOf(row, 'front'), images: [] };
+      const back = isHtml ? fromHtml(cellOf(row, 'back')) : { text: cellOf(row, 'back'), images: [] };
+
+      const image = cellOf(row, 'image') || [...front.images, ...back.images][0] || null;
+      if (image && !/^(data:image\/|https?:\/\/)/i.test(image)) {
+        errors.push(`Row ${rowNumber}: the image "${image}" is a media file that isn’t included in a text export.`);
+        return;
+      }
+
+      const declared = cellOf(row, 'type').toLowerCase();
+      const type = declared === 'cloze' || declared === 'image'
+        ? declared
+        : image ? 'image' : CLOZE_PATTERN.test(front.text) ? 'cloze' : 'basic';
+      const frequency = Number(cellOf(row, 'frequency'));
+      const card = {
+        type,
+        front: front.text,
+        back: back.text,
+        image,
+        tags: cellOf(row, 'tags').split(/[\s,]+/).filter(Boolean),
+        frequency: cellOf(row, 'frequency') !== '' && Number.isFinite(frequency) ? frequency : null
+      };
+
+      const error = Flashcards.validateCard(card);
+      if (error) errors.push(`Row ${rowNumber}: ${error}`);
+      else cards.push(card);
+    });
+
+    return { cards, errors };
+  },
+
+  /**
+   * 导出卡组为 CSV（可以用同样的格式导回）
+   * @param {string} deckId - 卡组ID
+   * @returns {string}
+   */
+  exportCsv: (deckId) => [
+    CSV_COLUMNS.join(','),
+    ...Flashcards.getCards(deckId).map(card => CSV_COLUMNS
+      .map(column => quoteField(column === 'tags' ? card.tags.join(' ') : card[column], ','))
+      .join(','))
+  ].join('\n'),
+
+  /**
+   * 导出卡组为 Anki 可以导入的文本文件（File → Import）
+   * 术语和看图卡片使用 Basic 笔记类型，填空卡片使用 Cloze 笔记类型，图片以 data URL 写在正面
+   * @param {string} deckId - 卡组ID
+   * @returns {string}
+   */
+  exportAnki: (deckId) => [
+    '#separator:tab',
+    '#html:true',
+    '#notetype column:1',
+    '#tags column:4',
+    ...Flashcards.getCards(deckId).map(card => {
+      const front = card.image ? `<img src="${card.image}"><br>${toHtml(card.front)}` : toHtml(card.front);
+      return [card.type === 'cloze' ? 'Cloze' : 'Basic', front, toHtml(card.back), card.tags.join(' ')]
+        .map(field => quoteField(field, '\t'))
+        .join('\t');
+    })
+  ].join('\n'),
+
+  /**
+   * 导出文件名
+   * @param {Object} deck - 卡组
+   * @param {string} format - 'csv' | 'anki'
+   * @returns {string}
+   */
+  getExportFilename: (deck, format) => {
+    const name = deck.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'deck';
+    return format === 'csv' ? `${name}.csv` : `${name}-anki.txt`;
+  },
+
+  /**
+   * 订阅记忆卡变化
+   * @param {Function} listener - 回调
+   * @returns {Function} 取消订阅函数
+   */
+  subscribe: (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+};
@@ -0,0 +1,122 @@
+import { Flashcards } from './Flashcards';
+import { CookieUtils } from './CookieUtils';
+
+const today = new Date(2024, 2, 1, 9, 0);
+const tomorrow = new Date(2024, 2, 2, 9, 0);
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+test('lists starter decks with their cards', () => {
+  const decks = Flashcards.getDecks();
+  expect(decks[0]).toMatchObject({ id: 'starter-command-words', subjectKey: null, starter: true });
+  expect(decks.find(deck => deck.id === 'starter-circuit-symbols').subjectKey).toBe('physics');
+
+  const cards = Flashcards.getCards('starter-circuit-symbols');
+  expect(cards.every(card => card.type === 'image' && card.image.startsWith('data:image/svg+xml'))).toBe(true);
+  expect(cards[0]).toMatchObject({ deckId: 'starter-circuit-symbols', review: null, history: [], suspended: false });
+  expect(() => Flashcards.deleteDeck('starter-command-words')).toThrow('Starter decks can’t be deleted.');
+});
+
+test('keeps each user\'s decks and settings separate', () => {
+  CookieUtils.setActiveUser('alice');
+  const deck = Flashcards.createDeck({ title: 'Moles' }, today);
+  Flashcards.setNewPerDay(5);
+  CookieUtils.setActiveUser('bob');
+  expect(Flashcards.getDeck(deck.id)).toBeNull();
+  expect(Flashcards.getNewPerDay()).toBe(20);
+  CookieUtils.setActiveUser('alice');
+  expect(Flashcards.getDeck(deck.id)).toMatchObject({ title: 'Moles' });
+  expect(Flashcards.getNewPerDay()).toBe(5);
+  CookieUtils.deleteCookie('activeUser');
+});
+
+test('splits cloze cards into text and blanks', () => {
+  expect(Flashcards.parseCloze('Momentum is {{c1::mass}} × {{c2::velocity::v}}.')).toEqual([
+    { text: 'Momentum is ', blank: false, hint: null },
+    { text: 'mass', blank: true, hint: null },
+    { text: ' × ', blank: false, hint: null },
+    { text: 'velocity', blank: true, hint: 'v' },
+    { text: '.', blank: false, hint: null }
+  ]);
+  expect(Flashcards.validateCard({ type: 'cloze', front: 'No blanks here' })).toBe('Mark at least one blank with {{c1::answer}}.');
+  expect(Flashcards.validateCard({ type: 'image', front: '', back: 'Diode' })).toBe('Image cards need an image.');
+  expect(Flashcards.validateCard({ type: 'basic', front: 'Define', back: 'Give a precise meaning.' })).toBeNull();
+});
+
+test('builds the daily session from due cards and the most frequent new cards', () => {
+  Flashcards.setNewPerDay(3);
+  const first = Flashcards.buildSession(['starter-command-words'], today);
+  expect(first.map(card => card.front)).toEqual(['State', 'Explain', 'Calculate']);
+
+  first.forEach(card => Flashcards.recordReview(card.id, card.front === 'Explain' ? 'again' : 'good', today));
+  expect(Flashcards.getNewRemaining(today)).toBe(0);
+  expect(Flashcards.buildSession(['starter-command-words'], today)).toHaveLength(0);
+  expect(Flashcards.getReviewedToday(today)).toBe(3);
+
+  // 第二天三张卡片都到期，另外引入三张新卡片；暂停的卡片不进入队列
+  Flashcards.setSuspended('cw-describe', true);
+  const next = Flashcards.buildSession(['starter-command-words'], tomorrow);
+  expect(next.map(card => card.front)).toEqual(['State', 'Explain', 'Calculate', 'Determine', 'Suggest', 'Define']);
+  expect(Flashcards.getDeckStats('starter-command-words', tomorrow)).toMatchObject({
+    total: 22, new: 18, due: 3, learning: 3, mature: 0, suspended: 1
+  });
+  expect(Flashcards.getCards('starter-command-words').find(card => card.front === 'Explain').review.lapses).toBe(1);
+});
+
+test('imports CSV with a header row and skips invalid and duplicate rows', () => {
+  const deck = Flashcards.createDeck({ title: 'Waves', subjectKey: 'physics' }, today);
+  const { cards, errors } = Flashcards.parseImport([
+    'term,definition,tags,frequency',
+    'Wavelength,"The distance between two adjacent points in phase, e.g. two crests",waves 7.1,12',
+    '"Amplitude","The maximum displacement from the equilibrium position",,',
+    'Node,,,',
+    'A {{c1::stationary}} wave stores energy,,,'
+  ].join('\r\n'));
+
+  expect(errors).toEqual(['Row 3: The back of the card is empty.']);
+  expect(cards).toEqual([
+    { type: 'basic', front: 'Wavelength', back: 'The distance between two adjacent points in phase, e.g. two crests', image: null, tags: ['waves', '7.1'], frequency: 12 },
+    { type: 'basic', front: 'Amplitude', back: 'The maximum displacement from the equilibrium position', image: null, tags: [], frequency: null },
+    { type: 'cloze', front: 'A {{c1::stationary}} wave stores energy', back: '', image: null, tags: [], frequency: null }
+  ]);
+
+  expect(Flashcards.importCards(deck.id, cards, today)).toMatchObject({ duplicates: 0 });
+  expect(Flashcards.importCards(deck.id, cards.slice(0, 1), today)).toMatchObject({ cards: [], duplicates: 1 });
+  expect(Flashcards.getCards(deck.id)).toHaveLength(3);
+  expect(() => Flashcards.importCards('starter-command-words', cards, today)).toThrow('Cards can only be added to your own decks.');
+});
+
+test('round-trips Anki plain-text files', () => {
+  const deck = Flashcards.createDeck({ title: 'Symbols & terms' }, today);
+  Flashcards.addCard(deck.id, { type: 'basic', front: 'I < I₀', back: 'Line one\nLine two', tags: ['a', 'b'] }, today);
+  Flashcards.addCard(deck.id, { type: 'cloze', front: 'p = {{c1::mv}}', back: '' }, today);
+  Flashcards.addCard(deck.id, { type: 'image', front: 'Name it', back: 'Diode', image: 'data:image/png;base64,AAA' }, today);
+
+  const exported = Flashcards.exportAnki(deck.id);
+  expect(exported.split('\n').slice(0, 5)).toEqual([
+    '#separator:tab',
+    '#html:true',
+    '#notetype column:1',
+    '#tags column:4',
+    'Basic\tI &lt; I₀\tLine one<br>Line two\ta b'
+  ]);
+
+  const { cards, errors } = Flashcards.parseImport(exported);
+  expect(errors).toEqual([]);
+  expect(cards.map(({ type, front, back, image, tags }) => ({ type, front, back, image, tags }))).toEqual([
+    { type: 'basic', front: 'I < I₀', back: 'Line one\nLine two', image: null, tags: ['a', 'b'] },
+    { type: 'cloze', front: 'p = {{c1::mv}}', back: '', image: null, tags: [] },
+    { type: 'image', front: 'Name it', back: 'Diode', image: 'data:image/png;base64,AAA', tags: [] }
+  ]);
+
+  // Anki 媒体文件不在文本文件中
+  const media = Flashcards.parseImport('#separator:tab\n#html:true\n<img src="resistor.png">\tResistor');
+  expect(media.errors).toEqual(['Row 1: the image "resistor.png" is a media file that isn’t included in a text export.']);
+
+  const csv = Flashcards.parseImport(Flashcards.exportCsv(deck.id));
+  expect(csv.cards.map(card => card.type)).toEqual(['basic', 'cloze', 'image']);
+  expect(csv.cards[0].back).toBe('Line one\nLine two');
+  expect(Flashcards.getExportFilename(deck, 'anki')).toBe('symbols-terms-anki.txt');
+});
@@ -0,0 +1,474 @@
+import React, { useState, useEffect } from 'react';
+import { Flashcards, CARD_TYPES } from './Flashcards.js';
+import { SpacedRepetition, REVIEW_RATINGS } from './SpacedRepetition.js';
+import { OfflineLibrary } from './OfflineLibrary.js';
+import { subjectsData } from './mockData.js';
+
+/**
+ * 卡片图片的大小上限（卡片保存在浏览器本地存储中）
+ */
+const MAX_IMAGE_SIZE = 200 * 1024;
+
+/**
+ * 导入文件可以选择的类型
+ */
+const IMPORT_ACCEPT = '.csv,.txt,.tsv,text/csv,text/plain';
+
+/**
+ * 空的新卡片表单
+ */
+const EMPTY_CARD = { type: 'basic', front: '', back: '', image: null, tags: '' };
+
+/**
+ * 学科名称
+ * @param {string|null} subjectKey - 学科键，null 表示不限学科
+ * @returns {string}
+ */
+const describeSubject = (subjectKey) => (subjectKey ? subjectsData[subjectKey]?.name || subjectKey : 'All subjects');
+
+/**
+ * 卡片下次复习时间的描述
+ * @param {Object} card - 卡片
+ * @returns {string}
+ */
+const describeDue = (card) => {
+  if (card.suspended) return 'Suspended';
+  if (!card.review) return 'New';
+  const days = SpacedRepetition.daysUntilDue(card.review);
+  if (days === 0) return 'Due today';
+  return days === 1 ? 'Due tomorrow' : `Due in ${days} days`;
+};
+
+/**
+ * CardFace 组件 - 卡片内容
+ * 填空卡片在翻面前显示提示，翻面后高亮答案
+ * @param {Object} props
+ * @param {Object} props.card - 卡片
+ * @param {boolean} props.revealed - 是否显示答案
+ */
+const CardFace = ({ card, revealed }) => (
+  <div className="flashcard-face">
+    {card.image && <img className="flashcard-image" src={card.image} alt={revealed ? card.back : 'Card image'} />}
+    {card.type === 'cloze' ? (
+      <p className="flashcard-front">
+        {Flashcards.parseCloze(card.front).map((segment, index) => (
+          segment.blank
+            ? <span key={index} className={`flashcard-blank ${revealed ? 'revealed' : ''}`}>{revealed ? segment.text : `[${segment.hint || '…'}]`}</span>
+            : <span key={index}>{segment.text}</span>
+        ))}
+      </p>
+    ) : (
+      card.front && <p className="flashcard-front">{card.front}</p>
+    )}
+    {revealed && card.back && <p className="flashcard-back">{card.back}</p>}
+  </div>
+);
+
+/**
+ * FlashcardSession 组件 - 复习
+ * 翻面后自评；选 Again 的卡片放回本次复习的末尾，答对后才算完成
+ * 快捷键：空格翻面，1–4 对应 Again/Hard/Good/Easy
+ * @param {Object} props
+ * @param {string} props.title - 复习的卡组名称
+ * @param {Array<Object>} props.cards - 复习队列（Flashcards.buildSession 的结果）
+ * @param {Function} props.onFinish - 结束复习的回调
+ */
+const FlashcardSession = ({ title, cards, onFinish }) => {
+  const [queue, setQueue] = useState(cards);
+  const [revealed, setRevealed] = useState(false);
+  const [reviewed, setReviewed] = useState(0);
+  const card = queue[0];
+  const state = card ? card.review || SpacedRepetition.createState(new Date(), 0) : null;
+
+  /**
+   * 记录自评并切换到下一张
+   * @param {string} rating - REVIEW_RATINGS 中的键
+   */
+  const rate = (rating) => {
+    const now = new Date();
+    Flashcards.recordReview(card.id, rating, now);
+    setReviewed(prev => prev + 1);
+    setRevealed(false);
+    setQueue(prev => (rating === 'again'
+      ? [...prev.slice(1), { ...card, review: SpacedRepetition.review(state, rating, now) }]
+      : prev.slice(1)));
+  };
+
+  useEffect(() => {
+    if (!card) return undefined;
+    const handleKeyDown = (event) => {
+      if (event.target.tagName === 'INPUT' || event.target.tagName === 'TEXTAREA') return;
+      if (!revealed && event.key === ' ') {
+        event.preventDefault();
+        setRevealed(true);
+      } else if (revealed && ['1', '2', '3', '4'].includes(event.key)) {
+        rate(Object.keys(REVIEW_RATINGS)[Number(event.key) - 1]);
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  });
+
+  return (
+    <div className="flashcard-session">
+      <div className="flashcard-session-header">
+        <button className="back-to-papers-btn" onClick={onFinish}>← Decks</button>
+        <span>{title}</span>
+        <span>{queue.length} left · {reviewed} reviewed</span>
+      </div>
+
+      {!card ? (
+        <div className="empty-state">
+          <p>Session complete — {reviewed} review{reviewed === 1 ? '' : 's'}. 🎉</p>
+          <button className="confirm-btn" onClick={onFinish}>Back to decks</button>
+        </div>
+      ) : (
+        <div className={`flashcard-card ${revealed ? 'revealed' : ''}`}>
+          <div className="flashcard-card-meta">
+            <span>{CARD_TYPES[card.type]}</span>
+            {!card.review && <span className="flashcard-new">New</span>}
+            {card.frequency > 0 && <span>Seen in ~{card.frequency} past-paper questions</span>}
+          </div>
+          <CardFace card={card} revealed={revealed} />
+          {!revealed ? (
+            <button className="confirm-btn flashcard-reveal" onClick={() => setRevealed(true)}>Show answer <small>Space</small></button>
+          ) : (
+            <div className="mistake-ratings flashcard-ratings">
+              {Object.entries(REVIEW_RATINGS).map(([rating, { label }], index) => (
+                <button key={rating} className={`mistake-rating ${rating}`} onClick={() => rate(rating)} title={`Shortcut: ${index + 1}`}>
+                  {label}
+                  <small>{SpacedRepetition.nextInterval(state, rating)}d</small>
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * DeckDetail 组件 - 卡组详情
+ * 卡片列表、暂停/恢复卡片、导出；自建卡组还可以添加卡片和导入 CSV / Anki 文本文件
+ * @param {Object} props
+ * @param {Object} props.deck - 卡组
+ * @param {Function} props.onBack - 返回卡组列表
+ * @param {Function} props.onStudy - 开始复习这个卡组
+ */
+const DeckDetail = ({ deck, onBack, onStudy }) => {
+  const [draft, setDraft] = useState(EMPTY_CARD);
+  const [message, setMessage] = useState(null);
+  const cards = Flashcards.getCards(deck.id);
+  const stats = Flashcards.getDeckStats(deck.id);
+
+  /**
+   * 修改新卡片表单
+   * @param {Object} changes - 需要更新的字段
+   */
+  const updateDraft = (changes) => setDraft(prev => ({ ...prev, ...changes }));
+
+  /**
+   * 读取卡片图片为 data URL
+   * @param {File} file - 图片文件
+   */
+  const handleImage = (file) => {
+    if (!file) return;
+    if (file.size > MAX_IMAGE_SIZE) {
+      setMessage({ error: true, text: 'Pick an image under 200 KB — cards are stored in this browser.' });
+      return;
+    }
+    const reader = new FileReader();
+    reader.onload = () => updateDraft({ image: reader.result });
+    reader.readAsDataURL(file);
+  };
+
+  /**
+   * 添加一张卡片
+   */
+  const handleAdd = () => {
+    try {
+      const card = { ...draft, image: draft.type === 'image' ? draft.image : null, tags: draft.tags.split(/[\s,]+/).filter(Boolean) };
+      if (!Flashcards.addCard(deck.id, card)) {
+        setMessage({ error: true, text: 'This card is already in the deck.' });
+        return;
+      }
+      setDraft({ ...EMPTY_CARD, type: draft.type });
+      setMessage(null);
+    } catch (error) {
+      setMessage({ error: true, text: error.message });
+    }
+  };
+
+  /**
+   * 导入 CSV 或 Anki 文本文件
+   * @param {File} file - 文件
+   */
+  const handleImport = async (file) => {
+    if (!file) return;
+    try {
+      const { cards: parsed, errors } = Flashcards.parseImport(await file.text());
+      const { cards: added, duplicates } = Flashcards.importCards(deck.id, parsed);
+      const notes = [
+        `Imported ${added.length} card${added.length === 1 ? '' : 's'} from ${file.name}.`,
+        duplicates > 0 && `${duplicates} already in the deck.`,
+        errors.length > 0 && `${errors.length} row${errors.length === 1 ? '' : 's'} skipped: ${errors.slice(0, 3).join(' ')}${errors.length > 3 ? ' …' : ''}`
+      ];
+      setMessage({ error: added.length === 0, text: notes.filter(Boolean).join(' ') });
+    } catch (error) {
+      setMessage({ error: true, text: error.message });
+    }
+  };
+
+  /**
+   * 导出卡组
+   * @param {string} format - 'csv' | 'anki'
+   */
+  const handleExport = (format) => {
+    const content = format === 'csv' ? Flashcards.exportCsv(deck.id) : Flashcards.exportAnki(deck.id);
+    OfflineLibrary.saveToDisk(content, Flashcards.getExportFilename(deck, format), format === 'csv' ? 'text/csv' : 'text/plain');
+  };
+
+  /**
+   * 删除自建卡组
+   */
+  const handleDelete = () => {
+    if (!window.confirm(`Delete "${deck.title}" and its ${cards.length} card${cards.length === 1 ? '' : 's'}?`)) return;
+    Flashcards.deleteDeck(deck.id);
+    onBack();
+  };
+
+  return (
+    <div className="flashcard-deck-detail">
+      <div className="flashcard-deck-detail-header">
+        <button className="back-to-papers-btn" onClick={onBack}>← Decks</button>
+        <div>
+          <h3>{deck.title}</h3>
+          <p>{describeSubject(deck.subjectKey)}{deck.syllabusCode ? ` · ${deck.syllabusCode}` : ''} · {deck.description || `${stats.total} cards`}</p>
+        </div>
+        <div className="flashcard-deck-actions">
+          <button className="confirm-btn" onClick={onStudy} disabled={Flashcards.buildSession([deck.id]).length === 0}>▶ Study</button>
+          <button className="action-btn" onClick={() => handleExport('csv')} disabled={cards.length === 0}>⬇ CSV</button>
+          <button className="action-btn" onClick={() => handleExport('anki')} disabled={cards.length === 0} title="Plain text for Anki’s File → Import">⬇ Anki</button>
+          {!deck.starter && <button className="action-btn remove-btn" onClick={handleDelete}>🗑 Delete deck</button>}
+        </div>
+      </div>
+
+      <p className="flashcard-deck-stats">
+        {stats.due} due · {stats.new} new · {stats.learning} learning · {stats.mature} mature
+        {stats.suspended > 0 && ` · ${stats.suspended} suspended`}
+      </p>
+
+      {!deck.starter && (
+        <div className="flashcard-editor">
+          <div className="flashcard-editor-form">
+            <select value={draft.type} onChange={(e) => updateDraft({ type: e.target.value })} aria-label="Card type">
+              {Object.entries(CARD_TYPES).map(([type, label]) => <option key={type} value={type}>{label}</option>)}
+            </select>
+            {draft.type === 'image' && (
+              <input type="file" accept="image/*" onChange={(e) => handleImage(e.target.files[0])} aria-label="Card image" />
+            )}
+            <textarea
+              value={draft.front}
+              onChange={(e) => updateDraft({ front: e.target.value })}
+              placeholder={draft.type === 'cloze' ? 'Momentum is {{c1::mass}} × {{c2::velocity}}' : draft.type === 'image' ? 'Question (optional)' : 'Term'}
+              aria-label="Front"
+            />
+            <textarea
+              value={draft.back}
+              onChange={(e) => updateDraft({ back: e.target.value })}
+              placeholder={draft.type === 'cloze' ? 'Extra notes (optional)' : draft.type === 'image' ? 'Answer' : 'Definition'}
+              aria-label="Back"
+            />
+            <input value={draft.tags} onChange={(e) => updateDraft({ tags: e.target.value })} placeholder="Tags" aria-label="Tags" />
+            <button className="confirm-btn" onClick={handleAdd}>＋ Add card</button>
+          </div>
+          <label className="flashcard-import">
+            📥 Import CSV or Anki text
+            <input type="file" accept={IMPORT_ACCEPT} onChange={(e) => { handleImport(e.target.files[0]); e.target.value = ''; }} />
+          </label>
+        </div>
+      )}
+
+      {message && <p className={message.error ? 'document-import-error' : 'document-import-status'}>{message.text}</p>}
+
+      {cards.length === 0 ? (
+        <div className="empty-state">
+          <p>No cards yet. Add one above or import a CSV file with term and definition columns.</p>
+        </div>
+      ) : (
+        <div className="flashcard-list">
+          {cards.map(card => (
+            <div key={card.id} className={`flashcard-list-item ${card.suspended ? 'suspended' : ''}`}>
+              <CardFace card={card} revealed />
+              <div className="mistake-card-meta">
+                <span>{CARD_TYPES[card.type]}</span>
+                <span>{describeDue(card)}</span>
+                {card.review?.lapses > 0 && <span className="mistake-lapses">Forgotten {card.review.lapses}×</span>}
+                {card.tags.length > 0 && <span>{card.tags.join(' · ')}</span>}
+              </div>
+              <div className="flashcard-list-actions">
+                <button onClick={() => Flashcards.setSuspended(card.id, !card.suspended)}>
+                  {card.suspended ? 'Resume' : 'Suspend'}
+                </button>
+                {!deck.starter && (
+                  <button className="mistake-remove" onClick={() => Flashcards.removeCard(card.id)} aria-label="Remove card">✕</button>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * FlashcardsView 组件 - 记忆卡（背单词）
+ * 按学科整理的卡组列表（入门卡组：命令词、各学科关键术语和电路符号），每天的复习队列，
+ * 自建卡组、添加卡片以及 CSV / Anki 文本文件的导入导出
+ */
+const FlashcardsView = () => {
+  const [decks, setDecks] = useState(() => Flashcards.getDecks());
+  const [subjectKey, setSubjectKey] = useState('');
+  const [openDeckId, setOpenDeckId] = useState(null);
+  const [session, setSession] = useState(null);
+  const [newDeck, setNewDeck] = useState(null);
+  const [error, setError] = useState('');
+  const [, setVersion] = useState(0);
+
+  useEffect(() => {
+    return Flashcards.subscribe(() => {
+      setDecks(Flashcards.getDecks());
+      setVersion(prev => prev + 1);
+    });
+  }, []);
+
+  const shown = decks.filter(deck => !subjectKey || deck.subjectKey === subjectKey || deck.subjectKey === null);
+  const subjectKeys = Array.from(new Set(decks.map(deck => deck.subjectKey).filter(Boolean)));
+  const openDeck = decks.find(deck => deck.id === openDeckId) || null;
+  const stats = Object.fromEntries(shown.map(deck => [deck.id, Flashcards.getDeckStats(deck.id)]));
+  const due = shown.reduce((sum, deck) => sum + stats[deck.id].due, 0);
+  const newRemaining = Flashcards.getNewRemaining();
+
+  /**
+   * 开始复习
+   * @param {Array<Object>} sessionDecks - 参与复习的卡组
+   * @param {string} title - 显示的名称
+   */
+  const startSession = (sessionDecks, title) => {
+    setSession({ title, cards: Flashcards.buildSession(sessionDecks.map(deck => deck.id)) });
+  };
+
+  /**
+   * 保存新卡组并打开
+   */
+  const handleCreateDeck = () => {
+    try {
+      const deck = Flashcards.createDeck(newDeck);
+      setNewDeck(null);
+      setError('');
+      setOpenDeckId(deck.id);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="tool-content flashcards">
+      <div className="section-header">
+        <h2>🗂 Flashcards</h2>
+        <p>{due} due · {newRemaining} new left today · {Flashcards.getReviewedToday()} reviewed today</p>
+      </div>
+
+      {session ? (
+        <FlashcardSession
+          title={session.title}
+          cards={session.cards}
+          onFinish={() => setSession(null)}
+        />
+      ) : openDeck ? (
+        <DeckDetail
+          deck={openDeck}
+          onBack={() => setOpenDeckId(null)}
+          onStudy={() => startSession([openDeck], openDeck.title)}
+        />
+      ) : (
+        <>
+          <div className="mistake-toolbar">
+            <select value={subjectKey} onChange={(e) => setSubjectKey(e.target.value)} aria-label="Subject">
+              <option value="">All subjects</option>
+              {subjectKeys.map(key => <option key={key} value={key}>{describeSubject(key)}</option>)}
+            </select>
+            <button
+              className="confirm-btn"
+              onClick={() => startSession(shown, subjectKey ? describeSubject(subjectKey) : 'All decks')}
+              disabled={due === 0 && newRemaining === 0}
+            >
+              ▶ Study {subjectKey ? describeSubject(subjectKey) : 'all decks'}
+            </button>
+            <button className="action-btn" onClick={() => setNewDeck({ title: '', subjectKey: subjectKey || '' })}>＋ New deck</button>
+            <label className="flashcard-daily-limit">
+              New cards per day
+              <input
+                type="number"
+                min="0"
+                max="200"
+                value={Flashcards.getNewPerDay()}
+                onChange={(e) => Flashcards.setNewPerDay(Number(e.target.value))}
+              />
+            </label>
+          </div>
+
+          {newDeck && (
+            <div className="flashcard-new-deck">
+              <input
+                value={newDeck.title}
+                onChange={(e) => setNewDeck(prev => ({ ...prev, title: e.target.value }))}
+                onKeyDown={(e) => e.key === 'Enter' && handleCreateDeck()}
+                placeholder="Deck name, e.g. Organic reactions"
+                aria-label="Deck name"
+                autoFocus
+              />
+              <select value={newDeck.subjectKey} onChange={(e) => setNewDeck(prev => ({ ...prev, subjectKey: e.target.value }))} aria-label="Deck subject">
+                <option value="">All subjects</option>
+                {Object.entries(subjectsData).map(([key, subject]) => <option key={key} value={key}>{subject.name}</option>)}
+              </select>
+              <button className="confirm-btn" onClick={handleCreateDeck}>Create</button>
+              <button className="cancel-btn" onClick={() => { setNewDeck(null); setError(''); }}>Cancel</button>
+              {error && <p className="document-import-error">{error}</p>}
+            </div>
+          )}
+
+          <div className="flashcard-decks">
+            {shown.map(deck => (
+              <div key={deck.id} className="flashcard-deck">
+                <div className="flashcard-deck-title">
+                  <h3>{deck.title}</h3>
+                  {deck.starter && <span className="flashcard-starter-badge">Starter</span>}
+                </div>
+                <p className="flashcard-deck-subject">{describeSubject(deck.subjectKey)}{deck.syllabusCode ? ` · ${deck.syllabusCode}` : ''}</p>
+                {deck.description && <p className="flashcard-deck-description">{deck.description}</p>}
+                <p className="flashcard-deck-stats">
+                  <strong>{stats[deck.id].due}</strong> due · <strong>{stats[deck.id].new}</strong> new · {stats[deck.id].total} cards
+                </p>
+                <div className="flashcard-deck-actions">
+                  <button
+                    className="confirm-btn"
+                    onClick={() => startSession([deck], deck.title)}
+                    disabled={stats[deck.id].due === 0 && (stats[deck.id].new === 0 || newRemaining === 0)}
+                  >
+                    ▶ Study
+                  </button>
+                  <button className="action-btn" onClick={() => setOpenDeckId(deck.id)}>Cards</button>
+                </div>
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default FlashcardsView;
@@ -0,0 +1,245 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { MathExpression } from './MathExpression.js';
+import { PaperWorkspace, DEFAULT_GRAPH_VIEW } from './PaperWorkspace.js';
+
+/**
+ * 绘图区大小（SVG 坐标）
+ */
+const WIDTH = 320;
+const HEIGHT = 260;
+
+/**
+ * 每条曲线的采样点数
+ */
+const SAMPLES = 320;
+
+/**
+ * 函数曲线的颜色，同时限制可以绘制的函数个数
+ */
+const GRAPH_COLORS = ['#228be6', '#fa5252', '#40c057', '#be4bdb'];
+
+/**
+ * 每次缩放的倍数
+ */
+const ZOOM_FACTOR = 2;
+
+/**
+ * 网格间距：取 1、2、5 乘以 10 的整数次幂，使范围内大约有 8 格
+ * @param {number} range - 坐标范围
+ * @returns {number}
+ */
+const gridStep = (range) => {
+  const raw = range / 8;
+  const power = 10 ** Math.floor(Math.log10(raw));
+  return [1, 2, 5, 10].map(n => n * power).find(step => step >= raw);
+};
+
+/**
+ * 网格线的位置
+ * @param {number} min - 最小值
+ * @param {number} max - 最大值
+ * @returns {Array<number>}
+ */
+const gridLines = (min, max) => {
+  const step = gridStep(max - min);
+  const lines = [];
+  for (let value = Math.ceil(min / step) * step; value <= max; value += step) {
+    lines.push(parseFloat(value.toPrecision(12)));
+  }
+  return lines;
+};
+
+/**
+ * 把采样点转成 SVG 路径；没有定义的点或跨越渐近线的跳变处断开
+ * @param {Array<Array<number>>} points - MathExpression.sample 的结果
+ * @param {Object} view - { xMin, xMax, yMin, yMax }
+ * @returns {string}
+ */
+const toPath = (points, view) => {
+  const toX = (x) => ((x - view.xMin) / (view.xMax - view.xMin)) * WIDTH;
+  // 限制在绘图区附近，避免极大的坐标
+  const toY = (y) => Math.max(-HEIGHT, Math.min(2 * HEIGHT, ((view.yMax - y) / (view.yMax - view.yMin)) * HEIGHT));
+  const jump = view.yMax - view.yMin;
+
+  let path = '';
+  points.forEach(([x, y], index) => {
+    if (Number.isNaN(y)) return;
+    const previous = points[index - 1];
+    const connected = previous && !Number.isNaN(previous[1]) && Math.abs(y - previous[1]) < jump;
+    path += `${connected ? 'L' : 'M'}${toX(x).toFixed(1)},${toY(y).toFixed(1)}`;
+  });
+  return path;
+};
+
+/**
+ * FunctionGrapher 组件 - 函数绘图
+ * 输入以 x 为自变量的函数（最多 4 个），拖动平移、按钮缩放，指针所在位置显示各函数的值；
+ * 函数和绘图范围按试卷保存，三角函数使用计算器的角度制/弧度制设置
+ * @param {Object} props
+ * @param {string} props.paperId - 试卷ID
+ */
+const FunctionGrapher = ({ paperId }) => {
+  const [workspace, setWorkspace] = useState(() => PaperWorkspace.get(paperId));
+  const [drag, setDrag] = useState(null);
+  const [pointerX, setPointerX] = useState(null);
+  const svgRef = useRef(null);
+
+  useEffect(() => {
+    setWorkspace(PaperWorkspace.get(paperId));
+    return PaperWorkspace.subscribe(() => setWorkspace(PaperWorkspace.get(paperId)));
+  }, [paperId]);
+
+  const { functions, graphView: view, angleMode } = workspace;
+
+  const graphs = functions.map((text, index) => {
+    if (!text.trim()) return { text, color: GRAPH_COLORS[index], tree: null, error: '' };
+    try {
+      const tree = MathExpression.parse(text);
+      const points = MathExpression.sample(tree, { ...view, samples: SAMPLES, angleMode });
+      return { text, color: GRAPH_COLORS[index], tree, path: toPath(points, view), error: '' };
+    } catch (error) {
+      return { text, color: GRAPH_COLORS[index], tree: null, error: error.message };
+    }
+  });
+
+  /**
+   * 修改第 index 个函数
+   * @param {number} index - 序号
+   * @param {string|null} text - 表达式，null 表示删除
+   */
+  const setFunction = (index, text) => {
+    const next = text === null ? functions.filter((_, i) => i !== index) : functions.map((item, i) => (i === index ? text : item));
+    PaperWorkspace.update(paperId, { functions: next.length > 0 ? next : [''] });
+  };
+
+  /**
+   * 以中心为基准缩放
+   * @param {number} factor - 大于 1 放大范围（缩小图像）
+   */
+  const zoom = (factor) => {
+    const cx = (view.xMin + view.xMax) / 2;
+    const cy = (view.yMin + view.yMax) / 2;
+    const hw = ((view.xMax - view.xMin) / 2) * factor;
+    const hh = ((view.yMax - view.yMin) / 2) * factor;
+    PaperWorkspace.update(paperId, { graphView: { xMin: cx - hw, xMax: cx + hw, yMin: cy - hh, yMax: cy + hh } });
+  };
+
+  /**
+   * 指针位置（SVG 坐标）
+   * @param {PointerEvent} event - 指针事件
+   * @returns {Array<number>} [x, y]
+   */
+  const toSvgPoint = (event) => {
+    const rect = svgRef.current.getBoundingClientRect();
+    return [((event.clientX - rect.left) / rect.width) * WIDTH, ((event.clientY - rect.top) / rect.height) * HEIGHT];
+  };
+
+  const handlePointerDown = (event) => {
+    if (event.button > 0) return;
+    svgRef.current.setPointerCapture(event.pointerId);
+    setDrag({ start: toSvgPoint(event), view });
+  };
+
+  const handlePointerMove = (event) => {
+    const [sx, sy] = toSvgPoint(event);
+    setPointerX(view.xMin + (sx / WIDTH) * (view.xMax - view.xMin));
+    if (!drag) return;
+    const dx = ((sx - drag.start[0]) / WIDTH) * (drag.view.xMax - drag.view.xMin);
+    const dy = ((sy - drag.start[1]) / HEIGHT) * (drag.view.yMax - drag.view.yMin);
+    setWorkspace(prev => ({
+      ...prev,
+      graphView: { xMin: drag.view.xMin - dx, xMax: drag.view.xMax - dx, yMin: drag.view.yMin + dy, yMax: drag.view.yMax + dy }
+    }));
+  };
+
+  const handlePointerUp = () => {
+    if (!drag) return;
+    setDrag(null);
+    // 拖动结束后再保存范围
+    PaperWorkspace.update(paperId, { graphView: view });
+  };
+
+  const toX = (x) => ((x - view.xMin) / (view.xMax - view.xMin)) * WIDTH;
+  const toY = (y) => ((view.yMax - y) / (view.yMax - view.yMin)) * HEIGHT;
+  const readings = pointerX === null ? [] : graphs
+    .filter(graph => graph.tree)
+    .map(graph => ({ color: graph.color, y: MathExpression.evaluate(graph.tree, { variables: { x: pointerX }, angleMode }) }));
+
+  return (
+    <div className="function-grapher">
+      <div className="grapher-functions">
+        {graphs.map((graph, index) => (
+          <div key={index} className="grapher-function">
+            <span className="grapher-swatch" style={{ background: graph.color }} />
+            <label>
+              y =
+              <input
+                type="text"
+                value={graph.text}
+                onChange={(e) => setFunction(index, e.target.value)}
+                placeholder="e.g. x^2 - 3x + 1"
+                aria-label={`Function ${index + 1}`}
+                spellCheck={false}
+              />
+            </label>
+            <button onClick={() => setFunction(index, null)} aria-label={`Remove function ${index + 1}`}>✕</button>
+            {graph.error && <div className="calculator-error">{graph.error}</div>}
+          </div>
+        ))}
+        {functions.length < GRAPH_COLORS.length && (
+          <button className="grapher-add" onClick={() => PaperWorkspace.update(paperId, { functions: [...functions, ''] })}>
+            + Add function
+          </button>
+        )}
+      </div>
+
+      <svg
+        ref={svgRef}
+        className={`grapher-plot ${drag ? 'dragging' : ''}`}
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerUp}
+        onPointerLeave={() => setPointerX(null)}
+      >
+        {gridLines(view.xMin, view.xMax).map(x => (
+          <g key={`x${x}`}>
+            <line className={x === 0 ? 'grapher-axis' : 'grapher-grid'} x1={toX(x)} x2={toX(x)} y1={0} y2={HEIGHT} />
+            {x !== 0 && <text x={toX(x) + 2} y={Math.min(Math.max(toY(0) + 10, 10), HEIGHT - 2)}>{x}</text>}
+          </g>
+        ))}
+        {gridLines(view.yMin, view.yMax).map(y => (
+          <g key={`y${y}`}>
+            <line className={y === 0 ? 'grapher-axis' : 'grapher-grid'} x1={0} x2={WIDTH} y1={toY(y)} y2={toY(y)} />
+            {y !== 0 && <text x={Math.min(Math.max(toX(0) + 2, 2), WIDTH - 24)} y={toY(y) - 2}>{y}</text>}
+          </g>
+        ))}
+        {graphs.filter(graph => graph.path).map(graph => (
+          <path key={graph.color} className="grapher-curve" d={graph.path} stroke={graph.color} />
+        ))}
+        {pointerX !== null && !drag && (
+          <line className="grapher-trace" x1={toX(pointerX)} x2={toX(pointerX)} y1={0} y2={HEIGHT} />
+        )}
+      </svg>
+
+      <div className="grapher-toolbar">
+        <button onClick={() => zoom(1 / ZOOM_FACTOR)} aria-label="Zoom in">＋</button>
+        <button onClick={() => zoom(ZOOM_FACTOR)} aria-label="Zoom out">－</button>
+        <button onClick={() => PaperWorkspace.update(paperId, { graphView: DEFAULT_GRAPH_VIEW })}>Reset</button>
+        {pointerX !== null && (
+          <span className="grapher-readout">
+            x = {MathExpression.format(pointerX)}
+            {readings.map(reading => (
+              <span key={reading.color} style={{ color: reading.color }}>
+                {' · '}y = {Number.isFinite(reading.y) ? MathExpression.format(reading.y) : '—'}
+              </span>
+            ))}
+          </span>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default FunctionGrapher;
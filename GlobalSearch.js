@@ -0,0 +1,193 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { ApiService } from './APIservice.js';
+import { SearchIndex, SEARCH_GROUPS } from './SearchIndex.js';
+
+/**
+ * GlobalSearch 组件 - 页头的全局搜索框
+ * 学科、课程、教材、大纲和笔记在本地索引中检索，试卷通过 ApiService.searchPapers 检索（支持 "9702 s23 p12" 这类简写），
+ * 结果按类型分组显示，支持方向键选择、回车打开、Esc 关闭
+ * @param {Object} props
+ * @param {Object} props.sources - 本地索引数据源，见 SearchIndex.build
+ * @param {Function} props.onSelect - 选中结果回调，参数为搜索结果条目 { kind, id, title, item }
+ */
+const GlobalSearch = ({ sources, onSelect }) => {
+  const [query, setQuery] = useState('');
+  const [isOpen, setIsOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(0);
+  const [paperResults, setPaperResults] = useState([]);
+  const [papersLoading, setPapersLoading] = useState(false);
+  const [paperSearchInfo, setPaperSearchInfo] = useState({ interpretation: '', isSuggestion: false });
+  const containerRef = useRef(null);
+
+  /**
+   * 本地索引只在数据源变化时重建
+   */
+  const index = useMemo(() => SearchIndex.build(sources), [sources]);
+
+  const localResults = useMemo(() => SearchIndex.query(index, query), [index, query]);
+
+  /**
+   * 试卷搜索走 API，输入停顿 300ms 后再请求
+   */
+  useEffect(() => {
+    const trimmed = query.trim();
+    if (trimmed.length < 2) {
+      setPaperResults([]);
+      setPaperSearchInfo({ interpretation: '', isSuggestion: false });
+      setPapersLoading(false);
+      return;
+    }
+
+    let cancelled = false;
+    setPapersLoading(true);
+    const timer = setTimeout(async () => {
+      try {
+        const response = await ApiService.searchPapers(trimmed);
+        if (!cancelled) {
+          // 没有完全匹配时显示按相关度排序的候选试卷
+          const isSuggestion = response.success && response.data.length === 0;
+          const papers = response.success ? (isSuggestion ? response.suggestions : response.data) : [];
+          setPaperResults(papers.slice(0, 5).map(SearchIndex.fromPaper));
+          setPaperSearchInfo({ interpretation: response.interpretation || '', isSuggestion });
+        }
+      } catch (error) {
+        console.error('试卷搜索失败:', error);
+        if (!cancelled) setPaperResults([]);
+      } finally {
+        if (!cancelled) setPapersLoading(false);
+      }
+    }, 300);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [query]);
+
+  /**
+   * 点击搜索框外部时关闭下拉列表
+   */
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (containerRef.current && !containerRef.current.contains(event.target)) {
+        setIsOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, []);
+
+  // 合并本地结果与试卷结果，保持分组顺序，键盘导航按这个顺序移动
+  const results = SEARCH_GROUPS.flatMap(group =>
+    group.kind === 'paper'
+      ? paperResults
+      : localResults.filter(result => result.kind === group.kind)
+  );
+
+  useEffect(() => {
+    setActiveIndex(0);
+  }, [query]);
+
+  /**
+   * 打开选中的结果
+   * @param {Object} result - 搜索结果条目
+   */
+  const selectResult = (result) => {
+    if (!result) return;
+    onSelect(result);
+    setIsOpen(false);
+    setQuery('');
+  };
+
+  /**
+   * 键盘导航
+   */
+  const handleKeyDown = (event) => {
+    if (event.key === 'ArrowDown') {
+      event.preventDefault();
+      setIsOpen(true);
+      setActiveIndex(prev => (results.length ? (prev + 1) % results.length : 0));
+    } else if (event.key === 'ArrowUp') {
+      event.preventDefault();
+      setActiveIndex(prev => (results.length ? (prev - 1 + results.length) % results.length : 0));
+    } else if (event.key === 'Enter') {
+      event.preventDefault();
+      selectResult(results[activeIndex]);
+    } else if (event.key === 'Escape') {
+      setIsOpen(false);
+      event.target.blur();
+    }
+  };
+
+  const showDropdown = isOpen && query.trim().length > 0;
+
+  return (
+    <div className="search-box" ref={containerRef}>
+      <input
+        type="text"
+        placeholder="🔍 Search papers, books, notes..."
+        className="global-search"
+        value={query}
+        onChange={(e) => {
+          setQuery(e.target.value);
+          setIsOpen(true);
+        }}
+        onFocus={() => setIsOpen(true)}
+        onKeyDown={handleKeyDown}
+        role="combobox"
+        aria-expanded={showDropdown}
+        aria-controls="global-search-results"
+      />
+
+      {showDropdown && (
+        <div className="global-search-dropdown" id="global-search-results" role="listbox">
+          {results.length === 0 && !papersLoading && (
+            <div className="global-search-empty">No results for "{query.trim()}"</div>
+          )}
+
+          {SEARCH_GROUPS.map(group => {
+            const groupResults = results.filter(result => result.kind === group.kind);
+            const isLoadingPapers = group.kind === 'paper' && papersLoading;
+            if (groupResults.length === 0 && !isLoadingPapers) return null;
+
+            return (
+              <div key={group.kind} className="global-search-group">
+                <div className="global-search-group-title">
+                  {group.icon} {group.kind === 'paper' && paperSearchInfo.isSuggestion ? 'Did you mean' : group.label}
+                </div>
+                {group.kind === 'paper' && paperSearchInfo.interpretation && (
+                  <div className="global-search-interpretation">{paperSearchInfo.interpretation}</div>
+                )}
+                {isLoadingPapers && groupResults.length === 0 && (
+                  <div className="global-search-empty">Searching papers...</div>
+                )}
+                {groupResults.map(result => {
+                  const position = results.indexOf(result);
+                  return (
+                    <div
+                      key={`${result.kind}-${result.id}`}
+                      className={`global-search-result ${position === activeIndex ? 'active' : ''}`}
+                      role="option"
+                      aria-selected={position === activeIndex}
+                      onMouseEnter={() => setActiveIndex(position)}
+                      onMouseDown={(e) => {
+                        // 用 mousedown 避免输入框先失焦
+                        e.preventDefault();
+                        selectResult(result);
+                      }}
+                    >
+                      <span className="global-search-result-title">{result.title}</span>
+                      <span className="global-search-result-subtitle">{result.subtitle}</span>
+                    </div>
+                  );
+                })}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GlobalSearch;
@@ -0,0 +1,80 @@
+import React, { useMemo } from 'react';
+import { GradePredictor } from './GradePredictor.js';
+import { GradeThresholds } from './GradeThresholds.js';
+
+/**
+ * 置信程度的显示文字
+ */
+const CONFIDENCE_LABELS = {
+  high: 'High confidence',
+  medium: 'Medium confidence',
+  low: 'Low confidence'
+};
+
+/**
+ * GradePrediction 组件 - 按最近作答预测的课程总成绩
+ * 完整模式显示在课程试卷列表上方（含各组件的得分与权重），紧凑模式显示在个人资料的得分趋势卡片中
+ * @param {Object} props
+ * @param {string} props.topicId - 课程代码
+ * @param {Array<Object>} props.attempts - 全部作答记录
+ * @param {boolean} props.compact - 是否只显示一行摘要
+ */
+const GradePrediction = ({ topicId, attempts, compact = false }) => {
+  const prediction = useMemo(() => GradePredictor.predict(topicId, attempts), [topicId, attempts]);
+
+  // 没有分数线数据的课程不显示
+  if (!GradeThresholds.hasData(topicId)) return null;
+
+  if (!prediction) {
+    return compact ? null : (
+      <div className="grade-prediction empty">
+        🎯 Mark a paper or log a self-marked score to get a predicted grade for {topicId}.
+      </div>
+    );
+  }
+
+  const range = prediction.lowGrade === prediction.highGrade
+    ? prediction.grade
+    : `${prediction.highGrade}–${prediction.lowGrade}`;
+  const attemptedComponents = prediction.components.filter(component => component.attempts > 0).length;
+
+  if (compact) {
+    return (
+      <div className="grade-prediction compact" title={`${prediction.low}–${prediction.high}% weighted · ${CONFIDENCE_LABELS[prediction.confidence]}`}>
+        🎯 Predicted <strong className={`prediction-grade confidence-${prediction.confidence}`}>{prediction.grade}</strong>
+        <span className="prediction-range">range {range}</span>
+      </div>
+    );
+  }
+
+  return (
+    <div className="grade-prediction">
+      <div className="prediction-summary">
+        <span className="prediction-label">🎯 Predicted grade</span>
+        <strong className={`prediction-grade confidence-${prediction.confidence}`}>{prediction.grade}</strong>
+        <span className="prediction-range">
+          likely {range} · {prediction.percent}% weighted ({prediction.low}–{prediction.high}%)
+        </span>
+        <span className={`prediction-confidence confidence-${prediction.confidence}`}>
+          {CONFIDENCE_LABELS[prediction.confidence]}
+        </span>
+      </div>
+      <div className="prediction-components">
+        {prediction.components.map(component => (
+          <span key={component.paper} className={`prediction-component ${component.attempts > 0 ? '' : 'missing'}`}>
+            Paper {component.paper} ({component.weighting}%):{' '}
+            {component.attempts > 0
+              ? `${component.average}% over ${component.attempts} attempt${component.attempts === 1 ? '' : 's'}`
+              : 'no attempts'}
+          </span>
+        ))}
+      </div>
+      <p className="prediction-note">
+        {prediction.route} · based on {attemptedComponents} of {prediction.components.length} components
+        ({prediction.coverage}% of the weighting), compared with the overall thresholds of the last three sessions.
+      </p>
+    </div>
+  );
+};
+
+export default GradePrediction;
@@ -0,0 +1,109 @@
+// ==================== 成绩预测 ====================
+import { GradeThresholds } from './GradeThresholds.js';
+import { AttemptLog } from './AttemptLog.js';
+import { PaperCatalog } from './PaperCatalog.js';
+
+/**
+ * 只有一次作答时假定的得分标准差（百分点）
+ */
+const SINGLE_ATTEMPT_SD = 10;
+
+/**
+ * 没有作答记录的组件每占 100% 权重，区间额外放宽的百分点
+ */
+const UNCOVERED_PENALTY = 15;
+
+/**
+ * 计算平均值与样本方差
+ * @param {Array<number>} values - 数值
+ * @returns {Object} { mean, variance }
+ */
+const meanAndVariance = (values) => {
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const variance = values.length > 1
+    ? values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (values.length - 1)
+    : SINGLE_ATTEMPT_SD ** 2;
+  return { mean, variance };
+};
+
+/**
+ * 成绩预测工具类
+ * 取每个组件最近几次已批改作答的得分率，按考试路线的组件权重加权，
+ * 与最近几个考试季的总成绩分数线比较得到预测等级；
+ * 置信区间由各组件得分的波动（标准误差的 95% 区间）和没有作答的组件权重共同决定
+ */
+export const GradePredictor = {
+  /**
+   * 预测课程总成绩
+   * @param {string} topicId - 课程代码
+   * @param {Array<Object>} attempts - 作答记录（AttemptLog.getAllAttempts 的返回值）
+   * @param {Object} options - { recent: 每个组件取最近几次作答 }
+   * @returns {Object|null} 没有分数线数据或没有已批改的作答时返回 null，否则返回
+   *   { route, percent, low, high, grade, lowGrade, highGrade, coverage, confidence, components }
+   */
+  predict: (topicId, attempts, { recent = 3 } = {}) => {
+    const routes = GradeThresholds.getRoutes(topicId);
+    const overall = GradeThresholds.getOverallThresholds(topicId);
+    if (routes.length === 0 || !overall) return null;
+
+    // 按 Paper 编号整理最近的得分率（attempts 已按时间倒序）
+    const byPaper = {};
+    attempts
+      .filter(attempt => attempt.topicId === topicId && AttemptLog.getPercent(attempt) !== null)
+      .forEach(attempt => {
+        // 模拟卷没有目录条目，作答记录中直接带有 Paper 编号
+        const paperNumber = attempt.paperNumber || PaperCatalog.parsePaperId(attempt.paperId)?.paperNumber;
+        if (!paperNumber) return;
+        const key = String(paperNumber);
+        byPaper[key] = [...(byPaper[key] || []), AttemptLog.getPercent(attempt)].slice(0, recent);
+      });
+
+    // 选择已作答组件权重最高的路线
+    const coveredWeight = (route) => Object.entries(route.weightings)
+      .filter(([paper]) => byPaper[paper])
+      .reduce((sum, [, weight]) => sum + weight, 0);
+    const route = routes.reduce((best, candidate) => (coveredWeight(candidate) > coveredWeight(best) ? candidate : best));
+
+    const covered = coveredWeight(route);
+    if (covered === 0) return null;
+    const totalWeight = Object.values(route.weightings).reduce((sum, weight) => sum + weight, 0);
+
+    const components = Object.entries(route.weightings).map(([paper, weighting]) => {
+      const percents = byPaper[paper] || [];
+      return {
+        paper,
+        weighting,
+        attempts: percents.length,
+        average: percents.length > 0 ? Math.round(meanAndVariance(percents).mean) : null
+      };
+    });
+
+    let estimate = 0;
+    let standardErrorSquared = 0;
+    components.filter(component => component.attempts > 0).forEach(component => {
+      const { mean, variance } = meanAndVariance(byPaper[component.paper]);
+      const share = component.weighting / covered;
+      estimate += share * mean;
+      standardErrorSquared += share ** 2 * variance / component.attempts;
+    });
+
+    const coverage = covered / totalWeight;
+    const band = 1.96 * Math.sqrt(standardErrorSquared) + (1 - coverage) * UNCOVERED_PENALTY;
+    const percent = Math.round(estimate);
+    const low = Math.max(0, Math.round(estimate - band));
+    const high = Math.min(100, Math.round(estimate + band));
+
+    return {
+      route: route.name,
+      percent,
+      low,
+      high,
+      grade: GradeThresholds.overallGradeFor(percent, overall),
+      lowGrade: GradeThresholds.overallGradeFor(low, overall),
+      highGrade: GradeThresholds.overallGradeFor(high, overall),
+      coverage: Math.round(coverage * 100),
+      confidence: band <= 5 ? 'high' : band <= 10 ? 'medium' : 'low',
+      components
+    };
+  }
+};
@@ -0,0 +1,88 @@
+import { GradePredictor } from './GradePredictor';
+import { GradeThresholds } from './GradeThresholds';
+import { PaperCatalog } from './PaperCatalog';
+
+/**
+ * 构造一条已批改的作答记录
+ */
+const attempt = (paperId, rawMark, total, submittedAt = '2024-03-01T10:00:00.000Z') => ({
+  id: `${paperId}_${submittedAt}`,
+  paperId,
+  topicId: paperId.split('_')[0],
+  rawMark,
+  total,
+  submittedAt
+});
+
+test('estimates component thresholds for sessions without data', () => {
+  const exact = GradeThresholds.lookup(PaperCatalog.parsePaperId('9702_s23_qp_12'));
+  expect(exact.estimated).toBe(false);
+
+  const estimated = GradeThresholds.lookup(PaperCatalog.parsePaperId('9702_s19_qp_12'));
+  expect(estimated.estimated).toBe(true);
+  expect(estimated.thresholds.max).toBe(40);
+  expect(estimated.thresholds.A).toBeGreaterThan(estimated.thresholds.E);
+  expect(GradeThresholds.lookup(PaperCatalog.parsePaperId('9PH0_02_que_20190607'))).toBeNull();
+});
+
+test('maps a score to a grade under the session thresholds', () => {
+  const thresholds = GradeThresholds.getComponentThresholds(PaperCatalog.parsePaperId('9702_s23_qp_12'));
+  expect(thresholds.max).toBe(40);
+  expect(GradeThresholds.gradeFor(thresholds.A, thresholds)).toBe('A');
+  expect(GradeThresholds.gradeFor(thresholds.A - 1, thresholds)).toBe('B');
+  expect(GradeThresholds.gradeFor(0, thresholds)).toBe('U');
+  expect(GradeThresholds.getComponentThresholds(PaperCatalog.parsePaperId('9702_s19_qp_12'))).toBeNull();
+});
+
+test('maps weighted percentages to overall grades', () => {
+  const overall = GradeThresholds.getOverallThresholds('9702');
+  expect(GradeThresholds.overallGradeFor(overall['A*'], overall)).toBe('A*');
+  expect(GradeThresholds.overallGradeFor(overall.E - 1, overall)).toBe('U');
+});
+
+test('returns no prediction without marked attempts or threshold data', () => {
+  expect(GradePredictor.predict('9702', [])).toBeNull();
+  expect(GradePredictor.predict('9702', [{ ...attempt('9702_s23_qp_12', null, 40) }])).toBeNull();
+  expect(GradePredictor.predict('0000', [attempt('9702_s23_qp_12', 30, 40)])).toBeNull();
+});
+
+test('weights components and narrows the band as coverage grows', () => {
+  const partial = GradePredictor.predict('9702', [attempt('9702_s23_qp_12', 30, 40)]);
+  expect(partial.percent).toBe(75);
+  expect(partial.coverage).toBe(16);
+  expect(partial.confidence).toBe('low');
+  expect(partial.components.find(component => component.paper === '1').attempts).toBe(1);
+
+  const papers = ['9702_s23_qp_12', '9702_s23_qp_22', '9702_s23_qp_32', '9702_s23_qp_42', '9702_s23_qp_52'];
+  const full = GradePredictor.predict('9702', papers.flatMap(paperId => [
+    attempt(paperId, 3, 4, '2024-03-01T10:00:00.000Z'),
+    attempt(paperId, 3, 4, '2024-02-01T10:00:00.000Z')
+  ]));
+  expect(full.coverage).toBe(100);
+  expect(full.percent).toBe(75);
+  expect(full.low).toBe(75);
+  expect(full.high).toBe(75);
+  expect(full.confidence).toBe('high');
+  expect(full.lowGrade).toBe(full.highGrade);
+});
+
+test('uses only the most recent attempts per component', () => {
+  const attempts = [
+    attempt('9702_s23_qp_12', 36, 40, '2024-04-01T10:00:00.000Z'),
+    attempt('9702_w22_qp_12', 36, 40, '2024-03-01T10:00:00.000Z'),
+    attempt('9702_s22_qp_12', 36, 40, '2024-02-01T10:00:00.000Z'),
+    attempt('9702_m22_qp_12', 4, 40, '2024-01-01T10:00:00.000Z')
+  ];
+  expect(GradePredictor.predict('9702', attempts).percent).toBe(90);
+  expect(GradePredictor.predict('9702', attempts, { recent: 4 }).percent).toBe(70);
+});
+
+test('counts mock exam attempts towards their component', () => {
+  const mock = { ...attempt('mock_9702_p2_abc123', 45, 60), topicId: '9702', paperNumber: 2 };
+  const prediction = GradePredictor.predict('9702', [mock]);
+  expect(prediction.components.find(component => component.paper === '2').average).toBe(75);
+
+  const estimated = GradeThresholds.lookup({ topicId: '9702', paperNumber: 2 });
+  expect(estimated.estimated).toBe(true);
+  expect(estimated.thresholds.max).toBe(60);
+});
@@ -0,0 +1,135 @@
+// ==================== 分数线 ====================
+import { gradeThresholdsData, paperComponentsData } from './mockData.js';
+import { PaperCatalog } from './PaperCatalog.js';
+
+/**
+ * 组件分数线中的等级，从高到低
+ */
+export const COMPONENT_GRADES = ['A', 'B', 'C', 'D', 'E'];
+
+/**
+ * 总成绩等级，从高到低
+ */
+export const OVERALL_GRADES = ['A*', 'A', 'B', 'C', 'D', 'E'];
+
+/**
+ * 同一年内考试季的先后顺序
+ */
+const SESSION_ORDER = { m: 0, s: 1, w: 2 };
+
+/**
+ * 按时间先后比较考试季代码（'m23' < 's23' < 'w23' < 'm24'）
+ * @param {string} a - 考试季代码
+ * @param {string} b - 考试季代码
+ * @returns {number}
+ */
+const compareSessionCodes = (a, b) => (
+  parseInt(a.slice(1), 10) - parseInt(b.slice(1), 10) || SESSION_ORDER[a[0]] - SESSION_ORDER[b[0]]
+);
+
+/**
+ * 分数线工具类
+ * 按课程、考试季、试卷组件查询分数线，把卷面分换算为组件等级，把加权百分比换算为总成绩等级
+ * 数据来自 gradeThresholdsData，后端就绪后可以改为 GET /api/topics/{topicId}/thresholds
+ */
+export const GradeThresholds = {
+  /**
+   * 获取试卷所在考试季的代码，例如 2023 May/June → 's23'
+   * @param {Object} paper - 试卷目录条目
+   * @returns {string}
+   */
+  getSessionCode: (paper) => `${paper.session}${paper.year.slice(-2)}`,
+
+  /**
+   * 课程是否有分数线数据
+   * @param {string} topicId - 课程代码
+   * @returns {boolean}
+   */
+  hasData: (topicId) => Boolean(gradeThresholdsData[topicId]),
+
+  /**
+   * 获取课程的考试路线与组件权重
+   * @param {string} topicId - 课程代码
+   * @returns {Array<Object>} [{ name, weightings: { [paperNumber]: 百分比 } }]
+   */
+  getRoutes: (topicId) => gradeThresholdsData[topicId]?.routes || [],
+
+  /**
+   * 获取试卷组件在该考试季的分数线
+   * @param {Object} paper - 试卷目录条目
+   * @returns {Object|null} { max, A, B, C, D, E }，没有数据或不属于任何考试季（模拟卷）时返回 null
+   */
+  getComponentThresholds: (paper) => {
+    if (!paper.year) return null;
+    const sessionCode = GradeThresholds.getSessionCode(paper);
+    return gradeThresholdsData[paper.topicId]?.sessions[sessionCode]?.components[paper.component] || null;
+  },
+
+  /**
+   * 查询试卷组件的分数线
+   * 该考试季没有数据时，用同一 Paper 在其他考试季的平均分数线估算
+   * @param {Object} paper - 试卷目录条目
+   * @returns {Object|null} { thresholds, estimated }，完全没有数据时返回 null
+   */
+  lookup: (paper) => {
+    const exact = GradeThresholds.getComponentThresholds(paper);
+    if (exact) return { thresholds: exact, estimated: false };
+
+    // 模拟卷没有 board 字段，按课程的考试局解析组件号
+    const board = paper.board || paperComponentsData[paper.topicId]?.board;
+    const sessions = Object.values(gradeThresholdsData[paper.topicId]?.sessions || {});
+    const samePaper = sessions
+      .flatMap(session => Object.entries(session.components))
+      .filter(([component]) => PaperCatalog.getPaperNumber(board, component) === paper.paperNumber)
+      .map(([, thresholds]) => thresholds);
+    if (samePaper.length === 0) return null;
+
+    const average = (key) => Math.round(samePaper.reduce((sum, t) => sum + t[key], 0) / samePaper.length);
+    const thresholds = { max: samePaper[0].max };
+    COMPONENT_GRADES.forEach(grade => {
+      thresholds[grade] = average(grade);
+    });
+    return { thresholds, estimated: true };
+  },
+
+  /**
+   * 把卷面分换算为组件等级
+   * @param {number} mark - 得分
+   * @param {Object} thresholds - 分数线 { A, B, C, D, E }
+   * @returns {string} 等级，低于 E 时为 'U'
+   */
+  gradeFor: (mark, thresholds) => {
+    return COMPONENT_GRADES.find(grade => mark >= thresholds[grade]) || 'U';
+  },
+
+  /**
+   * 获取总成绩分数线（最近几个考试季的平均值）
+   * @param {string} topicId - 课程代码
+   * @param {number} recent - 取最近几个考试季
+   * @returns {Object|null} { 'A*', A, B, C, D, E }，单位为加权百分比
+   */
+  getOverallThresholds: (topicId, recent = 3) => {
+    const sessions = gradeThresholdsData[topicId]?.sessions;
+    if (!sessions) return null;
+
+    const latest = Object.keys(sessions)
+      .sort(compareSessionCodes)
+      .slice(-recent)
+      .map(code => sessions[code].overall);
+
+    return OVERALL_GRADES.reduce((overall, grade) => ({
+      ...overall,
+      [grade]: Math.round(latest.reduce((sum, thresholds) => sum + thresholds[grade], 0) / latest.length)
+    }), {});
+  },
+
+  /**
+   * 把加权百分比换算为总成绩等级
+   * @param {number} percent - 加权百分比
+   * @param {Object} overall - 总成绩分数线
+   * @returns {string} 等级，低于 E 时为 'U'
+   */
+  overallGradeFor: (percent, overall) => {
+    return OVERALL_GRADES.find(grade => percent >= overall[grade]) || 'U';
+  }
+};
@@ -0,0 +1,61 @@
+// ==================== IndexedDB 对象仓库 ====================
+
+/**
+ * IndexedDB 工具类
+ * 离线文件库和个人文件库各自使用一个 IndexedDB 数据库，打开数据库和执行事务的方式相同
+ */
+export const IndexedStore = {
+  /**
+   * 创建数据库的事务函数，数据库在第一次请求时打开，之后复用同一个连接
+   * @param {Object} options
+   * @param {string} options.dbName - 数据库名称
+   * @param {number} options.version - 数据库版本
+   * @param {Object} options.stores - 对象仓库 { [仓库名]: keyPath }，升级时创建还不存在的仓库
+   * @param {Function} [options.upgrade] - 创建仓库之后的数据迁移，参数为 (transaction, oldVersion)
+   * @param {string} options.abortMessage - 事务中止且没有错误对象时的提示
+   * @returns {Function} withStore(storeNames, mode, operation)：在一个事务中执行请求；
+   *   storeNames 为仓库名或仓库名数组，operation 按同样的顺序接收对象仓库，返回 IDBRequest，
+   *   事务完成后得到该请求的结果
+   */
+  create: ({ dbName, version, stores, upgrade, abortMessage }) => {
+    let dbPromise = null;
+
+    /**
+     * 打开数据库（只打开一次）
+     * @returns {Promise<IDBDatabase>}
+     */
+    const openDatabase = () => {
+      if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+          const request = indexedDB.open(dbName, version);
+          request.onupgradeneeded = (event) => {
+            const db = request.result;
+            Object.entries(stores).forEach(([name, keyPath]) => {
+              if (!db.objectStoreNames.contains(name)) db.createObjectStore(name, { keyPath });
+            });
+            if (upgrade) upgrade(request.transaction, event.oldVersion);
+          };
+          request.onsuccess = () => resolve(request.result);
+          request.onerror = () => {
+            dbPromise = null;
+            reject(request.error);
+          };
+        });
+      }
+      return dbPromise;
+    };
+
+    return async (storeNames, mode, operation) => {
+      const db = await openDatabase();
+      const names = Array.isArray(storeNames) ? storeNames : [storeNames];
+      return new Promise((resolve, reject) => {
+        const transaction = db.transaction(names, mode);
+        const request = operation(...names.map(name => transaction.objectStore(name)));
+        transaction.oncomplete = () => resolve(request?.result);
+        transaction.onerror = () => reject(transaction.error);
+        // 超出存储配额时事务直接中止，不会触发 onerror
+        transaction.onabort = () => reject(transaction.error || new Error(abortMessage));
+      });
+    };
+  }
+};
@@ -0,0 +1,43 @@
+// ==================== PDF 阅读位置 ====================
+
+/**
+ * 每个文件上次阅读页码的存储键，结构为 { [fileId]: 页码 }
+ */
+const STORAGE_KEY = 'pdfLastPages';
+
+/**
+ * 读取全部文件的阅读页码；存储内容损坏时当作空记录，不影响查看器打开
+ * @returns {Object}
+ */
+const readAll = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}') || {};
+  } catch (error) {
+    console.error('阅读位置读取失败:', error);
+    return {};
+  }
+};
+
+/**
+ * PDF 阅读位置工具类
+ * PdfViewer 翻页时按文件ID记录页码，再次打开时回到该页；教科书的“继续阅读”也读取这里的页码
+ */
+export const LastPages = {
+  /**
+   * 读取文件上次阅读的页码
+   * @param {string} fileId - 文件ID
+   * @returns {number|null} 没有打开过时为 null
+   */
+  get: (fileId) => readAll()[fileId] || null,
+
+  /**
+   * 记录文件当前阅读的页码
+   * @param {string} fileId - 文件ID
+   * @param {number} pageNumber - 页码
+   */
+  save: (fileId, pageNumber) => {
+    const all = readAll();
+    all[fileId] = pageNumber;
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(all));
+  }
+};
@@ -0,0 +1,309 @@
+// ==================== 数学表达式 ====================
+
+/**
+ * 常量
+ */
+const CONSTANTS = {
+  pi: Math.PI,
+  e: Math.E
+};
+
+/**
+ * 三角函数（角度制时输入按角度换算）
+ */
+const TRIG_FUNCTIONS = ['sin', 'cos', 'tan'];
+
+/**
+ * 反三角函数（角度制时结果按角度换算）
+ */
+const INVERSE_TRIG_FUNCTIONS = ['asin', 'acos', 'atan'];
+
+/**
+ * 考试允许的科学计算器函数，值为允许的参数个数
+ */
+export const MATH_FUNCTIONS = {
+  sin: [1], cos: [1], tan: [1],
+  asin: [1], acos: [1], atan: [1],
+  sinh: [1], cosh: [1], tanh: [1],
+  sqrt: [1], cbrt: [1], abs: [1],
+  ln: [1], log: [1, 2], exp: [1],
+  nCr: [2], nPr: [2]
+};
+
+/**
+ * 输入中可以使用的符号写法
+ */
+const SYMBOLS = { '×': '*', '÷': '/', '−': '-', 'π': 'pi', '√': 'sqrt' };
+
+/**
+ * 三角函数结果小于该值时视为 0（例如角度制下 sin 180）
+ */
+const TRIG_EPSILON = 1e-12;
+
+/**
+ * 阶乘
+ * @param {number} n - 非负整数
+ * @returns {number} 不是非负整数或结果溢出时为 NaN
+ */
+const factorial = (n) => {
+  if (!Number.isInteger(n) || n < 0 || n > 170) return NaN;
+  let result = 1;
+  for (let i = 2; i <= n; i++) result *= i;
+  return result;
+};
+
+/**
+ * 词法分析
+ * @param {string} text - 表达式
+ * @returns {Array<Object>} [{ type: 'number' | 'name' | 'op', value }]
+ */
+const tokenize = (text) => {
+  const source = Array.from(text).map(char => SYMBOLS[char] || char).join('');
+  const tokens = [];
+  const pattern = /\s*(?:(\d+\.?\d*(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?)|([A-Za-z]+)|([-+*/^(),!%]))/y;
+  let index = 0;
+
+  while (index < source.length) {
+    if (/^\s*$/.test(source.slice(index))) break;
+    pattern.lastIndex = index;
+    const match = pattern.exec(source);
+    if (!match) throw new Error(`Unexpected "${source.slice(index).trim()[0]}"`);
+    if (match[1] !== undefined) tokens.push({ type: 'number', value: parseFloat(match[1]) });
+    else if (match[2] !== undefined) tokens.push({ type: 'name', value: match[2] });
+    else tokens.push({ type: 'op', value: match[3] });
+    index = pattern.lastIndex;
+  }
+  return tokens;
+};
+
+/**
+ * 语法分析（递归下降），支持省略乘号（2x、3(x+1)、2pi）和不带括号的函数（sin 30）
+ * 优先级从低到高：加减、乘除、负号、乘方（右结合）、阶乘和百分号
+ * @param {Array<Object>} tokens - tokenize 的结果
+ * @returns {Object} 语法树
+ */
+const parseTokens = (tokens) => {
+  let position = 0;
+  const peek = () => tokens[position];
+  const isOp = (value) => peek()?.type === 'op' && peek().value === value;
+  const expect = (value) => {
+    if (!isOp(value)) throw new Error(`Expected "${value}"`);
+    position++;
+  };
+
+  let parseExpression;
+
+  const parsePrimary = () => {
+    const token = peek();
+    if (!token) throw new Error('Incomplete expression');
+    position++;
+
+    if (token.type === 'number') return { type: 'number', value: token.value };
+    if (token.type === 'op' && token.value === '(') {
+      const inner = parseExpression();
+      expect(')');
+      return inner;
+    }
+    if (token.type === 'name') {
+      if (MATH_FUNCTIONS[token.value]) {
+        let args;
+        if (isOp('(')) {
+          position++;
+          args = [parseExpression()];
+          while (isOp(',')) {
+            position++;
+            args.push(parseExpression());
+          }
+          expect(')');
+        } else {
+          args = [parsePower()];
+        }
+        if (!MATH_FUNCTIONS[token.value].includes(args.length)) {
+          throw new Error(`${token.value} takes ${MATH_FUNCTIONS[token.value].join(' or ')} argument${MATH_FUNCTIONS[token.value][0] === 1 ? '' : 's'}`);
+        }
+        return { type: 'call', name: token.value, args };
+      }
+      return { type: 'variable', name: token.value };
+    }
+    throw new Error(`Unexpected "${token.value}"`);
+  };
+
+  const parsePostfix = () => {
+    let node = parsePrimary();
+    while (isOp('!') || isOp('%')) {
+      node = { type: 'postfix', op: peek().value, arg: node };
+      position++;
+    }
+    return node;
+  };
+
+  const parsePower = () => {
+    const base = parsePostfix();
+    if (isOp('^')) {
+      position++;
+      return { type: 'binary', op: '^', left: base, right: parseUnary() };
+    }
+    return base;
+  };
+
+  const parseUnary = () => {
+    if (isOp('-') || isOp('+')) {
+      const op = peek().value;
+      position++;
+      const arg = parseUnary();
+      return op === '-' ? { type: 'unary', op, arg } : arg;
+    }
+    return parsePower();
+  };
+
+  const parseTerm = () => {
+    let node = parseUnary();
+    for (;;) {
+      if (isOp('*') || isOp('/')) {
+        const op = peek().value;
+        position++;
+        node = { type: 'binary', op, left: node, right: parseUnary() };
+      } else if (peek() && (peek().type !== 'op' || peek().value === '(')) {
+        // 省略的乘号
+        node = { type: 'binary', op: '*', left: node, right: parsePower() };
+      } else {
+        return node;
+      }
+    }
+  };
+
+  parseExpression = () => {
+    let node = parseTerm();
+    while (isOp('+') || isOp('-')) {
+      const op = peek().value;
+      position++;
+      node = { type: 'binary', op, left: node, right: parseTerm() };
+    }
+    return node;
+  };
+
+  if (tokens.length === 0) throw new Error('Empty expression');
+  const tree = parseExpression();
+  if (position < tokens.length) throw new Error(`Unexpected "${peek().value}"`);
+  return tree;
+};
+
+/**
+ * 数学表达式工具类
+ * 科学计算器和函数绘图共用：解析为语法树后求值，支持四则运算、乘方、阶乘、百分号、
+ * 三角/反三角/双曲函数（角度制或弧度制）、对数、开方、排列组合和常量 pi、e；
+ * 只提供考试允许的科学计算器功能，不支持编程、符号运算或自定义函数
+ */
+export const MathExpression = {
+  /**
+   * 解析表达式
+   * @param {string} text - 表达式
+   * @returns {Object} 语法树
+   * @throws {Error} 表达式格式错误时抛出，message 可以直接显示给用户
+   */
+  parse: (text) => parseTokens(tokenize(text)),
+
+  /**
+   * 对语法树求值
+   * @param {Object} node - 语法树
+   * @param {Object} options - { variables: { [name]: 数值 }, angleMode: 'deg' | 'rad' }
+   * @returns {number} 超出定义域时为 NaN
+   * @throws {Error} 使用了未定义的名称时抛出
+   */
+  evaluate: (node, { variables = {}, angleMode = 'rad' } = {}) => {
+    const toRadians = (value) => (angleMode === 'deg' ? (value * Math.PI) / 180 : value);
+    const fromRadians = (value) => (angleMode === 'deg' ? (value * 180) / Math.PI : value);
+
+    const visit = (current) => {
+      switch (current.type) {
+        case 'number':
+          return current.value;
+        case 'variable':
+          if (current.name in variables) return variables[current.name];
+          if (current.name in CONSTANTS) return CONSTANTS[current.name];
+          throw new Error(`Unknown name "${current.name}"`);
+        case 'unary':
+          return -visit(current.arg);
+        case 'postfix':
+          return current.op === '!' ? factorial(visit(current.arg)) : visit(current.arg) / 100;
+        case 'binary': {
+          const left = visit(current.left);
+          const right = visit(current.right);
+          if (current.op === '+') return left + right;
+          if (current.op === '-') return left - right;
+          if (current.op === '*') return left * right;
+          if (current.op === '/') return right === 0 ? NaN : left / right;
+          return left ** right;
+        }
+        case 'call': {
+          const args = current.args.map(visit);
+          const [x, y] = args;
+          const { name } = current;
+
+          if (TRIG_FUNCTIONS.includes(name)) {
+            // 角度制下 tan 90°、tan 270° 没有定义
+            if (name === 'tan' && angleMode === 'deg' && Math.abs((x - 90) % 180) === 0) return NaN;
+            const value = Math[name](toRadians(x));
+            return Math.abs(value) < TRIG_EPSILON ? 0 : value;
+          }
+          if (INVERSE_TRIG_FUNCTIONS.includes(name)) return fromRadians(Math[name](x));
+          if (name === 'ln') return x > 0 ? Math.log(x) : NaN;
+          if (name === 'log') return x > 0 && (y === undefined || (y > 0 && y !== 1)) ? Math.log(x) / Math.log(y ?? 10) : NaN;
+          if (name === 'sqrt') return x >= 0 ? Math.sqrt(x) : NaN;
+          if (name === 'nCr' || name === 'nPr') {
+            if (!Number.isInteger(x) || !Number.isInteger(y) || y < 0 || y > x) return NaN;
+            const permutations = factorial(x) / factorial(x - y);
+            return name === 'nPr' ? permutations : Math.round(permutations / factorial(y));
+          }
+          return Math[name](x);
+        }
+        default:
+          throw new Error('Invalid expression');
+      }
+    };
+
+    return visit(node);
+  },
+
+  /**
+   * 计算表达式（计算器使用）
+   * @param {string} text - 表达式
+   * @param {Object} options - { variables, angleMode }
+   * @returns {Object} { success, value } 或 { success: false, message }
+   */
+  calculate: (text, options = {}) => {
+    try {
+      const value = MathExpression.evaluate(MathExpression.parse(text), options);
+      if (!Number.isFinite(value)) return { success: false, message: 'Math error' };
+      return { success: true, value };
+    } catch (error) {
+      return { success: false, message: error.message };
+    }
+  },
+
+  /**
+   * 在区间内对函数采样（绘图使用）
+   * @param {Object} tree - 以 x 为自变量的语法树
+   * @param {Object} options - { xMin, xMax, samples, angleMode }
+   * @returns {Array<Array<number>>} [[x, y]]，没有定义的点 y 为 NaN
+   */
+  sample: (tree, { xMin, xMax, samples = 400, angleMode = 'rad' }) => Array.from({ length: samples + 1 }, (_, i) => {
+    const x = xMin + ((xMax - xMin) * i) / samples;
+    const y = MathExpression.evaluate(tree, { variables: { x }, angleMode });
+    return [x, Number.isFinite(y) ? y : NaN];
+  }),
+
+  /**
+   * 格式化计算结果：保留 10 位有效数字，很大或很小的数用科学计数法
+   * @param {number} value - 数值
+   * @returns {string}
+   */
+  format: (value) => {
+    if (!Number.isFinite(value)) return 'Math error';
+    if (value !== 0 && (Math.abs(value) >= 1e10 || Math.abs(value) < 1e-6)) {
+      const [mantissa, exponent] = value.toExponential(9).split('e');
+      return `${parseFloat(mantissa)}e${exponent.replace('+', '')}`;
+    }
+    return String(parseFloat(value.toPrecision(10)));
+  }
+};
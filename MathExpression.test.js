@@ -0,0 +1,49 @@
+import { MathExpression } from './MathExpression';
+
+const calc = (text, options) => MathExpression.calculate(text, options);
+
+test('follows operator precedence and implicit multiplication', () => {
+  expect(calc('2 + 3 × 4').value).toBe(14);
+  expect(calc('-2^2').value).toBe(-4);
+  expect(calc('2^3^2').value).toBe(512);
+  expect(calc('2(3 + 4)').value).toBe(14);
+  expect(calc('3x^2', { variables: { x: 2 } }).value).toBe(12);
+  expect(calc('2pi').value).toBeCloseTo(2 * Math.PI);
+  expect(calc('5! / 3!').value).toBe(20);
+  expect(calc('50%').value).toBe(0.5);
+  expect(calc('6.63e-34 × 3e8').value).toBeCloseTo(1.989e-25, 30);
+});
+
+test('evaluates functions in degree and radian mode', () => {
+  expect(calc('sin 30', { angleMode: 'deg' }).value).toBeCloseTo(0.5);
+  expect(calc('sin(180)', { angleMode: 'deg' }).value).toBe(0);
+  expect(calc('asin(1)', { angleMode: 'deg' }).value).toBeCloseTo(90);
+  expect(calc('cos(pi)', { angleMode: 'rad' }).value).toBeCloseTo(-1);
+  expect(calc('log(1000)').value).toBeCloseTo(3);
+  expect(calc('log(8, 2)').value).toBeCloseTo(3);
+  expect(calc('√16 + ln(e)').value).toBe(5);
+  expect(calc('nCr(5, 2) + nPr(5, 2)').value).toBe(30);
+  expect(calc('ans × 2', { variables: { ans: 21 } }).value).toBe(42);
+});
+
+test('reports syntax and math errors', () => {
+  expect(calc('2 +')).toEqual({ success: false, message: 'Incomplete expression' });
+  expect(calc('(1 + 2')).toEqual({ success: false, message: 'Expected ")"' });
+  expect(calc('foo(2)')).toEqual({ success: false, message: 'Unknown name "foo"' });
+  expect(calc('1 / 0').message).toBe('Math error');
+  expect(calc('sqrt(-1)').message).toBe('Math error');
+  expect(calc('tan 90', { angleMode: 'deg' }).message).toBe('Math error');
+  expect(calc('nCr(2)').message).toBe('nCr takes 2 arguments');
+});
+
+test('samples functions and formats results', () => {
+  const points = MathExpression.sample(MathExpression.parse('1/x'), { xMin: -1, xMax: 1, samples: 4 });
+  expect(points.map(([x]) => x)).toEqual([-1, -0.5, 0, 0.5, 1]);
+  expect(points[2][1]).toBeNaN();
+  expect(points[3][1]).toBe(2);
+
+  expect(MathExpression.format(0.1 + 0.2)).toBe('0.3');
+  expect(MathExpression.format(1 / 3)).toBe('0.3333333333');
+  expect(MathExpression.format(6.02e23)).toBe('6.02e23');
+  expect(MathExpression.format(-1.6e-19)).toBe('-1.6e-19');
+});
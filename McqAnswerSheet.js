@@ -0,0 +1,271 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { ApiService } from './APIservice.js';
+import { McqMarking, MCQ_OPTIONS } from './McqMarking.js';
+import { GradeThresholds } from './GradeThresholds.js';
+import { AttemptLog } from './AttemptLog.js';
+import { PaperWorkspace } from './PaperWorkspace.js';
+import MistakeFlag from './MistakeFlag.js';
+
+/**
+ * 格式化用时，例如 "42m 05s"
+ * @param {number} ms - 毫秒数
+ * @returns {string}
+ */
+const formatTimeTaken = (ms) => {
+  const totalSeconds = Math.max(0, Math.round(ms / 1000));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}h ${minutes}m ${seconds}s` : `${minutes}m ${seconds}s`;
+};
+
+/**
+ * AttemptResult 组件 - 一次作答的批改结果，做错的题可以记入错题本
+ * @param {Object} props
+ * @param {Object} props.paper - 试卷目录条目
+ * @param {Object} props.attempt - 作答记录
+ */
+const AttemptResult = ({ paper, attempt }) => (
+  <div className="mcq-result">
+    <div className="mcq-score">
+      <span className="mcq-score-value">{attempt.rawMark} / {attempt.total}</span>
+      <span className="mcq-score-percent">{Math.round((attempt.rawMark / attempt.total) * 100)}%</span>
+      {attempt.grade ? (
+        <span
+          className={`mcq-grade grade-${attempt.grade}`}
+          title={attempt.gradeEstimated ? 'Estimated from other sessions\' thresholds' : undefined}
+        >
+          Grade {attempt.grade}{attempt.gradeEstimated ? ' (est.)' : ''}
+        </span>
+      ) : (
+        <span className="mcq-grade-missing">No grade thresholds for this paper</span>
+      )}
+    </div>
+    <div className="mcq-result-meta">
+      ⏱ {formatTimeTaken(attempt.timeSpent)} · {new Date(attempt.submittedAt).toLocaleString()}
+    </div>
+    <div className="mcq-result-grid">
+      {attempt.results.map(result => (
+        <div
+          key={result.question}
+          className={`mcq-result-cell ${result.isCorrect ? 'correct' : result.answer ? 'wrong' : 'blank'}`}
+          title={result.isCorrect ? 'Correct' : `Answer: ${result.correctAnswer}`}
+        >
+          <span className="mcq-result-number">{result.question}</span>
+          <span>{result.answer || '–'}</span>
+          {!result.isCorrect && <span className="mcq-result-key">{result.correctAnswer}</span>}
+        </div>
+      ))}
+    </div>
+    {attempt.results.some(result => !result.isCorrect) && (
+      <div className="mcq-mistakes">
+        <h4>Wrong answers</h4>
+        {attempt.results.filter(result => !result.isCorrect).map(result => (
+          <div key={result.question} className="mcq-mistake-row">
+            <span className="mcq-question-number">{result.question}</span>
+            <MistakeFlag paper={paper} questionNumber={result.question} />
+          </div>
+        ))}
+      </div>
+    )}
+  </div>
+);
+
+/**
+ * McqAnswerSheet 组件 - 选择题答题卡
+ * 显示在试卷预览旁边，每题选择 A–D；提交后按评分标准答案批改，
+ * 显示得分、每题对错、用时以及按该考试季分数线换算的等级，并保存到作答记录；
+ * 还没有录入答案的试卷会提示不能批改
+ * @param {Object} props
+ * @param {Object} props.paper - 试卷目录条目（isMultipleChoice 为 true）
+ * @param {number} props.startTime - 开始作答的时间戳（打开试卷或开始考试的时间）
+ * @param {boolean} props.examMode - 是否处于限时考试中，考试开始时清空答题卡
+ * @param {number} props.submitSignal - 递增时立即提交（考试到时自动交卷），不再确认未作答的题目
+ * @param {Function} props.onSubmitted - 提交后的回调，参数为保存的作答记录，批改失败时为 null
+ */
+const McqAnswerSheet = ({ paper, startTime, examMode = false, submitSignal = 0, onSubmitted }) => {
+  const [answers, setAnswers] = useState({});
+  const [startedAt, setStartedAt] = useState(startTime || Date.now());
+  const [submitting, setSubmitting] = useState(false);
+  const [errorMessage, setErrorMessage] = useState('');
+  const [attempts, setAttempts] = useState(() => AttemptLog.getAttempts(paper.id));
+  const [reviewingId, setReviewingId] = useState(null);
+  const [missingKeyMessage, setMissingKeyMessage] = useState('');
+  const handleSubmitRef = useRef(null);
+
+  const thresholdLookup = useMemo(() => GradeThresholds.lookup(paper), [paper]);
+  const answeredCount = Object.keys(answers).length;
+  const reviewing = attempts.find(attempt => attempt.id === reviewingId);
+
+  useEffect(() => {
+    setAnswers({});
+    setAttempts(AttemptLog.getAttempts(paper.id));
+    setReviewingId(null);
+    setErrorMessage('');
+  }, [paper]);
+
+  /**
+   * 打开试卷时先确认有没有答案，没有答案的试卷在作答前就提示不能批改
+   */
+  useEffect(() => {
+    let cancelled = false;
+    setMissingKeyMessage('');
+    ApiService.getAnswerKey(paper.id)
+      .then(response => {
+        if (!cancelled && !response.success) setMissingKeyMessage(response.message);
+      })
+      .catch(error => console.error('答案读取失败:', error));
+    return () => { cancelled = true; };
+  }, [paper]);
+
+  useEffect(() => {
+    setStartedAt(startTime || Date.now());
+  }, [startTime]);
+
+  useEffect(() => {
+    if (examMode) {
+      setAnswers({});
+      setReviewingId(null);
+    }
+  }, [examMode]);
+
+  // 自动交卷只响应提交信号的变化，通过 ref 调用使用最新作答的提交函数
+  useEffect(() => {
+    handleSubmitRef.current = handleSubmit;
+  });
+
+  useEffect(() => {
+    if (submitSignal > 0) handleSubmitRef.current({ force: true });
+  }, [submitSignal]);
+
+  /**
+   * 选择/取消选择答案
+   * @param {number} question - 题号
+   * @param {string} option - 选项
+   */
+  const chooseAnswer = (question, option) => {
+    setAnswers(prev => {
+      const next = { ...prev };
+      if (next[question] === option) {
+        delete next[question];
+      } else {
+        next[question] = option;
+      }
+      return next;
+    });
+  };
+
+  /**
+   * 提交并批改
+   * @param {Object} options - { force: 跳过未作答确认 }
+   */
+  const handleSubmit = async ({ force = false } = {}) => {
+    const unanswered = paper.questionCount - answeredCount;
+    if (!force && unanswered > 0 && !window.confirm(`${unanswered} question(s) are unanswered. Submit anyway?`)) {
+      return;
+    }
+
+    setSubmitting(true);
+    setErrorMessage('');
+    let saved = null;
+    try {
+      const response = await ApiService.getAnswerKey(paper.id);
+      if (!response.success) {
+        setErrorMessage(response.message || 'The answer key is not available for this paper.');
+        return;
+      }
+
+      const marked = McqMarking.mark(answers, response.data);
+      saved = AttemptLog.addAttempt({
+        paperId: paper.id,
+        topicId: paper.topicId,
+        mode: examMode ? 'exam' : 'practice',
+        markedBy: 'auto',
+        timeSpent: Date.now() - startedAt,
+        rawMark: marked.score,
+        total: marked.total,
+        grade: thresholdLookup ? GradeThresholds.gradeFor(marked.score, thresholdLookup.thresholds) : null,
+        gradeEstimated: Boolean(thresholdLookup?.estimated),
+        results: marked.results,
+        workings: PaperWorkspace.snapshot(paper.id)
+      });
+
+      setAttempts(AttemptLog.getAttempts(paper.id));
+      setReviewingId(saved.id);
+    } catch (error) {
+      console.error('批改失败:', error);
+      setErrorMessage('Marking failed. Your answers are kept, please try again.');
+    } finally {
+      setSubmitting(false);
+      if (onSubmitted) onSubmitted(saved);
+    }
+  };
+
+  /**
+   * 重新作答
+   */
+  const startAgain = () => {
+    setAnswers({});
+    setStartedAt(Date.now());
+    setReviewingId(null);
+  };
+
+  return (
+    <aside className="mcq-sheet">
+      <div className="mcq-sheet-header">
+        <h3>Answer sheet</h3>
+        {!reviewing && <span className="mcq-progress">{answeredCount} / {paper.questionCount}</span>}
+      </div>
+
+      {reviewing ? (
+        <>
+          <AttemptResult paper={paper} attempt={reviewing} />
+          <button className="mcq-submit-btn" onClick={startAgain}>↻ Try again</button>
+        </>
+      ) : (
+        <>
+          <div className="mcq-questions">
+            {Array.from({ length: paper.questionCount }, (_, i) => i + 1).map(question => (
+              <div key={question} className="mcq-question-row">
+                <span className="mcq-question-number">{question}</span>
+                {MCQ_OPTIONS.map(option => (
+                  <button
+                    key={option}
+                    className={`mcq-option ${answers[question] === option ? 'selected' : ''}`}
+                    onClick={() => chooseAnswer(question, option)}
+                    aria-pressed={answers[question] === option}
+                  >
+                    {option}
+                  </button>
+                ))}
+              </div>
+            ))}
+          </div>
+          {missingKeyMessage && <p className="mcq-error">⚠️ {missingKeyMessage}</p>}
+          {errorMessage && errorMessage !== missingKeyMessage && <p className="mcq-error">⚠️ {errorMessage}</p>}
+          <button className="mcq-submit-btn" onClick={() => handleSubmit()} disabled={submitting || Boolean(missingKeyMessage)}>
+            {submitting ? 'Marking...' : 'Submit & mark'}
+          </button>
+        </>
+      )}
+
+      {attempts.length > 0 && (
+        <div className="mcq-history">
+          <h4>Previous attempts</h4>
+          {attempts.map(attempt => (
+            <button
+              key={attempt.id}
+              className={`mcq-history-item ${attempt.id === reviewingId ? 'active' : ''}`}
+              onClick={() => setReviewingId(attempt.id)}
+            >
+              <span>{new Date(attempt.submittedAt).toLocaleDateString()}</span>
+              <span>{attempt.rawMark}/{attempt.total}{attempt.grade ? ` · ${attempt.grade}` : ''}</span>
+            </button>
+          ))}
+        </div>
+      )}
+    </aside>
+  );
+};
+
+export default McqAnswerSheet;
@@ -0,0 +1,40 @@
+// ==================== 选择题批改 ====================
+import { mcqAnswerKeyData } from './mockData.js';
+
+/**
+ * 选择题选项
+ */
+export const MCQ_OPTIONS = ['A', 'B', 'C', 'D'];
+
+/**
+ * 选择题批改工具类
+ */
+export const McqMarking = {
+  /**
+   * 按答案批改
+   * @param {Object} answers - 学生答案 { 题号: 'A' }，未作答的题目可以缺省
+   * @param {Array<string>} key - 标准答案，key[0] 为第 1 题
+   * @returns {Object} { score, total, unanswered, results: [{ question, answer, correctAnswer, isCorrect }] }
+   */
+  mark: (answers, key) => {
+    const results = key.map((correctAnswer, index) => {
+      const question = index + 1;
+      const answer = answers[question] || null;
+      return { question, answer, correctAnswer, isCorrect: answer === correctAnswer };
+    });
+
+    return {
+      score: results.filter(result => result.isCorrect).length,
+      total: key.length,
+      unanswered: results.filter(result => !result.answer).length,
+      results
+    };
+  },
+
+  /**
+   * 获取试卷的标准答案
+   * @param {string} paperId - 试卷ID
+   * @returns {Array<string>|null} key[0] 为第 1 题答案，还没有录入答案时为 null
+   */
+  getKey: (paperId) => (mcqAnswerKeyData[paperId] ? Array.from(mcqAnswerKeyData[paperId]) : null)
+};
@@ -0,0 +1,20 @@
+import { McqMarking } from './McqMarking';
+
+test('marks answers against the key', () => {
+  const marked = McqMarking.mark({ 1: 'A', 2: 'C', 4: 'D' }, ['A', 'B', 'C', 'D']);
+  expect(marked.score).toBe(2);
+  expect(marked.total).toBe(4);
+  expect(marked.unanswered).toBe(1);
+  expect(marked.results[1]).toEqual({ question: 2, answer: 'C', correctAnswer: 'B', isCorrect: false });
+  expect(marked.results[2].answer).toBeNull();
+});
+
+test('reads answer keys from the catalog and has none for papers not yet entered', () => {
+  const key = McqMarking.getKey('9702_s23_qp_12');
+  expect(key).toHaveLength(40);
+  expect(key.every(answer => ['A', 'B', 'C', 'D'].includes(answer))).toBe(true);
+  expect(McqMarking.mark({ 1: key[0] }, key)).toMatchObject({ score: 1, total: 40, unanswered: 39 });
+
+  expect(McqMarking.getKey('9702_s21_qp_12')).toBeNull();
+  expect(McqMarking.getKey('9702_s23_qp_22')).toBeNull();
+});
@@ -0,0 +1,243 @@
+// ==================== 错题本 ====================
+import { SpacedRepetition } from './SpacedRepetition.js';
+import { QuestionIndex } from './QuestionIndex.js';
+import { PaperCatalog } from './PaperCatalog.js';
+import { CookieUtils } from './CookieUtils.js';
+
+/**
+ * 错题本的存储键前缀（按用户分开保存），结构为 Array<entry>
+ */
+const STORAGE_KEY = 'mistakeBook';
+
+/**
+ * 错误原因
+ */
+export const MISTAKE_REASONS = {
+  concept: 'Concept',
+  careless: 'Careless',
+  time: 'Ran out of time',
+  other: 'Other'
+};
+
+/**
+ * 没有标注知识点的题目归入的章节编号
+ */
+export const UNTAGGED_SECTION = 'untagged';
+
+/**
+ * 错题变化时的监听函数
+ */
+const listeners = new Set();
+
+/**
+ * 读取全部错题
+ * @returns {Array<Object>}
+ */
+const readAll = () => {
+  const saved = localStorage.getItem(CookieUtils.getUserStorageKey(STORAGE_KEY));
+  return saved ? JSON.parse(saved) : [];
+};
+
+/**
+ * 写入全部错题并通知监听者
+ * @param {Array<Object>} entries - 全部错题
+ */
+const writeAll = (entries) => {
+  localStorage.setItem(CookieUtils.getUserStorageKey(STORAGE_KEY), JSON.stringify(entries));
+  listeners.forEach(listener => listener());
+};
+
+/**
+ * 错题本工具类
+ * 批改试卷时把做错的题目连同错误原因记入错题本，按学科、课程和大纲章节整理，
+ * 用 SpacedRepetition 安排重做：第二天第一次到期，之后按每次重做的自评调整间隔
+ * 错题结构：{ id, paperId, questionNumber, topicId, subjectKey, objectives, reason, note, addedAt, review, history }
+ * - objectives: 标记时从题目索引中取出的知识点（题目未索引时为空）
+ * - review: SpacedRepetition 的复习状态
+ * - history: 每次重做的自评 [{ date, rating }]
+ * 后端对接：可以通过 /api/user/mistakes 同步到服务器
+ */
+export const MistakeBook = {
+  /**
+   * 获取全部错题
+   * @returns {Array<Object>} 按标记时间倒序
+   */
+  list: () => readAll().sort((a, b) => b.addedAt.localeCompare(a.addedAt)),
+
+  /**
+   * 查找某道题的错题记录
+   * @param {string} paperId - 试卷ID
+   * @param {number} questionNumber - 题号
+   * @returns {Object|null}
+   */
+  find: (paperId, questionNumber) => (
+    readAll().find(entry => entry.paperId === paperId && entry.questionNumber === questionNumber) || null
+  ),
+
+  /**
+   * 标记错题；已经在错题本中时只更新原因和备注，保留复习进度
+   * @param {Object} paper - 试卷目录条目
+   * @param {number} questionNumber - 题号
+   * @param {Object} details - { reason, note }
+   * @param {Date} now - 标记时间
+   * @returns {Object} 错题记录
+   */
+  flag: (paper, questionNumber, { reason, note = '' }, now = new Date()) => {
+    const all = readAll();
+    const existing = all.find(entry => entry.paperId === paper.id && entry.questionNumber === questionNumber);
+    if (existing) {
+      const updated = { ...existing, reason, note: note || existing.note };
+      writeAll(all.map(entry => (entry === existing ? updated : entry)));
+      return updated;
+    }
+
+    const question = QuestionIndex.getQuestions(paper.id).find(q => q.number === questionNumber);
+    const entry = {
+      id: `mistake_${now.getTime()}_${Math.random().toString(36).slice(2, 6)}`,
+      paperId: paper.id,
+      questionNumber,
+      topicId: paper.topicId,
+      subjectKey: paper.subjectKey,
+      objectives: question ? question.objectives : [],
+      reason,
+      note,
+      addedAt: now.toISOString(),
+      review: SpacedRepetition.createState(now),
+      history: []
+    };
+    writeAll([entry, ...all]);
+    return entry;
+  },
+
+  /**
+   * 更新错题的原因或备注
+   * @param {string} id - 错题ID
+   * @param {Object} changes - { reason, note }
+   */
+  update: (id, changes) => {
+    writeAll(readAll().map(entry => (entry.id === id ? { ...entry, ...changes } : entry)));
+  },
+
+  /**
+   * 移出错题本
+   * @param {string} id - 错题ID
+   */
+  remove: (id) => {
+    writeAll(readAll().filter(entry => entry.id !== id));
+  },
+
+  /**
+   * 记录一次重做并安排下次复习
+   * @param {string} id - 错题ID
+   * @param {string} rating - REVIEW_RATINGS 中的键
+   * @param {Date} now - 重做时间
+   */
+  recordReview: (id, rating, now = new Date()) => {
+    writeAll(readAll().map(entry => (entry.id === id
+      ? {
+        ...entry,
+        review: SpacedRepetition.review(entry.review, rating, now),
+        history: [...entry.history, { date: now.toISOString(), rating }]
+      }
+      : entry)));
+  },
+
+  /**
+   * 订阅错题本变化
+   * @param {Function} listener - 回调
+   * @returns {Function} 取消订阅函数
+   */
+  subscribe: (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  },
+
+  /**
+   * 错题所属的大纲章节（一道题可能跨多个章节）
+   * @param {Object} entry - 错题记录
+   * @returns {Array<string>} 章节编号，未标注知识点时为 [UNTAGGED_SECTION]
+   */
+  getSections: (entry) => {
+    const sections = Array.from(new Set(entry.objectives.map(code => code.split('.')[0])));
+    return sections.length > 0 ? sections : [UNTAGGED_SECTION];
+  },
+
+  /**
+   * 章节名称
+   * @param {string} topicId - 课程代码
+   * @param {string} sectionCode - 章节编号
+   * @returns {string}
+   */
+  getSectionTitle: (topicId, sectionCode) => {
+    if (sectionCode === UNTAGGED_SECTION) return 'Not tagged';
+    const section = QuestionIndex.getSyllabus(topicId)?.sections.find(s => s.code === sectionCode);
+    return section ? `${section.code} ${section.title}` : sectionCode;
+  },
+
+  /**
+   * 筛选错题
+   * @param {Array<Object>} entries - 错题记录
+   * @param {Object} filters - { subjectKey, topicId, section, reason, dueOnly }，空值表示不限
+   * @param {Date} now - 当前时间（判断是否到期）
+   * @returns {Array<Object>}
+   */
+  filter: (entries, { subjectKey, topicId, section, reason, dueOnly } = {}, now = new Date()) => entries.filter(entry =>
+    (!subjectKey || entry.subjectKey === subjectKey) &&
+    (!topicId || entry.topicId === topicId) &&
+    (!section || MistakeBook.getSections(entry).includes(section)) &&
+    (!reason || entry.reason === reason) &&
+    (!dueOnly || SpacedRepetition.isDue(entry.review, now))
+  ),
+
+  /**
+   * 今天需要重做的错题
+   * @param {Array<Object>} entries - 错题记录
+   * @param {Date} now - 当前时间
+   * @returns {Array<Object>} 按到期时间正序（过期最久的在前）
+   */
+  getDue: (entries, now = new Date()) => entries
+    .filter(entry => SpacedRepetition.isDue(entry.review, now))
+    .sort((a, b) => a.review.dueAt.localeCompare(b.review.dueAt)),
+
+  /**
+   * 统计错题
+   * 反复出错的章节按错题数量和重做时的遗忘次数排序
+   * @param {Array<Object>} entries - 错题记录
+   * @param {Date} now - 当前时间
+   * @returns {Object} { total, due, byReason: { [reason]: 数量 }, weakSections: Array<{ topicId, section, title, count, lapses }> }
+   */
+  getStats: (entries, now = new Date()) => {
+    const byReason = {};
+    const sections = {};
+    entries.forEach(entry => {
+      byReason[entry.reason] = (byReason[entry.reason] || 0) + 1;
+      MistakeBook.getSections(entry).forEach(section => {
+        const key = `${entry.topicId}|${section}`;
+        const item = sections[key] || { topicId: entry.topicId, section, count: 0, lapses: 0 };
+        item.count += 1;
+        item.lapses += entry.review.lapses;
+        sections[key] = item;
+      });
+    });
+
+    return {
+      total: entries.length,
+      due: MistakeBook.getDue(entries, now).length,
+      byReason,
+      weakSections: Object.values(sections)
+        .map(item => ({ ...item, title: MistakeBook.getSectionTitle(item.topicId, item.section) }))
+        .sort((a, b) => (b.count + b.lapses) - (a.count + a.lapses) || b.count - a.count)
+    };
+  },
+
+  /**
+   * 错题所在试卷的目录条目和题目索引（用于打开试卷重做）
+   * @param {Object} entry - 错题记录
+   * @returns {Object} { paper, question }，题目未索引时 question 为 null
+   */
+  resolve: (entry) => {
+    const paper = PaperCatalog.getPaperById(entry.paperId);
+    const question = QuestionIndex.getQuestions(entry.paperId).find(q => q.number === entry.questionNumber) || null;
+    return { paper, question };
+  }
+};
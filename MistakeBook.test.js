@@ -0,0 +1,73 @@
+import { MistakeBook, UNTAGGED_SECTION } from './MistakeBook';
+import { PaperCatalog } from './PaperCatalog';
+import { CookieUtils } from './CookieUtils';
+
+const start = new Date(2024, 2, 1, 9, 0);
+const tomorrow = new Date(2024, 2, 2, 9, 0);
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+test('flags questions with their syllabus objectives', () => {
+  const paper = PaperCatalog.getPaperById('9702_s23_qp_22');
+  const entry = MistakeBook.flag(paper, 5, { reason: 'concept' }, start);
+  expect(entry.objectives).toEqual(['7.4', '7.5']);
+  expect(entry.subjectKey).toBe(paper.subjectKey);
+  expect(MistakeBook.getSections(entry)).toEqual(['7']);
+
+  // 再次标记只更新原因
+  MistakeBook.flag(paper, 5, { reason: 'careless' }, tomorrow);
+  expect(MistakeBook.list()).toHaveLength(1);
+  expect(MistakeBook.find(paper.id, 5).reason).toBe('careless');
+
+  const untagged = MistakeBook.flag(PaperCatalog.getPaperById('9702_s21_qp_22'), 1, { reason: 'time' }, start);
+  expect(MistakeBook.getSections(untagged)).toEqual([UNTAGGED_SECTION]);
+});
+
+test('builds the review queue and reschedules reviewed questions', () => {
+  const paper = PaperCatalog.getPaperById('9702_s23_qp_22');
+  const first = MistakeBook.flag(paper, 1, { reason: 'concept' }, start);
+  MistakeBook.flag(paper, 2, { reason: 'careless' }, start);
+
+  expect(MistakeBook.getDue(MistakeBook.list(), start)).toHaveLength(0);
+  expect(MistakeBook.getDue(MistakeBook.list(), tomorrow)).toHaveLength(2);
+
+  MistakeBook.recordReview(first.id, 'good', tomorrow);
+  const due = MistakeBook.getDue(MistakeBook.list(), tomorrow);
+  expect(due).toHaveLength(1);
+  expect(due[0].questionNumber).toBe(2);
+  expect(MistakeBook.find(paper.id, 1).history).toEqual([{ date: tomorrow.toISOString(), rating: 'good' }]);
+});
+
+test('filters by course, section and reason and reports weak sections', () => {
+  const physics = PaperCatalog.getPaperById('9702_s23_qp_22');
+  const maths = PaperCatalog.getPaperById('9709_s23_qp_12');
+  MistakeBook.flag(physics, 4, { reason: 'concept' }, start);
+  MistakeBook.flag(physics, 5, { reason: 'concept' }, start);
+  const other = MistakeBook.flag(physics, 1, { reason: 'careless' }, start);
+  MistakeBook.flag(maths, 1, { reason: 'time' }, start);
+  MistakeBook.recordReview(other.id, 'again', tomorrow);
+
+  const entries = MistakeBook.list();
+  expect(MistakeBook.filter(entries, { topicId: '9702' })).toHaveLength(3);
+  expect(MistakeBook.filter(entries, { topicId: '9702', section: '7' })).toHaveLength(2);
+  expect(MistakeBook.filter(entries, { reason: 'time' })).toHaveLength(1);
+
+  const stats = MistakeBook.getStats(entries, tomorrow);
+  expect(stats.total).toBe(4);
+  expect(stats.byReason).toEqual({ concept: 2, careless: 1, time: 1 });
+  expect(stats.weakSections[0]).toMatchObject({ topicId: '9702', section: '7', count: 2 });
+  expect(stats.weakSections[0].title).toMatch(/^7 /);
+});
+
+test('keeps each user\'s mistake book separate', () => {
+  const paper = PaperCatalog.getPaperById('9702_s23_qp_22');
+  CookieUtils.setActiveUser('alice');
+  MistakeBook.flag(paper, 1, { reason: 'concept' }, start);
+  CookieUtils.setActiveUser('bob');
+  expect(MistakeBook.list()).toEqual([]);
+  CookieUtils.setActiveUser('alice');
+  expect(MistakeBook.find(paper.id, 1).reason).toBe('concept');
+  CookieUtils.deleteCookie('activeUser');
+});
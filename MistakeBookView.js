@@ -0,0 +1,258 @@
+import React, { useState, useEffect } from 'react';
+import { MistakeBook, MISTAKE_REASONS } from './MistakeBook.js';
+import { SpacedRepetition, REVIEW_RATINGS } from './SpacedRepetition.js';
+import { subjectsData } from './mockData.js';
+
+/**
+ * 统计面板中显示的薄弱章节数量
+ */
+const WEAK_SECTION_LIMIT = 5;
+
+/**
+ * 空的筛选条件
+ */
+const EMPTY_FILTERS = { subjectKey: '', topicId: '', section: '', reason: '' };
+
+/**
+ * 下次复习时间的描述
+ * @param {Object} review - 复习状态
+ * @returns {string}
+ */
+const describeDue = (review) => {
+  const days = SpacedRepetition.daysUntilDue(review);
+  if (days === 0) return 'Due today';
+  return days === 1 ? 'Due tomorrow' : `Due in ${days} days`;
+};
+
+/**
+ * MistakeCard 组件 - 一道错题
+ * @param {Object} props
+ * @param {Object} props.entry - 错题记录
+ * @param {Function} props.onOpenQuestion - 打开题目重做的回调，参数为 (paper, page)
+ */
+const MistakeCard = ({ entry, onOpenQuestion }) => {
+  const { paper, question } = MistakeBook.resolve(entry);
+  const due = SpacedRepetition.isDue(entry.review);
+
+  return (
+    <div className={`mistake-card ${due ? 'due' : ''}`}>
+      <div className="mistake-card-header">
+        <strong>
+          {paper ? `${paper.topicId} ${paper.sessionName} ${paper.year} Paper ${paper.component}` : entry.paperId} · Q{entry.questionNumber}
+        </strong>
+        <select
+          value={entry.reason}
+          onChange={(e) => MistakeBook.update(entry.id, { reason: e.target.value })}
+          aria-label="Mistake reason"
+        >
+          {Object.entries(MISTAKE_REASONS).map(([reason, label]) => (
+            <option key={reason} value={reason}>{label}</option>
+          ))}
+        </select>
+      </div>
+
+      {entry.objectives.length > 0 && (
+        <div className="question-index-tags">
+          {entry.objectives.map(code => <span key={code} className="objective-tag">{code}</span>)}
+        </div>
+      )}
+
+      <input
+        type="text"
+        className="mistake-note"
+        placeholder="What went wrong?"
+        defaultValue={entry.note}
+        onBlur={(e) => e.target.value !== entry.note && MistakeBook.update(entry.id, { note: e.target.value })}
+        aria-label="Mistake note"
+      />
+
+      <div className="mistake-card-meta">
+        <span>{describeDue(entry.review)}</span>
+        <span>Added {new Date(entry.addedAt).toLocaleDateString()}</span>
+        <span>{entry.history.length} re-attempt{entry.history.length === 1 ? '' : 's'}</span>
+        {entry.review.lapses > 0 && <span className="mistake-lapses">Wrong again {entry.review.lapses}×</span>}
+      </div>
+
+      <div className="mistake-card-actions">
+        <button className="action-btn view-btn" onClick={() => onOpenQuestion(paper, question?.pages[0])} disabled={!paper}>
+          ↻ Re-attempt
+        </button>
+        {due && (
+          <div className="mistake-ratings">
+            {Object.entries(REVIEW_RATINGS).map(([rating, { label }]) => (
+              <button key={rating} className={`mistake-rating ${rating}`} onClick={() => MistakeBook.recordReview(entry.id, rating)}>
+                {label}
+                <small>{SpacedRepetition.nextInterval(entry.review, rating)}d</small>
+              </button>
+            ))}
+          </div>
+        )}
+        <button
+          className="mistake-remove"
+          onClick={() => window.confirm('Remove this question from your mistake book?') && MistakeBook.remove(entry.id)}
+          aria-label="Remove from mistake book"
+        >
+          ✕
+        </button>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * MistakeBookView 组件 - 错题本
+ * 今日复习队列、按学科/课程/大纲章节/错误原因筛选的错题列表，以及错误原因和反复出错章节的统计；
+ * 重做后按自评（Again/Hard/Good/Easy）安排下次复习
+ * @param {Object} props
+ * @param {Function} props.onOpenQuestion - 打开题目重做的回调，参数为 (paper, page)
+ */
+const MistakeBookView = ({ onOpenQuestion }) => {
+  const [entries, setEntries] = useState(() => MistakeBook.list());
+  const [view, setView] = useState('due');
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+
+  useEffect(() => {
+    return MistakeBook.subscribe(() => setEntries(MistakeBook.list()));
+  }, []);
+
+  /**
+   * 更新筛选条件，上级条件变化时清空下级条件
+   * @param {Object} changes - 需要更新的字段
+   */
+  const updateFilters = (changes) => {
+    setFilters(prev => {
+      const next = { ...prev, ...changes };
+      if ('subjectKey' in changes) next.topicId = '';
+      if ('subjectKey' in changes || 'topicId' in changes) next.section = '';
+      return next;
+    });
+  };
+
+  const stats = MistakeBook.getStats(entries);
+  const filtered = MistakeBook.filter(entries, filters);
+  const shown = view === 'due' ? MistakeBook.getDue(filtered) : filtered;
+
+  const subjectKeys = Array.from(new Set(entries.map(entry => entry.subjectKey).filter(Boolean)));
+  const topicIds = Array.from(new Set(
+    MistakeBook.filter(entries, { subjectKey: filters.subjectKey }).map(entry => entry.topicId)
+  )).sort();
+  const sectionCodes = filters.topicId
+    ? Array.from(new Set(MistakeBook.filter(entries, { topicId: filters.topicId }).flatMap(MistakeBook.getSections)))
+      .sort((a, b) => Number(a) - Number(b))
+    : [];
+
+  // 全部错题按课程和章节分组（跨章节的题目归入第一个章节）
+  const groups = [];
+  if (view === 'all') {
+    shown.forEach(entry => {
+      const section = MistakeBook.getSections(entry)[0];
+      const key = `${entry.topicId}|${section}`;
+      let group = groups.find(item => item.key === key);
+      if (!group) {
+        group = { key, title: `${entry.topicId} · ${MistakeBook.getSectionTitle(entry.topicId, section)}`, entries: [] };
+        groups.push(group);
+      }
+      group.entries.push(entry);
+    });
+    groups.sort((a, b) => a.key.localeCompare(b.key, undefined, { numeric: true }));
+  }
+
+  return (
+    <div className="tool-content mistake-book">
+      <div className="section-header">
+        <h2>📕 Mistake Book</h2>
+        <p>{stats.total} question{stats.total === 1 ? '' : 's'} · {stats.due} due today</p>
+      </div>
+
+      {entries.length === 0 ? (
+        <div className="empty-state">
+          <p>No mistakes yet. When you mark a paper, pick a reason next to a question you got wrong to add it here.</p>
+        </div>
+      ) : (
+        <>
+          <div className="mistake-stats">
+            <div className="mistake-stats-card">
+              <h4>Why questions went wrong</h4>
+              {Object.entries(MISTAKE_REASONS).map(([reason, label]) => (
+                <div key={reason} className="mistake-reason-bar">
+                  <span>{label}</span>
+                  <div className="mistake-reason-track">
+                    <div style={{ width: `${((stats.byReason[reason] || 0) / stats.total) * 100}%` }} />
+                  </div>
+                  <span>{stats.byReason[reason] || 0}</span>
+                </div>
+              ))}
+            </div>
+            <div className="mistake-stats-card">
+              <h4>Recurring weak topics</h4>
+              {stats.weakSections.slice(0, WEAK_SECTION_LIMIT).map(item => (
+                <button
+                  key={`${item.topicId}|${item.section}`}
+                  className="mistake-weak-section"
+                  onClick={() => {
+                    setView('all');
+                    setFilters({ ...EMPTY_FILTERS, topicId: item.topicId, section: item.section });
+                  }}
+                >
+                  <span>{item.topicId} · {item.title}</span>
+                  <span>
+                    {item.count} question{item.count === 1 ? '' : 's'}
+                    {item.lapses > 0 && ` · wrong again ${item.lapses}×`}
+                  </span>
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div className="mistake-toolbar">
+            <div className="browse-mode-toggle">
+              <button className={view === 'due' ? 'active' : ''} onClick={() => setView('due')}>Due today ({stats.due})</button>
+              <button className={view === 'all' ? 'active' : ''} onClick={() => setView('all')}>All questions</button>
+            </div>
+            <select value={filters.subjectKey} onChange={(e) => updateFilters({ subjectKey: e.target.value })} aria-label="Subject">
+              <option value="">All subjects</option>
+              {subjectKeys.map(key => <option key={key} value={key}>{subjectsData[key]?.name || key}</option>)}
+            </select>
+            <select value={filters.topicId} onChange={(e) => updateFilters({ topicId: e.target.value })} aria-label="Course">
+              <option value="">All courses</option>
+              {topicIds.map(topicId => <option key={topicId} value={topicId}>{topicId}</option>)}
+            </select>
+            {sectionCodes.length > 0 && (
+              <select value={filters.section} onChange={(e) => updateFilters({ section: e.target.value })} aria-label="Syllabus topic">
+                <option value="">All syllabus topics</option>
+                {sectionCodes.map(code => (
+                  <option key={code} value={code}>{MistakeBook.getSectionTitle(filters.topicId, code)}</option>
+                ))}
+              </select>
+            )}
+            <select value={filters.reason} onChange={(e) => updateFilters({ reason: e.target.value })} aria-label="Reason">
+              <option value="">All reasons</option>
+              {Object.entries(MISTAKE_REASONS).map(([reason, label]) => <option key={reason} value={reason}>{label}</option>)}
+            </select>
+          </div>
+
+          {shown.length === 0 ? (
+            <div className="empty-state">
+              <p>{view === 'due' ? 'Nothing to review today. 🎉' : 'No mistakes match the filters.'}</p>
+            </div>
+          ) : view === 'due' ? (
+            <div className="mistake-list">
+              {shown.map(entry => <MistakeCard key={entry.id} entry={entry} onOpenQuestion={onOpenQuestion} />)}
+            </div>
+          ) : (
+            groups.map(group => (
+              <div key={group.key} className="mistake-group">
+                <h3>{group.title}</h3>
+                <div className="mistake-list">
+                  {group.entries.map(entry => <MistakeCard key={entry.id} entry={entry} onOpenQuestion={onOpenQuestion} />)}
+                </div>
+              </div>
+            ))
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default MistakeBookView;
@@ -0,0 +1,47 @@
+import React, { useState, useEffect } from 'react';
+import { MistakeBook, MISTAKE_REASONS } from './MistakeBook.js';
+
+/**
+ * MistakeFlag 组件 - 把一道题记入错题本
+ * 批改时显示在每道题旁边，选择错误原因后立即记入错题本；改回空值时移出错题本
+ * @param {Object} props
+ * @param {Object} props.paper - 题目所在试卷的目录条目
+ * @param {number} props.questionNumber - 题号
+ */
+const MistakeFlag = ({ paper, questionNumber }) => {
+  const [entry, setEntry] = useState(() => MistakeBook.find(paper.id, questionNumber));
+
+  useEffect(() => {
+    setEntry(MistakeBook.find(paper.id, questionNumber));
+    return MistakeBook.subscribe(() => setEntry(MistakeBook.find(paper.id, questionNumber)));
+  }, [paper, questionNumber]);
+
+  /**
+   * 选择错误原因
+   * @param {string} reason - MISTAKE_REASONS 中的键，空字符串表示移出错题本
+   */
+  const handleChange = (reason) => {
+    if (reason) {
+      MistakeBook.flag(paper, questionNumber, { reason });
+    } else if (entry.history.length === 0 || window.confirm('Remove this question and its review history from your mistake book?')) {
+      MistakeBook.remove(entry.id);
+    }
+  };
+
+  return (
+    <select
+      className={`mistake-flag ${entry ? 'flagged' : ''}`}
+      value={entry?.reason || ''}
+      onChange={(e) => handleChange(e.target.value)}
+      aria-label={`Mistake book reason for question ${questionNumber}`}
+      title={entry ? 'In your mistake book' : 'Add to mistake book'}
+    >
+      <option value="">{entry ? 'Remove from mistake book' : '📕 Mistake…'}</option>
+      {Object.entries(MISTAKE_REASONS).map(([reason, label]) => (
+        <option key={reason} value={reason}>📕 {label}</option>
+      ))}
+    </select>
+  );
+};
+
+export default MistakeFlag;
@@ -0,0 +1,198 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { PDFDocument } from 'pdf-lib';
+import { MockExams } from './MockExams.js';
+import { WorksheetExport } from './WorksheetExport.js';
+import { QuestionIndex } from './QuestionIndex.js';
+import { PaperCatalog } from './PaperCatalog.js';
+import { OfflineLibrary } from './OfflineLibrary.js';
+
+/**
+ * 每门课程上次选择的 Paper 和种子，考完返回时恢复
+ */
+const lastChoices = new Map();
+
+/**
+ * MockExamBuilder 组件 - 随机模拟卷生成器
+ * 选择 Paper 和种子后从题目索引组卷，对比总分、章节分布和难度分布与真题的差异；
+ * 开始考试时合成只有题目的试卷和附带评分标准的完整版本，交给预览页以限时模式打开
+ * 切换课程时需要重新挂载（以 topicId 作为 key）
+ * @param {Object} props
+ * @param {string} props.topicId - 课程代码
+ * @param {Function} props.onStart - 打开模拟卷并开始限时考试的回调，参数为预览用的文件对象
+ *   { id, type: 'mock', title, topicId, paperNumber, duration, questionCount, questionMarks, questionRefs, paperPdf, packPdf, markSchemePage }
+ */
+const MockExamBuilder = ({ topicId, onStart }) => {
+  const components = useMemo(() => MockExams.getComponents(topicId), [topicId]);
+  const [paperNumber, setPaperNumber] = useState(() => lastChoices.get(topicId)?.paperNumber ?? components[0]?.paperNumber ?? null);
+  const [seedInput, setSeedInput] = useState(() => lastChoices.get(topicId)?.seedInput ?? MockExams.randomSeed());
+  const [building, setBuilding] = useState(null);
+  const [message, setMessage] = useState('');
+
+  const seed = MockExams.normalizeSeed(seedInput);
+  const mock = useMemo(
+    () => (paperNumber !== null && seed ? MockExams.generate(topicId, paperNumber, seed) : null),
+    [topicId, paperNumber, seed]
+  );
+  const missingMarkSchemes = mock ? WorksheetExport.countMissingMarkSchemes(mock.entries) : 0;
+
+  useEffect(() => {
+    lastChoices.set(topicId, { paperNumber, seedInput });
+  }, [topicId, paperNumber, seedInput]);
+
+  /**
+   * 合成模拟卷 PDF 并开始考试，或下载附带评分标准的完整版本
+   * @param {string} action - 'start' | 'download'
+   */
+  const handleBuild = async (action) => {
+    setBuilding(action);
+    setMessage('');
+    try {
+      const packPdf = await WorksheetExport.buildPdf(mock, mock.entries, { includeMarkScheme: true });
+      if (action === 'download') {
+        OfflineLibrary.saveToDisk(packPdf, WorksheetExport.getFilename(mock, 'pdf'));
+        return;
+      }
+
+      // 考试期间只显示题目，完整版本中评分标准从题目页之后开始
+      const paperPdf = await WorksheetExport.buildPdf(mock, mock.entries, { includeMarkScheme: false });
+      const paperPages = (await PDFDocument.load(paperPdf)).getPageCount();
+      onStart({
+        id: mock.id,
+        type: 'mock',
+        title: mock.title,
+        topicId,
+        paperNumber: mock.paperNumber,
+        duration: mock.duration,
+        questionCount: mock.entries.length,
+        questionMarks: mock.entries.map(({ question }) => question.marks),
+        questionRefs: mock.entries.map(({ paper, question }) => ({ paper, number: question.number })),
+        paperPdf,
+        packPdf,
+        markSchemePage: paperPages + 1
+      });
+    } catch (error) {
+      console.error('模拟卷生成失败:', error);
+      setMessage(`Could not build the mock paper: ${error.message}`);
+    } finally {
+      setBuilding(null);
+    }
+  };
+
+  if (components.length === 0) {
+    return (
+      <div className="empty-state">
+        <p>No indexed questions for {topicId} yet. Index a few past papers to generate mock exams.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="mock-exam-builder">
+      <div className="mock-exam-controls">
+        <label className="mock-exam-field">
+          <span>Component</span>
+          <select value={paperNumber ?? ''} onChange={(e) => setPaperNumber(Number(e.target.value))}>
+            {components.map(component => (
+              <option key={component.paperNumber} value={component.paperNumber}>
+                Paper {component.paperNumber}{component.papers[0].componentName ? ` · ${component.papers[0].componentName}` : ''} ({component.papers.length} indexed)
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="mock-exam-field">
+          <span>Seed</span>
+          <div className="mock-exam-seed">
+            <input
+              type="text"
+              value={seedInput}
+              onChange={(e) => setSeedInput(e.target.value)}
+              aria-label="Mock exam seed"
+            />
+            <button type="button" onClick={() => setSeedInput(MockExams.randomSeed())} title="New random paper">🎲</button>
+          </div>
+        </label>
+        <p className="mock-exam-hint">The same seed always rebuilds the same paper, so you can share it or retake it later.</p>
+      </div>
+
+      {!mock ? (
+        <div className="empty-state">
+          <p>Enter a seed using letters or digits.</p>
+        </div>
+      ) : (
+        <div className="mock-exam-preview">
+          <div className="worksheet-toolbar">
+            <span className="worksheet-summary">
+              {mock.entries.length} questions · {mock.marks}/{mock.target} marks
+              {mock.duration && ` · ${PaperCatalog.formatDuration(mock.duration)}`}
+              {` · drawn from ${mock.sources} past paper${mock.sources === 1 ? '' : 's'}`}
+            </span>
+          </div>
+
+          {mock.sources === 1 && (
+            <p className="worksheet-warning">⚠️ Only one past paper is indexed for this component, so the mock repeats it.</p>
+          )}
+
+          <div className="mock-exam-profile">
+            <table>
+              <thead>
+                <tr><th>Syllabus section</th><th>Real papers</th><th>This mock</th></tr>
+              </thead>
+              <tbody>
+                {mock.sections.map(section => (
+                  <tr key={section.code}>
+                    <td>{section.code} {section.title}</td>
+                    <td>{section.target}</td>
+                    <td>{section.actual}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <table>
+              <thead>
+                <tr><th>Difficulty</th><th>Real papers</th><th>This mock</th></tr>
+              </thead>
+              <tbody>
+                {mock.difficulties.map(item => (
+                  <tr key={item.difficulty}>
+                    <td>{item.difficulty}</td>
+                    <td>{item.target}</td>
+                    <td>{item.actual}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <ol className="worksheet-questions">
+            {mock.entries.map(({ paper, question }) => (
+              <li key={`${paper.id}-${question.number}`} className="worksheet-question">
+                <div className="worksheet-question-info">
+                  <strong>{paper.sessionName} {paper.year} · Paper {paper.component} · Q{question.number}</strong>
+                  <span>{question.marks} marks · {QuestionIndex.getDifficulty(question)} · {question.objectives.join(', ')}</span>
+                </div>
+              </li>
+            ))}
+          </ol>
+
+          {missingMarkSchemes > 0 && (
+            <p className="worksheet-warning">
+              ⚠️ {missingMarkSchemes} question{missingMarkSchemes === 1 ? ' has' : 's have'} no indexed mark scheme pages and will be listed in the mark scheme instead.
+            </p>
+          )}
+
+          <div className="worksheet-actions">
+            <button className="action-btn view-btn" onClick={() => handleBuild('start')} disabled={building !== null || !mock.duration}>
+              {building === 'start' ? '⏳ Building paper...' : '⏱ Start timed mock'}
+            </button>
+            <button className="action-btn download-btn" onClick={() => handleBuild('download')} disabled={building !== null}>
+              {building === 'download' ? '⏳ Building PDF...' : '📄 Download with mark scheme'}
+            </button>
+          </div>
+          {message && <p className="worksheet-message">{message}</p>}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MockExamBuilder;
@@ -0,0 +1,248 @@
+// ==================== 模拟考试卷 ====================
+import { QuestionIndex, DIFFICULTIES } from './QuestionIndex.js';
+import { Worksheets } from './Worksheets.js';
+
+/**
+ * 交换优化的尝试次数
+ */
+const IMPROVE_ITERATIONS = 400;
+
+/**
+ * 贪心选题时每一步比较的候选数量（候选顺序由种子打乱，数量越大越接近最优、变化越少）
+ */
+const GREEDY_CANDIDATES = 6;
+
+/**
+ * 总分偏差在评分中的权重（每差 1 分相当于知识点分布偏差 MARKS_WEIGHT 分）
+ */
+const MARKS_WEIGHT = 4;
+
+/**
+ * 由种子生成可重复的伪随机数（与模拟答案相同的线性同余算法）
+ * @param {string} seed - 种子
+ * @returns {Function} 每次调用返回 [0, 1) 之间的数
+ */
+const createRandom = (seed) => {
+  let state = Array.from(String(seed)).reduce((hash, char) => (hash * 31 + char.charCodeAt(0)) >>> 0, 7);
+  return () => {
+    state = (state * 1103515245 + 12345) >>> 0;
+    return (state >>> 8) / 0x1000000;
+  };
+};
+
+/**
+ * 用伪随机数打乱数组
+ * @param {Array} items - 数组
+ * @param {Function} random - createRandom 的结果
+ * @returns {Array} 新数组
+ */
+const shuffle = (items, random) => {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
+
+/**
+ * 知识点编号所在的大纲章节，例如 '7.2' → '7'
+ * @param {string} code - 知识点编号
+ * @returns {string}
+ */
+const sectionOf = (code) => code.split('.')[0];
+
+/**
+ * 统计一组题目在各章节、各难度上的分值
+ * 一道题涉及多个章节时，分值平均分配到这些章节
+ * @param {Array<Object>} entries - [{ paper, question }]
+ * @returns {Object} { marks, sections: { [sectionCode]: 分值 }, difficulties: { [difficulty]: 分值 } }
+ */
+const tally = (entries) => entries.reduce((result, { question }) => {
+  const sections = Array.from(new Set(question.objectives.map(sectionOf)));
+  sections.forEach(code => {
+    result.sections[code] = (result.sections[code] || 0) + question.marks / sections.length;
+  });
+  const difficulty = QuestionIndex.getDifficulty(question);
+  result.difficulties[difficulty] = (result.difficulties[difficulty] || 0) + question.marks;
+  result.marks += question.marks;
+  return result;
+}, { marks: 0, sections: {}, difficulties: {} });
+
+/**
+ * 选题与目标的偏差（越小越好）
+ * @param {Array<Object>} entries - 已选题目
+ * @param {Object} target - { marks, sections, difficulties }，章节与难度为分值
+ * @returns {number}
+ */
+const deviation = (entries, target) => {
+  const actual = tally(entries);
+  const spread = (targetValues, actualValues) => {
+    const keys = new Set([...Object.keys(targetValues), ...Object.keys(actualValues)]);
+    return Array.from(keys).reduce((sum, key) => sum + Math.abs((targetValues[key] || 0) - (actualValues[key] || 0)), 0);
+  };
+  return Math.abs(target.marks - actual.marks) * MARKS_WEIGHT +
+    spread(target.sections, actual.sections) +
+    spread(target.difficulties, actual.difficulties) / 2;
+};
+
+/**
+ * 贪心选题的下一步：在前几个不超出总分的候选中选偏差最小的一道
+ * @param {Array<Object>} selected - 已选题目
+ * @param {Array<Object>} remaining - 未选题目（已按种子打乱）
+ * @param {Object} target - getTarget 的结果
+ * @returns {Object|null} 下一道题，没有可选的题时返回 null
+ */
+const pickNext = (selected, remaining, target) => {
+  const marks = selected.reduce((sum, { question }) => sum + question.marks, 0);
+  const candidates = remaining.filter(({ question }) => marks + question.marks <= target.marks).slice(0, GREEDY_CANDIDATES);
+  if (candidates.length === 0) return null;
+  return candidates.reduce((a, b) => (deviation([...selected, b], target) < deviation([...selected, a], target) ? b : a));
+};
+
+/**
+ * 替换数组中的一项
+ * @param {Array} items - 数组
+ * @param {number} index - 位置
+ * @param {*} item - 新的一项
+ * @returns {Array} 新数组
+ */
+const replaceAt = (items, index, item) => items.map((entry, i) => (i === index ? item : entry));
+
+/**
+ * 模拟考试卷工具类
+ * 从题目索引中同一 Paper 的历年真题里选题，组成一份新的整卷：
+ * 总分取历年该 Paper 的卷面总分（中位数），章节分布和难度分布按历年该 Paper 各题分值的占比换算，
+ * 先按种子打乱后贪心选题，再随机交换题目减小与目标的偏差；
+ * 同一种子在题目索引不变时总是得到同一份试卷
+ * 模拟卷结构：{ id, topicId, paperNumber, seed, title, duration, target, entries, marks, sections, difficulties }
+ */
+export const MockExams = {
+  /**
+   * 生成新的随机种子
+   * @returns {string} 6 位小写字母和数字
+   */
+  randomSeed: () => Math.random().toString(36).slice(2, 8).padEnd(6, '0'),
+
+  /**
+   * 规范化用户输入的种子（只保留字母、数字和连字符）
+   * @param {string} text - 输入
+   * @returns {string} 空字符串表示无效
+   */
+  normalizeSeed: (text) => String(text || '').trim().toLowerCase().replace(/[^a-z0-9-]/g, '').slice(0, 32),
+
+  /**
+   * 模拟卷ID（也用作作答记录的 paperId）
+   * @param {string} topicId - 课程代码
+   * @param {number|string} paperNumber - Paper 编号
+   * @param {string} seed - 种子
+   * @returns {string}
+   */
+  getId: (topicId, paperNumber, seed) => `mock_${topicId}_p${paperNumber}_${seed}`,
+
+  /**
+   * 获取可以生成模拟卷的 Paper
+   * @param {string} topicId - 课程代码
+   * @returns {Array<Object>} [{ paperNumber, papers }]，papers 为已索引的历年试卷，按编号排序
+   */
+  getComponents: (topicId) => {
+    const groups = {};
+    QuestionIndex.getIndexedPapers(topicId).forEach(paper => {
+      groups[paper.paperNumber] = [...(groups[paper.paperNumber] || []), paper];
+    });
+    return Object.entries(groups)
+      .map(([paperNumber, papers]) => ({ paperNumber: Number(paperNumber), papers }))
+      .sort((a, b) => a.paperNumber - b.paperNumber);
+  },
+
+  /**
+   * 计算 Paper 的目标结构
+   * @param {Array<Object>} papers - 同一 Paper 已索引的历年试卷
+   * @returns {Object} { marks, sections, difficulties }，章节与难度为按总分换算后的分值
+   */
+  getTarget: (papers) => {
+    const totals = papers
+      .map(paper => QuestionIndex.getQuestions(paper.id).reduce((sum, question) => sum + question.marks, 0))
+      .sort((a, b) => a - b);
+    const marks = totals[Math.floor((totals.length - 1) / 2)];
+
+    const all = tally(papers.flatMap(paper => QuestionIndex.getQuestions(paper.id).map(question => ({ paper, question }))));
+    const scale = (values) => Object.fromEntries(
+      Object.entries(values).map(([key, value]) => [key, (value / all.marks) * marks])
+    );
+    return { marks, sections: scale(all.sections), difficulties: scale(all.difficulties) };
+  },
+
+  /**
+   * 生成模拟卷
+   * @param {string} topicId - 课程代码
+   * @param {number|string} paperNumber - Paper 编号
+   * @param {string} seed - 种子
+   * @returns {Object|null} 模拟卷，该 Paper 没有已索引的题目时返回 null
+   */
+  generate: (topicId, paperNumber, seed) => {
+    const component = MockExams.getComponents(topicId).find(item => item.paperNumber === Number(paperNumber));
+    if (!component) return null;
+
+    const target = MockExams.getTarget(component.papers);
+    const random = createRandom(`${topicId}:${paperNumber}:${seed}`);
+    const pool = shuffle(
+      component.papers.flatMap(paper => QuestionIndex.getQuestions(paper.id).map(question => ({ paper, question }))),
+      random
+    );
+
+    // 贪心选题，直到没有不超出总分的题
+    let selected = [];
+    let remaining = pool;
+    for (let best = pickNext(selected, remaining, target); best; best = pickNext(selected, remaining, target)) {
+      selected = [...selected, best];
+      remaining = remaining.filter(entry => entry !== best);
+    }
+
+    // 随机交换：用未选的题替换已选的题，偏差变小时保留
+    let score = deviation(selected, target);
+    for (let i = 0; i < IMPROVE_ITERATIONS && remaining.length > 0 && selected.length > 0; i++) {
+      const out = Math.floor(random() * selected.length);
+      const into = Math.floor(random() * remaining.length);
+      const candidate = replaceAt(selected, out, remaining[into]);
+      const candidateScore = deviation(candidate, target);
+      if (candidateScore < score) {
+        remaining = replaceAt(remaining, into, selected[out]);
+        selected = candidate;
+        score = candidateScore;
+      }
+    }
+
+    const entries = Worksheets.orderQuestions(selected, 'syllabus');
+    const actual = tally(entries);
+    const syllabus = QuestionIndex.getSyllabus(topicId);
+    const sectionCodes = Array.from(new Set([...Object.keys(target.sections), ...Object.keys(actual.sections)]))
+      .sort((a, b) => Number(a) - Number(b));
+    const latest = component.papers[0];
+
+    return {
+      id: MockExams.getId(topicId, paperNumber, seed),
+      topicId,
+      paperNumber: Number(paperNumber),
+      seed,
+      title: `${topicId} Paper ${paperNumber} mock (${seed})`,
+      duration: latest.duration,
+      componentName: latest.componentName,
+      target: target.marks,
+      marks: actual.marks,
+      entries,
+      sources: component.papers.length,
+      sections: sectionCodes.map(code => ({
+        code,
+        title: syllabus?.sections.find(section => section.code === code)?.title || '',
+        target: Math.round(target.sections[code] || 0),
+        actual: Math.round(actual.sections[code] || 0)
+      })),
+      difficulties: DIFFICULTIES.map(difficulty => ({
+        difficulty,
+        target: Math.round(target.difficulties[difficulty] || 0),
+        actual: actual.difficulties[difficulty] || 0
+      }))
+    };
+  }
+};
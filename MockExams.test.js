@@ -0,0 +1,48 @@
+import { MockExams } from './MockExams';
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+test('lists components with indexed questions', () => {
+  const components = MockExams.getComponents('9702');
+  expect(components.map(component => component.paperNumber)).toEqual([2, 4]);
+  expect(components[0].papers.every(paper => paper.paperNumber === 2)).toBe(true);
+});
+
+test('generates the same mock from the same seed', () => {
+  const first = MockExams.generate('9702', 2, 'abc123');
+  const second = MockExams.generate('9702', 2, 'abc123');
+  const ids = (mock) => mock.entries.map(({ paper, question }) => `${paper.id}#${question.number}`);
+  expect(ids(second)).toEqual(ids(first));
+  expect(first.id).toBe('mock_9702_p2_abc123');
+
+  const others = ['x1', 'x2', 'x3', 'x4'].map(seed => ids(MockExams.generate('9702', 2, seed)).join());
+  expect(others.some(other => other !== ids(first).join())).toBe(true);
+});
+
+test('matches the total marks and draws from the same component only', () => {
+  ['s1', 's2', 's3'].forEach(seed => {
+    const mock = MockExams.generate('9702', 2, seed);
+    expect(mock.target).toBe(60);
+    expect(Math.abs(mock.marks - mock.target)).toBeLessThanOrEqual(2);
+    mock.entries.forEach(({ paper }) => expect(paper.paperNumber).toBe(2));
+    expect(new Set(mock.entries.map(({ paper, question }) => `${paper.id}#${question.number}`)).size).toBe(mock.entries.length);
+  });
+});
+
+test('reports section and difficulty spread against the target', () => {
+  const mock = MockExams.generate('9709', 1, 'seed');
+  const sectionTotal = mock.sections.reduce((sum, section) => sum + section.target, 0);
+  expect(Math.abs(sectionTotal - mock.target)).toBeLessThanOrEqual(mock.sections.length);
+  expect(mock.difficulties.reduce((sum, item) => sum + item.actual, 0)).toBe(mock.marks);
+  expect(mock.duration).toBeGreaterThan(0);
+});
+
+test('returns null for components without indexed questions', () => {
+  expect(MockExams.generate('9702', 1, 'seed')).toBeNull();
+});
+
+test('normalizes typed seeds', () => {
+  expect(MockExams.normalizeSeed('  Exam #1 ')).toBe('exam1');
+});
@@ -0,0 +1,259 @@
+// ==================== 离线文件库 ====================
+import { IndexedStore } from './IndexedStore.js';
+
+/**
+ * IndexedDB 数据库名称与版本
+ * 第 2 版起文件信息（entries）和文件内容（files）分开保存，列出文件和记录打开时间时不读取文件内容
+ */
+const DB_NAME = 'timedayOfflineLibrary';
+const DB_VERSION = 2;
+const ENTRY_STORE = 'entries';
+const FILE_STORE = 'files';
+
+/**
+ * 离线库容量上限的存储键（单位 MB）
+ */
+const LIMIT_STORAGE_KEY = 'offlineLibraryLimitMB';
+
+/**
+ * 默认容量上限（MB）
+ */
+export const DEFAULT_LIMIT_MB = 500;
+
+/**
+ * 离线库变化时的监听函数
+ */
+const listeners = new Set();
+
+/**
+ * 第 1 版把文件信息和内容保存在同一条记录中，升级时拆分到两个仓库
+ * @param {IDBTransaction} transaction - 升级事务
+ * @param {number} oldVersion - 原版本，新建数据库时为 0
+ */
+const splitEntries = (transaction, oldVersion) => {
+  if (oldVersion !== 1) return;
+  const entries = transaction.objectStore(ENTRY_STORE);
+  transaction.objectStore(FILE_STORE).openCursor().onsuccess = (event) => {
+    const cursor = event.target.result;
+    if (!cursor) return;
+    const { data, ...meta } = cursor.value;
+    entries.put(meta);
+    cursor.update({ fileId: meta.fileId, data });
+    cursor.continue();
+  };
+};
+
+/**
+ * 在对象仓库上执行一次事务
+ */
+const withStore = IndexedStore.create({
+  dbName: DB_NAME,
+  version: DB_VERSION,
+  stores: { [ENTRY_STORE]: 'fileId', [FILE_STORE]: 'fileId' },
+  upgrade: splitEntries,
+  abortMessage: 'The offline library could not save the file.'
+});
+
+/**
+ * 删除条目的信息和内容
+ * @param {Array<Object>} entries - 需要删除的条目
+ * @returns {Promise<void>}
+ */
+const deleteEntries = (entries) => withStore([ENTRY_STORE, FILE_STORE], 'readwrite', (entryStore, fileStore) => {
+  entries.forEach(entry => {
+    entryStore.delete(entry.fileId);
+    fileStore.delete(entry.fileId);
+  });
+});
+
+/**
+ * 通知所有监听者离线库已变化
+ */
+const notify = () => {
+  listeners.forEach(listener => listener());
+};
+
+/**
+ * 离线文件库工具类
+ * 下载过的试卷、大纲保存在 IndexedDB 中，没有网络时预览也能打开
+ * 条目结构：{ fileId, title, kind, size, savedAt, lastOpenedAt }，文件内容 { fileId, data(ArrayBuffer) } 单独保存
+ */
+export const OfflineLibrary = {
+  /**
+   * 保存文件，超出容量上限时自动清理最久未打开的文件
+   * @param {string} fileId - 文件ID
+   * @param {ArrayBuffer} data - 文件内容
+   * @param {Object} meta - { title, kind }
+   * @returns {Promise<Array<Object>>} 被清理的条目
+   */
+  save: async (fileId, data, { title, kind }) => {
+    // 先腾出空间再写入：超出存储配额时写入事务直接中止，之后再清理已经来不及
+    const others = (await OfflineLibrary.list()).filter(entry => entry.fileId !== fileId);
+    const evicted = OfflineLibrary.planEviction(others, OfflineLibrary.getLimit() * 1024 * 1024 - data.byteLength);
+    if (evicted.length > 0) await deleteEntries(evicted);
+
+    const now = Date.now();
+    await withStore([ENTRY_STORE, FILE_STORE], 'readwrite', (entryStore, fileStore) => {
+      entryStore.put({ fileId, title, kind, size: data.byteLength, savedAt: now, lastOpenedAt: now });
+      return fileStore.put({ fileId, data });
+    });
+    notify();
+    return evicted;
+  },
+
+  /**
+   * 读取文件，同时记录打开时间（用于清理排序）
+   * @param {string} fileId - 文件ID
+   * @returns {Promise<Object|null>} 条目或null
+   */
+  get: async (fileId) => {
+    const entry = await withStore(ENTRY_STORE, 'readonly', store => store.get(fileId));
+    const file = entry && await withStore(FILE_STORE, 'readonly', store => store.get(fileId));
+    if (!file) return null;
+
+    // 只更新文件信息，不重写文件内容
+    const opened = { ...entry, lastOpenedAt: Date.now() };
+    await withStore(ENTRY_STORE, 'readwrite', store => store.put(opened));
+    return { ...opened, data: file.data };
+  },
+
+  /**
+   * 列出所有已下载文件（不含文件内容）
+   * @returns {Promise<Array<Object>>} 按保存时间倒序
+   */
+  list: async () => {
+    const entries = await withStore(ENTRY_STORE, 'readonly', store => store.getAll());
+    return entries.sort((a, b) => b.savedAt - a.savedAt);
+  },
+
+  /**
+   * 删除文件
+   * @param {string} fileId - 文件ID
+   */
+  remove: async (fileId) => {
+    await deleteEntries([{ fileId }]);
+    notify();
+  },
+
+  /**
+   * 清空离线库
+   */
+  clear: async () => {
+    await withStore([ENTRY_STORE, FILE_STORE], 'readwrite', (entryStore, fileStore) => {
+      entryStore.clear();
+      fileStore.clear();
+    });
+    notify();
+  },
+
+  /**
+   * 计算需要清理的条目：按最近打开时间从旧到新删除，直到总大小不超过上限
+   * @param {Array<Object>} entries - 条目列表（至少包含 fileId、size、lastOpenedAt）
+   * @param {number} maxBytes - 容量上限（字节）
+   * @param {Array<string>} keep - 不允许清理的文件ID
+   * @returns {Array<Object>} 需要清理的条目
+   */
+  planEviction: (entries, maxBytes, keep = []) => {
+    let total = entries.reduce((sum, entry) => sum + entry.size, 0);
+    const candidates = entries
+      .filter(entry => !keep.includes(entry.fileId))
+      .sort((a, b) => a.lastOpenedAt - b.lastOpenedAt);
+
+    const evicted = [];
+    for (const entry of candidates) {
+      if (total <= maxBytes) break;
+      evicted.push(entry);
+      total -= entry.size;
+    }
+    return evicted;
+  },
+
+  /**
+   * 清理最久未打开的文件，使总大小不超过上限
+   * @param {number} maxBytes - 容量上限（字节）
+   * @param {Array<string>} keep - 不允许清理的文件ID
+   * @returns {Promise<Array<Object>>} 被清理的条目
+   */
+  evict: async (maxBytes, keep = []) => {
+    const evicted = OfflineLibrary.planEviction(await OfflineLibrary.list(), maxBytes, keep);
+    if (evicted.length > 0) {
+      await deleteEntries(evicted);
+      notify();
+    }
+    return evicted;
+  },
+
+  /**
+   * 获取存储用量
+   * @returns {Promise<Object>} { libraryBytes, count, usage, quota }，usage/quota 为浏览器整体用量，不支持时为 null
+   */
+  getUsage: async () => {
+    const entries = await OfflineLibrary.list();
+    const estimate = navigator.storage?.estimate ? await navigator.storage.estimate() : {};
+    return {
+      libraryBytes: entries.reduce((sum, entry) => sum + entry.size, 0),
+      count: entries.length,
+      usage: estimate.usage ?? null,
+      quota: estimate.quota ?? null
+    };
+  },
+
+  /**
+   * 获取容量上限（MB）
+   * @returns {number}
+   */
+  getLimit: () => {
+    return parseInt(localStorage.getItem(LIMIT_STORAGE_KEY), 10) || DEFAULT_LIMIT_MB;
+  },
+
+  /**
+   * 设置容量上限（MB），并立即按新上限清理
+   * @param {number} limitMB - 容量上限
+   * @returns {Promise<Array<Object>>} 被清理的条目
+   */
+  setLimit: async (limitMB) => {
+    localStorage.setItem(LIMIT_STORAGE_KEY, String(limitMB));
+    return OfflineLibrary.evict(limitMB * 1024 * 1024);
+  },
+
+  /**
+   * 订阅离线库变化
+   * @param {Function} listener - 回调
+   * @returns {Function} 取消订阅函数
+   */
+  subscribe: (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  },
+
+  /**
+   * 把文件保存到本地磁盘（触发浏览器下载）
+   * @param {ArrayBuffer|Uint8Array|string} data - 文件内容
+   * @param {string} filename - 文件名
+   * @param {string} type - MIME 类型，默认为 PDF
+   */
+  saveToDisk: (data, filename, type = 'application/pdf') => {
+    const url = URL.createObjectURL(new Blob([data], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // 立即释放会让部分浏览器（Firefox、Safari）取消下载，等下载开始后再释放
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+};
+
+/**
+ * 格式化文件大小
+ * @param {number} bytes - 字节数
+ * @returns {string} 例如 "1.2 MB"
+ */
+export const formatBytes = (bytes) => {
+  if (bytes === null || bytes === undefined) return '--';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  return `${(bytes / 1024 / 1024 / 1024).toFixed(2)} GB`;
+};
@@ -0,0 +1,29 @@
+import { OfflineLibrary, formatBytes } from './OfflineLibrary';
+
+const MB = 1024 * 1024;
+
+const entries = [
+  { fileId: 'a', size: 3 * MB, lastOpenedAt: 300 },
+  { fileId: 'b', size: 3 * MB, lastOpenedAt: 100 },
+  { fileId: 'c', size: 3 * MB, lastOpenedAt: 200 }
+];
+
+test('evicts least recently opened files until under the limit', () => {
+  const evicted = OfflineLibrary.planEviction(entries, 5 * MB);
+  expect(evicted.map(entry => entry.fileId)).toEqual(['b', 'c']);
+});
+
+test('does not evict when the library fits', () => {
+  expect(OfflineLibrary.planEviction(entries, 9 * MB)).toEqual([]);
+});
+
+test('never evicts protected files', () => {
+  const evicted = OfflineLibrary.planEviction(entries, 5 * MB, ['b']);
+  expect(evicted.map(entry => entry.fileId)).toEqual(['c', 'a']);
+});
+
+test('formats byte sizes', () => {
+  expect(formatBytes(512)).toBe('512 B');
+  expect(formatBytes(1536)).toBe('1.5 KB');
+  expect(formatBytes(2.5 * MB)).toBe('2.5 MB');
+});
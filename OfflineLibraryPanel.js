@@ -0,0 +1,148 @@
+import React, { useState, useEffect } from 'react';
+import { OfflineLibrary, formatBytes } from './OfflineLibrary.js';
+
+/**
+ * 容量上限可选值（MB）
+ */
+const LIMIT_OPTIONS = [100, 250, 500, 1000, 2000];
+
+/**
+ * 离线文件类型的显示名称
+ */
+const KIND_LABELS = {
+  paper: '📄 Paper',
+  syllabus: '📋 Syllabus'
+};
+
+/**
+ * OfflineLibraryPanel 组件 - 离线文件库的存储用量与管理
+ * 显示离线库大小、浏览器存储配额、已下载文件列表，支持单个删除、清空和设置容量上限（超出时清理最久未打开的文件）
+ */
+const OfflineLibraryPanel = () => {
+  const [entries, setEntries] = useState([]);
+  const [usage, setUsage] = useState(null);
+  const [limit, setLimit] = useState(OfflineLibrary.getLimit());
+  const [loading, setLoading] = useState(true);
+  const [errorMessage, setErrorMessage] = useState('');
+
+  useEffect(() => {
+    const refresh = async () => {
+      try {
+        const [list, usageInfo] = await Promise.all([OfflineLibrary.list(), OfflineLibrary.getUsage()]);
+        setEntries(list);
+        setUsage(usageInfo);
+      } catch (error) {
+        console.error('读取离线库失败:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    refresh();
+    return OfflineLibrary.subscribe(refresh);
+  }, []);
+
+  /**
+   * 执行离线库操作，IndexedDB 出错时在面板中显示
+   * @param {Function} action - 返回 Promise 的操作
+   * @param {string} failure - 失败时的提示
+   */
+  const runAction = async (action, failure) => {
+    setErrorMessage('');
+    try {
+      await action();
+    } catch (error) {
+      console.error('离线库操作失败:', error);
+      setErrorMessage(`${failure} ${error.message || ''}`.trim());
+    }
+  };
+
+  /**
+   * 修改容量上限
+   * @param {number} value - 新上限（MB）
+   */
+  const handleLimitChange = (value) => {
+    setLimit(value);
+    runAction(async () => {
+      const evicted = await OfflineLibrary.setLimit(value);
+      if (evicted.length > 0) {
+        alert(`Removed ${evicted.length} least recently opened file(s) to stay under ${value} MB.`);
+      }
+    }, 'Could not apply the new storage limit.');
+  };
+
+  const handleClear = () => {
+    if (window.confirm('Remove all downloaded files from this device?')) {
+      runAction(() => OfflineLibrary.clear(), 'Could not clear the offline library.');
+    }
+  };
+
+  const limitBytes = limit * 1024 * 1024;
+  const percent = usage ? Math.min(100, Math.round((usage.libraryBytes / limitBytes) * 100)) : 0;
+
+  return (
+    <div className="offline-library">
+      <h3>Offline Library</h3>
+      <p className="offline-library-intro">
+        Downloaded papers and syllabuses are kept on this device and open without a network connection.
+      </p>
+
+      <div className="offline-usage">
+        <div className="offline-usage-bar">
+          <div className="offline-usage-fill" style={{ width: `${percent}%` }}></div>
+        </div>
+        <div className="offline-usage-text">
+          <span>{usage ? `${formatBytes(usage.libraryBytes)} of ${limit} MB · ${usage.count} file(s)` : '--'}</span>
+          {usage?.quota && (
+            <span className="offline-usage-quota">
+              Browser storage: {formatBytes(usage.usage)} used of {formatBytes(usage.quota)} available
+            </span>
+          )}
+        </div>
+      </div>
+
+      <div className="offline-controls">
+        <label htmlFor="offline-limit">Storage limit:</label>
+        <select
+          id="offline-limit"
+          value={limit}
+          onChange={(e) => handleLimitChange(parseInt(e.target.value, 10))}
+        >
+          {LIMIT_OPTIONS.map(option => (
+            <option key={option} value={option}>{option >= 1000 ? `${option / 1000} GB` : `${option} MB`}</option>
+          ))}
+        </select>
+        <span className="offline-hint">Least recently opened files are removed first when the limit is reached.</span>
+        <button className="offline-clear-btn" onClick={handleClear} disabled={entries.length === 0}>
+          Clear all
+        </button>
+      </div>
+
+      {errorMessage && <p className="offline-error">⚠️ {errorMessage}</p>}
+
+      {loading ? (
+        <p className="offline-hint">Loading...</p>
+      ) : entries.length === 0 ? (
+        <p className="offline-hint">No downloaded files yet. Use 📥 Download on a paper or syllabus to save it here.</p>
+      ) : (
+        <ul className="offline-file-list">
+          {entries.map(entry => (
+            <li key={entry.fileId} className="offline-file-item">
+              <div className="offline-file-info">
+                <span className="offline-file-title">{entry.title}</span>
+                <span className="offline-file-meta">
+                  {KIND_LABELS[entry.kind] || entry.kind} · {formatBytes(entry.size)} · Last opened {new Date(entry.lastOpenedAt).toLocaleDateString()}
+                </span>
+              </div>
+              <button className="offline-remove-btn" onClick={() => runAction(() => OfflineLibrary.remove(entry.fileId), 'Could not remove the file.')}>
+                Remove
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default OfflineLibraryPanel;
@@ -0,0 +1,347 @@
+// ==================== 试卷目录 ====================
+import { subjectsData, paperComponentsData } from './mockData.js';
+
+/**
+ * 考试季度
+ * CIE 文件名中的季度字母：m = Feb/March，s = May/June，w = Oct/Nov
+ */
+export const SESSIONS = {
+  m: { code: 'm', name: 'Feb/March', keywords: ['feb', 'february', 'march', 'mar', 'fm'] },
+  s: { code: 's', name: 'May/June', keywords: ['may', 'june', 'jun', 'summer', 'mj'] },
+  w: { code: 'w', name: 'Oct/Nov', keywords: ['oct', 'october', 'nov', 'november', 'winter', 'on'] }
+};
+
+/**
+ * 文件类型
+ * qp = 试卷，ms = 评分标准，er = 考官报告，gt = 分数线，in = 插页，ci = 实验说明
+ */
+export const DOCUMENT_TYPES = {
+  qp: 'Question Paper',
+  ms: 'Mark Scheme',
+  er: 'Examiner Report',
+  gt: 'Grade Thresholds',
+  in: 'Insert',
+  ci: 'Confidential Instructions'
+};
+
+/**
+ * Edexcel 文件名中的类型缩写与 CIE 类型的对应关系
+ */
+const EDEXCEL_TYPES = {
+  que: 'qp',
+  rms: 'ms',
+  msc: 'ms',
+  pef: 'er',
+  ins: 'in'
+};
+
+// 组件未填写题目数量时的默认值
+const DEFAULT_QUESTION_COUNT = 8;
+
+// CIE 标准文件名，例如 9702_s23_qp_12、9702_s23_er、9702_s08_qp_1
+const CIE_PATTERN = /^(\d{4})_([msw])(\d{2})_(qp|ms|er|gt|in|ci)(?:_(\d)(\d)?)?$/i;
+
+// Edexcel 标准文件名，例如 9PH0_01_que_20230608、4ma1-1h-rms-20230824
+const EDEXCEL_PATTERN = /^(\d[A-Z0-9]{3})[_-](\d[A-Z0-9]?)[_-](que|rms|msc|pef|ins)[_-](\d{4})(\d{2})(\d{2})$/i;
+
+/**
+ * 根据课程代码查找所属学科
+ * @param {string} topicId - 课程代码，例如 '9702'
+ * @returns {string|null} 学科键名
+ */
+const findSubjectKey = (topicId) => {
+  const entry = Object.entries(subjectsData).find(([, subject]) =>
+    subject.topics.some(topic => topic.id === topicId)
+  );
+  return entry ? entry[0] : null;
+};
+
+/**
+ * 根据月份推断考试季度（用于 Edexcel 按日期命名的文件）
+ * @param {number} month - 月份 1-12
+ * @returns {string} 季度字母
+ */
+const sessionFromMonth = (month) => {
+  if (month <= 3) return 'm';
+  if (month <= 8) return 's';
+  return 'w';
+};
+
+/**
+ * 从组件号解析试卷编号
+ * CIE 组件号的第一位是试卷编号，第二位是卷别（variant）；Edexcel 组件号形如 01、1H、3A
+ * @param {string} board - 考试局
+ * @param {string} component - 组件号
+ * @returns {number}
+ */
+const parsePaperNumber = (board, component) => parseInt(board === 'CIE' ? component[0] : component, 10);
+
+/**
+ * 把解析出的字段补全为完整的目录条目
+ * @param {Object} fields - 解析结果
+ * @returns {Object} 试卷目录条目
+ */
+const createEntry = (fields) => {
+  const { id, board, topicId, year, session, component, type } = fields;
+  const paperNumber = component ? parsePaperNumber(board, component) : null;
+  const variant = board === 'CIE' && component && component.length === 2
+    ? parseInt(component[1], 10)
+    : null;
+  const subjectKey = findSubjectKey(topicId);
+  const spec = paperComponentsData[topicId];
+  const componentSpec = spec?.components.find(c => String(c.paper) === String(board === 'CIE' ? paperNumber : component));
+  const sessionName = SESSIONS[session].name;
+
+  return {
+    id,
+    board,
+    topicId,
+    subjectKey,
+    year: String(year),
+    session,
+    sessionName,
+    component: component || null,
+    paperNumber,
+    variant,
+    componentName: componentSpec?.name || null,
+    questionCount: componentSpec ? (componentSpec.questions || DEFAULT_QUESTION_COUNT) : null,
+    isMultipleChoice: Boolean(componentSpec?.mcq),
+    duration: componentSpec?.duration || null,
+    type,
+    typeName: DOCUMENT_TYPES[type],
+    title: component
+      ? `${topicId} ${sessionName} ${year} Paper ${component} ${DOCUMENT_TYPES[type]}`
+      : `${topicId} ${sessionName} ${year} ${DOCUMENT_TYPES[type]}`,
+    filePath: `/papers/${topicId}/${id}.pdf`
+  };
+};
+
+/**
+ * 生成 Edexcel 文件名中的考试日期（模拟数据用）
+ * @param {number} year - 年份
+ * @param {string} session - 季度字母
+ * @param {number} index - 组件序号，用于错开考试日期
+ * @returns {string} YYYYMMDD
+ */
+const edexcelExamDate = (year, session, index) => {
+  const month = { m: '01', s: '06', w: '11' }[session];
+  const day = String(5 + index * 4).padStart(2, '0');
+  return `${year}${month}${day}`;
+};
+
+/**
+ * 按课程展开全部试卷目录条目
+ * @param {string} topicId - 课程代码
+ * @returns {Array<Object>} 目录条目
+ */
+const buildTopicCatalog = (topicId) => {
+  const spec = paperComponentsData[topicId];
+  if (!spec) return [];
+
+  const ids = [];
+  for (let year = spec.years[1]; year >= spec.years[0]; year--) {
+    const yy = String(year).slice(-2);
+    spec.sessions.forEach(session => {
+      if (spec.board === 'CIE') {
+        ids.push(`${topicId}_${session}${yy}_er`, `${topicId}_${session}${yy}_gt`);
+        spec.components.forEach(component => {
+          // Feb/March 季度只开考第 2 套试卷
+          const variants = session === 'm' ? [2] : [1, 2, 3];
+          variants.forEach(variant => {
+            const code = `${component.paper}${variant}`;
+            ids.push(`${topicId}_${session}${yy}_qp_${code}`, `${topicId}_${session}${yy}_ms_${code}`);
+            if (component.insert) ids.push(`${topicId}_${session}${yy}_in_${code}`);
+            if (component.practical) ids.push(`${topicId}_${session}${yy}_ci_${code}`);
+          });
+        });
+      } else {
+        spec.components.forEach((component, index) => {
+          const date = edexcelExamDate(year, session, index);
+          ['que', 'rms', 'pef'].forEach(type => {
+            ids.push(`${topicId}_${component.paper}_${type}_${date}`);
+          });
+        });
+      }
+    });
+  }
+
+  return ids.map(id => PaperCatalog.parsePaperId(id)).filter(Boolean);
+};
+
+// 按课程缓存展开后的目录
+const catalogCache = {};
+
+/**
+ * 试卷目录工具类
+ * 解析 CIE / Edexcel 标准文件名，并提供按课程列出与筛选试卷的能力
+ * 简写查询（"9702 s23 p12"）见 PaperQuery
+ * 后端对接说明：目录数据目前由 paperComponentsData 在本地展开，后端就绪后可直接替换为 papers 表的数据
+ */
+export const PaperCatalog = {
+  /**
+   * 解析试卷标识
+   * 支持 CIE 格式（9702_s23_qp_12）与 Edexcel 格式（9PH0_01_que_20230608），
+   * 可以带目录前缀和 .pdf 扩展名
+   * @param {string} identifier - 文件名或试卷标识
+   * @returns {Object|null} 目录条目，无法识别时返回 null
+   */
+  parsePaperId: (identifier) => {
+    if (!identifier) return null;
+    const name = String(identifier).trim().split('/').pop().replace(/\.pdf$/i, '');
+
+    const cie = name.match(CIE_PATTERN);
+    if (cie) {
+      const [, topicId, session, yy, type, paper, variant] = cie;
+      const component = paper ? `${paper}${variant || ''}` : null;
+      return createEntry({
+        id: name.toLowerCase(),
+        board: 'CIE',
+        topicId,
+        year: 2000 + parseInt(yy, 10),
+        session: session.toLowerCase(),
+        component,
+        type: type.toLowerCase()
+      });
+    }
+
+    const edexcel = name.match(EDEXCEL_PATTERN);
+    if (edexcel) {
+      const [, code, component, typeCode, year, month] = edexcel;
+      const topicId = code.toUpperCase();
+      return createEntry({
+        id: `${topicId}_${component.toUpperCase()}_${typeCode.toLowerCase()}_${name.slice(-8)}`,
+        board: 'Edexcel',
+        topicId,
+        year: parseInt(year, 10),
+        session: sessionFromMonth(parseInt(month, 10)),
+        component: component.toUpperCase(),
+        type: EDEXCEL_TYPES[typeCode.toLowerCase()]
+      });
+    }
+
+    return null;
+  },
+
+  /**
+   * 获取某个课程的全部试卷文件
+   * @param {string} topicId - 课程代码
+   * @returns {Array<Object>} 目录条目，按年份倒序
+   */
+  getPapersByTopic: (topicId) => {
+    if (!catalogCache[topicId]) {
+      catalogCache[topicId] = buildTopicCatalog(topicId);
+    }
+    return catalogCache[topicId];
+  },
+
+  /**
+   * 获取全部课程的试卷文件
+   * @returns {Array<Object>} 目录条目
+   */
+  getAllPapers: () => {
+    return Object.keys(paperComponentsData).flatMap(topicId => PaperCatalog.getPapersByTopic(topicId));
+  },
+
+  /**
+   * 根据标识获取试卷
+   * @param {string} id - 试卷标识
+   * @returns {Object|null} 目录条目
+   */
+  getPaperById: (id) => {
+    const parsed = PaperCatalog.parsePaperId(id);
+    if (!parsed) return null;
+    return PaperCatalog.getPapersByTopic(parsed.topicId).find(paper => paper.id === parsed.id) || null;
+  },
+
+  /**
+   * 获取与试卷配套的文件
+   * CIE：评分标准、插页、实验说明按组件配对，考官报告和分数线按季度配对；
+   * Edexcel：评分标准和考官报告按组件与考试日期配对，没有单独的分数线文件
+   * @param {Object} paper - 试卷目录条目
+   * @returns {Object} { qp, ms, er, gt, in, ci }，缺失的文件为 null
+   */
+  getRelatedDocuments: (paper) => {
+    const siblings = PaperCatalog.getPapersByTopic(paper.topicId).filter(doc =>
+      doc.year === paper.year && doc.session === paper.session
+    );
+
+    const find = (type, perComponent) => siblings.find(doc =>
+      doc.type === type && (!perComponent || doc.component === paper.component)
+    ) || null;
+
+    const isEdexcel = paper.board === 'Edexcel';
+    return {
+      qp: find('qp', true),
+      ms: find('ms', true),
+      er: find('er', isEdexcel),
+      gt: isEdexcel ? null : find('gt', false),
+      in: find('in', true),
+      ci: find('ci', true)
+    };
+  },
+
+  /**
+   * 格式化官方考试时长
+   * @param {number|null} minutes - 分钟数
+   * @returns {string} 例如 '1h 15m'、'45m'，没有时长时为 '--'
+   */
+  formatDuration: (minutes) => {
+    if (!minutes) return '--';
+    const hours = Math.floor(minutes / 60);
+    const rest = minutes % 60;
+    if (hours === 0) return `${rest}m`;
+    return rest === 0 ? `${hours}h` : `${hours}h ${rest}m`;
+  },
+
+  /**
+   * 从组件号解析试卷编号，例如 CIE 的 '42' 是 Paper 4，Edexcel 的 '02' 是 Paper 2
+   * @param {string} board - 考试局
+   * @param {string} component - 组件号
+   * @returns {number}
+   */
+  getPaperNumber: parsePaperNumber,
+
+  /**
+   * 获取试卷在 Paper 筛选器中的取值
+   * CIE 按试卷编号（12、13 都属于 Paper 1），Edexcel 按组件号（1H、3A）
+   * @param {Object} paper - 目录条目
+   * @returns {string|null} 考官报告、分数线等整季度文件返回 null
+   */
+  getPaperKey: (paper) => {
+    if (!paper.component) return null;
+    return paper.board === 'CIE' ? String(paper.paperNumber) : paper.component;
+  },
+
+  /**
+   * 从试卷列表中提取筛选器选项
+   * @param {Array<Object>} papers - 目录条目
+   * @returns {Object} { years, sessions, papers, variants }
+   */
+  getFilterOptions: (papers) => {
+    const unique = (values) => Array.from(new Set(values.filter(value => value !== null && value !== undefined)));
+
+    return {
+      years: unique(papers.map(paper => paper.year)).sort((a, b) => b.localeCompare(a)),
+      sessions: Object.keys(SESSIONS).filter(code => papers.some(paper => paper.session === code)),
+      papers: unique(papers.map(paper => PaperCatalog.getPaperKey(paper))).sort(),
+      variants: unique(papers.map(paper => paper.variant)).sort().map(String)
+    };
+  },
+
+  /**
+   * 按筛选条件过滤试卷，每个条件都是多选，空数组表示不限
+   * @param {Array<Object>} papers - 目录条目
+   * @param {Object} filters - { years: string[], sessions: string[], papers: string[], variants: string[] }
+   * @returns {Array<Object>} 过滤后的目录条目
+   */
+  filterPapers: (papers, filters) => {
+    const allows = (values, value) => !values || values.length === 0 || values.includes(String(value));
+
+    return papers.filter(paper =>
+      allows(filters.years, paper.year) &&
+      allows(filters.sessions, paper.session) &&
+      allows(filters.papers, PaperCatalog.getPaperKey(paper)) &&
+      allows(filters.variants, paper.variant)
+    );
+  }
+};
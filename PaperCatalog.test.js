@@ -0,0 +1,95 @@
+import { PaperCatalog } from './PaperCatalog';
+
+test('parses CIE paper identifiers', () => {
+  const paper = PaperCatalog.parsePaperId('9702_s23_qp_12');
+  expect(paper).toMatchObject({
+    board: 'CIE',
+    topicId: '9702',
+    subjectKey: 'physics',
+    year: '2023',
+    session: 's',
+    paperNumber: 1,
+    variant: 2,
+    type: 'qp'
+  });
+});
+
+test('parses session-level CIE documents without a component', () => {
+  const report = PaperCatalog.parsePaperId('9709_w22_er.pdf');
+  expect(report).toMatchObject({ topicId: '9709', session: 'w', component: null, type: 'er' });
+});
+
+test('parses Edexcel identifiers and derives the session from the exam date', () => {
+  const paper = PaperCatalog.parsePaperId('9ph0-02-rms-20221103');
+  expect(paper).toMatchObject({
+    board: 'Edexcel',
+    topicId: '9PH0',
+    component: '02',
+    paperNumber: 2,
+    year: '2022',
+    session: 'w',
+    type: 'ms'
+  });
+});
+
+test('flags multiple choice components', () => {
+  expect(PaperCatalog.parsePaperId('9702_s23_qp_12').isMultipleChoice).toBe(true);
+  expect(PaperCatalog.parsePaperId('0625_w22_qp_22').isMultipleChoice).toBe(true);
+  expect(PaperCatalog.parsePaperId('9702_s23_qp_22').isMultipleChoice).toBe(false);
+});
+
+test('parses the paper number from CIE and Edexcel components', () => {
+  expect(PaperCatalog.getPaperNumber('CIE', '42')).toBe(4);
+  expect(PaperCatalog.getPaperNumber('Edexcel', '02')).toBe(2);
+  expect(PaperCatalog.getPaperNumber('Edexcel', '1H')).toBe(1);
+});
+
+test('rejects unknown identifiers', () => {
+  expect(PaperCatalog.parsePaperId('physics notes')).toBeNull();
+});
+
+test('filters papers with multi-select year, session, paper and variant', () => {
+  const questionPapers = PaperCatalog.getPapersByTopic('9702').filter(paper => paper.type === 'qp');
+  const filtered = PaperCatalog.filterPapers(questionPapers, {
+    years: ['2023', '2022'],
+    sessions: ['s'],
+    papers: ['1'],
+    variants: ['2', '3']
+  });
+  expect(filtered.map(paper => paper.id).sort()).toEqual([
+    '9702_s22_qp_12', '9702_s22_qp_13', '9702_s23_qp_12', '9702_s23_qp_13'
+  ]);
+});
+
+test('derives filter options from the catalog', () => {
+  const options = PaperCatalog.getFilterOptions(PaperCatalog.getPapersByTopic('9702'));
+  expect(options.years[0]).toBe('2024');
+  expect(options.sessions).toEqual(['m', 's', 'w']);
+  expect(options.papers).toEqual(['1', '2', '3', '4', '5']);
+  expect(options.variants).toEqual(['1', '2', '3']);
+});
+
+test('pairs a question paper with its mark scheme, report and thresholds', () => {
+  const related = PaperCatalog.getRelatedDocuments(PaperCatalog.getPaperById('9702_s23_qp_32'));
+  expect(related.ms.id).toBe('9702_s23_ms_32');
+  expect(related.er.id).toBe('9702_s23_er');
+  expect(related.gt.id).toBe('9702_s23_gt');
+  expect(related.ci.id).toBe('9702_s23_ci_32');
+  expect(related.in).toBeNull();
+});
+
+test('reports missing grade thresholds for Edexcel papers', () => {
+  const paper = PaperCatalog.getPapersByTopic('9PH0').find(doc => doc.type === 'qp');
+  const related = PaperCatalog.getRelatedDocuments(paper);
+  expect(related.ms.component).toBe(paper.component);
+  expect(related.gt).toBeNull();
+});
+
+test('takes the official duration from the component', () => {
+  expect(PaperCatalog.parsePaperId('9702_s23_qp_12').duration).toBe(75);
+  expect(PaperCatalog.parsePaperId('9709_w22_qp_31').duration).toBe(110);
+  expect(PaperCatalog.parsePaperId('9702_s23_gt').duration).toBeNull();
+  expect(PaperCatalog.formatDuration(75)).toBe('1h 15m');
+  expect(PaperCatalog.formatDuration(45)).toBe('45m');
+  expect(PaperCatalog.formatDuration(120)).toBe('2h');
+});
@@ -0,0 +1,77 @@
+import React from 'react';
+import { SESSIONS } from './PaperCatalog.js';
+
+/**
+ * 空筛选条件
+ */
+export const EMPTY_PAPER_FILTERS = {
+  years: [],
+  sessions: [],
+  papers: [],
+  variants: []
+};
+
+/**
+ * PaperFilters 组件 - 试卷列表的多选筛选器
+ * 选项由当前课程的试卷目录推导，未选中任何选项时表示不限
+ * @param {Object} props
+ * @param {Object} props.options - 可选项 { years, sessions, papers, variants }
+ * @param {Object} props.filters - 当前筛选条件，结构同 EMPTY_PAPER_FILTERS
+ * @param {Function} props.onChange - 筛选条件变化回调
+ */
+const PaperFilters = ({ options, filters, onChange }) => {
+  /**
+   * 切换某个筛选项
+   * @param {string} key - 筛选维度
+   * @param {string} value - 选项值
+   */
+  const toggleValue = (key, value) => {
+    const current = filters[key] || [];
+    const next = current.includes(value)
+      ? current.filter(v => v !== value)
+      : [...current, value];
+    onChange({ ...filters, [key]: next });
+  };
+
+  const groups = [
+    { key: 'years', label: 'Year', values: options.years, format: (value) => value },
+    { key: 'sessions', label: 'Session', values: options.sessions, format: (value) => SESSIONS[value]?.name || value },
+    { key: 'papers', label: 'Paper', values: options.papers, format: (value) => `Paper ${value}` },
+    { key: 'variants', label: 'Variant', values: options.variants, format: (value) => `Variant ${value}` }
+  ].filter(group => group.values.length > 0);
+
+  const hasActiveFilters = Object.values(filters).some(values => values.length > 0);
+
+  return (
+    <div className="papers-filters">
+      {groups.map(group => (
+        <div key={group.key} className="filter-group">
+          <label>{group.label}:</label>
+          <div className="filter-chips">
+            {group.values.map(value => (
+              <button
+                key={value}
+                type="button"
+                className={`filter-chip ${filters[group.key]?.includes(value) ? 'active' : ''}`}
+                onClick={() => toggleValue(group.key, value)}
+              >
+                {group.format(value)}
+              </button>
+            ))}
+          </div>
+        </div>
+      ))}
+      {hasActiveFilters && (
+        <button
+          type="button"
+          className="filter-clear-btn"
+          onClick={() => onChange(EMPTY_PAPER_FILTERS)}
+        >
+          Clear filters
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default PaperFilters;
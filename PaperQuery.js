@@ -0,0 +1,317 @@
+// ==================== 试卷简写查询 ====================
+import { subjectsData } from './mockData.js';
+import { PaperCatalog, SESSIONS, DOCUMENT_TYPES } from './PaperCatalog.js';
+
+/**
+ * 常见的学科缩写，补充 subjectsData 中学科名称本身的单词
+ */
+const SUBJECT_ALIASES = {
+  maths: ['mathematics', 'furthermathematics'],
+  math: ['mathematics', 'furthermathematics'],
+  further: ['furthermathematics'],
+  fm: ['furthermathematics'],
+  phys: ['physics'],
+  phy: ['physics'],
+  chem: ['chemistry'],
+  bio: ['biology'],
+  cs: ['computerscience'],
+  comp: ['computerscience'],
+  science: ['physics', 'chemistry', 'biology', 'computerscience'],
+  econ: ['business'],
+  eng: ['english'],
+  hist: ['history']
+};
+
+/**
+ * 文件类型的别名（含 Edexcel 文件名缩写与常见英文写法）
+ */
+const TYPE_ALIASES = {
+  que: 'qp', question: 'qp', questions: 'qp',
+  rms: 'ms', msc: 'ms', mark: 'ms', marks: 'ms', scheme: 'ms', answers: 'ms',
+  pef: 'er', examiner: 'er', report: 'er',
+  threshold: 'gt', thresholds: 'gt', boundaries: 'gt',
+  insert: 'in', confidential: 'ci'
+};
+
+/**
+ * 季度的两字母写法（CIE 封面上的 M/J、O/N、F/M）
+ */
+const SESSION_PAIRS = { mj: 's', on: 'w', fm: 'm' };
+
+/**
+ * 无意义的词，解析时直接忽略
+ */
+const STOP_WORDS = ['paper', 'papers', 'level', 'a', 'the', 'of', 'and', 'past', 'pdf'];
+
+/**
+ * 各类条件的匹配权重，用于模糊查询时的排序
+ */
+const WEIGHTS = {
+  code: 5, component: 3, sessionYear: 3, subject: 3,
+  year: 2, session: 2, paperNumber: 2,
+  variant: 1, type: 1, level: 1, board: 1, text: 1
+};
+
+/**
+ * 学科名称中的单词 → 学科键名，例如 'physics' → ['physics']
+ */
+const subjectWordIndex = Object.entries(subjectsData).reduce((acc, [key, subject]) => {
+  subject.name.toLowerCase().split(/\s+/).forEach(word => {
+    acc[word] = Array.from(new Set([...(acc[word] || []), key]));
+  });
+  return acc;
+}, { ...SUBJECT_ALIASES });
+
+/**
+ * 所有已知的课程代码（小写 → 原始写法）
+ */
+const knownCodes = Object.values(subjectsData)
+  .flatMap(subject => subject.topics.map(topic => topic.id))
+  .reduce((acc, code) => ({ ...acc, [code.toLowerCase()]: code }), {});
+
+/**
+ * 把两位年份转成四位
+ * @param {string} yy - 两位年份
+ * @returns {string}
+ */
+const fullYear = (yy) => String(2000 + parseInt(yy, 10));
+
+/**
+ * 解析单个词，返回它可能代表的所有条件
+ * 同一个词可能有多种理解（例如 '23' 既可以是 Paper 23 也可以是 2023 年），匹配任意一种即可
+ * @param {string} token - 小写的词
+ * @returns {Array<Object>} 条件列表 { field, value }
+ */
+const interpretToken = (token) => {
+  const interpretations = [];
+  let match;
+
+  if (knownCodes[token]) {
+    interpretations.push({ field: 'code', value: knownCodes[token] });
+  }
+
+  if ((match = token.match(/^([msw])(\d{2})$/))) {
+    interpretations.push({ field: 'sessionYear', value: { session: match[1], year: fullYear(match[2]) } });
+  } else if ((match = token.match(/^(mj|on|fm)(\d{2})$/))) {
+    interpretations.push({ field: 'sessionYear', value: { session: SESSION_PAIRS[match[1]], year: fullYear(match[2]) } });
+  }
+
+  if (/^(19|20)\d{2}$/.test(token)) {
+    interpretations.push({ field: 'year', value: token });
+  } else if (/^\d{4}$/.test(token) && !knownCodes[token]) {
+    // 看起来像课程代码但目录里没有，保留为代码条件，交给模糊排序处理
+    interpretations.push({ field: 'code', value: token });
+  }
+
+  if (SESSIONS[token] || SESSION_PAIRS[token]) {
+    interpretations.push({ field: 'session', value: SESSIONS[token] ? token : SESSION_PAIRS[token] });
+  }
+  Object.values(SESSIONS).forEach(session => {
+    if (session.keywords.includes(token) && !SESSION_PAIRS[token]) {
+      interpretations.push({ field: 'session', value: session.code });
+    }
+  });
+
+  if ((match = token.match(/^p(?:aper)?(\d)([a-z0-9])?$/))) {
+    interpretations.push(match[2]
+      ? { field: 'component', value: `${match[1]}${match[2]}` }
+      : { field: 'paperNumber', value: parseInt(match[1], 10) });
+  }
+
+  if ((match = token.match(/^v(?:ariant)?(\d)$/))) {
+    interpretations.push({ field: 'variant', value: parseInt(match[1], 10) });
+  }
+
+  if (/^\d{2}$/.test(token)) {
+    if (/^[0-9][1-9]$/.test(token)) {
+      interpretations.push({ field: 'component', value: token });
+    }
+    const year = fullYear(token);
+    if (parseInt(year, 10) <= new Date().getFullYear()) {
+      interpretations.push({ field: 'year', value: year });
+    }
+  } else if (/^\d$/.test(token)) {
+    interpretations.push({ field: 'paperNumber', value: parseInt(token, 10) });
+  } else if (/^\d[a-z]$/.test(token)) {
+    interpretations.push({ field: 'component', value: token });
+  }
+
+  if (DOCUMENT_TYPES[token] || TYPE_ALIASES[token]) {
+    interpretations.push({ field: 'type', value: DOCUMENT_TYPES[token] ? token : TYPE_ALIASES[token] });
+  }
+
+  if (subjectWordIndex[token]) {
+    interpretations.push({ field: 'subject', value: subjectWordIndex[token] });
+  }
+
+  if (['igcse', 'gcse'].includes(token)) {
+    interpretations.push({ field: 'level', value: 'igcse' });
+  } else if (['alevel', 'al', 'as', 'a2'].includes(token)) {
+    interpretations.push({ field: 'level', value: 'a level' });
+  }
+
+  if (['cie', 'cambridge', 'caie'].includes(token)) {
+    interpretations.push({ field: 'board', value: 'CIE' });
+  } else if (token === 'edexcel') {
+    interpretations.push({ field: 'board', value: 'Edexcel' });
+  }
+
+  if (interpretations.length === 0) {
+    interpretations.push({ field: 'text', value: token });
+  }
+
+  return interpretations;
+};
+
+/**
+ * 查找课程名称（用于 IGCSE / A Level 条件）
+ * @param {Object} paper - 目录条目
+ * @returns {string} 小写课程名称
+ */
+const topicName = (paper) => (
+  subjectsData[paper.subjectKey]?.topics.find(topic => topic.id === paper.topicId)?.name.toLowerCase() || ''
+);
+
+/**
+ * 判断试卷是否满足单个条件
+ * @param {Object} paper - 目录条目
+ * @param {Object} condition - { field, value }
+ * @returns {boolean}
+ */
+const satisfies = (paper, { field, value }) => {
+  switch (field) {
+    case 'code': return paper.topicId === value;
+    case 'sessionYear': return paper.session === value.session && paper.year === value.year;
+    case 'year': return paper.year === value;
+    case 'session': return paper.session === value;
+    case 'component': return (paper.component || '').toLowerCase() === value;
+    case 'paperNumber': return paper.paperNumber === value;
+    case 'variant': return paper.variant === value;
+    case 'type': return paper.type === value;
+    case 'subject': return value.includes(paper.subjectKey);
+    case 'level': return topicName(paper).includes(value);
+    case 'board': return paper.board === value;
+    case 'text': return `${paper.title} ${paper.componentName || ''}`.toLowerCase().includes(value);
+    default: return false;
+  }
+};
+
+/**
+ * 把条件转换为便于阅读的说明文字
+ * @param {Object} condition - { field, value }
+ * @returns {string}
+ */
+const describeCondition = ({ field, value }) => {
+  switch (field) {
+    case 'code': return value;
+    case 'sessionYear': return `${SESSIONS[value.session].name} ${value.year}`;
+    case 'year': return value;
+    case 'session': return SESSIONS[value].name;
+    case 'component': return `Paper ${value.toUpperCase()}`;
+    case 'paperNumber': return `Paper ${value}`;
+    case 'variant': return `Variant ${value}`;
+    case 'type': return DOCUMENT_TYPES[value];
+    case 'subject': return value.map(key => subjectsData[key]?.name).join(' / ');
+    case 'level': return value === 'igcse' ? 'IGCSE' : 'A Level';
+    case 'board': return value;
+    default: return `"${value}"`;
+  }
+};
+
+/**
+ * 试卷简写查询工具类
+ * 理解学生习惯的 CIE 文件写法，例如 "9702 s23 p12"、"physics w22 ms"、"9709/12/M/J/23"
+ */
+export const PaperQuery = {
+  /**
+   * 解析查询文本
+   * @param {string} query - 查询文本
+   * @returns {Array<Object>} 每个有效词的解析结果 { token, interpretations }
+   */
+  parse: (query) => {
+    let text = (query || '').toLowerCase().trim();
+
+    // CIE 封面格式：9709/12/M/J/23 → 9709 12 s23
+    text = text.replace(/\b(\d{4})\/(\d{2})\/(f\/m|m\/j|o\/n)\/(\d{2})\b/g, (_, code, component, pair, yy) =>
+      `${code} ${component} ${SESSION_PAIRS[pair.replace('/', '')]}${yy}`
+    );
+
+    return text
+      .split(/[\s,/_-]+/)
+      .filter(token => token && !STOP_WORDS.includes(token))
+      .map(token => ({ token, interpretations: interpretToken(token) }));
+  },
+
+  /**
+   * 用可读文字描述查询的理解方式，例如 "9702 · May/June 2023 · Paper 12"
+   * @param {Array<Object>} parsed - parse 的返回值
+   * @returns {string}
+   */
+  describe: (parsed) => {
+    return parsed
+      .map(({ interpretations }) => interpretations.map(describeCondition).join(' or '))
+      .join(' · ');
+  },
+
+  /**
+   * 在试卷目录中执行查询
+   * 所有词都命中的试卷作为结果返回；一个都没有时，按命中的条件权重给出排序后的候选建议
+   * @param {string} query - 查询文本
+   * @param {Array<Object>} papers - 试卷目录条目
+   * @param {Object} options - { limit: 建议的最大数量 }
+   * @returns {Object} { results, suggestions, interpretation }
+   */
+  search: (query, papers, { limit = 10 } = {}) => {
+    const parsed = PaperQuery.parse(query);
+    if (parsed.length === 0) {
+      return { results: [], suggestions: [], interpretation: '' };
+    }
+
+    // 完整文件名直接精确匹配
+    const exact = PaperCatalog.parsePaperId((query || '').trim());
+    if (exact) {
+      const found = papers.find(paper => paper.id === exact.id);
+      if (found) return { results: [found], suggestions: [], interpretation: found.title };
+    }
+
+    const hasTypeCondition = parsed.some(({ interpretations }) => interpretations.some(i => i.field === 'type'));
+
+    const scored = papers.map(paper => {
+      let score = 0;
+      let matchedTokens = 0;
+
+      parsed.forEach(({ interpretations }) => {
+        const matched = interpretations.filter(condition => satisfies(paper, condition));
+        if (matched.length > 0) {
+          matchedTokens++;
+          score += Math.max(...matched.map(condition => WEIGHTS[condition.field]));
+        }
+      });
+
+      // 没有指定文件类型时，试卷本身排在评分标准等配套文件之前
+      if (!hasTypeCondition && paper.type === 'qp') score += 0.5;
+
+      return { paper, score, matchedTokens };
+    });
+
+    const byRank = (a, b) =>
+      b.score - a.score ||
+      b.paper.year.localeCompare(a.paper.year) ||
+      a.paper.id.localeCompare(b.paper.id);
+
+    const results = scored
+      .filter(({ matchedTokens }) => matchedTokens === parsed.length)
+      .sort(byRank)
+      .map(({ paper }) => paper);
+
+    const suggestions = results.length > 0
+      ? []
+      : scored
+        .filter(({ matchedTokens }) => matchedTokens > 0)
+        .sort(byRank)
+        .slice(0, limit)
+        .map(({ paper }) => paper);
+
+    return { results, suggestions, interpretation: PaperQuery.describe(parsed) };
+  }
+};
@@ -0,0 +1,39 @@
+import { PaperCatalog } from './PaperCatalog';
+import { PaperQuery } from './PaperQuery';
+
+const search = (query) => PaperQuery.search(query, PaperCatalog.getAllPapers());
+
+test('understands syllabus code, session shorthand and paper/variant', () => {
+  const { results } = search('9702 s23 p12');
+  expect(results.map(paper => paper.id)).toEqual(['9702_s23_qp_12', '9702_s23_ms_12']);
+});
+
+test('understands subject names and document types', () => {
+  const { results } = search('physics w22 ms');
+  expect(results.length).toBeGreaterThan(0);
+  results.forEach(paper => {
+    expect(paper.subjectKey).toBe('physics');
+    expect(paper).toMatchObject({ session: 'w', year: '2022', type: 'ms' });
+  });
+});
+
+test('understands the cover-page reference format', () => {
+  const { results } = search('9709/12/M/J/23');
+  expect(results[0].id).toBe('9709_s23_qp_12');
+});
+
+test('keeps searching by full words', () => {
+  const { results } = search('9702 2023 may 12');
+  expect(results.map(paper => paper.id)).toEqual(['9702_s23_qp_12', '9702_s23_ms_12']);
+});
+
+test('returns ranked suggestions for queries with no exact match', () => {
+  const { results, suggestions } = search('9702 s23 p17');
+  expect(results).toEqual([]);
+  expect(suggestions.length).toBeGreaterThan(0);
+  expect(suggestions[0]).toMatchObject({ topicId: '9702', session: 's', year: '2023' });
+});
+
+test('describes how the query was interpreted', () => {
+  expect(PaperQuery.describe(PaperQuery.parse('9702 s23 qp'))).toBe('9702 · May/June 2023 · Question Paper');
+});
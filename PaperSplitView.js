@@ -0,0 +1,179 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import PdfViewer from './PdfViewer.js';
+import { PaperCatalog, DOCUMENT_TYPES } from './PaperCatalog.js';
+import { QuestionIndex } from './QuestionIndex.js';
+
+/**
+ * 可以在右侧窗格打开的配套文件类型
+ */
+const COMPANION_TYPES = ['ms', 'er', 'gt', 'in', 'ci'];
+
+/**
+ * 查找页码所在的题目
+ * @param {Array<Object>} questions - 题目索引
+ * @param {number} page - 页码
+ * @param {string} field - 页码范围字段，'pages'（试卷）或 'markSchemePages'（评分标准）
+ * @returns {Object|null}
+ */
+const findQuestionAt = (questions, page, field) => (
+  questions.find(question => question[field] && page >= question[field][0] && page <= question[field][1]) || null
+);
+
+/**
+ * DocumentPane 组件 - 分屏中的单个文件窗格
+ * @param {Object} props
+ * @param {Object} props.file - 试卷目录条目
+ * @param {Object|null} props.pageRequest - 跳转请求 { page }
+ * @param {Function} props.onPageChange - 当前页变化时的回调
+ * @param {string|null} props.annotationOwner - 批注所属的用户名
+ */
+const DocumentPane = ({ file, pageRequest, onPageChange, annotationOwner }) => (
+  <div className="split-pane">
+    <div className="split-pane-header">
+      <span className="split-pane-type">{file.typeName}</span>
+      <span className="split-pane-id">{file.id}</span>
+    </div>
+    <div className="split-pane-body">
+      <PdfViewer
+        fileId={file.id}
+        title={file.title}
+        pageRequest={pageRequest}
+        onPageChange={onPageChange}
+        annotationOwner={annotationOwner}
+      />
+    </div>
+  </div>
+);
+
+/**
+ * PaperSplitView 组件 - 试卷与评分标准分屏对照
+ * 左侧为试卷，右侧为评分标准 / 考官报告 / 分数线等配套文件
+ * 题号同步依据题目索引中的页码：切换题号时两侧跳到该题的起始页，在任一侧翻到另一道题时另一侧跟随；
+ * 评分标准页码（markSchemePages）未索引的题目只跳转试卷，没有题目索引的试卷两侧各自翻页
+ * @param {Object} props
+ * @param {Object} props.paper - 试卷目录条目（type 为 qp）
+ * @param {string|null} props.annotationOwner - 批注所属的用户名
+ */
+const PaperSplitView = ({ paper, annotationOwner = null }) => {
+  const related = useMemo(() => PaperCatalog.getRelatedDocuments(paper), [paper]);
+  const [questions, setQuestions] = useState(() => QuestionIndex.getQuestions(paper.id));
+  const [companionType, setCompanionType] = useState('ms');
+  const [currentQuestion, setCurrentQuestion] = useState(null);
+  const [paperRequest, setPaperRequest] = useState(null);
+  const [companionRequest, setCompanionRequest] = useState(null);
+  const companion = related[companionType];
+  const syncsWithQuestions = companionType === 'ms';
+
+  useEffect(() => {
+    const refresh = () => setQuestions(QuestionIndex.getQuestions(paper.id));
+    refresh();
+    return QuestionIndex.subscribe(refresh);
+  }, [paper]);
+
+  /**
+   * 打开试卷时从第一道已索引的题目开始
+   */
+  useEffect(() => {
+    const first = QuestionIndex.getQuestions(paper.id)[0] || null;
+    setCurrentQuestion(first ? first.number : null);
+    setPaperRequest(first ? { page: first.pages[0] } : null);
+    setCompanionRequest(first?.markSchemePages ? { page: first.markSchemePages[0] } : null);
+  }, [paper]);
+
+  /**
+   * 切换题号（两侧窗格同时跳转）
+   * @param {number} number - 题号
+   */
+  const goToQuestion = (number) => {
+    const question = questions.find(q => q.number === number);
+    if (!question) return;
+    setCurrentQuestion(number);
+    setPaperRequest({ page: question.pages[0] });
+    if (question.markSchemePages) setCompanionRequest({ page: question.markSchemePages[0] });
+  };
+
+  /**
+   * 试卷翻到另一道题时，评分标准跟随
+   * @param {number} page - 试卷当前页
+   */
+  const handlePaperPage = (page) => {
+    const question = findQuestionAt(questions, page, 'pages');
+    if (!question || question.number === currentQuestion) return;
+    setCurrentQuestion(question.number);
+    if (question.markSchemePages) setCompanionRequest({ page: question.markSchemePages[0] });
+  };
+
+  /**
+   * 评分标准翻到另一道题时，试卷跟随
+   * @param {number} page - 评分标准当前页
+   */
+  const handleCompanionPage = (page) => {
+    if (!syncsWithQuestions) return;
+    const question = findQuestionAt(questions, page, 'markSchemePages');
+    if (!question || question.number === currentQuestion) return;
+    setCurrentQuestion(question.number);
+    setPaperRequest({ page: question.pages[0] });
+  };
+
+  const position = questions.findIndex(q => q.number === currentQuestion);
+
+  return (
+    <div className="split-view">
+      <div className="split-view-toolbar">
+        {questions.length > 0 ? (
+          <div className="split-question-nav">
+            <button onClick={() => goToQuestion(questions[position - 1].number)} disabled={position <= 0}>‹</button>
+            <select value={currentQuestion ?? ''} onChange={(e) => goToQuestion(parseInt(e.target.value, 10))}>
+              {questions.map(question => (
+                <option key={question.number} value={question.number}>Question {question.number}</option>
+              ))}
+            </select>
+            <button onClick={() => goToQuestion(questions[position + 1].number)} disabled={position < 0 || position >= questions.length - 1}>›</button>
+          </div>
+        ) : (
+          <p className="split-question-hint">
+            This paper's questions haven't been indexed yet, so the two panes page independently.
+          </p>
+        )}
+
+        <div className="split-companion-tabs">
+          {COMPANION_TYPES.map(type => (
+            <button
+              key={type}
+              className={`split-companion-tab ${companionType === type ? 'active' : ''} ${related[type] ? '' : 'missing'}`}
+              onClick={() => setCompanionType(type)}
+              title={related[type] ? related[type].id : `${DOCUMENT_TYPES[type]} not available`}
+            >
+              {DOCUMENT_TYPES[type]}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="split-view-panes">
+        <DocumentPane
+          file={paper}
+          pageRequest={paperRequest}
+          onPageChange={handlePaperPage}
+          annotationOwner={annotationOwner}
+        />
+        {companion ? (
+          <DocumentPane
+            key={companion.id}
+            file={companion}
+            pageRequest={syncsWithQuestions ? companionRequest : null}
+            onPageChange={handleCompanionPage}
+            annotationOwner={annotationOwner}
+          />
+        ) : (
+          <div className="split-pane split-pane-missing">
+            <p>⚠️ The {DOCUMENT_TYPES[companionType].toLowerCase()} for {paper.id} is not available.</p>
+            <p className="split-question-hint">It may not have been published yet, or it is not part of this paper's documents.</p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PaperSplitView;
@@ -0,0 +1,121 @@
+// ==================== 草稿工具 ====================
+import { CookieUtils } from './CookieUtils.js';
+
+/**
+ * 草稿工具的存储键前缀（按用户分开保存），结构为 { [paperId]: workspace }
+ */
+const STORAGE_KEY = 'paperWorkspace';
+
+/**
+ * 每份试卷保留的计算记录条数
+ */
+const HISTORY_LIMIT = 50;
+
+/**
+ * 默认的绘图范围
+ */
+export const DEFAULT_GRAPH_VIEW = { xMin: -10, xMax: 10, yMin: -10, yMax: 10 };
+
+/**
+ * 草稿工具变化时的监听函数
+ */
+const listeners = new Set();
+
+/**
+ * 读取全部草稿
+ * @returns {Object}
+ */
+const readAll = () => {
+  const saved = localStorage.getItem(CookieUtils.getUserStorageKey(STORAGE_KEY));
+  return saved ? JSON.parse(saved) : {};
+};
+
+/**
+ * 空的草稿
+ * @returns {Object}
+ */
+const createWorkspace = () => ({
+  angleMode: 'deg',
+  calculations: [],
+  functions: [''],
+  graphView: DEFAULT_GRAPH_VIEW,
+  scratchpad: [],
+  pseudocode: { source: '', tests: [{ input: '', expected: '' }], files: [] }
+});
+
+/**
+ * 草稿工具类
+ * 试卷预览旁的计算器、函数绘图和草稿纸按用户和试卷分别保存，换试卷再回来时保持原样；
+ * 保存作答记录时把计算记录和草稿纸一起存入该次作答（snapshot）
+ * 草稿结构：{ angleMode: 'deg' | 'rad', calculations, functions, graphView, scratchpad, pseudocode }
+ * - calculations: 计算记录 [{ expression, value, result }]，result 为显示的结果，最新的在前
+ * - functions: 绘制的函数表达式（以 x 为自变量）
+ * - graphView: 绘图范围 { xMin, xMax, yMin, yMax }
+ * - scratchpad: 草稿纸笔迹 [{ id, type: 'ink', color, points }]
+ * - pseudocode: 伪代码练习 { source, tests: [{ input, expected }], files: [{ name, content }] }
+ * 后端对接：可以通过 /api/user/workspace/{paperId} 同步到服务器
+ */
+export const PaperWorkspace = {
+  /**
+   * 获取试卷的草稿
+   * @param {string} paperId - 试卷ID
+   * @returns {Object}
+   */
+  get: (paperId) => ({ ...createWorkspace(), ...(readAll()[paperId] || {}) }),
+
+  /**
+   * 修改试卷的草稿
+   * @param {string} paperId - 试卷ID
+   * @param {Object} changes - 需要修改的字段
+   * @returns {Object} 修改后的草稿
+   */
+  update: (paperId, changes) => {
+    const all = readAll();
+    const updated = { ...PaperWorkspace.get(paperId), ...changes };
+    localStorage.setItem(CookieUtils.getUserStorageKey(STORAGE_KEY), JSON.stringify({ ...all, [paperId]: updated }));
+    listeners.forEach(listener => listener());
+    return updated;
+  },
+
+  /**
+   * 记录一次计算
+   * @param {string} paperId - 试卷ID
+   * @param {Object} calculation - { expression, value, result }
+   */
+  addCalculation: (paperId, calculation) => {
+    const { calculations } = PaperWorkspace.get(paperId);
+    PaperWorkspace.update(paperId, { calculations: [calculation, ...calculations].slice(0, HISTORY_LIMIT) });
+  },
+
+  /**
+   * 在草稿纸上添加一笔
+   * @param {string} paperId - 试卷ID
+   * @param {Object} stroke - { color, points }
+   */
+  addStroke: (paperId, stroke) => {
+    const { scratchpad } = PaperWorkspace.get(paperId);
+    PaperWorkspace.update(paperId, {
+      scratchpad: [...scratchpad, { ...stroke, type: 'ink', id: `stroke_${Date.now()}_${Math.random().toString(36).slice(2, 6)}` }]
+    });
+  },
+
+  /**
+   * 作答记录中保存的草稿：计算记录和草稿纸
+   * @param {string} paperId - 试卷ID
+   * @returns {Object|null} { calculations, scratchpad }，都为空时返回 null
+   */
+  snapshot: (paperId) => {
+    const { calculations, scratchpad } = PaperWorkspace.get(paperId);
+    return calculations.length > 0 || scratchpad.length > 0 ? { calculations, scratchpad } : null;
+  },
+
+  /**
+   * 订阅草稿变化
+   * @param {Function} listener - 回调
+   * @returns {Function} 取消订阅函数
+   */
+  subscribe: (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+};
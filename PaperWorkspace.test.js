@@ -0,0 +1,20 @@
+import { PaperWorkspace } from './PaperWorkspace';
+import { CookieUtils } from './CookieUtils';
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+test('keeps each user\'s workspace separate', () => {
+  CookieUtils.setActiveUser('alice');
+  PaperWorkspace.addCalculation('9709_s23_qp_12', { expression: '2+2', value: 4, result: '4' });
+  expect(PaperWorkspace.snapshot('9709_s23_qp_12').calculations).toHaveLength(1);
+
+  CookieUtils.setActiveUser('bob');
+  expect(PaperWorkspace.get('9709_s23_qp_12').calculations).toEqual([]);
+  expect(PaperWorkspace.snapshot('9709_s23_qp_12')).toBeNull();
+
+  CookieUtils.setActiveUser('alice');
+  expect(PaperWorkspace.get('9709_s23_qp_12').calculations).toEqual([{ expression: '2+2', value: 4, result: '4' }]);
+  CookieUtils.deleteCookie('activeUser');
+});
@@ -0,0 +1,35 @@
+// ==================== PDF 字体 ====================
+
+/**
+ * 同时包含中文和西文字符的字体（Noto Sans SC），字体文件由打包工具随应用一起输出，用到时才下载
+ */
+const CJK_FONT_URL = new URL('@expo-google-fonts/noto-sans-sc/400Regular/NotoSansSC_400Regular.ttf', import.meta.url);
+
+/**
+ * 字体文件的下载（只下载一次，失败后下次调用重试）
+ */
+let cjkFontPromise = null;
+
+/**
+ * 生成 PDF 时嵌入的字体文件，需要绘制文字的模块都从这里读取
+ */
+export const PdfFonts = {
+  /**
+   * 读取中文字体，配合 @pdf-lib/fontkit 嵌入 PDF
+   * @returns {Promise<ArrayBuffer>}
+   */
+  loadCjkFont: () => {
+    if (!cjkFontPromise) {
+      cjkFontPromise = fetch(CJK_FONT_URL)
+        .then(response => {
+          if (!response.ok) throw new Error(`Could not load the PDF font (HTTP ${response.status})`);
+          return response.arrayBuffer();
+        })
+        .catch(error => {
+          cjkFontPromise = null;
+          throw error;
+        });
+    }
+    return cjkFontPromise;
+  }
+};
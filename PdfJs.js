@@ -0,0 +1,10 @@
+// ==================== pdf.js ====================
+import * as pdfjsLib from 'pdfjs-dist';
+
+// pdf.js 在 Web Worker 中解析文件，worker 脚本由打包工具随应用一起输出
+pdfjsLib.GlobalWorkerOptions.workerSrc = new URL('pdfjs-dist/build/pdf.worker.min.js', import.meta.url).toString();
+
+/**
+ * 已配置好 worker 的 pdf.js，需要解析 PDF 的模块都从这里导入，不要直接导入 pdfjs-dist
+ */
+export { pdfjsLib };
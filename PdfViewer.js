@@ -0,0 +1,530 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { ApiService } from './APIservice.js';
+import { Annotations, ANNOTATION_TOOLS, ANNOTATION_COLORS } from './Annotations.js';
+import { AnnotationExport } from './AnnotationExport.js';
+import { OfflineLibrary } from './OfflineLibrary.js';
+import AnnotationLayer from './AnnotationLayer.js';
+import { pdfjsLib } from './PdfJs.js';
+import { LastPages } from './LastPages.js';
+
+/**
+ * 缩放档位（custom 模式下 +/- 按钮在这些档位之间切换）
+ */
+const ZOOM_STEPS = [0.5, 0.75, 1, 1.25, 1.5, 2, 3];
+
+/**
+ * 缩略图宽度（像素）
+ */
+const THUMBNAIL_WIDTH = 96;
+
+/**
+ * PdfThumbnail 组件 - 侧栏缩略图，进入可视区域后才渲染
+ * @param {Object} props
+ * @param {Object} props.pdf - pdf.js 文档对象
+ * @param {number} props.pageNumber - 页码
+ * @param {boolean} props.active - 是否为当前页
+ * @param {Function} props.onClick - 点击回调
+ */
+const PdfThumbnail = ({ pdf, pageNumber, active, onClick }) => {
+  const canvasRef = useRef(null);
+  const [rendered, setRendered] = useState(false);
+
+  useEffect(() => {
+    if (rendered || !canvasRef.current) return;
+    const canvas = canvasRef.current;
+
+    const observer = new IntersectionObserver(async (entries) => {
+      if (!entries[0].isIntersecting) return;
+      observer.disconnect();
+      try {
+        const page = await pdf.getPage(pageNumber);
+        const baseViewport = page.getViewport({ scale: 1 });
+        const viewport = page.getViewport({ scale: THUMBNAIL_WIDTH / baseViewport.width });
+        canvas.width = viewport.width;
+        canvas.height = viewport.height;
+        await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+        setRendered(true);
+      } catch (error) {
+        console.error(`缩略图渲染失败（第 ${pageNumber} 页）:`, error);
+      }
+    });
+    observer.observe(canvas);
+
+    return () => observer.disconnect();
+  }, [pdf, pageNumber, rendered]);
+
+  return (
+    <div className={`pdf-thumbnail ${active ? 'active' : ''}`} onClick={onClick}>
+      <canvas ref={canvasRef} />
+      <span className="pdf-thumbnail-number">{pageNumber}</span>
+    </div>
+  );
+};
+
+/**
+ * PdfViewer 组件 - 应用内PDF查看器
+ * 试卷、教学大纲和教材共用，支持缩略图、页码跳转、缩放/适应模式、全文搜索，并记住每个文件上次阅读的页码；
+ * 传入 annotationOwner 时可以在页面上高亮、手写和添加评论，并导出带批注的 PDF
+ * 文件内容来自 ApiService.getFileContent，也可以直接传入生成的文件（例如模拟卷）
+ * @param {Object} props
+ * @param {string} props.fileId - 文件ID
+ * @param {string} props.title - 文件标题（用于无障碍标签和错误提示）
+ * @param {Object|null} props.pageRequest - 跳转请求 { page }，每次传入新对象时跳转（例如从题目索引打开某道题），
+ *   加载时优先于上次阅读的页码
+ * @param {Function} props.onPageChange - 当前页变化时的回调，参数为页码
+ * @param {Uint8Array|null} props.data - 直接显示的文件内容，提供时不再请求 fileId（fileId 仍用于记住阅读位置）
+ * @param {string|null} props.annotationOwner - 批注所属的用户名，提供时显示批注层和批注工具
+ */
+const PdfViewer = ({ fileId, title, pageRequest = null, onPageChange, data = null, annotationOwner = null }) => {
+  const [pdf, setPdf] = useState(null);
+  const [status, setStatus] = useState('loading');
+  const [errorMessage, setErrorMessage] = useState('');
+  const [pageNumber, setPageNumber] = useState(1);
+  const [pageInput, setPageInput] = useState('1');
+  const [zoomMode, setZoomMode] = useState('fit-width');
+  const [zoom, setZoom] = useState(1);
+  const [showThumbnails, setShowThumbnails] = useState(true);
+  const [containerSize, setContainerSize] = useState({ width: 0, height: 0 });
+  const [searchQuery, setSearchQuery] = useState('');
+  const [searchResults, setSearchResults] = useState([]);
+  const [searchPosition, setSearchPosition] = useState(0);
+  const [searching, setSearching] = useState(false);
+  const [pageSize, setPageSize] = useState(null);
+  const [showAnnotations, setShowAnnotations] = useState(true);
+  const [annotationTool, setAnnotationTool] = useState(null);
+  const [annotationColor, setAnnotationColor] = useState(ANNOTATION_COLORS[0]);
+  const [exportingAnnotations, setExportingAnnotations] = useState(false);
+
+  const canvasRef = useRef(null);
+  const stageRef = useRef(null);
+  const renderTaskRef = useRef(null);
+  const textCacheRef = useRef({});
+  const pdfRef = useRef(null);
+  const loadedFileIdRef = useRef(null);
+  const pageRequestRef = useRef(pageRequest);
+  const onPageChangeRef = useRef(onPageChange);
+
+  // 加载和翻页的副作用只在文件或页码变化时运行，通过 ref 读取最新的跳转请求和回调
+  useEffect(() => {
+    pageRequestRef.current = pageRequest;
+    onPageChangeRef.current = onPageChange;
+  });
+
+  useEffect(() => {
+    pdfRef.current = pdf;
+  }, [pdf]);
+
+  /**
+   * 加载文件
+   */
+  useEffect(() => {
+    let cancelled = false;
+    let loadedPdf = null;
+
+    setStatus('loading');
+    setPdf(null);
+    setSearchResults([]);
+    textCacheRef.current = {};
+    loadedFileIdRef.current = null;
+
+    const load = async () => {
+      const response = data ? { success: true, data: data.slice(0) } : await ApiService.getFileContent(fileId);
+      if (!response.success) throw new Error(response.message);
+
+      loadedPdf = await pdfjsLib.getDocument({ data: response.data }).promise;
+      if (cancelled) return;
+
+      const initialPage = Math.min(pageRequestRef.current?.page || LastPages.get(fileId) || 1, loadedPdf.numPages);
+      setPdf(loadedPdf);
+      setPageNumber(initialPage);
+      setPageInput(String(initialPage));
+      setStatus('ready');
+      loadedFileIdRef.current = fileId;
+    };
+
+    load().catch(error => {
+      console.error('PDF加载失败:', error);
+      if (!cancelled) {
+        setErrorMessage(error.message || '文件加载失败');
+        setStatus('error');
+      }
+    });
+
+    return () => {
+      cancelled = true;
+      if (loadedPdf) loadedPdf.destroy();
+    };
+  }, [fileId, data]);
+
+  /**
+   * 监听显示区域尺寸，用于适应宽度/适应页面
+   */
+  useEffect(() => {
+    if (!stageRef.current) return;
+    const observer = new ResizeObserver(([entry]) => {
+      setContainerSize({ width: entry.contentRect.width, height: entry.contentRect.height });
+    });
+    observer.observe(stageRef.current);
+    return () => observer.disconnect();
+  }, [status]);
+
+  /**
+   * 渲染当前页
+   */
+  useEffect(() => {
+    if (!pdf || !canvasRef.current || containerSize.width === 0) return;
+    let cancelled = false;
+
+    const render = async () => {
+      const page = await pdf.getPage(pageNumber);
+      if (cancelled) return;
+
+      const baseViewport = page.getViewport({ scale: 1 });
+      // contentRect 已去掉内边距，这里只为滚动条预留空间
+      const padding = 16;
+      let scale = zoom;
+      if (zoomMode === 'fit-width') {
+        scale = (containerSize.width - padding) / baseViewport.width;
+      } else if (zoomMode === 'fit-page') {
+        scale = Math.min(
+          (containerSize.width - padding) / baseViewport.width,
+          (containerSize.height - padding) / baseViewport.height
+        );
+      }
+
+      // 按设备像素比渲染，高分屏下保持清晰
+      const outputScale = window.devicePixelRatio || 1;
+      const viewport = page.getViewport({ scale });
+      const canvas = canvasRef.current;
+      canvas.width = Math.floor(viewport.width * outputScale);
+      canvas.height = Math.floor(viewport.height * outputScale);
+      canvas.style.width = `${Math.floor(viewport.width)}px`;
+      canvas.style.height = `${Math.floor(viewport.height)}px`;
+      setPageSize({ width: Math.floor(viewport.width), height: Math.floor(viewport.height) });
+
+      if (renderTaskRef.current) renderTaskRef.current.cancel();
+      renderTaskRef.current = page.render({
+        canvasContext: canvas.getContext('2d'),
+        viewport,
+        transform: outputScale !== 1 ? [outputScale, 0, 0, outputScale, 0, 0] : null
+      });
+
+      try {
+        await renderTaskRef.current.promise;
+      } catch (error) {
+        if (error.name !== 'RenderingCancelledException') {
+          console.error('页面渲染失败:', error);
+        }
+      }
+    };
+
+    render();
+    return () => {
+      cancelled = true;
+    };
+  }, [pdf, pageNumber, zoomMode, zoom, containerSize]);
+
+  /**
+   * 记住阅读位置
+   * 切换文件的那次渲染中 status 和 pageNumber 仍属于上一个文件，等新文件加载完成后才记录，
+   * 否则会把上一个文件的页码写到新文件上
+   */
+  useEffect(() => {
+    if (status === 'ready' && loadedFileIdRef.current === fileId) {
+      LastPages.save(fileId, pageNumber);
+      setPageInput(String(pageNumber));
+      if (onPageChangeRef.current) onPageChangeRef.current(pageNumber);
+    }
+  }, [fileId, pageNumber, status]);
+
+  /**
+   * 跳转页码（自动限制在有效范围内）
+   * @param {number} target - 目标页码
+   */
+  const goToPage = useCallback((target) => {
+    if (!pdf || Number.isNaN(target)) return;
+    setPageNumber(Math.min(Math.max(target, 1), pdf.numPages));
+  }, [pdf]);
+
+  /**
+   * 响应外部的跳转请求
+   */
+  useEffect(() => {
+    if (pageRequest) goToPage(pageRequest.page);
+  }, [pageRequest, goToPage]);
+
+  /**
+   * 放大/缩小（切换到自定义缩放）
+   * @param {number} direction - 1 放大，-1 缩小
+   */
+  const stepZoom = (direction) => {
+    const current = zoomMode === 'custom' ? zoom : 1;
+    const next = direction > 0
+      ? ZOOM_STEPS.find(step => step > current) || ZOOM_STEPS[ZOOM_STEPS.length - 1]
+      : [...ZOOM_STEPS].reverse().find(step => step < current) || ZOOM_STEPS[0];
+    setZoom(next);
+    setZoomMode('custom');
+  };
+
+  /**
+   * 获取某页的纯文本（带缓存）
+   * @param {number} number - 页码
+   * @returns {Promise<string>}
+   */
+  const getPageText = async (number) => {
+    // 切换文件时缓存会被替换，取文本期间不写入新文件的缓存
+    const cache = textCacheRef.current;
+    if (cache[number] === undefined) {
+      const page = await pdf.getPage(number);
+      const content = await page.getTextContent();
+      cache[number] = content.items.map(item => item.str).join(' ');
+    }
+    return cache[number];
+  };
+
+  /**
+   * 全文搜索，结果按出现顺序排列
+   * 搜索期间切换或关闭了文件时丢弃结果；某页文本读取失败时结束搜索并清空结果
+   */
+  const runSearch = async (event) => {
+    event.preventDefault();
+    const query = searchQuery.trim().toLowerCase();
+    if (!pdf || !query) {
+      setSearchResults([]);
+      return;
+    }
+
+    const searchedPdf = pdf;
+    setSearching(true);
+    try {
+      const results = [];
+      for (let number = 1; number <= searchedPdf.numPages; number++) {
+        const text = await getPageText(number);
+        if (pdfRef.current !== searchedPdf) return;
+        const lower = text.toLowerCase();
+        let index = lower.indexOf(query);
+        while (index !== -1) {
+          const start = Math.max(0, index - 30);
+          results.push({
+            page: number,
+            snippet: `${start > 0 ? '…' : ''}${text.slice(start, index + query.length + 30)}…`
+          });
+          index = lower.indexOf(query, index + query.length);
+        }
+      }
+      setSearchResults(results);
+      setSearchPosition(0);
+      if (results.length > 0) goToPage(results[0].page);
+    } catch (error) {
+      if (pdfRef.current !== searchedPdf) return;
+      console.error('全文搜索失败:', error);
+      setSearchResults([]);
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  /**
+   * 在搜索结果之间移动
+   * @param {number} direction - 1 下一个，-1 上一个
+   */
+  const stepSearchResult = (direction) => {
+    if (searchResults.length === 0) return;
+    const next = (searchPosition + direction + searchResults.length) % searchResults.length;
+    setSearchPosition(next);
+    goToPage(searchResults[next].page);
+  };
+
+  /**
+   * 清除当前页的批注
+   */
+  const clearPageAnnotations = () => {
+    if (!window.confirm(`Remove all annotations on page ${pageNumber}?`)) return;
+    if (!Annotations.clearPage(annotationOwner, fileId, pageNumber)) {
+      alert('Could not remove the annotations because browser storage is full. Free up space and try again.');
+    }
+  };
+
+  /**
+   * 导出带批注的 PDF（原文件优先从离线库读取）
+   */
+  const exportAnnotatedPdf = async () => {
+    const annotations = Annotations.get(annotationOwner, fileId);
+    setExportingAnnotations(true);
+    try {
+      const response = data ? { success: true, data } : await ApiService.getFileContent(fileId);
+      if (!response.success) throw new Error(response.message);
+      const output = await AnnotationExport.buildPdf(response.data, annotations);
+      OfflineLibrary.saveToDisk(output, AnnotationExport.getFilename(fileId));
+    } catch (error) {
+      console.error('批注导出失败:', error);
+      alert(`Could not export the annotated PDF: ${error.message}`);
+    } finally {
+      setExportingAnnotations(false);
+    }
+  };
+
+  /**
+   * 键盘翻页
+   */
+  const handleKeyDown = (event) => {
+    if (event.target.tagName === 'INPUT' || event.target.tagName === 'TEXTAREA') return;
+    if (event.key === 'ArrowRight' || event.key === 'PageDown') goToPage(pageNumber + 1);
+    if (event.key === 'ArrowLeft' || event.key === 'PageUp') goToPage(pageNumber - 1);
+  };
+
+  if (status === 'error') {
+    return (
+      <div className="pdf-viewer pdf-viewer-message">
+        <p>⚠️ Unable to open {title}</p>
+        <p className="pdf-viewer-hint">{errorMessage}</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="pdf-viewer" tabIndex={0} onKeyDown={handleKeyDown} aria-label={title}>
+      <div className="pdf-toolbar">
+        <div className="pdf-toolbar-group">
+          <button onClick={() => setShowThumbnails(prev => !prev)} title="Toggle thumbnails">▤</button>
+          <button onClick={() => goToPage(pageNumber - 1)} disabled={!pdf || pageNumber <= 1}>‹</button>
+          <form onSubmit={(e) => { e.preventDefault(); goToPage(parseInt(pageInput, 10)); }}>
+            <input
+              className="pdf-page-input"
+              value={pageInput}
+              onChange={(e) => setPageInput(e.target.value)}
+              onBlur={() => setPageInput(String(pageNumber))}
+              aria-label="Page number"
+            />
+          </form>
+          <span className="pdf-page-count">/ {pdf ? pdf.numPages : '–'}</span>
+          <button onClick={() => goToPage(pageNumber + 1)} disabled={!pdf || pageNumber >= pdf.numPages}>›</button>
+        </div>
+
+        <div className="pdf-toolbar-group">
+          <button onClick={() => stepZoom(-1)} title="Zoom out">−</button>
+          <select value={zoomMode === 'custom' ? String(zoom) : zoomMode} onChange={(e) => {
+            const value = e.target.value;
+            if (value === 'fit-width' || value === 'fit-page') {
+              setZoomMode(value);
+            } else {
+              setZoom(parseFloat(value));
+              setZoomMode('custom');
+            }
+          }}>
+            <option value="fit-width">Fit width</option>
+            <option value="fit-page">Fit page</option>
+            {ZOOM_STEPS.map(step => (
+              <option key={step} value={String(step)}>{Math.round(step * 100)}%</option>
+            ))}
+          </select>
+          <button onClick={() => stepZoom(1)} title="Zoom in">+</button>
+        </div>
+
+        {annotationOwner && (
+          <div className="pdf-toolbar-group pdf-annotation-tools">
+            <button
+              className={showAnnotations ? 'active' : ''}
+              onClick={() => { setShowAnnotations(prev => !prev); setAnnotationTool(null); }}
+              title={showAnnotations ? 'Hide annotations' : 'Show annotations'}
+              aria-pressed={showAnnotations}
+            >
+              ✏️
+            </button>
+            {showAnnotations && (
+              <>
+                {Object.entries(ANNOTATION_TOOLS).map(([tool, { label, icon }]) => (
+                  <button
+                    key={tool}
+                    className={annotationTool === tool ? 'active' : ''}
+                    onClick={() => setAnnotationTool(prev => (prev === tool ? null : tool))}
+                    title={label}
+                    aria-pressed={annotationTool === tool}
+                  >
+                    {icon}
+                  </button>
+                ))}
+                {ANNOTATION_COLORS.map(color => (
+                  <button
+                    key={color}
+                    className={`pdf-annotation-color ${color === annotationColor ? 'active' : ''}`}
+                    style={{ background: color }}
+                    onClick={() => setAnnotationColor(color)}
+                    aria-label={`Annotation colour ${color}`}
+                  />
+                ))}
+                <button onClick={clearPageAnnotations} disabled={!pdf} title="Clear this page">🗑</button>
+                <button onClick={exportAnnotatedPdf} disabled={!pdf || exportingAnnotations} title="Export annotated PDF">
+                  {exportingAnnotations ? '⏳' : '⤓ PDF'}
+                </button>
+              </>
+            )}
+          </div>
+        )}
+
+        <form className="pdf-toolbar-group pdf-search" onSubmit={runSearch}>
+          <input
+            type="text"
+            placeholder="Search in document..."
+            value={searchQuery}
+            onChange={(e) => setSearchQuery(e.target.value)}
+          />
+          {searching && <span className="pdf-search-count">Searching…</span>}
+          {!searching && searchResults.length > 0 && (
+            <>
+              <span className="pdf-search-count">{searchPosition + 1} / {searchResults.length}</span>
+              <button type="button" onClick={() => stepSearchResult(-1)}>↑</button>
+              <button type="button" onClick={() => stepSearchResult(1)}>↓</button>
+            </>
+          )}
+        </form>
+      </div>
+
+      {searchResults.length > 0 && (
+        <div className="pdf-search-snippet">
+          p.{searchResults[searchPosition].page}: {searchResults[searchPosition].snippet}
+        </div>
+      )}
+
+      <div className="pdf-body">
+        {showThumbnails && pdf && (
+          <div className="pdf-thumbnails">
+            {Array.from({ length: pdf.numPages }, (_, i) => i + 1).map(number => (
+              <PdfThumbnail
+                key={number}
+                pdf={pdf}
+                pageNumber={number}
+                active={number === pageNumber}
+                onClick={() => goToPage(number)}
+              />
+            ))}
+          </div>
+        )}
+        <div className="pdf-stage" ref={stageRef}>
+          {status === 'loading' ? (
+            <div className="pdf-viewer-message">Loading document…</div>
+          ) : (
+            <div className="pdf-page">
+              <canvas ref={canvasRef} className="pdf-page-canvas" />
+              {/* 批注按用户和文件保存在本地 */}
+              {annotationOwner && showAnnotations && pdf && pageSize && (
+                <AnnotationLayer
+                  pdf={pdf}
+                  pageNumber={pageNumber}
+                  width={pageSize.width}
+                  height={pageSize.height}
+                  owner={annotationOwner}
+                  fileId={fileId}
+                  tool={annotationTool}
+                  color={annotationColor}
+                />
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PdfViewer;
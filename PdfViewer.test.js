@@ -0,0 +1,45 @@
+import { render, screen, waitFor } from '@testing-library/react';
+import PdfViewer from './PdfViewer';
+import { LastPages } from './LastPages';
+
+jest.mock('./PdfJs.js', () => ({
+  pdfjsLib: {
+    getDocument: () => ({
+      promise: Promise.resolve({ numPages: 20, getPage: () => new Promise(() => {}), destroy: () => {} })
+    })
+  }
+}));
+
+jest.mock('./PdfFonts.js', () => ({
+  PdfFonts: { loadCjkFont: async () => new ArrayBuffer(0) }
+}));
+
+jest.mock('./APIservice.js', () => ({
+  ApiService: { getFileContent: async () => ({ success: true, data: new ArrayBuffer(8) }) }
+}));
+
+// jsdom 没有 ResizeObserver / IntersectionObserver：显示区域宽度保持为 0，页面和缩略图都不会渲染
+class InertObserver {
+  observe() {}
+  disconnect() {}
+}
+global.ResizeObserver = InertObserver;
+global.IntersectionObserver = InertObserver;
+
+beforeEach(() => localStorage.clear());
+
+test('opens each file at its own saved page when switching files', async () => {
+  LastPages.save('9702_s23_qp_22', 3);
+  LastPages.save('9702_s23_ms_22', 7);
+  const onPageChange = jest.fn();
+
+  const { rerender } = render(<PdfViewer fileId="9702_s23_qp_22" title="Paper" onPageChange={onPageChange} />);
+  await waitFor(() => expect(screen.getByLabelText('Page number').value).toBe('3'));
+
+  rerender(<PdfViewer fileId="9702_s23_ms_22" title="Mark scheme" onPageChange={onPageChange} />);
+  await waitFor(() => expect(screen.getByLabelText('Page number').value).toBe('7'));
+
+  expect(LastPages.get('9702_s23_qp_22')).toBe(3);
+  expect(LastPages.get('9702_s23_ms_22')).toBe(7);
+  expect(onPageChange.mock.calls.map(([page]) => page)).toEqual([3, 7]);
+});
@@ -0,0 +1,147 @@
+import React, { useState, useEffect, useRef } from 'react';
+import PdfViewer from './PdfViewer.js';
+import { PersonalLibrary, DOCUMENT_FORMATS } from './PersonalLibrary.js';
+
+/**
+ * PersonalDocumentViewer 组件 - 查看导入的个人文件
+ * PDF 使用 PdfViewer（同样记住页码、支持搜索）；HTML 和 EPUB 在沙箱 iframe 中显示，不执行文件中的脚本，
+ * EPUB 按章节翻页
+ * @param {Object} props
+ * @param {Object} props.item - 个人文件卡片数据（PersonalLibrary.toLibraryItem 的结果）
+ * @param {string} props.backLabel - 返回按钮文字
+ * @param {Function} props.onBack - 返回回调
+ * @param {number|null} props.initialChapter - 打开 EPUB 时的章节序号（从 1 开始）；PDF 的页码由 PdfViewer 按文件ID记住
+ * @param {Function} props.onChapterChange - EPUB 切换章节的回调，参数同 initialChapter
+ */
+const PersonalDocumentViewer = ({ item, backLabel, onBack, initialChapter = null, onChapterChange }) => {
+  const [entry, setEntry] = useState(null);
+  const [status, setStatus] = useState('loading');
+  const [errorMessage, setErrorMessage] = useState('');
+  const [pdfData, setPdfData] = useState(null);
+  const [chapters, setChapters] = useState([]);
+  const [chapterIndex, setChapterIndex] = useState(0);
+  const [html, setHtml] = useState('');
+  const initialChapterRef = useRef(initialChapter);
+
+  // 切换章节时父组件会传入新的 initialChapter，只在打开另一个文件时才需要读取，通过 ref 避免重新加载文件
+  useEffect(() => {
+    initialChapterRef.current = initialChapter;
+  });
+
+  /**
+   * 从本地文件库读取文件
+   */
+  useEffect(() => {
+    let cancelled = false;
+    setStatus('loading');
+
+    const load = async () => {
+      const saved = await PersonalLibrary.get(item.id);
+      if (!saved) throw new Error('This file is no longer in your library.');
+      if (saved.format === 'pdf') {
+        if (!cancelled) setPdfData(new Uint8Array(saved.data));
+      } else if (saved.format === 'html') {
+        if (!cancelled) setHtml(new TextDecoder('utf-8').decode(saved.data));
+      } else {
+        const list = await PersonalLibrary.getEpubChapters(saved.data);
+        if (list.length === 0) throw new Error('This EPUB has no readable chapters.');
+        if (cancelled) return;
+        setChapters(list);
+        setChapterIndex(Math.min(Math.max((initialChapterRef.current || 1) - 1, 0), list.length - 1));
+      }
+      if (!cancelled) {
+        setEntry(saved);
+        setStatus('ready');
+      }
+    };
+
+    load().catch(error => {
+      console.error('个人文件加载失败:', error);
+      if (!cancelled) {
+        setErrorMessage(error.message || '文件加载失败');
+        setStatus('error');
+      }
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [item.id]);
+
+  /**
+   * 加载 EPUB 当前章节
+   */
+  useEffect(() => {
+    if (!entry || entry.format !== 'epub' || chapters.length === 0) return;
+    let cancelled = false;
+    PersonalLibrary.loadEpubChapter(entry.data, chapters[chapterIndex].path)
+      .then(chapterHtml => {
+        if (!cancelled) setHtml(chapterHtml);
+      })
+      .catch(error => {
+        if (!cancelled) setHtml(`<p>${error.message}</p>`);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [entry, chapters, chapterIndex]);
+
+  /**
+   * 切换 EPUB 章节并记录位置
+   * @param {number} index - 章节下标
+   */
+  const goToChapter = (index) => {
+    setChapterIndex(index);
+    onChapterChange?.(index + 1);
+  };
+
+  return (
+    <div className="file-preview-container">
+      <div className="file-preview-header">
+        <div className="file-info">
+          <h2>{item.title}</h2>
+          <div className="file-meta">
+            <span className="document-subtitle">
+              {[item.code, item.author, item.level, item.year].filter(Boolean).join(' · ')}
+            </span>
+            <span className="personal-badge">📁 My file · {DOCUMENT_FORMATS[item.format].label}</span>
+          </div>
+        </div>
+        <button className="back-to-papers-btn" onClick={onBack}>{backLabel}</button>
+      </div>
+
+      <div className="file-preview-content">
+        {status === 'loading' && <div className="empty-state"><p>Opening…</p></div>}
+        {status === 'error' && <div className="empty-state"><p>{errorMessage}</p></div>}
+
+        {status === 'ready' && entry.format === 'pdf' && (
+          <PdfViewer
+            fileId={item.id}
+            title={item.title}
+            data={pdfData}
+          />
+        )}
+
+        {status === 'ready' && entry.format !== 'pdf' && (
+          <div className="personal-document">
+            {entry.format === 'epub' && (
+              <div className="personal-document-nav">
+                <button onClick={() => goToChapter(chapterIndex - 1)} disabled={chapterIndex === 0}>‹ Previous</button>
+                <select value={chapterIndex} onChange={(e) => goToChapter(Number(e.target.value))} aria-label="Chapter">
+                  {chapters.map((chapter, index) => (
+                    <option key={chapter.path} value={index}>{index + 1}. {chapter.title}</option>
+                  ))}
+                </select>
+                <button onClick={() => goToChapter(chapterIndex + 1)} disabled={chapterIndex === chapters.length - 1}>Next ›</button>
+              </div>
+            )}
+            {/* sandbox 不带 allow-scripts，文件中的脚本不会执行 */}
+            <iframe className="personal-document-frame" title={item.title} sandbox="" srcDoc={html} />
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PersonalDocumentViewer;
@@ -0,0 +1,506 @@
+// ==================== 个人文件库 ====================
+import { formatBytes } from './OfflineLibrary.js';
+import { IndexedStore } from './IndexedStore.js';
+
+/**
+ * IndexedDB 数据库名称与版本
+ */
+const DB_NAME = 'timedayPersonalLibrary';
+const DB_VERSION = 1;
+const STORE_NAME = 'documents';
+
+/**
+ * 支持导入的格式
+ */
+export const DOCUMENT_FORMATS = {
+  pdf: { label: 'PDF', extensions: ['pdf'], mimeType: 'application/pdf' },
+  epub: { label: 'EPUB', extensions: ['epub'], mimeType: 'application/epub+zip' },
+  html: { label: 'HTML', extensions: ['html', 'htm', 'xhtml'], mimeType: 'text/html' }
+};
+
+/**
+ * 文件选择框的 accept 属性
+ */
+export const IMPORT_ACCEPT = Object.values(DOCUMENT_FORMATS)
+  .flatMap(format => [...format.extensions.map(extension => `.${extension}`), format.mimeType])
+  .join(',');
+
+/**
+ * Dublin Core 命名空间（EPUB 元数据）
+ */
+const DC_NAMESPACE = 'http://purl.org/dc/elements/1.1/';
+
+/**
+ * 个人文件库变化时的监听函数
+ */
+const listeners = new Set();
+
+/**
+ * 在对象仓库上执行一次事务
+ */
+const withStore = IndexedStore.create({
+  dbName: DB_NAME,
+  version: DB_VERSION,
+  stores: { [STORE_NAME]: 'id' },
+  abortMessage: 'The file could not be saved to your library. Your device may be out of storage.'
+});
+
+/**
+ * 通知所有监听者文件库已变化
+ */
+const notify = () => {
+  listeners.forEach(listener => listener());
+};
+
+/**
+ * 按 Latin-1 把字节转换为字符串（PDF 结构是 ASCII，分块避免参数过多）
+ * @param {Uint8Array} bytes - 字节
+ * @returns {string}
+ */
+const latin1 = (bytes) => {
+  let text = '';
+  for (let i = 0; i < bytes.length; i += 8192) {
+    text += String.fromCharCode.apply(null, bytes.subarray(i, i + 8192));
+  }
+  return text;
+};
+
+/**
+ * 按 UTF-8 解码
+ * @param {Uint8Array} bytes - 字节
+ * @returns {string}
+ */
+const utf8 = (bytes) => new TextDecoder('utf-8').decode(bytes);
+
+/**
+ * 文件名去掉扩展名，作为默认标题
+ * @param {string} fileName - 文件名
+ * @returns {string}
+ */
+const titleFromFileName = (fileName) => fileName.replace(/\.[^.]+$/, '').replace(/[_]+/g, ' ').trim();
+
+/**
+ * 解码 PDF 文本字符串的字节，FE FF 开头为 UTF-16BE，否则按 PDFDocEncoding（近似 Latin-1）
+ * @param {Array<number>} codes - 字节
+ * @returns {string}
+ */
+const decodePdfTextString = (codes) => {
+  if (codes[0] === 0xFE && codes[1] === 0xFF) {
+    let text = '';
+    for (let i = 2; i + 1 < codes.length; i += 2) text += String.fromCharCode((codes[i] << 8) | codes[i + 1]);
+    return text;
+  }
+  return String.fromCharCode(...codes);
+};
+
+/**
+ * 读取 PDF 字典中某个键的字符串值，支持 (literal) 和 <hex> 两种写法
+ * @param {string} text - PDF 内容（Latin-1）
+ * @param {string} key - 键名，例如 'Title'
+ * @returns {string|null}
+ */
+const readPdfString = (text, key) => {
+  const match = new RegExp(`/${key}\\s*([(<])`).exec(text);
+  if (!match) return null;
+  let i = match.index + match[0].length;
+  const codes = [];
+
+  if (match[1] === '<') {
+    const end = text.indexOf('>', i);
+    const hex = text.slice(i, end).replace(/\s+/g, '');
+    for (let j = 0; j < hex.length; j += 2) codes.push(parseInt(hex.slice(j, j + 2).padEnd(2, '0'), 16));
+    return decodePdfTextString(codes);
+  }
+
+  const escapes = { n: 10, r: 13, t: 9, b: 8, f: 12 };
+  let depth = 1;
+  while (i < text.length) {
+    const char = text[i];
+    if (char === '\\') {
+      const next = text[i + 1];
+      const octal = /^[0-7]{1,3}/.exec(text.slice(i + 1, i + 4));
+      if (octal) {
+        codes.push(parseInt(octal[0], 8) & 0xFF);
+        i += 1 + octal[0].length;
+        continue;
+      }
+      if (next === '\r' || next === '\n') {
+        // 行尾续行
+        i += next === '\r' && text[i + 2] === '\n' ? 3 : 2;
+        continue;
+      }
+      codes.push(escapes[next] ?? next.charCodeAt(0));
+      i += 2;
+      continue;
+    }
+    if (char === '(') depth += 1;
+    if (char === ')' && --depth === 0) break;
+    codes.push(char.charCodeAt(0));
+    i += 1;
+  }
+  return decodePdfTextString(codes);
+};
+
+/**
+ * 读取 XMP 元数据中的 Dublin Core 字段（例如 dc:title），取第一个 rdf:li
+ * @param {string} text - PDF 内容
+ * @param {string} field - 'title' | 'creator'
+ * @returns {string|null}
+ */
+const readXmpField = (text, field) => {
+  const match = new RegExp(`<dc:${field}>[\\s\\S]*?<rdf:li[^>]*>([\\s\\S]*?)</rdf:li>`).exec(text);
+  if (!match) return null;
+  const bytes = Uint8Array.from(match[1], char => char.charCodeAt(0));
+  return utf8(bytes).replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, '\'').replace(/&amp;/g, '&');
+};
+
+/**
+ * 找到 trailer 引用的文档信息字典（书签等其他对象也有 /Title，不能直接搜索全文）
+ * 增量更新的文件取最后一次出现的引用和对象
+ * @param {string} text - PDF 内容
+ * @returns {string} 信息字典的内容，找不到时为空字符串
+ */
+const findPdfInfo = (text) => {
+  const references = [...text.matchAll(/\/Info\s+(\d+)\s+(\d+)\s+R/g)];
+  if (references.length === 0) return '';
+  const [, number, generation] = references[references.length - 1];
+  const objects = [...text.matchAll(new RegExp(`(?:^|\\D)${number}\\s+${generation}\\s+obj`, 'g'))];
+  if (objects.length === 0) return '';
+  const start = objects[objects.length - 1].index;
+  const end = text.indexOf('endobj', start);
+  return text.slice(start, end < 0 ? undefined : end);
+};
+
+/**
+ * 读取 PDF 的标题和作者：优先使用文档信息字典，没有时使用 XMP 元数据
+ * 压缩在对象流中的元数据读不到，此时返回 null，由调用方使用文件名
+ * @param {Uint8Array} bytes - 文件内容
+ * @returns {Object} { title, author }
+ */
+const readPdfMetadata = (bytes) => {
+  const text = latin1(bytes);
+  const info = findPdfInfo(text);
+  return {
+    title: readPdfString(info, 'Title') || readXmpField(text, 'title'),
+    author: readPdfString(info, 'Author') || readXmpField(text, 'creator')
+  };
+};
+
+/**
+ * 读取 HTML 的标题和作者
+ * @param {Uint8Array} bytes - 文件内容
+ * @returns {Object} { title, author }
+ */
+const readHtmlMetadata = (bytes) => {
+  const doc = new DOMParser().parseFromString(utf8(bytes), 'text/html');
+  const meta = (selector) => doc.querySelector(selector)?.getAttribute('content')?.trim() || null;
+  return {
+    title: doc.title.trim() || meta('meta[property="og:title"]') || doc.querySelector('h1')?.textContent.trim() || null,
+    author: meta('meta[name="author" i]') || meta('meta[name="dc.creator" i]') || meta('meta[property="article:author"]')
+  };
+};
+
+/**
+ * 读取 ZIP 中央目录
+ * @param {Uint8Array} bytes - 文件内容
+ * @returns {Map<string, Object>} 文件名 → { method, compressedSize, offset }
+ */
+const readZipDirectory = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  // 中央目录结束记录在文件末尾，之后最多跟 64KB 注释
+  let end = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xFFFF); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) {
+      end = i;
+      break;
+    }
+  }
+  if (end < 0) throw new Error('This EPUB file is damaged (no zip directory).');
+
+  const entries = new Map();
+  const count = view.getUint16(end + 10, true);
+  let position = view.getUint32(end + 16, true);
+  for (let n = 0; n < count; n++) {
+    if (view.getUint32(position, true) !== 0x02014b50) throw new Error('This EPUB file is damaged (bad zip entry).');
+    const nameLength = view.getUint16(position + 28, true);
+    const extraLength = view.getUint16(position + 30, true);
+    const commentLength = view.getUint16(position + 32, true);
+    const name = utf8(bytes.subarray(position + 46, position + 46 + nameLength));
+    entries.set(name, {
+      method: view.getUint16(position + 10, true),
+      compressedSize: view.getUint32(position + 20, true),
+      offset: view.getUint32(position + 42, true)
+    });
+    position += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+};
+
+/**
+ * 读取 ZIP 中的一个文件
+ * @param {Uint8Array} bytes - ZIP 内容
+ * @param {Map<string, Object>} directory - readZipDirectory 的结果
+ * @param {string} name - 文件名
+ * @returns {Promise<Uint8Array|null>} 文件不存在时为 null
+ */
+const readZipEntry = async (bytes, directory, name) => {
+  const entry = directory.get(name);
+  if (!entry) return null;
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const start = entry.offset + 30 + view.getUint16(entry.offset + 26, true) + view.getUint16(entry.offset + 28, true);
+  const data = bytes.subarray(start, start + entry.compressedSize);
+  if (entry.method === 0) return data;
+  if (entry.method !== 8) throw new Error(`Unsupported compression in ${name}.`);
+  const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+/**
+ * 相对路径转换为 ZIP 内的完整路径
+ * @param {string} base - 所在文件的路径，例如 'OEBPS/content.opf'
+ * @param {string} href - 相对路径
+ * @returns {string}
+ */
+const resolveZipPath = (base, href) => {
+  const parts = base.split('/').slice(0, -1);
+  decodeURIComponent(href.split('#')[0]).split('/').forEach(part => {
+    if (part === '..') parts.pop();
+    else if (part && part !== '.') parts.push(part);
+  });
+  return parts.join('/');
+};
+
+/**
+ * 解析 EPUB 的包文件（OPF）
+ * @param {Uint8Array} bytes - 文件内容
+ * @returns {Promise<Object>} { directory, opfPath, title, author, chapters: [{ path, mediaType }], manifest: Map<路径, 媒体类型> }
+ */
+const readEpubPackage = async (bytes) => {
+  const directory = readZipDirectory(bytes);
+  const container = await readZipEntry(bytes, directory, 'META-INF/container.xml');
+  if (!container) throw new Error('This EPUB file has no META-INF/container.xml.');
+  const opfPath = new DOMParser().parseFromString(utf8(container), 'application/xml')
+    .querySelector('rootfile')?.getAttribute('full-path');
+  const opf = opfPath && await readZipEntry(bytes, directory, opfPath);
+  if (!opf) throw new Error('This EPUB file has no package document.');
+
+  const doc = new DOMParser().parseFromString(utf8(opf), 'application/xml');
+  const dc = (field) => doc.getElementsByTagNameNS(DC_NAMESPACE, field)[0]?.textContent.trim() || null;
+  const items = new Map();
+  const manifest = new Map();
+  Array.from(doc.getElementsByTagName('item')).forEach(item => {
+    const path = resolveZipPath(opfPath, item.getAttribute('href'));
+    items.set(item.getAttribute('id'), { path, mediaType: item.getAttribute('media-type') });
+    manifest.set(path, item.getAttribute('media-type'));
+  });
+  const chapters = Array.from(doc.getElementsByTagName('itemref'))
+    .map(ref => items.get(ref.getAttribute('idref')))
+    .filter(Boolean);
+
+  return { directory, opfPath, title: dc('title'), author: dc('creator'), chapters, manifest };
+};
+
+/**
+ * 字节转换为 data URL
+ * @param {Uint8Array} bytes - 字节
+ * @param {string} mediaType - 媒体类型
+ * @returns {string}
+ */
+const toDataUrl = (bytes, mediaType) => `data:${mediaType};base64,${btoa(latin1(bytes))}`;
+
+/**
+ * 个人文件库工具类
+ * 学生导入的讲义、电子书（PDF、EPUB、HTML）保存在 IndexedDB 中，与内置教科书和大纲一起显示、查看和搜索
+ * 条目结构：{ id, library, format, title, author, subject, level, code?, year?, fileName, size, data(ArrayBuffer), importedAt }
+ * - library: 'textbook' | 'syllabus'，显示在哪个标签页
+ * - code、year: 大纲的课程代码和适用年份（例如 '9702'、'2025-2027'），教科书的 year 为出版年份
+ * 后端对接：可以通过 POST /api/user/documents 上传，GET /api/user/documents 列出，实现跨设备同步
+ */
+export const PersonalLibrary = {
+  /**
+   * 识别文件格式：优先按文件内容，其次按扩展名
+   * @param {string} fileName - 文件名
+   * @param {Uint8Array} bytes - 文件内容
+   * @returns {string} DOCUMENT_FORMATS 中的键
+   */
+  detectFormat: (fileName, bytes) => {
+    const head = latin1(bytes.subarray(0, 1024));
+    if (head.startsWith('%PDF-')) return 'pdf';
+    if (head.startsWith('PK\x03\x04')) return 'epub';
+    const extension = fileName.split('.').pop().toLowerCase();
+    if (DOCUMENT_FORMATS.html.extensions.includes(extension) || /^\s*(<!doctype html|<html)/i.test(head)) return 'html';
+    throw new Error('Only PDF, EPUB and HTML files can be imported.');
+  },
+
+  /**
+   * 读取文件的格式、标题和作者，没有标题时使用文件名
+   * @param {string} fileName - 文件名
+   * @param {ArrayBuffer|Uint8Array} data - 文件内容
+   * @returns {Promise<Object>} { format, title, author }，author 可能为 null
+   */
+  extractMetadata: async (fileName, data) => {
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    if (bytes.length === 0) throw new Error('The file is empty.');
+    const format = PersonalLibrary.detectFormat(fileName, bytes);
+    let metadata;
+    if (format === 'pdf') metadata = readPdfMetadata(bytes);
+    else if (format === 'html') metadata = readHtmlMetadata(bytes);
+    else metadata = await readEpubPackage(bytes);
+    return {
+      format,
+      title: metadata.title?.trim() || titleFromFileName(fileName),
+      author: metadata.author?.trim() || null
+    };
+  },
+
+  /**
+   * 从标题或文件名中推测大纲的课程代码和适用年份
+   * @param {string} text - 标题或文件名，例如 '9702_y25_sy.pdf'、'0625 Physics syllabus 2023-2025'
+   * @returns {Object} { code, year }，推测不出时为 null
+   */
+  guessSyllabusDetails: (text) => {
+    const code = /(?:^|[^\d])(\d{4})(?!\d)/.exec(text.replace(/20\d\d\s*[-–]\s*20\d\d/g, ' '));
+    const years = /(20\d\d)\s*[-–]\s*(20\d\d)/.exec(text);
+    return {
+      code: code ? code[1] : null,
+      year: years ? `${years[1]}-${years[2]}` : null
+    };
+  },
+
+  /**
+   * 导入文件
+   * @param {ArrayBuffer} data - 文件内容
+   * @param {Object} details - { library, format, title, author, subject, level, code?, year?, fileName }
+   * @returns {Promise<Object>} 保存的条目（不含文件内容）
+   */
+  add: async (data, details) => {
+    if (!details.title?.trim()) throw new Error('Give the document a title.');
+    if (!details.subject) throw new Error('Choose a subject.');
+    if (details.library === 'syllabus' && !details.code?.trim()) throw new Error('Enter the syllabus code, e.g. 9702.');
+
+    const entry = {
+      id: `personal_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`,
+      library: details.library,
+      format: details.format,
+      title: details.title.trim(),
+      author: details.author?.trim() || null,
+      subject: details.subject,
+      level: details.level,
+      code: details.code?.trim() || null,
+      year: details.year?.trim() || null,
+      fileName: details.fileName,
+      size: data.byteLength,
+      importedAt: Date.now()
+    };
+    await withStore(STORE_NAME, 'readwrite', store => store.put({ ...entry, data }));
+    notify();
+    return entry;
+  },
+
+  /**
+   * 读取条目（含文件内容）
+   * @param {string} id - 条目ID
+   * @returns {Promise<Object|null>}
+   */
+  get: async (id) => (await withStore(STORE_NAME, 'readonly', store => store.get(id))) || null,
+
+  /**
+   * 列出全部条目（不含文件内容）
+   * @returns {Promise<Array<Object>>} 按导入时间排列
+   */
+  list: async () => {
+    const entries = await withStore(STORE_NAME, 'readonly', store => store.getAll());
+    return entries
+      .map(({ data, ...meta }) => meta)
+      .sort((a, b) => a.importedAt - b.importedAt);
+  },
+
+  /**
+   * 删除条目
+   * @param {string} id - 条目ID
+   */
+  remove: async (id) => {
+    await withStore(STORE_NAME, 'readwrite', store => store.delete(id));
+    notify();
+  },
+
+  /**
+   * 条目转换为与 userTestData 教科书、大纲相同结构的卡片数据，personal 标记为个人文件
+   * @param {Object} entry - 条目
+   * @returns {Object}
+   */
+  toLibraryItem: (entry) => {
+    const common = {
+      id: entry.id,
+      fileId: entry.id,
+      title: entry.title,
+      subject: entry.subject,
+      level: entry.level,
+      year: entry.year || '',
+      format: entry.format,
+      personal: true
+    };
+    if (entry.library === 'syllabus') return { ...common, code: entry.code };
+    return {
+      ...common,
+      author: entry.author || 'Unknown author',
+      publisher: 'My files',
+      description: `Imported ${DOCUMENT_FORMATS[entry.format].label} · ${entry.fileName} · ${formatBytes(entry.size)}`
+    };
+  },
+
+  /**
+   * 读取 EPUB 的章节列表（阅读顺序）
+   * @param {ArrayBuffer} data - 文件内容
+   * @returns {Promise<Array<Object>>} [{ path, title }]，title 为章节第一个标题，没有时为文件名
+   */
+  getEpubChapters: async (data) => {
+    const bytes = new Uint8Array(data);
+    const pkg = await readEpubPackage(bytes);
+    const chapters = pkg.chapters.filter(chapter => /html/.test(chapter.mediaType));
+    return Promise.all(chapters.map(async chapter => {
+      const doc = new DOMParser().parseFromString(utf8(await readZipEntry(bytes, pkg.directory, chapter.path)), 'text/html');
+      const heading = doc.querySelector('h1, h2, h3, title')?.textContent.trim();
+      return { path: chapter.path, title: heading || chapter.path.split('/').pop() };
+    }));
+  },
+
+  /**
+   * 读取 EPUB 的一章，图片和样式表内嵌为 data URL，可以直接放进沙箱 iframe 显示
+   * @param {ArrayBuffer} data - 文件内容
+   * @param {string} path - 章节路径（getEpubChapters 返回的 path）
+   * @returns {Promise<string>} HTML
+   */
+  loadEpubChapter: async (data, path) => {
+    const bytes = new Uint8Array(data);
+    const pkg = await readEpubPackage(bytes);
+    const content = await readZipEntry(bytes, pkg.directory, path);
+    if (!content) throw new Error(`Chapter ${path} is missing from this EPUB.`);
+    const doc = new DOMParser().parseFromString(utf8(content), 'text/html');
+
+    const inline = async (element, attribute) => {
+      const href = element.getAttribute(attribute);
+      if (!href || /^[a-z]+:/i.test(href)) return;
+      const target = resolveZipPath(path, href);
+      const resource = await readZipEntry(bytes, pkg.directory, target);
+      if (resource) element.setAttribute(attribute, toDataUrl(resource, pkg.manifest.get(target) || 'application/octet-stream'));
+    };
+    await Promise.all([
+      ...Array.from(doc.querySelectorAll('img[src]')).map(element => inline(element, 'src')),
+      ...Array.from(doc.querySelectorAll('image')).map(element => inline(element, element.hasAttribute('href') ? 'href' : 'xlink:href')),
+      ...Array.from(doc.querySelectorAll('link[rel~="stylesheet"][href]')).map(element => inline(element, 'href'))
+    ]);
+    doc.querySelectorAll('script').forEach(script => script.remove());
+    return `<!DOCTYPE html>${doc.documentElement.outerHTML}`;
+  },
+
+  /**
+   * 订阅文件库变化
+   * @param {Function} listener - 回调
+   * @returns {Function} 取消订阅函数
+   */
+  subscribe: (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+};
@@ -0,0 +1,130 @@
+import { TextEncoder, TextDecoder } from 'util';
+import { PersonalLibrary } from './PersonalLibrary';
+
+// jsdom 没有提供 TextEncoder/TextDecoder
+global.TextEncoder = TextEncoder;
+global.TextDecoder = TextDecoder;
+
+const encode = (text) => new TextEncoder().encode(text);
+const bytesOf = (text) => Uint8Array.from(text, char => char.charCodeAt(0));
+
+/**
+ * 生成只包含未压缩条目的 ZIP
+ */
+const zip = (files) => {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  Object.entries(files).forEach(([name, content]) => {
+    const nameBytes = encode(name);
+    const data = encode(content);
+    const local = new Uint8Array(30 + nameBytes.length + data.length);
+    const localView = new DataView(local.buffer);
+    localView.setUint32(0, 0x04034b50, true);
+    localView.setUint32(18, data.length, true);
+    localView.setUint32(22, data.length, true);
+    localView.setUint16(26, nameBytes.length, true);
+    local.set(nameBytes, 30);
+    local.set(data, 30 + nameBytes.length);
+
+    const central = new Uint8Array(46 + nameBytes.length);
+    const centralView = new DataView(central.buffer);
+    centralView.setUint32(0, 0x02014b50, true);
+    centralView.setUint32(20, data.length, true);
+    centralView.setUint32(24, data.length, true);
+    centralView.setUint16(28, nameBytes.length, true);
+    centralView.setUint32(42, offset, true);
+    central.set(nameBytes, 46);
+
+    locals.push(local);
+    centrals.push(central);
+    offset += local.length;
+  });
+  const centralSize = centrals.reduce((sum, part) => sum + part.length, 0);
+  const end = new Uint8Array(22);
+  const endView = new DataView(end.buffer);
+  endView.setUint32(0, 0x06054b50, true);
+  endView.setUint16(8, centrals.length, true);
+  endView.setUint16(10, centrals.length, true);
+  endView.setUint32(12, centralSize, true);
+  endView.setUint32(16, offset, true);
+
+  const result = new Uint8Array(offset + centralSize + 22);
+  let position = 0;
+  [...locals, ...centrals, end].forEach(part => {
+    result.set(part, position);
+    position += part.length;
+  });
+  return result;
+};
+
+const epub = zip({
+  mimetype: 'application/epub+zip',
+  'META-INF/container.xml': '<?xml version="1.0"?><container xmlns="urn:oasis:names:tc:opendocument:xmlns:container"><rootfiles><rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/></rootfiles></container>',
+  'OEBPS/content.opf': `<?xml version="1.0"?>
+    <package xmlns="http://www.idpf.org/2007/opf" version="3.0">
+      <metadata xmlns:dc="http://purl.org/dc/elements/1.1/"><dc:title>Mechanics Revision Guide</dc:title><dc:creator>A. Teacher</dc:creator></metadata>
+      <manifest>
+        <item id="c1" href="text/ch1.xhtml" media-type="application/xhtml+xml"/>
+        <item id="c2" href="text/ch2.xhtml" media-type="application/xhtml+xml"/>
+        <item id="fig" href="images/fig1.png" media-type="image/png"/>
+      </manifest>
+      <spine><itemref idref="c1"/><itemref idref="c2"/></spine>
+    </package>`,
+  'OEBPS/text/ch1.xhtml': '<html><body><h1>Kinematics</h1><img src="../images/fig1.png"/><script>alert(1)</script></body></html>',
+  'OEBPS/text/ch2.xhtml': '<html><body><p>No heading</p></body></html>',
+  'OEBPS/images/fig1.png': 'PNG'
+});
+
+test('detects the format from the content and the file name', () => {
+  expect(PersonalLibrary.detectFormat('notes.bin', bytesOf('%PDF-1.7\n'))).toBe('pdf');
+  expect(PersonalLibrary.detectFormat('book', epub)).toBe('epub');
+  expect(PersonalLibrary.detectFormat('handout.htm', encode('<p>hi</p>'))).toBe('html');
+  expect(PersonalLibrary.detectFormat('page', encode('  <!DOCTYPE html><html></html>'))).toBe('html');
+  expect(() => PersonalLibrary.detectFormat('notes.docx', encode('PK?'))).toThrow('Only PDF, EPUB and HTML files can be imported.');
+});
+
+test('reads PDF metadata from the info dictionary, not from bookmarks', async () => {
+  const pdf = bytesOf([
+    '%PDF-1.4',
+    '3 0 obj << /Title (Chapter 1) /Parent 2 0 R >> endobj',
+    '7 0 obj << /Title (Waves \\(AS\\) notes) /Author <FEFF004D0072002E00200042> >> endobj',
+    'trailer << /Root 1 0 R /Info 7 0 R >>',
+    '%%EOF'
+  ].join('\n'));
+  expect(await PersonalLibrary.extractMetadata('waves.pdf', pdf)).toEqual({ format: 'pdf', title: 'Waves (AS) notes', author: 'Mr. B' });
+
+  const xmp = bytesOf('%PDF-1.6\n<x:xmpmeta><dc:title><rdf:Alt><rdf:li xml:lang="x-default">Circuits</rdf:li></rdf:Alt></dc:title></x:xmpmeta>');
+  expect(await PersonalLibrary.extractMetadata('x.pdf', xmp)).toMatchObject({ title: 'Circuits', author: null });
+  expect((await PersonalLibrary.extractMetadata('Unit_3_Forces.pdf', bytesOf('%PDF-1.5\n'))).title).toBe('Unit 3 Forces');
+});
+
+test('reads HTML and EPUB metadata', async () => {
+  const html = encode('<html><head><title> Electrolysis handout </title><meta name="Author" content="Ms Lee"></head><body></body></html>');
+  expect(await PersonalLibrary.extractMetadata('e.html', html)).toEqual({ format: 'html', title: 'Electrolysis handout', author: 'Ms Lee' });
+  expect(await PersonalLibrary.extractMetadata('guide.epub', epub)).toEqual({ format: 'epub', title: 'Mechanics Revision Guide', author: 'A. Teacher' });
+  await expect(PersonalLibrary.extractMetadata('empty.pdf', new Uint8Array(0))).rejects.toThrow('The file is empty.');
+});
+
+test('lists EPUB chapters and inlines their images', async () => {
+  const chapters = await PersonalLibrary.getEpubChapters(epub.buffer);
+  expect(chapters).toEqual([
+    { path: 'OEBPS/text/ch1.xhtml', title: 'Kinematics' },
+    { path: 'OEBPS/text/ch2.xhtml', title: 'ch2.xhtml' }
+  ]);
+  const html = await PersonalLibrary.loadEpubChapter(epub.buffer, chapters[0].path);
+  expect(html).toContain(`src="data:image/png;base64,${btoa('PNG')}"`);
+  expect(html).not.toContain('<script');
+});
+
+test('guesses syllabus code and years and builds library cards', () => {
+  expect(PersonalLibrary.guessSyllabusDetails('9702_2025-2027_syllabus.pdf')).toEqual({ code: '9702', year: '2025-2027' });
+  expect(PersonalLibrary.guessSyllabusDetails('Physics notes')).toEqual({ code: null, year: null });
+
+  const entry = { id: 'personal_1', library: 'textbook', format: 'epub', title: 'Guide', author: null, subject: 'Physics', level: 'A Level', code: null, year: null, fileName: 'guide.epub', size: 2048, importedAt: 1 };
+  expect(PersonalLibrary.toLibraryItem(entry)).toMatchObject({
+    id: 'personal_1', fileId: 'personal_1', personal: true, author: 'Unknown author', publisher: 'My files',
+    description: 'Imported EPUB · guide.epub · 2.0 KB'
+  });
+  expect(PersonalLibrary.toLibraryItem({ ...entry, library: 'syllabus', code: '9702', year: '2025-2027' })).toMatchObject({ code: '9702', year: '2025-2027' });
+});
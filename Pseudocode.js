@@ -0,0 +1,1530 @@
+// ==================== 伪代码解释器 ====================
+
+/**
+ * 关键字（必须大写）
+ */
+const KEYWORDS = new Set([
+  'DECLARE', 'CONSTANT', 'TYPE', 'ENDTYPE', 'ARRAY', 'OF',
+  'INTEGER', 'REAL', 'CHAR', 'STRING', 'BOOLEAN', 'DATE',
+  'INPUT', 'OUTPUT', 'IF', 'THEN', 'ELSE', 'ENDIF', 'CASE', 'OTHERWISE', 'ENDCASE',
+  'FOR', 'TO', 'STEP', 'NEXT', 'REPEAT', 'UNTIL', 'WHILE', 'DO', 'ENDWHILE',
+  'PROCEDURE', 'ENDPROCEDURE', 'FUNCTION', 'ENDFUNCTION', 'RETURNS', 'RETURN', 'CALL', 'BYREF', 'BYVAL',
+  'OPENFILE', 'READFILE', 'WRITEFILE', 'CLOSEFILE', 'READ', 'WRITE', 'APPEND',
+  'AND', 'OR', 'NOT', 'DIV', 'MOD', 'TRUE', 'FALSE'
+]);
+
+/**
+ * 基本数据类型
+ */
+const SCALAR_TYPES = ['INTEGER', 'REAL', 'CHAR', 'STRING', 'BOOLEAN', 'DATE'];
+
+/**
+ * 比较运算符
+ */
+const COMPARISON_OPERATORS = ['=', '<>', '<', '>', '<=', '>='];
+
+/**
+ * 运行的最大步数，超过时认为是死循环
+ */
+export const MAX_STEPS = 100000;
+
+/**
+ * 过程/函数调用的最大嵌套层数，超过时认为是无限递归
+ */
+const MAX_CALL_DEPTH = 500;
+
+/**
+ * 跟踪表保留的最大行数
+ */
+const TRACE_LIMIT = 2000;
+
+/**
+ * 带行号的错误
+ * @param {string} message - 错误信息
+ * @param {number} line - 行号
+ * @returns {Error}
+ */
+const fail = (message, line) => Object.assign(new Error(message), { line });
+
+/**
+ * 值的类型名称（用于错误信息）
+ * @param {*} value - 值
+ * @returns {string}
+ */
+const kindOf = (value) => {
+  if (typeof value === 'number') return Number.isInteger(value) ? 'INTEGER' : 'REAL';
+  if (typeof value === 'string') return value.length === 1 ? 'CHAR' : 'STRING';
+  if (typeof value === 'boolean') return 'BOOLEAN';
+  if (value instanceof Date) return 'DATE';
+  if (value?.kind === 'array') return 'ARRAY';
+  if (value?.kind === 'record') return value.type.name;
+  return 'nothing';
+};
+
+/**
+ * 数据类型的名称，例如 ARRAY[1:10] OF INTEGER
+ * @param {Object} dataType - 数据类型
+ * @returns {string}
+ */
+const typeName = (dataType) => {
+  if (dataType.kind === 'array') {
+    const bounds = dataType.bounds ? `[${dataType.bounds.map(([lower, upper]) => `${lower}:${upper}`).join(', ')}]` : '';
+    return `ARRAY${bounds} OF ${typeName(dataType.elementType)}`;
+  }
+  return dataType.name;
+};
+
+/**
+ * 数组的元素个数
+ * @param {Array<Array<number>>} bounds - 每一维的上下界
+ * @returns {number}
+ */
+const arraySize = (bounds) => bounds.reduce((size, [lower, upper]) => size * (upper - lower + 1), 1);
+
+/**
+ * 由一维位置得到数组下标
+ * @param {Array<Array<number>>} bounds - 每一维的上下界
+ * @param {number} flat - 一维位置
+ * @returns {Array<number>}
+ */
+const indicesOf = (bounds, flat) => {
+  const indices = [];
+  let rest = flat;
+  for (let d = bounds.length - 1; d >= 0; d--) {
+    const length = bounds[d][1] - bounds[d][0] + 1;
+    indices.unshift(bounds[d][0] + (rest % length));
+    rest = Math.floor(rest / length);
+  }
+  return indices;
+};
+
+/**
+ * 复制值（数组和记录按值赋值）
+ * @param {*} value - 值
+ * @returns {*}
+ */
+const copyValue = (value) => {
+  if (value instanceof Date) return new Date(value.getTime());
+  if (value?.kind === 'array') return { ...value, data: value.data.map(copyValue) };
+  if (value?.kind === 'record') {
+    return {
+      ...value,
+      fields: Object.fromEntries(Object.entries(value.fields).map(([key, cell]) => [key, { ...cell, value: copyValue(cell.value) }]))
+    };
+  }
+  return value;
+};
+
+/**
+ * 日期格式化为 dd/mm/yyyy
+ * @param {Date} date - 日期
+ * @returns {string}
+ */
+const formatDate = (date) => [date.getDate(), date.getMonth() + 1]
+  .map(part => String(part).padStart(2, '0'))
+  .concat(date.getFullYear())
+  .join('/');
+
+/**
+ * 检查内置函数的参数类型
+ * @param {string} name - 函数名
+ * @param {Array<*>} args - 参数
+ * @param {Array<string>} kinds - 每个参数的类型：'string' | 'char' | 'number' | 'integer' | 'date'
+ * @param {number} line - 行号
+ */
+const checkArgs = (name, args, kinds, line) => {
+  kinds.forEach((kind, index) => {
+    const value = args[index];
+    const valid = {
+      string: typeof value === 'string',
+      char: typeof value === 'string' && value.length === 1,
+      number: typeof value === 'number',
+      integer: Number.isInteger(value),
+      date: value instanceof Date
+    }[kind];
+    if (!valid) {
+      throw fail(`Argument ${index + 1} of ${name} must be ${kind === 'integer' ? 'an INTEGER' : kind === 'number' ? 'a number' : `a ${kind.toUpperCase()}`}`, line);
+    }
+  });
+};
+
+/**
+ * 内置函数（9618 伪代码指南中的插页函数），值为 [参数类型, 实现]
+ */
+const BUILTINS = {
+  LEFT: [['string', 'integer'], (s, n, line) => {
+    if (n < 0 || n > s.length) throw fail(`LEFT cannot take ${n} characters from a string of length ${s.length}`, line);
+    return s.slice(0, n);
+  }],
+  RIGHT: [['string', 'integer'], (s, n, line) => {
+    if (n < 0 || n > s.length) throw fail(`RIGHT cannot take ${n} characters from a string of length ${s.length}`, line);
+    return n === 0 ? '' : s.slice(-n);
+  }],
+  MID: [['string', 'integer', 'integer'], (s, start, length, line) => {
+    if (start < 1 || length < 0 || start + length - 1 > s.length) {
+      throw fail(`MID(${start}, ${length}) is outside a string of length ${s.length}`, line);
+    }
+    return s.substr(start - 1, length);
+  }],
+  LENGTH: [['string'], (s) => s.length],
+  LCASE: [['char'], (c) => c.toLowerCase()],
+  UCASE: [['char'], (c) => c.toUpperCase()],
+  TO_LOWER: [['string'], (s) => s.toLowerCase()],
+  TO_UPPER: [['string'], (s) => s.toUpperCase()],
+  NUM_TO_STR: [['number'], (x) => String(x)],
+  STR_TO_NUM: [['string'], (s, line) => {
+    if (!/^\s*[-+]?(\d+\.?\d*|\.\d+)\s*$/.test(s)) throw fail(`STR_TO_NUM cannot convert "${s}" to a number`, line);
+    return Number(s);
+  }],
+  IS_NUM: [['string'], (s) => /^\s*[-+]?(\d+\.?\d*|\.\d+)\s*$/.test(s)],
+  ASC: [['char'], (c) => c.charCodeAt(0)],
+  CHR: [['integer'], (n) => String.fromCharCode(n)],
+  INT: [['number'], (x) => Math.trunc(x)],
+  ROUND: [['number', 'integer'], (x, places) => Math.round(x * 10 ** places) / 10 ** places],
+  RAND: [['number'], (x) => Math.random() * x],
+  DIV: [['number', 'number'], (a, b, line) => {
+    if (b === 0) throw fail('Division by zero', line);
+    return Math.trunc(a / b);
+  }],
+  MOD: [['number', 'number'], (a, b, line) => {
+    if (b === 0) throw fail('Division by zero', line);
+    return a % b;
+  }],
+  DAY: [['date'], (d) => d.getDate()],
+  MONTH: [['date'], (d) => d.getMonth() + 1],
+  YEAR: [['date'], (d) => d.getFullYear()],
+  DAYINDEX: [['date'], (d) => d.getDay() + 1],
+  SETDATE: [['integer', 'integer', 'integer'], (day, month, year, line) => {
+    const date = new Date(year, month - 1, day);
+    if (date.getDate() !== day || date.getMonth() !== month - 1) throw fail(`${day}/${month}/${year} is not a valid date`, line);
+    return date;
+  }],
+  NOW: [[], () => {
+    const now = new Date();
+    return new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  }]
+};
+
+/**
+ * 词法分析
+ * @param {string} source - 源代码
+ * @returns {Array<Object>} [{ type: 'number' | 'string' | 'char' | 'name' | 'keyword' | 'op' | 'newline' | 'eof', value, line }]
+ */
+const tokenize = (source) => {
+  const tokens = [];
+  const lines = source.replace(/\r\n?/g, '\n').replace(/[“”]/g, '"').replace(/[‘’]/g, "'").split('\n');
+
+  lines.forEach((text, index) => {
+    const line = index + 1;
+    let position = 0;
+    while (position < text.length) {
+      const rest = text.slice(position);
+      let match;
+      if ((match = /^\s+/.exec(rest))) {
+        position += match[0].length;
+        continue;
+      }
+      if (rest.startsWith('//')) break;
+
+      if ((match = /^\d+(\.\d+)?/.exec(rest))) {
+        tokens.push({ type: 'number', value: Number(match[0]), line });
+      } else if ((match = /^"([^"]*)"/.exec(rest))) {
+        tokens.push({ type: 'string', value: match[1], line });
+      } else if ((match = /^'([^']*)'/.exec(rest))) {
+        if (match[1].length !== 1) throw fail(`A CHAR literal must be exactly one character: '${match[1]}'`, line);
+        tokens.push({ type: 'char', value: match[1], line });
+      } else if ((match = /^[A-Za-z][A-Za-z0-9_]*/.exec(rest))) {
+        tokens.push({ type: KEYWORDS.has(match[0]) ? 'keyword' : 'name', value: match[0], line });
+      } else if ((match = /^(←|<-|<=|>=|<>|[=<>+\-*/&()[\],:.])/.exec(rest))) {
+        tokens.push({ type: 'op', value: match[0] === '<-' ? '←' : match[0], line });
+      } else if (rest[0] === '"' || rest[0] === "'") {
+        throw fail('Missing closing quote', line);
+      } else {
+        throw fail(`Unexpected character "${rest[0]}"`, line);
+      }
+      position += match[0].length;
+    }
+    tokens.push({ type: 'newline', line });
+  });
+
+  tokens.push({ type: 'eof', line: lines.length });
+  return tokens;
+};
+
+/**
+ * 语法分析（递归下降）
+ * @param {Array<Object>} tokens - tokenize 的结果
+ * @returns {Array<Object>} 顶层语句
+ */
+const parseTokens = (tokens) => {
+  let position = 0;
+  // 当前所在的过程/函数：null | 'PROCEDURE' | 'FUNCTION'
+  let routineKind = null;
+  let depth = 0;
+
+  const peek = (offset = 0) => tokens[Math.min(position + offset, tokens.length - 1)];
+  const next = () => tokens[position++];
+  const is = (type, value) => peek().type === type && (value === undefined || peek().value === value);
+  const isKeyword = (value) => is('keyword', value);
+  const isOp = (value) => is('op', value);
+
+  /**
+   * 错误信息中的单词描述
+   * @param {Object} token - 单词
+   * @returns {string}
+   */
+  const describe = (token) => {
+    if (token.type === 'newline') return 'the end of the line';
+    if (token.type === 'eof') return 'the end of the program';
+    return `"${token.value}"`;
+  };
+
+  const expect = (type, value, what) => {
+    if (!is(type, value)) throw fail(`Expected ${what || `"${value}"`} but found ${describe(peek())}`, peek().line);
+    return next();
+  };
+  const expectName = (what = 'a name') => expect('name', undefined, what).value;
+  const skipNewlines = () => {
+    while (is('newline')) position++;
+  };
+  const endOfStatement = () => {
+    if (!is('newline') && !is('eof')) throw fail(`Unexpected ${describe(peek())}`, peek().line);
+    skipNewlines();
+  };
+
+  let parseExpression;
+  let parseStatement;
+
+  /**
+   * 解析一段语句，直到遇到结束关键字
+   * @param {Array<string>} terminators - 结束关键字
+   * @param {Object} opener - 开始的语句 { keyword, line }，用于缺少结束关键字时报错
+   * @returns {Array<Object>}
+   */
+  const parseBlock = (terminators, opener) => {
+    const statements = [];
+    depth++;
+    skipNewlines();
+    while (!terminators.some(isKeyword)) {
+      if (is('eof')) throw fail(`Missing ${terminators[terminators.length - 1]} for the ${opener.keyword} on line ${opener.line}`, opener.line);
+      statements.push(parseStatement());
+      skipNewlines();
+    }
+    depth--;
+    return statements;
+  };
+
+  /**
+   * 解析参数或下标列表（已读过左括号）
+   * @param {string} close - 右括号
+   * @returns {Array<Object>}
+   */
+  const parseList = (close) => {
+    const items = [];
+    if (!isOp(close)) {
+      items.push(parseExpression());
+      while (isOp(',')) {
+        next();
+        items.push(parseExpression());
+      }
+    }
+    expect('op', close);
+    return items;
+  };
+
+  /**
+   * 解析变量、数组元素或记录字段
+   * @returns {Object}
+   */
+  const parseTarget = () => {
+    const { line } = peek();
+    let node = { type: 'variable', name: expectName('a variable'), line };
+    for (;;) {
+      if (isOp('[')) {
+        next();
+        node = { type: 'index', target: node, indices: parseList(']'), line };
+      } else if (isOp('.')) {
+        next();
+        node = { type: 'field', target: node, field: expectName('a field name'), line };
+      } else {
+        return node;
+      }
+    }
+  };
+
+  const parsePrimary = () => {
+    const token = peek();
+    const { line } = token;
+
+    if (token.type === 'number' || token.type === 'string' || token.type === 'char') {
+      next();
+      return { type: 'literal', value: token.value, line };
+    }
+    if (isKeyword('TRUE') || isKeyword('FALSE')) {
+      next();
+      return { type: 'literal', value: token.value === 'TRUE', line };
+    }
+    if (isOp('(')) {
+      next();
+      const inner = parseExpression();
+      expect('op', ')');
+      return inner;
+    }
+    // DIV 和 MOD 也可以写成函数形式
+    if ((isKeyword('DIV') || isKeyword('MOD')) && peek(1).type === 'op' && peek(1).value === '(') {
+      next();
+      next();
+      return { type: 'call', name: token.value, args: parseList(')'), line };
+    }
+    if (token.type === 'name') {
+      if (peek(1).type === 'op' && peek(1).value === '(') {
+        next();
+        next();
+        return { type: 'call', name: token.value, args: parseList(')'), line };
+      }
+      return parseTarget();
+    }
+    throw fail(`Expected a value but found ${describe(token)}`, line);
+  };
+
+  const parseUnary = () => {
+    if (isOp('-')) {
+      const { line } = next();
+      return { type: 'unary', op: '-', arg: parseUnary(), line };
+    }
+    if (isOp('+')) next();
+    return parsePrimary();
+  };
+
+  const parseMultiplicative = () => {
+    let node = parseUnary();
+    while (isOp('*') || isOp('/') || isKeyword('DIV') || isKeyword('MOD')) {
+      const { value: op, line } = next();
+      node = { type: 'binary', op, left: node, right: parseUnary(), line };
+    }
+    return node;
+  };
+
+  const parseAdditive = () => {
+    let node = parseMultiplicative();
+    while (isOp('+') || isOp('-') || isOp('&')) {
+      const { value: op, line } = next();
+      node = { type: 'binary', op, left: node, right: parseMultiplicative(), line };
+    }
+    return node;
+  };
+
+  const parseComparison = () => {
+    const left = parseAdditive();
+    if (is('op') && COMPARISON_OPERATORS.includes(peek().value)) {
+      const { value: op, line } = next();
+      return { type: 'binary', op, left, right: parseAdditive(), line };
+    }
+    return left;
+  };
+
+  const parseNot = () => {
+    if (isKeyword('NOT')) {
+      const { line } = next();
+      return { type: 'unary', op: 'NOT', arg: parseNot(), line };
+    }
+    return parseComparison();
+  };
+
+  const parseAnd = () => {
+    let node = parseNot();
+    while (isKeyword('AND')) {
+      const { line } = next();
+      node = { type: 'binary', op: 'AND', left: node, right: parseNot(), line };
+    }
+    return node;
+  };
+
+  parseExpression = () => {
+    let node = parseAnd();
+    while (isKeyword('OR')) {
+      const { line } = next();
+      node = { type: 'binary', op: 'OR', left: node, right: parseAnd(), line };
+    }
+    return node;
+  };
+
+  /**
+   * 解析数据类型；数组参数可以省略上下界（ARRAY OF INTEGER）
+   * @returns {Object} { kind: 'scalar' | 'array' | 'record', ... }
+   */
+  const parseType = () => {
+    if (isKeyword('ARRAY')) {
+      next();
+      let bounds = null;
+      if (isOp('[')) {
+        next();
+        bounds = [];
+        do {
+          if (bounds.length > 0) next();
+          const lower = parseExpression();
+          expect('op', ':');
+          bounds.push([lower, parseExpression()]);
+        } while (isOp(','));
+        expect('op', ']');
+      }
+      expect('keyword', 'OF');
+      return { kind: 'array', bounds, elementType: parseType() };
+    }
+    if (is('keyword') && SCALAR_TYPES.includes(peek().value)) return { kind: 'scalar', name: next().value };
+    if (is('name')) return { kind: 'record', name: next().value };
+    throw fail(`Expected a data type but found ${describe(peek())}`, peek().line);
+  };
+
+  /**
+   * 解析 DECLARE 后的名称列表和类型
+   * @returns {Object} { names, dataType }
+   */
+  const parseDeclaration = () => {
+    const names = [expectName()];
+    while (isOp(',')) {
+      next();
+      names.push(expectName());
+    }
+    expect('op', ':');
+    return { names, dataType: parseType() };
+  };
+
+  /**
+   * 当前位置是否是 CASE 的分支标签
+   * @returns {boolean}
+   */
+  const isCaseLabel = () => {
+    const token = peek();
+    if (token.type === 'keyword') return ['OTHERWISE', 'ENDCASE', 'TRUE', 'FALSE'].includes(token.value);
+    if (['number', 'string', 'char'].includes(token.type) || (token.type === 'op' && token.value === '-')) return true;
+    const following = peek(1);
+    return token.type === 'name' && ((following.type === 'op' && following.value === ':') || (following.type === 'keyword' && following.value === 'TO'));
+  };
+
+  /**
+   * CASE 分支的语句：可以写在标签同一行，也可以写在后面几行
+   * @returns {Array<Object>}
+   */
+  const parseCaseBody = () => {
+    const statements = [];
+    skipNewlines();
+    while (!isCaseLabel() && !is('eof')) {
+      statements.push(parseStatement());
+      skipNewlines();
+    }
+    return statements;
+  };
+
+  /**
+   * 解析过程或函数的参数列表；BYREF/BYVAL 作用于其后的参数，默认 BYVAL
+   * @returns {Array<Object>} [{ name, dataType, byRef }]
+   */
+  const parseParameters = () => {
+    const params = [];
+    if (!isOp('(')) return params;
+    next();
+    let byRef = false;
+    while (!isOp(')')) {
+      if (params.length > 0) expect('op', ',', '"," or ")"');
+      if (isKeyword('BYREF') || isKeyword('BYVAL')) byRef = next().value === 'BYREF';
+      const name = expectName('a parameter name');
+      expect('op', ':');
+      params.push({ name, dataType: parseType(), byRef });
+    }
+    next();
+    return params;
+  };
+
+  /**
+   * 解析过程或函数定义
+   * @param {string} kind - 'PROCEDURE' | 'FUNCTION'
+   * @returns {Object}
+   */
+  const parseRoutine = (kind) => {
+    const { line } = next();
+    if (depth > 0 || routineKind) throw fail(`A ${kind} must be defined outside other statements`, line);
+    const name = expectName(`a ${kind.toLowerCase()} name`);
+    const params = parseParameters();
+    let returnType = null;
+    if (kind === 'FUNCTION') {
+      expect('keyword', 'RETURNS');
+      returnType = parseType();
+    }
+    endOfStatement();
+    routineKind = kind;
+    const body = parseBlock([`END${kind}`], { keyword: kind, line });
+    routineKind = null;
+    next();
+    endOfStatement();
+    return { type: kind === 'FUNCTION' ? 'function' : 'procedure', name, params, returnType, body, line };
+  };
+
+  parseStatement = () => {
+    const token = peek();
+    const { line } = token;
+
+    if (token.type === 'keyword') {
+      switch (token.value) {
+        case 'DECLARE': {
+          next();
+          const { names, dataType } = parseDeclaration();
+          endOfStatement();
+          return { type: 'declare', names, dataType, line };
+        }
+        case 'CONSTANT': {
+          next();
+          const name = expectName('a constant name');
+          if (!isOp('=') && !isOp('←')) throw fail(`Expected "=" after CONSTANT ${name}`, line);
+          next();
+          const value = parseExpression();
+          endOfStatement();
+          return { type: 'constant', name, value, line };
+        }
+        case 'TYPE': {
+          next();
+          if (depth > 0 || routineKind) throw fail('A TYPE must be defined outside other statements', line);
+          const name = expectName('a type name');
+          endOfStatement();
+          const fields = [];
+          while (!isKeyword('ENDTYPE')) {
+            if (is('eof')) throw fail(`Missing ENDTYPE for the TYPE on line ${line}`, line);
+            expect('keyword', 'DECLARE', 'DECLARE or ENDTYPE');
+            const declaration = parseDeclaration();
+            declaration.names.forEach(fieldName => fields.push({ name: fieldName, dataType: declaration.dataType }));
+            endOfStatement();
+          }
+          next();
+          endOfStatement();
+          return { type: 'typedef', name, fields, line };
+        }
+        case 'INPUT': {
+          next();
+          const target = parseTarget();
+          endOfStatement();
+          return { type: 'input', target, line };
+        }
+        case 'OUTPUT': {
+          next();
+          const values = [parseExpression()];
+          while (isOp(',')) {
+            next();
+            values.push(parseExpression());
+          }
+          endOfStatement();
+          return { type: 'output', values, line };
+        }
+        case 'IF': {
+          next();
+          const condition = parseExpression();
+          skipNewlines();
+          expect('keyword', 'THEN');
+          const thenBlock = parseBlock(['ELSE', 'ENDIF'], { keyword: 'IF', line });
+          let elseBlock = [];
+          if (isKeyword('ELSE')) {
+            next();
+            elseBlock = parseBlock(['ENDIF'], { keyword: 'IF', line });
+          }
+          next();
+          endOfStatement();
+          return { type: 'if', condition, thenBlock, elseBlock, line };
+        }
+        case 'CASE': {
+          next();
+          expect('keyword', 'OF');
+          const subject = parseExpression();
+          endOfStatement();
+          const clauses = [];
+          let otherwise = null;
+          depth++;
+          while (!isKeyword('ENDCASE')) {
+            if (is('eof')) throw fail(`Missing ENDCASE for the CASE on line ${line}`, line);
+            if (isKeyword('OTHERWISE')) {
+              next();
+              if (isOp(':')) next();
+              otherwise = parseCaseBody();
+            } else {
+              const clauseLine = peek().line;
+              const from = parseExpression();
+              let to = null;
+              if (isKeyword('TO')) {
+                next();
+                to = parseExpression();
+              }
+              expect('op', ':', '":" after the CASE value');
+              clauses.push({ from, to, body: parseCaseBody(), line: clauseLine });
+            }
+          }
+          depth--;
+          next();
+          endOfStatement();
+          return { type: 'case', subject, clauses, otherwise, line };
+        }
+        case 'FOR': {
+          next();
+          const counter = expectName('a loop counter');
+          expect('op', '←', '"←"');
+          const start = parseExpression();
+          expect('keyword', 'TO');
+          const end = parseExpression();
+          let step = null;
+          if (isKeyword('STEP')) {
+            next();
+            step = parseExpression();
+          }
+          endOfStatement();
+          const body = parseBlock(['NEXT'], { keyword: 'FOR', line });
+          next();
+          if (is('name')) {
+            const { value: name, line: nextLine } = next();
+            if (name.toLowerCase() !== counter.toLowerCase()) throw fail(`NEXT ${name} does not match FOR ${counter}`, nextLine);
+          }
+          endOfStatement();
+          return { type: 'for', counter, start, end, step, body, line };
+        }
+        case 'REPEAT': {
+          next();
+          endOfStatement();
+          const body = parseBlock(['UNTIL'], { keyword: 'REPEAT', line });
+          const untilLine = next().line;
+          const condition = parseExpression();
+          endOfStatement();
+          return { type: 'repeat', body, condition, untilLine, line };
+        }
+        case 'WHILE': {
+          next();
+          const condition = parseExpression();
+          if (isKeyword('DO')) next();
+          endOfStatement();
+          const body = parseBlock(['ENDWHILE'], { keyword: 'WHILE', line });
+          next();
+          endOfStatement();
+          return { type: 'while', condition, body, line };
+        }
+        case 'PROCEDURE':
+        case 'FUNCTION':
+          return parseRoutine(token.value);
+        case 'CALL': {
+          next();
+          const name = expectName('a procedure name');
+          let args = [];
+          if (isOp('(')) {
+            next();
+            args = parseList(')');
+          }
+          endOfStatement();
+          return { type: 'call', name, args, line };
+        }
+        case 'RETURN': {
+          next();
+          if (routineKind !== 'FUNCTION') throw fail('RETURN can only be used inside a FUNCTION', line);
+          const value = parseExpression();
+          endOfStatement();
+          return { type: 'return', value, line };
+        }
+        case 'OPENFILE': {
+          next();
+          const file = parseExpression();
+          expect('keyword', 'FOR');
+          if (!isKeyword('READ') && !isKeyword('WRITE') && !isKeyword('APPEND')) {
+            throw fail(`Expected READ, WRITE or APPEND but found ${describe(peek())}`, peek().line);
+          }
+          const mode = next().value;
+          endOfStatement();
+          return { type: 'openfile', file, mode, line };
+        }
+        case 'READFILE': {
+          next();
+          const file = parseExpression();
+          expect('op', ',');
+          const target = parseTarget();
+          endOfStatement();
+          return { type: 'readfile', file, target, line };
+        }
+        case 'WRITEFILE': {
+          next();
+          const file = parseExpression();
+          expect('op', ',');
+          const value = parseExpression();
+          endOfStatement();
+          return { type: 'writefile', file, value, line };
+        }
+        case 'CLOSEFILE': {
+          next();
+          const file = parseExpression();
+          endOfStatement();
+          return { type: 'closefile', file, line };
+        }
+        default:
+          throw fail(`Unexpected ${token.value}`, line);
+      }
+    }
+
+    if (token.type === 'name') {
+      const target = parseTarget();
+      if (isOp('=')) throw fail('Use ← (or <-) for assignment, not =', line);
+      expect('op', '←', '"←"');
+      const value = parseExpression();
+      endOfStatement();
+      return { type: 'assign', target, value, line };
+    }
+
+    throw fail(`Unexpected ${describe(token)}`, line);
+  };
+
+  const statements = [];
+  skipNewlines();
+  while (!is('eof')) {
+    statements.push(parseStatement());
+    skipNewlines();
+  }
+  return statements;
+};
+
+/**
+ * 创建一次运行；程序每执行一条语句暂停一次，可以单步执行或一直运行到结束
+ * @param {Array<Object>} program - Pseudocode.parse 的结果
+ * @param {Object} options - { inputs: 测试输入（每次 INPUT 读取一项）, files: { [文件名]: 内容 } }
+ * @returns {Object} { step, runToEnd, getState }
+ */
+const createRunner = (program, { inputs = [], files = {} } = {}) => {
+  const globals = new Map();
+  const types = new Map();
+  const routines = new Map();
+  const frames = [];
+  const output = [];
+  const trace = [];
+  const fileLines = Object.fromEntries(
+    Object.entries(files).map(([name, text]) => [name, text ? text.replace(/\r\n?/g, '\n').replace(/\n$/, '').split('\n') : []])
+  );
+  const openFiles = new Map();
+  let inputIndex = 0;
+
+  const currentScope = () => (frames.length > 0 ? frames[frames.length - 1].variables : globals);
+
+  /**
+   * 查找变量
+   * @param {string} name - 变量名（不区分大小写）
+   * @param {number} line - 行号
+   * @returns {Object} 变量 { name, type, value, constant }
+   */
+  const lookup = (name, line) => {
+    const key = name.toLowerCase();
+    const cell = currentScope().get(key) || globals.get(key);
+    if (!cell) throw fail(`${name} has not been declared`, line);
+    return cell;
+  };
+
+  /**
+   * 读取变量的值
+   * @param {Object} cell - 变量
+   * @param {number} line - 行号
+   * @returns {*}
+   */
+  const readCell = (cell, line) => {
+    if (cell.value === undefined) throw fail(`${cell.name} has no value yet`, line);
+    return cell.value;
+  };
+
+  /**
+   * 检查值是否符合变量的类型
+   * @param {Object} type - 变量的数据类型
+   * @param {*} value - 值
+   * @param {string} label - 变量名
+   * @param {number} line - 行号
+   * @returns {*} 保存的值（数组和记录为副本）
+   */
+  const checkValue = (type, value, label, line) => {
+    const mismatch = () => fail(`${label} is ${typeName(type)} and cannot hold ${typeof value === 'string' ? `"${value}"` : kindOf(value) === 'ARRAY' ? 'an ARRAY' : `the ${kindOf(value)} ${formatValue(value)}`}`, line);
+    if (type.kind === 'array') {
+      if (value?.kind !== 'array' || typeName(value.type.elementType) !== typeName(type.elementType)) throw mismatch();
+      if (type.bounds && typeName(value.type) !== typeName(type)) throw mismatch();
+      return copyValue(value);
+    }
+    if (type.kind === 'record') {
+      if (value?.kind !== 'record' || value.type.name !== type.name) throw mismatch();
+      return copyValue(value);
+    }
+    const valid = {
+      INTEGER: Number.isInteger(value),
+      REAL: typeof value === 'number',
+      STRING: typeof value === 'string',
+      CHAR: typeof value === 'string' && value.length === 1,
+      BOOLEAN: typeof value === 'boolean',
+      DATE: value instanceof Date
+    }[type.name];
+    if (!valid) throw mismatch();
+    return value;
+  };
+
+  /**
+   * 把输入或文件中的一行文字转成变量类型的值
+   * @param {Object} type - 变量的数据类型
+   * @param {string} text - 文字
+   * @param {string} label - 变量名
+   * @param {number} line - 行号
+   * @returns {*}
+   */
+  const fromText = (type, text, label, line) => {
+    const trimmed = text.trim();
+    const invalid = () => fail(`"${text}" is not a valid ${typeName(type)} for ${label}`, line);
+    if (type.kind !== 'scalar') throw fail(`Cannot read a whole ${typeName(type)} into ${label}`, line);
+    switch (type.name) {
+      case 'INTEGER':
+        if (!/^[-+]?\d+$/.test(trimmed)) throw invalid();
+        return Number(trimmed);
+      case 'REAL':
+        if (!/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(trimmed)) throw invalid();
+        return Number(trimmed);
+      case 'BOOLEAN':
+        if (!/^(TRUE|FALSE)$/i.test(trimmed)) throw invalid();
+        return trimmed.toUpperCase() === 'TRUE';
+      case 'CHAR':
+        if (text.length !== 1) throw invalid();
+        return text;
+      case 'DATE': {
+        const match = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(trimmed);
+        if (!match) throw invalid();
+        return BUILTINS.SETDATE[1](Number(match[1]), Number(match[2]), Number(match[3]), line);
+      }
+      default:
+        return text;
+    }
+  };
+
+  let evaluate;
+  let executeBlock;
+
+  /**
+   * 计算数据类型中的数组上下界
+   * @param {Object} dataType - 语法树中的数据类型
+   * @param {number} line - 行号
+   * @returns {Object} 上下界为数值的数据类型
+   */
+  function* resolveType(dataType, line) {
+    if (dataType.kind === 'array') {
+      let bounds = null;
+      if (dataType.bounds) {
+        bounds = [];
+        for (const [lowerNode, upperNode] of dataType.bounds) {
+          const lower = yield* evaluate(lowerNode);
+          const upper = yield* evaluate(upperNode);
+          if (!Number.isInteger(lower) || !Number.isInteger(upper)) throw fail('Array bounds must be INTEGERs', line);
+          if (upper < lower) throw fail(`Array upper bound ${upper} is less than lower bound ${lower}`, line);
+          bounds.push([lower, upper]);
+        }
+      }
+      return { kind: 'array', bounds, elementType: yield* resolveType(dataType.elementType, line) };
+    }
+    if (dataType.kind === 'record') {
+      const definition = types.get(dataType.name.toLowerCase());
+      if (!definition) throw fail(`Unknown data type ${dataType.name}`, line);
+      return { kind: 'record', name: definition.name };
+    }
+    return dataType;
+  }
+
+  /**
+   * 新声明变量的初始值：数组和记录创建好结构，基本类型没有值
+   * @param {Object} type - resolveType 的结果
+   * @param {number} line - 行号
+   * @returns {*}
+   */
+  function* createValue(type, line) {
+    if (type.kind === 'array') {
+      if (!type.bounds) throw fail('DECLARE needs the array bounds, e.g. ARRAY[1:10] OF INTEGER', line);
+      const data = [];
+      for (let i = 0; i < arraySize(type.bounds); i++) data.push(yield* createValue(type.elementType, line));
+      return { kind: 'array', type, data };
+    }
+    if (type.kind === 'record') {
+      const fields = {};
+      for (const field of types.get(type.name.toLowerCase()).fields) {
+        const fieldType = yield* resolveType(field.dataType, line);
+        fields[field.name.toLowerCase()] = { name: field.name, type: fieldType, value: yield* createValue(fieldType, line) };
+      }
+      return { kind: 'record', type, fields };
+    }
+    return undefined;
+  }
+
+  /**
+   * 找到赋值的目标：变量、数组元素或记录字段
+   * @param {Object} node - 语法树节点
+   * @returns {Object} { name, type, value }，value 可读写
+   */
+  function* resolveTarget(node) {
+    if (node.type === 'variable') return lookup(node.name, node.line);
+
+    const base = yield* resolveTarget(node.target);
+    if (node.type === 'index') {
+      const array = base.value;
+      if (array?.kind !== 'array') throw fail(`${base.name} is not an array`, node.line);
+      const indices = [];
+      for (const indexNode of node.indices) indices.push(yield* evaluate(indexNode));
+      const { bounds } = array.type;
+      if (indices.length !== bounds.length) {
+        throw fail(`${base.name} has ${bounds.length} dimension${bounds.length === 1 ? '' : 's'} but ${indices.length} index${indices.length === 1 ? ' was' : 'es were'} given`, node.line);
+      }
+      let flat = 0;
+      indices.forEach((index, d) => {
+        const [lower, upper] = bounds[d];
+        if (!Number.isInteger(index)) throw fail(`Array index must be an INTEGER, not ${formatValue(index)}`, node.line);
+        if (index < lower || index > upper) throw fail(`Index ${index} is outside the bounds of ${base.name} [${lower}:${upper}]`, node.line);
+        flat = flat * (upper - lower + 1) + (index - lower);
+      });
+      return {
+        name: `${base.name}[${indices.join(',')}]`,
+        type: array.type.elementType,
+        get value() { return array.data[flat]; },
+        set value(value) { array.data[flat] = value; }
+      };
+    }
+
+    const record = base.value;
+    if (record?.kind !== 'record') throw fail(`${base.name} is not a record`, node.line);
+    const cell = record.fields[node.field.toLowerCase()];
+    if (!cell) throw fail(`${record.type.name} has no field ${node.field}`, node.line);
+    return {
+      name: `${base.name}.${cell.name}`,
+      type: cell.type,
+      get value() { return cell.value; },
+      set value(value) { cell.value = value; }
+    };
+  }
+
+  /**
+   * 调用过程或函数
+   * @param {Object} node - 调用的语法树节点 { name, args, line }
+   * @param {string} kind - 'procedure' | 'function'
+   * @returns {*} 函数的返回值
+   */
+  function* callRoutine(node, kind) {
+    const routine = routines.get(node.name.toLowerCase());
+    if (!routine) throw fail(`${node.name} is not a ${kind === 'function' ? 'FUNCTION' : 'PROCEDURE'}`, node.line);
+    if (routine.type !== kind) {
+      throw fail(kind === 'procedure'
+        ? `${routine.name} is a FUNCTION; use its result in an expression instead of CALL`
+        : `${routine.name} is a PROCEDURE; use CALL ${routine.name}(...)`, node.line);
+    }
+    if (node.args.length !== routine.params.length) {
+      throw fail(`${routine.name} needs ${routine.params.length} argument${routine.params.length === 1 ? '' : 's'} but ${node.args.length} ${node.args.length === 1 ? 'was' : 'were'} given`, node.line);
+    }
+    if (frames.length >= MAX_CALL_DEPTH) throw fail('Too many nested calls (is the recursion missing a base case?)', node.line);
+
+    const variables = new Map();
+    for (let i = 0; i < routine.params.length; i++) {
+      const param = routine.params[i];
+      const argNode = node.args[i];
+      const type = yield* resolveType(param.dataType, routine.line);
+      if (param.byRef) {
+        if (!['variable', 'index', 'field'].includes(argNode.type)) throw fail(`BYREF parameter ${param.name} needs a variable`, node.line);
+        const cell = yield* resolveTarget(argNode);
+        const matches = type.kind === 'array' && !type.bounds
+          ? cell.type.kind === 'array' && typeName(cell.type.elementType) === typeName(type.elementType)
+          : typeName(cell.type) === typeName(type);
+        if (!matches) throw fail(`BYREF parameter ${param.name} is ${typeName(type)} but ${cell.name} is ${typeName(cell.type)}`, node.line);
+        variables.set(param.name.toLowerCase(), cell);
+      } else {
+        const value = yield* evaluate(argNode);
+        const stored = checkValue(type, value, param.name, node.line);
+        variables.set(param.name.toLowerCase(), { name: param.name, type: stored?.type || type, value: stored, constant: false });
+      }
+    }
+
+    frames.push({ name: routine.name, variables });
+    try {
+      const result = yield* executeBlock(routine.body);
+      if (kind === 'procedure') return undefined;
+      if (!result) throw fail(`FUNCTION ${routine.name} ended without a RETURN`, routine.line);
+      const returnType = yield* resolveType(routine.returnType, routine.line);
+      return checkValue(returnType, result.value, `The result of ${routine.name}`, result.line);
+    } finally {
+      frames.pop();
+    }
+  }
+
+  /**
+   * 两个值是否相等
+   * @param {*} a - 值
+   * @param {*} b - 值
+   * @param {number} line - 行号
+   * @returns {boolean}
+   */
+  const equals = (a, b, line) => {
+    if (a instanceof Date && b instanceof Date) return a.getTime() === b.getTime();
+    if (typeof a !== typeof b || typeof a === 'object') throw fail(`Cannot compare ${kindOf(a)} with ${kindOf(b)}`, line);
+    return a === b;
+  };
+
+  /**
+   * 比较大小
+   * @param {*} a - 值
+   * @param {*} b - 值
+   * @param {number} line - 行号
+   * @returns {number} 负数、0 或正数
+   */
+  const compare = (a, b, line) => {
+    if (a instanceof Date && b instanceof Date) return a.getTime() - b.getTime();
+    if (typeof a === 'number' && typeof b === 'number') return a - b;
+    if (typeof a === 'string' && typeof b === 'string') return a < b ? -1 : a > b ? 1 : 0;
+    throw fail(`Cannot compare ${kindOf(a)} with ${kindOf(b)}`, line);
+  };
+
+  /**
+   * 检查条件是否为 BOOLEAN
+   * @param {*} value - 值
+   * @param {string} what - 描述
+   * @param {number} line - 行号
+   * @returns {boolean}
+   */
+  const requireBoolean = (value, what, line) => {
+    if (typeof value !== 'boolean') throw fail(`${what} must be TRUE or FALSE, not ${formatValue(value)}`, line);
+    return value;
+  };
+
+  /**
+   * 检查是否为数值
+   * @param {*} value - 值
+   * @param {string} op - 运算符
+   * @param {number} line - 行号
+   * @returns {number}
+   */
+  const requireNumber = (value, op, line) => {
+    if (typeof value !== 'number') {
+      throw fail(op === '+' && typeof value === 'string'
+        ? 'Use & to join strings'
+        : `${op} needs numbers, not ${kindOf(value)} ${formatValue(value)}`, line);
+    }
+    return value;
+  };
+
+  /**
+   * 打开的文件
+   * @param {*} name - 文件名
+   * @param {Array<string>} modes - 允许的打开方式
+   * @param {number} line - 行号
+   * @returns {Object} { mode, position }
+   */
+  const openFile = (name, modes, line) => {
+    const file = openFiles.get(name);
+    if (!file) throw fail(`File "${name}" is not open`, line);
+    if (!modes.includes(file.mode)) throw fail(`File "${name}" is open for ${file.mode}`, line);
+    return file;
+  };
+
+  evaluate = function* evaluateNode(node) {
+    switch (node.type) {
+      case 'literal':
+        return node.value;
+      case 'variable':
+      case 'index':
+      case 'field':
+        return readCell(yield* resolveTarget(node), node.line);
+      case 'unary': {
+        const value = yield* evaluate(node.arg);
+        return node.op === 'NOT' ? !requireBoolean(value, 'NOT', node.line) : -requireNumber(value, '-', node.line);
+      }
+      case 'binary': {
+        const left = yield* evaluate(node.left);
+        // AND/OR 短路求值
+        if (node.op === 'AND' || node.op === 'OR') {
+          const first = requireBoolean(left, node.op, node.line);
+          if (node.op === 'AND' ? !first : first) return first;
+          return requireBoolean(yield* evaluate(node.right), node.op, node.line);
+        }
+        const right = yield* evaluate(node.right);
+        switch (node.op) {
+          case '&':
+            if (typeof left !== 'string' || typeof right !== 'string') {
+              throw fail('& joins STRINGs and CHARs; use NUM_TO_STR to join a number', node.line);
+            }
+            return left + right;
+          case '=':
+            return equals(left, right, node.line);
+          case '<>':
+            return !equals(left, right, node.line);
+          case '<':
+            return compare(left, right, node.line) < 0;
+          case '>':
+            return compare(left, right, node.line) > 0;
+          case '<=':
+            return compare(left, right, node.line) <= 0;
+          case '>=':
+            return compare(left, right, node.line) >= 0;
+          case 'DIV':
+          case 'MOD':
+            return BUILTINS[node.op][1](requireNumber(left, node.op, node.line), requireNumber(right, node.op, node.line), node.line);
+          default: {
+            const a = requireNumber(left, node.op, node.line);
+            const b = requireNumber(right, node.op, node.line);
+            if (node.op === '+') return a + b;
+            if (node.op === '-') return a - b;
+            if (node.op === '*') return a * b;
+            if (b === 0) throw fail('Division by zero', node.line);
+            return a / b;
+          }
+        }
+      }
+      case 'call': {
+        const name = node.name.toUpperCase();
+        if (node.name === name && name === 'EOF') {
+          if (node.args.length !== 1) throw fail('EOF needs 1 argument', node.line);
+          const fileName = yield* evaluate(node.args[0]);
+          const file = openFile(fileName, ['READ'], node.line);
+          return file.position >= fileLines[fileName].length;
+        }
+        if (node.name === name && BUILTINS[name]) {
+          const [kinds, implementation] = BUILTINS[name];
+          if (node.args.length !== kinds.length) {
+            throw fail(`${name} needs ${kinds.length} argument${kinds.length === 1 ? '' : 's'} but ${node.args.length} ${node.args.length === 1 ? 'was' : 'were'} given`, node.line);
+          }
+          const args = [];
+          for (const arg of node.args) args.push(yield* evaluate(arg));
+          checkArgs(name, args, kinds, node.line);
+          return implementation(...args, node.line);
+        }
+        return yield* callRoutine(node, 'function');
+      }
+      default:
+        throw fail('Invalid expression', node.line);
+    }
+  };
+
+  /**
+   * 执行一条语句；执行前暂停（yield 行号）
+   * @param {Object} statement - 语句
+   * @returns {Object|undefined} 执行了 RETURN 时为 { value, line }
+   */
+  function* execute(statement) {
+    const { line } = statement;
+    if (['typedef', 'procedure', 'function'].includes(statement.type)) return undefined;
+    yield line;
+
+    switch (statement.type) {
+      case 'declare': {
+        const type = yield* resolveType(statement.dataType, line);
+        for (const name of statement.names) {
+          if (currentScope().has(name.toLowerCase())) throw fail(`${name} is already declared`, line);
+          currentScope().set(name.toLowerCase(), { name, type, value: yield* createValue(type, line), constant: false });
+        }
+        return undefined;
+      }
+      case 'constant': {
+        if (currentScope().has(statement.name.toLowerCase())) throw fail(`${statement.name} is already declared`, line);
+        const value = yield* evaluate(statement.value);
+        currentScope().set(statement.name.toLowerCase(), { name: statement.name, type: { kind: 'scalar', name: kindOf(value) }, value, constant: true });
+        return undefined;
+      }
+      case 'assign': {
+        const cell = yield* resolveTarget(statement.target);
+        if (cell.constant) throw fail(`${cell.name} is a CONSTANT and cannot be changed`, line);
+        const value = yield* evaluate(statement.value);
+        cell.value = checkValue(cell.type, value, cell.name, line);
+        return undefined;
+      }
+      case 'input': {
+        const cell = yield* resolveTarget(statement.target);
+        if (cell.constant) throw fail(`${cell.name} is a CONSTANT and cannot be changed`, line);
+        if (inputIndex >= inputs.length) throw fail(`INPUT ${cell.name} needs more test input (${inputs.length} value${inputs.length === 1 ? '' : 's'} given)`, line);
+        cell.value = fromText(cell.type, inputs[inputIndex++], cell.name, line);
+        return undefined;
+      }
+      case 'output': {
+        const parts = [];
+        for (const valueNode of statement.values) {
+          const value = yield* evaluate(valueNode);
+          if (value?.kind) throw fail(`Cannot OUTPUT a whole ${kindOf(value)}`, line);
+          parts.push(formatValue(value));
+        }
+        output.push(parts.join(''));
+        return undefined;
+      }
+      case 'if': {
+        const condition = requireBoolean(yield* evaluate(statement.condition), 'The IF condition', line);
+        return yield* executeBlock(condition ? statement.thenBlock : statement.elseBlock);
+      }
+      case 'case': {
+        const subject = yield* evaluate(statement.subject);
+        for (const clause of statement.clauses) {
+          const from = yield* evaluate(clause.from);
+          const matched = clause.to
+            ? compare(subject, from, clause.line) >= 0 && compare(subject, yield* evaluate(clause.to), clause.line) <= 0
+            : equals(subject, from, clause.line);
+          if (matched) return yield* executeBlock(clause.body);
+        }
+        return statement.otherwise ? yield* executeBlock(statement.otherwise) : undefined;
+      }
+      case 'for': {
+        let cell = currentScope().get(statement.counter.toLowerCase()) || globals.get(statement.counter.toLowerCase());
+        // 循环变量没有声明时按 INTEGER 处理
+        if (!cell) {
+          cell = { name: statement.counter, type: { kind: 'scalar', name: 'INTEGER' }, value: undefined, constant: false };
+          currentScope().set(statement.counter.toLowerCase(), cell);
+        }
+        const start = requireNumber(yield* evaluate(statement.start), 'FOR', line);
+        const end = requireNumber(yield* evaluate(statement.end), 'TO', line);
+        const step = statement.step ? requireNumber(yield* evaluate(statement.step), 'STEP', line) : 1;
+        if (step === 0) throw fail('STEP cannot be 0', line);
+        cell.value = checkValue(cell.type, start, cell.name, line);
+        while (step > 0 ? cell.value <= end : cell.value >= end) {
+          const result = yield* executeBlock(statement.body);
+          if (result) return result;
+          yield line;
+          cell.value = checkValue(cell.type, cell.value + step, cell.name, line);
+        }
+        return undefined;
+      }
+      case 'while':
+        while (requireBoolean(yield* evaluate(statement.condition), 'The WHILE condition', line)) {
+          const result = yield* executeBlock(statement.body);
+          if (result) return result;
+          yield line;
+        }
+        return undefined;
+      case 'repeat': {
+        for (;;) {
+          const result = yield* executeBlock(statement.body);
+          if (result) return result;
+          yield statement.untilLine;
+          if (requireBoolean(yield* evaluate(statement.condition), 'The UNTIL condition', statement.untilLine)) return undefined;
+        }
+      }
+      case 'call':
+        yield* callRoutine(statement, 'procedure');
+        return undefined;
+      case 'return':
+        return { value: yield* evaluate(statement.value), line };
+      case 'openfile': {
+        const name = yield* evaluate(statement.file);
+        if (typeof name !== 'string') throw fail('The file name must be a STRING', line);
+        if (openFiles.has(name)) throw fail(`File "${name}" is already open`, line);
+        if (statement.mode === 'READ' && !fileLines[name]) throw fail(`File "${name}" does not exist`, line);
+        if (statement.mode === 'WRITE' || !fileLines[name]) fileLines[name] = [];
+        openFiles.set(name, { mode: statement.mode, position: 0 });
+        return undefined;
+      }
+      case 'readfile': {
+        const name = yield* evaluate(statement.file);
+        const file = openFile(name, ['READ'], line);
+        const cell = yield* resolveTarget(statement.target);
+        if (file.position >= fileLines[name].length) throw fail(`No more lines to read in "${name}" (check EOF first)`, line);
+        cell.value = fromText(cell.type, fileLines[name][file.position++], cell.name, line);
+        return undefined;
+      }
+      case 'writefile': {
+        const name = yield* evaluate(statement.file);
+        openFile(name, ['WRITE', 'APPEND'], line);
+        const value = yield* evaluate(statement.value);
+        if (value?.kind) throw fail(`Cannot write a whole ${kindOf(value)} to a file`, line);
+        fileLines[name].push(formatValue(value));
+        return undefined;
+      }
+      case 'closefile': {
+        const name = yield* evaluate(statement.file);
+        openFile(name, ['READ', 'WRITE', 'APPEND'], line);
+        openFiles.delete(name);
+        return undefined;
+      }
+      default:
+        throw fail('Invalid statement', line);
+    }
+  }
+
+  executeBlock = function* executeStatements(statements) {
+    for (const statement of statements) {
+      const result = yield* execute(statement);
+      if (result) return result;
+    }
+    return undefined;
+  };
+
+  /**
+   * 把变量展开为跟踪表的列：数组按元素、记录按字段，没有值的不列出
+   * @param {string} label - 列名
+   * @param {*} value - 值
+   * @param {Object} into - 结果 { [列名]: 显示的值 }
+   */
+  const flatten = (label, value, into) => {
+    if (value?.kind === 'array') {
+      value.data.forEach((item, flat) => flatten(`${label}[${indicesOf(value.type.bounds, flat).join(',')}]`, item, into));
+    } else if (value?.kind === 'record') {
+      Object.values(value.fields).forEach(cell => flatten(`${label}.${cell.name}`, cell.value, into));
+    } else if (value !== undefined) {
+      into[label] = formatValue(value);
+    }
+  };
+
+  /**
+   * 当前可见的变量
+   * @returns {Object} { [列名]: 显示的值 }，过程/函数中的局部变量列名为 "名称 (过程名)"
+   */
+  const snapshot = () => {
+    const values = {};
+    globals.forEach(cell => flatten(cell.name, cell.value, values));
+    const frame = frames[frames.length - 1];
+    if (frame) frame.variables.forEach(cell => flatten(`${cell.name} (${frame.name})`, cell.value, values));
+    return values;
+  };
+
+  // 过程、函数和记录类型可以在使用之后定义
+  program.forEach(statement => {
+    if (!['typedef', 'procedure', 'function'].includes(statement.type)) return;
+    const key = statement.name.toLowerCase();
+    if (types.has(key) || routines.has(key) || BUILTINS[statement.name.toUpperCase()] || statement.name.toUpperCase() === 'EOF') {
+      throw fail(`${statement.name} is already defined`, statement.line);
+    }
+    if (statement.type === 'typedef') types.set(key, statement);
+    else routines.set(key, statement);
+  });
+
+  const generator = executeBlock(program);
+  let line = null;
+  let done = false;
+  let error = null;
+  let steps = 0;
+  let previous = {};
+
+  /**
+   * 记录跟踪表：上一条语句改变的变量和输出
+   * @param {number} executedLine - 刚执行的语句所在行
+   * @param {number} outputBefore - 执行前的输出行数
+   */
+  const recordTrace = (executedLine, outputBefore) => {
+    const values = snapshot();
+    const changes = {};
+    Object.entries(values).forEach(([label, value]) => {
+      if (previous[label] !== value) changes[label] = value;
+    });
+    previous = values;
+    const printed = output.slice(outputBefore);
+    if ((Object.keys(changes).length > 0 || printed.length > 0) && trace.length < TRACE_LIMIT) {
+      trace.push({ line: executedLine, changes, output: printed });
+    }
+  };
+
+  const runner = {
+    /**
+     * 执行到下一条语句之前
+     * @returns {Object} getState 的结果
+     */
+    step: () => {
+      if (done) return runner.getState();
+      const executedLine = line;
+      const outputBefore = output.length;
+      try {
+        const result = generator.next();
+        steps++;
+        done = Boolean(result.done);
+        line = done ? null : result.value;
+      } catch (caught) {
+        done = true;
+        error = { message: caught.message, line: caught.line ?? executedLine };
+      }
+      if (executedLine !== null) recordTrace(executedLine, outputBefore);
+      return runner.getState();
+    },
+
+    /**
+     * 一直执行到结束
+     * @param {number} maxSteps - 最多执行的步数，超过时停止并报错
+     * @returns {Object} getState 的结果
+     */
+    runToEnd: (maxSteps = MAX_STEPS) => {
+      const limit = steps + maxSteps;
+      while (!done && steps < limit) runner.step();
+      if (!done) {
+        done = true;
+        error = { message: `Stopped after ${maxSteps.toLocaleString()} steps. Is there an infinite loop?`, line };
+      }
+      return runner.getState();
+    },
+
+    /**
+     * 当前状态
+     * @returns {Object} { line: 下一条要执行的语句, done, error, steps, output, trace, variables, files }
+     */
+    getState: () => ({
+      line,
+      done,
+      error,
+      steps,
+      output: [...output],
+      trace: [...trace],
+      variables: snapshot(),
+      files: Object.fromEntries(Object.entries(fileLines).map(([name, lines]) => [name, lines.join('\n')]))
+    })
+  };
+
+  return runner;
+};
+
+/**
+ * 显示的值：BOOLEAN 为 TRUE/FALSE，DATE 为 dd/mm/yyyy
+ * @param {*} value - 值
+ * @returns {string}
+ */
+const formatValue = (value) => {
+  if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+  if (value instanceof Date) return formatDate(value);
+  if (value?.kind) return kindOf(value);
+  return String(value);
+};
+
+/**
+ * 伪代码工具类
+ * 按 Cambridge 9618 伪代码指南解释执行：DECLARE/CONSTANT、多维数组、TYPE 记录、
+ * IF/CASE/FOR/REPEAT/WHILE、PROCEDURE/FUNCTION（BYVAL/BYREF）、文本文件读写和插页中的内置函数；
+ * 关键字必须大写，标识符不区分大小写，赋值检查变量类型
+ * 运行时 INPUT 依次读取测试输入，文件读写使用内存中的文件，不会访问真实文件
+ */
+export const Pseudocode = {
+  /**
+   * 解析源代码
+   * @param {string} source - 源代码
+   * @returns {Array<Object>} 语法树
+   * @throws {Error} 语法错误时抛出，error.line 为出错的行号
+   */
+  parse: (source) => parseTokens(tokenize(source)),
+
+  /**
+   * 创建一次运行，用于单步执行
+   * @param {Array<Object>} program - parse 的结果
+   * @param {Object} options - { inputs, files }
+   * @returns {Object} { step, runToEnd, getState }
+   */
+  createRunner,
+
+  /**
+   * 运行程序直到结束
+   * @param {string} source - 源代码
+   * @param {Object} options - { inputs: Array<string>, files: { [文件名]: 内容 }, maxSteps }
+   * @returns {Object} getState 的结果，语法错误时只有 { done, error, output, trace, variables, files }
+   */
+  run: (source, { inputs = [], files = {}, maxSteps = MAX_STEPS } = {}) => {
+    let program;
+    try {
+      program = Pseudocode.parse(source);
+    } catch (error) {
+      return { line: null, done: true, error: { message: error.message, line: error.line }, steps: 0, output: [], trace: [], variables: {}, files };
+    }
+    try {
+      return createRunner(program, { inputs, files }).runToEnd(maxSteps);
+    } catch (error) {
+      return { line: null, done: true, error: { message: error.message, line: error.line }, steps: 0, output: [], trace: [], variables: {}, files };
+    }
+  },
+
+  /**
+   * 比较程序输出和期望输出（忽略行尾空格和末尾空行）
+   * @param {Array<string>} output - 输出的行
+   * @param {string} expected - 期望输出
+   * @returns {boolean}
+   */
+  matchesExpected: (output, expected) => {
+    const normalize = (text) => text.replace(/\r\n?/g, '\n').split('\n').map(line => line.trimEnd()).join('\n').trim();
+    return normalize(output.join('\n')) === normalize(expected);
+  },
+
+  formatValue
+};
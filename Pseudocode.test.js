@@ -0,0 +1,135 @@
+import { Pseudocode } from './Pseudocode';
+
+const run = (lines, options) => Pseudocode.run(lines.join('\n'), options);
+
+test('runs declarations, selection and loops', () => {
+  const result = run([
+    'DECLARE Total : INTEGER',
+    'DECLARE Grade : CHAR',
+    'CONSTANT Limit = 3',
+    'Total ← 0',
+    'FOR i ← 1 TO Limit',
+    '  Total <- Total + i',
+    'NEXT i',
+    'WHILE Total < 20 DO',
+    '  Total ← Total * 2',
+    'ENDWHILE',
+    'REPEAT',
+    '  Total ← Total - 5',
+    'UNTIL Total MOD 2 = 1',
+    'CASE OF Total',
+    '  1 TO 10 : Grade ← \'L\'',
+    '  19 : Grade ← \'M\'',
+    '  OTHERWISE',
+    '    Grade ← \'H\'',
+    'ENDCASE',
+    'IF Grade = \'M\' AND NOT (Total > 20)',
+    '  THEN',
+    '    OUTPUT "Total: ", Total, " ", Grade',
+    '  ELSE',
+    '    OUTPUT "?"',
+    'ENDIF'
+  ]);
+  expect(result.error).toBeNull();
+  expect(result.output).toEqual(['Total: 19 M']);
+});
+
+test('supports procedures, functions, arrays and records', () => {
+  const result = run([
+    'TYPE Student',
+    '  DECLARE Name : STRING',
+    '  DECLARE Marks : ARRAY[1:2] OF INTEGER',
+    'ENDTYPE',
+    'DECLARE Grid : ARRAY[1:2, 1:3] OF INTEGER',
+    'DECLARE S : Student',
+    'DECLARE A, B : INTEGER',
+    'FUNCTION Factorial(N : INTEGER) RETURNS INTEGER',
+    '  IF N <= 1 THEN',
+    '    RETURN 1',
+    '  ENDIF',
+    '  RETURN N * Factorial(N - 1)',
+    'ENDFUNCTION',
+    'PROCEDURE Swap(BYREF X : INTEGER, Y : INTEGER)',
+    '  DECLARE Temp : INTEGER',
+    '  Temp ← X',
+    '  X ← Y',
+    '  Y ← Temp',
+    'ENDPROCEDURE',
+    'Grid[2, 3] ← Factorial(5)',
+    'S.Name ← TO_UPPER("ada")',
+    'S.Marks[2] ← DIV(Grid[2, 3], 7)',
+    'A ← 1',
+    'B ← 2',
+    // BYREF 作用于其后的全部参数，A 和 B 都按引用传递
+    'CALL Swap(A, B)',
+    'OUTPUT S.Name & " " & NUM_TO_STR(S.Marks[2]), " ", A, B, " ", MID("pseudo", 2, 3), LENGTH(S.Name)'
+  ]);
+  expect(result.error).toBeNull();
+  expect(result.output).toEqual(['ADA 17 21 seu3']);
+});
+
+test('reads test input and in-memory files', () => {
+  const result = run([
+    'DECLARE Name : STRING',
+    'DECLARE Count : INTEGER',
+    'DECLARE Line : STRING',
+    'INPUT Name',
+    'INPUT Count',
+    'OPENFILE "names.txt" FOR READ',
+    'OPENFILE "out.txt" FOR WRITE',
+    'WHILE NOT EOF("names.txt")',
+    '  READFILE "names.txt", Line',
+    '  WRITEFILE "out.txt", Line & "!"',
+    'ENDWHILE',
+    'CLOSEFILE "names.txt"',
+    'CLOSEFILE "out.txt"',
+    'OUTPUT Name, Count * 2'
+  ], { inputs: ['Sam', '21'], files: { 'names.txt': 'a\nb\n' } });
+  expect(result.error).toBeNull();
+  expect(result.output).toEqual(['Sam42']);
+  expect(result.files['out.txt']).toBe('a!\nb!');
+
+  const missing = run(['DECLARE N : INTEGER', 'INPUT N', 'INPUT N'], { inputs: ['x'] });
+  expect(missing.error).toEqual({ message: '"x" is not a valid INTEGER for N', line: 2 });
+});
+
+test('reports errors with line numbers', () => {
+  expect(run(['DECLARE X : INTEGER', 'X = 1']).error).toEqual({ message: 'Use ← (or <-) for assignment, not =', line: 2 });
+  expect(run(['WHILE TRUE', 'OUTPUT 1']).error.message).toBe('Missing ENDWHILE for the WHILE on line 1');
+  expect(run(['DECLARE X : INTEGER', 'X ← 2.5']).error).toEqual({ message: 'X is INTEGER and cannot hold the REAL 2.5', line: 2 });
+  expect(run(['DECLARE X : INTEGER', 'OUTPUT X']).error).toEqual({ message: 'X has no value yet', line: 2 });
+  expect(run(['Y ← 1']).error).toEqual({ message: 'Y has not been declared', line: 1 });
+  expect(run(['DECLARE A : ARRAY[1:3] OF INTEGER', 'A[4] ← 1']).error.message).toBe('Index 4 is outside the bounds of A [1:3]');
+  expect(run(['OUTPUT "a" + "b"']).error.message).toBe('Use & to join strings');
+  expect(run(['WHILE TRUE', 'ENDWHILE'], { maxSteps: 50 }).error.message).toMatch(/infinite loop/);
+});
+
+test('steps through statements and builds a trace table', () => {
+  const runner = Pseudocode.createRunner(Pseudocode.parse([
+    'DECLARE Count : INTEGER',
+    'Count ← 0',
+    'FOR i ← 1 TO 2',
+    '  Count ← Count + i',
+    '  OUTPUT Count',
+    'NEXT i'
+  ].join('\n')));
+
+  expect(runner.step().line).toBe(1);
+  expect(runner.step().line).toBe(2);
+  expect(runner.step().variables).toEqual({ Count: '0' });
+
+  const state = runner.runToEnd();
+  expect(state.done).toBe(true);
+  expect(state.output).toEqual(['1', '3']);
+  expect(state.trace.map(row => [row.line, row.changes, row.output])).toEqual([
+    [2, { Count: '0' }, []],
+    [3, { i: '1' }, []],
+    [4, { Count: '1' }, []],
+    [5, {}, ['1']],
+    [3, { i: '2' }, []],
+    [4, { Count: '3' }, []],
+    [5, {}, ['3']],
+    [3, { i: '3' }, []]
+  ]);
+  expect(Pseudocode.matchesExpected(state.output, '1\n3\n')).toBe(true);
+});
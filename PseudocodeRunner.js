@@ -0,0 +1,346 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Pseudocode } from './Pseudocode.js';
+import { PaperWorkspace } from './PaperWorkspace.js';
+
+/**
+ * 编辑器中 Tab 键插入的缩进
+ */
+const INDENT = '  ';
+
+/**
+ * 结果区域的标签页
+ */
+const VIEWS = [
+  { id: 'output', name: 'Output' },
+  { id: 'trace', name: 'Trace table' },
+  { id: 'variables', name: 'Variables' },
+  { id: 'tests', name: 'Test input' },
+  { id: 'files', name: 'Files' }
+];
+
+/**
+ * 编辑器的示例代码
+ */
+const PLACEHOLDER = 'DECLARE Name : STRING\nINPUT Name\nOUTPUT "Hello, ", Name';
+
+/**
+ * 测试输入拆成 INPUT 依次读取的值（每行一个）
+ * @param {string} text - 测试输入
+ * @returns {Array<string>}
+ */
+const toInputs = (text) => (text ? text.replace(/\r\n?/g, '\n').replace(/\n$/, '').split('\n') : []);
+
+/**
+ * 文件列表转成解释器使用的 { [文件名]: 内容 }
+ * @param {Array<Object>} files - [{ name, content }]
+ * @returns {Object}
+ */
+const toFiles = (files) => Object.fromEntries(files.filter(file => file.name.trim()).map(file => [file.name.trim(), file.content]));
+
+/**
+ * 运行失败时的状态（语法错误等）
+ * @param {Error} error - 错误
+ * @param {Object} files - 运行前的文件
+ * @returns {Object}
+ */
+const failedState = (error, files) => ({
+  line: null, done: true, error: { message: error.message, line: error.line }, steps: 0, output: [], trace: [], variables: {}, files
+});
+
+/**
+ * PseudocodeRunner 组件 - 9618 伪代码练习
+ * 在试卷旁编写并运行 Cambridge 伪代码：单步执行时高亮下一行，跟踪表记录每一步改变的变量和输出；
+ * 可以保存多组测试输入和期望输出一次全部运行，文件读写使用这里定义的文件；代码和测试按试卷保存
+ * @param {Object} props
+ * @param {string} props.paperId - 试卷ID
+ */
+const PseudocodeRunner = ({ paperId }) => {
+  const [pseudocode, setPseudocode] = useState(() => PaperWorkspace.get(paperId).pseudocode);
+  const [session, setSession] = useState(null);
+  const [activeTest, setActiveTest] = useState(0);
+  const [view, setView] = useState('output');
+  const [testResults, setTestResults] = useState(null);
+  const [scrollTop, setScrollTop] = useState(0);
+  const runnerRef = useRef(null);
+
+  useEffect(() => {
+    setPseudocode(PaperWorkspace.get(paperId).pseudocode);
+    setSession(null);
+    setTestResults(null);
+    setActiveTest(0);
+    runnerRef.current = null;
+    return PaperWorkspace.subscribe(() => setPseudocode(PaperWorkspace.get(paperId).pseudocode));
+  }, [paperId]);
+
+  const { source, tests, files } = pseudocode;
+  const test = tests[Math.min(activeTest, tests.length - 1)];
+  const stepping = Boolean(session && !session.done);
+
+  /**
+   * 保存修改；代码、测试或文件变化后之前的运行结果不再有效
+   * @param {Object} changes - 需要修改的字段
+   */
+  const save = (changes) => {
+    PaperWorkspace.update(paperId, { pseudocode: { ...pseudocode, ...changes } });
+    runnerRef.current = null;
+    setSession(null);
+    setTestResults(null);
+  };
+
+  /**
+   * 用当前测试输入开始一次新的运行
+   * @returns {boolean} 是否成功开始（语法错误时为 false）
+   */
+  const start = () => {
+    try {
+      runnerRef.current = Pseudocode.createRunner(Pseudocode.parse(source), { inputs: toInputs(test.input), files: toFiles(files) });
+      return true;
+    } catch (error) {
+      runnerRef.current = null;
+      setSession(failedState(error, toFiles(files)));
+      setView('output');
+      return false;
+    }
+  };
+
+  const handleRun = () => {
+    if (!stepping && !start()) return;
+    setSession(runnerRef.current.runToEnd());
+    setView(prev => (prev === 'tests' || prev === 'files' ? 'output' : prev));
+  };
+
+  const handleStep = () => {
+    if (!stepping && !start()) return;
+    setSession(runnerRef.current.step());
+  };
+
+  const handleRunTests = () => {
+    setTestResults(tests.map(item => {
+      const result = Pseudocode.run(source, { inputs: toInputs(item.input), files: toFiles(files) });
+      return { ...result, passed: !result.error && (!item.expected.trim() || Pseudocode.matchesExpected(result.output, item.expected)) };
+    }));
+    setView('tests');
+  };
+
+  /**
+   * 编辑器中按 Tab 插入缩进
+   * @param {KeyboardEvent} event - 键盘事件
+   */
+  const handleEditorKeyDown = (event) => {
+    if (event.key !== 'Tab') return;
+    event.preventDefault();
+    const { selectionStart, selectionEnd } = event.target;
+    const editor = event.target;
+    save({ source: source.slice(0, selectionStart) + INDENT + source.slice(selectionEnd) });
+    requestAnimationFrame(() => editor.setSelectionRange(selectionStart + INDENT.length, selectionStart + INDENT.length));
+  };
+
+  /**
+   * 修改第 index 组测试
+   * @param {number} index - 序号
+   * @param {Object} changes - { input, expected }
+   */
+  const updateTest = (index, changes) => save({ tests: tests.map((item, i) => (i === index ? { ...item, ...changes } : item)) });
+
+  /**
+   * 修改第 index 个文件
+   * @param {number} index - 序号
+   * @param {Object} changes - { name, content }
+   */
+  const updateFile = (index, changes) => save({ files: files.map((item, i) => (i === index ? { ...item, ...changes } : item)) });
+
+  const lineCount = Math.max(source.split('\n').length, 1);
+  const errorLine = session?.error?.line;
+  const traceColumns = session
+    ? Array.from(new Set(session.trace.flatMap(row => Object.keys(row.changes))))
+    : [];
+
+  return (
+    <div className="pseudocode-runner">
+      <div className="pseudocode-toolbar">
+        <button className="pseudocode-run" onClick={handleRun} disabled={!source.trim()}>
+          ▶ {stepping ? 'Continue' : 'Run'}
+        </button>
+        <button onClick={handleStep} disabled={!source.trim()}>⏭ Step</button>
+        <button onClick={() => { runnerRef.current = null; setSession(null); }} disabled={!session}>■ Reset</button>
+        <button onClick={handleRunTests} disabled={!source.trim()}>✓ Run all tests</button>
+        {tests.length > 1 && (
+          <select value={activeTest} onChange={(e) => { setActiveTest(Number(e.target.value)); runnerRef.current = null; setSession(null); }} aria-label="Test input">
+            {tests.map((_, index) => <option key={index} value={index}>Test {index + 1}</option>)}
+          </select>
+        )}
+        {session && (
+          <span className={`pseudocode-status ${session.error ? 'error' : ''}`}>
+            {session.error ? 'Error' : session.done ? `Finished · ${session.steps} steps` : `Next: line ${session.line}`}
+          </span>
+        )}
+      </div>
+
+      <div className="pseudocode-editor">
+        <div className="pseudocode-gutter" aria-hidden="true">
+          <div style={{ transform: `translateY(${-scrollTop}px)` }}>
+            {Array.from({ length: lineCount }, (_, index) => index + 1).map(line => (
+              <div
+                key={line}
+                className={`${stepping && session.line === line ? 'current' : ''} ${errorLine === line ? 'error' : ''}`}
+              >
+                {line}
+              </div>
+            ))}
+          </div>
+        </div>
+        <textarea
+          value={source}
+          onChange={(e) => save({ source: e.target.value })}
+          onKeyDown={handleEditorKeyDown}
+          onScroll={(e) => setScrollTop(e.target.scrollTop)}
+          placeholder={PLACEHOLDER}
+          spellCheck={false}
+          aria-label="Pseudocode"
+        />
+      </div>
+
+      <div className="tools-tabs pseudocode-views">
+        {VIEWS.map(item => (
+          <button key={item.id} className={view === item.id ? 'active' : ''} onClick={() => setView(item.id)}>
+            {item.name}
+          </button>
+        ))}
+      </div>
+
+      {view === 'output' && (
+        <div className="pseudocode-output">
+          {!session ? (
+            <p className="tools-empty">Run or step through the program to see its output.</p>
+          ) : (
+            <>
+              <pre>{session.output.join('\n')}</pre>
+              {session.error && (
+                <div className="calculator-error">
+                  {session.error.line ? `Line ${session.error.line}: ` : ''}{session.error.message}
+                </div>
+              )}
+              {session.done && Object.keys(session.files).length > 0 && (
+                <div className="pseudocode-files-after">
+                  <div className="tools-section-header"><span>Files after the run</span></div>
+                  {Object.entries(session.files).map(([name, content]) => (
+                    <div key={name}>
+                      <strong>{name}</strong>
+                      <pre>{content}</pre>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      )}
+
+      {view === 'trace' && (
+        !session || session.trace.length === 0 ? (
+          <p className="tools-empty">Each step that changes a variable or produces output adds a row here.</p>
+        ) : (
+          <div className="pseudocode-table">
+            <table>
+              <thead>
+                <tr>
+                  <th>Line</th>
+                  {traceColumns.map(column => <th key={column}>{column}</th>)}
+                  <th>OUTPUT</th>
+                </tr>
+              </thead>
+              <tbody>
+                {session.trace.map((row, index) => (
+                  <tr key={index}>
+                    <td>{row.line}</td>
+                    {traceColumns.map(column => <td key={column}>{row.changes[column] ?? ''}</td>)}
+                    <td>{row.output.join('\n')}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )
+      )}
+
+      {view === 'variables' && (
+        !session || Object.keys(session.variables).length === 0 ? (
+          <p className="tools-empty">Variables with a value appear here while you step through the program.</p>
+        ) : (
+          <div className="pseudocode-table">
+            <table>
+              <tbody>
+                {Object.entries(session.variables).map(([name, value]) => (
+                  <tr key={name}>
+                    <th>{name}</th>
+                    <td>{value}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )
+      )}
+
+      {view === 'tests' && (
+        <div className="pseudocode-tests">
+          {tests.map((item, index) => (
+            <div key={index} className={`pseudocode-test ${testResults ? (testResults[index].passed ? 'passed' : 'failed') : ''}`}>
+              <div className="tools-section-header">
+                <span>
+                  Test {index + 1}
+                  {testResults && (testResults[index].passed ? ' ✓ passed' : ' ✗ failed')}
+                </span>
+                {tests.length > 1 && (
+                  <button onClick={() => { save({ tests: tests.filter((_, i) => i !== index) }); setActiveTest(0); }} aria-label={`Remove test ${index + 1}`}>✕</button>
+                )}
+              </div>
+              <label>
+                Input (one value per INPUT, each on its own line)
+                <textarea value={item.input} onChange={(e) => updateTest(index, { input: e.target.value })} rows={3} spellCheck={false} />
+              </label>
+              <label>
+                Expected output (optional)
+                <textarea value={item.expected} onChange={(e) => updateTest(index, { expected: e.target.value })} rows={3} spellCheck={false} />
+              </label>
+              {testResults && !testResults[index].passed && (
+                <div className="calculator-error">
+                  {testResults[index].error
+                    ? `${testResults[index].error.line ? `Line ${testResults[index].error.line}: ` : ''}${testResults[index].error.message}`
+                    : <>Actual output:<pre>{testResults[index].output.join('\n')}</pre></>}
+                </div>
+              )}
+            </div>
+          ))}
+          <button className="grapher-add" onClick={() => save({ tests: [...tests, { input: '', expected: '' }] })}>+ Add test</button>
+        </div>
+      )}
+
+      {view === 'files' && (
+        <div className="pseudocode-tests">
+          {files.length === 0 && (
+            <p className="tools-empty">Add text files here for OPENFILE … FOR READ. Files written by the program are shown after each run.</p>
+          )}
+          {files.map((file, index) => (
+            <div key={index} className="pseudocode-test">
+              <div className="tools-section-header">
+                <input
+                  type="text"
+                  value={file.name}
+                  onChange={(e) => updateFile(index, { name: e.target.value })}
+                  placeholder="File name, e.g. Data.txt"
+                  aria-label={`File ${index + 1} name`}
+                />
+                <button onClick={() => save({ files: files.filter((_, i) => i !== index) })} aria-label={`Remove file ${index + 1}`}>✕</button>
+              </div>
+              <textarea value={file.content} onChange={(e) => updateFile(index, { content: e.target.value })} rows={4} spellCheck={false} />
+            </div>
+          ))}
+          <button className="grapher-add" onClick={() => save({ files: [...files, { name: '', content: '' }] })}>+ Add file</button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PseudocodeRunner;
@@ -0,0 +1,129 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { QuestionIndex } from './QuestionIndex.js';
+
+/**
+ * QuestionBrowser 组件 - 按知识点浏览题目
+ * 左侧为大纲章节与知识点（附带已索引的题目数量），右侧列出所选知识点在各年份试卷中的全部题目
+ * @param {Object} props
+ * @param {string} props.topicId - 课程代码
+ * @param {Function} props.onOpenQuestion - 打开题目的回调，参数为 (paper, question)
+ */
+const QuestionBrowser = ({ topicId, onOpenQuestion }) => {
+  const [selectedCode, setSelectedCode] = useState(null);
+  const [filterText, setFilterText] = useState('');
+  const [, setVersion] = useState(0);
+
+  const syllabus = useMemo(() => QuestionIndex.getSyllabus(topicId), [topicId]);
+
+  useEffect(() => {
+    setSelectedCode(null);
+    setFilterText('');
+  }, [topicId]);
+
+  /**
+   * 编辑器保存后刷新题目数量和列表
+   */
+  useEffect(() => {
+    return QuestionIndex.subscribe(() => setVersion(prev => prev + 1));
+  }, []);
+
+  if (!syllabus) {
+    return (
+      <div className="empty-state">
+        <p>No syllabus objectives are available for {topicId} yet.</p>
+      </div>
+    );
+  }
+
+  const keyword = filterText.trim().toLowerCase();
+  const sections = syllabus.sections
+    .map(section => ({
+      ...section,
+      objectives: section.objectives.filter(objective =>
+        !keyword ||
+        objective.code.startsWith(keyword) ||
+        objective.title.toLowerCase().includes(keyword) ||
+        section.title.toLowerCase().includes(keyword)
+      )
+    }))
+    .filter(section => section.objectives.length > 0);
+  const counts = QuestionIndex.countByObjective(topicId);
+  const indexedPaperCount = QuestionIndex.getIndexedPapers(topicId).length;
+  const selectedObjective = selectedCode ? QuestionIndex.getObjective(topicId, selectedCode) : null;
+  const matches = selectedObjective ? QuestionIndex.getQuestionsByObjective(topicId, selectedCode) : [];
+
+  return (
+    <div className="question-browser">
+      <div className="objective-list">
+        <input
+          type="text"
+          className="objective-filter"
+          placeholder="Filter objectives..."
+          value={filterText}
+          onChange={(e) => setFilterText(e.target.value)}
+        />
+        <p className="objective-list-meta">{syllabus.syllabusYears} syllabus · {indexedPaperCount} indexed papers</p>
+        {sections.map(section => (
+          <div key={section.code} className="objective-section">
+            <h4>{section.code} {section.title}</h4>
+            {section.objectives.map(objective => (
+              <button
+                key={objective.code}
+                className={`objective-item ${objective.code === selectedCode ? 'active' : ''} ${counts[objective.code] ? '' : 'no-questions'}`}
+                onClick={() => setSelectedCode(objective.code)}
+              >
+                <span className="objective-code">{objective.code}</span>
+                <span className="objective-title">{objective.title}</span>
+                <span className="objective-count">{counts[objective.code] || 0}</span>
+              </button>
+            ))}
+          </div>
+        ))}
+      </div>
+
+      <div className="objective-questions">
+        {!selectedObjective ? (
+          <div className="empty-state">
+            <p>Choose a syllabus objective to see every indexed question on it.</p>
+          </div>
+        ) : (
+          <>
+            <div className="objective-questions-header">
+              <h3>{selectedObjective.code} {selectedObjective.title}</h3>
+              <p>{selectedObjective.sectionTitle} · {matches.length} question{matches.length === 1 ? '' : 's'}</p>
+            </div>
+            {matches.length === 0 ? (
+              <div className="empty-state">
+                <p>No indexed questions are tagged with this objective yet.</p>
+              </div>
+            ) : (
+              <div className="objective-question-list">
+                {matches.map(({ paper, question }) => (
+                  <div key={`${paper.id}-${question.number}`} className="objective-question">
+                    <div className="objective-question-info">
+                      <strong>{paper.sessionName} {paper.year} · Paper {paper.component} · Q{question.number}</strong>
+                      <span>
+                        {question.pages[0] === question.pages[1] ? `p.${question.pages[0]}` : `pp.${question.pages[0]}–${question.pages[1]}`}
+                        {' · '}{question.marks} marks
+                      </span>
+                      <span className="question-index-tags">
+                        {question.objectives.map(code => (
+                          <span key={code} className={`objective-tag ${code === selectedCode ? 'current' : ''}`}>{code}</span>
+                        ))}
+                      </span>
+                    </div>
+                    <button className="action-btn view-btn" onClick={() => onOpenQuestion(paper, question)}>
+                      Open
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default QuestionBrowser;
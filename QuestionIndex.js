@@ -0,0 +1,241 @@
+// ==================== 题目索引 ====================
+import { questionIndexData, syllabusObjectivesData } from './mockData.js';
+import { PaperCatalog } from './PaperCatalog.js';
+import { AnswerChecker } from './AnswerChecker.js';
+
+/**
+ * 编辑后的题目索引的存储键，结构为 { [paperId]: Array<question> }，覆盖内置的索引数据
+ */
+const STORAGE_KEY = 'questionIndexEdits';
+
+/**
+ * 题目难度，从易到难
+ */
+export const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+/**
+ * 题目索引变化时的监听函数
+ */
+const listeners = new Set();
+
+/**
+ * 读取全部编辑记录
+ * @returns {Object}
+ */
+const readEdits = () => {
+  const saved = localStorage.getItem(STORAGE_KEY);
+  return saved ? JSON.parse(saved) : {};
+};
+
+/**
+ * 写入全部编辑记录并通知监听者
+ * @param {Object} edits - 全部编辑记录
+ */
+const writeEdits = (edits) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(edits));
+  listeners.forEach(listener => listener());
+};
+
+/**
+ * 题目索引工具类（知识点匹配）
+ * 每份试卷按题记录页码范围、分值和关联的大纲知识点，支持按知识点跨年份查找题目
+ * 题目结构：{ number, pages: [起始页, 结束页], marks, objectives: Array<知识点编号>, markSchemePages?, difficulty?, finalAnswers? }
+ * - finalAnswers: 评分标准中各小题的最终数值答案 [{ part, answer, sigFigs?, tolerance? }]，用于自评时检查答案（见 AnswerChecker）
+ * 内置数据来自 questionIndexData，编辑器中的修改保存在本地并覆盖内置数据
+ * 后端对接：可以通过 GET/PUT /api/papers/{paperId}/questions 读取和保存
+ */
+export const QuestionIndex = {
+  /**
+   * 获取课程的大纲知识点
+   * @param {string} topicId - 课程代码
+   * @returns {Object|null} { syllabusYears, sections: [{ code, title, objectives: [{ code, title }] }] }
+   */
+  getSyllabus: (topicId) => syllabusObjectivesData[topicId] || null,
+
+  /**
+   * 获取课程全部知识点（按大纲顺序展开）
+   * @param {string} topicId - 课程代码
+   * @returns {Array<Object>} [{ code, title, sectionCode, sectionTitle }]
+   */
+  getObjectives: (topicId) => {
+    const syllabus = QuestionIndex.getSyllabus(topicId);
+    if (!syllabus) return [];
+    return syllabus.sections.flatMap(section => section.objectives.map(objective => ({
+      ...objective,
+      sectionCode: section.code,
+      sectionTitle: section.title
+    })));
+  },
+
+  /**
+   * 查找知识点
+   * @param {string} topicId - 课程代码
+   * @param {string} code - 知识点编号
+   * @returns {Object|null}
+   */
+  getObjective: (topicId, code) => {
+    return QuestionIndex.getObjectives(topicId).find(objective => objective.code === code) || null;
+  },
+
+  /**
+   * 获取试卷的题目索引
+   * @param {string} paperId - 试卷ID
+   * @returns {Array<Object>} 按题号排序
+   */
+  getQuestions: (paperId) => {
+    return readEdits()[paperId] || questionIndexData[paperId] || [];
+  },
+
+  /**
+   * 试卷的索引是否在本地修改过
+   * @param {string} paperId - 试卷ID
+   * @returns {boolean}
+   */
+  isEdited: (paperId) => Boolean(readEdits()[paperId]),
+
+  /**
+   * 获取题目难度，未标注时按分值估计（4 分及以下为 easy，8 分及以下为 medium）
+   * @param {Object} question - 题目
+   * @returns {string} 'easy' | 'medium' | 'hard'
+   */
+  getDifficulty: (question) => {
+    if (question.difficulty) return question.difficulty;
+    if (question.marks <= 4) return 'easy';
+    if (question.marks <= 8) return 'medium';
+    return 'hard';
+  },
+
+  /**
+   * 检查题目索引
+   * @param {Array<Object>} questions - 题目索引
+   * @param {string} topicId - 课程代码，用于检查知识点编号
+   * @returns {Array<string>} 错误信息，为空表示通过
+   */
+  validateQuestions: (questions, topicId) => {
+    const errors = [];
+    const objectiveCodes = new Set(QuestionIndex.getObjectives(topicId).map(objective => objective.code));
+    const seen = new Set();
+
+    questions.forEach(question => {
+      const label = `Question ${question.number}`;
+      if (!Number.isInteger(question.number) || question.number < 1) {
+        errors.push('Every question needs a question number of 1 or more');
+      } else if (seen.has(question.number)) {
+        errors.push(`${label} appears more than once`);
+      }
+      seen.add(question.number);
+
+      const [start, end] = question.pages;
+      if (!Number.isInteger(start) || !Number.isInteger(end) || start < 1 || end < start) {
+        errors.push(`${label}: page range must run from a start page to an end page on or after it`);
+      }
+      if (question.markSchemePages) {
+        const [msStart, msEnd] = question.markSchemePages;
+        if (!Number.isInteger(msStart) || !Number.isInteger(msEnd) || msStart < 1 || msEnd < msStart) {
+          errors.push(`${label}: mark scheme page range must run from a start page to an end page on or after it`);
+        }
+      }
+      if (!Number.isInteger(question.marks) || question.marks < 1) {
+        errors.push(`${label}: marks must be at least 1`);
+      }
+      if (question.difficulty && !DIFFICULTIES.includes(question.difficulty)) {
+        errors.push(`${label}: unknown difficulty ${question.difficulty}`);
+      }
+      if (question.objectives.length === 0) {
+        errors.push(`${label}: tag at least one syllabus objective`);
+      }
+      question.objectives
+        .filter(code => !objectiveCodes.has(code))
+        .forEach(code => errors.push(`${label}: unknown objective ${code}`));
+      (question.finalAnswers || []).forEach(spec => {
+        if (!spec.part.trim()) {
+          errors.push(`${label}: every final answer needs a part, e.g. (b)(ii)`);
+          return;
+        }
+        const error = AnswerChecker.validateSpec(spec);
+        if (error) errors.push(`${label} ${spec.part}: ${error}`);
+      });
+    });
+
+    return errors;
+  },
+
+  /**
+   * 保存试卷的题目索引
+   * @param {Object} paper - 试卷目录条目
+   * @param {Array<Object>} questions - 题目索引
+   * @returns {Object} { success, errors }
+   */
+  saveQuestions: (paper, questions) => {
+    const errors = QuestionIndex.validateQuestions(questions, paper.topicId);
+    if (errors.length > 0) return { success: false, errors };
+
+    const edits = readEdits();
+    edits[paper.id] = [...questions].sort((a, b) => a.number - b.number);
+    writeEdits(edits);
+    return { success: true, errors: [] };
+  },
+
+  /**
+   * 撤销本地修改，恢复内置的索引
+   * @param {string} paperId - 试卷ID
+   */
+  resetQuestions: (paperId) => {
+    const edits = readEdits();
+    delete edits[paperId];
+    writeEdits(edits);
+  },
+
+  /**
+   * 订阅题目索引变化
+   * @param {Function} listener - 回调
+   * @returns {Function} 取消订阅函数
+   */
+  subscribe: (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  },
+
+  /**
+   * 获取课程中已建立索引的试卷
+   * @param {string} topicId - 课程代码
+   * @returns {Array<Object>} 试卷目录条目，按年份倒序
+   */
+  getIndexedPapers: (topicId) => {
+    const edits = readEdits();
+    return PaperCatalog.getPapersByTopic(topicId).filter(paper =>
+      (edits[paper.id] || questionIndexData[paper.id] || []).length > 0
+    );
+  },
+
+  /**
+   * 按知识点查找题目（跨年份）
+   * @param {string} topicId - 课程代码
+   * @param {string} code - 知识点编号
+   * @returns {Array<Object>} [{ paper, question }]，按年份倒序、题号正序
+   */
+  getQuestionsByObjective: (topicId, code) => {
+    return QuestionIndex.getIndexedPapers(topicId).flatMap(paper =>
+      QuestionIndex.getQuestions(paper.id)
+        .filter(question => question.objectives.includes(code))
+        .map(question => ({ paper, question }))
+    );
+  },
+
+  /**
+   * 统计每个知识点关联的题目数量
+   * @param {string} topicId - 课程代码
+   * @returns {Object} { [知识点编号]: 题目数量 }
+   */
+  countByObjective: (topicId) => {
+    const counts = {};
+    QuestionIndex.getIndexedPapers(topicId).forEach(paper => {
+      QuestionIndex.getQuestions(paper.id).forEach(question => {
+        question.objectives.forEach(code => {
+          counts[code] = (counts[code] || 0) + 1;
+        });
+      });
+    });
+    return counts;
+  }
+};
@@ -0,0 +1,75 @@
+import { QuestionIndex } from './QuestionIndex';
+import { PaperCatalog } from './PaperCatalog';
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+test('lists syllabus objectives in syllabus order', () => {
+  const objectives = QuestionIndex.getObjectives('9702');
+  expect(objectives[0]).toEqual(expect.objectContaining({ code: '1.1', sectionCode: '1' }));
+  expect(QuestionIndex.getObjective('9702', '22.2').title).toBe('Photoelectric effect');
+  expect(QuestionIndex.getObjectives('0000')).toEqual([]);
+});
+
+test('finds questions for an objective across years, newest first', () => {
+  const counts = QuestionIndex.countByObjective('9702');
+  const [code] = Object.entries(counts).find(([, count]) => count > 1);
+  const matches = QuestionIndex.getQuestionsByObjective('9702', code);
+
+  expect(matches).toHaveLength(counts[code]);
+  matches.forEach(({ question }) => expect(question.objectives).toContain(code));
+  const years = matches.map(({ paper }) => Number(paper.year));
+  expect([...years].sort((a, b) => b - a)).toEqual(years);
+});
+
+test('rejects invalid question entries', () => {
+  const errors = QuestionIndex.validateQuestions([
+    { number: 1, pages: [3, 2], marks: 4, objectives: ['1.1'] },
+    { number: 1, pages: [4, 4], marks: 0, objectives: [] },
+    { number: 2, pages: [5, 5], marks: 3, objectives: ['99.9'] },
+    {
+      number: 3, pages: [6, 6], marks: 5, objectives: ['1.1'],
+      finalAnswers: [
+        { part: '(a)', answer: '2.4 m s^-1', sigFigs: 2 },
+        { part: '', answer: '1 s' },
+        { part: '(b)', answer: '7 parsecs' }
+      ]
+    }
+  ], '9702');
+
+  expect(errors).toEqual([
+    'Question 1: page range must run from a start page to an end page on or after it',
+    'Question 1 appears more than once',
+    'Question 1: marks must be at least 1',
+    'Question 1: tag at least one syllabus objective',
+    'Question 2: unknown objective 99.9',
+    'Question 3: every final answer needs a part, e.g. (b)(ii)',
+    'Question 3 (b): Unknown unit "parsecs"'
+  ]);
+});
+
+test('saves edits over the built-in index and restores them', () => {
+  const paper = PaperCatalog.getPaperById('9702_s19_qp_22');
+  expect(QuestionIndex.getQuestions(paper.id)).toEqual([]);
+
+  const listener = jest.fn();
+  const unsubscribe = QuestionIndex.subscribe(listener);
+  const result = QuestionIndex.saveQuestions(paper, [
+    { number: 2, pages: [4, 5], marks: 8, objectives: ['9.3'] },
+    { number: 1, pages: [2, 3], marks: 6, objectives: ['2.1', '3.1'] }
+  ]);
+  unsubscribe();
+
+  expect(result.success).toBe(true);
+  expect(listener).toHaveBeenCalled();
+  expect(QuestionIndex.getQuestions(paper.id).map(question => question.number)).toEqual([1, 2]);
+  expect(QuestionIndex.getQuestionsByObjective('9702', '9.3')).toContainEqual({
+    paper,
+    question: { number: 2, pages: [4, 5], marks: 8, objectives: ['9.3'] }
+  });
+
+  QuestionIndex.resetQuestions(paper.id);
+  expect(QuestionIndex.isEdited(paper.id)).toBe(false);
+  expect(QuestionIndex.getQuestions(paper.id)).toEqual([]);
+});
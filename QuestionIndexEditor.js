@@ -0,0 +1,311 @@
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import { QuestionIndex, DIFFICULTIES } from './QuestionIndex.js';
+
+/**
+ * 把题目索引转换为表单行（输入框使用字符串）
+ * @param {Array<Object>} questions - 题目索引
+ * @returns {Array<Object>}
+ */
+const toRows = (questions) => questions.map(question => ({
+  number: String(question.number),
+  startPage: String(question.pages[0]),
+  endPage: String(question.pages[1]),
+  marks: String(question.marks),
+  msStartPage: question.markSchemePages ? String(question.markSchemePages[0]) : '',
+  msEndPage: question.markSchemePages ? String(question.markSchemePages[1]) : '',
+  difficulty: question.difficulty || '',
+  objectives: question.objectives,
+  finalAnswers: (question.finalAnswers || []).map(spec => ({
+    part: spec.part,
+    answer: spec.answer,
+    sigFigs: spec.sigFigs ? String(spec.sigFigs) : '',
+    tolerance: spec.tolerance || ''
+  }))
+}));
+
+/**
+ * 把表单行转换为题目索引，评分标准页码、难度和最终答案留空时不保存
+ * @param {Array<Object>} rows - 表单行
+ * @returns {Array<Object>}
+ */
+const toQuestions = (rows) => rows.map(row => ({
+  number: Number(row.number),
+  pages: [Number(row.startPage), Number(row.endPage)],
+  marks: Number(row.marks),
+  objectives: row.objectives,
+  ...(row.msStartPage !== '' && {
+    markSchemePages: [Number(row.msStartPage), Number(row.msEndPage || row.msStartPage)]
+  }),
+  ...(row.difficulty && { difficulty: row.difficulty }),
+  ...(row.finalAnswers.length > 0 && {
+    finalAnswers: row.finalAnswers.map(spec => ({
+      part: spec.part.trim(),
+      answer: spec.answer.trim(),
+      ...(spec.sigFigs !== '' && { sigFigs: Number(spec.sigFigs) }),
+      ...(spec.tolerance.trim() && { tolerance: spec.tolerance.trim() })
+    }))
+  })
+}));
+
+/**
+ * QuestionIndexEditor 组件 - 题目索引编辑器
+ * 显示在试卷预览旁边，按题填写页码范围、分值、评分标准页码、难度和最终数值答案并标注大纲知识点；
+ * 可以把 PDF 当前页填入页码，或点击页码跳转到该题
+ * @param {Object} props
+ * @param {Object} props.paper - 试卷目录条目
+ * @param {number|null} props.currentPage - PDF 查看器的当前页
+ * @param {Function} props.onJumpToPage - 跳转到指定页的回调
+ */
+const QuestionIndexEditor = ({ paper, currentPage, onJumpToPage }) => {
+  const [rows, setRows] = useState([]);
+  const [errors, setErrors] = useState([]);
+  const [savedMessage, setSavedMessage] = useState('');
+  const [isEdited, setIsEdited] = useState(false);
+
+  const syllabus = useMemo(() => QuestionIndex.getSyllabus(paper.topicId), [paper]);
+
+  /**
+   * 载入试卷的索引
+   */
+  const load = useCallback(() => {
+    setRows(toRows(QuestionIndex.getQuestions(paper.id)));
+    setIsEdited(QuestionIndex.isEdited(paper.id));
+    setErrors([]);
+  }, [paper]);
+
+  // 切换试卷时重新载入
+  useEffect(() => {
+    load();
+    setSavedMessage('');
+  }, [load]);
+
+  /**
+   * 更新某一行
+   * @param {number} index - 行号
+   * @param {Object} changes - 需要更新的字段
+   */
+  const updateRow = (index, changes) => {
+    setRows(prev => prev.map((row, i) => (i === index ? { ...row, ...changes } : row)));
+    setSavedMessage('');
+  };
+
+  /**
+   * 更新某一题的某个最终答案
+   * @param {number} index - 行号
+   * @param {number} answerIndex - 最终答案序号
+   * @param {Object} changes - 需要更新的字段
+   */
+  const updateFinalAnswer = (index, answerIndex, changes) => {
+    updateRow(index, {
+      finalAnswers: rows[index].finalAnswers.map((spec, i) => (i === answerIndex ? { ...spec, ...changes } : spec))
+    });
+  };
+
+  /**
+   * 添加一道题，页码接在上一题之后
+   */
+  const addRow = () => {
+    setRows(prev => {
+      const last = prev[prev.length - 1];
+      const startPage = last ? String(Number(last.endPage) + 1) : String(currentPage || 1);
+      return [...prev, {
+        number: String(last ? Number(last.number) + 1 : 1),
+        startPage,
+        endPage: startPage,
+        marks: '',
+        msStartPage: '',
+        msEndPage: '',
+        difficulty: '',
+        objectives: [],
+        finalAnswers: []
+      }];
+    });
+  };
+
+  /**
+   * 保存索引
+   */
+  const handleSave = () => {
+    const result = QuestionIndex.saveQuestions(paper, toQuestions(rows));
+    setErrors(result.errors);
+    if (result.success) {
+      load();
+      setSavedMessage(`Saved ${rows.length} question${rows.length === 1 ? '' : 's'}`);
+    }
+  };
+
+  /**
+   * 撤销本地修改
+   */
+  const handleReset = () => {
+    if (!window.confirm('Discard your changes and restore the built-in index for this paper?')) return;
+    QuestionIndex.resetQuestions(paper.id);
+    load();
+    setSavedMessage('Restored the built-in index');
+  };
+
+  const totalMarks = rows.reduce((sum, row) => sum + (Number(row.marks) || 0), 0);
+
+  if (!syllabus) {
+    return (
+      <aside className="question-index-editor">
+        <div className="mcq-sheet-header">
+          <h3>Question index</h3>
+        </div>
+        <p className="question-index-empty">No syllabus objectives are available for {paper.topicId} yet.</p>
+      </aside>
+    );
+  }
+
+  return (
+    <aside className="question-index-editor">
+      <div className="mcq-sheet-header">
+        <h3>Question index</h3>
+        <span className="mcq-progress">{rows.length} questions · {totalMarks} marks</span>
+      </div>
+      <p className="question-index-syllabus">Tagged against the {syllabus.syllabusYears} syllabus</p>
+
+      <div className="question-index-rows">
+        {rows.map((row, index) => (
+          <div key={index} className="question-index-row">
+            <div className="question-index-fields">
+              <label>
+                Q
+                <input type="number" min="1" value={row.number} onChange={(e) => updateRow(index, { number: e.target.value })} />
+              </label>
+              <label>
+                pp.
+                <input type="number" min="1" value={row.startPage} onChange={(e) => updateRow(index, { startPage: e.target.value })} aria-label={`Question ${row.number} start page`} />
+                –
+                <input type="number" min="1" value={row.endPage} onChange={(e) => updateRow(index, { endPage: e.target.value })} aria-label={`Question ${row.number} end page`} />
+              </label>
+              <label>
+                <input type="number" min="1" value={row.marks} onChange={(e) => updateRow(index, { marks: e.target.value })} aria-label={`Question ${row.number} marks`} />
+                marks
+              </label>
+              <label>
+                MS pp.
+                <input type="number" min="1" value={row.msStartPage} onChange={(e) => updateRow(index, { msStartPage: e.target.value })} aria-label={`Question ${row.number} mark scheme start page`} />
+                –
+                <input type="number" min="1" value={row.msEndPage} onChange={(e) => updateRow(index, { msEndPage: e.target.value })} aria-label={`Question ${row.number} mark scheme end page`} />
+              </label>
+              <select value={row.difficulty} onChange={(e) => updateRow(index, { difficulty: e.target.value })} aria-label={`Question ${row.number} difficulty`}>
+                <option value="">Difficulty: by marks</option>
+                {DIFFICULTIES.map(difficulty => (
+                  <option key={difficulty} value={difficulty}>{difficulty}</option>
+                ))}
+              </select>
+            </div>
+
+            <div className="question-index-actions">
+              <button type="button" onClick={() => onJumpToPage(Number(row.startPage))} title="Show this question in the viewer">Go to</button>
+              {currentPage && (
+                <button
+                  type="button"
+                  onClick={() => updateRow(index, { startPage: String(currentPage), endPage: String(Math.max(currentPage, Number(row.endPage) || currentPage)) })}
+                  title="Start this question on the page shown in the viewer"
+                >
+                  Starts on p.{currentPage}
+                </button>
+              )}
+              <button type="button" className="question-index-remove" onClick={() => setRows(prev => prev.filter((_, i) => i !== index))}>Remove</button>
+            </div>
+
+            <div className="question-index-tags">
+              {row.objectives.map(code => (
+                <span key={code} className="objective-tag" title={QuestionIndex.getObjective(paper.topicId, code)?.title || 'Unknown objective'}>
+                  {code}
+                  <button type="button" onClick={() => updateRow(index, { objectives: row.objectives.filter(c => c !== code) })} aria-label={`Remove ${code}`}>×</button>
+                </span>
+              ))}
+              <select
+                value=""
+                onChange={(e) => e.target.value && updateRow(index, { objectives: [...row.objectives, e.target.value] })}
+                aria-label={`Add objective to question ${row.number}`}
+              >
+                <option value="">+ Objective</option>
+                {syllabus.sections.map(section => (
+                  <optgroup key={section.code} label={`${section.code} ${section.title}`}>
+                    {section.objectives
+                      .filter(objective => !row.objectives.includes(objective.code))
+                      .map(objective => (
+                        <option key={objective.code} value={objective.code}>{objective.code} {objective.title}</option>
+                      ))}
+                  </optgroup>
+                ))}
+              </select>
+            </div>
+
+            <div className="question-index-answers">
+              {row.finalAnswers.map((spec, answerIndex) => (
+                <div key={answerIndex} className="question-index-answer">
+                  <input
+                    className="question-index-answer-part"
+                    placeholder="(a)"
+                    value={spec.part}
+                    onChange={(e) => updateFinalAnswer(index, answerIndex, { part: e.target.value })}
+                    aria-label={`Question ${row.number} answer part`}
+                  />
+                  <input
+                    placeholder="2.4 m s^-1"
+                    value={spec.answer}
+                    onChange={(e) => updateFinalAnswer(index, answerIndex, { answer: e.target.value })}
+                    aria-label={`Question ${row.number} ${spec.part} final answer`}
+                  />
+                  <input
+                    className="question-index-answer-sf"
+                    type="number"
+                    min="1"
+                    placeholder="s.f."
+                    value={spec.sigFigs}
+                    onChange={(e) => updateFinalAnswer(index, answerIndex, { sigFigs: e.target.value })}
+                    aria-label={`Question ${row.number} ${spec.part} significant figures`}
+                    title="Significant figures the mark scheme asks for (optional)"
+                  />
+                  <input
+                    className="question-index-answer-tolerance"
+                    placeholder="±0.1"
+                    value={spec.tolerance}
+                    onChange={(e) => updateFinalAnswer(index, answerIndex, { tolerance: e.target.value })}
+                    aria-label={`Question ${row.number} ${spec.part} tolerance`}
+                    title="Accepted range: ±0.1, 2% or 2.3 to 2.5 (optional)"
+                  />
+                  <button
+                    type="button"
+                    onClick={() => updateRow(index, { finalAnswers: row.finalAnswers.filter((_, i) => i !== answerIndex) })}
+                    aria-label={`Remove answer ${spec.part}`}
+                  >
+                    ×
+                  </button>
+                </div>
+              ))}
+              <button
+                type="button"
+                className="self-mark-add-row"
+                onClick={() => updateRow(index, { finalAnswers: [...row.finalAnswers, { part: '', answer: '', sigFigs: '', tolerance: '' }] })}
+              >
+                + Final answer
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <button type="button" className="self-mark-add-row" onClick={addRow}>+ Add question</button>
+
+      {errors.length > 0 && (
+        <ul className="question-index-errors">
+          {errors.map(error => <li key={error}>⚠️ {error}</li>)}
+        </ul>
+      )}
+
+      <button type="button" className="mcq-submit-btn" onClick={handleSave}>Save index</button>
+      {isEdited && (
+        <button type="button" className="question-index-reset" onClick={handleReset}>Restore built-in index</button>
+      )}
+      {savedMessage && <p className="self-mark-saved">✓ {savedMessage}</p>}
+    </aside>
+  );
+};
+
+export default QuestionIndexEditor;
@@ -0,0 +1,143 @@
+// ==================== 数据手册 ====================
+import { referenceBookletData, periodicTableData } from './mockData.js';
+
+/**
+ * 镧系和锕系元素的原子序数范围，在周期表下方单独成行
+ */
+const F_BLOCKS = [
+  { first: 57, last: 71, row: 9 },
+  { first: 89, last: 103, row: 10 }
+];
+
+/**
+ * 元素在周期表中的位置
+ * @param {number} number - 原子序数
+ * @returns {Object} { period, group, row, column }，镧系和锕系元素的 group 为 null
+ */
+const elementPosition = (number) => {
+  const fBlock = F_BLOCKS.find(block => number >= block.first && number <= block.last);
+  if (fBlock) {
+    return { period: fBlock.row - 3, group: null, row: fBlock.row, column: number - fBlock.first + 3 };
+  }
+
+  // 每个周期的起始原子序数
+  const starts = [1, 3, 11, 19, 37, 55, 87];
+  const period = starts.filter(start => number >= start).length;
+  const offset = number - starts[period - 1];
+  let group;
+  if (period === 1) {
+    group = number === 1 ? 1 : 18;
+  } else if (period <= 3) {
+    group = offset < 2 ? offset + 1 : offset + 11;
+  } else if (period <= 5) {
+    group = offset + 1;
+  } else {
+    // 第 6、7 周期跳过镧系和锕系的 14 个元素
+    group = offset < 2 ? offset + 1 : offset - 13;
+  }
+  return { period, group, row: period, column: group };
+};
+
+/**
+ * 解析大纲年份范围
+ * @param {string} syllabusYears - 例如 '2022-2027'
+ * @returns {Array<number>} [起始年份, 结束年份]
+ */
+const yearRange = (syllabusYears) => {
+  const [start, end] = syllabusYears.split('-').map(Number);
+  return [start, end || start];
+};
+
+/**
+ * 条目是否包含全部搜索词
+ * @param {Array<string>} fields - 可搜索的文字
+ * @param {Array<string>} words - 小写的搜索词
+ * @returns {boolean}
+ */
+const matchesWords = (fields, words) => {
+  const text = fields.filter(Boolean).join(' ').toLowerCase();
+  return words.every(word => text.includes(word));
+};
+
+/**
+ * 数据手册工具类
+ * 物理 9702、化学 9701 和数学 9709 考试时提供的数据手册、公式表和元素周期表，按大纲年份区分版本，支持搜索
+ * 后端对接：可以通过 GET /api/topics/{topicId}/reference-booklets 获取
+ */
+export const ReferenceBooklets = {
+  /**
+   * 获取有数据手册的课程
+   * @returns {Array<string>} 课程代码
+   */
+  getTopicIds: () => Object.keys(referenceBookletData),
+
+  /**
+   * 获取课程的全部版本
+   * @param {string} topicId - 课程代码
+   * @returns {Array<Object>} 按大纲年份排列 [{ syllabusYears, title, sections, periodicTable? }]
+   */
+  getEditions: (topicId) => referenceBookletData[topicId] || [],
+
+  /**
+   * 获取某一年试卷适用的版本；年份早于全部版本时取最早的版本，晚于全部版本或未知时取最新的版本
+   * @param {string} topicId - 课程代码
+   * @param {number|null} year - 试卷年份
+   * @returns {Object|null}
+   */
+  getBooklet: (topicId, year) => {
+    const editions = ReferenceBooklets.getEditions(topicId);
+    if (editions.length === 0) return null;
+    if (!year) return editions[editions.length - 1];
+    const covering = editions.find(edition => {
+      const [start, end] = yearRange(edition.syllabusYears);
+      return year >= start && year <= end;
+    });
+    if (covering) return covering;
+    const earlier = editions.filter(edition => yearRange(edition.syllabusYears)[0] <= year);
+    return earlier.length > 0 ? earlier[earlier.length - 1] : editions[0];
+  },
+
+  /**
+   * 获取元素周期表
+   * @returns {Array<Object>} [{ number, symbol, name, mass, period, group, row, column }]
+   */
+  getElements: () => periodicTableData.map(([symbol, name, mass], index) => ({
+    number: index + 1,
+    symbol,
+    name,
+    mass,
+    ...elementPosition(index + 1)
+  })),
+
+  /**
+   * 在数据手册中搜索，搜索词不区分大小写，条目需包含全部搜索词
+   * 元素按名称、元素符号（完全一致）或原子序数匹配，元素符号一致的排在前面
+   * @param {Object} booklet - 数据手册版本
+   * @param {string} query - 搜索词，例如 'Planck'、'quadratic'
+   * @returns {Object} { sections: [{ title, entries }], elements: Array<元素> }，只包含匹配的章节
+   */
+  search: (booklet, query) => {
+    const words = query.trim().toLowerCase().split(/\s+/).filter(Boolean);
+    const elements = booklet.periodicTable ? ReferenceBooklets.getElements() : [];
+    if (words.length === 0) return { sections: booklet.sections, elements };
+
+    const sections = booklet.sections
+      .map(section => ({
+        ...section,
+        entries: section.entries.filter(entry => matchesWords(
+          [section.title, entry.name, entry.symbol, entry.formula, entry.value, entry.unit, ...(entry.keywords || [])],
+          words
+        ))
+      }))
+      .filter(section => section.entries.length > 0);
+
+    const text = words.join(' ');
+    const isSymbol = (element) => element.symbol.toLowerCase() === text;
+    return {
+      sections,
+      elements: elements
+        .filter(element => isSymbol(element) || element.name.toLowerCase().includes(text) || String(element.number) === text)
+        .sort((a, b) => isSymbol(b) - isSymbol(a))
+    };
+  }
+};
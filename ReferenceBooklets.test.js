@@ -0,0 +1,41 @@
+import { ReferenceBooklets } from './ReferenceBooklets';
+
+test('picks the edition for the syllabus year of a paper', () => {
+  expect(ReferenceBooklets.getBooklet('9709', 2019).title).toMatch(/MF9\)/);
+  expect(ReferenceBooklets.getBooklet('9709', 2023).title).toMatch(/MF19/);
+  expect(ReferenceBooklets.getBooklet('9709', 2015).syllabusYears).toBe('2017-2019');
+  expect(ReferenceBooklets.getBooklet('9702', 2030).syllabusYears).toBe('2022-2027');
+  expect(ReferenceBooklets.getBooklet('9702', null).syllabusYears).toBe('2022-2027');
+  expect(ReferenceBooklets.getBooklet('9618', 2023)).toBeNull();
+});
+
+test('searches entries by name, symbol and keyword', () => {
+  const physics = ReferenceBooklets.getBooklet('9702', 2023);
+  const planck = ReferenceBooklets.search(physics, 'Planck');
+  expect(planck.sections).toHaveLength(1);
+  expect(planck.sections[0].entries.map(entry => entry.value)).toEqual(['6.63 × 10⁻³⁴']);
+  expect(ReferenceBooklets.search(physics, 'SUVAT').sections[0].entries[0].name).toBe('Uniformly accelerated motion');
+  expect(ReferenceBooklets.search(physics, 'capacitors parallel').sections[0].entries).toHaveLength(1);
+  expect(ReferenceBooklets.search(physics, '').sections).toBe(physics.sections);
+
+  const maths = ReferenceBooklets.getBooklet('9709', 2023);
+  expect(ReferenceBooklets.search(maths, 'quadratic').sections[0].entries[0].formula).toContain('b² − 4ac');
+  expect(ReferenceBooklets.search(ReferenceBooklets.getBooklet('9709', 2018), 'geometric distribution').sections).toEqual([]);
+});
+
+test('lays out the periodic table and finds elements', () => {
+  const elements = ReferenceBooklets.getElements();
+  expect(elements).toHaveLength(118);
+  const at = (symbol) => elements.find(element => element.symbol === symbol);
+  expect(at('B')).toMatchObject({ number: 5, period: 2, group: 13 });
+  expect(at('Fe')).toMatchObject({ period: 4, group: 8, mass: 55.8 });
+  expect(at('Hf')).toMatchObject({ period: 6, group: 4 });
+  expect(at('Og')).toMatchObject({ period: 7, group: 18 });
+  expect(at('Ce')).toMatchObject({ period: 6, group: null, row: 9, column: 4 });
+
+  const chemistry = ReferenceBooklets.getBooklet('9701', 2024);
+  expect(ReferenceBooklets.search(chemistry, 'c').elements[0].name).toBe('Carbon');
+  expect(ReferenceBooklets.search(chemistry, 'fe').elements.map(element => element.name)).toEqual(['Iron', 'Fermium']);
+  expect(ReferenceBooklets.search(chemistry, 'iron').sections[0].entries).toHaveLength(2);
+  expect(ReferenceBooklets.search(chemistry, '29').elements[0].symbol).toBe('Cu');
+});
@@ -0,0 +1,146 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { ReferenceBooklets } from './ReferenceBooklets.js';
+import { subjectsData } from './mockData.js';
+
+/**
+ * 查找课程名称
+ * @param {string} topicId - 课程代码
+ * @returns {string}
+ */
+const topicName = (topicId) => {
+  for (const subject of Object.values(subjectsData)) {
+    const topic = subject.topics.find(t => t.id === topicId);
+    if (topic) return topic.name;
+  }
+  return topicId;
+};
+
+/**
+ * ReferenceDrawer 组件 - 数据手册抽屉
+ * 从试卷预览或工具栏打开，显示课程在该大纲年份的数据手册、公式表和元素周期表，可以搜索条目和元素；
+ * 也可以切换到其他课程或其他版本
+ * @param {Object} props
+ * @param {string|null} props.topicId - 当前课程代码，没有数据手册时显示第一门课程
+ * @param {number|null} props.year - 当前试卷的年份，用于选择版本；为空时显示最新版本
+ * @param {Function} props.onClose - 关闭抽屉
+ */
+const ReferenceDrawer = ({ topicId, year, onClose }) => {
+  const topicIds = ReferenceBooklets.getTopicIds();
+  const initialTopicId = topicIds.includes(topicId) ? topicId : topicIds[0];
+  const [selectedTopicId, setSelectedTopicId] = useState(initialTopicId);
+  const [syllabusYears, setSyllabusYears] = useState(() => ReferenceBooklets.getBooklet(initialTopicId, year).syllabusYears);
+  const [query, setQuery] = useState('');
+
+  useEffect(() => {
+    setSelectedTopicId(initialTopicId);
+    setSyllabusYears(ReferenceBooklets.getBooklet(initialTopicId, year).syllabusYears);
+  }, [initialTopicId, year]);
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  const editions = ReferenceBooklets.getEditions(selectedTopicId);
+  const booklet = editions.find(edition => edition.syllabusYears === syllabusYears) || ReferenceBooklets.getBooklet(selectedTopicId, year);
+  // 试卷所属课程的适用版本，在版本列表中标出
+  const paperEdition = selectedTopicId === topicId && year ? ReferenceBooklets.getBooklet(topicId, year) : null;
+  const results = useMemo(() => ReferenceBooklets.search(booklet, query), [booklet, query]);
+  const matchedElements = new Set(results.elements.map(element => element.number));
+  const showTable = booklet.periodicTable && (!query.trim() || results.elements.length > 0);
+
+  /**
+   * 切换课程，版本按当前试卷年份选择
+   * @param {string} nextTopicId - 课程代码
+   */
+  const handleTopicChange = (nextTopicId) => {
+    setSelectedTopicId(nextTopicId);
+    setSyllabusYears(ReferenceBooklets.getBooklet(nextTopicId, year).syllabusYears);
+  };
+
+  return (
+    <div className="reference-drawer-backdrop" onClick={onClose}>
+      <aside className="reference-drawer" onClick={(e) => e.stopPropagation()} aria-label="Data booklet">
+        <div className="reference-drawer-header">
+          <h3>📘 {booklet.title}</h3>
+          <button className="reference-drawer-close" onClick={onClose} aria-label="Close data booklet">×</button>
+        </div>
+
+        <div className="reference-drawer-controls">
+          <select value={selectedTopicId} onChange={(e) => handleTopicChange(e.target.value)} aria-label="Syllabus">
+            {topicIds.map(id => (
+              <option key={id} value={id}>{id} {topicName(id)}</option>
+            ))}
+          </select>
+          <select value={booklet.syllabusYears} onChange={(e) => setSyllabusYears(e.target.value)} aria-label="Syllabus years">
+            {editions.map(edition => (
+              <option key={edition.syllabusYears} value={edition.syllabusYears}>
+                {edition.syllabusYears} syllabus{edition === paperEdition ? ' (this paper)' : ''}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <input
+          className="reference-drawer-search"
+          type="search"
+          placeholder="Search, e.g. Planck or quadratic"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          autoFocus
+        />
+
+        <div className="reference-drawer-body">
+          {results.sections.length === 0 && !showTable && (
+            <p className="reference-drawer-empty">Nothing in this booklet matches “{query.trim()}”.</p>
+          )}
+
+          {results.sections.map(section => (
+            <section key={section.title} className="reference-section">
+              <h4>{section.title}</h4>
+              <dl>
+                {section.entries.map(entry => (
+                  <div key={entry.name} className="reference-entry">
+                    <dt>
+                      {entry.name}
+                      {entry.symbol && <span className="reference-symbol">{entry.symbol}</span>}
+                    </dt>
+                    <dd>
+                      {entry.formula && <span className="reference-formula">{entry.formula}</span>}
+                      {entry.value && <span className="reference-value">{entry.value}{entry.unit ? ` ${entry.unit}` : ''}</span>}
+                    </dd>
+                  </div>
+                ))}
+              </dl>
+            </section>
+          ))}
+
+          {showTable && (
+            <section className="reference-section">
+              <h4>Periodic table</h4>
+              <div className={`periodic-table ${query.trim() ? 'filtered' : ''}`}>
+                {ReferenceBooklets.getElements().map(element => (
+                  <div
+                    key={element.number}
+                    className={`periodic-element ${matchedElements.has(element.number) ? 'matched' : ''}`}
+                    style={{ gridRow: element.row, gridColumn: element.column }}
+                    title={`${element.name} (${element.number})${element.mass ? ` · Ar ${element.mass.toFixed(1)}` : ''}`}
+                  >
+                    <span className="periodic-number">{element.number}</span>
+                    <span className="periodic-symbol">{element.symbol}</span>
+                    <span className="periodic-mass">{element.mass ? element.mass.toFixed(1) : '–'}</span>
+                  </div>
+                ))}
+              </div>
+            </section>
+          )}
+        </div>
+      </aside>
+    </div>
+  );
+};
+
+export default ReferenceDrawer;
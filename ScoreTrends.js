@@ -0,0 +1,99 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { AttemptLog } from './AttemptLog.js';
+import { subjectsData } from './mockData.js';
+import GradePrediction from './GradePrediction.js';
+
+/**
+ * 趋势图尺寸
+ */
+const CHART_WIDTH = 280;
+const CHART_HEIGHT = 80;
+const CHART_PADDING = 6;
+
+/**
+ * 查找课程名称
+ * @param {string} topicId - 课程代码
+ * @returns {string}
+ */
+const topicName = (topicId) => {
+  for (const subject of Object.values(subjectsData)) {
+    const topic = subject.topics.find(t => t.id === topicId);
+    if (topic) return topic.name;
+  }
+  return '';
+};
+
+/**
+ * TrendChart 组件 - 单个课程的得分折线图（按作答顺序等距排列）
+ * @param {Object} props
+ * @param {Array<Object>} props.points - { date, percent, paperId }
+ */
+const TrendChart = ({ points }) => {
+  const step = points.length > 1 ? (CHART_WIDTH - CHART_PADDING * 2) / (points.length - 1) : 0;
+  const toX = (index) => (points.length > 1 ? CHART_PADDING + index * step : CHART_WIDTH / 2);
+  const toY = (percent) => CHART_PADDING + (1 - percent / 100) * (CHART_HEIGHT - CHART_PADDING * 2);
+  const path = points.map((point, index) => `${index === 0 ? 'M' : 'L'}${toX(index)},${toY(point.percent)}`).join(' ');
+
+  return (
+    <svg className="trend-chart" viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} preserveAspectRatio="none">
+      {[25, 50, 75].map(percent => (
+        <line key={percent} className="trend-gridline" x1="0" x2={CHART_WIDTH} y1={toY(percent)} y2={toY(percent)} />
+      ))}
+      <path className="trend-line" d={path} />
+      {points.map((point, index) => (
+        <circle key={`${point.paperId}-${point.date}`} className="trend-point" cx={toX(index)} cy={toY(point.percent)} r="3">
+          <title>{`${point.paperId} · ${new Date(point.date).toLocaleDateString()} · ${point.percent}%`}</title>
+        </circle>
+      ))}
+    </svg>
+  );
+};
+
+/**
+ * ScoreTrends 组件 - 个人资料中按课程显示的得分趋势
+ * 数据来自作答记录，只统计已批改（自动批改或自评）的作答，有分数线数据的课程同时显示预测成绩
+ */
+const ScoreTrends = () => {
+  const [attempts, setAttempts] = useState(() => AttemptLog.getAllAttempts());
+
+  useEffect(() => {
+    return AttemptLog.subscribe(() => setAttempts(AttemptLog.getAllAttempts()));
+  }, []);
+
+  const trends = useMemo(() => AttemptLog.getTrends(attempts), [attempts]);
+  const topicIds = Object.keys(trends).sort();
+
+  return (
+    <div className="score-trends">
+      <h3 className="activity-title">Score Trends</h3>
+      {topicIds.length === 0 ? (
+        <p className="score-trends-empty">No marked attempts yet. Mark a paper or log a self-marked score to see your progress here.</p>
+      ) : (
+        <div className="score-trends-grid">
+          {topicIds.map(topicId => {
+            const points = trends[topicId];
+            const latest = points[points.length - 1].percent;
+            const best = Math.max(...points.map(point => point.percent));
+            return (
+              <div key={topicId} className="score-trend-card">
+                <div className="score-trend-header">
+                  <span className="score-trend-code">{topicId}</span>
+                  <span className="score-trend-name">{topicName(topicId)}</span>
+                </div>
+                <TrendChart points={points} />
+                <div className="score-trend-stats">
+                  <span>Latest {latest}%</span>
+                  <span>Best {best}%</span>
+                  <span>{points.length} attempt{points.length === 1 ? '' : 's'}</span>
+                </div>
+                <GradePrediction topicId={topicId} attempts={attempts} compact />
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ScoreTrends;
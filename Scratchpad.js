@@ -0,0 +1,152 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Annotations } from './Annotations.js';
+import { PaperWorkspace } from './PaperWorkspace.js';
+
+/**
+ * 草稿纸的高宽比，坐标 x 为 0–1，y 为 0–RATIO
+ */
+const RATIO = 1.4;
+
+/**
+ * 笔迹宽度（占草稿纸宽度的比例）
+ */
+const STROKE_WIDTH = 0.006;
+
+/**
+ * 笔的颜色
+ */
+const PEN_COLORS = ['#212529', '#228be6', '#fa5252'];
+
+/**
+ * Scratchpad 组件 - 草稿纸
+ * 鼠标、触控笔或手指书写，橡皮擦删除经过的笔迹；笔迹按试卷保存
+ * 传入 strokes 时只显示这些笔迹（查看作答记录中保存的草稿）
+ * @param {Object} props
+ * @param {string} props.paperId - 试卷ID
+ * @param {Array<Object>} props.strokes - 只读显示的笔迹（可选）
+ */
+const Scratchpad = ({ paperId, strokes }) => {
+  const readOnly = Boolean(strokes);
+  const [saved, setSaved] = useState(() => (readOnly ? [] : PaperWorkspace.get(paperId).scratchpad));
+  const [tool, setTool] = useState('pen');
+  const [color, setColor] = useState(PEN_COLORS[0]);
+  const [draft, setDraft] = useState(null);
+  const svgRef = useRef(null);
+
+  useEffect(() => {
+    if (readOnly) return undefined;
+    setSaved(PaperWorkspace.get(paperId).scratchpad);
+    return PaperWorkspace.subscribe(() => setSaved(PaperWorkspace.get(paperId).scratchpad));
+  }, [paperId, readOnly]);
+
+  const shown = readOnly ? strokes : saved;
+
+  /**
+   * 指针位置（草稿纸坐标）
+   * @param {PointerEvent} event - 指针事件
+   * @returns {Array<number>} [x, y]
+   */
+  const toPoint = (event) => {
+    const rect = svgRef.current.getBoundingClientRect();
+    return [
+      Math.min(Math.max((event.clientX - rect.left) / rect.width, 0), 1),
+      Math.min(Math.max(((event.clientY - rect.top) / rect.height) * RATIO, 0), RATIO)
+    ];
+  };
+
+  /**
+   * 橡皮擦：删除指针下的笔迹
+   * @param {Array<number>} point - [x, y]
+   */
+  const eraseAt = (point) => {
+    const hit = Annotations.hitTest(saved, point, 0.015);
+    if (hit) PaperWorkspace.update(paperId, { scratchpad: saved.filter(stroke => stroke.id !== hit.id) });
+  };
+
+  const handlePointerDown = (event) => {
+    if (readOnly || event.button > 0) return;
+    event.preventDefault();
+    svgRef.current.setPointerCapture(event.pointerId);
+    const point = toPoint(event);
+    if (tool === 'eraser') {
+      eraseAt(point);
+      setDraft({ tool });
+    } else {
+      setDraft({ tool, points: [point] });
+    }
+  };
+
+  const handlePointerMove = (event) => {
+    if (!draft) return;
+    const point = toPoint(event);
+    if (draft.tool === 'eraser') eraseAt(point);
+    else setDraft(prev => ({ ...prev, points: [...prev.points, point] }));
+  };
+
+  const handlePointerUp = () => {
+    if (!draft) return;
+    if (draft.tool === 'pen') PaperWorkspace.addStroke(paperId, { color, points: Annotations.simplifyStroke(draft.points) });
+    setDraft(null);
+  };
+
+  /**
+   * 一笔的 SVG 折线
+   * @param {Object} stroke - { color, points }
+   * @param {string} key - React key
+   * @returns {JSX.Element}
+   */
+  const renderStroke = (stroke, key) => (
+    <polyline
+      key={key}
+      className="scratchpad-stroke"
+      points={stroke.points.map(([x, y]) => `${x},${y}`).join(' ')}
+      stroke={stroke.color}
+      strokeWidth={STROKE_WIDTH}
+    />
+  );
+
+  return (
+    <div className="scratchpad">
+      {!readOnly && (
+        <div className="scratchpad-toolbar">
+          {PEN_COLORS.map(penColor => (
+            <button
+              key={penColor}
+              className={`pdf-annotation-color ${tool === 'pen' && color === penColor ? 'active' : ''}`}
+              style={{ background: penColor }}
+              onClick={() => {
+                setTool('pen');
+                setColor(penColor);
+              }}
+              aria-label={`Pen ${penColor}`}
+            />
+          ))}
+          <button className={tool === 'eraser' ? 'active' : ''} onClick={() => setTool('eraser')}>⌫ Eraser</button>
+          <button onClick={() => PaperWorkspace.update(paperId, { scratchpad: saved.slice(0, -1) })} disabled={saved.length === 0}>
+            ↶ Undo
+          </button>
+          <button
+            onClick={() => window.confirm('Clear the scratchpad for this paper?') && PaperWorkspace.update(paperId, { scratchpad: [] })}
+            disabled={saved.length === 0}
+          >
+            Clear
+          </button>
+        </div>
+      )}
+      <svg
+        ref={svgRef}
+        className={`scratchpad-surface ${readOnly ? 'read-only' : `tool-${tool}`}`}
+        viewBox={`0 0 1 ${RATIO}`}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={() => setDraft(null)}
+      >
+        {shown.map(stroke => renderStroke(stroke, stroke.id))}
+        {draft?.tool === 'pen' && renderStroke({ color, points: draft.points }, 'draft')}
+      </svg>
+    </div>
+  );
+};
+
+export default Scratchpad;
@@ -0,0 +1,173 @@
+// ==================== 全局搜索索引 ====================
+
+/**
+ * 搜索结果分组（显示顺序即数组顺序）
+ */
+export const SEARCH_GROUPS = [
+  { kind: 'subject', label: 'Subjects', icon: '📂' },
+  { kind: 'topic', label: 'Courses', icon: '🎓' },
+  { kind: 'paper', label: 'Papers', icon: '📄' },
+  { kind: 'textbook', label: 'Textbooks', icon: '📖' },
+  { kind: 'syllabus', label: 'Syllabuses', icon: '📋' },
+  { kind: 'note', label: 'Notes', icon: '📝' }
+];
+
+/**
+ * 规范化文本，便于不区分大小写的匹配
+ * @param {Array<string>} parts - 文本片段
+ * @returns {string}
+ */
+const normalize = (parts) => parts.filter(Boolean).join(' ').toLowerCase();
+
+/**
+ * 截取命中位置附近的文本，用于笔记内容的摘要显示
+ * @param {string} content - 原文
+ * @param {string} token - 命中的关键词
+ * @returns {string} 摘要
+ */
+const snippetAround = (content, token) => {
+  const plain = content.replace(/[#*$\\]/g, '').replace(/\s+/g, ' ').trim();
+  const position = plain.toLowerCase().indexOf(token);
+  if (position === -1) return plain.slice(0, 80);
+  const start = Math.max(0, position - 30);
+  return `${start > 0 ? '…' : ''}${plain.slice(start, position + 50)}…`;
+};
+
+/**
+ * 计算条目与关键词的匹配得分，未全部命中时返回 0
+ * @param {Object} entry - 索引条目
+ * @param {Array<string>} tokens - 小写关键词
+ * @returns {number} 得分
+ */
+const scoreEntry = (entry, tokens) => {
+  const title = entry.title.toLowerCase();
+  let score = 0;
+
+  for (const token of tokens) {
+    if (!entry.text.includes(token)) return 0;
+    if (title.startsWith(token)) score += 3;
+    else if (title.includes(token)) score += 2;
+    else score += 1;
+  }
+
+  return score;
+};
+
+/**
+ * 全局搜索索引工具类
+ * 在客户端为学科、课程、教材、教学大纲和笔记建立索引，离线（mock数据）也可以使用
+ * 试卷数量较大，由 ApiService.searchPapers 单独检索
+ */
+export const SearchIndex = {
+  /**
+   * 建立索引
+   * @param {Object} sources - 数据源
+   * @param {Object} sources.subjects - 学科数据（subjectsData 结构）
+   * @param {Array} sources.textBooks - 教材列表
+   * @param {Array} sources.syllabuses - 教学大纲列表
+   * @param {Array} sources.notebooks - 笔记列表
+   * @returns {Array<Object>} 索引条目 { kind, id, title, subtitle, text, item }
+   */
+  build: ({ subjects = {}, textBooks = [], syllabuses = [], notebooks = [] }) => {
+    const entries = [];
+
+    Object.entries(subjects).forEach(([key, subject]) => {
+      entries.push({
+        kind: 'subject',
+        id: key,
+        title: subject.name,
+        subtitle: `${subject.topics.length} courses`,
+        text: normalize([subject.name, key, ...subject.topics.map(topic => topic.id)]),
+        item: { subjectKey: key }
+      });
+
+      subject.topics.forEach(topic => {
+        entries.push({
+          kind: 'topic',
+          id: topic.id,
+          title: `${topic.id} ${topic.name}`,
+          subtitle: subject.name,
+          text: normalize([topic.id, topic.name, subject.name]),
+          item: { subjectKey: key, topic }
+        });
+      });
+    });
+
+    textBooks.forEach(book => {
+      entries.push({
+        kind: 'textbook',
+        id: book.id,
+        title: book.title,
+        subtitle: `${book.level} · ${book.author}`,
+        text: normalize([book.title, book.subject, book.level, book.author, book.publisher, book.description]),
+        item: book
+      });
+    });
+
+    syllabuses.forEach(syllabus => {
+      entries.push({
+        kind: 'syllabus',
+        id: syllabus.id,
+        title: `${syllabus.code} ${syllabus.title}`,
+        subtitle: `${syllabus.level} · ${syllabus.year}`,
+        text: normalize([syllabus.code, syllabus.title, syllabus.subject, syllabus.level, syllabus.year]),
+        item: syllabus
+      });
+    });
+
+    notebooks.forEach(note => {
+      entries.push({
+        kind: 'note',
+        id: note.id,
+        title: note.title,
+        subtitle: note.folder || note.subject,
+        text: normalize([note.title, note.subject, note.folder, ...(note.tags || []), note.content]),
+        item: note
+      });
+    });
+
+    return entries;
+  },
+
+  /**
+   * 在索引中查询
+   * 所有关键词都命中才算匹配，标题命中的条目排在前面
+   * @param {Array<Object>} index - build 返回的索引
+   * @param {string} query - 搜索文本
+   * @param {number} limit - 每个分组最多返回的条数
+   * @returns {Array<Object>} 匹配条目，已按分组与得分排序
+   */
+  query: (index, query, limit = 5) => {
+    const tokens = (query || '').toLowerCase().split(/\s+/).filter(Boolean);
+    if (tokens.length === 0) return [];
+
+    const scored = index
+      .map(entry => ({ entry, score: scoreEntry(entry, tokens) }))
+      .filter(({ score }) => score > 0);
+
+    return SEARCH_GROUPS.flatMap(group =>
+      scored
+        .filter(({ entry }) => entry.kind === group.kind)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit)
+        .map(({ entry }) => (
+          entry.kind === 'note'
+            ? { ...entry, subtitle: snippetAround(entry.item.content, tokens[tokens.length - 1]) }
+            : entry
+        ))
+    );
+  },
+
+  /**
+   * 把试卷目录条目转换为搜索结果条目
+   * @param {Object} paper - 试卷目录条目
+   * @returns {Object} 搜索结果条目
+   */
+  fromPaper: (paper) => ({
+    kind: 'paper',
+    id: paper.id,
+    title: paper.id,
+    subtitle: paper.title,
+    item: paper
+  })
+};
@@ -0,0 +1,63 @@
+import { SearchIndex } from './SearchIndex';
+
+const subjects = {
+  physics: { name: 'Physics', topics: [{ id: '9702', name: 'AS & A Level Physics' }, { id: '0625', name: 'IGCSE Physics' }] },
+  chemistry: { name: 'Chemistry', topics: [{ id: '9701', name: 'AS & A Level Chemistry' }] }
+};
+
+const textBooks = [
+  { id: 1, title: 'Cambridge International AS & A Level Physics Coursebook', subject: 'Physics', level: 'A Level', author: 'David Sang', publisher: 'Cambridge', description: 'Mechanics, waves and fields' },
+  { id: 2, title: 'Complete Chemistry for Cambridge IGCSE', subject: 'Chemistry', level: 'IGCSE', author: 'RoseMarie Gallagher', publisher: 'Oxford', description: 'Covers electrolysis; pairs with IGCSE Physics' }
+];
+
+const syllabuses = [
+  { id: 7, code: '9702', title: 'Physics Syllabus', subject: 'Physics', level: 'A Level', year: '2025-2027' }
+];
+
+const notebooks = [
+  { id: 'n1', title: 'Circular motion', subject: 'Physics', folder: 'Mechanics', tags: ['9702'], content: '# Circular motion\nThe **centripetal** force $F = mv^2/r$ always points to the centre of the circle.\n\nAngular velocity ω = v/r.' },
+  { id: 'n2', title: 'Rates', subject: 'Chemistry', folder: 'Kinetics', tags: [], content: 'Activation energy and the Boltzmann distribution.' }
+];
+
+const index = SearchIndex.build({ subjects, textBooks, syllabuses, notebooks });
+
+test('indexes subjects, courses, textbooks, syllabuses and notes', () => {
+  expect(index.map(entry => `${entry.kind}:${entry.id}`)).toEqual([
+    'subject:physics', 'topic:9702', 'topic:0625', 'subject:chemistry', 'topic:9701',
+    'textbook:1', 'textbook:2', 'syllabus:7', 'note:n1', 'note:n2'
+  ]);
+  expect(index[0]).toMatchObject({ title: 'Physics', subtitle: '2 courses', item: { subjectKey: 'physics' } });
+  expect(index[1]).toMatchObject({ title: '9702 AS & A Level Physics', subtitle: 'Physics' });
+  expect(SearchIndex.query(index, '   ')).toEqual([]);
+});
+
+test('returns results grouped in display order and ranks title matches first', () => {
+  const results = SearchIndex.query(index, 'physics');
+  expect(results.map(entry => entry.kind)).toEqual(['subject', 'topic', 'topic', 'textbook', 'textbook', 'syllabus', 'note']);
+
+  // 标题以关键词开头 > 标题包含关键词 > 只在其他字段中命中
+  expect(results.filter(entry => entry.kind === 'topic').map(entry => entry.id)).toEqual(['9702', '0625']);
+  expect(results.filter(entry => entry.kind === 'textbook').map(entry => entry.id)).toEqual([1, 2]);
+
+  expect(SearchIndex.query(index, 'physics', 1).filter(entry => entry.kind === 'topic')).toHaveLength(1);
+});
+
+test('requires every word to match', () => {
+  expect(SearchIndex.query(index, '9702 igcse')).toEqual([]);
+  expect(SearchIndex.query(index, 'igcse chemistry').map(entry => `${entry.kind}:${entry.id}`)).toEqual(['textbook:2']);
+});
+
+test('matches note content, tags and folders and shows a snippet around the hit', () => {
+  const [note] = SearchIndex.query(index, 'centripetal');
+  expect(note).toMatchObject({ kind: 'note', id: 'n1' });
+  expect(note.subtitle).toBe('Circular motion The centripetal force F = mv^2/r always points to the …');
+  expect(SearchIndex.query(index, 'angular')[0].subtitle).toBe('… to the centre of the circle. Angular velocity ω = v/r.…');
+
+  expect(SearchIndex.query(index, 'kinetics').map(entry => entry.id)).toEqual(['n2']);
+  expect(SearchIndex.query(index, 'mechanics 9702').map(entry => `${entry.kind}:${entry.id}`)).toEqual(['note:n1']);
+});
+
+test('turns catalog papers into search results', () => {
+  const paper = { id: '9702_s23_qp_12', title: 'Physics May/June 2023 Question Paper 12' };
+  expect(SearchIndex.fromPaper(paper)).toEqual({ kind: 'paper', id: paper.id, title: paper.id, subtitle: paper.title, item: paper });
+});
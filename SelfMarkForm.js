@@ -0,0 +1,257 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { AttemptLog } from './AttemptLog.js';
+import { PaperWorkspace } from './PaperWorkspace.js';
+import { GradeThresholds } from './GradeThresholds.js';
+import { QuestionIndex } from './QuestionIndex.js';
+import { AnswerChecker } from './AnswerChecker.js';
+import MistakeFlag from './MistakeFlag.js';
+import AnswerCheck from './AnswerCheck.js';
+
+/**
+ * SelfMarkForm 组件 - 自评记录表
+ * 显示在非选择题试卷预览旁边，用评分标准对照后按题填写得分（或只填总分），
+ * 用时默认取当前的查看时长；可以为未批改的考试补录分数；按题填写时可以把做错的题记入错题本，
+ * 题目索引中有最终答案的小题可以输入答案检查，检查结果随记录保存；PDF 当前页所在的题目会高亮
+ * @param {Object} props
+ * @param {Object} props.paper - 试卷目录条目，或模拟卷（带有 questionMarks 时预填每题满分，
+ *   questionRefs 为每题在原试卷中的位置 [{ paper, number }]，错题按原试卷记录）
+ * @param {number|null} props.currentDuration - 当前查看时长（毫秒）
+ * @param {number|null} props.currentPage - PDF 查看器的当前页
+ */
+const SelfMarkForm = ({ paper, currentDuration, currentPage }) => {
+  const [attempts, setAttempts] = useState(() => AttemptLog.getAttempts(paper.id));
+  const [targetId, setTargetId] = useState('new');
+  const [byQuestion, setByQuestion] = useState(true);
+  const [rows, setRows] = useState([]);
+  const [rawMark, setRawMark] = useState('');
+  const [total, setTotal] = useState('');
+  const [minutesOverride, setMinutesOverride] = useState(null);
+  const [savedMessage, setSavedMessage] = useState('');
+  const [answers, setAnswers] = useState({});
+
+  const thresholdLookup = useMemo(() => GradeThresholds.lookup(paper), [paper]);
+  const thresholds = thresholdLookup?.thresholds || null;
+  const unmarked = attempts.filter(attempt => attempt.rawMark === null);
+
+  useEffect(() => {
+    const paperAttempts = AttemptLog.getAttempts(paper.id);
+    setAttempts(paperAttempts);
+    // 有未批改的考试时默认为它补录分数
+    setTargetId(paperAttempts.find(attempt => attempt.rawMark === null)?.id || 'new');
+    setRows(Array.from({ length: paper.questionCount || 0 }, (_, i) => ({
+      question: i + 1,
+      mark: '',
+      max: paper.questionMarks ? String(paper.questionMarks[i]) : ''
+    })));
+    setRawMark('');
+    setTotal(thresholds ? String(thresholds.max) : '');
+    setSavedMessage('');
+    setMinutesOverride(null);
+    setAnswers({});
+  }, [paper, thresholds]);
+
+  /**
+   * 考试结束等其他地方写入记录时同步刷新
+   */
+  useEffect(() => {
+    return AttemptLog.subscribe(() => {
+      const paperAttempts = AttemptLog.getAttempts(paper.id);
+      setAttempts(paperAttempts);
+      setTargetId(prev => (prev === 'new' ? paperAttempts.find(attempt => attempt.rawMark === null)?.id || 'new' : prev));
+    });
+  }, [paper]);
+
+  /**
+   * 每行题目在题目索引中的最终答案；模拟卷按每题在原试卷中的位置查找
+   */
+  const finalAnswers = useMemo(() => rows.map((row, index) => {
+    const ref = paper.questionRefs?.[index];
+    const number = ref?.number || row.question;
+    const question = QuestionIndex.getQuestions((ref?.paper || paper).id).find(q => q.number === number);
+    return question?.finalAnswers || [];
+  }), [paper, rows]);
+
+  // 模拟卷的页码与原试卷不同，只为原试卷高亮当前页所在的题目
+  const currentQuestion = !paper.questionRefs && currentPage
+    ? QuestionIndex.getQuestions(paper.id).find(q => currentPage >= q.pages[0] && currentPage <= q.pages[1])?.number || null
+    : null;
+
+  // 用时在用户修改前跟随当前查看时长
+  const minutes = minutesOverride ?? String(Math.round((currentDuration || 0) / 60000));
+
+  /**
+   * 更新某一题的得分
+   * @param {number} index - 行号
+   * @param {string} field - 'mark' | 'max'
+   * @param {string} value - 输入值
+   */
+  const updateRow = (index, field, value) => {
+    setRows(prev => prev.map((row, i) => (i === index ? { ...row, [field]: value } : row)));
+  };
+
+  const filledRows = rows.filter(row => row.mark !== '' && row.max !== '');
+  const computedMark = byQuestion ? filledRows.reduce((sum, row) => sum + Number(row.mark), 0) : Number(rawMark);
+  const computedTotal = byQuestion ? filledRows.reduce((sum, row) => sum + Number(row.max), 0) : Number(total);
+  const isValid = computedTotal > 0 &&
+    computedMark >= 0 &&
+    computedMark <= computedTotal &&
+    (!byQuestion || filledRows.every(row => Number(row.mark) <= Number(row.max)));
+
+  /**
+   * 保存自评结果
+   */
+  const handleSave = (event) => {
+    event.preventDefault();
+    if (!isValid) return;
+
+    // 检查过的最终答案随记录保存
+    const checks = !byQuestion ? [] : rows.flatMap((row, index) => finalAnswers[index]
+      .filter(spec => (answers[`${row.question}|${spec.part}`] || '').trim())
+      .map(spec => {
+        const answer = answers[`${row.question}|${spec.part}`].trim();
+        const { correct, status } = AnswerChecker.check(spec, answer);
+        return { question: row.question, part: spec.part, answer, correct, status };
+      }));
+
+    const result = {
+      markedBy: 'self',
+      rawMark: computedMark,
+      total: computedTotal,
+      // 分数线按满分给出，只有总分一致时才能换算等级
+      grade: thresholds && thresholds.max === computedTotal ? GradeThresholds.gradeFor(computedMark, thresholds) : null,
+      gradeEstimated: Boolean(thresholdLookup?.estimated),
+      breakdown: byQuestion
+        ? filledRows.map(row => ({ question: row.question, mark: Number(row.mark), max: Number(row.max) }))
+        : null,
+      checks: checks.length > 0 ? checks : null
+    };
+
+    if (targetId === 'new') {
+      AttemptLog.addAttempt({
+        ...result,
+        paperId: paper.id,
+        topicId: paper.topicId,
+        paperNumber: paper.paperNumber,
+        mode: 'practice',
+        timeSpent: (Number(minutes) || 0) * 60000,
+        workings: PaperWorkspace.snapshot(paper.id)
+      });
+    } else {
+      AttemptLog.updateAttempt(paper.id, targetId, result);
+    }
+
+    setAttempts(AttemptLog.getAttempts(paper.id));
+    setTargetId('new');
+    setSavedMessage(`Saved · ${computedMark}/${computedTotal} (${Math.round((computedMark / computedTotal) * 100)}%)${result.grade ? ` · Grade ${result.grade}${result.gradeEstimated ? ' (estimated)' : ''}` : ''}`);
+  };
+
+  return (
+    <aside className="self-mark-form">
+      <div className="mcq-sheet-header">
+        <h3>Log attempt</h3>
+      </div>
+
+      <form onSubmit={handleSave}>
+        {unmarked.length > 0 && (
+          <label className="self-mark-field">
+            Attempt
+            <select value={targetId} onChange={(e) => setTargetId(e.target.value)}>
+              <option value="new">New attempt</option>
+              {unmarked.map(attempt => (
+                <option key={attempt.id} value={attempt.id}>
+                  Exam on {new Date(attempt.submittedAt).toLocaleDateString()} (unmarked)
+                </option>
+              ))}
+            </select>
+          </label>
+        )}
+
+        {targetId === 'new' && (
+          <label className="self-mark-field">
+            Time spent (minutes)
+            <input type="number" min="0" value={minutes} onChange={(e) => setMinutesOverride(e.target.value)} />
+          </label>
+        )}
+
+        <div className="self-mark-mode">
+          <button type="button" className={byQuestion ? 'active' : ''} onClick={() => setByQuestion(true)}>Per question</button>
+          <button type="button" className={byQuestion ? '' : 'active'} onClick={() => setByQuestion(false)}>Total only</button>
+        </div>
+
+        {byQuestion ? (
+          <div className="self-mark-rows">
+            {rows.map((row, index) => (
+              <div key={row.question} className={`self-mark-question ${row.question === currentQuestion ? 'current' : ''}`}>
+                <div className="self-mark-row">
+                  <span className="mcq-question-number">Q{row.question}</span>
+                  <input
+                    type="number"
+                    min="0"
+                    placeholder="mark"
+                    value={row.mark}
+                    onChange={(e) => updateRow(index, 'mark', e.target.value)}
+                    aria-label={`Question ${row.question} mark`}
+                  />
+                  <span>/</span>
+                  <input
+                    type="number"
+                    min="0"
+                    placeholder="max"
+                    value={row.max}
+                    onChange={(e) => updateRow(index, 'max', e.target.value)}
+                    aria-label={`Question ${row.question} maximum`}
+                  />
+                  <MistakeFlag
+                    paper={paper.questionRefs?.[index]?.paper || paper}
+                    questionNumber={paper.questionRefs?.[index]?.number || row.question}
+                  />
+                </div>
+                {finalAnswers[index].map(spec => (
+                  <AnswerCheck
+                    key={spec.part}
+                    spec={spec}
+                    value={answers[`${row.question}|${spec.part}`] || ''}
+                    onChange={(value) => setAnswers(prev => ({ ...prev, [`${row.question}|${spec.part}`]: value }))}
+                  />
+                ))}
+              </div>
+            ))}
+            <button
+              type="button"
+              className="self-mark-add-row"
+              onClick={() => setRows(prev => [...prev, { question: prev.length + 1, mark: '', max: '' }])}
+            >
+              + Add question
+            </button>
+          </div>
+        ) : (
+          <div className="self-mark-row">
+            <input type="number" min="0" placeholder="mark" value={rawMark} onChange={(e) => setRawMark(e.target.value)} aria-label="Raw mark" />
+            <span>/</span>
+            <input type="number" min="1" placeholder="total" value={total} onChange={(e) => setTotal(e.target.value)} aria-label="Total marks" />
+          </div>
+        )}
+
+        <div className="self-mark-total">
+          Total: {computedMark || 0} / {computedTotal || 0}
+        </div>
+        <button type="submit" className="mcq-submit-btn" disabled={!isValid}>Save</button>
+        {savedMessage && <p className="self-mark-saved">✓ {savedMessage}</p>}
+      </form>
+
+      {attempts.length > 0 && (
+        <div className="mcq-history">
+          <h4>Previous attempts</h4>
+          {attempts.map(attempt => (
+            <div key={attempt.id} className="mcq-history-item">
+              <span>{new Date(attempt.submittedAt).toLocaleDateString()}{attempt.mode === 'exam' ? ' · exam' : ''}</span>
+              <span>{attempt.rawMark === null ? 'unmarked' : `${attempt.rawMark}/${attempt.total}`}</span>
+            </div>
+          ))}
+        </div>
+      )}
+    </aside>
+  );
+};
+
+export default SelfMarkForm;
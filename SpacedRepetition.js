@@ -0,0 +1,114 @@
+// ==================== 间隔重复 ====================
+
+/**
+ * 一天的毫秒数
+ */
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * 初始难度系数与最低难度系数（SM-2 的默认值）
+ */
+const INITIAL_EASE = 2.5;
+const MINIMUM_EASE = 1.3;
+
+/**
+ * 复习评价，quality 为 SM-2 的 0–5 分，低于 3 分视为没有掌握，重新开始
+ */
+export const REVIEW_RATINGS = {
+  again: { label: 'Again', quality: 1 },
+  hard: { label: 'Hard', quality: 3 },
+  good: { label: 'Good', quality: 4 },
+  easy: { label: 'Easy', quality: 5 }
+};
+
+/**
+ * 当天结束的时间（本地时间 24:00），到期判断按天计算
+ * @param {Date} now - 当前时间
+ * @returns {number} 时间戳
+ */
+const endOfDay = (now) => {
+  const end = new Date(now);
+  end.setHours(24, 0, 0, 0);
+  return end.getTime();
+};
+
+/**
+ * 间隔重复工具类
+ * 按 SM-2 算法安排复习：答对时间隔按难度系数递增（1 天、6 天、之后乘以难度系数），
+ * 答错时从 1 天重新开始并记一次遗忘；难度系数随每次评价调整，不低于 1.3
+ * 复习状态：{ repetitions, interval(天), easeFactor, lapses, dueAt, lastReviewedAt }
+ * 错题本和记忆卡共用这套状态，各自保存在自己的记录中
+ */
+export const SpacedRepetition = {
+  /**
+   * 新建复习状态
+   * @param {Date} now - 当前时间
+   * @param {number} firstInterval - 第一次复习前间隔的天数，0 表示立即到期
+   * @returns {Object}
+   */
+  createState: (now = new Date(), firstInterval = 1) => ({
+    repetitions: 0,
+    interval: 0,
+    easeFactor: INITIAL_EASE,
+    lapses: 0,
+    dueAt: new Date(now.getTime() + firstInterval * DAY).toISOString(),
+    lastReviewedAt: null
+  }),
+
+  /**
+   * 计算某个评价之后的间隔天数（复习按钮上显示）
+   * @param {Object} state - 复习状态
+   * @param {string} rating - REVIEW_RATINGS 中的键
+   * @returns {number}
+   */
+  nextInterval: (state, rating) => {
+    const { quality } = REVIEW_RATINGS[rating];
+    if (quality < 3) return 1;
+    if (state.repetitions === 0) return 1;
+    if (state.repetitions === 1) return 6;
+    return Math.round(state.interval * state.easeFactor);
+  },
+
+  /**
+   * 记录一次复习
+   * @param {Object} state - 复习状态
+   * @param {string} rating - REVIEW_RATINGS 中的键
+   * @param {Date} now - 复习时间
+   * @returns {Object} 新的复习状态
+   */
+  review: (state, rating, now = new Date()) => {
+    const { quality } = REVIEW_RATINGS[rating];
+    const interval = SpacedRepetition.nextInterval(state, rating);
+    const easeFactor = Math.max(
+      MINIMUM_EASE,
+      state.easeFactor + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)
+    );
+
+    return {
+      repetitions: quality < 3 ? 0 : state.repetitions + 1,
+      interval,
+      easeFactor: Math.round(easeFactor * 100) / 100,
+      lapses: state.lapses + (quality < 3 ? 1 : 0),
+      dueAt: new Date(now.getTime() + interval * DAY).toISOString(),
+      lastReviewedAt: now.toISOString()
+    };
+  },
+
+  /**
+   * 是否今天到期（包括已过期）
+   * @param {Object} state - 复习状态
+   * @param {Date} now - 当前时间
+   * @returns {boolean}
+   */
+  isDue: (state, now = new Date()) => new Date(state.dueAt).getTime() < endOfDay(now),
+
+  /**
+   * 距离到期的天数，今天到期或已过期为 0
+   * @param {Object} state - 复习状态
+   * @param {Date} now - 当前时间
+   * @returns {number}
+   */
+  daysUntilDue: (state, now = new Date()) => (
+    SpacedRepetition.isDue(state, now) ? 0 : Math.floor((new Date(state.dueAt).getTime() - endOfDay(now)) / DAY) + 1
+  )
+};
@@ -0,0 +1,39 @@
+import { SpacedRepetition } from './SpacedRepetition';
+
+const start = new Date(2024, 2, 1, 9, 0);
+const daysLater = (date, days) => new Date(date.getTime() + days * 24 * 60 * 60 * 1000);
+
+test('new items are due the next day', () => {
+  const state = SpacedRepetition.createState(start);
+  expect(SpacedRepetition.isDue(state, start)).toBe(false);
+  expect(SpacedRepetition.daysUntilDue(state, start)).toBe(1);
+  expect(SpacedRepetition.isDue(state, daysLater(start, 1))).toBe(true);
+  expect(SpacedRepetition.isDue(SpacedRepetition.createState(start, 0), start)).toBe(true);
+});
+
+test('grows the interval with successful reviews', () => {
+  let state = SpacedRepetition.createState(start);
+  state = SpacedRepetition.review(state, 'good', daysLater(start, 1));
+  expect(state.interval).toBe(1);
+  state = SpacedRepetition.review(state, 'good', daysLater(start, 2));
+  expect(state.interval).toBe(6);
+  expect(SpacedRepetition.nextInterval(state, 'good')).toBe(15);
+  state = SpacedRepetition.review(state, 'easy', daysLater(start, 8));
+  expect(state.interval).toBe(15);
+  expect(state.easeFactor).toBeCloseTo(2.6);
+  expect(state.repetitions).toBe(3);
+});
+
+test('resets after a lapse and never drops the ease below 1.3', () => {
+  let state = SpacedRepetition.createState(start);
+  state = SpacedRepetition.review(state, 'good', start);
+  state = SpacedRepetition.review(state, 'good', start);
+  state = SpacedRepetition.review(state, 'again', start);
+  expect(state.repetitions).toBe(0);
+  expect(state.interval).toBe(1);
+  expect(state.lapses).toBe(1);
+
+  for (let i = 0; i < 10; i++) state = SpacedRepetition.review(state, 'again', start);
+  expect(state.easeFactor).toBe(1.3);
+  expect(state.lapses).toBe(11);
+});
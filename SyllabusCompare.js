@@ -0,0 +1,140 @@
+import React, { useState, useMemo } from 'react';
+import { SyllabusDiff } from './SyllabusDiff.js';
+import { PaperCatalog } from './PaperCatalog.js';
+
+/**
+ * SyllabusCompare 组件 - 大纲版本对比
+ * 选择同一课程的两个大纲版本，列出新增、删除和改写的知识点，并提示按旧版本出题的往年试卷可能包含超纲题目
+ * @param {Object} props
+ * @param {Object} props.syllabus - 大纲文档 { code, title, level, year }，默认与前一个版本对比
+ * @param {Function} props.onBack - 返回大纲列表
+ */
+const SyllabusCompare = ({ syllabus, onBack }) => {
+  const topicId = syllabus.code;
+  const versions = useMemo(() => SyllabusDiff.getVersions(topicId), [topicId]);
+  const years = useMemo(() => versions.map(version => version.syllabusYears), [versions]);
+  const index = Math.max(years.indexOf(syllabus.year), 1);
+  const [fromYears, setFromYears] = useState(years[index - 1]);
+  const [toYears, setToYears] = useState(years[index]);
+
+  const diff = useMemo(() => SyllabusDiff.compare(topicId, fromYears, toYears), [topicId, fromYears, toYears]);
+
+  // 按旧版本出题的往年试卷（只统计试题卷）
+  const olderPapers = useMemo(() => {
+    const [older, newer] = years.indexOf(fromYears) < years.indexOf(toYears) ? [fromYears, toYears] : [toYears, fromYears];
+    const newerStart = Number(newer.split('-')[0]);
+    return PaperCatalog.getPapersByTopic(topicId).filter(paper => (
+      paper.type === 'qp' && paper.year < newerStart && SyllabusDiff.getVersionForYear(topicId, paper.year).syllabusYears === older
+    ));
+  }, [topicId, years, fromYears, toYears]);
+
+  const header = (
+    <div className="file-preview-header">
+      <div className="file-info">
+        <h2>{syllabus.code} {syllabus.title}</h2>
+        <div className="file-meta">
+          <span className="document-subtitle">{syllabus.level} · compare syllabus versions</span>
+        </div>
+      </div>
+      <button className="back-to-papers-btn" onClick={onBack}>← Back to Syllabuses</button>
+    </div>
+  );
+
+  if (versions.length < 2) {
+    return (
+      <div className="syllabus-compare">
+        {header}
+        <div className="empty-state">
+          <p>Only one version of the {syllabus.code} syllabus is available.</p>
+        </div>
+      </div>
+    );
+  }
+
+  const paperYears = [...new Set(olderPapers.map(paper => paper.year))].sort();
+  const changed = diff.removed.length + diff.reworded.filter(pair => pair.retitled).length;
+
+  return (
+    <div className="syllabus-compare">
+      {header}
+
+      <div className="syllabus-compare-toolbar">
+        <select value={fromYears} onChange={(e) => setFromYears(e.target.value)} aria-label="Earlier version">
+          {years.map(value => <option key={value} value={value}>{value} syllabus</option>)}
+        </select>
+        <span>→</span>
+        <select value={toYears} onChange={(e) => setToYears(e.target.value)} aria-label="Later version">
+          {years.map(value => <option key={value} value={value}>{value} syllabus</option>)}
+        </select>
+      </div>
+
+      {fromYears === toYears ? (
+        <p className="syllabus-compare-note">Choose two different versions to compare.</p>
+      ) : (
+        <>
+          <div className="syllabus-compare-summary">
+            <span className="added">{diff.added.length} added</span>
+            <span className="removed">{diff.removed.length} removed</span>
+            <span className="reworded">{diff.reworded.length} reworded or renumbered</span>
+            <span>{diff.unchanged} unchanged</span>
+          </div>
+
+          {changed > 0 && olderPapers.length > 0 && (
+            <p className="syllabus-compare-warning">
+              ⚠ {olderPapers.length} past papers ({paperYears[0]}{paperYears.length > 1 ? `–${paperYears[paperYears.length - 1]}` : ''}) were set
+              under the {years.indexOf(fromYears) < years.indexOf(toYears) ? fromYears : toYears} syllabus and may contain questions on removed or reworded objectives.
+            </p>
+          )}
+
+          <section className="syllabus-compare-group added">
+            <h4>Added in {toYears}</h4>
+            {diff.added.length === 0 ? <p className="syllabus-tree-none">Nothing added.</p> : (
+              <ul>
+                {diff.added.map(objective => (
+                  <li key={objective.code}>
+                    <span className="objective-code">{objective.code}</span> {objective.title}
+                    <span className="syllabus-compare-section">{objective.sectionTitle}</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </section>
+
+          <section className="syllabus-compare-group removed">
+            <h4>Removed since {fromYears}</h4>
+            {diff.removed.length === 0 ? <p className="syllabus-tree-none">Nothing removed.</p> : (
+              <ul>
+                {diff.removed.map(objective => (
+                  <li key={objective.code}>
+                    <span className="objective-code">{objective.code}</span> {objective.title}
+                    <span className="syllabus-compare-section">{objective.sectionTitle}</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </section>
+
+          <section className="syllabus-compare-group reworded">
+            <h4>Reworded or renumbered</h4>
+            {diff.reworded.length === 0 ? <p className="syllabus-tree-none">Nothing reworded.</p> : (
+              <ul>
+                {diff.reworded.map(({ from, to, renumbered, retitled }) => (
+                  <li key={from.code}>
+                    <span className="objective-code">{renumbered ? `${from.code} → ${to.code}` : to.code}</span>
+                    {retitled ? (
+                      <span><del>{from.title}</del> <ins>{to.title}</ins></span>
+                    ) : (
+                      <span>{to.title}</span>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </section>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default SyllabusCompare;
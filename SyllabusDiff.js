@@ -0,0 +1,179 @@
+// ==================== 大纲版本对比 ====================
+import { syllabusObjectivesData, syllabusHistoryData } from './mockData.js';
+
+/**
+ * 比较标题时忽略的虚词
+ */
+const STOP_WORDS = new Set(['a', 'an', 'and', 'the', 'of', 'in', 'on', 'for', 'to', 'its', 'with']);
+
+/**
+ * 同一编号的知识点标题相似度不低于该值时视为改写，否则视为删除后新增
+ */
+const REWORDED_THRESHOLD = 0.5;
+
+/**
+ * 对比结果缓存，大纲数据不会变化
+ */
+const compareCache = new Map();
+
+/**
+ * 解析大纲年份范围
+ * @param {string} syllabusYears - 例如 '2025-2027'
+ * @returns {Array<number>} [起始年份, 结束年份]
+ */
+const yearRange = (syllabusYears) => {
+  const [start, end] = syllabusYears.split('-').map(Number);
+  return [start, end || start];
+};
+
+/**
+ * 标题拆分为小写实词
+ * @param {string} title - 知识点标题
+ * @returns {Array<string>}
+ */
+const titleWords = (title) => title.toLowerCase().split(/[^a-z0-9']+/).filter(word => word && !STOP_WORDS.has(word));
+
+/**
+ * 两个标题的相似度（Dice 系数，按实词计算）
+ * @param {string} a - 标题
+ * @param {string} b - 标题
+ * @returns {number} 0 到 1
+ */
+const similarity = (a, b) => {
+  const wordsA = new Set(titleWords(a));
+  const wordsB = new Set(titleWords(b));
+  if (wordsA.size + wordsB.size === 0) return 1;
+  const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+  return (2 * shared) / (wordsA.size + wordsB.size);
+};
+
+/**
+ * 展开大纲版本中的全部知识点，附带所属章节
+ * @param {Object} version - 大纲版本 { syllabusYears, sections }
+ * @returns {Array<Object>} [{ code, title, sectionCode, sectionTitle }]
+ */
+const flattenObjectives = (version) => version.sections.flatMap(section => section.objectives.map(objective => ({
+  ...objective,
+  sectionCode: section.code,
+  sectionTitle: section.title
+})));
+
+/**
+ * 大纲版本对比工具类
+ * 比较同一课程两个大纲版本的知识点，分为新增、删除和改写（标题改动或重新编号）；
+ * 早于当前版本的往年试卷如果所属版本的知识点后来被删除或改写，标记为可能包含超纲题目
+ * 后端对接：可以通过 GET /api/topics/{topicId}/syllabus-versions 获取全部版本
+ */
+export const SyllabusDiff = {
+  /**
+   * 获取课程的全部大纲版本
+   * @param {string} topicId - 课程代码
+   * @returns {Array<Object>} 按大纲年份从早到晚排列 [{ syllabusYears, sections }]，最后一个为当前版本
+   */
+  getVersions: (topicId) => {
+    const current = syllabusObjectivesData[topicId];
+    return current ? [...(syllabusHistoryData[topicId] || []), current] : [];
+  },
+
+  /**
+   * 获取指定年份范围的大纲版本
+   * @param {string} topicId - 课程代码
+   * @param {string} syllabusYears - 例如 '2022-2024'
+   * @returns {Object|null}
+   */
+  getVersion: (topicId, syllabusYears) => {
+    return SyllabusDiff.getVersions(topicId).find(version => version.syllabusYears === syllabusYears) || null;
+  },
+
+  /**
+   * 获取某一年考试适用的大纲版本；两个版本之间的年份取之前的版本，早于全部版本时取最早的版本
+   * @param {string} topicId - 课程代码
+   * @param {number} year - 考试年份
+   * @returns {Object|null}
+   */
+  getVersionForYear: (topicId, year) => {
+    const versions = SyllabusDiff.getVersions(topicId);
+    if (versions.length === 0) return null;
+    const earlier = versions.filter(version => yearRange(version.syllabusYears)[0] <= year);
+    return earlier.length > 0 ? earlier[earlier.length - 1] : versions[0];
+  },
+
+  /**
+   * 对比同一课程的两个大纲版本
+   * 先按编号和标题完全一致匹配，再按标题匹配（重新编号），最后同一编号标题相近的视为改写
+   * @param {string} topicId - 课程代码
+   * @param {string} fromYears - 旧版本年份范围
+   * @param {string} toYears - 新版本年份范围
+   * @returns {Object|null} { added, removed, reworded: [{ from, to, renumbered, retitled }], unchanged }，版本不存在时为 null
+   */
+  compare: (topicId, fromYears, toYears) => {
+    const key = `${topicId}|${fromYears}|${toYears}`;
+    if (compareCache.has(key)) return compareCache.get(key);
+
+    const from = SyllabusDiff.getVersion(topicId, fromYears);
+    const to = SyllabusDiff.getVersion(topicId, toYears);
+    if (!from || !to) return null;
+
+    const oldObjectives = flattenObjectives(from);
+    const newObjectives = flattenObjectives(to);
+    const matchedNew = new Set();
+    const pairs = [];
+    const sameTitle = (a, b) => titleWords(a.title).join(' ') === titleWords(b.title).join(' ');
+
+    /**
+     * 为剩余的旧知识点寻找满足条件的新知识点
+     * @param {Function} accepts - (旧知识点, 新知识点) => boolean
+     */
+    const matchRemaining = (accepts) => {
+      oldObjectives.forEach(objective => {
+        if (pairs.some(pair => pair.from === objective)) return;
+        const match = newObjectives.find(candidate => !matchedNew.has(candidate) && accepts(objective, candidate));
+        if (match) {
+          matchedNew.add(match);
+          pairs.push({ from: objective, to: match });
+        }
+      });
+    };
+
+    matchRemaining((a, b) => a.code === b.code && sameTitle(a, b));
+    matchRemaining(sameTitle);
+    matchRemaining((a, b) => a.code === b.code && similarity(a.title, b.title) >= REWORDED_THRESHOLD);
+
+    const reworded = pairs
+      .map(pair => ({ ...pair, renumbered: pair.from.code !== pair.to.code, retitled: !sameTitle(pair.from, pair.to) }))
+      .filter(pair => pair.renumbered || pair.retitled)
+      .sort((a, b) => oldObjectives.indexOf(a.from) - oldObjectives.indexOf(b.from));
+    const result = {
+      added: newObjectives.filter(objective => !matchedNew.has(objective)),
+      removed: oldObjectives.filter(objective => !pairs.some(pair => pair.from === objective)),
+      reworded,
+      unchanged: pairs.length - reworded.length
+    };
+    compareCache.set(key, result);
+    return result;
+  },
+
+  /**
+   * 检查往年试卷是否可能包含超纲题目：试卷早于当前大纲版本，且所属版本的知识点在当前版本中被删除或改写
+   * 只重新编号的知识点不算超纲
+   * @param {Object} paper - 试卷 { topicId, year }
+   * @returns {Object|null} { syllabusYears, currentYears, removed, reworded }，不需要提示时为 null
+   */
+  getPaperWarning: (paper) => {
+    const versions = SyllabusDiff.getVersions(paper.topicId);
+    if (versions.length < 2 || !paper.year) return null;
+    const current = versions[versions.length - 1];
+    if (paper.year >= yearRange(current.syllabusYears)[0]) return null;
+
+    const version = SyllabusDiff.getVersionForYear(paper.topicId, paper.year);
+    const diff = SyllabusDiff.compare(paper.topicId, version.syllabusYears, current.syllabusYears);
+    const reworded = diff.reworded.filter(pair => pair.retitled);
+    if (diff.removed.length === 0 && reworded.length === 0) return null;
+    return {
+      syllabusYears: version.syllabusYears,
+      currentYears: current.syllabusYears,
+      removed: diff.removed,
+      reworded
+    };
+  }
+};
@@ -0,0 +1,42 @@
+import { SyllabusDiff } from './SyllabusDiff';
+
+test('lists syllabus versions oldest first and picks the version for an exam year', () => {
+  expect(SyllabusDiff.getVersions('9702').map(version => version.syllabusYears)).toEqual(['2022-2024', '2025-2027']);
+  expect(SyllabusDiff.getVersions('0625')).toHaveLength(1);
+  expect(SyllabusDiff.getVersions('0000')).toEqual([]);
+  expect(SyllabusDiff.getVersionForYear('9709', 2021).syllabusYears).toBe('2020-2022');
+  expect(SyllabusDiff.getVersionForYear('9709', 2023).syllabusYears).toBe('2020-2022');
+  expect(SyllabusDiff.getVersionForYear('9709', 2019).syllabusYears).toBe('2020-2022');
+  expect(SyllabusDiff.getVersionForYear('9709', 2026).syllabusYears).toBe('2025-2027');
+});
+
+test('classifies objectives as added, removed and reworded', () => {
+  const diff = SyllabusDiff.compare('9702', '2022-2024', '2025-2027');
+  expect(diff.added.map(objective => objective.code)).toEqual(['1.4']);
+  expect(diff.removed.map(objective => `${objective.code} ${objective.title}`)).toEqual(['21.3 Transformers']);
+  expect(diff.reworded.map(pair => [pair.from.code, pair.to.code, pair.renumbered, pair.retitled])).toEqual([
+    ['8.5', '7.5', true, false],
+    ['12.2', '12.2', false, true],
+    ['14.2', '14.2', false, true]
+  ]);
+  expect(diff.unchanged + diff.reworded.length + diff.added.length).toBe(SyllabusDiff.getVersion('9702', '2025-2027').sections.flatMap(s => s.objectives).length);
+  expect(SyllabusDiff.compare('9702', '2019-2021', '2025-2027')).toBeNull();
+});
+
+test('treats a reused code with an unrelated title as removed and added', () => {
+  const diff = SyllabusDiff.compare('9709', '2020-2022', '2025-2027');
+  expect(diff.added.map(objective => objective.title)).toEqual(['Linear combinations of random variables']);
+  expect(diff.removed.map(objective => objective.code)).toEqual(['4.6']);
+  expect(diff.reworded.filter(pair => pair.renumbered).map(pair => `${pair.from.code}→${pair.to.code}`)).toEqual(['6.2→6.3', '6.3→6.4', '6.4→6.5']);
+  expect(diff.reworded.find(pair => pair.retitled).to.title).toBe('Functions');
+});
+
+test('flags papers set before a syllabus change', () => {
+  const warning = SyllabusDiff.getPaperWarning({ topicId: '9702', year: 2023 });
+  expect(warning).toMatchObject({ syllabusYears: '2022-2024', currentYears: '2025-2027' });
+  expect(warning.removed).toHaveLength(1);
+  expect(warning.reworded).toHaveLength(2);
+  expect(SyllabusDiff.getPaperWarning({ topicId: '9702', year: 2019 }).syllabusYears).toBe('2022-2024');
+  expect(SyllabusDiff.getPaperWarning({ topicId: '9702', year: 2025 })).toBeNull();
+  expect(SyllabusDiff.getPaperWarning({ topicId: '0625', year: 2020 })).toBeNull();
+});
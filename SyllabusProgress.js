@@ -0,0 +1,136 @@
+// ==================== 大纲掌握进度 ====================
+import { QuestionIndex } from './QuestionIndex.js';
+import { userTestData } from './mockData.js';
+import { CookieUtils } from './CookieUtils.js';
+
+/**
+ * 掌握进度的存储键前缀（按用户分开保存），结构为 { [topicId]: { [知识点编号]: status } }，未开始的知识点不保存
+ */
+const STORAGE_KEY = 'syllabusProgress';
+
+/**
+ * 知识点的掌握程度，从低到高
+ */
+export const OBJECTIVE_STATUSES = {
+  'not-started': 'Not started',
+  learning: 'Learning',
+  confident: 'Confident'
+};
+
+/**
+ * 掌握进度变化时的监听函数
+ */
+const listeners = new Set();
+
+/**
+ * 读取全部进度
+ * @returns {Object}
+ */
+const readAll = () => {
+  const saved = localStorage.getItem(CookieUtils.getUserStorageKey(STORAGE_KEY));
+  return saved ? JSON.parse(saved) : {};
+};
+
+/**
+ * 写入全部进度并通知监听者
+ * @param {Object} all - 全部进度
+ */
+const writeAll = (all) => {
+  localStorage.setItem(CookieUtils.getUserStorageKey(STORAGE_KEY), JSON.stringify(all));
+  listeners.forEach(listener => listener());
+};
+
+/**
+ * 汇总一组知识点的掌握程度
+ * @param {Array<string>} codes - 知识点编号
+ * @param {Object} statuses - { [知识点编号]: status }
+ * @returns {Object} { total, learning, confident, percent }
+ */
+const summarize = (codes, statuses) => {
+  const learning = codes.filter(code => statuses[code] === 'learning').length;
+  const confident = codes.filter(code => statuses[code] === 'confident').length;
+  return {
+    total: codes.length,
+    learning,
+    confident,
+    percent: codes.length > 0 ? Math.round(((confident + learning / 2) / codes.length) * 100) : 0
+  };
+};
+
+/**
+ * 大纲掌握进度工具类
+ * 学生为每个大纲知识点标记未开始、学习中或已掌握，按章节和整份大纲汇总覆盖率
+ * 覆盖率 = (已掌握 + 学习中 × 0.5) / 知识点总数
+ * 后端对接：可以通过 GET/PUT /api/user/syllabus-progress/{topicId} 读取和保存
+ */
+export const SyllabusProgress = {
+  /**
+   * 获取课程全部知识点的掌握程度
+   * @param {string} topicId - 课程代码
+   * @returns {Object} { [知识点编号]: status }，未开始的知识点不在其中
+   */
+  getStatuses: (topicId) => readAll()[topicId] || {},
+
+  /**
+   * 获取知识点的掌握程度
+   * @param {string} topicId - 课程代码
+   * @param {string} code - 知识点编号
+   * @returns {string} OBJECTIVE_STATUSES 中的键
+   */
+  getStatus: (topicId, code) => SyllabusProgress.getStatuses(topicId)[code] || 'not-started',
+
+  /**
+   * 设置知识点的掌握程度
+   * @param {string} topicId - 课程代码
+   * @param {string} code - 知识点编号
+   * @param {string} status - OBJECTIVE_STATUSES 中的键
+   */
+  setStatus: (topicId, code, status) => {
+    if (!OBJECTIVE_STATUSES[status]) throw new Error(`Unknown objective status: ${status}`);
+    const all = readAll();
+    const statuses = { ...(all[topicId] || {}) };
+    if (status === 'not-started') delete statuses[code];
+    else statuses[code] = status;
+    all[topicId] = statuses;
+    writeAll(all);
+  },
+
+  /**
+   * 按章节和整份大纲汇总覆盖率
+   * @param {string} topicId - 课程代码
+   * @param {Object} statuses - 知识点状态 { [知识点编号]: status }，默认读取已保存的进度
+   * @returns {Object|null} { overall, sections: { [章节编号]: { total, learning, confident, percent } } }，没有大纲数据时为 null
+   */
+  getCoverage: (topicId, statuses = SyllabusProgress.getStatuses(topicId)) => {
+    const syllabus = QuestionIndex.getSyllabus(topicId);
+    if (!syllabus) return null;
+    const sections = {};
+    syllabus.sections.forEach(section => {
+      sections[section.code] = summarize(section.objectives.map(objective => objective.code), statuses);
+    });
+    return {
+      overall: summarize(QuestionIndex.getObjectives(topicId).map(objective => objective.code), statuses),
+      sections
+    };
+  },
+
+  /**
+   * 获取关联到知识点的笔记
+   * @param {string} topicId - 课程代码
+   * @param {string} code - 知识点编号
+   * @returns {Array<Object>} 笔记
+   */
+  getNotes: (topicId, code) => {
+    return userTestData.notebooks.filter(note => (note.objectives?.[topicId] || []).includes(code));
+  },
+
+  /**
+   * 订阅掌握进度变化
+   * @param {Function} listener - 回调
+   * @returns {Function} 取消订阅函数
+   */
+  subscribe: (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+};
@@ -0,0 +1,55 @@
+import { SyllabusProgress } from './SyllabusProgress';
+import { CookieUtils } from './CookieUtils';
+
+beforeEach(() => localStorage.clear());
+
+test('stores objective statuses and drops objectives marked not started', () => {
+  expect(SyllabusProgress.getStatus('9702', '3.1')).toBe('not-started');
+  SyllabusProgress.setStatus('9702', '3.1', 'learning');
+  SyllabusProgress.setStatus('9702', '3.2', 'confident');
+  expect(SyllabusProgress.getStatuses('9702')).toEqual({ '3.1': 'learning', '3.2': 'confident' });
+
+  SyllabusProgress.setStatus('9702', '3.1', 'not-started');
+  expect(SyllabusProgress.getStatuses('9702')).toEqual({ '3.2': 'confident' });
+  expect(() => SyllabusProgress.setStatus('9702', '3.1', 'mastered')).toThrow('Unknown objective status: mastered');
+});
+
+test('rolls coverage up per topic and for the whole syllabus', () => {
+  SyllabusProgress.setStatus('9702', '3.1', 'confident');
+  SyllabusProgress.setStatus('9702', '3.2', 'confident');
+  SyllabusProgress.setStatus('9702', '3.3', 'learning');
+  SyllabusProgress.setStatus('9702', '2.1', 'learning');
+
+  const coverage = SyllabusProgress.getCoverage('9702');
+  expect(coverage.sections['3']).toEqual({ total: 3, learning: 1, confident: 2, percent: 83 });
+  expect(coverage.sections['2']).toEqual({ total: 1, learning: 1, confident: 0, percent: 50 });
+  expect(coverage.sections['1'].percent).toBe(0);
+  expect(coverage.overall).toMatchObject({ learning: 2, confident: 2 });
+  expect(coverage.overall.percent).toBe(Math.round((3 / coverage.overall.total) * 100));
+  expect(SyllabusProgress.getCoverage('0000')).toBeNull();
+  expect(SyllabusProgress.getCoverage('9702', { '2.1': 'confident' }).sections['2'].percent).toBe(100);
+});
+
+test('finds notes linked to an objective', () => {
+  expect(SyllabusProgress.getNotes('9702', '17.1').map(note => note.title)).toEqual(['Physics Lab Notes']);
+  expect(SyllabusProgress.getNotes('9709', '17.1')).toEqual([]);
+});
+
+test('notifies subscribers when a status changes', () => {
+  const listener = jest.fn();
+  const unsubscribe = SyllabusProgress.subscribe(listener);
+  SyllabusProgress.setStatus('9709', '1.1', 'learning');
+  unsubscribe();
+  SyllabusProgress.setStatus('9709', '1.1', 'confident');
+  expect(listener).toHaveBeenCalledTimes(1);
+});
+
+test('keeps each user\'s progress separate', () => {
+  CookieUtils.setActiveUser('alice');
+  SyllabusProgress.setStatus('9702', '3.1', 'confident');
+  CookieUtils.setActiveUser('bob');
+  expect(SyllabusProgress.getStatus('9702', '3.1')).toBe('not-started');
+  CookieUtils.setActiveUser('alice');
+  expect(SyllabusProgress.getStatus('9702', '3.1')).toBe('confident');
+  CookieUtils.deleteCookie('activeUser');
+});
@@ -0,0 +1,219 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { QuestionIndex } from './QuestionIndex.js';
+import { SyllabusProgress, OBJECTIVE_STATUSES } from './SyllabusProgress.js';
+import { Textbooks } from './Textbooks.js';
+
+/**
+ * CoverageBar 组件 - 覆盖率进度条，已掌握和学习中分段显示
+ * @param {Object} props
+ * @param {Object} props.summary - { total, learning, confident, percent }
+ */
+const CoverageBar = ({ summary }) => (
+  <div className="coverage-bar" title={`${summary.confident} confident · ${summary.learning} learning · ${summary.total} objectives`}>
+    <span className="coverage-confident" style={{ width: `${summary.total ? (summary.confident / summary.total) * 100 : 0}%` }} />
+    <span className="coverage-learning" style={{ width: `${summary.total ? (summary.learning / summary.total) * 100 : 0}%` }} />
+  </div>
+);
+
+/**
+ * SyllabusTree 组件 - 大纲知识点树
+ * 按章节列出大纲知识点，学生为每个知识点标记掌握程度，章节和整份大纲显示覆盖率；
+ * 展开知识点可以看到关联的往年试题、教科书章节和笔记
+ * @param {Object} props
+ * @param {Object} props.syllabus - 大纲文档 { code, title, level, year }
+ * @param {Function} props.onBack - 返回大纲列表
+ * @param {Function} props.onOpenQuestion - 打开题目的回调，参数为 (paper, question)
+ * @param {Function} props.onOpenNote - 打开笔记的回调，参数为 note
+ * @param {Function} props.onOpenChapter - 打开教科书章节的回调，参数为 (textbook, chapter)
+ */
+const SyllabusTree = ({ syllabus, onBack, onOpenQuestion, onOpenNote, onOpenChapter }) => {
+  const topicId = syllabus.code;
+  const objectiveData = useMemo(() => QuestionIndex.getSyllabus(topicId), [topicId]);
+  const [statuses, setStatuses] = useState(() => SyllabusProgress.getStatuses(topicId));
+  const [openSections, setOpenSections] = useState(() => new Set());
+  const [openObjective, setOpenObjective] = useState(null);
+  const [statusFilter, setStatusFilter] = useState('all');
+
+  useEffect(() => {
+    setStatuses(SyllabusProgress.getStatuses(topicId));
+    return SyllabusProgress.subscribe(() => setStatuses(SyllabusProgress.getStatuses(topicId)));
+  }, [topicId]);
+
+  const questionCounts = useMemo(() => QuestionIndex.countByObjective(topicId), [topicId]);
+  const coverage = useMemo(() => SyllabusProgress.getCoverage(topicId, statuses), [topicId, statuses]);
+
+  /**
+   * 展开或收起章节
+   * @param {string} code - 章节编号
+   */
+  const toggleSection = (code) => {
+    setOpenSections(prev => {
+      const next = new Set(prev);
+      if (next.has(code)) next.delete(code);
+      else next.add(code);
+      return next;
+    });
+  };
+
+  const header = (
+    <div className="file-preview-header">
+      <div className="file-info">
+        <h2>{syllabus.code} {syllabus.title}</h2>
+        <div className="file-meta">
+          <span className="document-subtitle">{syllabus.level} · {syllabus.year} · learning objectives</span>
+        </div>
+      </div>
+      <button className="back-to-papers-btn" onClick={onBack}>← Back to Syllabuses</button>
+    </div>
+  );
+
+  if (!objectiveData) {
+    return (
+      <div className="syllabus-tree">
+        {header}
+        <div className="empty-state">
+          <p>No learning objectives are available for {syllabus.code} yet.</p>
+        </div>
+      </div>
+    );
+  }
+
+  const statusOf = (code) => statuses[code] || 'not-started';
+  const sections = objectiveData.sections
+    .map(section => ({
+      ...section,
+      objectives: section.objectives.filter(objective => statusFilter === 'all' || statusOf(objective.code) === statusFilter)
+    }))
+    .filter(section => section.objectives.length > 0);
+  const filtering = statusFilter !== 'all';
+
+  return (
+    <div className="syllabus-tree">
+      {header}
+
+      <div className="syllabus-tree-summary">
+        <div className="syllabus-tree-overall">
+          <strong>{coverage.overall.percent}%</strong> covered
+          <span>{coverage.overall.confident} confident · {coverage.overall.learning} learning · {coverage.overall.total - coverage.overall.confident - coverage.overall.learning} not started</span>
+        </div>
+        <CoverageBar summary={coverage.overall} />
+        <div className="syllabus-tree-toolbar">
+          <select value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)} aria-label="Show objectives">
+            <option value="all">All objectives</option>
+            {Object.entries(OBJECTIVE_STATUSES).map(([status, label]) => (
+              <option key={status} value={status}>{label}</option>
+            ))}
+          </select>
+          <button onClick={() => setOpenSections(new Set(objectiveData.sections.map(section => section.code)))}>Expand all</button>
+          <button onClick={() => setOpenSections(new Set())}>Collapse all</button>
+        </div>
+      </div>
+
+      {sections.length === 0 && <p className="syllabus-tree-empty">No objectives are marked {OBJECTIVE_STATUSES[statusFilter].toLowerCase()}.</p>}
+
+      <ul className="syllabus-tree-sections">
+        {sections.map(section => {
+          const isOpen = filtering || openSections.has(section.code);
+          const summary = coverage.sections[section.code];
+          return (
+            <li key={section.code} className="syllabus-tree-section">
+              <button className="syllabus-tree-section-header" onClick={() => toggleSection(section.code)} aria-expanded={isOpen}>
+                <span className="syllabus-tree-caret">{isOpen ? '▾' : '▸'}</span>
+                <span className="syllabus-tree-section-title">{section.code} {section.title}</span>
+                <CoverageBar summary={summary} />
+                <span className="syllabus-tree-percent">{summary.percent}%</span>
+              </button>
+
+              {isOpen && (
+                <ul className="syllabus-tree-objectives">
+                  {section.objectives.map(objective => {
+                    const status = statusOf(objective.code);
+                    const expanded = openObjective === objective.code;
+                    const questions = expanded ? QuestionIndex.getQuestionsByObjective(topicId, objective.code) : [];
+                    const notes = SyllabusProgress.getNotes(topicId, objective.code);
+                    const chapters = expanded ? Textbooks.getChaptersForObjective(topicId, objective.code) : [];
+                    return (
+                      <li key={objective.code} className={`syllabus-tree-objective ${status}`}>
+                        <div className="syllabus-tree-objective-row">
+                          <button
+                            className="syllabus-tree-objective-title"
+                            onClick={() => setOpenObjective(expanded ? null : objective.code)}
+                            aria-expanded={expanded}
+                          >
+                            <span className="objective-code">{objective.code}</span>
+                            <span>{objective.title}</span>
+                            <span className="syllabus-tree-links">
+                              {questionCounts[objective.code] || 0} questions{notes.length > 0 ? ` · ${notes.length} note${notes.length === 1 ? '' : 's'}` : ''}
+                            </span>
+                          </button>
+                          <div className="syllabus-tree-status" role="group" aria-label={`Status of ${objective.code}`}>
+                            {Object.entries(OBJECTIVE_STATUSES).map(([value, label]) => (
+                              <button
+                                key={value}
+                                className={`${value} ${status === value ? 'active' : ''}`}
+                                onClick={() => SyllabusProgress.setStatus(topicId, objective.code, value)}
+                              >
+                                {label}
+                              </button>
+                            ))}
+                          </div>
+                        </div>
+
+                        {expanded && (
+                          <div className="syllabus-tree-details">
+                            <h5>Past-paper questions</h5>
+                            {questions.length === 0 ? (
+                              <p className="syllabus-tree-none">No indexed questions cover this objective yet.</p>
+                            ) : (
+                              <ul>
+                                {questions.map(({ paper, question }) => (
+                                  <li key={`${paper.id}-${question.number}`}>
+                                    <button onClick={() => onOpenQuestion(paper, question)}>
+                                      {paper.sessionName} {paper.year} · Paper {paper.component} · Q{question.number} · {question.marks} marks
+                                    </button>
+                                  </li>
+                                ))}
+                              </ul>
+                            )}
+                            <h5>Textbook chapters</h5>
+                            {chapters.length === 0 ? (
+                              <p className="syllabus-tree-none">No textbook chapters are mapped to this objective.</p>
+                            ) : (
+                              <ul>
+                                {chapters.map(({ textbook, chapter }) => (
+                                  <li key={`${textbook.id}-${chapter.number}`}>
+                                    <button onClick={() => onOpenChapter(textbook, chapter)}>
+                                      📖 {textbook.title} · Chapter {chapter.number} {chapter.title} · p. {chapter.page}
+                                    </button>
+                                  </li>
+                                ))}
+                              </ul>
+                            )}
+                            <h5>Notes</h5>
+                            {notes.length === 0 ? (
+                              <p className="syllabus-tree-none">No notes are linked to this objective.</p>
+                            ) : (
+                              <ul>
+                                {notes.map(note => (
+                                  <li key={note.id}>
+                                    <button onClick={() => onOpenNote(note)}>📝 {note.title}</button>
+                                  </li>
+                                ))}
+                              </ul>
+                            )}
+                          </div>
+                        )}
+                      </li>
+                    );
+                  })}
+                </ul>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
+
+export default SyllabusTree;
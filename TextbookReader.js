@@ -0,0 +1,134 @@
+import React, { useState, useEffect } from 'react';
+import PdfViewer from './PdfViewer.js';
+import { Textbooks } from './Textbooks.js';
+import { QuestionIndex } from './QuestionIndex.js';
+import { SyllabusProgress, OBJECTIVE_STATUSES } from './SyllabusProgress.js';
+
+/**
+ * TextbookReader 组件 - 教科书阅读器
+ * 左侧为章节目录，点击章节或小节跳转到对应页；当前所在的章节和小节高亮，阅读位置由 PdfViewer 按文件ID自动保存；
+ * 每一章列出覆盖的大纲知识点及掌握程度
+ * @param {Object} props
+ * @param {Object} props.textbook - 教科书 { id, fileId, title, author, publisher }
+ * @param {number|null} props.initialPage - 打开时跳转的页码（例如从大纲知识点跳转到章节），为空时回到上次阅读的位置
+ * @param {Function} props.onBack - 返回教科书列表
+ */
+const TextbookReader = ({ textbook, initialPage = null, onBack }) => {
+  const contents = Textbooks.getContents(textbook.id);
+  const [page, setPage] = useState(() => initialPage || Textbooks.getReadingPosition(textbook)?.page || 1);
+  const [pageRequest, setPageRequest] = useState(() => initialPage ? { page: initialPage } : null);
+  const [showContents, setShowContents] = useState(true);
+  const location = Textbooks.locate(textbook.id, page);
+  const [openChapter, setOpenChapter] = useState(() => location?.chapter.number ?? null);
+
+  useEffect(() => {
+    if (!initialPage) return;
+    setPageRequest({ page: initialPage });
+    setOpenChapter(Textbooks.locate(textbook.id, initialPage)?.chapter.number ?? null);
+  }, [textbook.id, initialPage]);
+
+  /**
+   * 跳转到章节并展开
+   * @param {Object} chapter - 章节
+   */
+  const goToChapter = (chapter) => {
+    setOpenChapter(chapter.number);
+    setPageRequest({ page: chapter.page });
+  };
+
+  const statuses = contents ? SyllabusProgress.getStatuses(contents.syllabusCode) : {};
+
+  return (
+    <div className="file-preview-container">
+      <div className="file-preview-header">
+        <div className="file-info">
+          <h2>{textbook.title}</h2>
+          <div className="file-meta">
+            <span className="document-subtitle">{textbook.author} · {textbook.publisher}</span>
+            {location && (
+              <span className="textbook-location">
+                Chapter {location.chapter.number} {location.chapter.title}{location.section ? ` · ${location.section.number} ${location.section.title}` : ''}
+              </span>
+            )}
+            <button
+              className={`self-mark-toggle ${showContents ? 'active' : ''}`}
+              onClick={() => setShowContents(prev => !prev)}
+            >
+              ☰ Contents
+            </button>
+          </div>
+        </div>
+        <button className="back-to-papers-btn" onClick={onBack}>← Back to Textbooks</button>
+      </div>
+
+      <div className="file-preview-body">
+        {showContents && (
+          <aside className="textbook-toc" aria-label="Table of contents">
+            {!contents ? (
+              <p className="textbook-toc-empty">No table of contents is available for this book yet.</p>
+            ) : (
+              <ol>
+                {contents.chapters.map(chapter => {
+                  const current = location?.chapter === chapter;
+                  const expanded = openChapter === chapter.number;
+                  return (
+                    <li key={chapter.number} className={`textbook-toc-chapter ${current ? 'current' : ''}`}>
+                      <button className="textbook-toc-chapter-title" onClick={() => goToChapter(chapter)} aria-expanded={expanded}>
+                        <span>{chapter.number} {chapter.title}</span>
+                        <span className="textbook-toc-page">p. {chapter.page}</span>
+                      </button>
+                      {expanded && (
+                        <>
+                          <ol className="textbook-toc-sections">
+                            {chapter.sections.map(section => (
+                              <li key={section.number}>
+                                <button
+                                  className={location?.section === section ? 'current' : ''}
+                                  onClick={() => setPageRequest({ page: section.page })}
+                                >
+                                  <span>{section.number} {section.title}</span>
+                                  <span className="textbook-toc-page">p. {section.page}</span>
+                                </button>
+                              </li>
+                            ))}
+                          </ol>
+                          {chapter.objectives.length > 0 && (
+                            <div className="textbook-toc-objectives">
+                              {chapter.objectives.map(code => {
+                                const status = statuses[code] || 'not-started';
+                                const objective = QuestionIndex.getObjective(contents.syllabusCode, code);
+                                return (
+                                  <span
+                                    key={code}
+                                    className={`textbook-objective ${status}`}
+                                    title={`${contents.syllabusCode} ${code} ${objective?.title || ''} · ${OBJECTIVE_STATUSES[status]}`}
+                                  >
+                                    {code}
+                                  </span>
+                                );
+                              })}
+                            </div>
+                          )}
+                        </>
+                      )}
+                    </li>
+                  );
+                })}
+              </ol>
+            )}
+          </aside>
+        )}
+        <div className="file-preview-content">
+          <PdfViewer
+            fileId={textbook.fileId}
+            title={textbook.title}
+            pageRequest={pageRequest}
+            onPageChange={setPage}
+          />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TextbookReader;
@@ -0,0 +1,89 @@
+// ==================== 教科书阅读 ====================
+import { textbookContentsData, userTestData } from './mockData.js';
+import { LastPages } from './LastPages.js';
+
+/**
+ * 导入的 EPUB 阅读到的章节的存储键，结构为 { [textbookId]: { chapter, updatedAt } }
+ * PDF 教科书的页码由 PdfViewer 按文件ID记录（见 LastPages）
+ */
+const STORAGE_KEY = 'textbookReading';
+
+/**
+ * 读取全部阅读位置
+ * @returns {Object}
+ */
+const readAll = () => {
+  const saved = localStorage.getItem(STORAGE_KEY);
+  return saved ? JSON.parse(saved) : {};
+};
+
+/**
+ * 教科书阅读工具类
+ * 提供章节目录、按页码定位所在章节、记住每本书的阅读位置，以及章节与大纲知识点的对应关系
+ * 后端对接：可以通过 GET /api/textbooks/{textbookId}/contents 获取目录，
+ * GET/PUT /api/user/textbooks/{textbookId}/position 读取和保存阅读位置
+ */
+export const Textbooks = {
+  /**
+   * 获取教科书目录
+   * @param {number} textbookId - 教科书ID
+   * @returns {Object|null} { syllabusCode, chapters: [{ number, title, page, objectives, sections }] }，没有目录时为 null
+   */
+  getContents: (textbookId) => textbookContentsData[textbookId] || null,
+
+  /**
+   * 查找页码所在的章节和小节
+   * @param {number} textbookId - 教科书ID
+   * @param {number} page - 页码
+   * @returns {Object|null} { chapter, section }，section 可能为 null；页码在第一章之前或没有目录时为 null
+   */
+  locate: (textbookId, page) => {
+    const contents = Textbooks.getContents(textbookId);
+    if (!contents) return null;
+    const chapter = [...contents.chapters].reverse().find(c => c.page <= page);
+    if (!chapter) return null;
+    const section = [...chapter.sections].reverse().find(s => s.page <= page) || null;
+    return { chapter, section };
+  },
+
+  /**
+   * 获取上次的阅读位置
+   * @param {Object} textbook - 教科书 { id, fileId, format }
+   * @returns {Object|null} PDF 为 { page }，导入的 EPUB 为 { chapter }（章节序号，从 1 开始）；没有读过时为 null
+   */
+  getReadingPosition: (textbook) => {
+    if (textbook.format === 'epub') {
+      const chapter = readAll()[textbook.id]?.chapter;
+      return chapter ? { chapter } : null;
+    }
+    const page = LastPages.get(textbook.fileId);
+    return page ? { page } : null;
+  },
+
+  /**
+   * 记录导入的 EPUB 阅读到的章节
+   * @param {string} textbookId - 教科书ID
+   * @param {number} chapter - 章节序号，从 1 开始
+   */
+  saveChapter: (textbookId, chapter) => {
+    const all = readAll();
+    all[textbookId] = { chapter, updatedAt: new Date().toISOString() };
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(all));
+  },
+
+  /**
+   * 查找覆盖某个大纲知识点的教科书章节
+   * @param {string} topicId - 课程代码
+   * @param {string} code - 知识点编号
+   * @returns {Array<Object>} [{ textbook, chapter }]
+   */
+  getChaptersForObjective: (topicId, code) => {
+    return userTestData.textBooks.flatMap(textbook => {
+      const contents = Textbooks.getContents(textbook.id);
+      if (contents?.syllabusCode !== topicId) return [];
+      return contents.chapters
+        .filter(chapter => chapter.objectives.includes(code))
+        .map(chapter => ({ textbook, chapter }));
+    });
+  }
+};
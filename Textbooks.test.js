@@ -0,0 +1,32 @@
+import { Textbooks } from './Textbooks';
+import { LastPages } from './LastPages';
+
+beforeEach(() => localStorage.clear());
+
+test('locates the chapter and section for a page', () => {
+  expect(Textbooks.locate(2, 27)).toMatchObject({ chapter: { number: 2 }, section: { number: '2.2' } });
+  expect(Textbooks.locate(2, 49)).toMatchObject({ chapter: { title: 'Dynamics' }, section: null });
+  expect(Textbooks.locate(2, 400).chapter.number).toBe(12);
+  expect(Textbooks.locate(2, 1)).toBeNull();
+  expect(Textbooks.locate(1, 10)).toBeNull();
+});
+
+test('reads PDF pages from the viewer and keeps EPUB chapters separately', () => {
+  const pdf = { id: 4, fileId: 'textbook_4' };
+  const epub = { id: 'personal-1', fileId: 'personal-1', format: 'epub' };
+  expect(Textbooks.getReadingPosition(pdf)).toBeNull();
+  LastPages.save('textbook_4', 97);
+  expect(Textbooks.getReadingPosition(pdf)).toEqual({ page: 97 });
+
+  expect(Textbooks.getReadingPosition(epub)).toBeNull();
+  Textbooks.saveChapter('personal-1', 3);
+  expect(Textbooks.getReadingPosition(epub)).toEqual({ chapter: 3 });
+  expect(Textbooks.getReadingPosition({ ...epub, format: 'pdf' })).toBeNull();
+});
+
+test('finds chapters covering a syllabus objective', () => {
+  const chapters = Textbooks.getChaptersForObjective('9709', '1.7');
+  expect(chapters.map(({ textbook, chapter }) => `${textbook.id}:${chapter.title}`)).toEqual(['4:Differentiation', '4:Further differentiation']);
+  expect(Textbooks.getChaptersForObjective('9702', '7.5')[0].chapter.number).toBe(11);
+  expect(Textbooks.getChaptersForObjective('9702', '25.1')).toEqual([]);
+});
@@ -0,0 +1,112 @@
+import React, { useState, useEffect } from 'react';
+import Calculator from './Calculator.js';
+import FunctionGrapher from './FunctionGrapher.js';
+import Scratchpad from './Scratchpad.js';
+import PseudocodeRunner from './PseudocodeRunner.js';
+import { AttemptLog } from './AttemptLog.js';
+
+/**
+ * 工具面板中的工具；topicIds 限定只在这些课程的试卷旁显示
+ */
+const TOOLS = [
+  { id: 'calculator', name: 'Calculator', icon: '🧮' },
+  { id: 'graph', name: 'Graph', icon: '📈' },
+  { id: 'scratchpad', name: 'Scratchpad', icon: '✏️' },
+  { id: 'pseudocode', name: 'Pseudocode', icon: '💻', topicIds: ['9618'] }
+];
+
+/**
+ * ToolsPanel 组件 - 试卷预览旁的工具面板
+ * 科学计算器、函数绘图和草稿纸（9618 试卷另有伪代码练习），内容按试卷保存；保存作答记录时计算记录和草稿纸随记录保存，
+ * 之后可以在面板中选择某次作答查看当时的草稿
+ * @param {Object} props
+ * @param {Object} props.paper - 预览中的试卷（目录条目或模拟卷）
+ * @param {Function} props.onClose - 收起面板
+ */
+const ToolsPanel = ({ paper, onClose }) => {
+  const [activeTool, setActiveTool] = useState('calculator');
+  const [attempts, setAttempts] = useState(() => AttemptLog.getAttempts(paper.id));
+  const [viewingAttemptId, setViewingAttemptId] = useState('');
+
+  useEffect(() => {
+    setAttempts(AttemptLog.getAttempts(paper.id));
+    setViewingAttemptId('');
+    return AttemptLog.subscribe(() => setAttempts(AttemptLog.getAttempts(paper.id)));
+  }, [paper.id]);
+
+  const tools = TOOLS.filter(tool => !tool.topicIds || tool.topicIds.includes(paper.topicId));
+  // 换到没有该工具的试卷时回到计算器
+  const currentTool = tools.some(tool => tool.id === activeTool) ? activeTool : 'calculator';
+  const withWorkings = attempts.filter(attempt => attempt.workings);
+  const viewingAttempt = withWorkings.find(attempt => attempt.id === viewingAttemptId) || null;
+
+  return (
+    <aside className={`tools-panel ${currentTool === 'pseudocode' && !viewingAttempt ? 'wide' : ''}`}>
+      <div className="tools-panel-header">
+        <div className="tools-tabs">
+          {tools.map(tool => (
+            <button
+              key={tool.id}
+              className={currentTool === tool.id && !viewingAttempt ? 'active' : ''}
+              onClick={() => {
+                setActiveTool(tool.id);
+                setViewingAttemptId('');
+              }}
+              title={tool.name}
+            >
+              {tool.icon} {tool.name}
+            </button>
+          ))}
+        </div>
+        <button className="tools-panel-close" onClick={onClose} aria-label="Hide tools">»</button>
+      </div>
+
+      {withWorkings.length > 0 && (
+        <select
+          className="tools-attempt-select"
+          value={viewingAttemptId}
+          onChange={(e) => setViewingAttemptId(e.target.value)}
+          aria-label="Workings"
+        >
+          <option value="">Current workings</option>
+          {withWorkings.map(attempt => (
+            <option key={attempt.id} value={attempt.id}>
+              Saved with attempt · {new Date(attempt.submittedAt).toLocaleString()}
+            </option>
+          ))}
+        </select>
+      )}
+
+      {viewingAttempt ? (
+        <div className="tools-saved-workings">
+          <div className="calculator-history">
+            <div className="tools-section-header"><span>Calculations</span></div>
+            {viewingAttempt.workings.calculations.length === 0 ? (
+              <p className="tools-empty">No calculations were saved with this attempt.</p>
+            ) : (
+              <ul>
+                {viewingAttempt.workings.calculations.map((item, index) => (
+                  <li key={index}>
+                    <span className="calculator-history-expression">{item.expression}</span>
+                    <span className="calculator-history-result">= {item.result}</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+          <div className="tools-section-header"><span>Scratchpad</span></div>
+          <Scratchpad paperId={paper.id} strokes={viewingAttempt.workings.scratchpad} />
+        </div>
+      ) : (
+        <>
+          {currentTool === 'calculator' && <Calculator paperId={paper.id} />}
+          {currentTool === 'graph' && <FunctionGrapher paperId={paper.id} />}
+          {currentTool === 'scratchpad' && <Scratchpad paperId={paper.id} />}
+          {currentTool === 'pseudocode' && <PseudocodeRunner paperId={paper.id} />}
+        </>
+      )}
+    </aside>
+  );
+};
+
+export default ToolsPanel;
@@ -0,0 +1,50 @@
+/**
+ * URL 查询参数工具类
+ * 用于把页面状态（当前课程、筛选条件等）同步到地址栏，便于分享和收藏
+ * 使用 history.replaceState 更新地址，不会产生新的历史记录
+ */
+export const UrlUtils = {
+  /**
+   * 获取单个查询参数
+   * @param {string} name - 参数名
+   * @returns {string|null} 参数值或null
+   */
+  getQueryParam: (name) => {
+    return new URLSearchParams(window.location.search).get(name);
+  },
+
+  /**
+   * 获取逗号分隔的列表参数，例如 ?year=2023,2022
+   * @param {string} name - 参数名
+   * @returns {Array<string>} 参数值列表
+   */
+  getQueryList: (name) => {
+    const value = UrlUtils.getQueryParam(name);
+    return value ? value.split(',').filter(Boolean) : [];
+  },
+
+  /**
+   * 批量更新查询参数
+   * 值为 null、空字符串或空数组时删除该参数，数组以逗号拼接
+   * @param {Object} params - 参数对象
+   */
+  setQueryParams: (params) => {
+    const searchParams = new URLSearchParams(window.location.search);
+
+    Object.entries(params).forEach(([name, value]) => {
+      const serialized = Array.isArray(value) ? value.join(',') : value;
+      if (serialized === null || serialized === undefined || serialized === '') {
+        searchParams.delete(name);
+      } else {
+        searchParams.set(name, serialized);
+      }
+    });
+
+    // 逗号保持原样，让分享出去的链接更易读
+    const query = searchParams.toString().replace(/%2C/g, ',');
+    const url = `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+    if (url !== `${window.location.pathname}${window.location.search}${window.location.hash}`) {
+      window.history.replaceState(window.history.state, '', url);
+    }
+  }
+};
@@ -1,4 +1,6 @@
 import React from 'react';
+import OfflineLibraryPanel from './OfflineLibraryPanel.js';
+import ScoreTrends from './ScoreTrends.js';
 
 /**
  * UserProfile 组件 - 用户资料页面
@@ -139,6 +141,12 @@ const UserProfile = ({
             >
               Settings
             </button>
+            <button 
+              className={`profile-nav-item ${activeProfileTab === 'offline' ? 'active' : ''}`}
+              onClick={() => onTabChange('offline')}
+            >
+              Offline
+            </button>
           </nav>
           
           <div className="profile-content">
@@ -249,6 +257,8 @@ const UserProfile = ({
               </div>
             </div>
             
+            <ScoreTrends />
+            
             <div className="recent-activity">
               <h3 className="activity-title">Recent Activity</h3>
               <div className="activity-list">
@@ -394,6 +404,9 @@ const UserProfile = ({
                 </div>
               </div>
             )}
+            
+            {/* Offline Tab */}
+            {activeProfileTab === 'offline' && <OfflineLibraryPanel />}
           </div>
         </div>
       </div>
@@ -0,0 +1,358 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Worksheets, WORKSHEET_ORDERS } from './Worksheets.js';
+import { WorksheetExport } from './WorksheetExport.js';
+import { QuestionIndex, DIFFICULTIES } from './QuestionIndex.js';
+import { PaperCatalog } from './PaperCatalog.js';
+import { OfflineLibrary } from './OfflineLibrary.js';
+
+/**
+ * 空的选题条件
+ */
+const EMPTY_CRITERIA = { objectives: [], yearFrom: '', yearTo: '', difficulties: [], papers: [] };
+
+/**
+ * 正在编辑的练习卷（按课程），切换浏览方式或打开题目后返回时恢复
+ */
+const drafts = new Map();
+
+/**
+ * 切换多选值
+ * @param {Array<string>} values - 当前选中的值
+ * @param {string} value - 切换的值
+ * @returns {Array<string>}
+ */
+const toggleValue = (values, value) => (
+  values.includes(value) ? values.filter(v => v !== value) : [...values, value]
+);
+
+/**
+ * WorksheetBuilder 组件 - 专题练习卷生成器
+ * 按知识点、年份范围、难度和 Paper 从题目索引中选题，可以调整顺序、移除题目，
+ * 导出附带评分标准的 PDF/HTML，保存后可以重新打开或通过链接分享
+ * 切换课程时需要重新挂载（以 topicId 作为 key）
+ * @param {Object} props
+ * @param {string} props.topicId - 课程代码
+ * @param {string} props.subjectKey - 学科键名（用于生成分享链接）
+ * @param {Object|null} props.sharedWorksheet - 从分享链接打开的练习卷
+ * @param {Function} props.onOpenQuestion - 打开题目的回调，参数为 (paper, question)
+ */
+const WorksheetBuilder = ({ topicId, subjectKey, sharedWorksheet, onOpenQuestion }) => {
+  // 优先恢复草稿，其次打开分享链接中的练习卷
+  const [initial] = useState(() => {
+    if (drafts.has(topicId)) return { ...drafts.get(topicId), message: '' };
+    if (sharedWorksheet && sharedWorksheet.topicId === topicId) {
+      return {
+        worksheetId: null,
+        title: sharedWorksheet.title || '',
+        criteria: { ...EMPTY_CRITERIA, ...sharedWorksheet.criteria },
+        order: sharedWorksheet.order || 'manual',
+        entries: Worksheets.resolveItems(sharedWorksheet.items),
+        message: 'Opened a shared worksheet. Save it to keep a copy.'
+      };
+    }
+    return { worksheetId: null, title: '', criteria: EMPTY_CRITERIA, order: 'syllabus', entries: [], message: '' };
+  });
+  const [worksheetId, setWorksheetId] = useState(initial.worksheetId);
+  const [title, setTitle] = useState(initial.title);
+  const [criteria, setCriteria] = useState(initial.criteria);
+  const [order, setOrder] = useState(initial.order);
+  const [entries, setEntries] = useState(initial.entries);
+  const [includeMarkScheme, setIncludeMarkScheme] = useState(true);
+  const [savedWorksheets, setSavedWorksheets] = useState(() => Worksheets.list());
+  const [exporting, setExporting] = useState(null);
+  const [message, setMessage] = useState(initial.message);
+
+  const syllabus = useMemo(() => QuestionIndex.getSyllabus(topicId), [topicId]);
+  const options = useMemo(() => PaperCatalog.getFilterOptions(QuestionIndex.getIndexedPapers(topicId)), [topicId]);
+  const summary = Worksheets.summarize(entries);
+  const missingMarkSchemes = WorksheetExport.countMissingMarkSchemes(entries);
+  const topicWorksheets = savedWorksheets.filter(worksheet => worksheet.topicId === topicId);
+
+  /**
+   * 载入已保存的练习卷
+   * @param {Object} worksheet - 练习卷
+   */
+  const loadWorksheet = (worksheet) => {
+    setWorksheetId(worksheet.id || null);
+    setTitle(worksheet.title || '');
+    setCriteria({ ...EMPTY_CRITERIA, ...worksheet.criteria });
+    setOrder(worksheet.order || 'manual');
+    setEntries(Worksheets.resolveItems(worksheet.items));
+  };
+
+  useEffect(() => {
+    drafts.set(topicId, { worksheetId, title, criteria, order, entries });
+  }, [topicId, worksheetId, title, criteria, order, entries]);
+
+  useEffect(() => {
+    return Worksheets.subscribe(() => setSavedWorksheets(Worksheets.list()));
+  }, []);
+
+  /**
+   * 修改选题条件并重新选题（手动调整会被重置）
+   * @param {Object} changes - 需要修改的条件
+   */
+  const updateCriteria = (changes) => {
+    const next = { ...criteria, ...changes };
+    const nextOrder = order === 'manual' ? 'syllabus' : order;
+    setCriteria(next);
+    setOrder(nextOrder);
+    setEntries(Worksheets.orderQuestions(Worksheets.selectQuestions(topicId, next), nextOrder));
+    setMessage('');
+  };
+
+  /**
+   * 修改排列方式
+   * @param {string} nextOrder - 排列方式
+   */
+  const changeOrder = (nextOrder) => {
+    setOrder(nextOrder);
+    setEntries(prev => Worksheets.orderQuestions(prev, nextOrder));
+  };
+
+  /**
+   * 上下移动题目
+   * @param {number} index - 题目位置
+   * @param {number} direction - -1 上移，1 下移
+   */
+  const moveEntry = (index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= entries.length) return;
+    const next = [...entries];
+    [next[index], next[target]] = [next[target], next[index]];
+    setEntries(next);
+    setOrder('manual');
+  };
+
+  /**
+   * 当前练习卷（用于保存、分享和导出）
+   * @returns {Object}
+   */
+  const currentWorksheet = () => ({
+    id: worksheetId,
+    title: title.trim() || `${topicId} worksheet`,
+    topicId,
+    criteria,
+    order,
+    items: Worksheets.toItems(entries)
+  });
+
+  /**
+   * 保存练习卷
+   */
+  const handleSave = () => {
+    const saved = Worksheets.save(currentWorksheet());
+    setWorksheetId(saved.id);
+    setTitle(saved.title);
+    setMessage(`Saved "${saved.title}"`);
+  };
+
+  /**
+   * 复制分享链接
+   */
+  const handleShare = async () => {
+    const url = Worksheets.getShareUrl(currentWorksheet(), subjectKey);
+    try {
+      await navigator.clipboard.writeText(url);
+      setMessage('Share link copied to the clipboard');
+    } catch (error) {
+      window.prompt('Copy this link to share the worksheet:', url);
+    }
+  };
+
+  /**
+   * 导出 PDF 或 HTML
+   * @param {string} format - 'pdf' | 'html'
+   */
+  const handleExport = async (format) => {
+    const worksheet = currentWorksheet();
+    setExporting(format);
+    setMessage('');
+    try {
+      if (format === 'pdf') {
+        const data = await WorksheetExport.buildPdf(worksheet, entries, { includeMarkScheme });
+        OfflineLibrary.saveToDisk(data, WorksheetExport.getFilename(worksheet, 'pdf'));
+      } else {
+        const html = await WorksheetExport.buildHtml(worksheet, entries, { includeMarkScheme });
+        OfflineLibrary.saveToDisk(html, WorksheetExport.getFilename(worksheet, 'html'), 'text/html');
+      }
+    } catch (error) {
+      console.error('练习卷导出失败:', error);
+      setMessage(`Export failed: ${error.message}`);
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  /**
+   * 删除已保存的练习卷
+   * @param {Object} worksheet - 练习卷
+   */
+  const handleDelete = (worksheet) => {
+    if (!window.confirm(`Delete "${worksheet.title}"?`)) return;
+    Worksheets.remove(worksheet.id);
+    if (worksheet.id === worksheetId) setWorksheetId(null);
+  };
+
+  if (!syllabus) {
+    return (
+      <div className="empty-state">
+        <p>No syllabus objectives are available for {topicId} yet.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="worksheet-builder">
+      <div className="worksheet-criteria">
+        <input
+          type="text"
+          className="worksheet-title-input"
+          placeholder={`${topicId} worksheet`}
+          value={title}
+          onChange={(e) => setTitle(e.target.value)}
+          aria-label="Worksheet title"
+        />
+
+        <div className="worksheet-field">
+          <h4>Years</h4>
+          <select value={criteria.yearFrom} onChange={(e) => updateCriteria({ yearFrom: e.target.value })} aria-label="From year">
+            <option value="">Any</option>
+            {[...options.years].reverse().map(year => <option key={year} value={year}>{year}</option>)}
+          </select>
+          <span>to</span>
+          <select value={criteria.yearTo} onChange={(e) => updateCriteria({ yearTo: e.target.value })} aria-label="To year">
+            <option value="">Any</option>
+            {options.years.map(year => <option key={year} value={year}>{year}</option>)}
+          </select>
+        </div>
+
+        <div className="worksheet-field">
+          <h4>Paper</h4>
+          {options.papers.map(paper => (
+            <label key={paper} className="worksheet-check">
+              <input type="checkbox" checked={criteria.papers.includes(paper)} onChange={() => updateCriteria({ papers: toggleValue(criteria.papers, paper) })} />
+              Paper {paper}
+            </label>
+          ))}
+        </div>
+
+        <div className="worksheet-field">
+          <h4>Difficulty</h4>
+          {DIFFICULTIES.map(difficulty => (
+            <label key={difficulty} className="worksheet-check">
+              <input type="checkbox" checked={criteria.difficulties.includes(difficulty)} onChange={() => updateCriteria({ difficulties: toggleValue(criteria.difficulties, difficulty) })} />
+              {difficulty}
+            </label>
+          ))}
+        </div>
+
+        <div className="worksheet-field worksheet-objectives">
+          <h4>Topics {criteria.objectives.length > 0 && `(${criteria.objectives.length})`}</h4>
+          {syllabus.sections.map(section => {
+            const codes = section.objectives.map(objective => objective.code);
+            const allSelected = codes.every(code => criteria.objectives.includes(code));
+            return (
+              <div key={section.code} className="worksheet-section">
+                <label className="worksheet-check worksheet-section-check">
+                  <input
+                    type="checkbox"
+                    checked={allSelected}
+                    onChange={() => updateCriteria({
+                      objectives: allSelected
+                        ? criteria.objectives.filter(code => !codes.includes(code))
+                        : Array.from(new Set([...criteria.objectives, ...codes]))
+                    })}
+                  />
+                  {section.code} {section.title}
+                </label>
+                {section.objectives.map(objective => (
+                  <label key={objective.code} className="worksheet-check worksheet-objective-check">
+                    <input type="checkbox" checked={criteria.objectives.includes(objective.code)} onChange={() => updateCriteria({ objectives: toggleValue(criteria.objectives, objective.code) })} />
+                    {objective.code} {objective.title}
+                  </label>
+                ))}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+
+      <div className="worksheet-main">
+        <div className="worksheet-toolbar">
+          <span className="worksheet-summary">
+            {summary.questions} questions · {summary.marks} marks · from {summary.papers} papers
+          </span>
+          <select value={order} onChange={(e) => changeOrder(e.target.value)} aria-label="Question order">
+            {Object.entries(WORKSHEET_ORDERS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+            {order === 'manual' && <option value="manual">Custom order</option>}
+          </select>
+          <label className="worksheet-check">
+            <input type="checkbox" checked={includeMarkScheme} onChange={(e) => setIncludeMarkScheme(e.target.checked)} />
+            Mark scheme appendix
+          </label>
+        </div>
+
+        {entries.length === 0 ? (
+          <div className="empty-state">
+            <p>Choose topics, years, papers or difficulty to collect questions from the question index.</p>
+          </div>
+        ) : (
+          <ol className="worksheet-questions">
+            {entries.map((entry, index) => (
+              <li key={`${entry.paper.id}-${entry.question.number}`} className="worksheet-question">
+                <div className="worksheet-question-info">
+                  <strong>{entry.paper.sessionName} {entry.paper.year} · Paper {entry.paper.component} · Q{entry.question.number}</strong>
+                  <span>
+                    {entry.question.marks} marks · {QuestionIndex.getDifficulty(entry.question)} · {entry.question.objectives.join(', ')}
+                  </span>
+                </div>
+                <div className="worksheet-question-actions">
+                  <button onClick={() => moveEntry(index, -1)} disabled={index === 0} aria-label="Move up">↑</button>
+                  <button onClick={() => moveEntry(index, 1)} disabled={index === entries.length - 1} aria-label="Move down">↓</button>
+                  <button onClick={() => onOpenQuestion(entry.paper, entry.question)}>Open</button>
+                  <button onClick={() => setEntries(prev => prev.filter((_, i) => i !== index))} aria-label="Remove question">✕</button>
+                </div>
+              </li>
+            ))}
+          </ol>
+        )}
+
+        {includeMarkScheme && missingMarkSchemes > 0 && (
+          <p className="worksheet-warning">
+            ⚠️ {missingMarkSchemes} question{missingMarkSchemes === 1 ? ' has' : 's have'} no indexed mark scheme pages and will be listed in the appendix instead.
+          </p>
+        )}
+
+        <div className="worksheet-actions">
+          <button className="action-btn view-btn" onClick={handleSave} disabled={entries.length === 0}>💾 Save</button>
+          <button className="action-btn view-btn" onClick={handleShare} disabled={entries.length === 0}>🔗 Copy link</button>
+          <button className="action-btn download-btn" onClick={() => handleExport('pdf')} disabled={entries.length === 0 || exporting !== null}>
+            {exporting === 'pdf' ? '⏳ Building PDF...' : '📄 Export PDF'}
+          </button>
+          <button className="action-btn download-btn" onClick={() => handleExport('html')} disabled={entries.length === 0 || exporting !== null}>
+            {exporting === 'html' ? '⏳ Building HTML...' : '🖨 Export HTML'}
+          </button>
+        </div>
+        {message && <p className="worksheet-message">{message}</p>}
+
+        {topicWorksheets.length > 0 && (
+          <div className="worksheet-saved">
+            <h4>Saved worksheets</h4>
+            {topicWorksheets.map(worksheet => (
+              <div key={worksheet.id} className={`worksheet-saved-item ${worksheet.id === worksheetId ? 'active' : ''}`}>
+                <button className="worksheet-saved-open" onClick={() => { loadWorksheet(worksheet); setMessage(''); }}>
+                  <strong>{worksheet.title}</strong>
+                  <span>{worksheet.items.length} questions · updated {new Date(worksheet.updatedAt).toLocaleDateString()}</span>
+                </button>
+                <button className="worksheet-saved-delete" onClick={() => handleDelete(worksheet)} aria-label={`Delete ${worksheet.title}`}>✕</button>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default WorksheetBuilder;
@@ -0,0 +1,308 @@
+// ==================== 练习卷导出 ====================
+import { PDFDocument, StandardFonts, rgb } from 'pdf-lib';
+import { ApiService } from './APIservice.js';
+import { PaperCatalog } from './PaperCatalog.js';
+import { pdfjsLib } from './PdfJs.js';
+
+/**
+ * A4 纸尺寸（PDF 点）
+ */
+const A4 = [595.28, 841.89];
+
+/**
+ * 封面每页列出的题目数量
+ */
+const COVER_ROWS_PER_PAGE = 32;
+
+/**
+ * 封面页左右边距与题目清单各列的横坐标：来源、分值、考点
+ */
+const COVER_MARGIN = 48;
+const COVER_COLUMNS = { source: COVER_MARGIN, marks: 340, objectives: 400 };
+
+/**
+ * HTML 导出时页面图片的渲染倍率
+ */
+const HTML_RENDER_SCALE = 1.5;
+
+/**
+ * 题目来源的简短描述，例如 "9709 May/June 2023 Paper 12 Q3"
+ * @param {Object} entry - { paper, question }
+ * @returns {string}
+ */
+const describeSource = ({ paper, question }) => `${paper.topicId} ${paper.sessionName} ${paper.year} Paper ${paper.component} Q${question.number}`;
+
+/**
+ * 标准字体只支持 WinAnsi 字符，其他字符替换为 '?'
+ * @param {string} text - 文本
+ * @returns {string}
+ */
+const toWinAnsi = (text) => text.replace(/[^\x20-\x7E\u00A0-\u00FF\u2013\u2014\u2018\u2019\u201C\u201D\u2022\u2026]/g, '?');
+
+/**
+ * 把文本截断到指定宽度以内，超出部分用省略号代替
+ * @param {string} text - 文本（已转换为 WinAnsi 字符）
+ * @param {PDFFont} font - 字体
+ * @param {number} size - 字号
+ * @param {number} maxWidth - 最大宽度（PDF 点）
+ * @returns {string}
+ */
+const fitText = (text, font, size, maxWidth) => {
+  if (font.widthOfTextAtSize(text, size) <= maxWidth) return text;
+  let end = text.length;
+  while (end > 0 && font.widthOfTextAtSize(`${text.slice(0, end)}\u2026`, size) > maxWidth) end -= 1;
+  return `${text.slice(0, end).trimEnd()}\u2026`;
+};
+
+/**
+ * HTML 转义
+ * @param {string} text - 文本
+ * @returns {string}
+ */
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * 整理每道题需要的页码：试卷页和评分标准页
+ * @param {Array<Object>} entries - [{ paper, question }]
+ * @returns {Array<Object>} [{ entry, questionPages: { fileId, pages }, markSchemePages: { fileId, pages } | null }]
+ */
+const planPages = (entries) => entries.map(entry => {
+  const { paper, question } = entry;
+  const range = ([start, end]) => Array.from({ length: end - start + 1 }, (_, i) => start + i);
+  const markScheme = PaperCatalog.getRelatedDocuments(paper).ms;
+
+  return {
+    entry,
+    questionPages: { fileId: paper.id, pages: range(question.pages) },
+    markSchemePages: markScheme && question.markSchemePages
+      ? { fileId: markScheme.id, pages: range(question.markSchemePages) }
+      : null
+  };
+});
+
+/**
+ * 读取用到的全部源文件（离线库中的文件不需要网络）
+ * @param {Array<Object>} plan - planPages 的结果
+ * @param {boolean} includeMarkScheme - 是否需要评分标准
+ * @returns {Promise<Map<string, ArrayBuffer>>}
+ */
+const loadSources = async (plan, includeMarkScheme) => {
+  const fileIds = plan.flatMap(item => [
+    item.questionPages.fileId,
+    ...(includeMarkScheme && item.markSchemePages ? [item.markSchemePages.fileId] : [])
+  ]);
+  const sources = new Map();
+  for (const fileId of new Set(fileIds)) {
+    const response = await ApiService.getFileContent(fileId);
+    if (!response.success) {
+      throw new Error(`${fileId}: ${response.message}`);
+    }
+    sources.set(fileId, response.data);
+  }
+  return sources;
+};
+
+/**
+ * 练习卷导出工具类
+ * 把练习卷中的题目页从原试卷中取出，按顺序合成一份可打印的文件，并在末尾附上对应的评分标准页；
+ * 评分标准页来自题目索引中的 markSchemePages，未标注的题目在附录中列出
+ */
+export const WorksheetExport = {
+  /**
+   * 导出 PDF
+   * @param {Object} worksheet - 练习卷 { title }
+   * @param {Array<Object>} entries - 排好顺序的题目 [{ paper, question }]
+   * @param {Object} options - { includeMarkScheme: 是否附带评分标准 }
+   * @returns {Promise<Uint8Array>} PDF 文件内容
+   */
+  buildPdf: async (worksheet, entries, { includeMarkScheme = true } = {}) => {
+    const plan = planPages(entries);
+    const sources = await loadSources(plan, includeMarkScheme);
+
+    const doc = await PDFDocument.create();
+    doc.setTitle(toWinAnsi(worksheet.title));
+    const font = await doc.embedFont(StandardFonts.Helvetica);
+    const bold = await doc.embedFont(StandardFonts.HelveticaBold);
+    const loaded = new Map();
+    const getSource = async (fileId) => {
+      if (!loaded.has(fileId)) loaded.set(fileId, await PDFDocument.load(sources.get(fileId)));
+      return loaded.get(fileId);
+    };
+
+    /**
+     * 复制页面并在页眉标注题号与来源
+     */
+    const copyPages = async ({ fileId, pages }, label) => {
+      const source = await getSource(fileId);
+      const indices = pages.filter(page => page <= source.getPageCount()).map(page => page - 1);
+      const copied = await doc.copyPages(source, indices);
+      copied.forEach(page => {
+        doc.addPage(page);
+        page.drawText(toWinAnsi(label), { x: 24, y: page.getHeight() - 16, size: 8, font, color: rgb(0.4, 0.4, 0.4) });
+      });
+    };
+
+    // 封面：标题与题目清单
+    const totalMarks = entries.reduce((sum, { question }) => sum + question.marks, 0);
+    for (let start = 0; start === 0 || start < plan.length; start += COVER_ROWS_PER_PAGE) {
+      const page = doc.addPage(A4);
+      let y = A4[1] - 64;
+      if (start === 0) {
+        page.drawText(toWinAnsi(worksheet.title), { x: 48, y, size: 20, font: bold });
+        y -= 24;
+        page.drawText(`${entries.length} questions · ${totalMarks} marks`, { x: 48, y, size: 11, font });
+        y -= 32;
+      }
+      plan.slice(start, start + COVER_ROWS_PER_PAGE).forEach((item, offset) => {
+        const { question } = item.entry;
+        // 每一列截断到下一列（或右边距）之前，避免文字重叠或超出页面
+        const source = toWinAnsi(`${start + offset + 1}. ${describeSource(item.entry)}`);
+        const objectives = toWinAnsi(question.objectives.join(', '));
+        page.drawText(fitText(source, font, 10, COVER_COLUMNS.marks - COVER_COLUMNS.source - 8), { x: COVER_COLUMNS.source, y, size: 10, font });
+        page.drawText(`${question.marks} marks`, { x: COVER_COLUMNS.marks, y, size: 10, font });
+        page.drawText(fitText(objectives, font, 10, A4[0] - COVER_MARGIN - COVER_COLUMNS.objectives), { x: COVER_COLUMNS.objectives, y, size: 10, font });
+        y -= 20;
+      });
+    }
+
+    for (const [index, item] of plan.entries()) {
+      await copyPages(item.questionPages, `Question ${index + 1} · ${describeSource(item.entry)}`);
+    }
+
+    if (includeMarkScheme) {
+      const divider = doc.addPage(A4);
+      divider.drawText('Mark scheme', { x: 48, y: A4[1] - 64, size: 20, font: bold });
+      const missing = plan
+        .map((item, index) => ({ item, index }))
+        .filter(({ item }) => !item.markSchemePages);
+      if (missing.length > 0) {
+        divider.drawText('Mark scheme pages are not indexed for:', { x: 48, y: A4[1] - 96, size: 10, font });
+        missing.slice(0, COVER_ROWS_PER_PAGE).forEach(({ item, index }, row) => {
+          divider.drawText(toWinAnsi(`Question ${index + 1} (${describeSource(item.entry)})`), { x: 60, y: A4[1] - 116 - row * 18, size: 10, font });
+        });
+      }
+
+      for (const [index, item] of plan.entries()) {
+        if (item.markSchemePages) {
+          await copyPages(item.markSchemePages, `Mark scheme · Question ${index + 1} · ${describeSource(item.entry)}`);
+        }
+      }
+    }
+
+    return doc.save();
+  },
+
+  /**
+   * 导出可打印的 HTML（页面渲染为图片，打印时每页分页）
+   * @param {Object} worksheet - 练习卷 { title }
+   * @param {Array<Object>} entries - 排好顺序的题目 [{ paper, question }]
+   * @param {Object} options - { includeMarkScheme: 是否附带评分标准 }
+   * @returns {Promise<string>} HTML 文档
+   */
+  buildHtml: async (worksheet, entries, { includeMarkScheme = true } = {}) => {
+    const plan = planPages(entries);
+    const sources = await loadSources(plan, includeMarkScheme);
+
+    const documents = new Map();
+    const renderPages = async ({ fileId, pages }) => {
+      if (!documents.has(fileId)) {
+        // pdf.js 会把数据转交给 worker，这里传入副本
+        documents.set(fileId, await pdfjsLib.getDocument({ data: sources.get(fileId).slice(0) }).promise);
+      }
+      const pdf = documents.get(fileId);
+      const images = [];
+      for (const pageNumber of pages.filter(page => page <= pdf.numPages)) {
+        const page = await pdf.getPage(pageNumber);
+        const viewport = page.getViewport({ scale: HTML_RENDER_SCALE });
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.floor(viewport.width);
+        canvas.height = Math.floor(viewport.height);
+        await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+        images.push(canvas.toDataURL('image/png'));
+      }
+      return images;
+    };
+
+    const section = (label, images) => images
+      .map(src => `<section class="page"><p class="label">${escapeHtml(label)}</p><img src="${src}" alt="${escapeHtml(label)}"></section>`)
+      .join('\n');
+
+    try {
+      const totalMarks = entries.reduce((sum, { question }) => sum + question.marks, 0);
+      const rows = plan.map((item, index) => `<tr><td>${index + 1}</td><td>${escapeHtml(describeSource(item.entry))}</td>` +
+        `<td>${item.entry.question.marks}</td><td>${escapeHtml(item.entry.question.objectives.join(', '))}</td></tr>`).join('\n');
+
+      const questionSections = [];
+      for (const [index, item] of plan.entries()) {
+        questionSections.push(section(`Question ${index + 1} · ${describeSource(item.entry)}`, await renderPages(item.questionPages)));
+      }
+
+      const markSchemeSections = [];
+      if (includeMarkScheme) {
+        for (const [index, item] of plan.entries()) {
+          const label = `Mark scheme · Question ${index + 1} · ${describeSource(item.entry)}`;
+          markSchemeSections.push(item.markSchemePages
+            ? section(label, await renderPages(item.markSchemePages))
+            : `<p class="missing">${escapeHtml(label)}: mark scheme pages are not indexed.</p>`);
+        }
+      }
+
+      return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(worksheet.title)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 0 auto; max-width: 800px; color: #111; }
+  .cover { page-break-after: always; padding: 2rem 0; }
+  table { width: 100%; border-collapse: collapse; font-size: 0.9rem; }
+  th, td { text-align: left; padding: 4px 6px; border-bottom: 1px solid #ddd; }
+  .page { page-break-after: always; }
+  .page img { width: 100%; }
+  .label { font-size: 0.75rem; color: #666; margin: 0.5rem 0; }
+  .missing { color: #a00; font-size: 0.85rem; }
+  h2 { page-break-before: always; }
+</style>
+</head>
+<body>
+<div class="cover">
+  <h1>${escapeHtml(worksheet.title)}</h1>
+  <p>${entries.length} questions · ${totalMarks} marks</p>
+  <table>
+    <thead><tr><th>#</th><th>Source</th><th>Marks</th><th>Objectives</th></tr></thead>
+    <tbody>
+${rows}
+    </tbody>
+  </table>
+</div>
+${questionSections.join('\n')}
+${includeMarkScheme ? `<h2>Mark scheme</h2>\n${markSchemeSections.join('\n')}` : ''}
+</body>
+</html>`;
+    } finally {
+      documents.forEach(pdf => pdf.destroy());
+    }
+  },
+
+  /**
+   * 统计缺少评分标准页的题目数量（导出前提示用户）
+   * @param {Array<Object>} entries - [{ paper, question }]
+   * @returns {number}
+   */
+  countMissingMarkSchemes: (entries) => planPages(entries).filter(item => !item.markSchemePages).length,
+
+  /**
+   * 生成导出文件名
+   * @param {Object} worksheet - 练习卷 { title }
+   * @param {string} extension - 扩展名
+   * @returns {string}
+   */
+  getFilename: (worksheet, extension) => {
+    const base = worksheet.title.trim().replace(/[\\/:*?"<>|]+/g, '').replace(/\s+/g, '_') || 'worksheet';
+    return `${base}.${extension}`;
+  }
+};
@@ -0,0 +1,236 @@
+// ==================== 专题练习卷 ====================
+import { QuestionIndex, DIFFICULTIES } from './QuestionIndex.js';
+import { PaperCatalog, SESSIONS } from './PaperCatalog.js';
+
+/**
+ * 已保存练习卷的存储键，结构为 Array<worksheet>
+ */
+const STORAGE_KEY = 'savedWorksheets';
+
+/**
+ * 题目排列方式
+ */
+export const WORKSHEET_ORDERS = {
+  syllabus: 'Syllabus order',
+  'year-desc': 'Newest first',
+  'year-asc': 'Oldest first',
+  difficulty: 'Easiest first'
+};
+
+/**
+ * 考试季在一年中的先后顺序
+ */
+const SESSION_ORDER = Object.keys(SESSIONS);
+
+/**
+ * 练习卷变化时的监听函数
+ */
+const listeners = new Set();
+
+/**
+ * 读取全部练习卷
+ * @returns {Array<Object>}
+ */
+const readAll = () => {
+  const saved = localStorage.getItem(STORAGE_KEY);
+  return saved ? JSON.parse(saved) : [];
+};
+
+/**
+ * 写入全部练习卷并通知监听者
+ * @param {Array<Object>} worksheets - 全部练习卷
+ */
+const writeAll = (worksheets) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(worksheets));
+  listeners.forEach(listener => listener());
+};
+
+/**
+ * 试卷的时间先后（用于按年份排序）
+ * @param {Object} paper - 试卷目录条目
+ * @returns {number}
+ */
+const paperTime = (paper) => Number(paper.year) * 10 + SESSION_ORDER.indexOf(paper.session);
+
+/**
+ * 专题练习卷工具类
+ * 按知识点、年份范围、难度和 Paper 从题目索引中选题，排列后保存为练习卷，
+ * 练习卷只记录题目引用 items: [{ paperId, number }]，打开时再从题目索引解析
+ * 练习卷结构：{ id, title, topicId, criteria, order, items, createdAt, updatedAt }
+ * criteria 结构：{ objectives: string[], yearFrom, yearTo, difficulties: string[], papers: string[] }
+ * 后端对接：可以通过 /api/user/worksheets 同步到服务器
+ */
+export const Worksheets = {
+  /**
+   * 按条件选题
+   * @param {string} topicId - 课程代码
+   * @param {Object} criteria - 选题条件，空数组或空值表示不限
+   * @returns {Array<Object>} [{ paper, question }]，按年份倒序
+   */
+  selectQuestions: (topicId, criteria) => {
+    const { objectives = [], yearFrom, yearTo, difficulties = [], papers = [] } = criteria;
+
+    return QuestionIndex.getIndexedPapers(topicId)
+      .filter(paper => (!yearFrom || Number(paper.year) >= Number(yearFrom)) &&
+        (!yearTo || Number(paper.year) <= Number(yearTo)) &&
+        (papers.length === 0 || papers.includes(PaperCatalog.getPaperKey(paper))))
+      .flatMap(paper => QuestionIndex.getQuestions(paper.id).map(question => ({ paper, question })))
+      .filter(({ question }) =>
+        (objectives.length === 0 || question.objectives.some(code => objectives.includes(code))) &&
+        (difficulties.length === 0 || difficulties.includes(QuestionIndex.getDifficulty(question)))
+      );
+  },
+
+  /**
+   * 排列题目
+   * @param {Array<Object>} entries - [{ paper, question }]
+   * @param {string} order - WORKSHEET_ORDERS 中的键，'manual' 表示保持手动调整后的顺序
+   * @returns {Array<Object>} 新数组
+   */
+  orderQuestions: (entries, order) => {
+    const byYear = (a, b) => paperTime(b.paper) - paperTime(a.paper) || a.question.number - b.question.number;
+    const sorted = [...entries];
+
+    if (order === 'manual') return sorted;
+    if (order === 'year-desc') return sorted.sort(byYear);
+    if (order === 'year-asc') {
+      return sorted.sort((a, b) => paperTime(a.paper) - paperTime(b.paper) || a.question.number - b.question.number);
+    }
+    if (order === 'difficulty') {
+      return sorted.sort((a, b) =>
+        DIFFICULTIES.indexOf(QuestionIndex.getDifficulty(a.question)) - DIFFICULTIES.indexOf(QuestionIndex.getDifficulty(b.question)) ||
+        a.question.marks - b.question.marks ||
+        byYear(a, b)
+      );
+    }
+
+    // 大纲顺序：按题目第一个知识点在大纲中的位置
+    const topicId = entries[0]?.paper.topicId;
+    const position = new Map(QuestionIndex.getObjectives(topicId).map((objective, index) => [objective.code, index]));
+    const firstObjective = (question) => Math.min(...question.objectives.map(code => position.get(code) ?? Infinity));
+    return sorted.sort((a, b) => firstObjective(a.question) - firstObjective(b.question) || byYear(a, b));
+  },
+
+  /**
+   * 把题目转换为练习卷中保存的引用
+   * @param {Array<Object>} entries - [{ paper, question }]
+   * @returns {Array<Object>} [{ paperId, number }]
+   */
+  toItems: (entries) => entries.map(({ paper, question }) => ({ paperId: paper.id, number: question.number })),
+
+  /**
+   * 把练习卷中的引用解析为题目，索引中已删除的题目会被跳过
+   * @param {Array<Object>} items - [{ paperId, number }]
+   * @returns {Array<Object>} [{ paper, question }]
+   */
+  resolveItems: (items) => items
+    .map(({ paperId, number }) => {
+      const paper = PaperCatalog.getPaperById(paperId);
+      const question = paper && QuestionIndex.getQuestions(paperId).find(q => q.number === number);
+      return question ? { paper, question } : null;
+    })
+    .filter(Boolean),
+
+  /**
+   * 统计练习卷
+   * @param {Array<Object>} entries - [{ paper, question }]
+   * @returns {Object} { questions, marks, papers }
+   */
+  summarize: (entries) => ({
+    questions: entries.length,
+    marks: entries.reduce((sum, { question }) => sum + question.marks, 0),
+    papers: new Set(entries.map(({ paper }) => paper.id)).size
+  }),
+
+  /**
+   * 获取全部已保存的练习卷
+   * @returns {Array<Object>} 按更新时间倒序
+   */
+  list: () => readAll().sort((a, b) => b.updatedAt.localeCompare(a.updatedAt)),
+
+  /**
+   * 获取练习卷
+   * @param {string} id - 练习卷ID
+   * @returns {Object|null}
+   */
+  get: (id) => readAll().find(worksheet => worksheet.id === id) || null,
+
+  /**
+   * 保存练习卷（有 id 时覆盖原有记录）
+   * @param {Object} worksheet - 练习卷
+   * @returns {Object} 保存后的练习卷
+   */
+  save: (worksheet) => {
+    const now = new Date().toISOString();
+    const all = readAll();
+    const existing = worksheet.id && all.find(item => item.id === worksheet.id);
+    const saved = {
+      ...worksheet,
+      id: existing ? worksheet.id : `worksheet_${Date.now()}`,
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now
+    };
+    writeAll([saved, ...all.filter(item => item.id !== saved.id)]);
+    return saved;
+  },
+
+  /**
+   * 删除练习卷
+   * @param {string} id - 练习卷ID
+   */
+  remove: (id) => {
+    writeAll(readAll().filter(worksheet => worksheet.id !== id));
+  },
+
+  /**
+   * 订阅练习卷变化
+   * @param {Function} listener - 回调
+   * @returns {Function} 取消订阅函数
+   */
+  subscribe: (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  },
+
+  /**
+   * 把练习卷编码为分享链接参数（base64url 编码的 JSON，不含本地ID和时间）
+   * @param {Object} worksheet - 练习卷
+   * @returns {string}
+   */
+  encodeShare: (worksheet) => {
+    const { title, topicId, criteria, order, items } = worksheet;
+    const json = JSON.stringify({ title, topicId, criteria, order, items });
+    // 先转为 UTF-8 字节，标题中的中文也能正确编码
+    const binary = encodeURIComponent(json).replace(/%([0-9A-F]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  },
+
+  /**
+   * 解析分享链接参数
+   * @param {string} text - encodeShare 的结果
+   * @returns {Object|null} 练习卷（无 id），格式错误时返回 null
+   */
+  decodeShare: (text) => {
+    try {
+      const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+      const json = decodeURIComponent(Array.from(binary, char => `%${char.charCodeAt(0).toString(16).padStart(2, '0')}`).join(''));
+      const worksheet = JSON.parse(json);
+      if (!worksheet.topicId || !Array.isArray(worksheet.items)) return null;
+      return worksheet;
+    } catch (error) {
+      console.error('练习卷链接解析失败:', error);
+      return null;
+    }
+  },
+
+  /**
+   * 生成练习卷的分享链接
+   * @param {Object} worksheet - 练习卷
+   * @param {string} subjectKey - 学科键名
+   * @returns {string}
+   */
+  getShareUrl: (worksheet, subjectKey) => {
+    const params = new URLSearchParams({ subject: subjectKey, topic: worksheet.topicId, worksheet: Worksheets.encodeShare(worksheet) });
+    return `${window.location.origin}${window.location.pathname}?${params.toString()}`;
+  }
+};
@@ -0,0 +1,68 @@
+import { Worksheets } from './Worksheets';
+import { QuestionIndex } from './QuestionIndex';
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+test('selects questions by objective, year range, paper and difficulty', () => {
+  const selected = Worksheets.selectQuestions('9702', { objectives: ['1.1', '1.2', '1.3', '1.4'], yearFrom: '2023', papers: ['2'] });
+  expect(selected.length).toBeGreaterThan(0);
+  selected.forEach(({ paper, question }) => {
+    expect(Number(paper.year)).toBeGreaterThanOrEqual(2023);
+    expect(paper.paperNumber).toBe(2);
+    expect(question.objectives.some(code => code.startsWith('1.'))).toBe(true);
+  });
+
+  const hard = Worksheets.selectQuestions('9702', { difficulties: ['hard'] });
+  hard.forEach(({ question }) => expect(QuestionIndex.getDifficulty(question)).toBe('hard'));
+});
+
+test('orders questions by syllabus, year and difficulty', () => {
+  const selected = Worksheets.selectQuestions('9709', {});
+
+  const bySyllabus = Worksheets.orderQuestions(selected, 'syllabus');
+  const objectives = QuestionIndex.getObjectives('9709').map(objective => objective.code);
+  const positions = bySyllabus.map(({ question }) => Math.min(...question.objectives.map(code => objectives.indexOf(code))));
+  expect([...positions].sort((a, b) => a - b)).toEqual(positions);
+
+  const oldest = Worksheets.orderQuestions(selected, 'year-asc');
+  expect(Number(oldest[0].paper.year)).toBeLessThanOrEqual(Number(oldest[oldest.length - 1].paper.year));
+
+  const easiest = Worksheets.orderQuestions(selected, 'difficulty');
+  expect(QuestionIndex.getDifficulty(easiest[0].question)).toBe('easy');
+  expect(Worksheets.orderQuestions(bySyllabus, 'manual')).toEqual(bySyllabus);
+});
+
+test('saves worksheets and resolves their questions', () => {
+  const entries = Worksheets.selectQuestions('9709', { objectives: ['1.8'] });
+  const saved = Worksheets.save({ title: 'Integration', topicId: '9709', criteria: { objectives: ['1.8'] }, order: 'syllabus', items: Worksheets.toItems(entries) });
+
+  expect(Worksheets.list()).toHaveLength(1);
+  expect(Worksheets.resolveItems(Worksheets.get(saved.id).items)).toEqual(entries);
+  expect(Worksheets.summarize(entries).marks).toBe(entries.reduce((sum, { question }) => sum + question.marks, 0));
+
+  const renamed = Worksheets.save({ ...saved, title: 'Integration practice' });
+  expect(renamed.id).toBe(saved.id);
+  expect(Worksheets.list()).toHaveLength(1);
+
+  Worksheets.remove(saved.id);
+  expect(Worksheets.list()).toEqual([]);
+});
+
+test('round-trips worksheets through share links', () => {
+  const worksheet = {
+    id: 'worksheet_1',
+    title: '积分 practice',
+    topicId: '9709',
+    criteria: { objectives: ['1.8'], yearFrom: '2022' },
+    order: 'manual',
+    items: [{ paperId: '9709_s23_qp_12', number: 10 }]
+  };
+  const encoded = Worksheets.encodeShare(worksheet);
+  expect(encoded).toMatch(/^[A-Za-z0-9_-]+$/);
+
+  const { id, ...shared } = worksheet;
+  expect(Worksheets.decodeShare(encoded)).toEqual(shared);
+  expect(Worksheets.decodeShare('not a worksheet')).toBeNull();
+});
@@ -96,35 +96,39 @@ export const subjectsData = {
  * 后端数据库表结构参考：
  * user_textbooks表：id, user_id, title, subject, file_path
  * user_syllabuses表：id, user_id, title, subject, year, level, file_path
+ * fileId 对应文件内容接口 GET /api/files/{fileId}/content
  * user_notebooks表：id, user_id, title, subject, pages, content
+ * note_objectives表：id, note_id, topic_id, objective_code（notebooks[].objectives，按课程代码列出笔记涉及的大纲知识点）
  */
 export const userTestData = {
   textBooks: [
     // Physics Textbooks
-    { id: 1, title: 'Cambridge IGCSE Physics Coursebook', subject: 'Physics', level: 'IGCSE', author: 'David Sang', publisher: 'Cambridge University Press', year: '2023', description: 'Comprehensive coursebook covering all IGCSE Physics topics with practical activities and exam preparation.' },
-    { id: 2, title: 'Cambridge International AS & A Level Physics Coursebook', subject: 'Physics', level: 'A Level', author: 'David Sang', publisher: 'Cambridge University Press', year: '2023', description: 'Complete coverage of AS and A Level Physics with worked examples and practice questions.' },
+    { id: 1, fileId: 'textbook_1', title: 'Cambridge IGCSE Physics Coursebook', subject: 'Physics', level: 'IGCSE', author: 'David Sang', publisher: 'Cambridge University Press', year: '2023', description: 'Comprehensive coursebook covering all IGCSE Physics topics with practical activities and exam preparation.' },
+    { id: 2, fileId: 'textbook_2', title: 'Cambridge International AS & A Level Physics Coursebook', subject: 'Physics', level: 'A Level', author: 'David Sang', publisher: 'Cambridge University Press', year: '2023', description: 'Complete coverage of AS and A Level Physics with worked examples and practice questions.' },
     
     // Mathematics Textbooks
-    { id: 3, title: 'Cambridge IGCSE Mathematics Core and Extended Coursebook', subject: 'Mathematics', level: 'IGCSE', author: 'Karen Morrison', publisher: 'Cambridge University Press', year: '2023', description: 'Covers both Core and Extended curriculum with step-by-step explanations and exercises.' },
-    { id: 4, title: 'Cambridge International AS & A Level Mathematics Pure Mathematics 1', subject: 'Mathematics', level: 'A Level', author: 'Hugh Neill', publisher: 'Cambridge University Press', year: '2023', description: 'Pure Mathematics 1 coursebook with comprehensive coverage of algebraic and calculus topics.' },
+    { id: 3, fileId: 'textbook_3', title: 'Cambridge IGCSE Mathematics Core and Extended Coursebook', subject: 'Mathematics', level: 'IGCSE', author: 'Karen Morrison', publisher: 'Cambridge University Press', year: '2023', description: 'Covers both Core and Extended curriculum with step-by-step explanations and exercises.' },
+    { id: 4, fileId: 'textbook_4', title: 'Cambridge International AS & A Level Mathematics Pure Mathematics 1', subject: 'Mathematics', level: 'A Level', author: 'Hugh Neill', publisher: 'Cambridge University Press', year: '2023', description: 'Pure Mathematics 1 coursebook with comprehensive coverage of algebraic and calculus topics.' },
     
     // Chemistry Textbooks
-    { id: 5, title: 'Cambridge IGCSE Chemistry Coursebook', subject: 'Chemistry', level: 'IGCSE', author: 'Richard Harwood', publisher: 'Cambridge University Press', year: '2023', description: 'Complete IGCSE Chemistry course with practical investigations and exam techniques.' },
-    { id: 6, title: 'Cambridge International AS & A Level Chemistry Coursebook', subject: 'Chemistry', level: 'A Level', author: 'Lawrie Ryan', publisher: 'Cambridge University Press', year: '2023', description: 'Comprehensive A Level Chemistry with detailed explanations and real-world applications.' },
+    { id: 5, fileId: 'textbook_5', title: 'Cambridge IGCSE Chemistry Coursebook', subject: 'Chemistry', level: 'IGCSE', author: 'Richard Harwood', publisher: 'Cambridge University Press', year: '2023', description: 'Complete IGCSE Chemistry course with practical investigations and exam techniques.' },
+    { id: 6, fileId: 'textbook_6', title: 'Cambridge International AS & A Level Chemistry Coursebook', subject: 'Chemistry', level: 'A Level', author: 'Lawrie Ryan', publisher: 'Cambridge University Press', year: '2023', description: 'Comprehensive A Level Chemistry with detailed explanations and real-world applications.' },
     
     // Biology Textbooks
-    { id: 7, title: 'Cambridge IGCSE Biology Coursebook', subject: 'Biology', level: 'IGCSE', author: 'Mary Jones', publisher: 'Cambridge University Press', year: '2023', description: 'Complete IGCSE Biology coverage with practical work and assessment guidance.' },
-    { id: 8, title: 'Cambridge International AS & A Level Biology Coursebook', subject: 'Biology', level: 'A Level', author: 'Mary Jones', publisher: 'Cambridge University Press', year: '2023', description: 'Comprehensive A Level Biology with detailed biological processes and modern applications.' }
+    { id: 7, fileId: 'textbook_7', title: 'Cambridge IGCSE Biology Coursebook', subject: 'Biology', level: 'IGCSE', author: 'Mary Jones', publisher: 'Cambridge University Press', year: '2023', description: 'Complete IGCSE Biology coverage with practical work and assessment guidance.' },
+    { id: 8, fileId: 'textbook_8', title: 'Cambridge International AS & A Level Biology Coursebook', subject: 'Biology', level: 'A Level', author: 'Mary Jones', publisher: 'Cambridge University Press', year: '2023', description: 'Comprehensive A Level Biology with detailed biological processes and modern applications.' }
   ],
   syllabuses: [
-    { id: 1, title: 'Cambridge International AS & A Level Physics', subject: 'Physics', year: '2025-2027', level: 'A Level', code: '9702' },
-    { id: 2, title: 'Cambridge IGCSE Physics', subject: 'Physics', year: '2024-2026', level: 'IGCSE', code: '0625' },
-    { id: 3, title: 'Cambridge International AS & A Level Mathematics', subject: 'Mathematics', year: '2025-2027', level: 'A Level', code: '9709' },
-    { id: 4, title: 'Cambridge IGCSE Mathematics', subject: 'Mathematics', year: '2024-2026', level: 'IGCSE', code: '0580' },
-    { id: 5, title: 'Cambridge International AS & A Level Chemistry', subject: 'Chemistry', year: '2025-2027', level: 'A Level', code: '9701' },
-    { id: 6, title: 'Cambridge IGCSE Chemistry', subject: 'Chemistry', year: '2024-2026', level: 'IGCSE', code: '0620' },
-    { id: 7, title: 'Cambridge International AS & A Level Biology', subject: 'Biology', year: '2025-2027', level: 'A Level', code: '9700' },
-    { id: 8, title: 'Cambridge IGCSE Biology', subject: 'Biology', year: '2024-2026', level: 'IGCSE', code: '0610' }
+    { id: 1, title: 'Cambridge International AS & A Level Physics', subject: 'Physics', year: '2025-2027', level: 'A Level', code: '9702', fileId: 'syllabus_9702_2025-2027' },
+    { id: 2, title: 'Cambridge IGCSE Physics', subject: 'Physics', year: '2024-2026', level: 'IGCSE', code: '0625', fileId: 'syllabus_0625_2024-2026' },
+    { id: 3, title: 'Cambridge International AS & A Level Mathematics', subject: 'Mathematics', year: '2025-2027', level: 'A Level', code: '9709', fileId: 'syllabus_9709_2025-2027' },
+    { id: 4, title: 'Cambridge IGCSE Mathematics', subject: 'Mathematics', year: '2024-2026', level: 'IGCSE', code: '0580', fileId: 'syllabus_0580_2024-2026' },
+    { id: 5, title: 'Cambridge International AS & A Level Chemistry', subject: 'Chemistry', year: '2025-2027', level: 'A Level', code: '9701', fileId: 'syllabus_9701_2025-2027' },
+    { id: 6, title: 'Cambridge IGCSE Chemistry', subject: 'Chemistry', year: '2024-2026', level: 'IGCSE', code: '0620', fileId: 'syllabus_0620_2024-2026' },
+    { id: 7, title: 'Cambridge International AS & A Level Biology', subject: 'Biology', year: '2025-2027', level: 'A Level', code: '9700', fileId: 'syllabus_9700_2025-2027' },
+    { id: 8, title: 'Cambridge IGCSE Biology', subject: 'Biology', year: '2024-2026', level: 'IGCSE', code: '0610', fileId: 'syllabus_0610_2024-2026' },
+    { id: 9, title: 'Cambridge International AS & A Level Physics', subject: 'Physics', year: '2022-2024', level: 'A Level', code: '9702', fileId: 'syllabus_9702_2022-2024' },
+    { id: 10, title: 'Cambridge International AS & A Level Mathematics', subject: 'Mathematics', year: '2020-2022', level: 'A Level', code: '9709', fileId: 'syllabus_9709_2020-2022' }
   ],
   notebooks: [
     { 
@@ -133,6 +137,7 @@ export const userTestData = {
       subject: 'Physics', 
       content: '# Physics Lab Notes\n\n## Experiment 1: Pendulum Motion\n\nToday we studied the motion of a simple pendulum...\n\n### Observations\n- Period increases with length\n- Mass does not affect period\n\n### Formula\n$$T = 2\\pi\\sqrt{\\frac{L}{g}}$$',
       tags: ['physics', 'lab', 'pendulum'],
+      objectives: { '9702': ['1.3', '17.1'] },
       createdAt: '2024-01-15',
       updatedAt: '2024-01-20',
       folder: 'Physics'
@@ -143,6 +148,7 @@ export const userTestData = {
       subject: 'Mathematics', 
       content: '# Integration Methods\n\n## By Parts\nUseful for products of functions:\n$$\\int u \\, dv = uv - \\int v \\, du$$\n\n## Substitution\nFor composite functions...\n\n## Partial Fractions\nFor rational functions...',
       tags: ['mathematics', 'calculus', 'integration'],
+      objectives: { '9709': ['1.8', '3.5'] },
       createdAt: '2024-01-10',
       updatedAt: '2024-01-18',
       folder: 'Mathematics'
@@ -178,4 +184,1927 @@ export const userTestData = {
       folder: 'Planning'
     }
   ]
-};
\ No newline at end of file
+};
+
+/**
+ * 试卷组件数据结构
+ * 后端数据库表结构参考：
+ * papers表：id, topic_id, title, year, session, paper_number, variant, type, file_path
+ * 这里只记录每个课程的考试组件（Paper 1、Paper 2…），由 PaperCatalog 展开为完整的试卷目录
+ * - board: 考试局，'CIE' 或 'Edexcel'
+ * - years: 收录的年份范围 [起始年, 结束年]
+ * - sessions: 开考季度，m = Feb/March，s = May/June，w = Oct/Nov
+ * - components[].insert: 是否附带 Insert 文件
+ * - components[].practical: 是否为实验考试（附带 Confidential Instructions）
+ * - components[].questions: 题目数量，未填写时按 8 道大题计算
+ * - components[].mcq: 是否为选择题试卷（可以在线作答并自动批改）
+ * - components[].duration: 官方考试时长（分钟）
+ */
+export const paperComponentsData = {
+  // Mathematics
+  '9709': {
+    board: 'CIE', years: [2019, 2024], sessions: ['m', 's', 'w'],
+    components: [
+      { paper: 1, name: 'Pure Mathematics 1', duration: 110 },
+      { paper: 2, name: 'Pure Mathematics 2', duration: 75 },
+      { paper: 3, name: 'Pure Mathematics 3', duration: 110 },
+      { paper: 4, name: 'Mechanics', duration: 75 },
+      { paper: 5, name: 'Probability & Statistics 1', duration: 75 },
+      { paper: 6, name: 'Probability & Statistics 2', duration: 75 }
+    ]
+  },
+  '0580': {
+    board: 'CIE', years: [2019, 2024], sessions: ['m', 's', 'w'],
+    components: [
+      { paper: 1, name: 'Paper 1 (Core)', duration: 60 },
+      { paper: 2, name: 'Paper 2 (Extended)', duration: 90 },
+      { paper: 3, name: 'Paper 3 (Core)', duration: 120 },
+      { paper: 4, name: 'Paper 4 (Extended)', duration: 150 }
+    ]
+  },
+  '4MA1': {
+    board: 'Edexcel', years: [2019, 2024], sessions: ['s', 'w'],
+    components: [
+      { paper: '1F', name: 'Paper 1 (Foundation)', duration: 120 },
+      { paper: '2F', name: 'Paper 2 (Foundation)', duration: 120 },
+      { paper: '1H', name: 'Paper 1 (Higher)', duration: 120 },
+      { paper: '2H', name: 'Paper 2 (Higher)', duration: 120 }
+    ]
+  },
+
+  // Physics
+  '9702': {
+    board: 'CIE', years: [2019, 2024], sessions: ['m', 's', 'w'],
+    components: [
+      { paper: 1, name: 'Multiple Choice', duration: 75, questions: 40, mcq: true },
+      { paper: 2, name: 'AS Level Structured Questions', duration: 75 },
+      { paper: 3, name: 'Advanced Practical Skills', duration: 120, practical: true },
+      { paper: 4, name: 'A Level Structured Questions', duration: 120 },
+      { paper: 5, name: 'Planning, Analysis and Evaluation', duration: 75 }
+    ]
+  },
+  '0625': {
+    board: 'CIE', years: [2019, 2024], sessions: ['m', 's', 'w'],
+    components: [
+      { paper: 1, name: 'Multiple Choice (Core)', duration: 45, questions: 40, mcq: true },
+      { paper: 2, name: 'Multiple Choice (Extended)', duration: 45, questions: 40, mcq: true },
+      { paper: 3, name: 'Theory (Core)', duration: 75 },
+      { paper: 4, name: 'Theory (Extended)', duration: 75 },
+      { paper: 5, name: 'Practical Test', duration: 75, practical: true },
+      { paper: 6, name: 'Alternative to Practical', duration: 60 }
+    ]
+  },
+  '9PH0': {
+    board: 'Edexcel', years: [2019, 2024], sessions: ['s'],
+    components: [
+      { paper: '01', name: 'Advanced Physics I', duration: 105 },
+      { paper: '02', name: 'Advanced Physics II', duration: 105 },
+      { paper: '03', name: 'General and Practical Principles in Physics', duration: 150 }
+    ]
+  },
+
+  // Computer Science
+  '9618': {
+    board: 'CIE', years: [2021, 2024], sessions: ['m', 's', 'w'],
+    components: [
+      { paper: 1, name: 'Theory Fundamentals', duration: 90 },
+      { paper: 2, name: 'Fundamental Problem-solving and Programming Skills', duration: 120, insert: true },
+      { paper: 3, name: 'Advanced Theory', duration: 90 },
+      { paper: 4, name: 'Practical', duration: 150 }
+    ]
+  },
+  '0478': {
+    board: 'CIE', years: [2019, 2024], sessions: ['m', 's', 'w'],
+    components: [
+      { paper: 1, name: 'Computer Systems', duration: 105 },
+      { paper: 2, name: 'Algorithms, Programming and Logic', duration: 105 }
+    ]
+  },
+  '9CP0': {
+    board: 'Edexcel', years: [2019, 2024], sessions: ['s'],
+    components: [
+      { paper: '01', name: 'Principles of Computer Science', duration: 120 },
+      { paper: '02', name: 'Application of Computational Thinking', duration: 150 }
+    ]
+  },
+
+  // Further Mathematics
+  '9231': {
+    board: 'CIE', years: [2020, 2024], sessions: ['m', 's', 'w'],
+    components: [
+      { paper: 1, name: 'Further Pure Mathematics 1', duration: 120 },
+      { paper: 2, name: 'Further Pure Mathematics 2', duration: 120 },
+      { paper: 3, name: 'Further Mechanics', duration: 90 },
+      { paper: 4, name: 'Further Probability & Statistics', duration: 90 }
+    ]
+  },
+  '0606': {
+    board: 'CIE', years: [2019, 2024], sessions: ['m', 's', 'w'],
+    components: [
+      { paper: 1, name: 'Paper 1', duration: 120 },
+      { paper: 2, name: 'Paper 2', duration: 120 }
+    ]
+  },
+  '9FM0': {
+    board: 'Edexcel', years: [2019, 2024], sessions: ['s'],
+    components: [
+      { paper: '01', name: 'Core Pure Mathematics 1', duration: 90 },
+      { paper: '02', name: 'Core Pure Mathematics 2', duration: 90 },
+      { paper: '3A', name: 'Further Pure Mathematics 1', duration: 90 },
+      { paper: '3B', name: 'Further Statistics 1', duration: 90 },
+      { paper: '3C', name: 'Further Mechanics 1', duration: 90 },
+      { paper: '3D', name: 'Decision Mathematics 1', duration: 90 }
+    ]
+  },
+
+  // Chemistry
+  '9701': {
+    board: 'CIE', years: [2019, 2024], sessions: ['m', 's', 'w'],
+    components: [
+      { paper: 1, name: 'Multiple Choice', duration: 75, questions: 40, mcq: true },
+      { paper: 2, name: 'AS Level Structured Questions', duration: 75 },
+      { paper: 3, name: 'Advanced Practical Skills', duration: 120, practical: true },
+      { paper: 4, name: 'A Level Structured Questions', duration: 120 },
+      { paper: 5, name: 'Planning, Analysis and Evaluation', duration: 75 }
+    ]
+  },
+  '0620': {
+    board: 'CIE', years: [2019, 2024], sessions: ['m', 's', 'w'],
+    components: [
+      { paper: 1, name: 'Multiple Choice (Core)', duration: 45, questions: 40, mcq: true },
+      { paper: 2, name: 'Multiple Choice (Extended)', duration: 45, questions: 40, mcq: true },
+      { paper: 3, name: 'Theory (Core)', duration: 75 },
+      { paper: 4, name: 'Theory (Extended)', duration: 75 },
+      { paper: 5, name: 'Practical Test', duration: 75, practical: true },
+      { paper: 6, name: 'Alternative to Practical', duration: 60 }
+    ]
+  },
+  '9CH0': {
+    board: 'Edexcel', years: [2019, 2024], sessions: ['s'],
+    components: [
+      { paper: '01', name: 'Advanced Inorganic and Physical Chemistry', duration: 105 },
+      { paper: '02', name: 'Advanced Organic and Physical Chemistry', duration: 105 },
+      { paper: '03', name: 'General and Practical Principles in Chemistry', duration: 150 }
+    ]
+  },
+
+  // Biology
+  '9700': {
+    board: 'CIE', years: [2019, 2024], sessions: ['m', 's', 'w'],
+    components: [
+      { paper: 1, name: 'Multiple Choice', duration: 75, questions: 40, mcq: true },
+      { paper: 2, name: 'AS Level Structured Questions', duration: 75 },
+      { paper: 3, name: 'Advanced Practical Skills', duration: 120, practical: true },
+      { paper: 4, name: 'A Level Structured Questions', duration: 120 },
+      { paper: 5, name: 'Planning, Analysis and Evaluation', duration: 75 }
+    ]
+  },
+  '0610': {
+    board: 'CIE', years: [2019, 2024], sessions: ['m', 's', 'w'],
+    components: [
+      { paper: 1, name: 'Multiple Choice (Core)', duration: 45, questions: 40, mcq: true },
+      { paper: 2, name: 'Multiple Choice (Extended)', duration: 45, questions: 40, mcq: true },
+      { paper: 3, name: 'Theory (Core)', duration: 75 },
+      { paper: 4, name: 'Theory (Extended)', duration: 75 },
+      { paper: 5, name: 'Practical Test', duration: 75, practical: true },
+      { paper: 6, name: 'Alternative to Practical', duration: 60 }
+    ]
+  },
+  '9BI0': {
+    board: 'Edexcel', years: [2019, 2024], sessions: ['s'],
+    components: [
+      { paper: '01', name: 'Advanced Biochemistry, Microbiology and Genetics', duration: 120 },
+      { paper: '02', name: 'Advanced Physiology, Evolution and Ecology', duration: 120 },
+      { paper: '03', name: 'General and Practical Applications in Biology', duration: 150 }
+    ]
+  },
+
+  // Business
+  '9609': {
+    board: 'CIE', years: [2019, 2024], sessions: ['m', 's', 'w'],
+    components: [
+      { paper: 1, name: 'Business Concepts 1', duration: 75 },
+      { paper: 2, name: 'Business Concepts 2', duration: 90, insert: true },
+      { paper: 3, name: 'Business Decision-Making', duration: 105, insert: true },
+      { paper: 4, name: 'Business Strategy', duration: 75, insert: true }
+    ]
+  },
+  '0450': {
+    board: 'CIE', years: [2019, 2024], sessions: ['m', 's', 'w'],
+    components: [
+      { paper: 1, name: 'Short Answer and Data Response', duration: 90 },
+      { paper: 2, name: 'Case Study', duration: 90, insert: true }
+    ]
+  },
+  '9BS0': {
+    board: 'Edexcel', years: [2019, 2024], sessions: ['s'],
+    components: [
+      { paper: '01', name: 'Marketing, People and Global Businesses', duration: 120 },
+      { paper: '02', name: 'Business Activities, Decisions and Strategy', duration: 120 },
+      { paper: '03', name: 'Investigating Business in a Competitive Environment', duration: 120 }
+    ]
+  },
+
+  // English
+  '9093': {
+    board: 'CIE', years: [2019, 2024], sessions: ['m', 's', 'w'],
+    components: [
+      { paper: 1, name: 'Reading', duration: 135, insert: true },
+      { paper: 2, name: 'Writing', duration: 120 },
+      { paper: 3, name: 'Language Analysis', duration: 135, insert: true },
+      { paper: 4, name: 'Language Topics', duration: 135, insert: true }
+    ]
+  },
+  '0500': {
+    board: 'CIE', years: [2019, 2024], sessions: ['m', 's', 'w'],
+    components: [
+      { paper: 1, name: 'Reading', duration: 120, insert: true },
+      { paper: 2, name: 'Directed Writing and Composition', duration: 120, insert: true }
+    ]
+  },
+  '9ET0': {
+    board: 'Edexcel', years: [2019, 2024], sessions: ['s'],
+    components: [
+      { paper: '01', name: 'Drama', duration: 135 },
+      { paper: '02', name: 'Prose', duration: 60 },
+      { paper: '03', name: 'Poetry', duration: 135 }
+    ]
+  },
+
+  // History
+  '9489': {
+    board: 'CIE', years: [2021, 2024], sessions: ['m', 's', 'w'],
+    components: [
+      { paper: 1, name: 'Document Question', duration: 60 },
+      { paper: 2, name: 'Outline Study', duration: 90 },
+      { paper: 3, name: 'Interpretations Question', duration: 75 },
+      { paper: 4, name: 'Depth Study', duration: 105 }
+    ]
+  },
+  '0470': {
+    board: 'CIE', years: [2019, 2024], sessions: ['s', 'w'],
+    components: [
+      { paper: 1, name: 'Structured Questions', duration: 120 },
+      { paper: 2, name: 'Document Questions', duration: 120 },
+      { paper: 4, name: 'Alternative to Coursework', duration: 60 }
+    ]
+  },
+  '9HI0': {
+    board: 'Edexcel', years: [2019, 2024], sessions: ['s'],
+    components: [
+      { paper: '01', name: 'Breadth Study with Interpretations', duration: 135 },
+      { paper: '02', name: 'Depth Study', duration: 90 },
+      { paper: '03', name: 'Themes in Breadth with Aspects in Depth', duration: 150 }
+    ]
+  }
+};
+
+/**
+ * 分数线数据结构（Grade Thresholds）
+ * 后端数据库表结构参考：
+ * grade_thresholds表：id, topic_id, session_code, component, max_mark, grade, min_mark
+ * overall_thresholds表：id, topic_id, session_code, grade, min_percent
+ * 按课程 → 考试季（s23 = 2023 May/June）组织：
+ * - qualification: 资格类型
+ * - routes: 可选的考试路线，weightings 为各试卷（按 Paper 编号）占总成绩的百分比
+ * - sessions[code].components: 试卷组件（'12' = Paper 1 Variant 2）的满分 max 和各等级最低分（A–E）
+ * - sessions[code].overall: 总成绩各等级（A*–E）的最低加权百分比
+ */
+export const gradeThresholdsData = {
+  '9702': {
+    qualification: 'A Level',
+    // 组件权重（占总成绩的百分比），A Level 所有组件必考
+    routes: [
+      { name: 'A Level', weightings: { '1': 15.5, '2': 23, '3': 23, '4': 23, '5': 15.5 } }
+    ],
+    sessions: {
+      m22: {
+        overall: { 'A*': 81, A: 70, B: 60, C: 52, D: 43, E: 33 },
+        components: {
+          '12': { max: 40, A: 29, B: 26, C: 23, D: 20, E: 17 },
+          '22': { max: 60, A: 44, B: 39, C: 34, D: 29, E: 24 },
+          '32': { max: 40, A: 30, B: 26, C: 22, D: 18, E: 14 },
+          '42': { max: 100, A: 64, B: 54, C: 44, D: 34, E: 24 },
+          '52': { max: 30, A: 22, B: 19, C: 16, D: 13, E: 10 }
+        }
+      },
+      s22: {
+        overall: { 'A*': 83, A: 75, B: 65, C: 56, D: 48, E: 39 },
+        components: {
+          '11': { max: 40, A: 30, B: 26, C: 22, D: 18, E: 14 },
+          '12': { max: 40, A: 27, B: 24, C: 21, D: 18, E: 15 },
+          '13': { max: 40, A: 31, B: 28, C: 25, D: 22, E: 19 },
+          '21': { max: 60, A: 45, B: 40, C: 35, D: 30, E: 25 },
+          '22': { max: 60, A: 41, B: 36, C: 31, D: 26, E: 21 },
+          '23': { max: 60, A: 45, B: 39, C: 33, D: 27, E: 21 },
+          '31': { max: 40, A: 29, B: 25, C: 21, D: 17, E: 13 },
+          '32': { max: 40, A: 30, B: 26, C: 22, D: 18, E: 14 },
+          '33': { max: 40, A: 32, B: 28, C: 24, D: 20, E: 16 },
+          '41': { max: 100, A: 65, B: 56, C: 47, D: 38, E: 29 },
+          '42': { max: 100, A: 67, B: 57, C: 47, D: 37, E: 27 },
+          '43': { max: 100, A: 64, B: 54, C: 44, D: 34, E: 24 },
+          '51': { max: 30, A: 20, B: 17, C: 14, D: 11, E: 8 },
+          '52': { max: 30, A: 22, B: 20, C: 18, D: 16, E: 14 },
+          '53': { max: 30, A: 21, B: 18, C: 15, D: 12, E: 9 }
+        }
+      },
+      w22: {
+        overall: { 'A*': 79, A: 69, B: 60, C: 51, D: 42, E: 32 },
+        components: {
+          '11': { max: 40, A: 29, B: 25, C: 21, D: 17, E: 13 },
+          '12': { max: 40, A: 27, B: 23, C: 19, D: 15, E: 11 },
+          '13': { max: 40, A: 28, B: 25, C: 22, D: 19, E: 16 },
+          '21': { max: 60, A: 41, B: 36, C: 31, D: 26, E: 21 },
+          '22': { max: 60, A: 42, B: 37, C: 32, D: 27, E: 22 },
+          '23': { max: 60, A: 45, B: 40, C: 35, D: 30, E: 25 },
+          '31': { max: 40, A: 30, B: 27, C: 24, D: 21, E: 18 },
+          '32': { max: 40, A: 31, B: 27, C: 23, D: 19, E: 15 },
+          '33': { max: 40, A: 31, B: 28, C: 25, D: 22, E: 19 },
+          '41': { max: 100, A: 68, B: 60, C: 52, D: 44, E: 36 },
+          '42': { max: 100, A: 70, B: 61, C: 52, D: 43, E: 34 },
+          '43': { max: 100, A: 66, B: 57, C: 48, D: 39, E: 30 },
+          '51': { max: 30, A: 20, B: 17, C: 14, D: 11, E: 8 },
+          '52': { max: 30, A: 22, B: 20, C: 18, D: 16, E: 14 },
+          '53': { max: 30, A: 20, B: 17, C: 14, D: 11, E: 8 }
+        }
+      },
+      m23: {
+        overall: { 'A*': 78, A: 70, B: 61, C: 51, D: 42, E: 34 },
+        components: {
+          '12': { max: 40, A: 27, B: 23, C: 19, D: 15, E: 11 },
+          '22': { max: 60, A: 44, B: 39, C: 34, D: 29, E: 24 },
+          '32': { max: 40, A: 31, B: 28, C: 25, D: 22, E: 19 },
+          '42': { max: 100, A: 72, B: 64, C: 56, D: 48, E: 40 },
+          '52': { max: 30, A: 21, B: 18, C: 15, D: 12, E: 9 }
+        }
+      },
+      s23: {
+        overall: { 'A*': 78, A: 67, B: 57, C: 49, D: 40, E: 30 },
+        components: {
+          '11': { max: 40, A: 30, B: 27, C: 24, D: 21, E: 18 },
+          '12': { max: 40, A: 28, B: 25, C: 22, D: 19, E: 16 },
+          '13': { max: 40, A: 31, B: 27, C: 23, D: 19, E: 15 },
+          '21': { max: 60, A: 45, B: 39, C: 33, D: 27, E: 21 },
+          '22': { max: 60, A: 42, B: 37, C: 32, D: 27, E: 22 },
+          '23': { max: 60, A: 41, B: 36, C: 31, D: 26, E: 21 },
+          '31': { max: 40, A: 33, B: 29, C: 25, D: 21, E: 17 },
+          '32': { max: 40, A: 32, B: 29, C: 26, D: 23, E: 20 },
+          '33': { max: 40, A: 29, B: 26, C: 23, D: 20, E: 17 },
+          '41': { max: 100, A: 65, B: 56, C: 47, D: 38, E: 29 },
+          '42': { max: 100, A: 63, B: 53, C: 43, D: 33, E: 23 },
+          '43': { max: 100, A: 66, B: 57, C: 48, D: 39, E: 30 },
+          '51': { max: 30, A: 21, B: 19, C: 17, D: 15, E: 13 },
+          '52': { max: 30, A: 20, B: 17, C: 14, D: 11, E: 8 },
+          '53': { max: 30, A: 21, B: 19, C: 17, D: 15, E: 13 }
+        }
+      },
+      w23: {
+        overall: { 'A*': 82, A: 72, B: 62, C: 53, D: 45, E: 35 },
+        components: {
+          '11': { max: 40, A: 27, B: 23, C: 19, D: 15, E: 11 },
+          '12': { max: 40, A: 27, B: 24, C: 21, D: 18, E: 15 },
+          '13': { max: 40, A: 32, B: 28, C: 24, D: 20, E: 16 },
+          '21': { max: 60, A: 45, B: 40, C: 35, D: 30, E: 25 },
+          '22': { max: 60, A: 45, B: 40, C: 35, D: 30, E: 25 },
+          '23': { max: 60, A: 44, B: 39, C: 34, D: 29, E: 24 },
+          '31': { max: 40, A: 32, B: 28, C: 24, D: 20, E: 16 },
+          '32': { max: 40, A: 30, B: 27, C: 24, D: 21, E: 18 },
+          '33': { max: 40, A: 30, B: 26, C: 22, D: 18, E: 14 },
+          '41': { max: 100, A: 71, B: 63, C: 55, D: 47, E: 39 },
+          '42': { max: 100, A: 69, B: 60, C: 51, D: 42, E: 33 },
+          '43': { max: 100, A: 71, B: 61, C: 51, D: 41, E: 31 },
+          '51': { max: 30, A: 20, B: 18, C: 16, D: 14, E: 12 },
+          '52': { max: 30, A: 20, B: 18, C: 16, D: 14, E: 12 },
+          '53': { max: 30, A: 21, B: 18, C: 15, D: 12, E: 9 }
+        }
+      },
+      m24: {
+        overall: { 'A*': 79, A: 68, B: 58, C: 49, D: 40, E: 31 },
+        components: {
+          '12': { max: 40, A: 31, B: 28, C: 25, D: 22, E: 19 },
+          '22': { max: 60, A: 43, B: 37, C: 31, D: 25, E: 19 },
+          '32': { max: 40, A: 33, B: 30, C: 27, D: 24, E: 21 },
+          '42': { max: 100, A: 65, B: 55, C: 45, D: 35, E: 25 },
+          '52': { max: 30, A: 21, B: 18, C: 15, D: 12, E: 9 }
+        }
+      },
+      s24: {
+        overall: { 'A*': 82, A: 74, B: 64, C: 56, D: 47, E: 38 },
+        components: {
+          '11': { max: 40, A: 31, B: 27, C: 23, D: 19, E: 15 },
+          '12': { max: 40, A: 30, B: 27, C: 24, D: 21, E: 18 },
+          '13': { max: 40, A: 28, B: 25, C: 22, D: 19, E: 16 },
+          '21': { max: 60, A: 41, B: 36, C: 31, D: 26, E: 21 },
+          '22': { max: 60, A: 43, B: 38, C: 33, D: 28, E: 23 },
+          '23': { max: 60, A: 40, B: 35, C: 30, D: 25, E: 20 },
+          '31': { max: 40, A: 31, B: 27, C: 23, D: 19, E: 15 },
+          '32': { max: 40, A: 33, B: 30, C: 27, D: 24, E: 21 },
+          '33': { max: 40, A: 31, B: 27, C: 23, D: 19, E: 15 },
+          '41': { max: 100, A: 72, B: 62, C: 52, D: 42, E: 32 },
+          '42': { max: 100, A: 70, B: 60, C: 50, D: 40, E: 30 },
+          '43': { max: 100, A: 68, B: 60, C: 52, D: 44, E: 36 },
+          '51': { max: 30, A: 21, B: 19, C: 17, D: 15, E: 13 },
+          '52': { max: 30, A: 21, B: 18, C: 15, D: 12, E: 9 },
+          '53': { max: 30, A: 21, B: 19, C: 17, D: 15, E: 13 }
+        }
+      },
+      w24: {
+        overall: { 'A*': 78, A: 70, B: 60, C: 52, D: 42, E: 33 },
+        components: {
+          '11': { max: 40, A: 31, B: 28, C: 25, D: 22, E: 19 },
+          '12': { max: 40, A: 29, B: 25, C: 21, D: 17, E: 13 },
+          '13': { max: 40, A: 28, B: 24, C: 20, D: 16, E: 12 },
+          '21': { max: 60, A: 41, B: 36, C: 31, D: 26, E: 21 },
+          '22': { max: 60, A: 41, B: 35, C: 29, D: 23, E: 17 },
+          '23': { max: 60, A: 42, B: 37, C: 32, D: 27, E: 22 },
+          '31': { max: 40, A: 32, B: 28, C: 24, D: 20, E: 16 },
+          '32': { max: 40, A: 32, B: 29, C: 26, D: 23, E: 20 },
+          '33': { max: 40, A: 32, B: 28, C: 24, D: 20, E: 16 },
+          '41': { max: 100, A: 66, B: 56, C: 46, D: 36, E: 26 },
+          '42': { max: 100, A: 67, B: 59, C: 51, D: 43, E: 35 },
+          '43': { max: 100, A: 71, B: 62, C: 53, D: 44, E: 35 },
+          '51': { max: 30, A: 22, B: 20, C: 18, D: 16, E: 14 },
+          '52': { max: 30, A: 22, B: 19, C: 16, D: 13, E: 10 },
+          '53': { max: 30, A: 20, B: 17, C: 14, D: 11, E: 8 }
+        }
+      }
+    }
+  },
+  '0625': {
+    qualification: 'IGCSE',
+    // Extended 路线：Paper 2 + Paper 4 + 实验（Paper 5 或 Paper 6）
+    routes: [
+      { name: 'Extended (Paper 6)', weightings: { '2': 30, '4': 50, '6': 20 } },
+      { name: 'Extended (Paper 5)', weightings: { '2': 30, '4': 50, '5': 20 } }
+    ],
+    sessions: {
+      m22: {
+        overall: { 'A*': 81, A: 70, B: 61, C: 52, D: 43, E: 34 },
+        components: {
+          '22': { max: 40, A: 35, B: 31, C: 27, D: 23, E: 19 },
+          '42': { max: 80, A: 57, B: 50, C: 43, D: 36, E: 29 },
+          '62': { max: 40, A: 30, B: 26, C: 22, D: 18, E: 14 }
+        }
+      },
+      s22: {
+        overall: { 'A*': 80, A: 69, B: 59, C: 50, D: 41, E: 33 },
+        components: {
+          '21': { max: 40, A: 30, B: 26, C: 22, D: 18, E: 14 },
+          '22': { max: 40, A: 32, B: 29, C: 26, D: 23, E: 20 },
+          '23': { max: 40, A: 34, B: 31, C: 28, D: 25, E: 22 },
+          '41': { max: 80, A: 56, B: 48, C: 40, D: 32, E: 24 },
+          '42': { max: 80, A: 52, B: 44, C: 36, D: 28, E: 20 },
+          '43': { max: 80, A: 53, B: 47, C: 41, D: 35, E: 29 },
+          '61': { max: 40, A: 28, B: 24, C: 20, D: 16, E: 12 },
+          '62': { max: 40, A: 27, B: 23, C: 19, D: 15, E: 11 },
+          '63': { max: 40, A: 29, B: 25, C: 21, D: 17, E: 13 }
+        }
+      },
+      w22: {
+        overall: { 'A*': 80, A: 72, B: 62, C: 53, D: 45, E: 36 },
+        components: {
+          '21': { max: 40, A: 33, B: 30, C: 27, D: 24, E: 21 },
+          '22': { max: 40, A: 31, B: 27, C: 23, D: 19, E: 15 },
+          '23': { max: 40, A: 31, B: 27, C: 23, D: 19, E: 15 },
+          '41': { max: 80, A: 56, B: 49, C: 42, D: 35, E: 28 },
+          '42': { max: 80, A: 57, B: 50, C: 43, D: 36, E: 29 },
+          '43': { max: 80, A: 56, B: 50, C: 44, D: 38, E: 32 },
+          '61': { max: 40, A: 28, B: 24, C: 20, D: 16, E: 12 },
+          '62': { max: 40, A: 28, B: 24, C: 20, D: 16, E: 12 },
+          '63': { max: 40, A: 28, B: 25, C: 22, D: 19, E: 16 }
+        }
+      },
+      m23: {
+        overall: { 'A*': 79, A: 68, B: 59, C: 49, D: 41, E: 32 },
+        components: {
+          '22': { max: 40, A: 31, B: 27, C: 23, D: 19, E: 15 },
+          '42': { max: 80, A: 53, B: 46, C: 39, D: 32, E: 25 },
+          '62': { max: 40, A: 30, B: 27, C: 24, D: 21, E: 18 }
+        }
+      },
+      s23: {
+        overall: { 'A*': 83, A: 75, B: 65, C: 57, D: 48, E: 38 },
+        components: {
+          '21': { max: 40, A: 33, B: 29, C: 25, D: 21, E: 17 },
+          '22': { max: 40, A: 30, B: 27, C: 24, D: 21, E: 18 },
+          '23': { max: 40, A: 33, B: 29, C: 25, D: 21, E: 17 },
+          '41': { max: 80, A: 55, B: 49, C: 43, D: 37, E: 31 },
+          '42': { max: 80, A: 58, B: 51, C: 44, D: 37, E: 30 },
+          '43': { max: 80, A: 57, B: 50, C: 43, D: 36, E: 29 },
+          '61': { max: 40, A: 29, B: 25, C: 21, D: 17, E: 13 },
+          '62': { max: 40, A: 30, B: 26, C: 22, D: 18, E: 14 },
+          '63': { max: 40, A: 28, B: 25, C: 22, D: 19, E: 16 }
+        }
+      },
+      w23: {
+        overall: { 'A*': 78, A: 68, B: 59, C: 49, D: 40, E: 31 },
+        components: {
+          '21': { max: 40, A: 34, B: 30, C: 26, D: 22, E: 18 },
+          '22': { max: 40, A: 31, B: 27, C: 23, D: 19, E: 15 },
+          '23': { max: 40, A: 34, B: 30, C: 26, D: 22, E: 18 },
+          '41': { max: 80, A: 57, B: 49, C: 41, D: 33, E: 25 },
+          '42': { max: 80, A: 52, B: 46, C: 40, D: 34, E: 28 },
+          '43': { max: 80, A: 55, B: 49, C: 43, D: 37, E: 31 },
+          '61': { max: 40, A: 27, B: 23, C: 19, D: 15, E: 11 },
+          '62': { max: 40, A: 28, B: 25, C: 22, D: 19, E: 16 },
+          '63': { max: 40, A: 30, B: 26, C: 22, D: 18, E: 14 }
+        }
+      },
+      m24: {
+        overall: { 'A*': 78, A: 67, B: 58, C: 48, D: 40, E: 31 },
+        components: {
+          '22': { max: 40, A: 35, B: 31, C: 27, D: 23, E: 19 },
+          '42': { max: 80, A: 53, B: 46, C: 39, D: 32, E: 25 },
+          '62': { max: 40, A: 28, B: 24, C: 20, D: 16, E: 12 }
+        }
+      },
+      s24: {
+        overall: { 'A*': 78, A: 67, B: 58, C: 49, D: 40, E: 30 },
+        components: {
+          '21': { max: 40, A: 32, B: 28, C: 24, D: 20, E: 16 },
+          '22': { max: 40, A: 33, B: 30, C: 27, D: 24, E: 21 },
+          '23': { max: 40, A: 31, B: 28, C: 25, D: 22, E: 19 },
+          '41': { max: 80, A: 58, B: 50, C: 42, D: 34, E: 26 },
+          '42': { max: 80, A: 57, B: 49, C: 41, D: 33, E: 25 },
+          '43': { max: 80, A: 56, B: 50, C: 44, D: 38, E: 32 },
+          '61': { max: 40, A: 28, B: 24, C: 20, D: 16, E: 12 },
+          '62': { max: 40, A: 30, B: 27, C: 24, D: 21, E: 18 },
+          '63': { max: 40, A: 28, B: 24, C: 20, D: 16, E: 12 }
+        }
+      },
+      w24: {
+        overall: { 'A*': 81, A: 72, B: 62, C: 53, D: 45, E: 36 },
+        components: {
+          '21': { max: 40, A: 31, B: 28, C: 25, D: 22, E: 19 },
+          '22': { max: 40, A: 31, B: 27, C: 23, D: 19, E: 15 },
+          '23': { max: 40, A: 31, B: 28, C: 25, D: 22, E: 19 },
+          '41': { max: 80, A: 55, B: 47, C: 39, D: 31, E: 23 },
+          '42': { max: 80, A: 57, B: 49, C: 41, D: 33, E: 25 },
+          '43': { max: 80, A: 58, B: 51, C: 44, D: 37, E: 30 },
+          '61': { max: 40, A: 28, B: 24, C: 20, D: 16, E: 12 },
+          '62': { max: 40, A: 30, B: 27, C: 24, D: 21, E: 18 },
+          '63': { max: 40, A: 29, B: 25, C: 21, D: 17, E: 13 }
+        }
+      }
+    }
+  },
+  '9709': {
+    qualification: 'A Level',
+    // A Level 路线：Pure 1 + Pure 3 + 两门应用数学
+    routes: [
+      { name: 'Mechanics + Statistics 1', weightings: { '1': 30, '3': 30, '4': 20, '5': 20 } },
+      { name: 'Statistics 1 + Statistics 2', weightings: { '1': 30, '3': 30, '5': 20, '6': 20 } }
+    ],
+    sessions: {
+      m22: {
+        overall: { 'A*': 83, A: 75, B: 66, C: 57, D: 47, E: 39 },
+        components: {
+          '12': { max: 75, A: 57, B: 49, C: 41, D: 33, E: 25 },
+          '32': { max: 75, A: 55, B: 48, C: 41, D: 34, E: 27 },
+          '42': { max: 50, A: 36, B: 31, C: 26, D: 21, E: 16 },
+          '52': { max: 50, A: 37, B: 33, C: 29, D: 25, E: 21 },
+          '62': { max: 50, A: 35, B: 31, C: 27, D: 23, E: 19 }
+        }
+      },
+      s22: {
+        overall: { 'A*': 81, A: 71, B: 61, C: 52, D: 43, E: 35 },
+        components: {
+          '11': { max: 75, A: 52, B: 46, C: 40, D: 34, E: 28 },
+          '12': { max: 75, A: 53, B: 47, C: 41, D: 35, E: 29 },
+          '13': { max: 75, A: 51, B: 44, C: 37, D: 30, E: 23 },
+          '31': { max: 75, A: 53, B: 47, C: 41, D: 35, E: 29 },
+          '32': { max: 75, A: 52, B: 44, C: 36, D: 28, E: 20 },
+          '33': { max: 75, A: 55, B: 47, C: 39, D: 31, E: 23 },
+          '41': { max: 50, A: 38, B: 33, C: 28, D: 23, E: 18 },
+          '42': { max: 50, A: 36, B: 32, C: 28, D: 24, E: 20 },
+          '43': { max: 50, A: 37, B: 32, C: 27, D: 22, E: 17 },
+          '51': { max: 50, A: 34, B: 30, C: 26, D: 22, E: 18 },
+          '52': { max: 50, A: 35, B: 30, C: 25, D: 20, E: 15 },
+          '53': { max: 50, A: 35, B: 30, C: 25, D: 20, E: 15 },
+          '61': { max: 50, A: 35, B: 31, C: 27, D: 23, E: 19 },
+          '62': { max: 50, A: 35, B: 30, C: 25, D: 20, E: 15 },
+          '63': { max: 50, A: 34, B: 29, C: 24, D: 19, E: 14 }
+        }
+      },
+      w22: {
+        overall: { 'A*': 81, A: 72, B: 62, C: 54, D: 44, E: 35 },
+        components: {
+          '11': { max: 75, A: 52, B: 44, C: 36, D: 28, E: 20 },
+          '12': { max: 75, A: 51, B: 45, C: 39, D: 33, E: 27 },
+          '13': { max: 75, A: 54, B: 48, C: 42, D: 36, E: 30 },
+          '31': { max: 75, A: 52, B: 46, C: 40, D: 34, E: 28 },
+          '32': { max: 75, A: 52, B: 45, C: 38, D: 31, E: 24 },
+          '33': { max: 75, A: 52, B: 44, C: 36, D: 28, E: 20 },
+          '41': { max: 50, A: 35, B: 31, C: 27, D: 23, E: 19 },
+          '42': { max: 50, A: 38, B: 34, C: 30, D: 26, E: 22 },
+          '43': { max: 50, A: 39, B: 35, C: 31, D: 27, E: 23 },
+          '51': { max: 50, A: 35, B: 31, C: 27, D: 23, E: 19 },
+          '52': { max: 50, A: 35, B: 31, C: 27, D: 23, E: 19 },
+          '53': { max: 50, A: 36, B: 32, C: 28, D: 24, E: 20 },
+          '61': { max: 50, A: 34, B: 30, C: 26, D: 22, E: 18 },
+          '62': { max: 50, A: 35, B: 31, C: 27, D: 23, E: 19 },
+          '63': { max: 50, A: 33, B: 28, C: 23, D: 18, E: 13 }
+        }
+      },
+      m23: {
+        overall: { 'A*': 78, A: 68, B: 59, C: 50, D: 41, E: 32 },
+        components: {
+          '12': { max: 75, A: 51, B: 45, C: 39, D: 33, E: 27 },
+          '32': { max: 75, A: 53, B: 46, C: 39, D: 32, E: 25 },
+          '42': { max: 50, A: 38, B: 34, C: 30, D: 26, E: 22 },
+          '52': { max: 50, A: 36, B: 32, C: 28, D: 24, E: 20 },
+          '62': { max: 50, A: 35, B: 30, C: 25, D: 20, E: 15 }
+        }
+      },
+      s23: {
+        overall: { 'A*': 78, A: 68, B: 59, C: 49, D: 41, E: 31 },
+        components: {
+          '11': { max: 75, A: 55, B: 47, C: 39, D: 31, E: 23 },
+          '12': { max: 75, A: 54, B: 46, C: 38, D: 30, E: 22 },
+          '13': { max: 75, A: 52, B: 44, C: 36, D: 28, E: 20 },
+          '31': { max: 75, A: 52, B: 46, C: 40, D: 34, E: 28 },
+          '32': { max: 75, A: 52, B: 44, C: 36, D: 28, E: 20 },
+          '33': { max: 75, A: 53, B: 47, C: 41, D: 35, E: 29 },
+          '41': { max: 50, A: 36, B: 31, C: 26, D: 21, E: 16 },
+          '42': { max: 50, A: 37, B: 33, C: 29, D: 25, E: 21 },
+          '43': { max: 50, A: 39, B: 35, C: 31, D: 27, E: 23 },
+          '51': { max: 50, A: 36, B: 32, C: 28, D: 24, E: 20 },
+          '52': { max: 50, A: 34, B: 30, C: 26, D: 22, E: 18 },
+          '53': { max: 50, A: 37, B: 33, C: 29, D: 25, E: 21 },
+          '61': { max: 50, A: 37, B: 33, C: 29, D: 25, E: 21 },
+          '62': { max: 50, A: 36, B: 32, C: 28, D: 24, E: 20 },
+          '63': { max: 50, A: 34, B: 30, C: 26, D: 22, E: 18 }
+        }
+      },
+      w23: {
+        overall: { 'A*': 81, A: 72, B: 63, C: 53, D: 45, E: 36 },
+        components: {
+          '11': { max: 75, A: 52, B: 44, C: 36, D: 28, E: 20 },
+          '12': { max: 75, A: 53, B: 46, C: 39, D: 32, E: 25 },
+          '13': { max: 75, A: 51, B: 43, C: 35, D: 27, E: 19 },
+          '31': { max: 75, A: 53, B: 46, C: 39, D: 32, E: 25 },
+          '32': { max: 75, A: 52, B: 44, C: 36, D: 28, E: 20 },
+          '33': { max: 75, A: 54, B: 48, C: 42, D: 36, E: 30 },
+          '41': { max: 50, A: 37, B: 33, C: 29, D: 25, E: 21 },
+          '42': { max: 50, A: 35, B: 30, C: 25, D: 20, E: 15 },
+          '43': { max: 50, A: 37, B: 32, C: 27, D: 22, E: 17 },
+          '51': { max: 50, A: 36, B: 32, C: 28, D: 24, E: 20 },
+          '52': { max: 50, A: 34, B: 30, C: 26, D: 22, E: 18 },
+          '53': { max: 50, A: 34, B: 30, C: 26, D: 22, E: 18 },
+          '61': { max: 50, A: 37, B: 32, C: 27, D: 22, E: 17 },
+          '62': { max: 50, A: 33, B: 29, C: 25, D: 21, E: 17 },
+          '63': { max: 50, A: 33, B: 28, C: 23, D: 18, E: 13 }
+        }
+      },
+      m24: {
+        overall: { 'A*': 81, A: 73, B: 64, C: 54, D: 45, E: 36 },
+        components: {
+          '12': { max: 75, A: 53, B: 46, C: 39, D: 32, E: 25 },
+          '32': { max: 75, A: 52, B: 44, C: 36, D: 28, E: 20 },
+          '42': { max: 50, A: 36, B: 31, C: 26, D: 21, E: 16 },
+          '52': { max: 50, A: 37, B: 33, C: 29, D: 25, E: 21 },
+          '62': { max: 50, A: 33, B: 29, C: 25, D: 21, E: 17 }
+        }
+      },
+      s24: {
+        overall: { 'A*': 80, A: 70, B: 60, C: 52, D: 43, E: 34 },
+        components: {
+          '11': { max: 75, A: 54, B: 48, C: 42, D: 36, E: 30 },
+          '12': { max: 75, A: 52, B: 46, C: 40, D: 34, E: 28 },
+          '13': { max: 75, A: 56, B: 48, C: 40, D: 32, E: 24 },
+          '31': { max: 75, A: 55, B: 47, C: 39, D: 31, E: 23 },
+          '32': { max: 75, A: 55, B: 47, C: 39, D: 31, E: 23 },
+          '33': { max: 75, A: 53, B: 45, C: 37, D: 29, E: 21 },
+          '41': { max: 50, A: 37, B: 33, C: 29, D: 25, E: 21 },
+          '42': { max: 50, A: 38, B: 34, C: 30, D: 26, E: 22 },
+          '43': { max: 50, A: 36, B: 32, C: 28, D: 24, E: 20 },
+          '51': { max: 50, A: 37, B: 33, C: 29, D: 25, E: 21 },
+          '52': { max: 50, A: 37, B: 33, C: 29, D: 25, E: 21 },
+          '53': { max: 50, A: 34, B: 30, C: 26, D: 22, E: 18 },
+          '61': { max: 50, A: 36, B: 31, C: 26, D: 21, E: 16 },
+          '62': { max: 50, A: 34, B: 30, C: 26, D: 22, E: 18 },
+          '63': { max: 50, A: 36, B: 32, C: 28, D: 24, E: 20 }
+        }
+      },
+      w24: {
+        overall: { 'A*': 79, A: 70, B: 61, C: 51, D: 42, E: 33 },
+        components: {
+          '11': { max: 75, A: 51, B: 44, C: 37, D: 30, E: 23 },
+          '12': { max: 75, A: 57, B: 49, C: 41, D: 33, E: 25 },
+          '13': { max: 75, A: 51, B: 44, C: 37, D: 30, E: 23 },
+          '31': { max: 75, A: 55, B: 47, C: 39, D: 31, E: 23 },
+          '32': { max: 75, A: 51, B: 45, C: 39, D: 33, E: 27 },
+          '33': { max: 75, A: 53, B: 45, C: 37, D: 29, E: 21 },
+          '41': { max: 50, A: 35, B: 31, C: 27, D: 23, E: 19 },
+          '42': { max: 50, A: 36, B: 32, C: 28, D: 24, E: 20 },
+          '43': { max: 50, A: 37, B: 32, C: 27, D: 22, E: 17 },
+          '51': { max: 50, A: 34, B: 30, C: 26, D: 22, E: 18 },
+          '52': { max: 50, A: 38, B: 34, C: 30, D: 26, E: 22 },
+          '53': { max: 50, A: 34, B: 30, C: 26, D: 22, E: 18 },
+          '61': { max: 50, A: 36, B: 32, C: 28, D: 24, E: 20 },
+          '62': { max: 50, A: 34, B: 29, C: 24, D: 19, E: 14 },
+          '63': { max: 50, A: 33, B: 29, C: 25, D: 21, E: 17 }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * 教学大纲知识点数据结构
+ * 后端数据库表结构参考：
+ * syllabus_sections表：id, topic_id, syllabus_years, code, title
+ * syllabus_objectives表：id, section_id, code, title
+ * 按课程组织，sections 为大纲章节，objectives 为章节下的知识点，code 与大纲编号一致（例如 '3.1'）
+ */
+export const syllabusObjectivesData = {
+  '9702': {
+    syllabusYears: '2025-2027',
+    sections: [
+      { code: '1', title: 'Physical quantities and units', objectives: [
+        { code: '1.1', title: 'Physical quantities' },
+        { code: '1.2', title: 'SI units' },
+        { code: '1.3', title: 'Errors and uncertainties' },
+        { code: '1.4', title: 'Scalars and vectors' }
+      ] },
+      { code: '2', title: 'Kinematics', objectives: [
+        { code: '2.1', title: 'Equations of motion' }
+      ] },
+      { code: '3', title: 'Dynamics', objectives: [
+        { code: '3.1', title: 'Momentum and Newton\'s laws of motion' },
+        { code: '3.2', title: 'Non-uniform motion' },
+        { code: '3.3', title: 'Linear momentum and its conservation' }
+      ] },
+      { code: '4', title: 'Forces, density and pressure', objectives: [
+        { code: '4.1', title: 'Turning effects of forces' },
+        { code: '4.2', title: 'Equilibrium of forces' },
+        { code: '4.3', title: 'Density and pressure' }
+      ] },
+      { code: '5', title: 'Work, energy and power', objectives: [
+        { code: '5.1', title: 'Energy conservation' },
+        { code: '5.2', title: 'Gravitational potential energy and kinetic energy' }
+      ] },
+      { code: '6', title: 'Deformation of solids', objectives: [
+        { code: '6.1', title: 'Stress and strain' },
+        { code: '6.2', title: 'Elastic and plastic behaviour' }
+      ] },
+      { code: '7', title: 'Waves', objectives: [
+        { code: '7.1', title: 'Progressive waves' },
+        { code: '7.2', title: 'Transverse and longitudinal waves' },
+        { code: '7.3', title: 'Doppler effect for sound waves' },
+        { code: '7.4', title: 'Electromagnetic spectrum' },
+        { code: '7.5', title: 'Polarisation' }
+      ] },
+      { code: '8', title: 'Superposition', objectives: [
+        { code: '8.1', title: 'Stationary waves' },
+        { code: '8.2', title: 'Diffraction' },
+        { code: '8.3', title: 'Interference' },
+        { code: '8.4', title: 'The diffraction grating' }
+      ] },
+      { code: '9', title: 'Electricity', objectives: [
+        { code: '9.1', title: 'Electric current' },
+        { code: '9.2', title: 'Potential difference and power' },
+        { code: '9.3', title: 'Resistance and resistivity' }
+      ] },
+      { code: '10', title: 'D.C. circuits', objectives: [
+        { code: '10.1', title: 'Practical circuits' },
+        { code: '10.2', title: 'Kirchhoff\'s laws' },
+        { code: '10.3', title: 'Potential dividers' }
+      ] },
+      { code: '11', title: 'Particle physics', objectives: [
+        { code: '11.1', title: 'Atoms, nuclei and radiation' },
+        { code: '11.2', title: 'Fundamental particles' }
+      ] },
+      { code: '12', title: 'Motion in a circle', objectives: [
+        { code: '12.1', title: 'Kinematics of uniform circular motion' },
+        { code: '12.2', title: 'Centripetal acceleration' }
+      ] },
+      { code: '13', title: 'Gravitational fields', objectives: [
+        { code: '13.1', title: 'Gravitational field' },
+        { code: '13.2', title: 'Gravitational force between point masses' },
+        { code: '13.3', title: 'Gravitational field of a point mass' },
+        { code: '13.4', title: 'Gravitational potential' }
+      ] },
+      { code: '14', title: 'Temperature', objectives: [
+        { code: '14.1', title: 'Thermal equilibrium' },
+        { code: '14.2', title: 'Temperature scales' },
+        { code: '14.3', title: 'Specific heat capacity and specific latent heat' }
+      ] },
+      { code: '15', title: 'Ideal gases', objectives: [
+        { code: '15.1', title: 'The mole' },
+        { code: '15.2', title: 'Equation of state' },
+        { code: '15.3', title: 'Kinetic theory of gases' }
+      ] },
+      { code: '16', title: 'Thermodynamics', objectives: [
+        { code: '16.1', title: 'Internal energy' },
+        { code: '16.2', title: 'The first law of thermodynamics' }
+      ] },
+      { code: '17', title: 'Oscillations', objectives: [
+        { code: '17.1', title: 'Simple harmonic oscillations' },
+        { code: '17.2', title: 'Energy in simple harmonic motion' },
+        { code: '17.3', title: 'Damped and forced oscillations, resonance' }
+      ] },
+      { code: '18', title: 'Electric fields', objectives: [
+        { code: '18.1', title: 'Electric fields and field lines' },
+        { code: '18.2', title: 'Uniform electric fields' },
+        { code: '18.3', title: 'Electric force between point charges' },
+        { code: '18.4', title: 'Electric field of a point charge' },
+        { code: '18.5', title: 'Electric potential' }
+      ] },
+      { code: '19', title: 'Capacitance', objectives: [
+        { code: '19.1', title: 'Capacitors and capacitance' },
+        { code: '19.2', title: 'Energy stored in a capacitor' },
+        { code: '19.3', title: 'Discharging a capacitor' }
+      ] },
+      { code: '20', title: 'Magnetic fields', objectives: [
+        { code: '20.1', title: 'Concept of a magnetic field' },
+        { code: '20.2', title: 'Force on a current-carrying conductor' },
+        { code: '20.3', title: 'Force on a moving charge' },
+        { code: '20.4', title: 'Magnetic fields due to currents' },
+        { code: '20.5', title: 'Electromagnetic induction' }
+      ] },
+      { code: '21', title: 'Alternating currents', objectives: [
+        { code: '21.1', title: 'Characteristics of alternating currents' },
+        { code: '21.2', title: 'Rectification and smoothing' }
+      ] },
+      { code: '22', title: 'Quantum physics', objectives: [
+        { code: '22.1', title: 'Energy and momentum of a photon' },
+        { code: '22.2', title: 'Photoelectric effect' },
+        { code: '22.3', title: 'Wave-particle duality' },
+        { code: '22.4', title: 'Energy levels in atoms and line spectra' }
+      ] },
+      { code: '23', title: 'Nuclear physics', objectives: [
+        { code: '23.1', title: 'Mass defect and nuclear binding energy' },
+        { code: '23.2', title: 'Radioactive decay' }
+      ] },
+      { code: '24', title: 'Medical physics', objectives: [
+        { code: '24.1', title: 'Production and use of ultrasound' },
+        { code: '24.2', title: 'Production and use of X-rays' },
+        { code: '24.3', title: 'PET scanning' }
+      ] },
+      { code: '25', title: 'Astronomy and cosmology', objectives: [
+        { code: '25.1', title: 'Standard candles' },
+        { code: '25.2', title: 'Stellar radii' },
+        { code: '25.3', title: 'Hubble\'s law and the Big Bang theory' }
+      ] }
+    ]
+  },
+  '0625': {
+    syllabusYears: '2024-2026',
+    sections: [
+      { code: '1', title: 'Motion, forces and energy', objectives: [
+        { code: '1.1', title: 'Physical quantities and measurement techniques' },
+        { code: '1.2', title: 'Motion' },
+        { code: '1.3', title: 'Mass and weight' },
+        { code: '1.4', title: 'Density' },
+        { code: '1.5', title: 'Forces' },
+        { code: '1.6', title: 'Momentum' },
+        { code: '1.7', title: 'Energy, work and power' },
+        { code: '1.8', title: 'Pressure' }
+      ] },
+      { code: '2', title: 'Thermal physics', objectives: [
+        { code: '2.1', title: 'Kinetic particle model of matter' },
+        { code: '2.2', title: 'Thermal properties and temperature' },
+        { code: '2.3', title: 'Transfer of thermal energy' }
+      ] },
+      { code: '3', title: 'Waves', objectives: [
+        { code: '3.1', title: 'General properties of waves' },
+        { code: '3.2', title: 'Light' },
+        { code: '3.3', title: 'Electromagnetic spectrum' },
+        { code: '3.4', title: 'Sound' }
+      ] },
+      { code: '4', title: 'Electricity and magnetism', objectives: [
+        { code: '4.1', title: 'Simple phenomena of magnetism' },
+        { code: '4.2', title: 'Electrical quantities' },
+        { code: '4.3', title: 'Electric circuits' },
+        { code: '4.4', title: 'Electrical safety' },
+        { code: '4.5', title: 'Electromagnetic effects' }
+      ] },
+      { code: '5', title: 'Nuclear physics', objectives: [
+        { code: '5.1', title: 'The nuclear model of the atom' },
+        { code: '5.2', title: 'Radioactivity' }
+      ] },
+      { code: '6', title: 'Space physics', objectives: [
+        { code: '6.1', title: 'Earth and the Solar System' },
+        { code: '6.2', title: 'Stars and the Universe' }
+      ] }
+    ]
+  },
+  '9709': {
+    syllabusYears: '2025-2027',
+    sections: [
+      { code: '1', title: 'Pure Mathematics 1', objectives: [
+        { code: '1.1', title: 'Quadratics' },
+        { code: '1.2', title: 'Functions' },
+        { code: '1.3', title: 'Coordinate geometry' },
+        { code: '1.4', title: 'Circular measure' },
+        { code: '1.5', title: 'Trigonometry' },
+        { code: '1.6', title: 'Series' },
+        { code: '1.7', title: 'Differentiation' },
+        { code: '1.8', title: 'Integration' }
+      ] },
+      { code: '3', title: 'Pure Mathematics 3', objectives: [
+        { code: '3.1', title: 'Algebra' },
+        { code: '3.2', title: 'Logarithmic and exponential functions' },
+        { code: '3.3', title: 'Trigonometry' },
+        { code: '3.4', title: 'Differentiation' },
+        { code: '3.5', title: 'Integration' },
+        { code: '3.6', title: 'Numerical solution of equations' },
+        { code: '3.7', title: 'Vectors' },
+        { code: '3.8', title: 'Differential equations' },
+        { code: '3.9', title: 'Complex numbers' }
+      ] },
+      { code: '4', title: 'Mechanics', objectives: [
+        { code: '4.1', title: 'Forces and equilibrium' },
+        { code: '4.2', title: 'Kinematics of motion in a straight line' },
+        { code: '4.3', title: 'Momentum' },
+        { code: '4.4', title: 'Newton\'s laws of motion' },
+        { code: '4.5', title: 'Energy, work and power' }
+      ] },
+      { code: '5', title: 'Probability & Statistics 1', objectives: [
+        { code: '5.1', title: 'Representation of data' },
+        { code: '5.2', title: 'Permutations and combinations' },
+        { code: '5.3', title: 'Probability' },
+        { code: '5.4', title: 'Discrete random variables' },
+        { code: '5.5', title: 'The normal distribution' }
+      ] },
+      { code: '6', title: 'Probability & Statistics 2', objectives: [
+        { code: '6.1', title: 'The Poisson distribution' },
+        { code: '6.2', title: 'Linear combinations of random variables' },
+        { code: '6.3', title: 'Continuous random variables' },
+        { code: '6.4', title: 'Sampling and estimation' },
+        { code: '6.5', title: 'Hypothesis tests' }
+      ] }
+    ]
+  }
+};
+
+/**
+ * 教学大纲历史版本数据结构
+ * 后端数据库表结构参考：与 syllabus_sections、syllabus_objectives 表相同，按 syllabus_years 区分版本
+ * 按课程组织，每门课程为早于 syllabusObjectivesData 当前版本的各个版本，按大纲年份从早到晚排列
+ */
+export const syllabusHistoryData = {
+  '9702': [
+    {
+      syllabusYears: '2022-2024',
+      sections: [
+        { code: '1', title: 'Physical quantities and units', objectives: [
+          { code: '1.1', title: 'Physical quantities' },
+          { code: '1.2', title: 'SI units' },
+          { code: '1.3', title: 'Errors and uncertainties' }
+        ] },
+        { code: '2', title: 'Kinematics', objectives: [
+          { code: '2.1', title: 'Equations of motion' }
+        ] },
+        { code: '3', title: 'Dynamics', objectives: [
+          { code: '3.1', title: 'Momentum and Newton\'s laws of motion' },
+          { code: '3.2', title: 'Non-uniform motion' },
+          { code: '3.3', title: 'Linear momentum and its conservation' }
+        ] },
+        { code: '4', title: 'Forces, density and pressure', objectives: [
+          { code: '4.1', title: 'Turning effects of forces' },
+          { code: '4.2', title: 'Equilibrium of forces' },
+          { code: '4.3', title: 'Density and pressure' }
+        ] },
+        { code: '5', title: 'Work, energy and power', objectives: [
+          { code: '5.1', title: 'Energy conservation' },
+          { code: '5.2', title: 'Gravitational potential energy and kinetic energy' }
+        ] },
+        { code: '6', title: 'Deformation of solids', objectives: [
+          { code: '6.1', title: 'Stress and strain' },
+          { code: '6.2', title: 'Elastic and plastic behaviour' }
+        ] },
+        { code: '7', title: 'Waves', objectives: [
+          { code: '7.1', title: 'Progressive waves' },
+          { code: '7.2', title: 'Transverse and longitudinal waves' },
+          { code: '7.3', title: 'Doppler effect for sound waves' },
+          { code: '7.4', title: 'Electromagnetic spectrum' }
+        ] },
+        { code: '8', title: 'Superposition', objectives: [
+          { code: '8.1', title: 'Stationary waves' },
+          { code: '8.2', title: 'Diffraction' },
+          { code: '8.3', title: 'Interference' },
+          { code: '8.4', title: 'The diffraction grating' },
+          { code: '8.5', title: 'Polarisation' }
+        ] },
+        { code: '9', title: 'Electricity', objectives: [
+          { code: '9.1', title: 'Electric current' },
+          { code: '9.2', title: 'Potential difference and power' },
+          { code: '9.3', title: 'Resistance and resistivity' }
+        ] },
+        { code: '10', title: 'D.C. circuits', objectives: [
+          { code: '10.1', title: 'Practical circuits' },
+          { code: '10.2', title: 'Kirchhoff\'s laws' },
+          { code: '10.3', title: 'Potential dividers' }
+        ] },
+        { code: '11', title: 'Particle physics', objectives: [
+          { code: '11.1', title: 'Atoms, nuclei and radiation' },
+          { code: '11.2', title: 'Fundamental particles' }
+        ] },
+        { code: '12', title: 'Motion in a circle', objectives: [
+          { code: '12.1', title: 'Kinematics of uniform circular motion' },
+          { code: '12.2', title: 'Centripetal acceleration and centripetal force' }
+        ] },
+        { code: '13', title: 'Gravitational fields', objectives: [
+          { code: '13.1', title: 'Gravitational field' },
+          { code: '13.2', title: 'Gravitational force between point masses' },
+          { code: '13.3', title: 'Gravitational field of a point mass' },
+          { code: '13.4', title: 'Gravitational potential' }
+        ] },
+        { code: '14', title: 'Temperature', objectives: [
+          { code: '14.1', title: 'Thermal equilibrium' },
+          { code: '14.2', title: 'Temperature scales and thermometers' },
+          { code: '14.3', title: 'Specific heat capacity and specific latent heat' }
+        ] },
+        { code: '15', title: 'Ideal gases', objectives: [
+          { code: '15.1', title: 'The mole' },
+          { code: '15.2', title: 'Equation of state' },
+          { code: '15.3', title: 'Kinetic theory of gases' }
+        ] },
+        { code: '16', title: 'Thermodynamics', objectives: [
+          { code: '16.1', title: 'Internal energy' },
+          { code: '16.2', title: 'The first law of thermodynamics' }
+        ] },
+        { code: '17', title: 'Oscillations', objectives: [
+          { code: '17.1', title: 'Simple harmonic oscillations' },
+          { code: '17.2', title: 'Energy in simple harmonic motion' },
+          { code: '17.3', title: 'Damped and forced oscillations, resonance' }
+        ] },
+        { code: '18', title: 'Electric fields', objectives: [
+          { code: '18.1', title: 'Electric fields and field lines' },
+          { code: '18.2', title: 'Uniform electric fields' },
+          { code: '18.3', title: 'Electric force between point charges' },
+          { code: '18.4', title: 'Electric field of a point charge' },
+          { code: '18.5', title: 'Electric potential' }
+        ] },
+        { code: '19', title: 'Capacitance', objectives: [
+          { code: '19.1', title: 'Capacitors and capacitance' },
+          { code: '19.2', title: 'Energy stored in a capacitor' },
+          { code: '19.3', title: 'Discharging a capacitor' }
+        ] },
+        { code: '20', title: 'Magnetic fields', objectives: [
+          { code: '20.1', title: 'Concept of a magnetic field' },
+          { code: '20.2', title: 'Force on a current-carrying conductor' },
+          { code: '20.3', title: 'Force on a moving charge' },
+          { code: '20.4', title: 'Magnetic fields due to currents' },
+          { code: '20.5', title: 'Electromagnetic induction' }
+        ] },
+        { code: '21', title: 'Alternating currents', objectives: [
+          { code: '21.1', title: 'Characteristics of alternating currents' },
+          { code: '21.2', title: 'Rectification and smoothing' },
+          { code: '21.3', title: 'Transformers' }
+        ] },
+        { code: '22', title: 'Quantum physics', objectives: [
+          { code: '22.1', title: 'Energy and momentum of a photon' },
+          { code: '22.2', title: 'Photoelectric effect' },
+          { code: '22.3', title: 'Wave-particle duality' },
+          { code: '22.4', title: 'Energy levels in atoms and line spectra' }
+        ] },
+        { code: '23', title: 'Nuclear physics', objectives: [
+          { code: '23.1', title: 'Mass defect and nuclear binding energy' },
+          { code: '23.2', title: 'Radioactive decay' }
+        ] },
+        { code: '24', title: 'Medical physics', objectives: [
+          { code: '24.1', title: 'Production and use of ultrasound' },
+          { code: '24.2', title: 'Production and use of X-rays' },
+          { code: '24.3', title: 'PET scanning' }
+        ] },
+        { code: '25', title: 'Astronomy and cosmology', objectives: [
+          { code: '25.1', title: 'Standard candles' },
+          { code: '25.2', title: 'Stellar radii' },
+          { code: '25.3', title: 'Hubble\'s law and the Big Bang theory' }
+        ] }
+      ]
+    }
+  ],
+  '9709': [
+    {
+      syllabusYears: '2020-2022',
+      sections: [
+        { code: '1', title: 'Pure Mathematics 1', objectives: [
+          { code: '1.1', title: 'Quadratics' },
+          { code: '1.2', title: 'Functions and graphs' },
+          { code: '1.3', title: 'Coordinate geometry' },
+          { code: '1.4', title: 'Circular measure' },
+          { code: '1.5', title: 'Trigonometry' },
+          { code: '1.6', title: 'Series' },
+          { code: '1.7', title: 'Differentiation' },
+          { code: '1.8', title: 'Integration' }
+        ] },
+        { code: '3', title: 'Pure Mathematics 3', objectives: [
+          { code: '3.1', title: 'Algebra' },
+          { code: '3.2', title: 'Logarithmic and exponential functions' },
+          { code: '3.3', title: 'Trigonometry' },
+          { code: '3.4', title: 'Differentiation' },
+          { code: '3.5', title: 'Integration' },
+          { code: '3.6', title: 'Numerical solution of equations' },
+          { code: '3.7', title: 'Vectors' },
+          { code: '3.8', title: 'Differential equations' },
+          { code: '3.9', title: 'Complex numbers' }
+        ] },
+        { code: '4', title: 'Mechanics', objectives: [
+          { code: '4.1', title: 'Forces and equilibrium' },
+          { code: '4.2', title: 'Kinematics of motion in a straight line' },
+          { code: '4.3', title: 'Momentum' },
+          { code: '4.4', title: 'Newton\'s laws of motion' },
+          { code: '4.5', title: 'Energy, work and power' },
+          { code: '4.6', title: 'General motion in a straight line' }
+        ] },
+        { code: '5', title: 'Probability & Statistics 1', objectives: [
+          { code: '5.1', title: 'Representation of data' },
+          { code: '5.2', title: 'Permutations and combinations' },
+          { code: '5.3', title: 'Probability' },
+          { code: '5.4', title: 'Discrete random variables' },
+          { code: '5.5', title: 'The normal distribution' }
+        ] },
+        { code: '6', title: 'Probability & Statistics 2', objectives: [
+          { code: '6.1', title: 'The Poisson distribution' },
+          { code: '6.2', title: 'Continuous random variables' },
+          { code: '6.3', title: 'Sampling and estimation' },
+          { code: '6.4', title: 'Hypothesis tests' }
+        ] }
+      ]
+    }
+  ]
+};
+
+/**
+ * 题目索引数据结构（知识点匹配）
+ * 后端数据库表结构参考：
+ * paper_questions表：id, paper_id, number, start_page, end_page, marks, difficulty, ms_start_page, ms_end_page
+ * question_objectives表：id, question_id, objective_code
+ * 按试卷ID组织，每道题记录所在页码范围 pages: [起始页, 结束页]、分值 marks 和关联的大纲知识点 objectives
+ * - markSchemePages: 该题在配套评分标准中的页码范围（可选）
+ * - difficulty: 难度 'easy' | 'medium' | 'hard'（可选，未填写时按分值估计）
+ * - finalAnswers: 各小题的最终数值答案 [{ part, answer, sigFigs?, tolerance? }]（可选，自评时用于检查答案）
+ * 这里只收录部分已标注的试卷，其余试卷可以在题目索引编辑器中补充
+ */
+export const questionIndexData = {
+  '9702_s23_qp_22': [
+    { number: 1, pages: [2, 3], marks: 10, objectives: ['1.2'], markSchemePages: [6, 7] },
+    {
+      number: 2, pages: [4, 4], marks: 6, objectives: ['3.2', '3.3'], markSchemePages: [8, 8],
+      finalAnswers: [
+        { part: '(b)(i)', answer: '4.9 m s^-1', tolerance: '±0.1' },
+        { part: '(b)(ii)', answer: '1.2 s', sigFigs: 2 }
+      ]
+    },
+    {
+      number: 3, pages: [5, 5], marks: 4, objectives: ['4.2'], markSchemePages: [9, 9],
+      finalAnswers: [{ part: '(b)', answer: '3.6 × 10^3 Pa', tolerance: '3500 to 3700' }]
+    },
+    { number: 4, pages: [6, 7], marks: 10, objectives: ['7.2'], markSchemePages: [10, 11] },
+    { number: 5, pages: [8, 9], marks: 12, objectives: ['7.4', '7.5'], markSchemePages: [12, 13] },
+    {
+      number: 6, pages: [10, 11], marks: 10, objectives: ['9.2'], markSchemePages: [14, 15],
+      finalAnswers: [
+        { part: '(a)(ii)', answer: '0.25 A' },
+        { part: '(c)', answer: '48 Ω', sigFigs: 2 }
+      ]
+    },
+    { number: 7, pages: [12, 13], marks: 8, objectives: ['11.1'], markSchemePages: [16, 17] }
+  ],
+  '9702_w22_qp_22': [
+    { number: 1, pages: [2, 3], marks: 13, objectives: ['2.1', '3.1'], markSchemePages: [6, 7] },
+    { number: 2, pages: [4, 4], marks: 5, objectives: ['3.2'], markSchemePages: [8, 8] },
+    { number: 3, pages: [5, 6], marks: 11, objectives: ['6.1'], markSchemePages: [9, 10] },
+    { number: 4, pages: [7, 7], marks: 7, objectives: ['7.2', '7.3'], markSchemePages: [11, 11] },
+    { number: 5, pages: [8, 9], marks: 9, objectives: ['9.2', '9.3'], markSchemePages: [12, 13] },
+    { number: 6, pages: [10, 11], marks: 15, objectives: ['10.1'], markSchemePages: [14, 15] }
+  ],
+  '9702_s22_qp_22': [
+    { number: 1, pages: [2, 3], marks: 13, objectives: ['1.3'], markSchemePages: [6, 7] },
+    { number: 2, pages: [4, 5], marks: 12, objectives: ['3.2'], markSchemePages: [8, 9] },
+    { number: 3, pages: [6, 6], marks: 7, objectives: ['5.1'], markSchemePages: [10, 10] },
+    { number: 4, pages: [7, 7], marks: 5, objectives: ['6.2'], markSchemePages: [11, 11] },
+    { number: 5, pages: [8, 9], marks: 8, objectives: ['8.2'], markSchemePages: [12, 13] },
+    { number: 6, pages: [10, 10], marks: 5, objectives: ['9.2'], markSchemePages: [14, 14] },
+    { number: 7, pages: [11, 12], marks: 10, objectives: ['10.2'], markSchemePages: [15, 16] }
+  ],
+  '9702_m23_qp_22': [
+    { number: 1, pages: [2, 3], marks: 10, objectives: ['2.1'], markSchemePages: [6, 7] },
+    { number: 2, pages: [4, 5], marks: 14, objectives: ['3.2'], markSchemePages: [8, 9] },
+    { number: 3, pages: [6, 7], marks: 8, objectives: ['4.3', '5.1'], markSchemePages: [10, 11] },
+    { number: 4, pages: [8, 8], marks: 6, objectives: ['7.5'], markSchemePages: [12, 12] },
+    { number: 5, pages: [9, 10], marks: 8, objectives: ['8.3'], markSchemePages: [13, 14] },
+    { number: 6, pages: [11, 12], marks: 14, objectives: ['10.2', '10.3'], markSchemePages: [15, 16] }
+  ],
+  '9702_s23_qp_42': [
+    { number: 1, pages: [2, 3], marks: 12, objectives: ['12.2', '13.1'], markSchemePages: [6, 7] },
+    { number: 2, pages: [4, 4], marks: 6, objectives: ['14.1', '14.2'], markSchemePages: [8, 8] },
+    { number: 3, pages: [5, 5], marks: 6, objectives: ['14.3'], markSchemePages: [9, 9] },
+    { number: 4, pages: [6, 7], marks: 14, objectives: ['17.3'], markSchemePages: [10, 11] },
+    { number: 5, pages: [8, 9], marks: 8, objectives: ['18.3'], markSchemePages: [12, 13] },
+    { number: 6, pages: [10, 11], marks: 10, objectives: ['19.1', '19.2'], markSchemePages: [14, 15] },
+    { number: 7, pages: [12, 13], marks: 16, objectives: ['20.4'], markSchemePages: [16, 17] },
+    { number: 8, pages: [14, 14], marks: 6, objectives: ['22.1', '22.2'], markSchemePages: [18, 18] },
+    { number: 9, pages: [15, 16], marks: 10, objectives: ['23.1'], markSchemePages: [19, 20] },
+    { number: 10, pages: [17, 18], marks: 12, objectives: ['24.3', '25.1'], markSchemePages: [21, 22] }
+  ],
+  '9702_w22_qp_42': [
+    { number: 1, pages: [2, 3], marks: 15, objectives: ['13.1'], markSchemePages: [6, 7] },
+    { number: 2, pages: [4, 5], marks: 9, objectives: ['13.3'], markSchemePages: [8, 9] },
+    { number: 3, pages: [6, 7], marks: 11, objectives: ['14.3'], markSchemePages: [10, 11] },
+    { number: 4, pages: [8, 8], marks: 6, objectives: ['16.2'], markSchemePages: [12, 12] },
+    { number: 5, pages: [9, 10], marks: 9, objectives: ['18.3'], markSchemePages: [13, 14] },
+    { number: 6, pages: [11, 12], marks: 9, objectives: ['19.1'], markSchemePages: [15, 16] },
+    { number: 7, pages: [13, 14], marks: 13, objectives: ['20.3'], markSchemePages: [17, 18] },
+    { number: 8, pages: [15, 16], marks: 11, objectives: ['22.1'], markSchemePages: [19, 20] },
+    { number: 9, pages: [17, 18], marks: 11, objectives: ['23.1'], markSchemePages: [21, 22] },
+    { number: 10, pages: [19, 19], marks: 6, objectives: ['25.2'], markSchemePages: [23, 23] }
+  ],
+  '9702_s22_qp_42': [
+    { number: 1, pages: [2, 3], marks: 8, objectives: ['13.1', '13.2'], markSchemePages: [6, 7] },
+    { number: 2, pages: [4, 4], marks: 7, objectives: ['13.4'], markSchemePages: [8, 8] },
+    { number: 3, pages: [5, 6], marks: 14, objectives: ['15.2'], markSchemePages: [9, 10] },
+    { number: 4, pages: [7, 8], marks: 12, objectives: ['17.1'], markSchemePages: [11, 12] },
+    { number: 5, pages: [9, 10], marks: 8, objectives: ['18.2', '18.3'], markSchemePages: [13, 14] },
+    { number: 6, pages: [11, 12], marks: 12, objectives: ['19.2'], markSchemePages: [15, 16] },
+    { number: 7, pages: [13, 14], marks: 10, objectives: ['20.4'], markSchemePages: [17, 18] },
+    { number: 8, pages: [15, 16], marks: 8, objectives: ['22.2', '22.3'], markSchemePages: [19, 20] },
+    { number: 9, pages: [17, 18], marks: 8, objectives: ['23.2', '24.1'], markSchemePages: [21, 22] },
+    { number: 10, pages: [19, 20], marks: 13, objectives: ['24.3', '25.1'], markSchemePages: [23, 24] }
+  ],
+  '0625_s23_qp_42': [
+    { number: 1, pages: [2, 3], marks: 11, objectives: ['1.2'], markSchemePages: [6, 7] },
+    { number: 2, pages: [4, 5], marks: 9, objectives: ['1.4'], markSchemePages: [8, 9] },
+    { number: 3, pages: [6, 6], marks: 7, objectives: ['1.5'], markSchemePages: [10, 10] },
+    { number: 4, pages: [7, 8], marks: 9, objectives: ['2.1'], markSchemePages: [11, 12] },
+    { number: 5, pages: [9, 10], marks: 11, objectives: ['2.2'], markSchemePages: [13, 14] },
+    { number: 6, pages: [11, 11], marks: 6, objectives: ['3.3', '3.4'], markSchemePages: [15, 15] },
+    { number: 7, pages: [12, 13], marks: 9, objectives: ['4.1'], markSchemePages: [16, 17] },
+    { number: 8, pages: [14, 14], marks: 7, objectives: ['4.3'], markSchemePages: [18, 18] },
+    { number: 9, pages: [15, 15], marks: 6, objectives: ['4.5'], markSchemePages: [19, 19] },
+    { number: 10, pages: [16, 16], marks: 5, objectives: ['6.1'], markSchemePages: [20, 20] }
+  ],
+  '0625_w22_qp_42': [
+    { number: 1, pages: [2, 2], marks: 4, objectives: ['1.1'], markSchemePages: [6, 6] },
+    { number: 2, pages: [3, 4], marks: 10, objectives: ['1.4'], markSchemePages: [7, 8] },
+    { number: 3, pages: [5, 6], marks: 10, objectives: ['1.6'], markSchemePages: [9, 10] },
+    { number: 4, pages: [7, 7], marks: 4, objectives: ['1.8'], markSchemePages: [11, 11] },
+    { number: 5, pages: [8, 8], marks: 6, objectives: ['2.3'], markSchemePages: [12, 12] },
+    { number: 6, pages: [9, 10], marks: 9, objectives: ['3.2'], markSchemePages: [13, 14] },
+    { number: 7, pages: [11, 12], marks: 12, objectives: ['3.4'], markSchemePages: [15, 16] },
+    { number: 8, pages: [13, 13], marks: 7, objectives: ['4.2'], markSchemePages: [17, 17] },
+    { number: 9, pages: [14, 15], marks: 12, objectives: ['5.1', '5.2'], markSchemePages: [18, 19] },
+    { number: 10, pages: [16, 16], marks: 6, objectives: ['6.1', '6.2'], markSchemePages: [20, 20] }
+  ],
+  '9709_s23_qp_12': [
+    { number: 1, pages: [2, 3], marks: 9, objectives: ['1.1'], markSchemePages: [6, 7] },
+    { number: 2, pages: [4, 4], marks: 7, objectives: ['1.1'], markSchemePages: [8, 8] },
+    { number: 3, pages: [5, 5], marks: 7, objectives: ['1.2'], markSchemePages: [9, 9] },
+    { number: 4, pages: [6, 6], marks: 4, objectives: ['1.3', '1.4'], markSchemePages: [10, 10] },
+    { number: 5, pages: [7, 7], marks: 7, objectives: ['1.4'], markSchemePages: [11, 11] },
+    { number: 6, pages: [8, 8], marks: 4, objectives: ['1.5'], markSchemePages: [12, 12] },
+    { number: 7, pages: [9, 10], marks: 10, objectives: ['1.5'], markSchemePages: [13, 14] },
+    { number: 8, pages: [11, 12], marks: 9, objectives: ['1.6', '1.7'], markSchemePages: [15, 16] },
+    { number: 9, pages: [13, 14], marks: 10, objectives: ['1.7'], markSchemePages: [17, 18] },
+    { number: 10, pages: [15, 16], marks: 8, objectives: ['1.8'], markSchemePages: [19, 20] }
+  ],
+  '9709_w22_qp_12': [
+    { number: 1, pages: [2, 2], marks: 5, objectives: ['1.1'], markSchemePages: [6, 6] },
+    { number: 2, pages: [3, 3], marks: 5, objectives: ['1.1'], markSchemePages: [7, 7] },
+    { number: 3, pages: [4, 5], marks: 9, objectives: ['1.2'], markSchemePages: [8, 9] },
+    { number: 4, pages: [6, 6], marks: 5, objectives: ['1.3'], markSchemePages: [10, 10] },
+    { number: 5, pages: [7, 8], marks: 11, objectives: ['1.4'], markSchemePages: [11, 12] },
+    { number: 6, pages: [9, 9], marks: 7, objectives: ['1.5'], markSchemePages: [13, 13] },
+    { number: 7, pages: [10, 10], marks: 4, objectives: ['1.5'], markSchemePages: [14, 14] },
+    { number: 8, pages: [11, 12], marks: 8, objectives: ['1.6'], markSchemePages: [15, 16] },
+    { number: 9, pages: [13, 14], marks: 9, objectives: ['1.7'], markSchemePages: [17, 18] },
+    { number: 10, pages: [15, 16], marks: 12, objectives: ['1.8'], markSchemePages: [19, 20] }
+  ],
+  '9709_s23_qp_32': [
+    { number: 1, pages: [2, 2], marks: 7, objectives: ['3.1'], markSchemePages: [6, 6] },
+    { number: 2, pages: [3, 3], marks: 6, objectives: ['3.1', '3.2'], markSchemePages: [7, 7] },
+    { number: 3, pages: [4, 5], marks: 10, objectives: ['3.2'], markSchemePages: [8, 9] },
+    { number: 4, pages: [6, 7], marks: 12, objectives: ['3.3'], markSchemePages: [10, 11] },
+    { number: 5, pages: [8, 8], marks: 7, objectives: ['3.4', '3.5'], markSchemePages: [12, 12] },
+    { number: 6, pages: [9, 9], marks: 4, objectives: ['3.5'], markSchemePages: [13, 13] },
+    { number: 7, pages: [10, 11], marks: 10, objectives: ['3.6', '3.7'], markSchemePages: [14, 15] },
+    { number: 8, pages: [12, 12], marks: 4, objectives: ['3.7'], markSchemePages: [16, 16] },
+    { number: 9, pages: [13, 14], marks: 9, objectives: ['3.8', '3.9'], markSchemePages: [17, 18] },
+    { number: 10, pages: [15, 15], marks: 6, objectives: ['3.9'], markSchemePages: [19, 19] }
+  ]
+};
+
+/**
+ * 选择题答案数据结构（来自评分标准）
+ * 后端数据库表结构参考：
+ * mcq_answer_keys表：id, paper_id, question_number, answer
+ * 按试卷ID组织，字符串中第 n 个字母为第 n 题的答案
+ * 这里只收录部分已录入的试卷，没有答案的选择题试卷不能自动批改
+ */
+export const mcqAnswerKeyData = {
+  '9702_s23_qp_12': 'BCADBDACCBADBCDABCADDBACBDCABADCBDACBACD',
+  '9702_w22_qp_12': 'CABDDACBBCADACBDDCABBADCCABDADBCCDABABDC',
+  '0625_s23_qp_22': 'ADBCCBDAABCDDACBBCADCDABADCBBDACACBDDABC'
+};
+
+/**
+ * 数据手册和公式表数据结构
+ * 后端数据库表结构参考：
+ * reference_booklets表：id, topic_id, syllabus_years, title, has_periodic_table
+ * reference_entries表：id, booklet_id, section, sort_order, name, symbol, formula, value, unit, keywords
+ * 按课程组织，每门课程按大纲年份分为多个版本，syllabusYears 为适用的大纲年份（例如 '2022-2027'）
+ * - sections[].entries: 条目 { name, symbol?, formula?, value?, unit?, keywords? }，keywords 为额外的搜索词
+ * - periodicTable: 是否附带元素周期表（见 periodicTableData）
+ */
+export const referenceBookletData = {
+  '9702': [
+    {
+      syllabusYears: '2019-2021',
+      title: 'Data and formulae',
+      sections: [
+        { title: 'Data', entries: [
+          { name: 'Speed of light in free space', symbol: 'c', value: '3.00 × 10⁸', unit: 'm s⁻¹' },
+          { name: 'Permeability of free space', symbol: 'μ₀', value: '4π × 10⁻⁷', unit: 'H m⁻¹', keywords: ['magnetic constant'] },
+          { name: 'Permittivity of free space', symbol: 'ε₀', value: '8.85 × 10⁻¹²', unit: 'F m⁻¹', keywords: ['electric constant'] },
+          { name: 'Coulomb constant', symbol: '1/(4πε₀)', value: '8.99 × 10⁹', unit: 'm F⁻¹' },
+          { name: 'Elementary charge', symbol: 'e', value: '1.60 × 10⁻¹⁹', unit: 'C', keywords: ['electron charge'] },
+          { name: 'Planck constant', symbol: 'h', value: '6.63 × 10⁻³⁴', unit: 'J s' },
+          { name: 'Unified atomic mass unit', symbol: 'u', value: '1.66 × 10⁻²⁷', unit: 'kg' },
+          { name: 'Rest mass of electron', symbol: 'mₑ', value: '9.11 × 10⁻³¹', unit: 'kg' },
+          { name: 'Rest mass of proton', symbol: 'mₚ', value: '1.67 × 10⁻²⁷', unit: 'kg' },
+          { name: 'Molar gas constant', symbol: 'R', value: '8.31', unit: 'J K⁻¹ mol⁻¹' },
+          { name: 'Avogadro constant', symbol: 'N_A', value: '6.02 × 10²³', unit: 'mol⁻¹' },
+          { name: 'Boltzmann constant', symbol: 'k', value: '1.38 × 10⁻²³', unit: 'J K⁻¹' },
+          { name: 'Gravitational constant', symbol: 'G', value: '6.67 × 10⁻¹¹', unit: 'N m² kg⁻²' },
+          { name: 'Acceleration of free fall', symbol: 'g', value: '9.81', unit: 'm s⁻²', keywords: ['gravity'] }
+        ] },
+        { title: 'Formulae', entries: [
+          { name: 'Uniformly accelerated motion', formula: 's = ut + ½at²,  v² = u² + 2as', keywords: ['suvat', 'kinematics'] },
+          { name: 'Work done on/by a gas', formula: 'W = pΔV' },
+          { name: 'Gravitational potential', formula: 'φ = −GM/r' },
+          { name: 'Hydrostatic pressure', formula: 'p = ρgh', keywords: ['fluid'] },
+          { name: 'Pressure of an ideal gas', formula: 'p = ⅓ (Nm/V) ⟨c²⟩', keywords: ['kinetic theory'] },
+          { name: 'Simple harmonic motion', formula: 'a = −ω²x', keywords: ['shm', 'oscillations'] },
+          { name: 'Velocity of particle in s.h.m.', formula: 'v = v₀ cos ωt,  v = ±ω√(x₀² − x²)', keywords: ['shm', 'oscillations'] },
+          { name: 'Doppler effect', formula: 'fₒ = fₛv / (v ± vₛ)' },
+          { name: 'Electric potential', formula: 'V = Q / (4πε₀r)' },
+          { name: 'Capacitors in series', formula: '1/C = 1/C₁ + 1/C₂ + …' },
+          { name: 'Capacitors in parallel', formula: 'C = C₁ + C₂ + …' },
+          { name: 'Energy of charged capacitor', formula: 'W = ½QV' },
+          { name: 'Electric current', formula: 'I = Anvq', keywords: ['drift velocity'] },
+          { name: 'Resistors in series', formula: 'R = R₁ + R₂ + …' },
+          { name: 'Resistors in parallel', formula: '1/R = 1/R₁ + 1/R₂ + …' },
+          { name: 'Hall voltage', formula: 'V_H = BI / (ntq)' },
+          { name: 'Alternating current/voltage', formula: 'x = x₀ sin ωt', keywords: ['ac'] },
+          { name: 'Radioactive decay', formula: 'x = x₀ exp(−λt)', keywords: ['half-life'] },
+          { name: 'Decay constant', formula: 'λ = 0.693 / t½', keywords: ['half-life'] }
+        ] }
+      ]
+    },
+    {
+      syllabusYears: '2022-2027',
+      title: 'Data and formulae',
+      sections: [
+        { title: 'Data', entries: [
+          { name: 'Acceleration of free fall', symbol: 'g', value: '9.81', unit: 'm s⁻²', keywords: ['gravity'] },
+          { name: 'Speed of light in free space', symbol: 'c', value: '3.00 × 10⁸', unit: 'm s⁻¹' },
+          { name: 'Elementary charge', symbol: 'e', value: '1.60 × 10⁻¹⁹', unit: 'C', keywords: ['electron charge'] },
+          { name: 'Unified atomic mass unit', symbol: '1 u', value: '1.66 × 10⁻²⁷', unit: 'kg' },
+          { name: 'Rest mass of proton', symbol: 'mₚ', value: '1.67 × 10⁻²⁷', unit: 'kg' },
+          { name: 'Rest mass of electron', symbol: 'mₑ', value: '9.11 × 10⁻³¹', unit: 'kg' },
+          { name: 'Avogadro constant', symbol: 'N_A', value: '6.02 × 10²³', unit: 'mol⁻¹' },
+          { name: 'Molar gas constant', symbol: 'R', value: '8.31', unit: 'J K⁻¹ mol⁻¹' },
+          { name: 'Boltzmann constant', symbol: 'k', value: '1.38 × 10⁻²³', unit: 'J K⁻¹' },
+          { name: 'Gravitational constant', symbol: 'G', value: '6.67 × 10⁻¹¹', unit: 'N m² kg⁻²' },
+          { name: 'Permittivity of free space', symbol: 'ε₀', value: '8.85 × 10⁻¹²', unit: 'F m⁻¹', keywords: ['electric constant'] },
+          { name: 'Coulomb constant', symbol: '1/(4πε₀)', value: '8.99 × 10⁹', unit: 'm F⁻¹' },
+          { name: 'Planck constant', symbol: 'h', value: '6.63 × 10⁻³⁴', unit: 'J s' },
+          { name: 'Stefan–Boltzmann constant', symbol: 'σ', value: '5.67 × 10⁻⁸', unit: 'W m⁻² K⁻⁴', keywords: ['stefan boltzmann', 'luminosity'] }
+        ] },
+        { title: 'Formulae', entries: [
+          { name: 'Uniformly accelerated motion', formula: 's = ut + ½at²,  v² = u² + 2as', keywords: ['suvat', 'kinematics'] },
+          { name: 'Hydrostatic pressure', formula: 'Δp = ρgΔh', keywords: ['fluid'] },
+          { name: 'Upthrust', formula: 'F = ρgV', keywords: ['archimedes', 'buoyancy'] },
+          { name: 'Doppler effect for sound waves', formula: 'fₒ = fₛv / (v ± vₛ)' },
+          { name: 'Electric current', formula: 'I = Anvq', keywords: ['drift velocity'] },
+          { name: 'Combined resistance in series', formula: 'R = R₁ + R₂ + …' },
+          { name: 'Combined resistance in parallel', formula: '1/R = 1/R₁ + 1/R₂ + …' },
+          { name: 'Gravitational potential', formula: 'φ = −GM/r' },
+          { name: 'Gravitational potential energy', formula: 'E_P = −GMm/r' },
+          { name: 'Pressure of an ideal gas', formula: 'p = ⅓ (Nm/V) ⟨c²⟩', keywords: ['kinetic theory'] },
+          { name: 'Simple harmonic motion', formula: 'a = −ω²x', keywords: ['shm', 'oscillations'] },
+          { name: 'Velocity of particle in s.h.m.', formula: 'v = v₀ cos ωt,  v = ±ω√(x₀² − x²)', keywords: ['shm', 'oscillations'] },
+          { name: 'Electric potential', formula: 'V = Q / (4πε₀r)' },
+          { name: 'Electrical potential energy', formula: 'E_P = Qq / (4πε₀r)' },
+          { name: 'Capacitors in series', formula: '1/C = 1/C₁ + 1/C₂ + …' },
+          { name: 'Capacitors in parallel', formula: 'C = C₁ + C₂ + …' },
+          { name: 'Discharge of a capacitor', formula: 'x = x₀ e^(−t/RC)', keywords: ['time constant'] },
+          { name: 'Hall voltage', formula: 'V_H = BI / (ntq)' },
+          { name: 'Alternating current', formula: 'I = I₀ sin ωt', keywords: ['ac'] },
+          { name: 'Radioactive decay', formula: 'x = x₀ e^(−λt)', keywords: ['half-life'] },
+          { name: 'Decay constant', formula: 'λ = 0.693 / t½', keywords: ['half-life'] },
+          { name: 'Intensity reflection coefficient', formula: 'I_R / I₀ = (Z₁ − Z₂)² / (Z₁ + Z₂)²', keywords: ['ultrasound', 'acoustic impedance'] },
+          { name: 'Stefan–Boltzmann law', formula: 'L = 4πσr²T⁴', keywords: ['luminosity', 'stars'] },
+          { name: 'Doppler redshift', formula: 'Δλ/λ ≈ Δf/f ≈ v/c', keywords: ['hubble', 'galaxies'] }
+        ] }
+      ]
+    }
+  ],
+  '9701': [
+    {
+      syllabusYears: '2022-2027',
+      title: 'Data booklet',
+      periodicTable: true,
+      sections: [
+        { title: 'Important values, constants and standards', entries: [
+          { name: 'Molar gas constant', symbol: 'R', value: '8.31', unit: 'J K⁻¹ mol⁻¹' },
+          { name: 'Faraday constant', symbol: 'F', value: '9.65 × 10⁴', unit: 'C mol⁻¹', keywords: ['electrolysis'] },
+          { name: 'Avogadro constant', symbol: 'L', value: '6.022 × 10²³', unit: 'mol⁻¹' },
+          { name: 'Electronic charge', symbol: 'e', value: '−1.60 × 10⁻¹⁹', unit: 'C' },
+          { name: 'Molar volume of gas', symbol: 'V_m', value: '22.4 (s.t.p.), 24.0 (room conditions)', unit: 'dm³ mol⁻¹' },
+          { name: 'Ionic product of water', symbol: 'K_w', value: '1.00 × 10⁻¹⁴ (at 298 K)', unit: 'mol² dm⁻⁶' },
+          { name: 'Specific heat capacity of water', symbol: 'c', value: '4.18', unit: 'kJ kg⁻¹ K⁻¹', keywords: ['calorimetry', 'enthalpy'] },
+          { name: 'Planck constant', symbol: 'h', value: '6.63 × 10⁻³⁴', unit: 'J s' }
+        ] },
+        { title: 'Bond energies', entries: [
+          { name: 'H–H', value: '436', unit: 'kJ mol⁻¹' },
+          { name: 'C–C', value: '350', unit: 'kJ mol⁻¹' },
+          { name: 'C=C', value: '610', unit: 'kJ mol⁻¹' },
+          { name: 'C≡C', value: '840', unit: 'kJ mol⁻¹' },
+          { name: 'C–H', value: '410', unit: 'kJ mol⁻¹' },
+          { name: 'C–O', value: '360', unit: 'kJ mol⁻¹' },
+          { name: 'C=O', value: '740 (805 in CO₂)', unit: 'kJ mol⁻¹' },
+          { name: 'O–H', value: '460', unit: 'kJ mol⁻¹' },
+          { name: 'O=O', value: '496', unit: 'kJ mol⁻¹' },
+          { name: 'N≡N', value: '944', unit: 'kJ mol⁻¹' },
+          { name: 'N–H', value: '390', unit: 'kJ mol⁻¹' },
+          { name: 'C–Cl', value: '340', unit: 'kJ mol⁻¹' },
+          { name: 'C–Br', value: '280', unit: 'kJ mol⁻¹' },
+          { name: 'C–I', value: '240', unit: 'kJ mol⁻¹' },
+          { name: 'H–Cl', value: '431', unit: 'kJ mol⁻¹' },
+          { name: 'H–Br', value: '366', unit: 'kJ mol⁻¹' },
+          { name: 'H–I', value: '299', unit: 'kJ mol⁻¹' }
+        ] },
+        { title: 'Standard electrode potentials at 298 K', entries: [
+          { name: 'Li⁺ + e⁻ ⇌ Li', value: '−3.04', unit: 'V', keywords: ['lithium', 'redox'] },
+          { name: 'K⁺ + e⁻ ⇌ K', value: '−2.92', unit: 'V', keywords: ['potassium', 'redox'] },
+          { name: 'Ca²⁺ + 2e⁻ ⇌ Ca', value: '−2.87', unit: 'V', keywords: ['calcium', 'redox'] },
+          { name: 'Na⁺ + e⁻ ⇌ Na', value: '−2.71', unit: 'V', keywords: ['sodium', 'redox'] },
+          { name: 'Mg²⁺ + 2e⁻ ⇌ Mg', value: '−2.38', unit: 'V', keywords: ['magnesium', 'redox'] },
+          { name: 'Al³⁺ + 3e⁻ ⇌ Al', value: '−1.66', unit: 'V', keywords: ['aluminium', 'redox'] },
+          { name: 'Zn²⁺ + 2e⁻ ⇌ Zn', value: '−0.76', unit: 'V', keywords: ['zinc', 'redox'] },
+          { name: 'Fe²⁺ + 2e⁻ ⇌ Fe', value: '−0.44', unit: 'V', keywords: ['iron', 'redox'] },
+          { name: '2H⁺ + 2e⁻ ⇌ H₂', value: '0.00', unit: 'V', keywords: ['hydrogen', 'standard hydrogen electrode', 'redox'] },
+          { name: 'Cu²⁺ + 2e⁻ ⇌ Cu', value: '+0.34', unit: 'V', keywords: ['copper', 'redox'] },
+          { name: 'I₂ + 2e⁻ ⇌ 2I⁻', value: '+0.54', unit: 'V', keywords: ['iodine', 'redox'] },
+          { name: 'Fe³⁺ + e⁻ ⇌ Fe²⁺', value: '+0.77', unit: 'V', keywords: ['iron', 'redox'] },
+          { name: 'Ag⁺ + e⁻ ⇌ Ag', value: '+0.80', unit: 'V', keywords: ['silver', 'redox'] },
+          { name: 'Br₂ + 2e⁻ ⇌ 2Br⁻', value: '+1.07', unit: 'V', keywords: ['bromine', 'redox'] },
+          { name: 'Cr₂O₇²⁻ + 14H⁺ + 6e⁻ ⇌ 2Cr³⁺ + 7H₂O', value: '+1.33', unit: 'V', keywords: ['dichromate', 'redox'] },
+          { name: 'Cl₂ + 2e⁻ ⇌ 2Cl⁻', value: '+1.36', unit: 'V', keywords: ['chlorine', 'redox'] },
+          { name: 'MnO₄⁻ + 8H⁺ + 5e⁻ ⇌ Mn²⁺ + 4H₂O', value: '+1.52', unit: 'V', keywords: ['manganate', 'permanganate', 'redox'] },
+          { name: 'F₂ + 2e⁻ ⇌ 2F⁻', value: '+2.87', unit: 'V', keywords: ['fluorine', 'redox'] }
+        ] },
+        { title: 'Characteristic infrared absorption frequencies', entries: [
+          { name: 'O–H (alcohols)', value: '3200–3650', unit: 'cm⁻¹', keywords: ['ir', 'spectroscopy'] },
+          { name: 'O–H (carboxylic acids)', value: '2500–3000', unit: 'cm⁻¹', keywords: ['ir', 'spectroscopy'] },
+          { name: 'N–H (amines, amides)', value: '3300–3500', unit: 'cm⁻¹', keywords: ['ir', 'spectroscopy'] },
+          { name: 'C–H (alkanes, alkenes, arenes)', value: '2850–3100', unit: 'cm⁻¹', keywords: ['ir', 'spectroscopy'] },
+          { name: 'C≡N (nitriles)', value: '2200–2250', unit: 'cm⁻¹', keywords: ['ir', 'spectroscopy'] },
+          { name: 'C=O (aldehydes, ketones, acids, esters)', value: '1670–1740', unit: 'cm⁻¹', keywords: ['ir', 'spectroscopy', 'carbonyl'] },
+          { name: 'C=C (alkenes)', value: '1620–1680', unit: 'cm⁻¹', keywords: ['ir', 'spectroscopy'] },
+          { name: 'C–O (alcohols, ethers, esters)', value: '1040–1300', unit: 'cm⁻¹', keywords: ['ir', 'spectroscopy'] }
+        ] }
+      ]
+    }
+  ],
+  '9709': [
+    {
+      syllabusYears: '2017-2019',
+      title: 'List of formulae and statistical tables (MF9)',
+      sections: [
+        { title: 'Pure Mathematics', entries: [
+          { name: 'Quadratic formula', formula: 'x = (−b ± √(b² − 4ac)) / 2a', keywords: ['quadratic equation', 'roots'] },
+          { name: 'Binomial series', formula: '(a + b)ⁿ = aⁿ + ⁿC₁aⁿ⁻¹b + ⁿC₂aⁿ⁻²b² + … + bⁿ', keywords: ['binomial expansion'] },
+          { name: 'Arithmetic series', formula: 'uₙ = a + (n − 1)d,  Sₙ = ½n(a + l) = ½n{2a + (n − 1)d}', keywords: ['ap', 'progression'] },
+          { name: 'Geometric series', formula: 'uₙ = arⁿ⁻¹,  Sₙ = a(1 − rⁿ)/(1 − r),  S∞ = a/(1 − r) for |r| < 1', keywords: ['gp', 'progression'] },
+          { name: 'Trigonometry identities', formula: 'sec²θ ≡ 1 + tan²θ,  cosec²θ ≡ 1 + cot²θ', keywords: ['trig'] },
+          { name: 'Compound angle formulae', formula: 'sin(A ± B) ≡ sin A cos B ± cos A sin B,  cos(A ± B) ≡ cos A cos B ∓ sin A sin B', keywords: ['trig', 'addition formulae'] },
+          { name: 'Double angle formulae', formula: 'sin 2A ≡ 2 sin A cos A,  cos 2A ≡ cos²A − sin²A,  tan 2A ≡ 2 tan A / (1 − tan²A)', keywords: ['trig'] },
+          { name: 'Integration by parts', formula: '∫ u (dv/dx) dx = uv − ∫ v (du/dx) dx', keywords: ['calculus'] },
+          { name: 'Numerical integration (trapezium rule)', formula: '∫ y dx ≈ ½h{y₀ + 2(y₁ + y₂ + … + yₙ₋₁) + yₙ}', keywords: ['trapezium rule', 'calculus'] }
+        ] },
+        { title: 'Mechanics', entries: [
+          { name: 'Uniformly accelerated motion', formula: 'v = u + at,  s = ut + ½at²,  s = ½(u + v)t,  v² = u² + 2as', keywords: ['suvat', 'kinematics'] }
+        ] },
+        { title: 'Probability & Statistics', entries: [
+          { name: 'Summary statistics', formula: 'x̄ = Σx/n,  standard deviation = √(Σ(x − x̄)²/n) = √(Σx²/n − x̄²)', keywords: ['mean', 'variance'] },
+          { name: 'Discrete random variables', formula: 'E(X) = Σxp,  Var(X) = Σx²p − {E(X)}²', keywords: ['expectation', 'variance'] },
+          { name: 'Binomial distribution', formula: 'P(X = r) = ⁿCᵣ pʳ(1 − p)ⁿ⁻ʳ,  mean = np,  variance = np(1 − p)' },
+          { name: 'Poisson distribution', formula: 'P(X = r) = e^(−λ) λʳ / r!,  mean = λ,  variance = λ' }
+        ] }
+      ]
+    },
+    {
+      syllabusYears: '2020-2027',
+      title: 'List of formulae and statistical tables (MF19)',
+      sections: [
+        { title: 'Pure Mathematics', entries: [
+          { name: 'Quadratic formula', formula: 'x = (−b ± √(b² − 4ac)) / 2a', keywords: ['quadratic equation', 'roots'] },
+          { name: 'Binomial series', formula: '(a + b)ⁿ = aⁿ + ⁿC₁aⁿ⁻¹b + ⁿC₂aⁿ⁻²b² + … + bⁿ', keywords: ['binomial expansion'] },
+          { name: 'Binomial series (any n)', formula: '(1 + x)ⁿ = 1 + nx + n(n − 1)x²/2! + …  for |x| < 1', keywords: ['binomial expansion'] },
+          { name: 'Arithmetic series', formula: 'uₙ = a + (n − 1)d,  Sₙ = ½n(a + l) = ½n{2a + (n − 1)d}', keywords: ['ap', 'progression'] },
+          { name: 'Geometric series', formula: 'uₙ = arⁿ⁻¹,  Sₙ = a(1 − rⁿ)/(1 − r),  S∞ = a/(1 − r) for |r| < 1', keywords: ['gp', 'progression'] },
+          { name: 'Trigonometry identities', formula: 'sec²θ ≡ 1 + tan²θ,  cosec²θ ≡ 1 + cot²θ', keywords: ['trig'] },
+          { name: 'Compound angle formulae', formula: 'sin(A ± B) ≡ sin A cos B ± cos A sin B,  cos(A ± B) ≡ cos A cos B ∓ sin A sin B', keywords: ['trig', 'addition formulae'] },
+          { name: 'Double angle formulae', formula: 'sin 2A ≡ 2 sin A cos A,  cos 2A ≡ cos²A − sin²A,  tan 2A ≡ 2 tan A / (1 − tan²A)', keywords: ['trig'] },
+          { name: 'Principal values', formula: '−½π ≤ sin⁻¹x ≤ ½π,  0 ≤ cos⁻¹x ≤ π,  −½π < tan⁻¹x < ½π', keywords: ['trig', 'inverse'] },
+          { name: 'Differentiation', formula: 'd/dx (tan kx) = k sec² kx,  d/dx (ln x) = 1/x,  d/dx (eᵏˣ) = k eᵏˣ', keywords: ['calculus', 'derivative'] },
+          { name: 'Integration', formula: '∫ sec² kx dx = (1/k) tan kx,  ∫ (1/x) dx = ln|x|,  ∫ f′(x)/f(x) dx = ln|f(x)|', keywords: ['calculus'] },
+          { name: 'Integration by parts', formula: '∫ u (dv/dx) dx = uv − ∫ v (du/dx) dx', keywords: ['calculus'] },
+          { name: 'Vectors', formula: 'a·b = a₁b₁ + a₂b₂ + a₃b₃ = |a||b| cos θ', keywords: ['scalar product', 'dot product'] }
+        ] },
+        { title: 'Mechanics', entries: [
+          { name: 'Uniformly accelerated motion', formula: 'v = u + at,  s = ut + ½at²,  s = ½(u + v)t,  v² = u² + 2as', keywords: ['suvat', 'kinematics'] },
+          { name: 'Motion of a projectile', formula: 'y = x tan θ − gx² / (2V² cos²θ)', keywords: ['trajectory'] }
+        ] },
+        { title: 'Probability & Statistics', entries: [
+          { name: 'Summary statistics', formula: 'x̄ = Σx/n,  standard deviation = √(Σ(x − x̄)²/n) = √(Σx²/n − x̄²)', keywords: ['mean', 'variance'] },
+          { name: 'Discrete random variables', formula: 'E(X) = Σxp,  Var(X) = Σx²p − {E(X)}²', keywords: ['expectation', 'variance'] },
+          { name: 'Binomial distribution', formula: 'P(X = r) = ⁿCᵣ pʳ(1 − p)ⁿ⁻ʳ,  mean = np,  variance = np(1 − p)' },
+          { name: 'Geometric distribution', formula: 'P(X = r) = p(1 − p)ʳ⁻¹,  mean = 1/p' },
+          { name: 'Poisson distribution', formula: 'P(X = r) = e^(−λ) λʳ / r!,  mean = λ,  variance = λ' },
+          { name: 'Continuous random variables', formula: 'E(X) = ∫ x f(x) dx,  Var(X) = ∫ x² f(x) dx − {E(X)}²', keywords: ['pdf'] },
+          { name: 'Sampling and testing', formula: 'unbiased estimate of variance s² = (Σx² − (Σx)²/n) / (n − 1)', keywords: ['estimator', 'hypothesis test'] }
+        ] }
+      ]
+    }
+  ]
+};
+
+/**
+ * 元素周期表数据（数据手册附带），按原子序数排列 [元素符号, 名称, 相对原子质量]
+ * 相对原子质量为 null 表示没有稳定同位素，周期表中不给出
+ */
+export const periodicTableData = [
+  ['H', 'Hydrogen', 1.0], ['He', 'Helium', 4.0], ['Li', 'Lithium', 6.9], ['Be', 'Beryllium', 9.0],
+  ['B', 'Boron', 10.8], ['C', 'Carbon', 12.0], ['N', 'Nitrogen', 14.0], ['O', 'Oxygen', 16.0],
+  ['F', 'Fluorine', 19.0], ['Ne', 'Neon', 20.2], ['Na', 'Sodium', 23.0], ['Mg', 'Magnesium', 24.3],
+  ['Al', 'Aluminium', 27.0], ['Si', 'Silicon', 28.1], ['P', 'Phosphorus', 31.0], ['S', 'Sulfur', 32.1],
+  ['Cl', 'Chlorine', 35.5], ['Ar', 'Argon', 39.9], ['K', 'Potassium', 39.1], ['Ca', 'Calcium', 40.1],
+  ['Sc', 'Scandium', 45.0], ['Ti', 'Titanium', 47.9], ['V', 'Vanadium', 50.9], ['Cr', 'Chromium', 52.0],
+  ['Mn', 'Manganese', 54.9], ['Fe', 'Iron', 55.8], ['Co', 'Cobalt', 58.9], ['Ni', 'Nickel', 58.7],
+  ['Cu', 'Copper', 63.5], ['Zn', 'Zinc', 65.4], ['Ga', 'Gallium', 69.7], ['Ge', 'Germanium', 72.6],
+  ['As', 'Arsenic', 74.9], ['Se', 'Selenium', 79.0], ['Br', 'Bromine', 79.9], ['Kr', 'Krypton', 83.8],
+  ['Rb', 'Rubidium', 85.5], ['Sr', 'Strontium', 87.6], ['Y', 'Yttrium', 88.9], ['Zr', 'Zirconium', 91.2],
+  ['Nb', 'Niobium', 92.9], ['Mo', 'Molybdenum', 95.9], ['Tc', 'Technetium', null], ['Ru', 'Ruthenium', 101.1],
+  ['Rh', 'Rhodium', 102.9], ['Pd', 'Palladium', 106.4], ['Ag', 'Silver', 107.9], ['Cd', 'Cadmium', 112.4],
+  ['In', 'Indium', 114.8], ['Sn', 'Tin', 118.7], ['Sb', 'Antimony', 121.8], ['Te', 'Tellurium', 127.6],
+  ['I', 'Iodine', 126.9], ['Xe', 'Xenon', 131.3], ['Cs', 'Caesium', 132.9], ['Ba', 'Barium', 137.3],
+  ['La', 'Lanthanum', 138.9], ['Ce', 'Cerium', 140.1], ['Pr', 'Praseodymium', 140.9], ['Nd', 'Neodymium', 144.2],
+  ['Pm', 'Promethium', null], ['Sm', 'Samarium', 150.4], ['Eu', 'Europium', 152.0], ['Gd', 'Gadolinium', 157.3],
+  ['Tb', 'Terbium', 158.9], ['Dy', 'Dysprosium', 162.5], ['Ho', 'Holmium', 164.9], ['Er', 'Erbium', 167.3],
+  ['Tm', 'Thulium', 168.9], ['Yb', 'Ytterbium', 173.1], ['Lu', 'Lutetium', 175.0], ['Hf', 'Hafnium', 178.5],
+  ['Ta', 'Tantalum', 180.9], ['W', 'Tungsten', 183.8], ['Re', 'Rhenium', 186.2], ['Os', 'Osmium', 190.2],
+  ['Ir', 'Iridium', 192.2], ['Pt', 'Platinum', 195.1], ['Au', 'Gold', 197.0], ['Hg', 'Mercury', 200.6],
+  ['Tl', 'Thallium', 204.4], ['Pb', 'Lead', 207.2], ['Bi', 'Bismuth', 209.0], ['Po', 'Polonium', null],
+  ['At', 'Astatine', null], ['Rn', 'Radon', null], ['Fr', 'Francium', null], ['Ra', 'Radium', null],
+  ['Ac', 'Actinium', null], ['Th', 'Thorium', 232.0], ['Pa', 'Protactinium', 231.0], ['U', 'Uranium', 238.0],
+  ['Np', 'Neptunium', null], ['Pu', 'Plutonium', null], ['Am', 'Americium', null], ['Cm', 'Curium', null],
+  ['Bk', 'Berkelium', null], ['Cf', 'Californium', null], ['Es', 'Einsteinium', null], ['Fm', 'Fermium', null],
+  ['Md', 'Mendelevium', null], ['No', 'Nobelium', null], ['Lr', 'Lawrencium', null], ['Rf', 'Rutherfordium', null],
+  ['Db', 'Dubnium', null], ['Sg', 'Seaborgium', null], ['Bh', 'Bohrium', null], ['Hs', 'Hassium', null],
+  ['Mt', 'Meitnerium', null], ['Ds', 'Darmstadtium', null], ['Rg', 'Roentgenium', null], ['Cn', 'Copernicium', null],
+  ['Nh', 'Nihonium', null], ['Fl', 'Flerovium', null], ['Mc', 'Moscovium', null], ['Lv', 'Livermorium', null],
+  ['Ts', 'Tennessine', null], ['Og', 'Oganesson', null]
+];
+
+/**
+ * 教科书目录数据结构
+ * 后端数据库表结构参考：
+ * textbook_chapters表：id, textbook_id, number, title, start_page
+ * textbook_sections表：id, chapter_id, number, title, start_page
+ * chapter_objectives表：id, chapter_id, objective_code
+ * 按教科书ID组织，syllabusCode 为对应的大纲课程代码，page 为文件中的起始页码
+ * - chapters[].objectives: 章节覆盖的大纲知识点编号
+ * - chapters[].sections: 小节 { number, title, page }
+ */
+export const textbookContentsData = {
+  2: {
+    syllabusCode: '9702',
+    chapters: [
+      { number: 1, title: 'Kinematics', page: 5, objectives: ['1.4', '2.1'], sections: [
+        { number: '1.1', title: 'Speed', page: 6 },
+        { number: '1.2', title: 'Distance and displacement, scalar and vector', page: 9 },
+        { number: '1.3', title: 'Speed and velocity', page: 11 },
+        { number: '1.4', title: 'Displacement–time graphs', page: 13 },
+        { number: '1.5', title: 'Combining displacements and velocities', page: 15 }
+      ] },
+      { number: 2, title: 'Accelerated motion', page: 23, objectives: ['2.1'], sections: [
+        { number: '2.1', title: 'The meaning of acceleration', page: 24 },
+        { number: '2.2', title: 'Deducing acceleration', page: 27 },
+        { number: '2.3', title: 'Deriving the equations of motion', page: 30 },
+        { number: '2.4', title: 'Measuring the acceleration of free fall', page: 35 },
+        { number: '2.5', title: 'Motion in two dimensions: projectiles', page: 39 }
+      ] },
+      { number: 3, title: 'Dynamics', page: 49, objectives: ['3.1', '3.2', '3.3'], sections: [
+        { number: '3.1', title: 'Force, mass and acceleration', page: 50 },
+        { number: '3.2', title: 'Mass and inertia', page: 54 },
+        { number: '3.3', title: 'Moving through fluids', page: 57 },
+        { number: '3.4', title: 'Momentum and the conservation of momentum', page: 61 }
+      ] },
+      { number: 4, title: 'Forces', page: 73, objectives: ['4.1', '4.2'], sections: [
+        { number: '4.1', title: 'Combining forces', page: 74 },
+        { number: '4.2', title: 'Components of vectors', page: 78 },
+        { number: '4.3', title: 'Centre of gravity', page: 81 },
+        { number: '4.4', title: 'The turning effect of a force', page: 83 },
+        { number: '4.5', title: 'The torque of a couple', page: 87 }
+      ] },
+      { number: 5, title: 'Work, energy and power', page: 95, objectives: ['5.1', '5.2'], sections: [
+        { number: '5.1', title: 'Doing work, transferring energy', page: 96 },
+        { number: '5.2', title: 'Gravitational potential energy', page: 101 },
+        { number: '5.3', title: 'Kinetic energy', page: 103 },
+        { number: '5.4', title: 'Power', page: 107 }
+      ] },
+      { number: 6, title: 'Matter and materials', page: 117, objectives: ['4.3', '6.1', '6.2'], sections: [
+        { number: '6.1', title: 'Density', page: 118 },
+        { number: '6.2', title: 'Pressure', page: 119 },
+        { number: '6.3', title: 'Compressive and tensile forces', page: 121 },
+        { number: '6.4', title: 'Stretching materials', page: 123 },
+        { number: '6.5', title: 'Elastic potential energy', page: 128 }
+      ] },
+      { number: 7, title: 'Electric current', page: 137, objectives: ['9.1', '9.2'], sections: [
+        { number: '7.1', title: 'Circuit symbols and diagrams', page: 138 },
+        { number: '7.2', title: 'Electric current', page: 140 },
+        { number: '7.3', title: 'An equation for current', page: 143 },
+        { number: '7.4', title: 'The meaning of voltage', page: 146 },
+        { number: '7.5', title: 'Electrical resistance', page: 148 },
+        { number: '7.6', title: 'Electrical power', page: 150 }
+      ] },
+      { number: 8, title: 'Kirchhoff\'s laws', page: 159, objectives: ['10.2'], sections: [
+        { number: '8.1', title: 'Kirchhoff\'s first law', page: 160 },
+        { number: '8.2', title: 'Kirchhoff\'s second law', page: 162 },
+        { number: '8.3', title: 'Resistor combinations', page: 165 }
+      ] },
+      { number: 9, title: 'Resistance and resistivity', page: 175, objectives: ['9.3'], sections: [
+        { number: '9.1', title: 'The I–V characteristic for a metallic conductor', page: 176 },
+        { number: '9.2', title: 'Ohm\'s law', page: 177 },
+        { number: '9.3', title: 'Resistance and temperature', page: 179 },
+        { number: '9.4', title: 'Resistivity', page: 182 }
+      ] },
+      { number: 10, title: 'Practical circuits', page: 191, objectives: ['10.1', '10.3'], sections: [
+        { number: '10.1', title: 'Internal resistance', page: 192 },
+        { number: '10.2', title: 'Potential dividers', page: 196 },
+        { number: '10.3', title: 'Sensors', page: 198 },
+        { number: '10.4', title: 'Potentiometer circuits', page: 200 }
+      ] },
+      { number: 11, title: 'Waves', page: 209, objectives: ['7.1', '7.2', '7.3', '7.4', '7.5'], sections: [
+        { number: '11.1', title: 'Describing waves', page: 210 },
+        { number: '11.2', title: 'Longitudinal and transverse waves', page: 213 },
+        { number: '11.3', title: 'Wave energy and intensity', page: 215 },
+        { number: '11.4', title: 'The Doppler effect for sound waves', page: 218 },
+        { number: '11.5', title: 'Electromagnetic waves', page: 220 },
+        { number: '11.6', title: 'Polarisation', page: 222 }
+      ] },
+      { number: 12, title: 'Superposition of waves', page: 233, objectives: ['8.1', '8.2', '8.3', '8.4'], sections: [
+        { number: '12.1', title: 'The principle of superposition of waves', page: 234 },
+        { number: '12.2', title: 'Diffraction of waves', page: 236 },
+        { number: '12.3', title: 'Interference', page: 238 },
+        { number: '12.4', title: 'The Young double-slit experiment', page: 242 },
+        { number: '12.5', title: 'Diffraction gratings', page: 246 },
+        { number: '12.6', title: 'Stationary waves', page: 249 }
+      ] }
+    ]
+  },
+  4: {
+    syllabusCode: '9709',
+    chapters: [
+      { number: 1, title: 'Quadratics', page: 3, objectives: ['1.1'], sections: [
+        { number: '1.1', title: 'Solving quadratic equations by factorisation', page: 4 },
+        { number: '1.2', title: 'Completing the square', page: 7 },
+        { number: '1.3', title: 'The quadratic formula', page: 10 },
+        { number: '1.4', title: 'Solving simultaneous equations', page: 12 },
+        { number: '1.5', title: 'Solving more complex quadratic equations', page: 15 },
+        { number: '1.6', title: 'Maximum and minimum values of a quadratic function', page: 17 },
+        { number: '1.7', title: 'Solving quadratic inequalities', page: 20 },
+        { number: '1.8', title: 'The number of roots of a quadratic equation', page: 22 }
+      ] },
+      { number: 2, title: 'Functions', page: 31, objectives: ['1.2'], sections: [
+        { number: '2.1', title: 'Definition of a function', page: 32 },
+        { number: '2.2', title: 'Composite functions', page: 35 },
+        { number: '2.3', title: 'Inverse functions', page: 38 },
+        { number: '2.4', title: 'Transformations of functions', page: 42 }
+      ] },
+      { number: 3, title: 'Coordinate geometry', page: 53, objectives: ['1.3'], sections: [
+        { number: '3.1', title: 'Length of a line segment and midpoint', page: 54 },
+        { number: '3.2', title: 'Parallel and perpendicular lines', page: 57 },
+        { number: '3.3', title: 'Equations of straight lines', page: 59 },
+        { number: '3.4', title: 'The equation of a circle', page: 63 },
+        { number: '3.5', title: 'Problems involving intersections of lines and circles', page: 67 }
+      ] },
+      { number: 4, title: 'Circular measure', page: 75, objectives: ['1.4'], sections: [
+        { number: '4.1', title: 'Radians', page: 76 },
+        { number: '4.2', title: 'Length of an arc', page: 79 },
+        { number: '4.3', title: 'Area of a sector', page: 82 }
+      ] },
+      { number: 5, title: 'Trigonometry', page: 91, objectives: ['1.5'], sections: [
+        { number: '5.1', title: 'Angles between 0° and 90°', page: 92 },
+        { number: '5.2', title: 'The general definition of an angle', page: 95 },
+        { number: '5.3', title: 'Trigonometric ratios of general angles', page: 97 },
+        { number: '5.4', title: 'Graphs of trigonometric functions', page: 100 },
+        { number: '5.5', title: 'Inverse trigonometric functions', page: 105 },
+        { number: '5.6', title: 'Trigonometric equations', page: 108 },
+        { number: '5.7', title: 'Trigonometric identities', page: 112 }
+      ] },
+      { number: 6, title: 'Series', page: 121, objectives: ['1.6'], sections: [
+        { number: '6.1', title: 'Binomial expansion of (a + b)ⁿ', page: 122 },
+        { number: '6.2', title: 'Binomial coefficients', page: 125 },
+        { number: '6.3', title: 'Arithmetic progressions', page: 129 },
+        { number: '6.4', title: 'Geometric progressions', page: 133 },
+        { number: '6.5', title: 'Infinite geometric series', page: 137 }
+      ] },
+      { number: 7, title: 'Differentiation', page: 147, objectives: ['1.7'], sections: [
+        { number: '7.1', title: 'Derivatives and gradient functions', page: 148 },
+        { number: '7.2', title: 'The chain rule', page: 153 },
+        { number: '7.3', title: 'Tangents and normals', page: 155 },
+        { number: '7.4', title: 'Second derivatives', page: 158 }
+      ] },
+      { number: 8, title: 'Further differentiation', page: 165, objectives: ['1.7'], sections: [
+        { number: '8.1', title: 'Increasing and decreasing functions', page: 166 },
+        { number: '8.2', title: 'Stationary points', page: 168 },
+        { number: '8.3', title: 'Practical maximum and minimum problems', page: 172 },
+        { number: '8.4', title: 'Rates of change', page: 175 }
+      ] },
+      { number: 9, title: 'Integration', page: 185, objectives: ['1.8'], sections: [
+        { number: '9.1', title: 'Integration as the reverse of differentiation', page: 186 },
+        { number: '9.2', title: 'Finding the constant of integration', page: 189 },
+        { number: '9.3', title: 'Integration of expressions of the form (ax + b)ⁿ', page: 191 },
+        { number: '9.4', title: 'Definite integration', page: 193 },
+        { number: '9.5', title: 'Area under a curve', page: 196 },
+        { number: '9.6', title: 'Volumes of revolution', page: 202 }
+      ] }
+    ]
+  }
+};
+
+/**
+ * 电路符号图片（记忆卡的图片卡片使用），内联 SVG，不需要额外的图片文件
+ * @param {string} body - SVG 内容
+ * @returns {string} data URL
+ */
+const circuitSymbol = (body) => `data:image/svg+xml;utf8,${encodeURIComponent(
+  `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 120 60" fill="none" stroke="black" stroke-width="2">${body}</svg>`
+)}`;
+
+/**
+ * 记忆卡入门卡组数据结构
+ * 后端数据库表结构参考：
+ * flashcard_decks表：id, title, subject_key, syllabus_code, description, is_starter
+ * flashcard_cards表：id, deck_id, type, front, back, image_url, tags, frequency
+ * user_flashcard_progress表：id, user_id, card_id, repetitions, interval_days, ease_factor, lapses, due_at, last_reviewed_at, introduced_at, suspended
+ * - subjectKey: 所属学科，null 表示适用于所有学科（例如命令词）
+ * - cards[].type: 'basic' 术语/定义，'cloze' 填空（front 中用 {{c1::答案}} 或 {{c1::答案::提示}} 标出挖空），'image' 看图作答
+ * - cards[].frequency: 在历年试卷中出现的次数（估计值），新卡片按频率从高到低引入
+ */
+export const flashcardDeckData = [
+  {
+    id: 'starter-command-words',
+    title: 'Command words',
+    subjectKey: null,
+    syllabusCode: null,
+    description: 'What each Cambridge command word asks you to do in an exam answer.',
+    cards: [
+      { id: 'cw-state', type: 'basic', front: 'State', back: 'Express in clear terms, with no explanation needed.', tags: ['command-word'], frequency: 412 },
+      { id: 'cw-explain', type: 'basic', front: 'Explain', back: 'Set out purposes or reasons; make the relationships between things evident; give why and/or how, supported with relevant evidence.', tags: ['command-word'], frequency: 388 },
+      { id: 'cw-calculate', type: 'basic', front: 'Calculate', back: 'Work out from given facts, figures or information, showing the working.', tags: ['command-word'], frequency: 371 },
+      { id: 'cw-describe', type: 'basic', front: 'Describe', back: 'State the points of a topic, or give the characteristics and main features.', tags: ['command-word'], frequency: 296 },
+      { id: 'cw-determine', type: 'basic', front: 'Determine', back: 'Establish an answer using the information available.', tags: ['command-word'], frequency: 214 },
+      { id: 'cw-suggest', type: 'basic', front: 'Suggest', back: 'Apply knowledge and understanding to situations where there is a range of valid responses, in order to make proposals or put forward considerations.', tags: ['command-word'], frequency: 187 },
+      { id: 'cw-define', type: 'basic', front: 'Define', back: 'Give a precise meaning.', tags: ['command-word'], frequency: 165 },
+      { id: 'cw-show-that', type: 'basic', front: 'Show (that)', back: 'Provide structured evidence that leads to a given result.', tags: ['command-word'], frequency: 142 },
+      { id: 'cw-identify', type: 'basic', front: 'Identify', back: 'Name, select or recognise.', tags: ['command-word'], frequency: 128 },
+      { id: 'cw-deduce', type: 'basic', front: 'Deduce', back: 'Conclude from available information.', tags: ['command-word'], frequency: 96 },
+      { id: 'cw-sketch', type: 'basic', front: 'Sketch', back: 'Make a simple freehand drawing showing the key features, taking care over proportions.', tags: ['command-word'], frequency: 88 },
+      { id: 'cw-outline', type: 'basic', front: 'Outline', back: 'Set out the main points.', tags: ['command-word'], frequency: 81 },
+      { id: 'cw-compare', type: 'basic', front: 'Compare', back: 'Identify and comment on similarities and/or differences.', tags: ['command-word'], frequency: 74 },
+      { id: 'cw-give', type: 'basic', front: 'Give', back: 'Produce an answer from a given source or recall/memory.', tags: ['command-word'], frequency: 69 },
+      { id: 'cw-predict', type: 'basic', front: 'Predict', back: 'Suggest what may happen based on available information.', tags: ['command-word'], frequency: 57 },
+      { id: 'cw-discuss', type: 'basic', front: 'Discuss', back: 'Write about issue(s) or topic(s) in depth in a structured way.', tags: ['command-word'], frequency: 52 },
+      { id: 'cw-evaluate', type: 'basic', front: 'Evaluate', back: 'Judge or calculate the quality, importance, amount, or value of something.', tags: ['command-word'], frequency: 48 },
+      { id: 'cw-analyse', type: 'basic', front: 'Analyse', back: 'Examine in detail to show meaning, identify elements and the relationship between them.', tags: ['command-word'], frequency: 41 },
+      { id: 'cw-justify', type: 'basic', front: 'Justify', back: 'Support a case with evidence/argument.', tags: ['command-word'], frequency: 37 },
+      { id: 'cw-assess', type: 'basic', front: 'Assess', back: 'Make an informed judgement.', tags: ['command-word'], frequency: 33 },
+      { id: 'cw-contrast', type: 'basic', front: 'Contrast', back: 'Identify and comment on differences.', tags: ['command-word'], frequency: 26 },
+      { id: 'cw-comment', type: 'basic', front: 'Comment', back: 'Give an informed opinion.', tags: ['command-word'], frequency: 22 }
+    ]
+  },
+  {
+    id: 'starter-physics-terms',
+    title: 'AS & A Level Physics key terms',
+    subjectKey: 'physics',
+    syllabusCode: '9702',
+    description: 'Definitions that mark schemes expect word for word.',
+    cards: [
+      { id: 'phy-displacement', type: 'basic', front: 'Displacement', back: 'The distance in a specified direction from a reference point.', tags: ['2.1'], frequency: 58 },
+      { id: 'phy-acceleration', type: 'cloze', front: 'Acceleration is the {{c1::rate of change of velocity}}.', back: 'SI unit: m s⁻²', tags: ['2.1'], frequency: 64 },
+      { id: 'phy-momentum', type: 'cloze', front: 'Linear momentum is the product of {{c1::mass}} and {{c2::velocity}}.', back: 'p = mv', tags: ['3.1'], frequency: 71 },
+      { id: 'phy-newton2', type: 'cloze', front: 'Newton’s second law: the resultant force on an object is proportional to the {{c1::rate of change of its momentum::rate of change of …}}.', back: 'F = Δp/Δt', tags: ['3.1'], frequency: 55 },
+      { id: 'phy-moment', type: 'basic', front: 'Moment of a force', back: 'The product of the force and the perpendicular distance from the pivot to the line of action of the force.', tags: ['4.2'], frequency: 49 },
+      { id: 'phy-work-done', type: 'basic', front: 'Work done', back: 'The product of the force and the displacement in the direction of the force.', tags: ['5.1'], frequency: 46 },
+      { id: 'phy-power', type: 'cloze', front: 'Power is the {{c1::work done per unit time}}.', back: 'SI unit: W (J s⁻¹)', tags: ['5.1'], frequency: 39 },
+      { id: 'phy-youngs-modulus', type: 'basic', front: 'Young modulus', back: 'The ratio of tensile stress to tensile strain.', tags: ['6.1'], frequency: 44 },
+      { id: 'phy-progressive-wave', type: 'basic', front: 'Progressive wave', back: 'A wave that transfers energy from one place to another without transferring matter.', tags: ['7.1'], frequency: 35 },
+      { id: 'phy-coherence', type: 'cloze', front: 'Two sources are coherent if they have a {{c1::constant phase difference}}.', back: '', tags: ['8.2'], frequency: 42 },
+      { id: 'phy-electric-field', type: 'basic', front: 'Electric field strength', back: 'The force per unit positive charge.', tags: ['10.1'], frequency: 40 },
+      { id: 'phy-current', type: 'basic', front: 'Electric current', back: 'The rate of flow of charge.', tags: ['19.1'], frequency: 38 },
+      { id: 'phy-pd', type: 'cloze', front: 'Potential difference is the {{c1::energy transferred per unit charge}} from electrical to other forms.', back: 'SI unit: V (J C⁻¹)', tags: ['19.1'], frequency: 47 },
+      { id: 'phy-emf', type: 'cloze', front: 'E.m.f. is the {{c1::energy transferred per unit charge}} from other forms to electrical energy.', back: 'Contrast with potential difference.', tags: ['20.1'], frequency: 43 },
+      { id: 'phy-resistance', type: 'basic', front: 'Resistance', back: 'The ratio of the potential difference across a component to the current in it.', tags: ['19.2'], frequency: 36 },
+      { id: 'phy-half-life', type: 'basic', front: 'Half-life', back: 'The time taken for the number of undecayed nuclei (or the activity) to halve.', tags: ['11.2'], frequency: 30 }
+    ]
+  },
+  {
+    id: 'starter-circuit-symbols',
+    title: 'Circuit symbols',
+    subjectKey: 'physics',
+    syllabusCode: '9702',
+    description: 'Name the component from its circuit symbol.',
+    cards: [
+      { id: 'sym-cell', type: 'image', front: 'Name this component', back: 'Cell', image: circuitSymbol('<path d="M10 30h42M68 30h42"/><path d="M52 12v36" stroke-width="3"/><path d="M68 20v20" stroke-width="6"/>'), tags: ['circuit-symbols'], frequency: 12 },
+      { id: 'sym-resistor', type: 'image', front: 'Name this component', back: 'Fixed resistor', image: circuitSymbol('<path d="M10 30h30M80 30h30"/><rect x="40" y="20" width="40" height="20"/>'), tags: ['circuit-symbols'], frequency: 18 },
+      { id: 'sym-variable-resistor', type: 'image', front: 'Name this component', back: 'Variable resistor', image: circuitSymbol('<path d="M10 30h30M80 30h30"/><rect x="40" y="20" width="40" height="20"/><path d="M36 50L86 8M86 8l-10 2M86 8l-3 10"/>'), tags: ['circuit-symbols'], frequency: 14 },
+      { id: 'sym-lamp', type: 'image', front: 'Name this component', back: 'Filament lamp', image: circuitSymbol('<path d="M10 30h35M75 30h35"/><circle cx="60" cy="30" r="15"/><path d="M49 19l22 22M71 19l-22 22"/>'), tags: ['circuit-symbols'], frequency: 11 },
+      { id: 'sym-diode', type: 'image', front: 'Name this component', back: 'Diode', image: circuitSymbol('<path d="M10 30h38M72 30h38"/><path d="M48 16v28l24-14z"/><path d="M72 16v28"/>'), tags: ['circuit-symbols'], frequency: 9 },
+      { id: 'sym-thermistor', type: 'image', front: 'Name this component', back: 'Thermistor', image: circuitSymbol('<path d="M10 30h30M80 30h30"/><rect x="40" y="20" width="40" height="20"/><path d="M34 50l10-10h32l10-10"/>'), tags: ['circuit-symbols'], frequency: 10 },
+      { id: 'sym-ldr', type: 'image', front: 'Name this component', back: 'Light-dependent resistor (LDR)', image: circuitSymbol('<path d="M10 30h34M76 30h34"/><circle cx="60" cy="30" r="20"/><rect x="48" y="24" width="24" height="12"/><path d="M30 4l12 12M36 2l12 12M42 16l-5-1M42 16l-1-5M48 14l-5-1M48 14l-1-5"/>'), tags: ['circuit-symbols'], frequency: 10 },
+      { id: 'sym-ammeter', type: 'image', front: 'Name this component', back: 'Ammeter', image: circuitSymbol('<path d="M10 30h35M75 30h35"/><circle cx="60" cy="30" r="15"/><path d="M53 39l7-18 7 18M55.5 33h9"/>'), tags: ['circuit-symbols'], frequency: 13 },
+      { id: 'sym-voltmeter', type: 'image', front: 'Name this component', back: 'Voltmeter', image: circuitSymbol('<path d="M10 30h35M75 30h35"/><circle cx="60" cy="30" r="15"/><path d="M53 21l7 18 7-18"/>'), tags: ['circuit-symbols'], frequency: 13 },
+      { id: 'sym-switch', type: 'image', front: 'Name this component', back: 'Switch (open)', image: circuitSymbol('<path d="M10 30h35M75 30h35"/><circle cx="45" cy="30" r="2"/><circle cx="75" cy="30" r="2"/><path d="M47 29l26-14"/>'), tags: ['circuit-symbols'], frequency: 7 }
+    ]
+  },
+  {
+    id: 'starter-chemistry-terms',
+    title: 'AS & A Level Chemistry key terms',
+    subjectKey: 'chemistry',
+    syllabusCode: '9701',
+    description: 'Core definitions from physical, inorganic and organic chemistry.',
+    cards: [
+      { id: 'chem-relative-atomic-mass', type: 'basic', front: 'Relative atomic mass, Aᵣ', back: 'The weighted mean mass of an atom of an element compared with 1/12 of the mass of an atom of carbon-12.', tags: ['atoms'], frequency: 52 },
+      { id: 'chem-isotopes', type: 'basic', front: 'Isotopes', back: 'Atoms of the same element with the same number of protons but different numbers of neutrons.', tags: ['atoms'], frequency: 41 },
+      { id: 'chem-first-ie', type: 'cloze', front: 'First ionisation energy is the energy needed to remove {{c1::one electron from each atom in one mole}} of {{c2::gaseous}} atoms to form one mole of gaseous 1+ ions.', back: '', tags: ['atoms'], frequency: 57 },
+      { id: 'chem-electronegativity', type: 'basic', front: 'Electronegativity', back: 'The power of an atom to attract the pair of electrons in a covalent bond.', tags: ['bonding'], frequency: 38 },
+      { id: 'chem-enthalpy-formation', type: 'cloze', front: 'Standard enthalpy change of formation is the enthalpy change when {{c1::one mole}} of a compound is formed from its {{c2::elements in their standard states}} under standard conditions.', back: '', tags: ['energetics'], frequency: 45 },
+      { id: 'chem-activation-energy', type: 'basic', front: 'Activation energy', back: 'The minimum energy that colliding particles must have for a reaction to occur.', tags: ['kinetics'], frequency: 39 },
+      { id: 'chem-le-chatelier', type: 'basic', front: 'Le Chatelier’s principle', back: 'If a change is made to a system in dynamic equilibrium, the position of equilibrium moves to minimise the change.', tags: ['equilibria'], frequency: 48 },
+      { id: 'chem-bronsted-acid', type: 'cloze', front: 'A Brønsted–Lowry acid is a {{c1::proton (H⁺) donor}}.', back: 'A base is a proton acceptor.', tags: ['equilibria'], frequency: 33 },
+      { id: 'chem-oxidation', type: 'basic', front: 'Oxidation (in terms of electrons and oxidation number)', back: 'Loss of electrons; an increase in oxidation number.', tags: ['redox'], frequency: 36 },
+      { id: 'chem-nucleophile', type: 'basic', front: 'Nucleophile', back: 'A species that donates a lone pair of electrons to form a new covalent bond.', tags: ['organic'], frequency: 29 },
+      { id: 'chem-homologous-series', type: 'basic', front: 'Homologous series', back: 'A family of compounds with the same functional group and general formula, in which each member differs from the next by CH₂.', tags: ['organic'], frequency: 24 }
+    ]
+  },
+  {
+    id: 'starter-biology-terms',
+    title: 'AS & A Level Biology key terms',
+    subjectKey: 'biology',
+    syllabusCode: '9700',
+    description: 'Terms that come up across cell biology, transport and genetics.',
+    cards: [
+      { id: 'bio-osmosis', type: 'basic', front: 'Osmosis', back: 'The net movement of water molecules from a region of higher water potential to a region of lower water potential through a partially permeable membrane.', tags: ['membranes'], frequency: 54 },
+      { id: 'bio-active-transport', type: 'basic', front: 'Active transport', back: 'Movement of molecules or ions across a membrane against their concentration gradient, using energy from ATP and carrier proteins.', tags: ['membranes'], frequency: 43 },
+      { id: 'bio-enzyme', type: 'cloze', front: 'Enzymes are {{c1::globular proteins}} that act as {{c2::biological catalysts}}.', back: '', tags: ['enzymes'], frequency: 40 },
+      { id: 'bio-km', type: 'basic', front: 'Michaelis–Menten constant, Kₘ', back: 'The substrate concentration at which the rate of reaction is half of Vmax.', tags: ['enzymes'], frequency: 27 },
+      { id: 'bio-gene', type: 'basic', front: 'Gene', back: 'A length of DNA that codes for a polypeptide.', tags: ['genetics'], frequency: 35 },
+      { id: 'bio-allele', type: 'basic', front: 'Allele', back: 'An alternative form of a gene.', tags: ['genetics'], frequency: 37 },
+      { id: 'bio-mitosis', type: 'cloze', front: 'Mitosis produces two daughter cells that are {{c1::genetically identical}} to the parent cell.', back: 'Used for growth, repair and asexual reproduction.', tags: ['cell-cycle'], frequency: 31 },
+      { id: 'bio-transpiration', type: 'basic', front: 'Transpiration', back: 'The loss of water vapour from a plant to its environment by evaporation from mesophyll cell walls and diffusion through stomata.', tags: ['transport-in-plants'], frequency: 30 },
+      { id: 'bio-antibody', type: 'basic', front: 'Antibody', back: 'A globular glycoprotein (immunoglobulin) secreted by plasma cells that binds to a specific antigen.', tags: ['immunity'], frequency: 26 }
+    ]
+  },
+  {
+    id: 'starter-maths-terms',
+    title: 'AS & A Level Mathematics vocabulary',
+    subjectKey: 'mathematics',
+    syllabusCode: '9709',
+    description: 'Words used in question stems and the results you are expected to know.',
+    cards: [
+      { id: 'math-exact', type: 'basic', front: '“Give your answer in exact form”', back: 'Leave surds, π, e or fractions unevaluated — no rounded decimals.', tags: ['question-wording'], frequency: 48 },
+      { id: 'math-hence', type: 'basic', front: '“Hence”', back: 'You must use the previous result to answer this part.', tags: ['question-wording'], frequency: 62 },
+      { id: 'math-hence-otherwise', type: 'basic', front: '“Hence or otherwise”', back: 'Using the previous result is the intended method, but any correct method earns the marks.', tags: ['question-wording'], frequency: 21 },
+      { id: 'math-discriminant', type: 'cloze', front: 'ax² + bx + c = 0 has two distinct real roots when {{c1::b² − 4ac > 0}}.', back: 'Equal roots when b² − 4ac = 0; no real roots when b² − 4ac < 0.', tags: ['1.1'], frequency: 34 },
+      { id: 'math-one-one', type: 'basic', front: 'One-one function', back: 'A function where each output comes from exactly one input, so an inverse function exists.', tags: ['1.2'], frequency: 25 },
+      { id: 'math-stationary-point', type: 'basic', front: 'Stationary point', back: 'A point on a curve where dy/dx = 0.', tags: ['1.7'], frequency: 29 },
+      { id: 'math-geometric-sum', type: 'cloze', front: 'A geometric series converges only when {{c1::|r| < 1}}, and its sum to infinity is {{c2::a / (1 − r)}}.', back: '', tags: ['1.6'], frequency: 23 },
+      { id: 'math-independent', type: 'cloze', front: 'Events A and B are independent when {{c1::P(A ∩ B) = P(A) × P(B)}}.', back: '', tags: ['5.2'], frequency: 19 }
+    ]
+  },
+  {
+    id: 'starter-computer-science-terms',
+    title: 'AS & A Level Computer Science key terms',
+    subjectKey: 'computerscience',
+    syllabusCode: '9618',
+    description: 'Definitions from the theory papers.',
+    cards: [
+      { id: 'cs-abstraction', type: 'basic', front: 'Abstraction', back: 'Filtering out unnecessary detail to keep only the information needed to solve the problem.', tags: ['computational-thinking'], frequency: 33 },
+      { id: 'cs-decomposition', type: 'basic', front: 'Decomposition', back: 'Breaking a problem into smaller sub-problems that are easier to solve.', tags: ['computational-thinking'], frequency: 22 },
+      { id: 'cs-primary-key', type: 'basic', front: 'Primary key', back: 'A field (or fields) that uniquely identifies each record in a table.', tags: ['databases'], frequency: 31 },
+      { id: 'cs-foreign-key', type: 'cloze', front: 'A foreign key is a field in one table that is the {{c1::primary key}} of another table.', back: 'Used to create relationships between tables.', tags: ['databases'], frequency: 27 },
+      { id: 'cs-protocol', type: 'basic', front: 'Protocol', back: 'A set of rules that governs how data is transmitted between devices.', tags: ['networks'], frequency: 24 },
+      { id: 'cs-interrupt', type: 'basic', front: 'Interrupt', back: 'A signal sent to the processor to request attention, causing it to suspend the current task to service the request.', tags: ['processor'], frequency: 28 },
+      { id: 'cs-compiler', type: 'cloze', front: 'A compiler translates the {{c1::whole program}} into machine code before it is run; an interpreter translates and executes {{c2::one statement at a time}}.', back: '', tags: ['translators'], frequency: 26 }
+    ]
+  }
+];